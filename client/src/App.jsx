@@ -21,6 +21,7 @@ import LoginSignUpPage from "./Pages/LoginSignUpPage";
 import Dashboard from "./Pages/Dashboard";
 import PaymentPage from "./Pages/PaymentPage";
 import ReceiptPage from "./Pages/services/ReceiptPage";
+import WaitlistOfferPage from "./Pages/services/WaitlistOfferPage";
 import ProfileCompletion from "./Pages/ProfileCompletion";
 
 /* -------- Portals -------- */
@@ -234,6 +235,14 @@ const App = () => {
               </ProtectedRoute>
             } 
           />
+          <Route 
+            path="/services/waitlist/offer/:token" 
+            element={
+              <ProtectedRoute allowedRoles={["patient"]}>
+                <WaitlistOfferPage />
+              </ProtectedRoute>
+            } 
+          />
           <Route 
             path="/services/telemedicine" 
             element={
@@ -13,7 +13,8 @@ import {
   Search, RefreshCw, Eye, Edit, Trash2, MoreVertical,
   MessageSquare, Send, Star, TrendingDown, Award, Cpu,
   Database, HardDrive, Network, ShieldCheck, Zap,
-  UserPlus, UserMinus, Lock, Unlock, Mail, Stethoscope
+  UserPlus, UserMinus, Lock, Unlock, Mail, Stethoscope,
+  Wallet, Package, Scale, Upload
 } from 'lucide-react';
 import healthcareLogo from '../assets/healthcare-logo.png';
 import healthcareLogoFont from '../assets/healthcare-logofont.png';
@@ -100,6 +101,10 @@ const QuickAction = ({ icon: Icon, label, color, onClick }) => (
   </button>
 );
 
+// Display name for a populated user
+const personName = (person) =>
+  person ? `${person.firstName || ''} ${person.lastName || ''}`.trim() || person.email : 'Unknown';
+
 const AdminDashboard = () => {
   const navigate = useNavigate();
   // Authentication State
@@ -462,9 +467,21 @@ const AdminDashboard = () => {
         case 'analytics':
           fetchProviderAnalytics();
           break;
+        case 'emergency':
+          fetchEmergencyAccess();
+          break;
+        case 'claims':
+          fetchClaimsBoard();
+          break;
+        case 'ledger':
+          fetchLedger();
+          break;
+        case 'reconciliation':
+          fetchReconciliation();
+          break;
       }
     }
-  }, [isAuthenticated, currentView, currentPage, userFilters]);
+  }, [isAuthenticated, currentView, currentPage, userFilters, emergencyFilter]);
 
   // Navigation Items
   const navItems = [
@@ -473,6 +490,10 @@ const AdminDashboard = () => {
     { id: 'doctors', label: 'Manage Doctors', icon: Stethoscope, color: 'bg-cyan-500' },
     { id: 'analytics', label: 'Analytics', icon: BarChart3, color: 'bg-purple-500' },
     { id: 'audit', label: 'Audit Logs', icon: FileText, color: 'bg-yellow-500' },
+    { id: 'emergency', label: 'Emergency Access', icon: ShieldCheck, color: 'bg-orange-500' },
+    { id: 'claims', label: 'Insurance Claims', icon: Shield, color: 'bg-teal-500' },
+    { id: 'ledger', label: 'Wallets & Ledger', icon: Wallet, color: 'bg-emerald-500' },
+    { id: 'reconciliation', label: 'Payment Reconciliation', icon: Scale, color: 'bg-lime-600' },
     { id: 'health', label: 'System Health', icon: Server, color: 'bg-red-500' },
     { id: 'notifications', label: 'Notifications', icon: Bell, color: 'bg-pink-500' },
   ];
@@ -526,6 +547,181 @@ const AdminDashboard = () => {
     }
   };
 
+  const [emergencyGrants, setEmergencyGrants] = useState([]);
+  const [emergencyPending, setEmergencyPending] = useState(0);
+  const [emergencyFilter, setEmergencyFilter] = useState('pending');
+  const [grantDetails, setGrantDetails] = useState(null);
+
+  const fetchEmergencyAccess = async () => {
+    setLoading(true);
+    try {
+      const data = await apiCall(`/admin/emergency-access?reviewStatus=${emergencyFilter}&limit=50`);
+      setEmergencyGrants(data.data.grants || []);
+      setEmergencyPending(data.data.pending || 0);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const [claimsBoard, setClaimsBoard] = useState(null);
+
+  const fetchClaimsBoard = async () => {
+    setLoading(true);
+    try {
+      const data = await apiCall('/admin/claims/board');
+      setClaimsBoard(data.data);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const [ledger, setLedger] = useState(null);
+
+  const fetchLedger = async () => {
+    setLoading(true);
+    try {
+      const [trialBalance, audit, entries, packages] = await Promise.all([
+        apiCall('/admin/ledger/trial-balance'),
+        apiCall('/admin/ledger/audit'),
+        apiCall('/admin/ledger/entries?limit=25'),
+        apiCall('/admin/health-packages')
+      ]);
+      setLedger({
+        trialBalance: trialBalance.data,
+        audit: audit.data,
+        entries: entries.data.entries,
+        packages: packages.data.packages
+      });
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const toggleHealthPackage = async (healthPackage) => {
+    try {
+      await apiCall(`/admin/health-packages/${healthPackage._id}`, {
+        method: 'PATCH',
+        body: { isActive: !healthPackage.isActive }
+      });
+      showNotification(`${healthPackage.name} ${healthPackage.isActive ? 'withdrawn' : 'back on sale'}`, 'success');
+      fetchLedger();
+    } catch (err) {
+      showNotification(err.message, 'error');
+    }
+  };
+
+  const [reconciliation, setReconciliation] = useState(null);
+
+  const fetchReconciliation = async () => {
+    setLoading(true);
+    try {
+      const [discrepancies, failedEvents] = await Promise.all([
+        apiCall('/admin/payments/discrepancies?limit=50'),
+        apiCall('/admin/payments/webhook-events?status=failed&limit=25')
+      ]);
+      setReconciliation({
+        ...discrepancies.data,
+        failedEvents: failedEvents.data.events,
+        failedEventCount: failedEvents.data.pagination.total
+      });
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const runReconciliation = async () => {
+    try {
+      const data = await apiCall('/admin/payments/reconcile', { method: 'POST' });
+      showNotification(`Reconciliation found ${data.data.newDiscrepancies} new discrepancies`, 'success');
+      fetchReconciliation();
+    } catch (err) {
+      showNotification(err.message, 'error');
+    }
+  };
+
+  // multipart upload, so not through apiCall
+  const importSettlementFile = async (file) => {
+    const formData = new FormData();
+    formData.append('file', file);
+    try {
+      const response = await fetch(`${API_BASE_URL}/admin/payments/settlements`, {
+        method: 'POST',
+        headers: { 'Authorization': `Bearer ${token}` },
+        body: formData
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.message || 'Settlement import failed');
+      showNotification(`${data.message}; ${data.data.reconciliation.newDiscrepancies} new discrepancies`, 'success');
+      fetchReconciliation();
+    } catch (err) {
+      showNotification(err.message, 'error');
+    }
+  };
+
+  const resolveDiscrepancy = async (discrepancyId) => {
+    const note = window.prompt('How was this discrepancy resolved?');
+    if (!note) return;
+    try {
+      await apiCall(`/admin/payments/discrepancies/${discrepancyId}/resolve`, {
+        method: 'PATCH',
+        body: { note }
+      });
+      showNotification('Discrepancy resolved', 'success');
+      fetchReconciliation();
+    } catch (err) {
+      showNotification(err.message, 'error');
+    }
+  };
+
+  const retryWebhookEvent = async (eventId) => {
+    try {
+      const data = await apiCall(`/admin/payments/webhook-events/${eventId}/retry`, { method: 'POST' });
+      showNotification(data.message, data.data.event.status === 'processed' ? 'success' : 'error');
+      fetchReconciliation();
+    } catch (err) {
+      showNotification(err.message, 'error');
+    }
+  };
+
+  const viewGrantDetails = async (grantId) => {
+    try {
+      const data = await apiCall(`/admin/emergency-access/${grantId}`);
+      setGrantDetails(data.data);
+    } catch (err) {
+      showNotification(err.message, 'error');
+    }
+  };
+
+  const reviewEmergencyAccess = async (grantId, decision) => {
+    let notes = '';
+    if (decision === 'flagged') {
+      notes = window.prompt('Why is this access being flagged?') || '';
+      if (!notes.trim()) return;
+    } else if (!window.confirm('Sign off this emergency access as justified?')) {
+      return;
+    }
+
+    try {
+      await apiCall(`/admin/emergency-access/${grantId}/review`, {
+        method: 'POST',
+        body: { decision, notes }
+      });
+      showNotification(decision === 'approved' ? 'Emergency access signed off' : 'Emergency access flagged', 'success');
+      setGrantDetails(null);
+      fetchEmergencyAccess();
+    } catch (err) {
+      showNotification(err.message, 'error');
+    }
+  };
+
   // Quick Actions
   const quickActions = [
     { icon: UserPlus, label: 'Add User', color: 'bg-blue-500', action: () => { } },
@@ -794,6 +990,44 @@ const AdminDashboard = () => {
             />
           )}
 
+          {currentView === 'emergency' && (
+            <EmergencyAccessView
+              grants={emergencyGrants}
+              pending={emergencyPending}
+              loading={loading}
+              filter={emergencyFilter}
+              setFilter={setEmergencyFilter}
+              onView={viewGrantDetails}
+              onReview={reviewEmergencyAccess}
+            />
+          )}
+
+          {currentView === 'claims' && (
+            <ClaimsBoardView
+              board={claimsBoard}
+              loading={loading}
+            />
+          )}
+
+          {currentView === 'ledger' && (
+            <LedgerView
+              ledger={ledger}
+              loading={loading}
+              onTogglePackage={toggleHealthPackage}
+            />
+          )}
+
+          {currentView === 'reconciliation' && (
+            <ReconciliationView
+              reconciliation={reconciliation}
+              loading={loading}
+              onRun={runReconciliation}
+              onImport={importSettlementFile}
+              onResolve={resolveDiscrepancy}
+              onRetryEvent={retryWebhookEvent}
+            />
+          )}
+
           {currentView === 'health' && (
             <SystemHealthView
               systemHealth={systemHealth}
@@ -809,6 +1043,14 @@ const AdminDashboard = () => {
       </div>
 
       {/* Modals */}
+      {grantDetails && (
+        <EmergencyAccessModal
+          details={grantDetails}
+          onReview={reviewEmergencyAccess}
+          onClose={() => setGrantDetails(null)}
+        />
+      )}
+
       {showUserModal && selectedUser && (
         <UserModal
           user={selectedUser}
@@ -1612,7 +1854,7 @@ const AuditLogsView = ({ auditLogs, loading }) => (
           <thead className="bg-gray-50">
             <tr>
               <th className="px-6 py-4 text-left text-xs font-semibold text-gray-700 uppercase">Action</th>
-              <th className="px-6 py-4 text-left text-xs font-semibold text-gray-700 uppercase">User</th>
+              <th className="px-6 py-4 text-left text-xs font-semibold text-gray-700 uppercase">Resource</th>
               <th className="px-6 py-4 text-left text-xs font-semibold text-gray-700 uppercase">Performed By</th>
               <th className="px-6 py-4 text-left text-xs font-semibold text-gray-700 uppercase">Timestamp</th>
               <th className="px-6 py-4 text-left text-xs font-semibold text-gray-700 uppercase">Details</th>
@@ -1646,14 +1888,14 @@ const AuditLogsView = ({ auditLogs, loading }) => (
                   </td>
                   <td className="px-6 py-4">
                     <div className="text-sm">
-                      <div className="font-medium text-gray-900">{log.userId?.name || 'N/A'}</div>
-                      <div className="text-gray-500">{log.userId?.email || ''}</div>
+                      <div className="font-medium text-gray-900">{log.resource}</div>
+                      <div className="text-gray-500">{log.details?.event || log.path || ''}</div>
                     </div>
                   </td>
                   <td className="px-6 py-4">
                     <div className="text-sm">
-                      <div className="font-medium text-gray-900">{log.performedBy?.name || 'System'}</div>
-                      <div className="text-gray-500">{log.performedBy?.email || ''}</div>
+                      <div className="font-medium text-gray-900">{log.userId ? personName(log.userId) : 'System'}</div>
+                      <div className="text-gray-500 capitalize">{log.userRole || ''}</div>
                     </div>
                   </td>
                   <td className="px-6 py-4 text-sm text-gray-500">
@@ -1674,6 +1916,686 @@ const AuditLogsView = ({ auditLogs, loading }) => (
   </div>
 );
 
+const REVIEW_BADGES = {
+  pending: 'bg-yellow-100 text-yellow-800',
+  approved: 'bg-green-100 text-green-800',
+  flagged: 'bg-red-100 text-red-800'
+};
+
+// Emergency Access Review Queue Component
+const EmergencyAccessView = ({ grants, pending, loading, filter, setFilter, onView, onReview }) => (
+  <div className="space-y-6">
+    <div className="flex justify-between items-center">
+      <div>
+        <h2 className="text-2xl font-bold text-gray-900">Emergency Access Review</h2>
+        <p className="text-gray-600">Break-the-glass access to patient records. Every grant must be signed off.</p>
+      </div>
+      {pending > 0 && (
+        <span className="px-3 py-1 text-sm font-semibold rounded-full bg-yellow-100 text-yellow-800">
+          {pending} awaiting review
+        </span>
+      )}
+    </div>
+
+    <div className="flex gap-2">
+      {['pending', 'approved', 'flagged', 'all'].map(status => (
+        <button
+          key={status}
+          onClick={() => setFilter(status)}
+          className={`px-4 py-2 rounded-lg text-sm font-medium capitalize ${filter === status ? 'bg-blue-600 text-white' : 'bg-white text-gray-700 border border-gray-200 hover:bg-gray-50'}`}
+        >
+          {status}
+        </button>
+      ))}
+    </div>
+
+    <div className="bg-white rounded-xl shadow-sm border border-gray-100 overflow-hidden">
+      <div className="overflow-x-auto">
+        <table className="w-full">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-6 py-4 text-left text-xs font-semibold text-gray-700 uppercase">Clinician</th>
+              <th className="px-6 py-4 text-left text-xs font-semibold text-gray-700 uppercase">Patient</th>
+              <th className="px-6 py-4 text-left text-xs font-semibold text-gray-700 uppercase">Justification</th>
+              <th className="px-6 py-4 text-left text-xs font-semibold text-gray-700 uppercase">Granted</th>
+              <th className="px-6 py-4 text-left text-xs font-semibold text-gray-700 uppercase">Accesses</th>
+              <th className="px-6 py-4 text-left text-xs font-semibold text-gray-700 uppercase">Review</th>
+              <th className="px-6 py-4 text-left text-xs font-semibold text-gray-700 uppercase">Actions</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200">
+            {loading ? (
+              <tr><td colSpan="7" className="px-6 py-12"><LoadingSpinner /></td></tr>
+            ) : grants.length === 0 ? (
+              <tr>
+                <td colSpan="7" className="px-6 py-12 text-center text-gray-500">
+                  <ShieldCheck className="h-12 w-12 mx-auto mb-4 text-gray-300" />
+                  <p className="text-lg font-medium">No emergency access to review</p>
+                </td>
+              </tr>
+            ) : (
+              grants.map(grant => (
+                <tr key={grant._id} className="hover:bg-gray-50">
+                  <td className="px-6 py-4">
+                    <div className="text-sm">
+                      <div className="font-medium text-gray-900">{personName(grant.providerId)}</div>
+                      <div className="text-gray-500 capitalize">{grant.providerId?.role}</div>
+                    </div>
+                  </td>
+                  <td className="px-6 py-4 text-sm text-gray-900">{personName(grant.patientId?.user)}</td>
+                  <td className="px-6 py-4 text-sm text-gray-600 max-w-xs truncate" title={grant.reason}>{grant.reason}</td>
+                  <td className="px-6 py-4 text-sm text-gray-500">
+                    <div>{new Date(grant.grantedAt).toLocaleString()}</div>
+                    <div className={grant.isActive ? 'text-orange-600 font-medium' : 'text-gray-400'}>
+                      {grant.isActive ? `Active until ${new Date(grant.expiresAt).toLocaleTimeString()}` : 'Ended'}
+                    </div>
+                  </td>
+                  <td className="px-6 py-4 text-sm text-gray-900">{grant.accessCount}</td>
+                  <td className="px-6 py-4">
+                    <span className={`px-3 py-1 text-xs font-semibold rounded-full capitalize ${REVIEW_BADGES[grant.review?.status] || REVIEW_BADGES.pending}`}>
+                      {grant.review?.status || 'pending'}
+                    </span>
+                  </td>
+                  <td className="px-6 py-4">
+                    <div className="flex items-center gap-3">
+                      <button onClick={() => onView(grant._id)} className="text-blue-600 hover:text-blue-800" title="View audit trail">
+                        <Eye size={18} />
+                      </button>
+                      {grant.review?.status === 'pending' && (
+                        <>
+                          <button onClick={() => onReview(grant._id, 'approved')} className="text-green-600 hover:text-green-800" title="Sign off">
+                            <CheckCircle size={18} />
+                          </button>
+                          <button onClick={() => onReview(grant._id, 'flagged')} className="text-red-600 hover:text-red-800" title="Flag">
+                            <AlertCircle size={18} />
+                          </button>
+                        </>
+                      )}
+                    </div>
+                  </td>
+                </tr>
+              ))
+            )}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  </div>
+);
+
+// Emergency Access Details Modal
+const EmergencyAccessModal = ({ details, onReview, onClose }) => {
+  const { grant, auditTrail } = details;
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-black/50 backdrop-blur-sm">
+      <div className="bg-white rounded-2xl shadow-xl w-full max-w-2xl p-6 max-h-[90vh] overflow-y-auto">
+        <div className="flex justify-between items-start mb-6">
+          <div>
+            <h3 className="text-xl font-bold text-gray-900">Emergency Access</h3>
+            <p className="text-sm text-gray-500">
+              {personName(grant.providerId)} → {personName(grant.patientId?.user)}
+            </p>
+          </div>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+            <X size={20} />
+          </button>
+        </div>
+
+        <div className="space-y-4">
+          <div>
+            <h4 className="text-sm font-semibold text-gray-700 mb-1">Justification</h4>
+            <p className="text-sm text-gray-900 bg-gray-50 rounded-lg p-3">{grant.reason}</p>
+          </div>
+
+          <div className="grid grid-cols-2 gap-4 text-sm">
+            <div>
+              <span className="text-gray-500">Granted:</span> {new Date(grant.grantedAt).toLocaleString()}
+            </div>
+            <div>
+              <span className="text-gray-500">Expires:</span> {new Date(grant.expiresAt).toLocaleString()}
+            </div>
+            <div>
+              <span className="text-gray-500">Accesses:</span> {grant.accessCount}
+            </div>
+            <div>
+              <span className="text-gray-500">IP address:</span> {grant.ipAddress || 'N/A'}
+            </div>
+          </div>
+
+          {grant.review?.status !== 'pending' && (
+            <div className="text-sm bg-gray-50 rounded-lg p-3">
+              <span className="font-semibold capitalize">{grant.review.status}</span> by {personName(grant.review.reviewedBy)} on{' '}
+              {new Date(grant.review.reviewedAt).toLocaleString()}
+              {grant.review.notes && <p className="mt-1 text-gray-600">{grant.review.notes}</p>}
+            </div>
+          )}
+
+          <div>
+            <h4 className="text-sm font-semibold text-gray-700 mb-2">Audit trail</h4>
+            <ul className="divide-y divide-gray-100 border border-gray-100 rounded-lg">
+              {auditTrail.length === 0 ? (
+                <li className="p-3 text-sm text-gray-500">No recorded activity</li>
+              ) : auditTrail.map(entry => (
+                <li key={entry._id} className="p-3 text-sm flex justify-between gap-4">
+                  <span>
+                    <span className="font-medium">{entry.action}</span>{' '}
+                    <span className="text-gray-600">{entry.details?.event || entry.details?.path || entry.resource}</span>
+                  </span>
+                  <span className="text-gray-500 whitespace-nowrap">{new Date(entry.timestamp).toLocaleString()}</span>
+                </li>
+              ))}
+            </ul>
+          </div>
+        </div>
+
+        {grant.review?.status === 'pending' && (
+          <div className="flex justify-end gap-3 mt-6">
+            <button
+              onClick={() => onReview(grant._id, 'flagged')}
+              className="px-4 py-2 rounded-lg border border-red-200 text-red-600 hover:bg-red-50"
+            >
+              Flag
+            </button>
+            <button
+              onClick={() => onReview(grant._id, 'approved')}
+              className="px-4 py-2 rounded-lg bg-green-600 text-white hover:bg-green-700"
+            >
+              Sign off
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// Insurance Claims Board View Component
+const formatRupees = (amount) => `₹${Number(amount || 0).toLocaleString('en-IN')}`;
+
+const ClaimsBoardView = ({ board, loading }) => {
+  if (loading || !board) return <LoadingSpinner />;
+
+  const openCount = board.ageing.reduce((sum, bucket) => sum + bucket.count, 0);
+  const outstanding = board.ageing.reduce((sum, bucket) => sum + bucket.outstandingAmount, 0);
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h2 className="text-2xl font-bold text-gray-900">Insurance Claims</h2>
+        <p className="text-gray-600">Claims awaiting the insurer, by age since submission, and why claims are being denied.</p>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-4 gap-6">
+        <StatCard title="Open Claims" value={openCount} icon={FileText} color="bg-blue-500" />
+        <StatCard title="Outstanding" value={formatRupees(outstanding)} icon={DollarSign} color="bg-green-500" />
+        <StatCard title="Denied" value={board.byStatus.denied?.count || 0} icon={XCircle} color="bg-red-500" />
+        <StatCard title="Pre-authorisations Pending" value={board.pendingPreAuthorisations} icon={Clock} color="bg-yellow-500" />
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        <div className="bg-white rounded-xl shadow-sm border border-gray-100 p-6">
+          <h3 className="text-lg font-semibold text-gray-900 mb-4">Ageing (days since submission)</h3>
+          <ResponsiveContainer width="100%" height={260}>
+            <BarChart data={board.ageing}>
+              <CartesianGrid strokeDasharray="3 3" />
+              <XAxis dataKey="bucket" />
+              <YAxis />
+              <Tooltip formatter={(value, name) => (name === 'Outstanding' ? formatRupees(value) : value)} />
+              <Legend />
+              <Bar dataKey="count" name="Claims" fill="#2563eb" />
+              <Bar dataKey="outstandingAmount" name="Outstanding" fill="#f59e0b" />
+            </BarChart>
+          </ResponsiveContainer>
+        </div>
+
+        <div className="bg-white rounded-xl shadow-sm border border-gray-100 p-6">
+          <h3 className="text-lg font-semibold text-gray-900 mb-4">Top Denial Reasons</h3>
+          {board.denialReasons.length === 0 ? (
+            <p className="text-gray-500 text-center py-12">No denied claims</p>
+          ) : (
+            <table className="w-full">
+              <thead>
+                <tr className="text-left text-xs font-semibold text-gray-700 uppercase">
+                  <th className="py-2">Reason</th>
+                  <th className="py-2">Claims</th>
+                  <th className="py-2">Amount</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {board.denialReasons.map(denial => (
+                  <tr key={`${denial.code}-${denial.reason}`} className="text-sm">
+                    <td className="py-2 text-gray-900">
+                      {denial.code && <span className="font-mono text-gray-500 mr-2">{denial.code}</span>}
+                      {denial.reason}
+                    </td>
+                    <td className="py-2 text-gray-900">{denial.count}</td>
+                    <td className="py-2 text-gray-900">{formatRupees(denial.amount)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      </div>
+
+      <div className="bg-white rounded-xl shadow-sm border border-gray-100 overflow-hidden">
+        <div className="px-6 py-4 border-b border-gray-100">
+          <h3 className="text-lg font-semibold text-gray-900">Oldest Open Claims</h3>
+        </div>
+        <div className="overflow-x-auto">
+          <table className="w-full">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-4 text-left text-xs font-semibold text-gray-700 uppercase">Claim</th>
+                <th className="px-6 py-4 text-left text-xs font-semibold text-gray-700 uppercase">Patient</th>
+                <th className="px-6 py-4 text-left text-xs font-semibold text-gray-700 uppercase">Insurer</th>
+                <th className="px-6 py-4 text-left text-xs font-semibold text-gray-700 uppercase">Status</th>
+                <th className="px-6 py-4 text-left text-xs font-semibold text-gray-700 uppercase">Age</th>
+                <th className="px-6 py-4 text-left text-xs font-semibold text-gray-700 uppercase">Outstanding</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {board.oldestOpenClaims.length === 0 ? (
+                <tr>
+                  <td colSpan="6" className="px-6 py-12 text-center text-gray-500">No claims awaiting the insurer</td>
+                </tr>
+              ) : (
+                board.oldestOpenClaims.map(claim => (
+                  <tr key={claim._id} className="hover:bg-gray-50">
+                    <td className="px-6 py-4 text-sm font-mono text-gray-900">{claim.claimNumber}</td>
+                    <td className="px-6 py-4 text-sm text-gray-900">{personName(claim.patientUserId)}</td>
+                    <td className="px-6 py-4 text-sm text-gray-600">{claim.policy?.provider || '—'}</td>
+                    <td className="px-6 py-4 text-sm text-gray-600 capitalize">{claim.status.replace('-', ' ')}</td>
+                    <td className={`px-6 py-4 text-sm font-medium ${claim.ageInDays > 60 ? 'text-red-600' : 'text-gray-900'}`}>
+                      {claim.ageInDays} days
+                    </td>
+                    <td className="px-6 py-4 text-sm text-gray-900">{formatRupees(claim.outstandingAmount)}</td>
+                  </tr>
+                ))
+              )}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// Wallets & Ledger View Component
+const ENTRY_TYPE_LABELS = {
+  'top-up': 'Top-up',
+  payment: 'Wallet payment',
+  refund: 'Refund',
+  'package-purchase': 'Package purchase',
+  'package-redemption': 'Package credit used',
+  'package-reversal': 'Package credit returned',
+  'package-expiry': 'Package expired',
+  reversal: 'Reversal'
+};
+
+const LedgerView = ({ ledger, loading, onTogglePackage }) => {
+  if (loading || !ledger) return <LoadingSpinner />;
+
+  const { trialBalance, audit, entries, packages } = ledger;
+  const mismatches = [
+    ...audit.wallets.mismatches.map(mismatch => ({
+      key: `wallet-${mismatch.wallet._id}`,
+      label: `Wallet: ${personName(mismatch.wallet.userId)}`,
+      ...mismatch
+    })),
+    ...audit.packages.mismatches.map(mismatch => ({
+      key: `package-${mismatch.patientPackage._id}`,
+      label: `Package: ${mismatch.patientPackage.name || mismatch.patientPackage._id}`,
+      ...mismatch
+    }))
+  ];
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h2 className="text-2xl font-bold text-gray-900">Wallets &amp; Ledger</h2>
+        <p className="text-gray-600">Wallet balances and prepaid package credits, checked against the double-entry ledger.</p>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-4 gap-6">
+        <StatCard title="Wallet Balances" value={formatRupees(audit.wallets.totalBalance)} icon={Wallet} color="bg-emerald-500" />
+        <StatCard title="Unused Package Credits" value={formatRupees(audit.packages.totalDeferred)} icon={Package} color="bg-indigo-500" />
+        <StatCard title="Discrepancies" value={mismatches.length + audit.stalePendingEntries.length} icon={AlertCircle} color={audit.clean ? 'bg-green-500' : 'bg-red-500'} />
+        <StatCard title="Trial Balance" value={trialBalance.balanced ? 'Balanced' : 'Out of balance'} icon={trialBalance.balanced ? CheckCircle : XCircle} color={trialBalance.balanced ? 'bg-green-500' : 'bg-red-500'} />
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        <div className="bg-white rounded-xl shadow-sm border border-gray-100 p-6">
+          <h3 className="text-lg font-semibold text-gray-900 mb-4">Trial Balance</h3>
+          <table className="w-full">
+            <thead>
+              <tr className="text-left text-xs font-semibold text-gray-700 uppercase">
+                <th className="py-2">Account</th>
+                <th className="py-2 text-right">Debit</th>
+                <th className="py-2 text-right">Credit</th>
+                <th className="py-2 text-right">Balance</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {trialBalance.accounts.map(account => (
+                <tr key={account.account} className="text-sm">
+                  <td className="py-2 text-gray-900 capitalize">{account.account.replace('-', ' ')}</td>
+                  <td className="py-2 text-right text-gray-900">{formatRupees(account.debit)}</td>
+                  <td className="py-2 text-right text-gray-900">{formatRupees(account.credit)}</td>
+                  <td className="py-2 text-right font-medium text-gray-900">
+                    {formatRupees(account.balance)} <span className="text-xs text-gray-500">{account.normalSide === 'debit' ? 'Dr' : 'Cr'}</span>
+                  </td>
+                </tr>
+              ))}
+              <tr className="text-sm font-semibold">
+                <td className="py-2 text-gray-900">Total</td>
+                <td className="py-2 text-right text-gray-900">{formatRupees(trialBalance.totalDebit)}</td>
+                <td className="py-2 text-right text-gray-900">{formatRupees(trialBalance.totalCredit)}</td>
+                <td />
+              </tr>
+            </tbody>
+          </table>
+        </div>
+
+        <div className="bg-white rounded-xl shadow-sm border border-gray-100 p-6">
+          <h3 className="text-lg font-semibold text-gray-900 mb-4">Balance Audit</h3>
+          {audit.clean ? (
+            <div className="flex items-center gap-2 text-green-700 py-12 justify-center">
+              <CheckCircle className="w-5 h-5" />
+              All {audit.wallets.count} wallets and {audit.packages.count} packages agree with the ledger
+            </div>
+          ) : (
+            <table className="w-full">
+              <thead>
+                <tr className="text-left text-xs font-semibold text-gray-700 uppercase">
+                  <th className="py-2">Record</th>
+                  <th className="py-2 text-right">Recorded</th>
+                  <th className="py-2 text-right">Ledger</th>
+                  <th className="py-2 text-right">Difference</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {mismatches.map(mismatch => (
+                  <tr key={mismatch.key} className="text-sm">
+                    <td className="py-2 text-gray-900">{mismatch.label}</td>
+                    <td className="py-2 text-right text-gray-900">{formatRupees(mismatch.recorded)}</td>
+                    <td className="py-2 text-right text-gray-900">{formatRupees(mismatch.ledger)}</td>
+                    <td className="py-2 text-right font-medium text-red-600">{formatRupees(mismatch.difference)}</td>
+                  </tr>
+                ))}
+                {audit.stalePendingEntries.map(entry => (
+                  <tr key={entry._id} className="text-sm">
+                    <td className="py-2 text-gray-900">
+                      <span className="font-mono text-gray-500 mr-2">{entry.entryNumber}</span>
+                      stuck pending since {new Date(entry.createdAt).toLocaleString()}
+                    </td>
+                    <td colSpan="3" className="py-2 text-right text-gray-900">{formatRupees(entry.amount)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      </div>
+
+      <div className="bg-white rounded-xl shadow-sm border border-gray-100 overflow-hidden">
+        <div className="px-6 py-4 border-b border-gray-100">
+          <h3 className="text-lg font-semibold text-gray-900">Recent Journal Entries</h3>
+        </div>
+        <div className="overflow-x-auto">
+          <table className="w-full">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-4 text-left text-xs font-semibold text-gray-700 uppercase">Entry</th>
+                <th className="px-6 py-4 text-left text-xs font-semibold text-gray-700 uppercase">Type</th>
+                <th className="px-6 py-4 text-left text-xs font-semibold text-gray-700 uppercase">Lines</th>
+                <th className="px-6 py-4 text-left text-xs font-semibold text-gray-700 uppercase">Amount</th>
+                <th className="px-6 py-4 text-left text-xs font-semibold text-gray-700 uppercase">Posted</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {entries.length === 0 ? (
+                <tr>
+                  <td colSpan="5" className="px-6 py-12 text-center text-gray-500">No ledger entries yet</td>
+                </tr>
+              ) : (
+                entries.map(entry => (
+                  <tr key={entry._id} className="hover:bg-gray-50 align-top">
+                    <td className="px-6 py-4 text-sm">
+                      <div className="font-mono text-gray-900">{entry.entryNumber}</div>
+                      <div className="text-xs text-gray-500">{entry.description}</div>
+                    </td>
+                    <td className="px-6 py-4 text-sm text-gray-600">{ENTRY_TYPE_LABELS[entry.type] || entry.type}</td>
+                    <td className="px-6 py-4 text-xs text-gray-700 space-y-1">
+                      {entry.lines.map((line, index) => (
+                        <div key={index} className={line.direction === 'credit' ? 'pl-4' : ''}>
+                          {line.direction === 'debit' ? 'Dr' : 'Cr'} {line.account}
+                          {line.userId && <span className="text-gray-500"> ({personName(line.userId)})</span>}
+                          {' '}{formatRupees(line.amount)}
+                        </div>
+                      ))}
+                    </td>
+                    <td className="px-6 py-4 text-sm text-gray-900">{formatRupees(entry.amount)}</td>
+                    <td className="px-6 py-4 text-sm text-gray-600">{entry.postedAt ? new Date(entry.postedAt).toLocaleString() : '—'}</td>
+                  </tr>
+                ))
+              )}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      <div className="bg-white rounded-xl shadow-sm border border-gray-100 overflow-hidden">
+        <div className="px-6 py-4 border-b border-gray-100">
+          <h3 className="text-lg font-semibold text-gray-900">Health Packages</h3>
+        </div>
+        <div className="overflow-x-auto">
+          <table className="w-full">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-4 text-left text-xs font-semibold text-gray-700 uppercase">Package</th>
+                <th className="px-6 py-4 text-left text-xs font-semibold text-gray-700 uppercase">Includes</th>
+                <th className="px-6 py-4 text-left text-xs font-semibold text-gray-700 uppercase">Price</th>
+                <th className="px-6 py-4 text-left text-xs font-semibold text-gray-700 uppercase">Validity</th>
+                <th className="px-6 py-4 text-left text-xs font-semibold text-gray-700 uppercase">On Sale</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {packages.length === 0 ? (
+                <tr>
+                  <td colSpan="5" className="px-6 py-12 text-center text-gray-500">No health packages defined</td>
+                </tr>
+              ) : (
+                packages.map(healthPackage => (
+                  <tr key={healthPackage._id} className="hover:bg-gray-50">
+                    <td className="px-6 py-4 text-sm font-medium text-gray-900">{healthPackage.name}</td>
+                    <td className="px-6 py-4 text-sm text-gray-600">
+                      {healthPackage.entitlements.map(entitlement => `${entitlement.quantity} × ${entitlement.service.replace('-', ' ')}`).join(', ')}
+                    </td>
+                    <td className="px-6 py-4 text-sm text-gray-900">{formatRupees(healthPackage.price)}</td>
+                    <td className="px-6 py-4 text-sm text-gray-600">{healthPackage.validityDays} days</td>
+                    <td className="px-6 py-4 text-sm">
+                      <button
+                        onClick={() => onTogglePackage(healthPackage)}
+                        className={`px-3 py-1 rounded-full text-xs font-medium ${healthPackage.isActive ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-600'}`}
+                      >
+                        {healthPackage.isActive ? 'Active' : 'Withdrawn'}
+                      </button>
+                    </td>
+                  </tr>
+                ))
+              )}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// Payment Reconciliation View Component
+const DISCREPANCY_LABELS = {
+  'missing-payment': 'Settled, no payment here',
+  'amount-mismatch': 'Amount differs',
+  'status-mismatch': 'Settled, payment not complete',
+  'unsettled-payment': 'Not in settlement report',
+  'missing-refund': 'Settled refund, none here',
+  'refund-amount-mismatch': 'Refund amount differs'
+};
+
+const ReconciliationView = ({ reconciliation, loading, onRun, onImport, onResolve, onRetryEvent }) => {
+  if (loading || !reconciliation) return <LoadingSpinner />;
+
+  const { discrepancies, summary, pagination, failedEvents, failedEventCount } = reconciliation;
+  const entries = summary.settlementEntries;
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4">
+        <div>
+          <h2 className="text-2xl font-bold text-gray-900">Payment Reconciliation</h2>
+          <p className="text-gray-600">
+            Our payments checked against the Razorpay settlement report
+            {summary.lastImport && ` — last import ${summary.lastImport.fileName || 'via API'} on ${new Date(summary.lastImport.importedAt).toLocaleDateString()}`}
+          </p>
+        </div>
+        <div className="flex gap-3">
+          <label className="flex items-center gap-2 px-4 py-2 bg-white border border-gray-300 rounded-lg text-sm font-medium text-gray-700 hover:bg-gray-50 cursor-pointer">
+            <Upload className="w-4 h-4" />
+            Import settlement CSV
+            <input
+              type="file"
+              accept=".csv,text/csv"
+              className="hidden"
+              onChange={(e) => {
+                if (e.target.files[0]) onImport(e.target.files[0]);
+                e.target.value = '';
+              }}
+            />
+          </label>
+          <button
+            onClick={onRun}
+            className="flex items-center gap-2 px-4 py-2 bg-blue-600 text-white rounded-lg text-sm font-medium hover:bg-blue-700"
+          >
+            <RefreshCw className="w-4 h-4" />
+            Run reconciliation
+          </button>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-4 gap-6">
+        <StatCard title="Open Discrepancies" value={Object.values(summary.openByKind).reduce((sum, count) => sum + count, 0)} icon={AlertCircle} color="bg-red-500" />
+        <StatCard title="Settlement Lines Matched" value={entries.matched || 0} icon={CheckCircle} color="bg-green-500" />
+        <StatCard title="Settlement Lines Mismatched" value={entries.mismatched || 0} icon={XCircle} color="bg-orange-500" />
+        <StatCard title="Failed Webhook Events" value={failedEventCount} icon={Zap} color={failedEventCount ? 'bg-red-500' : 'bg-green-500'} />
+      </div>
+
+      <div className="bg-white rounded-xl shadow-sm border border-gray-100 overflow-hidden">
+        <div className="px-6 py-4 border-b border-gray-100 flex items-center justify-between">
+          <h3 className="text-lg font-semibold text-gray-900">Open Discrepancies</h3>
+          <span className="text-sm text-gray-500">{pagination.total} total</span>
+        </div>
+        <div className="overflow-x-auto">
+          <table className="w-full">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-4 text-left text-xs font-semibold text-gray-700 uppercase">Gateway Id</th>
+                <th className="px-6 py-4 text-left text-xs font-semibold text-gray-700 uppercase">Difference</th>
+                <th className="px-6 py-4 text-left text-xs font-semibold text-gray-700 uppercase">Ours</th>
+                <th className="px-6 py-4 text-left text-xs font-semibold text-gray-700 uppercase">Razorpay</th>
+                <th className="px-6 py-4 text-left text-xs font-semibold text-gray-700 uppercase">Last Seen</th>
+                <th className="px-6 py-4 text-left text-xs font-semibold text-gray-700 uppercase">Actions</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {discrepancies.length === 0 ? (
+                <tr>
+                  <td colSpan="6" className="px-6 py-12 text-center text-gray-500">Payments and settlements agree</td>
+                </tr>
+              ) : (
+                discrepancies.map(discrepancy => (
+                  <tr key={discrepancy._id} className="hover:bg-gray-50 align-top">
+                    <td className="px-6 py-4 text-sm font-mono text-gray-900">{discrepancy.gatewayEntityId}</td>
+                    <td className="px-6 py-4 text-sm">
+                      <div className="font-medium text-gray-900">{DISCREPANCY_LABELS[discrepancy.kind] || discrepancy.kind}</div>
+                      <div className="text-xs text-gray-500">{discrepancy.detail}</div>
+                    </td>
+                    <td className="px-6 py-4 text-sm text-gray-900">
+                      {discrepancy.expectedAmount != null ? formatRupees(discrepancy.expectedAmount) : '—'}
+                      {discrepancy.paymentId && <div className="text-xs text-gray-500 capitalize">{discrepancy.paymentId.status}</div>}
+                    </td>
+                    <td className="px-6 py-4 text-sm text-gray-900">
+                      {discrepancy.reportedAmount != null ? formatRupees(discrepancy.reportedAmount) : '—'}
+                    </td>
+                    <td className="px-6 py-4 text-sm text-gray-600">{new Date(discrepancy.lastDetectedAt).toLocaleDateString()}</td>
+                    <td className="px-6 py-4 text-sm">
+                      <button
+                        onClick={() => onResolve(discrepancy._id)}
+                        className="px-3 py-1 bg-green-100 text-green-800 rounded-lg text-xs font-medium hover:bg-green-200"
+                      >
+                        Resolve
+                      </button>
+                    </td>
+                  </tr>
+                ))
+              )}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      <div className="bg-white rounded-xl shadow-sm border border-gray-100 overflow-hidden">
+        <div className="px-6 py-4 border-b border-gray-100">
+          <h3 className="text-lg font-semibold text-gray-900">Failed Webhook Events</h3>
+        </div>
+        <div className="overflow-x-auto">
+          <table className="w-full">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-4 text-left text-xs font-semibold text-gray-700 uppercase">Event</th>
+                <th className="px-6 py-4 text-left text-xs font-semibold text-gray-700 uppercase">Error</th>
+                <th className="px-6 py-4 text-left text-xs font-semibold text-gray-700 uppercase">Attempts</th>
+                <th className="px-6 py-4 text-left text-xs font-semibold text-gray-700 uppercase">Next Retry</th>
+                <th className="px-6 py-4 text-left text-xs font-semibold text-gray-700 uppercase">Actions</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {failedEvents.length === 0 ? (
+                <tr>
+                  <td colSpan="5" className="px-6 py-12 text-center text-gray-500">No failed webhook events</td>
+                </tr>
+              ) : (
+                failedEvents.map(event => (
+                  <tr key={event._id} className="hover:bg-gray-50 align-top">
+                    <td className="px-6 py-4 text-sm">
+                      <div className="font-medium text-gray-900">{event.eventType}</div>
+                      <div className="text-xs font-mono text-gray-500">{event.eventId}</div>
+                    </td>
+                    <td className="px-6 py-4 text-sm text-red-600">{event.lastError}</td>
+                    <td className="px-6 py-4 text-sm text-gray-900">{event.attempts}</td>
+                    <td className="px-6 py-4 text-sm text-gray-600">
+                      {event.nextAttemptAt ? new Date(event.nextAttemptAt).toLocaleString() : 'Gave up'}
+                    </td>
+                    <td className="px-6 py-4 text-sm">
+                      <button
+                        onClick={() => onRetryEvent(event._id)}
+                        className="px-3 py-1 bg-blue-100 text-blue-800 rounded-lg text-xs font-medium hover:bg-blue-200"
+                      >
+                        Retry now
+                      </button>
+                    </td>
+                  </tr>
+                ))
+              )}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+};
+
 // System Health View Component
 const SystemHealthView = ({ systemHealth, systemMetrics, loading }) => (
   <div className="space-y-6">
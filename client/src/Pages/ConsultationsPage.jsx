@@ -41,6 +41,18 @@ const ConsultationsPage = () => {
   const [doctors, setDoctors] = useState([])
   const [loading, setLoading] = useState(true)
 
+  // Booking modal selections
+  const [bookingDate, setBookingDate] = useState('')
+  const [bookingTime, setBookingTime] = useState('')
+  const [bookingType, setBookingType] = useState('in-person')
+  const [slots, setSlots] = useState([])
+  const [slotsLoading, setSlotsLoading] = useState(false)
+
+  // Waitlist form, shown when the patient can't find a suitable slot
+  const [showWaitlist, setShowWaitlist] = useState(false)
+  const [waitlistUntil, setWaitlistUntil] = useState('')
+  const [joiningWaitlist, setJoiningWaitlist] = useState(false)
+
   // Fetch specialties counts on mount
   useEffect(() => {
     const fetchSpecialties = async () => {
@@ -85,6 +97,64 @@ const ConsultationsPage = () => {
     fetchDoctors()
   }, [selectedSpecialty, specialties])
 
+  // Fetch real slots for the chosen doctor, date and consultation type
+  useEffect(() => {
+    if (!selectedDoctor || !bookingDate) {
+      setSlots([])
+      return
+    }
+    const fetchSlots = async () => {
+      try {
+        setSlotsLoading(true)
+        const response = await apiCall(
+          `/appointments/availability/${selectedDoctor._id}?date=${bookingDate}&appointmentType=${bookingType}`
+        )
+        setSlots(response.data?.availableSlots || [])
+      } catch (error) {
+        console.error("Failed to fetch slots:", error)
+        setSlots([])
+      } finally {
+        setSlotsLoading(false)
+      }
+    }
+    setBookingTime('')
+    fetchSlots()
+  }, [selectedDoctor, bookingDate, bookingType, apiCall])
+
+  const closeBooking = () => {
+    setSelectedDoctor(null)
+    setBookingDate('')
+    setBookingTime('')
+    setBookingType('in-person')
+    setShowWaitlist(false)
+    setWaitlistUntil('')
+  }
+
+  const joinWaitlist = async () => {
+    if (!bookingDate) {
+      toast.error('Pick the earliest date you could attend')
+      return
+    }
+    try {
+      setJoiningWaitlist(true)
+      await apiCall('/waitlist', {
+        method: 'POST',
+        body: {
+          doctorId: selectedDoctor._id,
+          appointmentType: bookingType,
+          dateFrom: bookingDate,
+          dateTo: waitlistUntil || bookingDate
+        }
+      })
+      toast.success("You're on the waitlist. We'll notify you if a slot opens up.")
+      closeBooking()
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Could not join the waitlist')
+    } finally {
+      setJoiningWaitlist(false)
+    }
+  }
+
   const filteredDoctors = doctors
 
   return (
@@ -268,7 +338,7 @@ const ConsultationsPage = () => {
               <div className="flex justify-between items-center mb-6">
                 <h3 className="text-xl font-bold">Book Appointment</h3>
                 <button
-                  onClick={() => setSelectedDoctor(null)}
+                  onClick={closeBooking}
                   className="text-gray-400 hover:text-gray-600"
                 >
                   ✕
@@ -290,26 +360,13 @@ const ConsultationsPage = () => {
                   </label>
                   <input
                     type="date"
+                    value={bookingDate}
+                    min={new Date().toISOString().split('T')[0]}
+                    onChange={(e) => setBookingDate(e.target.value)}
                     className="w-full px-4 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
                   />
                 </div>
 
-                <div>
-                  <label className="block text-sm font-medium text-gray-700 mb-2">
-                    Select Time Slot
-                  </label>
-                  <div className="grid grid-cols-3 gap-2">
-                    {['10:00 AM', '11:00 AM', '02:00 PM', '03:00 PM', '04:00 PM'].map((time) => (
-                      <button
-                        key={time}
-                        className="px-3 py-2 border rounded-lg hover:bg-blue-50 hover:border-blue-500"
-                      >
-                        {time}
-                      </button>
-                    ))}
-                  </div>
-                </div>
-
                 <div>
                   <label className="block text-sm font-medium text-gray-700 mb-2">
                     Consultation Type
@@ -318,7 +375,10 @@ const ConsultationsPage = () => {
                     {consultationTypes.map((type) => (
                       <button
                         key={type.type}
-                        className="flex-1 flex items-center justify-center gap-2 px-4 py-2 border rounded-lg hover:bg-blue-50"
+                        onClick={() => setBookingType(type.type)}
+                        className={`flex-1 flex items-center justify-center gap-2 px-4 py-2 border rounded-lg hover:bg-blue-50 ${
+                          bookingType === type.type ? 'border-blue-500 bg-blue-50 text-blue-700' : ''
+                        }`}
                       >
                         {type.icon}
                         <span className="text-sm">{type.label}</span>
@@ -326,26 +386,97 @@ const ConsultationsPage = () => {
                     ))}
                   </div>
                 </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Select Time Slot
+                  </label>
+                  {!bookingDate ? (
+                    <p className="text-sm text-gray-500">Pick a date to see open slots</p>
+                  ) : slotsLoading ? (
+                    <p className="text-sm text-gray-500">Loading slots...</p>
+                  ) : slots.length === 0 ? (
+                    <p className="text-sm text-gray-500">No slots available on this date</p>
+                  ) : (
+                    <div className="grid grid-cols-3 gap-2 max-h-48 overflow-y-auto">
+                      {slots.map((slot) => (
+                        <button
+                          key={slot.time}
+                          disabled={!slot.available}
+                          onClick={() => setBookingTime(slot.time)}
+                          className={`px-3 py-2 border rounded-lg text-sm disabled:opacity-40 disabled:cursor-not-allowed ${
+                            bookingTime === slot.time
+                              ? 'border-blue-500 bg-blue-50 text-blue-700'
+                              : 'hover:bg-blue-50 hover:border-blue-500'
+                          }`}
+                        >
+                          {slot.time}
+                          {bookingType === 'video' && slot.capacity > 1 && (
+                            <span className="block text-xs text-gray-500">
+                              {slot.capacity - slot.videoCount} left
+                            </span>
+                          )}
+                        </button>
+                      ))}
+                    </div>
+                  )}
+                  {bookingDate && !slotsLoading && (
+                    <button
+                      onClick={() => setShowWaitlist(!showWaitlist)}
+                      className="mt-2 text-sm text-blue-600 hover:underline"
+                    >
+                      Can't find a time? Join the waitlist
+                    </button>
+                  )}
+                </div>
+
+                {showWaitlist && (
+                  <div className="p-4 bg-blue-50 rounded-lg border border-blue-200 space-y-3">
+                    <p className="text-sm text-gray-700">
+                      We'll offer you the first {bookingType} slot that frees up between {bookingDate} and the date below.
+                      You'll have a limited time to accept it.
+                    </p>
+                    <input
+                      type="date"
+                      value={waitlistUntil}
+                      min={bookingDate}
+                      onChange={(e) => setWaitlistUntil(e.target.value)}
+                      className="w-full px-4 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    />
+                    <button
+                      onClick={joinWaitlist}
+                      disabled={joiningWaitlist}
+                      className="w-full bg-blue-600 text-white py-2 rounded-lg hover:bg-blue-700 disabled:opacity-50"
+                    >
+                      {joiningWaitlist ? 'Joining...' : 'Join Waitlist'}
+                    </button>
+                  </div>
+                )}
               </div>
 
               <div className="mt-8 flex gap-3">
                 <button
-                  onClick={() => setSelectedDoctor(null)}
+                  onClick={closeBooking}
                   className="flex-1 border border-gray-300 text-gray-700 py-3 rounded-lg hover:bg-gray-50"
                 >
                   Cancel
                 </button>
                 <button
+                  disabled={!bookingDate || !bookingTime}
                   onClick={() => {
-                    // Store minimal appointment info
-                    const info = { doctor: selectedDoctor }
+                    // The slot is held for the patient once checkout opens
+                    const info = {
+                      doctor: selectedDoctor,
+                      date: bookingDate,
+                      time: bookingTime,
+                      appointmentType: bookingType
+                    }
                     setAppointmentInfo(info)
-                    toast.success('Appointment booked successfully!')
                     // Navigate to payment page with state
                     navigate('/services/payment', { state: { appointmentInfo: info } })
-                    setSelectedDoctor(null)
+                    closeBooking()
                   }}
-                  className="flex-1 bg-gradient-to-r from-blue-500 to-cyan-600 text-white py-3 rounded-lg hover:shadow-lg"
+                  className="flex-1 bg-gradient-to-r from-blue-500 to-cyan-600 text-white py-3 rounded-lg hover:shadow-lg disabled:opacity-50 disabled:cursor-not-allowed"
                 >
                   Confirm Booking
                 </button>
@@ -36,13 +36,19 @@ import {
   CheckCircle,
   Plus,
   RefreshCw,
-  AlertTriangle
+  AlertTriangle,
+  Inbox
 } from 'lucide-react';
 import { useNavigate } from 'react-router-dom';
 import { useAppContext } from '../context/AppContext';
 import AiAssistance from './AIAssistantPage';
 import Telemedicine from './services/Telemedicine';
 import HealthReports from './services/HealthReports';
+import FollowUpSeries from './services/FollowUpSeries';
+import PrescriptionPad from './services/PrescriptionPad';
+import PatientAdherence from './services/PatientAdherence';
+import RefillInbox from './services/RefillInbox';
+import SessionsPanel from './services/SessionsPanel';
 import { doctorService } from './services/DoctorApi';
 
 const DoctorPortal = () => {
@@ -162,8 +168,10 @@ const DoctorPortal = () => {
     { id: 'dashboard', label: 'Dashboard', icon: BarChart3 },
     { id: 'patients', label: 'My Patients', icon: Users },
     { id: 'appointments', label: 'Appointments', icon: Calendar },
+    { id: 'follow-ups', label: 'Follow-up Series', icon: RefreshCw },
     { id: 'consultations', label: 'Video Consultations', icon: Video },
     { id: 'prescriptions', label: 'Prescriptions', icon: Pill },
+    { id: 'refill-requests', label: 'Refill Requests', icon: Inbox },
     { id: 'ai-assist', label: 'AI Assistant', icon: Brain },
     { id: 'ai-intake', label: 'AI Intake Review', icon: Brain },
     { id: 'reports', label: 'Medical Reports', icon: FileText },
@@ -561,6 +569,7 @@ const DoctorPortal = () => {
   const PatientsContent = () => {
     const [patients, setPatients] = useState([]);
     const [patientsLoading, setPatientsLoading] = useState(true);
+    const [viewingPatientId, setViewingPatientId] = useState(null);
 
     useEffect(() => {
       const loadPatients = async () => {
@@ -659,7 +668,7 @@ const DoctorPortal = () => {
                             <td className="px-3 py-2 md:px-4 md:py-3 whitespace-nowrap">
                               <div className="flex items-center gap-1 md:gap-2">
                                 <button 
-                                  onClick={() => alert(`Viewing ${patient.name}'s profile`)}
+                                  onClick={() => setViewingPatientId(patient.id)}
                                   className="p-1 md:p-1.5 hover:bg-blue-50 rounded text-blue-600 transition-colors"
                                 >
                                   <Eye className="w-3 h-3 md:w-4 md:h-4" />
@@ -694,6 +703,10 @@ const DoctorPortal = () => {
             </div>
           )}
         </div>
+
+        {viewingPatientId && (
+          <PatientAdherence patientId={viewingPatientId} onClose={() => setViewingPatientId(null)} />
+        )}
       </div>
     );
   };
@@ -825,6 +838,8 @@ const DoctorPortal = () => {
                 Save Changes
               </button>
             </div>
+
+            <SessionsPanel />
           </div>
 
           {/* Availability Settings */}
@@ -1414,6 +1429,9 @@ const DoctorPortal = () => {
             {activeTab === 'dashboard' && <DashboardContent />}
             {activeTab === 'patients' && <PatientsContent />}
             {activeTab === 'appointments' && <AppointmentsContent />}
+            {activeTab === 'follow-ups' && <FollowUpSeries />}
+            {activeTab === 'prescriptions' && <PrescriptionPad />}
+            {activeTab === 'refill-requests' && <RefillInbox />}
             {activeTab === 'consultations' && <Telemedicine role="doctor" />}
             {activeTab === 'ai-assist' && <AiAssistance role="doctor" />}
             {activeTab === 'ai-intake' && <AIIntakeReviewContent />}
@@ -1423,6 +1441,9 @@ const DoctorPortal = () => {
             {activeTab !== 'dashboard' &&
             activeTab !== 'patients' &&
             activeTab !== 'appointments' &&
+            activeTab !== 'follow-ups' &&
+            activeTab !== 'prescriptions' &&
+            activeTab !== 'refill-requests' &&
             activeTab !== 'consultations' &&
             activeTab !== 'ai-assist' &&
             activeTab !== 'reports' &&
@@ -10,7 +10,10 @@ import {
   EyeOff,
   Heart,
   ArrowLeft,
-  X
+  X,
+  ShieldCheck,
+  KeyRound,
+  Copy
 } from 'lucide-react';
 import { useLocation, useNavigate } from 'react-router-dom';
 import { AnimatePresence, motion } from 'framer-motion';
@@ -18,13 +21,167 @@ import { useAppContext } from '../context/AppContext';
 import GoogleLoginButton from '../components/GoogleLoginButton'; // ✅ Add this import
 import healthcareLogoFont from '../assets/healthcare-logofont.png';
 
+/* ---------------- Two-Factor Challenge ---------------- */
+const TwoFactorChallenge = () => {
+  const {
+    twoFactorChallenge,
+    startTwoFactorSetup,
+    verifyTwoFactor,
+    acknowledgeRecoveryCodes,
+    cancelTwoFactor
+  } = useAppContext();
+
+  const [code, setCode] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const [setup, setSetup] = useState(null);
+  const [error, setError] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  const { setupRequired, recoveryCodes } = twoFactorChallenge;
+
+  // Users who must enrol get their QR code straight away
+  useEffect(() => {
+    if (!setupRequired || setup) return;
+    startTwoFactorSetup()
+      .then(setSetup)
+      .catch(err => setError(err?.response?.data?.message || 'Could not start two-factor setup'));
+  }, [setupRequired, setup, startTwoFactorSetup]);
+
+  const handleVerify = async (e) => {
+    e.preventDefault();
+    if (submitting || !code.trim()) return;
+    setSubmitting(true);
+    setError('');
+    try {
+      await verifyTwoFactor(useRecoveryCode ? { recoveryCode: code.trim() } : { code: code.trim() });
+    } catch (err) {
+      setError(err?.response?.data?.message || 'Verification failed');
+      setCode('');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const copyRecoveryCodes = () => {
+    navigator.clipboard?.writeText(recoveryCodes.join('\n'));
+    toast.success('Recovery codes copied');
+  };
+
+  /* Recovery codes, shown once right after enrolment */
+  if (recoveryCodes) {
+    return (
+      <div className="space-y-4">
+        <div className="text-center">
+          <KeyRound className="w-10 h-10 text-green-600 mx-auto mb-2" />
+          <h2 className="text-xl font-bold">Save your recovery codes</h2>
+          <p className="text-sm text-gray-600 mt-1">
+            Each code signs you in once if you lose your phone. They won&apos;t be shown again.
+          </p>
+        </div>
+        <div className="grid grid-cols-2 gap-2 bg-gray-50 border rounded p-4 font-mono text-sm text-center">
+          {recoveryCodes.map(recoveryCode => <span key={recoveryCode}>{recoveryCode}</span>)}
+        </div>
+        <button
+          type="button"
+          onClick={copyRecoveryCodes}
+          className="w-full flex items-center justify-center gap-2 border border-blue-600 text-blue-600 py-2 rounded hover:bg-blue-50"
+        >
+          <Copy className="w-4 h-4" /> Copy codes
+        </button>
+        <button
+          type="button"
+          onClick={acknowledgeRecoveryCodes}
+          className="w-full bg-blue-600 text-white py-3 rounded hover:bg-blue-700 transition-colors"
+        >
+          I&apos;ve saved these codes
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <form onSubmit={handleVerify} className="space-y-4">
+      <div className="text-center">
+        <ShieldCheck className="w-10 h-10 text-blue-600 mx-auto mb-2" />
+        <h2 className="text-xl font-bold">
+          {setupRequired ? 'Set up two-factor authentication' : 'Two-factor authentication'}
+        </h2>
+        <p className="text-sm text-gray-600 mt-1">
+          {setupRequired
+            ? 'Your account requires an authenticator app. Scan the QR code, then enter the 6-digit code it shows.'
+            : useRecoveryCode
+              ? 'Enter one of your recovery codes.'
+              : 'Enter the 6-digit code from your authenticator app.'}
+        </p>
+      </div>
+
+      {setupRequired && (
+        setup ? (
+          <div className="text-center">
+            <img src={setup.qrCode} alt="Authenticator QR code" className="w-44 h-44 mx-auto border rounded" />
+            <p className="text-xs text-gray-500 mt-2">Can&apos;t scan? Enter this key:</p>
+            <p className="font-mono text-xs break-all bg-gray-50 border rounded p-2 mt-1">{setup.secret}</p>
+          </div>
+        ) : (
+          !error && <p className="text-center text-sm text-gray-500">Generating QR code...</p>
+        )
+      )}
+
+      <input
+        value={code}
+        onChange={(e) => setCode(e.target.value)}
+        placeholder={useRecoveryCode ? 'xxxxx-xxxxx' : '123456'}
+        inputMode={useRecoveryCode ? 'text' : 'numeric'}
+        autoComplete="one-time-code"
+        maxLength={useRecoveryCode ? 11 : 6}
+        className="border p-3 rounded w-full text-center tracking-widest font-mono text-lg"
+        autoFocus
+        required
+      />
+
+      {error && <p className="text-sm text-red-600 text-center">{error}</p>}
+
+      <button
+        type="submit"
+        disabled={submitting || (setupRequired && !setup)}
+        className="w-full bg-blue-600 text-white py-3 rounded hover:bg-blue-700 transition-colors disabled:bg-blue-400"
+      >
+        {submitting ? 'Verifying...' : (setupRequired ? 'Verify and enable' : 'Verify')}
+      </button>
+
+      {!setupRequired && (
+        <button
+          type="button"
+          onClick={() => {
+            setUseRecoveryCode(!useRecoveryCode);
+            setCode('');
+            setError('');
+          }}
+          className="text-blue-600 text-sm hover:underline w-full text-center"
+        >
+          {useRecoveryCode ? 'Use authenticator app instead' : 'Use a recovery code'}
+        </button>
+      )}
+
+      <button
+        type="button"
+        onClick={cancelTwoFactor}
+        className="flex items-center justify-center text-gray-600 text-sm w-full hover:text-blue-600"
+      >
+        <ArrowLeft className="w-4 h-4 mr-2" /> Back to Login
+      </button>
+    </form>
+  );
+};
+
 const LoginSignUpPage = () => {
   const {
     registerUser,
     loginUser,
     forgotPassword,
     loading,
-    user
+    user,
+    twoFactorChallenge
   } = useAppContext();
 
   const location = useLocation();
@@ -206,6 +363,17 @@ const LoginSignUpPage = () => {
     );
   }
 
+  /* ---------------- Two-Factor UI ---------------- */
+  if (twoFactorChallenge) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gray-100 p-4">
+        <div className="bg-white p-8 rounded-xl shadow-xl w-full max-w-md">
+          <TwoFactorChallenge />
+        </div>
+      </div>
+    );
+  }
+
   /* ---------------- Main UI ---------------- */
   return (
     <div className="min-h-screen flex items-center justify-center bg-gray-100 p-4">
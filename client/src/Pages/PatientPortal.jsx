@@ -33,7 +33,9 @@ import {
   CheckCircle,
   AlertCircle,
   Sparkles,
-  Mic
+  Mic,
+  Receipt,
+  Wallet as WalletIcon
 } from 'lucide-react';
 import AiAssistance from './AIAssistantPage';
 import Telemedicine from './services/Telemedicine';
@@ -41,6 +43,10 @@ import HealthReports from './services/HealthReports';
 import PharmacyPage from './PharmacyPage';
 import EmergencyPage from './EmergencyPage';
 import PaymentGateway from '../components/PaymentGateway';
+import RecordAccessLog from './services/RecordAccessLog';
+import Invoices from './services/Invoices';
+import Wallet from './services/Wallet';
+import SessionsPanel from './services/SessionsPanel';
 
 
 
@@ -193,6 +199,9 @@ const PatientPortal = () => {
     { id: 'pharmacy', label: 'Pharmacy', icon: Pill },
     { id: 'telemedicine', label: 'Telemedicine', icon: Video },
     { id: 'emergency', label: 'Emergency', icon: Ambulance },
+    { id: 'invoices', label: 'Invoices', icon: Receipt },
+    { id: 'wallet', label: 'Wallet', icon: WalletIcon },
+    { id: 'access-log', label: 'Record Access', icon: Eye },
     { id: 'settings', label: 'Settings', icon: Settings }
   ];
 
@@ -832,6 +841,8 @@ const PatientPortal = () => {
                 Save Changes
               </button>
             </div>
+
+            <SessionsPanel />
           </div>
 
           {/* Quick Settings */}
@@ -1322,6 +1333,11 @@ const PatientPortal = () => {
 
             {activeTab === 'emergency' && <EmergencyPage role="patient" />}
 
+            {activeTab === 'invoices' && <Invoices />}
+            {activeTab === 'wallet' && <Wallet />}
+
+            {activeTab === 'access-log' && <RecordAccessLog />}
+
             {activeTab === 'settings' && <SettingsContent />}
 
             {![
@@ -1332,6 +1348,8 @@ const PatientPortal = () => {
               'pharmacy',
               'telemedicine',
               'emergency',
+              'invoices',
+              'access-log',
               'settings'
             ].includes(activeTab) && <OtherTabContent />}
           </div>
@@ -1,11 +1,11 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { useLocation, useNavigate } from 'react-router-dom';
 import { toast } from 'react-toastify';
 import {
   CreditCard, Smartphone, Building2, Wallet,
-  Shield, Loader2, CheckCircle, ArrowLeft
+  Shield, Loader2, CheckCircle, ArrowLeft, Clock, Package
 } from 'lucide-react';
-import { paymentAPI } from './services/api';
+import { paymentAPI, appointmentAPI, walletAPI } from './services/api';
 
 /* ── load Razorpay SDK ── */
 const loadRazorpay = () =>
@@ -26,12 +26,20 @@ const METHODS = [
   { id: 'cod',        label: 'Cash on Delivery',      sub: 'Pay when delivered',         icon: Wallet,       color: 'yellow' },
 ];
 
+/* Offered only when the patient's wallet or packages can cover the visit */
+const PREPAID_METHODS = [
+  { id: 'hc-wallet',  label: 'HealthCare Wallet',     icon: Wallet,      color: 'teal'   },
+  { id: 'package',    label: 'Health Package',        icon: Package,     color: 'indigo' },
+];
+
 const COLOR = {
   violet: { border: 'border-violet-500', bg: 'bg-violet-50',  icon: 'bg-violet-100 text-violet-600', btn: 'from-violet-600 to-purple-600' },
   blue:   { border: 'border-blue-500',   bg: 'bg-blue-50',    icon: 'bg-blue-100 text-blue-600',     btn: 'from-blue-600 to-cyan-600'     },
   green:  { border: 'border-green-500',  bg: 'bg-green-50',   icon: 'bg-green-100 text-green-600',   btn: 'from-green-600 to-emerald-600' },
   orange: { border: 'border-orange-500', bg: 'bg-orange-50',  icon: 'bg-orange-100 text-orange-600', btn: 'from-orange-500 to-red-500'    },
   yellow: { border: 'border-yellow-500', bg: 'bg-yellow-50',  icon: 'bg-yellow-100 text-yellow-700', btn: 'from-yellow-500 to-orange-500' },
+  teal:   { border: 'border-teal-500',   bg: 'bg-teal-50',    icon: 'bg-teal-100 text-teal-600',     btn: 'from-teal-600 to-emerald-600'  },
+  indigo: { border: 'border-indigo-500', bg: 'bg-indigo-50',  icon: 'bg-indigo-100 text-indigo-600', btn: 'from-indigo-600 to-violet-600'  },
 };
 
 const BANKS = ['SBI', 'HDFC', 'ICICI', 'Axis', 'Kotak', 'Yes Bank', 'PNB', 'BOB'];
@@ -72,7 +80,90 @@ const PaymentPage = () => {
   /* Wallet */
   const [selectedWallet, setSelectedWallet] = useState('paytm');
 
-  const c = COLOR[METHODS.find((m) => m.id === selectedMethod)?.color || 'green'];
+  /* Slot hold — keeps the chosen slot reserved while the patient pays */
+  const hasSlot = Boolean(appointmentInfo?.date && appointmentInfo?.time);
+  const [hold, setHold] = useState(null);
+  const [holdError, setHoldError] = useState('');
+  const [secondsLeft, setSecondsLeft] = useState(0);
+  const holdRef = useRef(null);
+  const bookedRef = useRef(false);
+
+  useEffect(() => {
+    if (!doctor || !hasSlot) return undefined;
+    let cancelled = false;
+
+    appointmentAPI.createHold({
+      doctorId: doctor._id,
+      date: appointmentInfo.date,
+      time: appointmentInfo.time,
+      appointmentType: appointmentInfo.appointmentType,
+    })
+      .then((res) => {
+        const data = res.data.data;
+        if (cancelled) {
+          appointmentAPI.releaseHold(data.holdId).catch(() => {});
+          return;
+        }
+        holdRef.current = data.holdId;
+        setHold(data);
+      })
+      .catch((err) => {
+        if (!cancelled) setHoldError(err.response?.data?.message || 'This slot is no longer available.');
+      });
+
+    return () => {
+      cancelled = true;
+      // Give the slot back if the patient leaves checkout without booking
+      if (holdRef.current && !bookedRef.current) {
+        appointmentAPI.releaseHold(holdRef.current).catch(() => {});
+        holdRef.current = null;
+      }
+    };
+  }, [doctor, hasSlot, appointmentInfo?.date, appointmentInfo?.time, appointmentInfo?.appointmentType]);
+
+  useEffect(() => {
+    if (!hold?.expiresAt) return undefined;
+    const tick = () => setSecondsLeft(Math.max(0, Math.round((new Date(hold.expiresAt) - Date.now()) / 1000)));
+    tick();
+    const timer = setInterval(tick, 1000);
+    return () => clearInterval(timer);
+  }, [hold]);
+
+  const holdExpired = Boolean(hold) && secondsLeft === 0;
+
+  /* Wallet balance and package credits the patient could pay with instead */
+  const [walletBalance, setWalletBalance] = useState(null);
+  const [packageCredits, setPackageCredits] = useState(0);
+
+  useEffect(() => {
+    if (!doctor) return;
+    walletAPI.getWallet({ limit: 1 })
+      .then((res) => setWalletBalance(res.data.data?.wallet?.balance ?? 0))
+      .catch(() => setWalletBalance(null));
+    walletAPI.getMyPackages({ status: 'active' })
+      .then((res) => {
+        const credits = (res.data.data?.packages || [])
+          .flatMap((p) => p.credits || [])
+          .filter((credit) => credit.service === 'consultation')
+          .reduce((sum, credit) => sum + credit.remaining, 0);
+        setPackageCredits(credits);
+      })
+      .catch(() => setPackageCredits(0));
+  }, [doctor]);
+
+  const methods = [
+    ...PREPAID_METHODS
+      .filter((m) => (m.id === 'hc-wallet' ? walletBalance !== null && walletBalance >= amount : packageCredits > 0 && hasSlot))
+      .map((m) => ({
+        ...m,
+        sub: m.id === 'hc-wallet'
+          ? `Balance ₹${walletBalance.toFixed(2)}`
+          : `${packageCredits} consultation credit${packageCredits === 1 ? '' : 's'} left`,
+      })),
+    ...METHODS,
+  ];
+
+  const c = COLOR[methods.find((m) => m.id === selectedMethod)?.color || 'green'];
 
   const openRazorpay = async (method) => {
     const loaded = await loadRazorpay();
@@ -85,10 +176,13 @@ const PaymentPage = () => {
         currency: 'INR',
         serviceType: 'consultation',
         description: `Consultation with ${doctor?.name}`,
+        holdId: hold?.holdId,
         metadata: { doctorName: doctor?.name, specialty: doctor?.specialty },
       });
       orderData = res.data.data;
-    } catch {
+    } catch (err) {
+      /* an expired slot hold must not be paid for */
+      if (err.response?.status === 410) throw new Error(err.response.data?.message);
       /* fallback: skip backend order if not available (demo) */
       orderData = { orderId: null, amount: amount * 100, currency: 'INR', paymentId: 'demo_' + Date.now() };
     }
@@ -115,6 +209,7 @@ const PaymentPage = () => {
           paymentId:  orderData.paymentId,
           razorpayId: resp.razorpay_payment_id,
           orderId:    resp.razorpay_order_id,
+          signature:  resp.razorpay_signature,
           method,
         }),
       };
@@ -130,22 +225,67 @@ const PaymentPage = () => {
     method: 'cod',
   });
 
+  /* Paid at once from the wallet balance, no gateway involved */
+  const payFromWallet = async () => {
+    const res = await paymentAPI.createOrder({
+      amount,
+      currency: 'INR',
+      serviceType: 'consultation',
+      description: `Consultation with ${doctor?.name}`,
+      holdId: hold?.holdId,
+      paymentMethod: 'wallet',
+      metadata: { doctorName: doctor?.name, specialty: doctor?.specialty },
+    });
+    return { paymentId: res.data.data.paymentId, orderId: res.data.data.orderId, method: 'hc-wallet' };
+  };
+
+  /* Turn the held slot into an appointment once payment is settled */
+  const bookHeldSlot = async (options = {}) => {
+    if (!hold) return;
+    await appointmentAPI.schedule({
+      doctorId:        doctor._id,
+      appointmentDate: appointmentInfo.date,
+      appointmentTime: appointmentInfo.time,
+      type:            appointmentInfo.appointmentType,
+      holdId:          hold.holdId,
+      ...options,
+    });
+    bookedRef.current = true;
+  };
+
   const handlePay = async () => {
+    if (hasSlot && (!hold || holdExpired)) {
+      toast.error(holdError || 'Your slot hold has expired. Please choose a time slot again.');
+      return;
+    }
     setIsProcessing(true);
     try {
       let result;
       if (selectedMethod === 'cod') {
         result = handleCOD();
+      } else if (selectedMethod === 'hc-wallet') {
+        result = await payFromWallet();
+      } else if (selectedMethod === 'package') {
+        /* The booking itself uses up a package credit */
+        result = { paymentId: 'package_' + Date.now(), method: 'package' };
       } else {
         result = await openRazorpay(selectedMethod);
+        if (result.orderId) {
+          await paymentAPI.confirmPayment({
+            razorpay_order_id:   result.orderId,
+            razorpay_payment_id: result.razorpayId,
+            razorpay_signature:  result.signature,
+          });
+        }
       }
+      await bookHeldSlot(selectedMethod === 'package' ? { usePackage: true, packageService: 'consultation' } : {});
 
       setSuccess(true);
       const receipt = {
         receiptId: 'RCPT-' + Math.random().toString(36).substr(2, 9).toUpperCase(),
         doctorName:  doctor?.name,
         specialty:   doctor?.specialty,
-        amount:      doctor?.price,
+        amount:      selectedMethod === 'package' ? 0 : doctor?.price,
         date:        new Date().toLocaleString(),
         method:      selectedMethod,
         paymentId:   result.paymentId || result.razorpayId,
@@ -154,7 +294,7 @@ const PaymentPage = () => {
       setTimeout(() => navigate('/services/receipt', { state: { receipt } }), 1500);
     } catch (err) {
       if (err.message !== 'dismissed') {
-        toast.error(err.message || 'Payment failed. Please try again.');
+        toast.error(err.response?.data?.message || err.message || 'Payment failed. Please try again.');
       }
       setIsProcessing(false);
     }
@@ -201,14 +341,35 @@ const PaymentPage = () => {
           <div className={`p-6 bg-gradient-to-r ${c.btn} text-white`}>
             <h2 className="text-2xl font-bold">Pay for {doctor.name}</h2>
             <p className="opacity-90 mt-1">{doctor.specialty}</p>
+            {hasSlot && (
+              <p className="opacity-90 mt-1 text-sm">
+                {appointmentInfo.date} at {appointmentInfo.time} • {appointmentInfo.appointmentType}
+              </p>
+            )}
             <div className="text-4xl font-bold mt-3">₹{amount.toFixed(2)}</div>
           </div>
 
           <div className="p-6">
+            {/* Slot hold status */}
+            {hasSlot && (
+              <div className={`mb-5 p-3 rounded-xl border text-sm flex items-center gap-2 ${
+                holdError || holdExpired ? 'bg-red-50 border-red-200 text-red-700' : 'bg-blue-50 border-blue-200 text-blue-700'
+              }`}>
+                <Clock className="w-4 h-4" />
+                {holdError
+                  ? holdError
+                  : !hold
+                    ? 'Reserving your slot...'
+                    : holdExpired
+                      ? 'Your slot hold has expired. Please go back and pick a slot again.'
+                      : `Slot reserved for ${Math.floor(secondsLeft / 60)}:${String(secondsLeft % 60).padStart(2, '0')}`}
+              </div>
+            )}
+
             {/* Method selector */}
             <h3 className="font-semibold text-gray-700 mb-3">Select Payment Method</h3>
             <div className="space-y-2 mb-6">
-              {METHODS.map((m) => {
+              {methods.map((m) => {
                 const Icon = m.icon;
                 const mc = COLOR[m.color];
                 return (
@@ -304,6 +465,24 @@ const PaymentPage = () => {
               </div>
             )}
 
+            {/* HealthCare Wallet */}
+            {selectedMethod === 'hc-wallet' && (
+              <div className="mb-5 p-4 bg-teal-50 rounded-xl border border-teal-200">
+                <p className="font-semibold text-teal-800">Paid from your wallet balance</p>
+                <p className="text-sm text-teal-700 mt-1">
+                  ₹{Math.max(0, (walletBalance || 0) - amount).toFixed(2)} will remain after this payment.
+                </p>
+              </div>
+            )}
+
+            {/* Health Package */}
+            {selectedMethod === 'package' && (
+              <div className="mb-5 p-4 bg-indigo-50 rounded-xl border border-indigo-200">
+                <p className="font-semibold text-indigo-800">Uses one consultation credit</p>
+                <p className="text-sm text-indigo-700 mt-1">Nothing to pay now. The credit is returned if you cancel in time.</p>
+              </div>
+            )}
+
             {/* COD */}
             {selectedMethod === 'cod' && (
               <div className="mb-5 p-4 bg-yellow-50 rounded-xl border border-yellow-300">
@@ -312,7 +491,7 @@ const PaymentPage = () => {
               </div>
             )}
 
-            <button onClick={handlePay} disabled={isProcessing}
+            <button onClick={handlePay} disabled={isProcessing || (hasSlot && (!hold || holdExpired))}
               className={`w-full bg-gradient-to-r ${c.btn} text-white py-4 rounded-xl font-bold text-lg hover:shadow-xl transition-all disabled:opacity-70 disabled:cursor-not-allowed`}>
               {isProcessing ? (
                 <span className="flex items-center justify-center gap-2">
@@ -320,7 +499,11 @@ const PaymentPage = () => {
                   Processing...
                 </span>
               ) : (
-                selectedMethod === 'cod' ? 'Confirm Booking (COD)' : `Pay ₹${amount.toFixed(2)}`
+                selectedMethod === 'cod'
+                  ? 'Confirm Booking (COD)'
+                  : selectedMethod === 'package'
+                    ? 'Book with Package Credit'
+                    : `Pay ₹${amount.toFixed(2)}`
               )}
             </button>
 
@@ -23,10 +23,12 @@ import {
   Navigation,
   Package,
   Loader2,
-  AlertCircle
+  AlertCircle,
+  Tag
 } from 'lucide-react'
 import PaymentGateway from '../components/PaymentGateway';
-import { medicineAPI, paymentAPI, pharmacyOrderAPI } from './services/api';
+import { medicineAPI, paymentAPI, pharmacyOrderAPI, pharmacyCartAPI, prescriptionAPI } from './services/api';
+import socketService from './services/socket';
 
 // Google Maps Component for Pharmacy Map
 const PharmacyMap = ({ pharmacies, userLocation, onPharmacySelect }) => {
@@ -355,14 +357,168 @@ const StoreDetailView = ({ pharmacy, medicines, onClose, onAddToCart, userLocati
   )
 }
 
+// Therapeutically equivalent generics and nearby pharmacy prices for one medicine
+const toCartMedicine = (med) => ({
+  id: med._id || med.medicineId,
+  name: med.name,
+  brand: med.brand || 'Generic',
+  category: med.category || 'General',
+  price: med.mrp ?? med.price ?? 0,
+  discountPrice: med.price ?? null,
+  requiresPrescription: med.requiresPrescription || false,
+  form: med.form || 'Tablet',
+  packaging: med.packaging || 'Standard packaging',
+  image: med.image,
+  availableIn: []
+})
+
+const SubstitutesView = ({ medicine, userLocation, onClose, onAddToCart }) => {
+  const [data, setData] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    setLoading(true)
+    setError(null)
+    medicineAPI.getSubstitutes(medicine.id, userLocation ? { lat: userLocation.lat, lng: userLocation.lng } : {})
+      .then((res) => setData(res.data.data))
+      .catch((err) => setError(err.response?.data?.message || 'Could not load alternatives'))
+      .finally(() => setLoading(false))
+  }, [medicine.id, userLocation])
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 z-50 flex items-center justify-center p-4">
+      <div className="bg-white rounded-xl shadow-2xl w-full max-w-2xl max-h-[90vh] overflow-y-auto">
+        <div className="p-4 md:p-6 border-b flex items-start justify-between">
+          <div>
+            <h2 className="text-lg md:text-xl font-bold text-gray-800">Alternatives to {medicine.name}</h2>
+            {data?.medicine && (
+              <p className="text-xs md:text-sm text-gray-500">
+                {[data.medicine.strength, data.medicine.form].filter(Boolean).join(' · ')} — ₹{data.medicine.price}
+              </p>
+            )}
+          </div>
+          <button onClick={onClose} className="p-2 hover:bg-gray-100 rounded-lg">
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="p-4 md:p-6 space-y-6">
+          {loading ? (
+            <div className="flex justify-center py-8">
+              <Loader2 className="w-8 h-8 animate-spin text-green-600" />
+            </div>
+          ) : error ? (
+            <p className="text-sm text-red-600 flex items-center gap-2"><AlertCircle className="w-4 h-4" />{error}</p>
+          ) : (
+            <>
+              {!data.substitutionAllowed && (
+                <p className="text-sm bg-yellow-50 text-yellow-800 rounded-lg p-3">
+                  Your doctor asked for this exact brand, so it can't be swapped for a generic.
+                </p>
+              )}
+
+              <div>
+                <h3 className="font-semibold text-gray-800 mb-2 flex items-center gap-2">
+                  <Tag className="w-4 h-4 text-green-600" />
+                  Same medicine, same strength
+                </h3>
+                {data.alternatives.length === 0 ? (
+                  <p className="text-sm text-gray-500">
+                    {data.substitutionGroup ? 'No other brands in our catalogue' : "We don't know this medicine's ingredients yet"}
+                  </p>
+                ) : (
+                  <ul className="divide-y divide-gray-100">
+                    {data.alternatives.map((alt) => (
+                      <li key={alt._id} className="py-2 flex items-center justify-between gap-2">
+                        <div>
+                          <p className="text-sm font-medium text-gray-800">{alt.name}</p>
+                          <p className="text-xs text-gray-500">{alt.brand} · {alt.packaging}</p>
+                        </div>
+                        <div className="flex items-center gap-3">
+                          <div className="text-right">
+                            <p className="text-sm font-bold text-gray-800">₹{alt.price}</p>
+                            {alt.savings > 0 && (
+                              <p className="text-xs text-green-600">Save ₹{alt.savings} ({alt.savingsPercent}%)</p>
+                            )}
+                          </div>
+                          <button
+                            onClick={() => { onAddToCart(toCartMedicine(alt)); onClose() }}
+                            className="p-2 bg-green-600 text-white rounded-lg hover:bg-green-700"
+                            title="Add to cart"
+                          >
+                            <ShoppingCart className="w-4 h-4" />
+                          </button>
+                        </div>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+
+              <div>
+                <h3 className="font-semibold text-gray-800 mb-2 flex items-center gap-2">
+                  <MapPin className="w-4 h-4 text-green-600" />
+                  In stock nearby
+                </h3>
+                {data.pharmacies.length === 0 ? (
+                  <p className="text-sm text-gray-500">No nearby pharmacy has this in stock</p>
+                ) : (
+                  <div className="space-y-3">
+                    {data.pharmacies.map((pharmacy) => (
+                      <div key={pharmacy.pharmacyId} className="border border-gray-200 rounded-lg p-3">
+                        <div className="flex items-center justify-between mb-2">
+                          <p className="text-sm font-semibold text-gray-800">{pharmacy.pharmacyName}</p>
+                          <p className="text-xs text-gray-500">
+                            {pharmacy.distanceKm !== null && `${pharmacy.distanceKm} km · `}from ₹{pharmacy.lowestPrice}
+                          </p>
+                        </div>
+                        <ul className="space-y-1">
+                          {pharmacy.options.map((option) => (
+                            <li key={option.medicineId} className="flex items-center justify-between text-xs md:text-sm">
+                              <span className="text-gray-700">{option.name}</span>
+                              <span className="flex items-center gap-2">
+                                <span className="font-medium">₹{option.price}</span>
+                                <button
+                                  onClick={() => { onAddToCart(toCartMedicine(option), pharmacy.pharmacyName); onClose() }}
+                                  className="text-green-600 hover:text-green-700"
+                                  title="Add to cart"
+                                >
+                                  <Plus className="w-4 h-4" />
+                                </button>
+                              </span>
+                            </li>
+                          ))}
+                        </ul>
+                      </div>
+                    ))}
+                  </div>
+                )}
+              </div>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+// Order statuses in delivery order, as shown on the tracking timeline
+const TRACKING_STAGES = [
+  { status: 'pending', title: 'Order Placed', icon: CheckCircle },
+  { status: 'confirmed', title: 'Order Confirmed', icon: CheckCircle },
+  { status: 'packed', title: 'Packed', icon: Package },
+  { status: 'out_for_delivery', title: 'On the Way', icon: Truck },
+  { status: 'delivered', title: 'Delivered', icon: Home }
+]
+
 // Delivery Tracking Component with Real Map
 const DeliveryTracking = ({ orderId, onClose, userLocation, pharmacyLocation }) => {
   const [paymentDetails, setPaymentDetails] = useState(null)
   const [loading, setLoading] = useState(true)
   const [error, setError] = useState(null)
+  const [otpMessage, setOtpMessage] = useState(null)
   
-  const [deliveryStage, setDeliveryStage] = useState(0) // Start at 0: Waiting for Confirmation
-  const [isConfirmed, setIsConfirmed] = useState(false)
   const [riderLocation, setRiderLocation] = useState(pharmacyLocation)
   const [distance, setDistance] = useState(1.2)
   const [estimatedTime, setEstimatedTime] = useState(25)
@@ -372,7 +528,14 @@ const DeliveryTracking = ({ orderId, onClose, userLocation, pharmacyLocation })
   const markerRef = useRef(null)
   const polylineRef = useRef(null)
 
-  // Fetch order/payment details from backend
+  const status = paymentDetails?.status || 'pending'
+  const deliveryStage = Math.max(TRACKING_STAGES.findIndex(stage => stage.status === status), 0)
+  const isConfirmed = deliveryStage >= 1
+  const isOutForDelivery = status === 'out_for_delivery'
+  const isClosed = status === 'cancelled' || status === 'returned'
+  const rider = paymentDetails?.deliveryDetails
+
+  // Fetch order details from backend; socket pushes keep it current in between
   useEffect(() => {
     let active = true;
     
@@ -382,11 +545,6 @@ const DeliveryTracking = ({ orderId, onClose, userLocation, pharmacyLocation })
         if (active) {
           setPaymentDetails(data.data.order);
           setError(null);
-          
-          const status = data.data.order.status;
-          if (status === 'completed') {
-            setIsConfirmed(true);
-          }
         }
       } catch (err) {
         console.error("Failed to fetch payment details:", err);
@@ -400,80 +558,61 @@ const DeliveryTracking = ({ orderId, onClose, userLocation, pharmacyLocation })
       }
     };
 
+    const handleOrderUpdate = (update) => {
+      if (update.orderId !== orderId) return;
+      setPaymentDetails(prev => ({
+        ...prev,
+        status: update.status,
+        statusHistory: update.statusHistory,
+        deliveryDetails: { ...prev?.deliveryDetails, ...update.deliveryDetails },
+        deliveryOtp: update.deliveryOtp
+          ? { ...prev?.deliveryOtp, code: update.deliveryOtp }
+          : prev?.deliveryOtp
+      }));
+    };
+
     fetchOrderDetails();
-    const interval = setInterval(fetchOrderDetails, 5000); // Poll every 5s
+    socketService.on('pharmacy-order-update', handleOrderUpdate);
+    const interval = setInterval(fetchOrderDetails, 30000); // Fallback when the socket is down
 
     return () => {
       active = false;
       clearInterval(interval);
+      socketService.off('pharmacy-order-update', handleOrderUpdate);
     };
   }, [orderId]);
 
-  // Demo auto-confirmation for COD/Pending orders (after 8 seconds)
-  useEffect(() => {
-    if (paymentDetails && !isConfirmed) {
-      const timer = setTimeout(() => {
-        setIsConfirmed(true);
-        console.log("DEMO: Auto-confirming order after 8 seconds of polling");
-      }, 8000);
-      return () => clearTimeout(timer);
-    }
-  }, [paymentDetails, isConfirmed]);
-
-  // Sync stage based on confirmation status
-  useEffect(() => {
-    if (isConfirmed && deliveryStage === 0) {
-      setDeliveryStage(1); // Advance to "Order Confirmed" stage
+  const handleResendOtp = async () => {
+    try {
+      const { data } = await pharmacyOrderAPI.resendDeliveryOtp(orderId);
+      setPaymentDetails(data.data.order);
+      setOtpMessage('A new delivery code has been sent');
+    } catch (err) {
+      setOtpMessage(err.response?.data?.message || 'Could not send a new code');
     }
-  }, [isConfirmed, deliveryStage]);
+  };
 
-  // Dynamic timeline stages list
+  // Timeline from the order's status history
   const getStages = () => {
-    const baseTime = paymentDetails ? new Date(paymentDetails.createdAt) : new Date();
     const formatTime = (timeObj) => {
       return timeObj.toLocaleTimeString('en-IN', { hour: '2-digit', minute: '2-digit' });
     };
-
-    return [
-      { 
-        title: 'Order Placed', 
-        time: formatTime(baseTime), 
-        icon: CheckCircle 
-      },
-      { 
-        title: isConfirmed ? 'Order Confirmed' : 'Waiting for Confirmation', 
-        time: isConfirmed 
-          ? formatTime(paymentDetails?.completedAt ? new Date(paymentDetails.completedAt) : new Date(baseTime.getTime() + 2 * 60000))
-          : 'Pending...', 
-        icon: isConfirmed ? CheckCircle : Loader2 
-      },
-      { 
-        title: 'Preparing Order', 
-        time: isConfirmed 
-          ? formatTime(new Date(baseTime.getTime() + 5 * 60000)) 
-          : '--:--', 
-        icon: Package 
-      },
-      { 
-        title: 'Order Picked Up', 
-        time: isConfirmed 
-          ? formatTime(new Date(baseTime.getTime() + 10 * 60000)) 
-          : '--:--', 
-        icon: Truck 
-      },
-      { 
-        title: 'On the Way', 
-        time: deliveryStage >= 4 ? 'Now' : '--:--', 
-        icon: Navigation 
-      },
-      { 
-        title: 'Delivered', 
-        time: isConfirmed 
-          ? `Expected ${formatTime(new Date(baseTime.getTime() + (estimatedTime + 10) * 60000))}` 
-          : '--:--', 
-        icon: Home 
+    const history = paymentDetails?.statusHistory || [];
+
+    return TRACKING_STAGES.map((stage, index) => {
+      const entry = [...history].reverse().find(item => item.status === stage.status);
+      let time = '--:--';
+      if (entry) {
+        time = formatTime(new Date(entry.at));
+      } else if (index === 0 && paymentDetails) {
+        time = formatTime(new Date(paymentDetails.createdAt));
+      } else if (index < deliveryStage) {
+        time = 'Done';
+      } else if (index === deliveryStage + 1 && !isClosed) {
+        time = 'Pending...';
       }
-    ];
+      return { ...stage, time };
+    });
   };
 
   const stages = getStages();
@@ -568,10 +707,8 @@ const DeliveryTracking = ({ orderId, onClose, userLocation, pharmacyLocation })
       }
     )
 
-    // Simulate rider movement
-    const timer = setInterval(() => {
-      setDeliveryStage(prev => Math.min(prev + 0.2, stages.length - 1))
-      
+    // Simulate rider movement once the order is on the way
+    const timer = isOutForDelivery && setInterval(() => {
       setRiderLocation(prev => {
         const newLat = prev.lat + (userLocation.lat - prev.lat) * 0.05
         const newLng = prev.lng + (userLocation.lng - prev.lng) * 0.05
@@ -605,7 +742,7 @@ const DeliveryTracking = ({ orderId, onClose, userLocation, pharmacyLocation })
         polylineRef.current.setMap(null)
       }
     }
-  }, [userLocation, pharmacyLocation, isConfirmed])
+  }, [userLocation, pharmacyLocation, isConfirmed, isOutForDelivery])
   
   const openLiveTracking = () => {
     const url = `https://www.google.com/maps/dir/${riderLocation.lat},${riderLocation.lng}/${userLocation.lat},${userLocation.lng}`
@@ -649,13 +786,39 @@ const DeliveryTracking = ({ orderId, onClose, userLocation, pharmacyLocation })
           </div>
         )}
 
+        {isClosed && (
+          <div className="bg-gray-50 text-gray-700 px-4 py-3 rounded-lg flex items-center gap-2 mb-4 text-sm border border-gray-200">
+            <AlertCircle className="w-4 h-4 flex-shrink-0" />
+            <span>
+              This order was {status}
+              {paymentDetails?.statusHistory?.at(-1)?.note ? `: ${paymentDetails.statusHistory.at(-1).note}` : '.'}
+            </span>
+          </div>
+        )}
+
+        {isOutForDelivery && paymentDetails?.deliveryOtp?.code && (
+          <div className="bg-amber-50 border border-amber-200 rounded-xl p-4 mb-4 flex items-center justify-between gap-3">
+            <div>
+              <div className="text-xs md:text-sm text-amber-800">Share this code with your rider when you receive the order</div>
+              <div className="text-2xl md:text-3xl font-bold tracking-widest text-gray-800 mt-1">{paymentDetails.deliveryOtp.code}</div>
+              {otpMessage && <div className="text-xs text-gray-500 mt-1">{otpMessage}</div>}
+            </div>
+            <button
+              onClick={handleResendOtp}
+              className="text-xs md:text-sm text-amber-800 border border-amber-300 rounded-lg px-3 py-2 hover:bg-amber-100"
+            >
+              New code
+            </button>
+          </div>
+        )}
+
         <div className="bg-gradient-to-r from-green-500 to-emerald-600 rounded-xl md:rounded-2xl p-4 md:p-6 text-white mb-4 md:mb-6">
           <div className="text-center">
             <div className="text-3xl md:text-5xl font-bold mb-2">
-              {isConfirmed ? `${estimatedTime} min` : 'Pending'}
+              {isOutForDelivery ? `${estimatedTime} min` : stages[deliveryStage].title}
             </div>
             <div className="text-sm md:text-base opacity-90">
-              {isConfirmed ? 'Estimated delivery time' : 'Awaiting confirmation...'}
+              {isOutForDelivery ? 'Estimated delivery time' : isConfirmed ? 'Your pharmacy is preparing the order' : 'Awaiting confirmation...'}
             </div>
             <div className="mt-3 md:mt-4 flex items-center justify-center gap-4 md:gap-6 text-xs md:text-sm">
               <span className="flex items-center gap-1">
@@ -664,7 +827,7 @@ const DeliveryTracking = ({ orderId, onClose, userLocation, pharmacyLocation })
               </span>
               <span className="flex items-center gap-1">
                 {isConfirmed ? <Truck className="w-3 h-3 md:w-4 md:h-4" /> : <Loader2 className="w-3 h-3 md:w-4 md:h-4 animate-spin" />}
-                {isConfirmed ? stages[Math.floor(deliveryStage)].title : 'Confirming Order'}
+                {isConfirmed ? stages[deliveryStage].title : 'Confirming Order'}
               </span>
             </div>
           </div>
@@ -693,15 +856,11 @@ const DeliveryTracking = ({ orderId, onClose, userLocation, pharmacyLocation })
                   <Loader2 className="w-8 h-8 text-green-600 animate-spin" />
                 </div>
                 <h4 className="text-lg font-extrabold text-gray-800 mb-2">Awaiting Pharmacy Confirmation</h4>
-                <p className="text-sm text-gray-600 max-w-sm mb-5 leading-relaxed">
-                  MedCare Pharmacy is reviewing your cart items and assigning a delivery partner to your address.
+                <p className="text-sm text-gray-600 max-w-sm leading-relaxed">
+                  {paymentDetails?.prescription?.status === 'pending-review'
+                    ? 'Our pharmacist is checking your prescription. We will update you here as soon as it is approved.'
+                    : `${paymentDetails?.pharmacyName || 'The pharmacy'} is reviewing your cart items.`}
                 </p>
-                <button 
-                  onClick={() => setIsConfirmed(true)}
-                  className="bg-gradient-to-r from-green-500 to-emerald-600 text-white px-6 py-2.5 rounded-xl font-bold hover:shadow-md hover:scale-[1.02] active:scale-[0.98] transition-all text-sm"
-                >
-                  Quick Confirm (Demo)
-                </button>
               </div>
             ) : (
               <div className="absolute top-4 left-4 bg-white rounded-lg shadow-lg p-2 md:p-3 border border-gray-100">
@@ -710,8 +869,8 @@ const DeliveryTracking = ({ orderId, onClose, userLocation, pharmacyLocation })
                     <Truck className="w-3 h-3 md:w-4 md:h-4" />
                   </div>
                   <div className="text-xs md:text-sm">
-                    <div className="font-medium text-gray-800">Delivery Partner</div>
-                    <div className="text-gray-500 text-xs">On the way</div>
+                    <div className="font-medium text-gray-800">{rider?.riderName || 'Delivery Partner'}</div>
+                    <div className="text-gray-500 text-xs">{stages[deliveryStage].title}</div>
                   </div>
                 </div>
               </div>
@@ -721,15 +880,15 @@ const DeliveryTracking = ({ orderId, onClose, userLocation, pharmacyLocation })
           <div className="grid grid-cols-3 gap-2 md:gap-4 text-xs md:text-sm">
             <div className="text-center p-2 md:p-3 bg-gray-50 rounded-lg">
               <div className="font-medium text-gray-800">Distance</div>
-              <div className="text-green-600 font-bold mt-0.5">{isConfirmed ? `${distance.toFixed(1)} km` : '--'}</div>
+              <div className="text-green-600 font-bold mt-0.5">{isOutForDelivery ? `${distance.toFixed(1)} km` : '--'}</div>
             </div>
             <div className="text-center p-2 md:p-3 bg-gray-50 rounded-lg">
               <div className="font-medium text-gray-800">Time Left</div>
-              <div className="text-green-600 font-bold mt-0.5">{isConfirmed ? `${estimatedTime} min` : '--'}</div>
+              <div className="text-green-600 font-bold mt-0.5">{isOutForDelivery ? `${estimatedTime} min` : '--'}</div>
             </div>
             <div className="text-center p-2 md:p-3 bg-gray-50 rounded-lg">
               <div className="font-medium text-gray-800">Status</div>
-              <div className="text-green-600 font-bold mt-0.5">{isConfirmed ? 'On Time' : 'Awaiting'}</div>
+              <div className="text-green-600 font-bold mt-0.5">{isClosed ? status : stages[deliveryStage].title}</div>
             </div>
           </div>
         </div>
@@ -752,7 +911,7 @@ const DeliveryTracking = ({ orderId, onClose, userLocation, pharmacyLocation })
                   <div className={`w-7 h-7 md:w-8 md:h-8 rounded-full flex items-center justify-center z-10 transition-colors duration-300 ${
                     isActiveStage ? 'bg-green-500' : 'bg-gray-200'
                   }`}>
-                    {(!isConfirmed && index === 1) ? (
+                    {(!isConfirmed && !isClosed && index === 1) ? (
                       <Loader2 className="w-3.5 h-3.5 md:w-4 md:h-4 text-white animate-spin" />
                     ) : (
                       <StageIcon className={`w-3.5 h-3.5 md:w-4 md:h-4 transition-colors duration-300 ${
@@ -781,20 +940,27 @@ const DeliveryTracking = ({ orderId, onClose, userLocation, pharmacyLocation })
               <User className="w-6 h-6 md:w-8 md:h-8 text-green-600" />
             </div>
             <div className="flex-1">
-              <div className="font-semibold text-sm md:text-base text-gray-800">Rahul Sharma</div>
-              <div className="text-xs md:text-sm text-gray-500 flex items-center gap-2 mt-1">
-                <Phone className="w-3 h-3 md:w-4 md:h-4" />
-                +91 98765 43210
+              <div className="font-semibold text-sm md:text-base text-gray-800">
+                {rider?.riderName || 'Not assigned yet'}
               </div>
-              <div className="flex items-center gap-1 mt-1">
-                <Star className="w-3 h-3 md:w-4 md:h-4 text-yellow-400 fill-current" />
-                <span className="text-xs md:text-sm text-gray-600 font-medium">4.9 (1,234 deliveries)</span>
+              <div className="text-xs md:text-sm text-gray-500 flex items-center gap-2 mt-1">
+                {rider?.riderPhone ? (
+                  <>
+                    <Phone className="w-3 h-3 md:w-4 md:h-4" />
+                    {rider.riderPhone}
+                  </>
+                ) : 'A rider is assigned once your order is packed'}
               </div>
             </div>
-            <button className="flex items-center gap-1 md:gap-2 bg-green-600 text-white px-3 md:px-4 py-2 md:py-3 rounded-lg hover:bg-green-700 transition-colors text-xs md:text-sm font-semibold shadow-sm">
-              <Phone className="w-3.5 h-3.5 md:w-4 md:h-4" />
-              Call
-            </button>
+            {rider?.riderPhone && (
+              <a
+                href={`tel:${rider.riderPhone}`}
+                className="flex items-center gap-1 md:gap-2 bg-green-600 text-white px-3 md:px-4 py-2 md:py-3 rounded-lg hover:bg-green-700 transition-colors text-xs md:text-sm font-semibold shadow-sm"
+              >
+                <Phone className="w-3.5 h-3.5 md:w-4 md:h-4" />
+                Call
+              </a>
+            )}
           </div>
         </div>
       </div>
@@ -868,9 +1034,18 @@ const PharmacyPage = () => {
   const [showDelivery, setShowDelivery] = useState(false)
   const [showStoreDetail, setShowStoreDetail] = useState(false)
   const [selectedStore, setSelectedStore] = useState(null)
+  const [substitutesFor, setSubstitutesFor] = useState(null)
   const [userLocation, setUserLocation] = useState(null)
   const [selectedPharmacyLocation, setSelectedPharmacyLocation] = useState(null)
   const [orderId, setOrderId] = useState(null)
+  const [quote, setQuote] = useState(null)
+  const [quoteLoading, setQuoteLoading] = useState(false)
+  const [quoteError, setQuoteError] = useState(null)
+  const [couponCode, setCouponCode] = useState('')
+  const [prescriptionUploading, setPrescriptionUploading] = useState(false)
+  const [prescriptionError, setPrescriptionError] = useState(null)
+  const [activePrescriptions, setActivePrescriptions] = useState(null)
+  const [selectedPrescriptionId, setSelectedPrescriptionId] = useState('')
   const [mapLoaded, setMapLoaded] = useState(false)
   const [mapError, setMapError] = useState(null)
 
@@ -884,9 +1059,6 @@ const PharmacyPage = () => {
   const [manufacturer, setManufacturer] = useState('')
   const [searchTimeout, setSearchTimeout] = useState(null)
 
-  const API_KEY = 'YOUR_API_KEY_HERE' // Replace with your actual API key
-  const BASE_URL = 'https://beta.myupchar.com/api/medicine/search'
-
   const categories = [
     { id: 'all', name: 'All Medicines', count: 33 },
     { id: 'Allopath', name: 'Allopath', count: 10 },
@@ -1188,19 +1360,104 @@ const PharmacyPage = () => {
     return cart.reduce((total, item) => total + (item.discountPrice || item.price) * item.quantity, 0)
   }
 
-  const handlePrescriptionUpload = (e) => {
+  const cartNeedsPrescription = cart.some(item => item.requiresPrescription)
+
+  // Any change to the cart or its prescription invalidates the server's prices
+  useEffect(() => {
+    setQuote(null)
+    setQuoteError(null)
+  }, [cart, prescription, selectedPrescriptionId])
+
+  // Rx-only items can be covered by one of the patient's own prescriptions
+  useEffect(() => {
+    if (!cartNeedsPrescription || activePrescriptions) return
+    pharmacyCartAPI.getActivePrescriptions()
+      .then(response => setActivePrescriptions(response.data.data.prescriptions || []))
+      .catch(() => setActivePrescriptions([]))
+  }, [cartNeedsPrescription, activePrescriptions])
+
+  const downloadPrescription = async (prescriptionId) => {
+    try {
+      const response = await prescriptionAPI.download(prescriptionId)
+      const url = URL.createObjectURL(new Blob([response.data], { type: 'application/pdf' }))
+      const link = document.createElement('a')
+      link.href = url
+      link.download = `prescription-${prescriptionId}.pdf`
+      link.click()
+      URL.revokeObjectURL(url)
+    } catch {
+      setQuoteError('Could not download the prescription. Please try again.')
+    }
+  }
+
+  const requestQuote = async (code = couponCode) => {
+    setQuoteLoading(true)
+    setQuoteError(null)
+    try {
+      const preferredPharmacy = pharmacyList.find(p => p.name === cart[0]?.selectedPharmacy)
+      const response = await pharmacyCartAPI.createQuote({
+        items: cart.map(item => ({ medicineId: item.id, quantity: item.quantity })),
+        couponCode: code.trim() || undefined,
+        pharmacyId: preferredPharmacy?.isGooglePlace ? undefined : preferredPharmacy?.id,
+        prescriptionId: selectedPrescriptionId || undefined,
+        prescriptionUploadId: selectedPrescriptionId ? undefined : prescription?.id
+      })
+      const newQuote = response.data.data.quote
+      setQuote(newQuote)
+      return newQuote
+    } catch (err) {
+      setQuoteError(err.response?.data?.message || 'Could not price your cart. Please try again.')
+      return null
+    } finally {
+      setQuoteLoading(false)
+    }
+  }
+
+  const handleApplyCoupon = () => {
+    if (couponCode.trim()) requestQuote()
+  }
+
+  const handleRemoveCoupon = () => {
+    setCouponCode('')
+    setQuote(null)
+    setQuoteError(null)
+  }
+
+  const handlePrescriptionUpload = async (e) => {
     const file = e.target.files[0]
-    if (file) {
+    e.target.value = ''
+    if (!file) return
+
+    setPrescriptionUploading(true)
+    setPrescriptionError(null)
+    try {
+      const response = await pharmacyCartAPI.uploadPrescription(file)
       setPrescription({
+        id: response.data.data.upload._id,
         name: file.name,
         size: (file.size / 1024).toFixed(2) + ' KB',
         date: new Date().toLocaleDateString()
       })
+      setSelectedPrescriptionId('')
+    } catch (err) {
+      setPrescriptionError(err.response?.data?.message || 'Could not upload your prescription. Please try again.')
+    } finally {
+      setPrescriptionUploading(false)
     }
   }
 
-  const handleCheckout = () => {
-    setShowPayment(true)
+  const handleCheckout = async () => {
+    const isFresh = quote && new Date(quote.expiresAt) > new Date()
+    const checkoutQuote = isFresh ? quote : await requestQuote()
+    if (checkoutQuote) {
+      setShowPayment(true)
+    }
+  }
+
+  const handlePaymentClose = () => {
+    setShowPayment(false)
+    // A quote can only be charged once, so price the cart again next time
+    setQuote(null)
   }
 
   const handlePaymentSuccess = (paymentData) => {
@@ -1213,12 +1470,12 @@ const PharmacyPage = () => {
       orderId: newOrderId,
       paymentId: paymentData.paymentId,
       paymentMethod: paymentData.method,
-      amount: getCartTotal(),
-      items: cart.map(item => ({
-        id: item.id,
+      amount: quote?.total ?? getCartTotal(),
+      items: (quote?.items || []).map(item => ({
+        id: item.medicineId,
         name: item.name,
         quantity: item.quantity,
-        price: item.discountPrice || item.price
+        price: item.unitPrice
       }))
     }
     
@@ -1230,6 +1487,7 @@ const PharmacyPage = () => {
     setSelectedPharmacyLocation(pharmacy?.coordinates || pharmacyList[0]?.coordinates || { lat: 19.0760, lng: 72.8777 })
     
     setCart([])
+    setCouponCode('')
     setTimeout(() => {
       setShowDelivery(true)
     }, 1000)
@@ -1401,12 +1659,15 @@ const PharmacyPage = () => {
             </div>
             
             <label className="flex items-center justify-center gap-2 bg-white border px-4 md:px-6 py-2 md:py-3 rounded-lg hover:bg-gray-50 cursor-pointer text-sm md:text-base">
-              <Upload className="w-4 h-4 md:w-5 md:h-5" />
-              Upload Prescription
+              {prescriptionUploading
+                ? <Loader2 className="w-4 h-4 md:w-5 md:h-5 animate-spin" />
+                : <Upload className="w-4 h-4 md:w-5 md:h-5" />}
+              {prescriptionUploading ? 'Uploading...' : 'Upload Prescription'}
               <input
                 type="file"
-                accept=".pdf,.jpg,.png"
+                accept=".pdf,.jpg,.jpeg,.png"
                 onChange={handlePrescriptionUpload}
+                disabled={prescriptionUploading}
                 className="hidden"
               />
             </label>
@@ -1420,6 +1681,13 @@ const PharmacyPage = () => {
             </button>
           </div>
 
+          {prescriptionError && (
+            <div className="bg-red-50 border border-red-200 rounded-xl p-3 md:p-4 mb-4 md:mb-6 flex items-center text-sm text-red-600">
+              <AlertCircle className="w-4 h-4 md:w-5 md:h-5 mr-2 flex-shrink-0" />
+              {prescriptionError}
+            </div>
+          )}
+
           {prescription && (
             <div className="bg-green-50 border border-green-200 rounded-xl p-3 md:p-4 mb-4 md:mb-6 flex items-center justify-between">
               <div className="flex items-center gap-2 md:gap-3">
@@ -1427,7 +1695,7 @@ const PharmacyPage = () => {
                 <div>
                   <div className="font-medium text-gray-800 text-sm md:text-base">{prescription.name}</div>
                   <div className="text-xs md:text-sm text-gray-600">
-                    {prescription.size} • Uploaded {prescription.date}
+                    {prescription.size} • Uploaded {prescription.date} • Reviewed by our pharmacist with your order
                   </div>
                 </div>
               </div>
@@ -1692,6 +1960,12 @@ const PharmacyPage = () => {
                           <ShoppingCart className="w-4 h-4 md:w-5 md:h-5" />
                           Add to Cart
                         </button>
+                        <button
+                          onClick={() => setSubstitutesFor(medicine)}
+                          className="w-full mt-2 text-green-700 hover:text-green-800 text-xs md:text-sm font-medium"
+                        >
+                          Compare generics &amp; prices
+                        </button>
                       </div>
                     </div>
                   ))}
@@ -1893,26 +2167,131 @@ const PharmacyPage = () => {
 
               {cart.length > 0 && (
                 <div className="p-4 md:p-6 border-t">
+                  {/* Prescription for Rx-only items */}
+                  {cartNeedsPrescription && (
+                    <div className="mb-4">
+                      <label className="block text-xs md:text-sm font-medium text-gray-700 mb-2">
+                        Prescription for Rx items
+                      </label>
+                      <select
+                        value={selectedPrescriptionId || (prescription ? 'upload' : '')}
+                        onChange={(e) => setSelectedPrescriptionId(e.target.value === 'upload' ? '' : e.target.value)}
+                        className="w-full border rounded-lg px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-green-500"
+                      >
+                        {!prescription && <option value="">Select a prescription</option>}
+                        {prescription && <option value="upload">Uploaded: {prescription.name}</option>}
+                        {(activePrescriptions || []).map(rx => (
+                          <option key={rx._id} value={rx._id}>
+                            {new Date(rx.prescriptionDate).toLocaleDateString()}
+                            {rx.doctorId?.lastName ? ` • Dr. ${rx.doctorId.lastName}` : ''}
+                            {' • '}{rx.medications?.map(m => m.medicationName).join(', ')}
+                          </option>
+                        ))}
+                      </select>
+                      {selectedPrescriptionId && (
+                        <button
+                          type="button"
+                          onClick={() => downloadPrescription(selectedPrescriptionId)}
+                          className="mt-1 text-xs text-green-700 hover:underline"
+                        >
+                          Download signed copy (PDF)
+                        </button>
+                      )}
+                      {!prescription && activePrescriptions?.length === 0 && (
+                        <p className="mt-1 text-xs text-gray-500">Upload a prescription to order Rx medicines.</p>
+                      )}
+                      {quote?.prescription?.status === 'pending-review' && (
+                        <p className="mt-1 text-xs text-amber-600">
+                          Your order will be confirmed once our pharmacist approves the prescription.
+                        </p>
+                      )}
+                    </div>
+                  )}
+
+                  {/* Coupon */}
+                  <div className="mb-4">
+                    {quote?.coupon?.code ? (
+                      <div className="flex items-center justify-between bg-green-50 border border-green-200 rounded-lg px-3 py-2 text-sm">
+                        <span className="flex items-center text-green-700 font-medium">
+                          <Tag className="w-4 h-4 mr-2" />
+                          {quote.coupon.code} applied
+                        </span>
+                        <button onClick={handleRemoveCoupon} className="text-gray-500 hover:text-red-500">
+                          <X className="w-4 h-4" />
+                        </button>
+                      </div>
+                    ) : (
+                      <div className="flex gap-2">
+                        <input
+                          type="text"
+                          value={couponCode}
+                          onChange={(e) => setCouponCode(e.target.value.toUpperCase())}
+                          placeholder="Coupon code"
+                          className="flex-1 min-w-0 border rounded-lg px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-green-500"
+                        />
+                        <button
+                          onClick={handleApplyCoupon}
+                          disabled={quoteLoading || !couponCode.trim()}
+                          className="px-4 py-2 border border-green-600 text-green-700 rounded-lg text-sm font-medium hover:bg-green-50 disabled:opacity-50"
+                        >
+                          Apply
+                        </button>
+                      </div>
+                    )}
+                  </div>
+
                   <div className="space-y-2 md:space-y-3 mb-4 md:mb-6">
                     <div className="flex justify-between text-gray-600 text-sm md:text-base">
                       <span>Subtotal</span>
-                      <span>₹{getCartTotal()}</span>
-                    </div>
-                    <div className="flex justify-between text-gray-600 text-sm md:text-base">
-                      <span>Delivery</span>
-                      <span className="text-green-600">FREE</span>
-                    </div>
-                    <div className="flex justify-between text-sm font-bold text-gray-800 pt-2 md:pt-3 border-t text-sm md:text-base">
-                      <span>Total</span>
-                      <span>₹{getCartTotal()}</span>
+                      <span>₹{quote ? quote.subtotal : getCartTotal()}</span>
                     </div>
+                    {quote ? (
+                      <>
+                        {quote.coupon?.discount > 0 && (
+                          <div className="flex justify-between text-green-600 text-sm md:text-base">
+                            <span>Coupon ({quote.coupon.code})</span>
+                            <span>-₹{quote.coupon.discount}</span>
+                          </div>
+                        )}
+                        <div className="flex justify-between text-gray-600 text-sm md:text-base">
+                          <span>GST</span>
+                          <span>₹{quote.gstTotal}</span>
+                        </div>
+                        <div className="flex justify-between text-gray-600 text-sm md:text-base">
+                          <span>Delivery</span>
+                          {quote.deliveryFee > 0
+                            ? <span>₹{quote.deliveryFee}</span>
+                            : <span className="text-green-600">FREE</span>}
+                        </div>
+                        <div className="flex justify-between text-sm font-bold text-gray-800 pt-2 md:pt-3 border-t text-sm md:text-base">
+                          <span>Total</span>
+                          <span>₹{quote.total}</span>
+                        </div>
+                        {quote.pharmacyName && (
+                          <div className="text-xs text-gray-500">Fulfilled by {quote.pharmacyName}</div>
+                        )}
+                      </>
+                    ) : (
+                      <div className="flex justify-between text-gray-500 text-xs md:text-sm">
+                        <span>GST & delivery</span>
+                        <span>Calculated at checkout</span>
+                      </div>
+                    )}
                   </div>
 
+                  {quoteError && (
+                    <div className="mb-3 flex items-start text-xs md:text-sm text-red-600">
+                      <AlertCircle className="w-4 h-4 mr-1 flex-shrink-0" />
+                      {quoteError}
+                    </div>
+                  )}
+
                   <button 
                     onClick={handleCheckout}
-                    className="w-full bg-gradient-to-r from-green-500 to-emerald-600 text-white py-3 md:py-4 rounded-lg hover:shadow-lg transition-all font-bold text-sm md:text-base"
+                    disabled={quoteLoading}
+                    className="w-full bg-gradient-to-r from-green-500 to-emerald-600 text-white py-3 md:py-4 rounded-lg hover:shadow-lg transition-all font-bold text-sm md:text-base disabled:opacity-60"
                   >
-                    Proceed to Checkout
+                    {quoteLoading ? 'Pricing your cart...' : 'Proceed to Checkout'}
                   </button>
 
                   <div className="mt-3 md:mt-4 flex items-center justify-center text-xs md:text-sm text-gray-500">
@@ -1980,8 +2359,17 @@ const PharmacyPage = () => {
         />
       )}
 
+      {substitutesFor && (
+        <SubstitutesView
+          medicine={substitutesFor}
+          userLocation={userLocation}
+          onClose={() => setSubstitutesFor(null)}
+          onAddToCart={addToCart}
+        />
+      )}
+
       {/* Payment Gateway */}
-      {showPayment && (() => {
+      {showPayment && quote && (() => {
         const storedUser = (() => {
           try {
             const u = localStorage.getItem('user');
@@ -1996,9 +2384,9 @@ const PharmacyPage = () => {
 
         return (
           <PaymentGateway
-            amount={getCartTotal()}
+            amount={quote.total}
             onSuccess={handlePaymentSuccess}
-            onClose={() => setShowPayment(false)}
+            onClose={handlePaymentClose}
             orderDetails={{
               description: 'Medicine Purchase',
               customerName: storedUser ? `${storedUser.firstName} ${storedUser.lastName}` : 'Customer Name',
@@ -2006,19 +2394,13 @@ const PharmacyPage = () => {
               customerPhone: storedUser?.phoneNumber || '9999999999',
               serviceType: 'pharmacy',
               metadata: {
-                items: JSON.stringify(cart.map(item => ({
-                  id: item.id,
-                  name: item.name,
-                  brand: item.brand,
-                  quantity: item.quantity,
-                  price: item.discountPrice || item.price
-                }))),
+                quoteId: quote._id,
                 pharmacyName: cart[0]?.selectedPharmacy || 'MedCare Pharmacy',
                 address: addressText
               },
               notes: {
                 address: addressText,
-                items: cart.length
+                items: quote.items.length
               }
             }}
             businessName="MedCare Pharmacy"
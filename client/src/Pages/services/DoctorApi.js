@@ -346,7 +346,15 @@ export const doctorService = {
     
     getPatientHistory: (patientId, params = {}) => 
         doctorApi.get(`/patients/${patientId}/medical-history`, { params }),
-    
+
+    // Break-the-glass access for patients outside the doctor's care team
+    requestEmergencyAccess: (patientId, reason) =>
+        doctorApi.post(`/patients/${patientId}/emergency-access`, { reason }),
+
+    getEmergencyAccessGrants: () => doctorApi.get('/emergency-access'),
+
+    endEmergencyAccess: (grantId) => doctorApi.post(`/emergency-access/${grantId}/end`),
+
     // ================
     // APPOINTMENTS
     // ================
@@ -373,6 +381,23 @@ export const doctorService = {
     cancelAppointment: (appointmentId, reason) => 
         doctorApi.patch(`/appointments/${appointmentId}/cancel`, { reason }),
     
+    // ================
+    // FOLLOW-UP SERIES
+    // ================
+    getAppointmentSeriesList: (params = {}) => 
+        doctorApi.get('/appointment-series', { params }),
+    
+    getAppointmentSeries: (seriesId) => doctorApi.get(`/appointment-series/${seriesId}`),
+    
+    createAppointmentSeries: (data) => doctorApi.post('/appointment-series', data),
+    
+    // scope: 'this' for one occurrence, 'following' for it and every later one
+    updateSeriesOccurrence: (seriesId, appointmentId, data) => 
+        doctorApi.patch(`/appointment-series/${seriesId}/occurrences/${appointmentId}`, data),
+    
+    cancelSeriesOccurrence: (seriesId, appointmentId, data) => 
+        doctorApi.post(`/appointment-series/${seriesId}/occurrences/${appointmentId}/cancel`, data),
+    
     // ================
     // SCHEDULE
     // ================
@@ -387,10 +412,44 @@ export const doctorService = {
     // PRESCRIPTIONS
     // ================
     createPrescription: (data) => doctorApi.post('/prescriptions', data),
-    
-    getPrescriptions: (patientId) => 
+
+    // Interactions, allergies, conditions and dose limits before prescribing
+    checkPrescriptionSafety: (data) => doctorApi.post('/prescriptions/safety-check', data),
+
+    getPrescriptions: (patientId) =>
         doctorApi.get('/prescriptions', { params: { patientId } }),
-    
+
+    // scope: mine | department | all
+    getPrescriptionTemplates: (params = {}) =>
+        doctorApi.get('/prescription-templates', { params }),
+
+    getPrescriptionTemplate: (templateId) =>
+        doctorApi.get(`/prescription-templates/${templateId}`),
+
+    createPrescriptionTemplate: (data) => doctorApi.post('/prescription-templates', data),
+
+    updatePrescriptionTemplate: (templateId, data) =>
+        doctorApi.patch(`/prescription-templates/${templateId}`, data),
+
+    archivePrescriptionTemplate: (templateId) =>
+        doctorApi.delete(`/prescription-templates/${templateId}`),
+
+    getFavouriteMedications: (params = {}) =>
+        doctorApi.get('/prescription-favourites', { params }),
+
+    pinFavouriteMedication: (medication) => doctorApi.post('/prescription-favourites', medication),
+
+    unpinFavouriteMedication: (favouriteId) =>
+        doctorApi.delete(`/prescription-favourites/${favouriteId}`),
+
+    // status: pending (default) | approved | modified | denied | follow-up-required | all
+    getRefillRequests: (params = {}) =>
+        doctorApi.get('/refill-requests', { params }),
+
+    // decision: approve | modify | deny | follow-up
+    decideRefillRequest: (requestId, data) =>
+        doctorApi.post(`/refill-requests/${requestId}/decision`, data),
+
     // ================
     // MEDICAL RECORDS
     // ================
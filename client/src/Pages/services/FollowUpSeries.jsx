@@ -0,0 +1,530 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { toast } from 'react-toastify';
+import {
+  Calendar,
+  Clock,
+  Plus,
+  RefreshCw,
+  AlertTriangle,
+  X,
+  Edit,
+  Loader2
+} from 'lucide-react';
+import { doctorService } from './DoctorApi';
+
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const EMPTY_FORM = {
+  patientId: '',
+  title: '',
+  reason: '',
+  appointmentType: 'in-person',
+  frequency: 'weekly',
+  interval: 4,
+  dayOfWeek: 2,
+  time: '10:00',
+  startDate: '',
+  endDate: '',
+  count: ''
+};
+
+const STATUS_STYLES = {
+  scheduled: 'bg-blue-100 text-blue-700',
+  confirmed: 'bg-green-100 text-green-700',
+  rescheduled: 'bg-yellow-100 text-yellow-700',
+  completed: 'bg-gray-100 text-gray-700',
+  cancelled: 'bg-red-100 text-red-700',
+  'no-show': 'bg-red-100 text-red-700'
+};
+
+const patientName = (patient) =>
+  patient?.user ? `${patient.user.firstName} ${patient.user.lastName}` : 'Patient';
+
+const describeRecurrence = ({ frequency, interval, dayOfWeek, time }) => {
+  const unit = frequency === 'weekly' ? 'week' : 'month';
+  const every = interval > 1 ? `Every ${interval} ${unit}s` : `Every ${unit}`;
+  const day = frequency === 'weekly' && dayOfWeek !== undefined ? `, ${WEEKDAYS[dayOfWeek]}s` : '';
+  return `${every}${day} at ${time}`;
+};
+
+const formatDate = (date) => new Date(date).toLocaleDateString(undefined, {
+  weekday: 'short', day: 'numeric', month: 'short', year: 'numeric'
+});
+
+const toInputDate = (date) => {
+  const d = new Date(date);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+};
+
+const FollowUpSeries = () => {
+  const [seriesList, setSeriesList] = useState([]);
+  const [patients, setPatients] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [showCreate, setShowCreate] = useState(false);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [submitting, setSubmitting] = useState(false);
+  const [selected, setSelected] = useState(null);
+  const [lastConflicts, setLastConflicts] = useState([]);
+  // { appointment, mode: 'move' | 'cancel', scope, date, time, reason }
+  const [action, setAction] = useState(null);
+
+  const loadSeries = useCallback(async () => {
+    setLoading(true);
+    try {
+      const res = await doctorService.getAppointmentSeriesList();
+      setSeriesList(res.data.data.series || []);
+    } catch (error) {
+      console.error('Failed to load follow-up series:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  const openSeries = useCallback(async (seriesId) => {
+    try {
+      const res = await doctorService.getAppointmentSeries(seriesId);
+      setSelected(res.data.data);
+    } catch (error) {
+      console.error('Failed to load series:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadSeries();
+    doctorService.getPatients({ page: 1, limit: 100 })
+      .then((res) => setPatients(res.data.data.patients || []))
+      .catch((error) => console.error('Failed to load patients:', error));
+  }, [loadSeries]);
+
+  const updateForm = (field, value) => setForm((prev) => ({ ...prev, [field]: value }));
+
+  const createSeries = async (e) => {
+    e.preventDefault();
+    if (!form.patientId || !form.startDate || (!form.endDate && !form.count)) {
+      toast.error('Choose a patient, a start date and either an end date or a number of visits');
+      return;
+    }
+
+    setSubmitting(true);
+    try {
+      const res = await doctorService.createAppointmentSeries({
+        patientId: form.patientId,
+        title: form.title,
+        reason: form.reason,
+        appointmentType: form.appointmentType,
+        recurrence: {
+          frequency: form.frequency,
+          interval: Number(form.interval),
+          dayOfWeek: form.frequency === 'weekly' ? Number(form.dayOfWeek) : undefined,
+          time: form.time,
+          startDate: form.startDate,
+          endDate: form.endDate || undefined,
+          count: form.count ? Number(form.count) : undefined
+        }
+      });
+      const { series, conflicts } = res.data.data;
+      toast.success(res.data.message);
+      setLastConflicts(conflicts);
+      setShowCreate(false);
+      setForm(EMPTY_FORM);
+      await loadSeries();
+      await openSeries(series._id);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Could not create the series');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const submitAction = async () => {
+    const { appointment, mode, scope, date, time, reason } = action;
+    const seriesId = selected.series._id;
+    setSubmitting(true);
+    try {
+      let res;
+      if (mode === 'move') {
+        res = await doctorService.updateSeriesOccurrence(seriesId, appointment._id, { scope, date, time });
+      } else {
+        res = await doctorService.cancelSeriesOccurrence(seriesId, appointment._id, { scope, reason });
+      }
+      toast.success(res.data.message);
+      setLastConflicts(res.data.data.conflicts || []);
+      setAction(null);
+      await loadSeries();
+      // Moving "all following" continues in a new series
+      await openSeries(res.data.data.series?._id || seriesId);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Could not update the occurrence');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const startAction = (appointment, mode) => setAction({
+    appointment,
+    mode,
+    scope: 'this',
+    date: toInputDate(appointment.appointmentDate),
+    time: appointment.appointmentTime,
+    reason: ''
+  });
+
+  const isOpen = (appointment) => !['completed', 'cancelled', 'no-show'].includes(appointment.status);
+  const conflicts = selected?.series.conflicts?.filter((conflict) => !conflict.resolved) || [];
+
+  return (
+    <div className="space-y-4 md:space-y-6">
+      <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-3">
+        <div>
+          <h2 className="text-lg md:text-xl font-bold text-gray-900">Follow-up Series</h2>
+          <p className="text-xs md:text-sm text-gray-600">Recurring follow-ups for chronic care patients</p>
+        </div>
+        <div className="flex gap-2">
+          <button
+            onClick={loadSeries}
+            className="px-3 py-2 border border-gray-300 rounded-lg text-sm hover:bg-gray-50 flex items-center gap-2"
+          >
+            <RefreshCw className="w-4 h-4" />
+            Refresh
+          </button>
+          <button
+            onClick={() => setShowCreate(true)}
+            className="px-3 py-2 bg-blue-600 text-white rounded-lg text-sm hover:bg-blue-700 flex items-center gap-2"
+          >
+            <Plus className="w-4 h-4" />
+            New Series
+          </button>
+        </div>
+      </div>
+
+      {showCreate && (
+        <form onSubmit={createSeries} className="bg-white rounded-xl border border-gray-200 p-4 md:p-6 space-y-4">
+          <div className="flex items-center justify-between">
+            <h3 className="font-semibold text-gray-900">New follow-up series</h3>
+            <button type="button" onClick={() => setShowCreate(false)} className="p-1 hover:bg-gray-100 rounded">
+              <X className="w-4 h-4" />
+            </button>
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <label className="text-sm">
+              <span className="block text-gray-700 mb-1">Patient</span>
+              <select
+                value={form.patientId}
+                onChange={(e) => updateForm('patientId', e.target.value)}
+                className="w-full border border-gray-300 rounded-lg px-3 py-2"
+              >
+                <option value="">Select a patient</option>
+                {patients.map((patient) => (
+                  <option key={patient.id} value={patient.id}>{patient.name}</option>
+                ))}
+              </select>
+            </label>
+            <label className="text-sm">
+              <span className="block text-gray-700 mb-1">Title</span>
+              <input
+                value={form.title}
+                onChange={(e) => updateForm('title', e.target.value)}
+                placeholder="e.g. Diabetes review"
+                className="w-full border border-gray-300 rounded-lg px-3 py-2"
+              />
+            </label>
+            <label className="text-sm">
+              <span className="block text-gray-700 mb-1">Visit type</span>
+              <select
+                value={form.appointmentType}
+                onChange={(e) => updateForm('appointmentType', e.target.value)}
+                className="w-full border border-gray-300 rounded-lg px-3 py-2"
+              >
+                <option value="in-person">In-person</option>
+                <option value="video">Video</option>
+                <option value="phone">Phone</option>
+                <option value="chat">Chat</option>
+              </select>
+            </label>
+            <div className="grid grid-cols-2 gap-2 text-sm">
+              <label>
+                <span className="block text-gray-700 mb-1">Every</span>
+                <input
+                  type="number"
+                  min="1"
+                  max="12"
+                  value={form.interval}
+                  onChange={(e) => updateForm('interval', e.target.value)}
+                  className="w-full border border-gray-300 rounded-lg px-3 py-2"
+                />
+              </label>
+              <label>
+                <span className="block text-gray-700 mb-1">&nbsp;</span>
+                <select
+                  value={form.frequency}
+                  onChange={(e) => updateForm('frequency', e.target.value)}
+                  className="w-full border border-gray-300 rounded-lg px-3 py-2"
+                >
+                  <option value="weekly">week(s)</option>
+                  <option value="monthly">month(s)</option>
+                </select>
+              </label>
+            </div>
+            {form.frequency === 'weekly' && (
+              <label className="text-sm">
+                <span className="block text-gray-700 mb-1">On</span>
+                <select
+                  value={form.dayOfWeek}
+                  onChange={(e) => updateForm('dayOfWeek', e.target.value)}
+                  className="w-full border border-gray-300 rounded-lg px-3 py-2"
+                >
+                  {WEEKDAYS.map((day, index) => (
+                    <option key={day} value={index}>{day}</option>
+                  ))}
+                </select>
+              </label>
+            )}
+            <label className="text-sm">
+              <span className="block text-gray-700 mb-1">Time</span>
+              <input
+                type="time"
+                value={form.time}
+                onChange={(e) => updateForm('time', e.target.value)}
+                className="w-full border border-gray-300 rounded-lg px-3 py-2"
+              />
+            </label>
+            <label className="text-sm">
+              <span className="block text-gray-700 mb-1">Starting</span>
+              <input
+                type="date"
+                value={form.startDate}
+                onChange={(e) => updateForm('startDate', e.target.value)}
+                className="w-full border border-gray-300 rounded-lg px-3 py-2"
+              />
+            </label>
+            <div className="grid grid-cols-2 gap-2 text-sm">
+              <label>
+                <span className="block text-gray-700 mb-1">Until</span>
+                <input
+                  type="date"
+                  value={form.endDate}
+                  onChange={(e) => updateForm('endDate', e.target.value)}
+                  className="w-full border border-gray-300 rounded-lg px-3 py-2"
+                />
+              </label>
+              <label>
+                <span className="block text-gray-700 mb-1">or visits</span>
+                <input
+                  type="number"
+                  min="1"
+                  max="52"
+                  value={form.count}
+                  onChange={(e) => updateForm('count', e.target.value)}
+                  className="w-full border border-gray-300 rounded-lg px-3 py-2"
+                />
+              </label>
+            </div>
+          </div>
+
+          <label className="text-sm block">
+            <span className="block text-gray-700 mb-1">Reason</span>
+            <textarea
+              value={form.reason}
+              onChange={(e) => updateForm('reason', e.target.value)}
+              rows={2}
+              placeholder="e.g. HbA1c and blood pressure review"
+              className="w-full border border-gray-300 rounded-lg px-3 py-2"
+            />
+          </label>
+
+          <div className="flex justify-end">
+            <button
+              type="submit"
+              disabled={submitting}
+              className="px-4 py-2 bg-blue-600 text-white rounded-lg text-sm hover:bg-blue-700 disabled:opacity-50 flex items-center gap-2"
+            >
+              {submitting && <Loader2 className="w-4 h-4 animate-spin" />}
+              Book Series
+            </button>
+          </div>
+        </form>
+      )}
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-4 md:gap-6">
+        <div className="bg-white rounded-xl border border-gray-200 p-4 space-y-3">
+          {loading ? (
+            <div className="flex justify-center py-8">
+              <Loader2 className="w-6 h-6 animate-spin text-blue-600" />
+            </div>
+          ) : seriesList.length === 0 ? (
+            <p className="text-sm text-gray-500 text-center py-8">No follow-up series yet</p>
+          ) : seriesList.map((series) => (
+            <button
+              key={series._id}
+              onClick={() => { setLastConflicts([]); openSeries(series._id); }}
+              className={`w-full text-left p-3 rounded-lg border ${selected?.series._id === series._id ? 'border-blue-300 bg-blue-50' : 'border-gray-100 hover:bg-gray-50'}`}
+            >
+              <div className="flex items-center justify-between gap-2">
+                <p className="font-medium text-gray-900 text-sm truncate">
+                  {series.title || patientName(series.patientId)}
+                </p>
+                {series.status !== 'active' && (
+                  <span className="text-xs px-2 py-0.5 rounded-full bg-gray-100 text-gray-600">{series.status}</span>
+                )}
+              </div>
+              <p className="text-xs text-gray-600">{patientName(series.patientId)} · {describeRecurrence(series.recurrence)}</p>
+              <div className="flex items-center gap-3 mt-1 text-xs text-gray-500">
+                {series.upcoming.nextDate && (
+                  <span className="flex items-center gap-1">
+                    <Calendar className="w-3 h-3" />
+                    Next {formatDate(series.upcoming.nextDate)}
+                  </span>
+                )}
+                <span>{series.upcoming.remaining} upcoming</span>
+                {series.openConflicts > 0 && (
+                  <span className="flex items-center gap-1 text-orange-600">
+                    <AlertTriangle className="w-3 h-3" />
+                    {series.openConflicts} conflict(s)
+                  </span>
+                )}
+              </div>
+            </button>
+          ))}
+        </div>
+
+        <div className="lg:col-span-2 bg-white rounded-xl border border-gray-200 p-4 md:p-6">
+          {!selected ? (
+            <p className="text-sm text-gray-500 text-center py-8">Select a series to see its occurrences</p>
+          ) : (
+            <div className="space-y-4">
+              <div>
+                <h3 className="font-semibold text-gray-900">
+                  {selected.series.title || 'Follow-up series'} — {patientName(selected.series.patientId)}
+                </h3>
+                <p className="text-sm text-gray-600">
+                  {describeRecurrence(selected.series.recurrence)} · {selected.series.appointmentType}
+                </p>
+              </div>
+
+              {(lastConflicts.length > 0 || conflicts.length > 0) && (
+                <div className="bg-orange-50 border border-orange-200 rounded-lg p-3">
+                  <p className="text-sm font-medium text-orange-800 flex items-center gap-2 mb-2">
+                    <AlertTriangle className="w-4 h-4" />
+                    Occurrences that could not be booked
+                  </p>
+                  <ul className="space-y-1 text-xs text-orange-700">
+                    {(lastConflicts.length > 0 ? lastConflicts : conflicts).map((conflict) => (
+                      <li key={conflict.seriesIndex}>
+                        #{conflict.seriesIndex + 1} · {formatDate(conflict.date)} {conflict.time} — {conflict.reason}
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+
+              <div className="divide-y divide-gray-100">
+                {selected.occurrences.map((appointment) => (
+                  <div key={appointment._id} className="py-3">
+                    <div className="flex items-center justify-between gap-3">
+                      <div className="flex items-center gap-3 text-sm">
+                        <span className="text-gray-400 w-8">#{appointment.seriesIndex + 1}</span>
+                        <span className="flex items-center gap-1 text-gray-900">
+                          <Calendar className="w-4 h-4 text-blue-600" />
+                          {formatDate(appointment.appointmentDate)}
+                        </span>
+                        <span className="flex items-center gap-1 text-gray-700">
+                          <Clock className="w-4 h-4 text-blue-600" />
+                          {appointment.appointmentTime}
+                        </span>
+                        <span className={`text-xs px-2 py-0.5 rounded-full ${STATUS_STYLES[appointment.status] || 'bg-gray-100 text-gray-700'}`}>
+                          {appointment.status}
+                        </span>
+                      </div>
+                      {isOpen(appointment) && (
+                        <div className="flex gap-2">
+                          <button
+                            onClick={() => startAction(appointment, 'move')}
+                            className="p-1.5 hover:bg-gray-100 rounded"
+                            title="Reschedule"
+                          >
+                            <Edit className="w-4 h-4 text-gray-600" />
+                          </button>
+                          <button
+                            onClick={() => startAction(appointment, 'cancel')}
+                            className="p-1.5 hover:bg-red-50 rounded"
+                            title="Cancel"
+                          >
+                            <X className="w-4 h-4 text-red-600" />
+                          </button>
+                        </div>
+                      )}
+                    </div>
+
+                    {action?.appointment._id === appointment._id && (
+                      <div className="mt-3 p-3 bg-gray-50 rounded-lg space-y-3 text-sm">
+                        {action.mode === 'move' ? (
+                          <div className="flex flex-wrap gap-2">
+                            <input
+                              type="date"
+                              value={action.date}
+                              onChange={(e) => setAction({ ...action, date: e.target.value })}
+                              className="border border-gray-300 rounded-lg px-3 py-1.5"
+                            />
+                            <input
+                              type="time"
+                              value={action.time}
+                              onChange={(e) => setAction({ ...action, time: e.target.value })}
+                              className="border border-gray-300 rounded-lg px-3 py-1.5"
+                            />
+                          </div>
+                        ) : (
+                          <input
+                            value={action.reason}
+                            onChange={(e) => setAction({ ...action, reason: e.target.value })}
+                            placeholder="Reason for cancelling"
+                            className="w-full border border-gray-300 rounded-lg px-3 py-1.5"
+                          />
+                        )}
+                        <div className="flex flex-wrap items-center gap-4">
+                          <label className="flex items-center gap-1">
+                            <input
+                              type="radio"
+                              checked={action.scope === 'this'}
+                              onChange={() => setAction({ ...action, scope: 'this' })}
+                            />
+                            This occurrence
+                          </label>
+                          <label className="flex items-center gap-1">
+                            <input
+                              type="radio"
+                              checked={action.scope === 'following'}
+                              onChange={() => setAction({ ...action, scope: 'following' })}
+                            />
+                            This and all following
+                          </label>
+                          <div className="flex gap-2 ml-auto">
+                            <button
+                              onClick={() => setAction(null)}
+                              className="px-3 py-1.5 border border-gray-300 rounded-lg hover:bg-white"
+                            >
+                              Back
+                            </button>
+                            <button
+                              onClick={submitAction}
+                              disabled={submitting}
+                              className={`px-3 py-1.5 text-white rounded-lg disabled:opacity-50 ${action.mode === 'move' ? 'bg-blue-600 hover:bg-blue-700' : 'bg-red-600 hover:bg-red-700'}`}
+                            >
+                              {action.mode === 'move' ? 'Reschedule' : 'Cancel Visits'}
+                            </button>
+                          </div>
+                        </div>
+                      </div>
+                    )}
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default FollowUpSeries;
@@ -0,0 +1,193 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { toast } from 'react-toastify';
+import { Receipt, Download, RefreshCw, ChevronLeft, ChevronRight } from 'lucide-react';
+import { invoiceAPI } from './api';
+
+const STATUS_FILTERS = [
+  { id: '', label: 'All' },
+  { id: 'pending', label: 'Due' },
+  { id: 'paid', label: 'Paid' },
+  { id: 'refunded', label: 'Refunded' }
+];
+
+const STATUS_STYLES = {
+  pending: 'bg-yellow-100 text-yellow-800',
+  overdue: 'bg-red-100 text-red-800',
+  partially_paid: 'bg-orange-100 text-orange-800',
+  paid: 'bg-green-100 text-green-800',
+  refunded: 'bg-blue-100 text-blue-800',
+  cancelled: 'bg-gray-100 text-gray-600'
+};
+
+const SOURCE_LABELS = {
+  appointment: 'Consultation',
+  lab_test: 'Lab test',
+  pharmacy_order: 'Pharmacy order',
+  payment: 'Service'
+};
+
+const formatMoney = (amount, currency = 'INR') =>
+  new Intl.NumberFormat('en-IN', { style: 'currency', currency }).format(amount || 0);
+
+/**
+ * The patient's invoices for consultations, lab tests and pharmacy orders,
+ * each downloadable as a PDF.
+ */
+const Invoices = () => {
+  const [invoices, setInvoices] = useState([]);
+  const [summary, setSummary] = useState(null);
+  const [pagination, setPagination] = useState({ page: 1, pages: 0, total: 0 });
+  const [status, setStatus] = useState('');
+  const [page, setPage] = useState(1);
+  const [loading, setLoading] = useState(true);
+  const [downloading, setDownloading] = useState(null);
+
+  const fetchInvoices = useCallback(async () => {
+    setLoading(true);
+    try {
+      const res = await invoiceAPI.getInvoices({ status: status || undefined, page, limit: 20 });
+      setInvoices(res.data.data?.invoices || []);
+      setSummary(res.data.data?.summary || null);
+      setPagination(res.data.data?.pagination || { page: 1, pages: 0, total: 0 });
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Could not load your invoices');
+    } finally {
+      setLoading(false);
+    }
+  }, [status, page]);
+
+  useEffect(() => {
+    fetchInvoices();
+  }, [fetchInvoices]);
+
+  const download = async (invoice) => {
+    setDownloading(invoice._id);
+    try {
+      const response = await invoiceAPI.download(invoice._id);
+      const url = URL.createObjectURL(new Blob([response.data], { type: 'application/pdf' }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `invoice-${invoice.invoiceNumber.replace(/\//g, '-')}.pdf`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch {
+      toast.error('Could not download the invoice. Please try again.');
+    } finally {
+      setDownloading(null);
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-wrap justify-between items-center gap-3 bg-white p-6 rounded-xl shadow-sm border border-gray-100">
+        <div>
+          <h2 className="text-xl font-bold text-gray-800">Invoices</h2>
+          <p className="text-sm text-gray-500 mt-1">Bills for your consultations, lab tests and pharmacy orders.</p>
+        </div>
+        <div className="flex items-center gap-2">
+          {STATUS_FILTERS.map((filter) => (
+            <button
+              key={filter.id || 'all'}
+              onClick={() => { setStatus(filter.id); setPage(1); }}
+              className={`px-3 py-1.5 text-sm rounded-md ${status === filter.id ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'}`}
+            >
+              {filter.label}
+            </button>
+          ))}
+          <button
+            onClick={fetchInvoices}
+            className="p-2 text-gray-500 hover:text-blue-600 hover:bg-blue-50 rounded-lg transition-colors"
+            title="Refresh"
+          >
+            <RefreshCw size={18} className={loading ? 'animate-spin' : ''} />
+          </button>
+        </div>
+      </div>
+
+      {summary && (
+        <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+          <div className="bg-white rounded-xl p-4 border border-gray-100 shadow-sm">
+            <p className="text-xs text-gray-500">Total billed</p>
+            <p className="text-lg font-bold text-gray-800">{formatMoney(summary.totalAmount)}</p>
+          </div>
+          <div className="bg-white rounded-xl p-4 border border-gray-100 shadow-sm">
+            <p className="text-xs text-gray-500">Paid</p>
+            <p className="text-lg font-bold text-green-700">{formatMoney(summary.paidAmount)}</p>
+          </div>
+          <div className="bg-white rounded-xl p-4 border border-gray-100 shadow-sm">
+            <p className="text-xs text-gray-500">Outstanding</p>
+            <p className="text-lg font-bold text-orange-700">{formatMoney(summary.outstandingAmount)}</p>
+          </div>
+        </div>
+      )}
+
+      <div className="bg-white rounded-xl border border-gray-100 shadow-sm overflow-hidden">
+        {loading ? (
+          <div className="text-center py-16">
+            <RefreshCw className="animate-spin text-blue-600 mx-auto mb-2" size={24} />
+            <p className="text-sm text-gray-500">Loading invoices...</p>
+          </div>
+        ) : invoices.length === 0 ? (
+          <div className="text-center py-16 text-gray-500 text-sm">
+            <Receipt className="mx-auto mb-3 text-gray-300" size={36} />
+            No invoices yet.
+          </div>
+        ) : (
+          <ul className="divide-y divide-gray-100">
+            {invoices.map((invoice) => (
+              <li key={invoice._id} className="px-6 py-4 flex flex-wrap justify-between items-center gap-4">
+                <div className="min-w-0">
+                  <p className="text-sm font-semibold text-gray-800">
+                    {invoice.invoiceNumber}
+                    <span className="ml-2 text-xs font-normal text-gray-500">{SOURCE_LABELS[invoice.source?.kind] || 'Invoice'}</span>
+                  </p>
+                  <p className="text-sm text-gray-600 truncate">{invoice.items?.map((item) => item.description).join(', ')}</p>
+                  <p className="text-xs text-gray-500">{new Date(invoice.issueDate).toLocaleDateString()}</p>
+                </div>
+                <div className="flex items-center gap-3">
+                  <span className={`px-2 py-1 rounded-full text-xs font-medium capitalize ${STATUS_STYLES[invoice.paymentStatus] || STATUS_STYLES.cancelled}`}>
+                    {invoice.paymentStatus.replace(/_/g, ' ')}
+                  </span>
+                  <span className="text-sm font-bold text-gray-800">{formatMoney(invoice.total, invoice.currency)}</span>
+                  <button
+                    onClick={() => download(invoice)}
+                    disabled={downloading === invoice._id}
+                    className="p-2 text-gray-500 hover:text-blue-600 hover:bg-blue-50 rounded-lg disabled:opacity-40"
+                    title="Download PDF"
+                  >
+                    <Download size={16} />
+                  </button>
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+
+        {pagination.pages > 1 && (
+          <div className="flex justify-between items-center px-6 py-3 border-t border-gray-100 text-sm text-gray-600">
+            <span>{pagination.total} invoices</span>
+            <div className="flex items-center gap-2">
+              <button
+                onClick={() => setPage(p => Math.max(1, p - 1))}
+                disabled={page <= 1}
+                className="p-1 rounded hover:bg-gray-100 disabled:opacity-40"
+              >
+                <ChevronLeft size={16} />
+              </button>
+              <span>Page {pagination.page} of {pagination.pages}</span>
+              <button
+                onClick={() => setPage(p => Math.min(pagination.pages, p + 1))}
+                disabled={page >= pagination.pages}
+                className="p-1 rounded hover:bg-gray-100 disabled:opacity-40"
+              >
+                <ChevronRight size={16} />
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Invoices;
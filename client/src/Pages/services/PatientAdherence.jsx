@@ -0,0 +1,103 @@
+import React, { useState, useEffect } from 'react';
+import { Pill, AlertTriangle, X, Loader2 } from 'lucide-react';
+import { doctorService } from './DoctorApi';
+
+const adherenceColour = (value) => {
+  if (value === null || value === undefined) return 'text-gray-400';
+  if (value >= 80) return 'text-green-600';
+  if (value >= 50) return 'text-yellow-600';
+  return 'text-red-600';
+};
+
+const percent = (value) => (value === null || value === undefined ? '—' : `${value}%`);
+
+const PatientAdherence = ({ patientId, onClose }) => {
+  const [patient, setPatient] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    setLoading(true);
+    doctorService.getPatientDetails(patientId)
+      .then((res) => setPatient(res.data.data))
+      .catch((error) => console.error('Failed to load patient details:', error))
+      .finally(() => setLoading(false));
+  }, [patientId]);
+
+  const adherence = patient?.adherence;
+  const name = patient?.user ? `${patient.user.firstName} ${patient.user.lastName}` : 'Patient';
+
+  return (
+    <div className="bg-white rounded-lg shadow p-4 md:p-6 space-y-4">
+      <div className="flex items-center justify-between">
+        <h3 className="font-semibold text-gray-900 flex items-center gap-2">
+          <Pill className="w-5 h-5 text-blue-600" />
+          Medication adherence{patient && ` — ${name}`}
+        </h3>
+        <button onClick={onClose} className="p-1 hover:bg-gray-100 rounded">
+          <X className="w-4 h-4" />
+        </button>
+      </div>
+
+      {loading ? (
+        <div className="flex justify-center py-8">
+          <Loader2 className="w-6 h-6 animate-spin text-blue-600" />
+        </div>
+      ) : !adherence || adherence.overall.expected === 0 ? (
+        <p className="text-sm text-gray-500 text-center py-6">No doses recorded in the last four weeks</p>
+      ) : (
+        <>
+          <div className="grid grid-cols-2 md:grid-cols-5 gap-3 text-center">
+            <div className="bg-gray-50 rounded-lg p-3">
+              <p className={`text-2xl font-bold ${adherenceColour(adherence.overall.adherence)}`}>
+                {percent(adherence.overall.adherence)}
+              </p>
+              <p className="text-xs text-gray-600">Overall</p>
+            </div>
+            {['taken', 'late', 'skipped', 'missed'].map((status) => (
+              <div key={status} className="bg-gray-50 rounded-lg p-3">
+                <p className="text-2xl font-bold text-gray-800">{adherence.overall[status]}</p>
+                <p className="text-xs text-gray-600 capitalize">{status}</p>
+              </div>
+            ))}
+          </div>
+
+          <div>
+            <p className="text-sm font-medium text-gray-700 mb-2">By medicine</p>
+            <ul className="divide-y divide-gray-100 text-sm">
+              {adherence.medications.map((medication) => (
+                <li key={medication.scheduleId || medication.medicationId} className="flex items-center justify-between py-2">
+                  <span className="text-gray-800">{medication.medicationName}</span>
+                  <span className="flex items-center gap-3 text-xs text-gray-500">
+                    {medication.missed > 0 && (
+                      <span className="flex items-center gap-1 text-red-600">
+                        <AlertTriangle className="w-3 h-3" />
+                        {medication.missed} missed
+                      </span>
+                    )}
+                    <span className={`text-sm font-semibold ${adherenceColour(medication.adherence)}`}>
+                      {percent(medication.adherence)}
+                    </span>
+                  </span>
+                </li>
+              ))}
+            </ul>
+          </div>
+
+          <div>
+            <p className="text-sm font-medium text-gray-700 mb-2">By week</p>
+            <div className="flex gap-2 overflow-x-auto">
+              {adherence.weeks.map((week) => (
+                <div key={week.weekStart} className="min-w-[96px] bg-gray-50 rounded-lg p-2 text-center">
+                  <p className={`font-semibold ${adherenceColour(week.adherence)}`}>{percent(week.adherence)}</p>
+                  <p className="text-xs text-gray-500">w/c {week.weekStart}</p>
+                </div>
+              ))}
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default PatientAdherence;
@@ -0,0 +1,569 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { toast } from 'react-toastify';
+import {
+  Plus,
+  RefreshCw,
+  AlertTriangle,
+  ShieldCheck,
+  Star,
+  Users,
+  Save,
+  Trash2,
+  X,
+  Loader2
+} from 'lucide-react';
+import { doctorService } from './DoctorApi';
+
+const EMPTY_MEDICATION = {
+  medicationName: '',
+  strength: '',
+  dosage: '',
+  frequency: '',
+  timing: 'after-food',
+  duration: { value: 5, unit: 'days' },
+  quantity: 10,
+  instructions: '',
+  noSubstitution: false
+};
+
+const SEVERITY_STYLES = {
+  contraindicated: 'bg-red-50 border-red-200 text-red-800',
+  major: 'bg-orange-50 border-orange-200 text-orange-800',
+  moderate: 'bg-yellow-50 border-yellow-200 text-yellow-800',
+  minor: 'bg-gray-50 border-gray-200 text-gray-700'
+};
+
+// Template and favourite medications only carry the fields the doctor saved
+const toRow = (medication) => ({
+  ...EMPTY_MEDICATION,
+  ...medication,
+  duration: { ...EMPTY_MEDICATION.duration, ...medication.duration }
+});
+
+const isBlankRow = (row) => !row.medicationName.trim();
+
+const ownerName = (template) =>
+  template.doctorId?.firstName ? `Dr. ${template.doctorId.firstName} ${template.doctorId.lastName}` : '';
+
+const PrescriptionPad = () => {
+  const [patients, setPatients] = useState([]);
+  const [templates, setTemplates] = useState([]);
+  const [favourites, setFavourites] = useState([]);
+  const [scope, setScope] = useState('all');
+  const [patientId, setPatientId] = useState('');
+  const [templateId, setTemplateId] = useState('');
+  const [medications, setMedications] = useState([{ ...EMPTY_MEDICATION }]);
+  const [diagnosis, setDiagnosis] = useState('');
+  const [patientInstructions, setPatientInstructions] = useState('');
+  const [refillsAllowed, setRefillsAllowed] = useState(0);
+  const [isPregnant, setIsPregnant] = useState(false);
+  const [safety, setSafety] = useState(null);
+  const [overrideReason, setOverrideReason] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  // { name, share } while saving the current medicines as a template
+  const [saveAs, setSaveAs] = useState(null);
+
+  const loadTemplates = useCallback(async () => {
+    try {
+      const res = await doctorService.getPrescriptionTemplates({ scope });
+      setTemplates(res.data.data || []);
+    } catch (error) {
+      console.error('Failed to load prescription templates:', error);
+    }
+  }, [scope]);
+
+  const loadFavourites = useCallback(async () => {
+    try {
+      const res = await doctorService.getFavouriteMedications({ limit: 15 });
+      setFavourites(res.data.data || []);
+    } catch (error) {
+      console.error('Failed to load favourite medications:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadTemplates();
+  }, [loadTemplates]);
+
+  useEffect(() => {
+    loadFavourites();
+    doctorService.getPatients({ page: 1, limit: 100 })
+      .then((res) => setPatients(res.data.data.patients || []))
+      .catch((error) => console.error('Failed to load patients:', error));
+  }, [loadFavourites]);
+
+  // Any edit invalidates the last safety check
+  const changeMedications = (next) => {
+    setMedications(next);
+    setSafety(null);
+  };
+
+  const updateRow = (index, field, value) => changeMedications(medications.map((row, i) => (
+    i === index ? { ...row, [field]: value } : row
+  )));
+
+  const updateDuration = (index, field, value) => changeMedications(medications.map((row, i) => (
+    i === index ? { ...row, duration: { ...row.duration, [field]: value } } : row
+  )));
+
+  const removeRow = (index) => {
+    const next = medications.filter((_, i) => i !== index);
+    changeMedications(next.length > 0 ? next : [{ ...EMPTY_MEDICATION }]);
+  };
+
+  const applyTemplate = (template) => {
+    setTemplateId(template._id);
+    changeMedications(template.medications.map(toRow));
+    setDiagnosis(template.diagnosis || '');
+    setPatientInstructions(template.patientInstructions || '');
+    toast.info(`Loaded "${template.name}" — adjust it for this patient before saving`);
+  };
+
+  const addFavourite = (favourite) => {
+    const rows = medications.filter((row) => !isBlankRow(row));
+    changeMedications([...rows, toRow(favourite.medication)]);
+  };
+
+  const pinRow = async (row) => {
+    if (isBlankRow(row)) return;
+    try {
+      await doctorService.pinFavouriteMedication(row);
+      toast.success(`${row.medicationName} added to favourites`);
+      loadFavourites();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Could not add to favourites');
+    }
+  };
+
+  const unpin = async (favourite) => {
+    try {
+      await doctorService.unpinFavouriteMedication(favourite._id);
+      loadFavourites();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Could not update favourites');
+    }
+  };
+
+  const payloadMedications = () => medications
+    .filter((row) => !isBlankRow(row))
+    .map((row) => ({
+      ...row,
+      quantity: Number(row.quantity),
+      duration: { ...row.duration, value: Number(row.duration.value) }
+    }));
+
+  const runSafetyCheck = async () => {
+    if (!patientId || payloadMedications().length === 0) {
+      toast.error('Choose a patient and add at least one medicine');
+      return;
+    }
+    setSubmitting(true);
+    try {
+      const res = await doctorService.checkPrescriptionSafety({
+        patientId,
+        medications: payloadMedications(),
+        isPregnant
+      });
+      setSafety(res.data.data);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Safety check failed');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const resetPad = () => {
+    setTemplateId('');
+    setMedications([{ ...EMPTY_MEDICATION }]);
+    setDiagnosis('');
+    setPatientInstructions('');
+    setRefillsAllowed(0);
+    setIsPregnant(false);
+    setSafety(null);
+    setOverrideReason('');
+  };
+
+  const createPrescription = async () => {
+    setSubmitting(true);
+    try {
+      const res = await doctorService.createPrescription({
+        patientId,
+        templateId: templateId || undefined,
+        medications: payloadMedications(),
+        diagnosis,
+        patientInstructions,
+        refillsAllowed: Number(refillsAllowed),
+        isPregnant,
+        safetyOverride: overrideReason.trim() ? { reason: overrideReason.trim() } : undefined
+      });
+      toast.success(res.data.message);
+      resetPad();
+      loadTemplates();
+      loadFavourites();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Could not create the prescription');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const saveTemplate = async (e) => {
+    e.preventDefault();
+    if (!saveAs.name.trim() || payloadMedications().length === 0) {
+      toast.error('Name the template and add at least one medicine');
+      return;
+    }
+    try {
+      const res = await doctorService.createPrescriptionTemplate({
+        name: saveAs.name.trim(),
+        diagnosis,
+        patientInstructions,
+        medications: payloadMedications(),
+        visibility: saveAs.share ? 'department' : 'private'
+      });
+      toast.success(res.data.message);
+      setSaveAs(null);
+      loadTemplates();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Could not save the template');
+    }
+  };
+
+  const needsOverride = safety?.requiresOverride && !overrideReason.trim();
+
+  return (
+    <div className="space-y-4 md:space-y-6">
+      <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-3">
+        <div>
+          <h2 className="text-lg md:text-xl font-bold text-gray-900">Write Prescription</h2>
+          <p className="text-xs md:text-sm text-gray-600">Start from a template or your favourites, then tailor it to the patient</p>
+        </div>
+        <button
+          onClick={() => { loadTemplates(); loadFavourites(); }}
+          className="px-3 py-2 border border-gray-300 rounded-lg text-sm hover:bg-gray-50 flex items-center gap-2"
+        >
+          <RefreshCw className="w-4 h-4" />
+          Refresh
+        </button>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-4 md:gap-6">
+        <div className="space-y-4">
+          <div className="bg-white rounded-xl border border-gray-200 p-4 space-y-3">
+            <div className="flex items-center justify-between">
+              <h3 className="font-semibold text-gray-900 text-sm">Templates</h3>
+              <select
+                value={scope}
+                onChange={(e) => setScope(e.target.value)}
+                className="border border-gray-300 rounded-lg px-2 py-1 text-xs"
+              >
+                <option value="all">All</option>
+                <option value="mine">Mine</option>
+                <option value="department">Department</option>
+              </select>
+            </div>
+            {templates.length === 0 ? (
+              <p className="text-sm text-gray-500 text-center py-4">No templates yet</p>
+            ) : templates.map((template) => (
+              <button
+                key={template._id}
+                onClick={() => applyTemplate(template)}
+                className={`w-full text-left p-3 rounded-lg border ${templateId === template._id ? 'border-blue-300 bg-blue-50' : 'border-gray-100 hover:bg-gray-50'}`}
+              >
+                <div className="flex items-center justify-between gap-2">
+                  <p className="font-medium text-gray-900 text-sm truncate">{template.name}</p>
+                  {template.visibility === 'department' && (
+                    <span className="text-xs px-2 py-0.5 rounded-full bg-purple-100 text-purple-700 flex items-center gap-1">
+                      <Users className="w-3 h-3" />
+                      {template.department}
+                    </span>
+                  )}
+                </div>
+                <p className="text-xs text-gray-600 truncate">
+                  {template.medications.map((med) => med.medicationName).join(', ')}
+                </p>
+                <p className="text-xs text-gray-500 mt-1">
+                  Used {template.usage?.count || 0} time(s)
+                  {template.usage?.doctors?.length > 1 && ` by ${template.usage.doctors.length} doctors`}
+                  {ownerName(template) && ` · ${ownerName(template)}`}
+                </p>
+              </button>
+            ))}
+          </div>
+
+          <div className="bg-white rounded-xl border border-gray-200 p-4 space-y-3">
+            <h3 className="font-semibold text-gray-900 text-sm">Favourites</h3>
+            {favourites.length === 0 ? (
+              <p className="text-sm text-gray-500 text-center py-4">Medicines you prescribe often appear here</p>
+            ) : (
+              <div className="flex flex-wrap gap-2">
+                {favourites.map((favourite) => (
+                  <span
+                    key={favourite._id}
+                    className="inline-flex items-center gap-1 px-2 py-1 rounded-full border border-gray-200 text-xs bg-gray-50"
+                  >
+                    {favourite.isPinned && <Star className="w-3 h-3 text-yellow-500 fill-yellow-400" />}
+                    <button onClick={() => addFavourite(favourite)} className="hover:text-blue-700">
+                      {favourite.medication.medicationName} {favourite.medication.strength}
+                    </button>
+                    {favourite.isPinned && (
+                      <button onClick={() => unpin(favourite)} className="text-gray-400 hover:text-gray-700">
+                        <X className="w-3 h-3" />
+                      </button>
+                    )}
+                  </span>
+                ))}
+              </div>
+            )}
+          </div>
+        </div>
+
+        <div className="lg:col-span-2 bg-white rounded-xl border border-gray-200 p-4 md:p-6 space-y-4">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <label className="text-sm">
+              <span className="block text-gray-700 mb-1">Patient</span>
+              <select
+                value={patientId}
+                onChange={(e) => { setPatientId(e.target.value); setSafety(null); }}
+                className="w-full border border-gray-300 rounded-lg px-3 py-2"
+              >
+                <option value="">Select a patient</option>
+                {patients.map((patient) => (
+                  <option key={patient.id} value={patient.id}>{patient.name}</option>
+                ))}
+              </select>
+            </label>
+            <label className="text-sm">
+              <span className="block text-gray-700 mb-1">Diagnosis</span>
+              <input
+                value={diagnosis}
+                onChange={(e) => setDiagnosis(e.target.value)}
+                className="w-full border border-gray-300 rounded-lg px-3 py-2"
+              />
+            </label>
+          </div>
+
+          <div className="space-y-3">
+            {medications.map((row, index) => (
+              <div key={index} className="border border-gray-200 rounded-lg p-3 space-y-2">
+                <div className="grid grid-cols-2 md:grid-cols-4 gap-2 text-sm">
+                  <input
+                    value={row.medicationName}
+                    onChange={(e) => updateRow(index, 'medicationName', e.target.value)}
+                    placeholder="Medicine"
+                    className="col-span-2 border border-gray-300 rounded-lg px-3 py-2"
+                  />
+                  <input
+                    value={row.strength}
+                    onChange={(e) => updateRow(index, 'strength', e.target.value)}
+                    placeholder="Strength, e.g. 500mg"
+                    className="border border-gray-300 rounded-lg px-3 py-2"
+                  />
+                  <input
+                    value={row.dosage}
+                    onChange={(e) => updateRow(index, 'dosage', e.target.value)}
+                    placeholder="Dose, e.g. 1 tablet"
+                    className="border border-gray-300 rounded-lg px-3 py-2"
+                  />
+                  <input
+                    value={row.frequency}
+                    onChange={(e) => updateRow(index, 'frequency', e.target.value)}
+                    placeholder="Frequency, e.g. 1-0-1"
+                    className="border border-gray-300 rounded-lg px-3 py-2"
+                  />
+                  <select
+                    value={row.timing}
+                    onChange={(e) => updateRow(index, 'timing', e.target.value)}
+                    className="border border-gray-300 rounded-lg px-3 py-2"
+                  >
+                    <option value="before-food">Before food</option>
+                    <option value="after-food">After food</option>
+                    <option value="with-food">With food</option>
+                    <option value="empty-stomach">Empty stomach</option>
+                    <option value="as-needed">As needed</option>
+                  </select>
+                  <div className="flex gap-1">
+                    <input
+                      type="number"
+                      min="1"
+                      value={row.duration.value}
+                      onChange={(e) => updateDuration(index, 'value', e.target.value)}
+                      className="w-16 border border-gray-300 rounded-lg px-2 py-2"
+                    />
+                    <select
+                      value={row.duration.unit}
+                      onChange={(e) => updateDuration(index, 'unit', e.target.value)}
+                      className="flex-1 border border-gray-300 rounded-lg px-2 py-2"
+                    >
+                      <option value="days">days</option>
+                      <option value="weeks">weeks</option>
+                      <option value="months">months</option>
+                    </select>
+                  </div>
+                  <input
+                    type="number"
+                    min="1"
+                    value={row.quantity}
+                    onChange={(e) => updateRow(index, 'quantity', e.target.value)}
+                    placeholder="Qty"
+                    className="border border-gray-300 rounded-lg px-3 py-2"
+                  />
+                </div>
+                <div className="flex items-center gap-2">
+                  <input
+                    value={row.instructions}
+                    onChange={(e) => updateRow(index, 'instructions', e.target.value)}
+                    placeholder="Instructions for this medicine"
+                    className="flex-1 border border-gray-300 rounded-lg px-3 py-2 text-sm"
+                  />
+                  <label className="flex items-center gap-1 text-xs text-gray-600 whitespace-nowrap" title="Pharmacies must dispense this brand, not a generic">
+                    <input
+                      type="checkbox"
+                      checked={Boolean(row.noSubstitution)}
+                      onChange={(e) => updateRow(index, 'noSubstitution', e.target.checked)}
+                    />
+                    No substitution
+                  </label>
+                  <button
+                    onClick={() => pinRow(row)}
+                    title="Add to favourites"
+                    className="p-2 text-gray-400 hover:text-yellow-500"
+                  >
+                    <Star className="w-4 h-4" />
+                  </button>
+                  <button
+                    onClick={() => removeRow(index)}
+                    title="Remove"
+                    className="p-2 text-gray-400 hover:text-red-600"
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                </div>
+              </div>
+            ))}
+            <button
+              onClick={() => changeMedications([...medications, { ...EMPTY_MEDICATION }])}
+              className="text-sm text-blue-600 hover:text-blue-700 flex items-center gap-1"
+            >
+              <Plus className="w-4 h-4" />
+              Add medicine
+            </button>
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4 text-sm">
+            <label className="md:col-span-2">
+              <span className="block text-gray-700 mb-1">Instructions for the patient</span>
+              <textarea
+                value={patientInstructions}
+                onChange={(e) => setPatientInstructions(e.target.value)}
+                rows={2}
+                className="w-full border border-gray-300 rounded-lg px-3 py-2"
+              />
+            </label>
+            <div className="space-y-2">
+              <label className="block">
+                <span className="block text-gray-700 mb-1">Refills</span>
+                <input
+                  type="number"
+                  min="0"
+                  max="12"
+                  value={refillsAllowed}
+                  onChange={(e) => setRefillsAllowed(e.target.value)}
+                  className="w-full border border-gray-300 rounded-lg px-3 py-2"
+                />
+              </label>
+              <label className="flex items-center gap-2">
+                <input
+                  type="checkbox"
+                  checked={isPregnant}
+                  onChange={(e) => { setIsPregnant(e.target.checked); setSafety(null); }}
+                />
+                <span className="text-gray-700">Patient is pregnant</span>
+              </label>
+            </div>
+          </div>
+
+          {safety && (
+            <div className="space-y-2">
+              {safety.findings.length === 0 ? (
+                <p className="text-sm text-green-700 flex items-center gap-2">
+                  <ShieldCheck className="w-4 h-4" />
+                  No interactions or contraindications found
+                </p>
+              ) : safety.findings.map((finding, index) => (
+                <div key={index} className={`border rounded-lg p-2 text-xs ${SEVERITY_STYLES[finding.severity]}`}>
+                  <span className="font-semibold uppercase mr-2">{finding.severity}</span>
+                  {finding.message}
+                </div>
+              ))}
+              {safety.requiresOverride && !safety.blocked && (
+                <label className="text-sm block">
+                  <span className="block text-gray-700 mb-1 flex items-center gap-1">
+                    <AlertTriangle className="w-4 h-4 text-orange-600" />
+                    Reason for prescribing despite major warnings
+                  </span>
+                  <input
+                    value={overrideReason}
+                    onChange={(e) => setOverrideReason(e.target.value)}
+                    className="w-full border border-gray-300 rounded-lg px-3 py-2"
+                  />
+                </label>
+              )}
+            </div>
+          )}
+
+          {saveAs && (
+            <form onSubmit={saveTemplate} className="flex flex-col md:flex-row md:items-center gap-2 text-sm bg-gray-50 rounded-lg p-3">
+              <input
+                value={saveAs.name}
+                onChange={(e) => setSaveAs({ ...saveAs, name: e.target.value })}
+                placeholder="Template name, e.g. Adult URTI"
+                className="flex-1 border border-gray-300 rounded-lg px-3 py-2"
+              />
+              <label className="flex items-center gap-2">
+                <input
+                  type="checkbox"
+                  checked={saveAs.share}
+                  onChange={(e) => setSaveAs({ ...saveAs, share: e.target.checked })}
+                />
+                <span className="text-gray-700">Share with my department</span>
+              </label>
+              <button type="submit" className="px-3 py-2 bg-gray-800 text-white rounded-lg hover:bg-gray-900">Save</button>
+              <button type="button" onClick={() => setSaveAs(null)} className="p-2 hover:bg-gray-200 rounded">
+                <X className="w-4 h-4" />
+              </button>
+            </form>
+          )}
+
+          <div className="flex flex-wrap justify-end gap-2">
+            <button
+              onClick={() => setSaveAs({ name: '', share: false })}
+              className="px-3 py-2 border border-gray-300 rounded-lg text-sm hover:bg-gray-50 flex items-center gap-2"
+            >
+              <Save className="w-4 h-4" />
+              Save as template
+            </button>
+            <button
+              onClick={runSafetyCheck}
+              disabled={submitting}
+              className="px-3 py-2 border border-blue-300 text-blue-700 rounded-lg text-sm hover:bg-blue-50 disabled:opacity-50 flex items-center gap-2"
+            >
+              <ShieldCheck className="w-4 h-4" />
+              Check safety
+            </button>
+            <button
+              onClick={createPrescription}
+              disabled={submitting || !safety || safety.blocked || needsOverride}
+              className="px-4 py-2 bg-blue-600 text-white rounded-lg text-sm hover:bg-blue-700 disabled:opacity-50 flex items-center gap-2"
+            >
+              {submitting && <Loader2 className="w-4 h-4 animate-spin" />}
+              Sign &amp; Prescribe
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default PrescriptionPad;
@@ -0,0 +1,175 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Eye, ShieldAlert, RefreshCw, ChevronLeft, ChevronRight, User } from 'lucide-react';
+import { useAppContext } from '../../context/AppContext';
+
+const ACTION_LABELS = {
+  READ: 'Viewed',
+  CREATE: 'Added to',
+  UPDATE: 'Updated',
+  DELETE: 'Deleted from',
+  ACCESS: 'Emergency access'
+};
+
+const RESOURCE_LABELS = {
+  Patient: 'your profile',
+  MedicalRecord: 'your medical history',
+  Prescription: 'a prescription',
+  LabTest: 'a lab test',
+  SymptomSession: 'a symptom check',
+  PatientDocument: 'a document',
+  EmergencyAccess: 'your record'
+};
+
+const viewerName = (viewer) => {
+  if (!viewer) return 'Unknown';
+  const name = `${viewer.firstName || ''} ${viewer.lastName || ''}`.trim();
+  if (!name) return viewer.role ? viewer.role.charAt(0).toUpperCase() + viewer.role.slice(1) : 'Unknown';
+  return viewer.role === 'doctor' ? `Dr. ${name}` : name;
+};
+
+const describe = (entry) => {
+  if (entry.emergency) {
+    return entry.event === 'granted'
+      ? 'Opened your record under emergency access'
+      : 'Used emergency access to your record';
+  }
+  return `${ACTION_LABELS[entry.action] || entry.action} ${RESOURCE_LABELS[entry.resource] || entry.resource}`;
+};
+
+/**
+ * "Who viewed my record": everyone other than the patient who read or
+ * changed their clinical data, newest first.
+ */
+const RecordAccessLog = () => {
+  const { apiCall } = useAppContext();
+  const [entries, setEntries] = useState([]);
+  const [summary, setSummary] = useState([]);
+  const [pagination, setPagination] = useState({ page: 1, totalPages: 0, total: 0 });
+  const [page, setPage] = useState(1);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const fetchAccessLog = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const res = await apiCall(`/patients/access-log?page=${page}&limit=20`);
+      setEntries(res?.data?.entries || []);
+      setSummary(res?.data?.summary || []);
+      setPagination(res?.data?.pagination || { page: 1, totalPages: 0, total: 0 });
+    } catch (err) {
+      setError(err?.response?.data?.message || err.message || 'Could not load access history');
+    } finally {
+      setLoading(false);
+    }
+  }, [apiCall, page]);
+
+  useEffect(() => {
+    fetchAccessLog();
+  }, [fetchAccessLog]);
+
+  return (
+    <div className="space-y-6">
+      <div className="flex justify-between items-center bg-white p-6 rounded-xl shadow-sm border border-gray-100">
+        <div>
+          <h2 className="text-xl font-bold text-gray-800">Who Viewed My Record</h2>
+          <p className="text-sm text-gray-500 mt-1">
+            Every time a doctor, technician or staff member opens or changes your health information, it is recorded here.
+          </p>
+        </div>
+        <button
+          onClick={fetchAccessLog}
+          className="p-2 text-gray-500 hover:text-blue-600 hover:bg-blue-50 rounded-lg transition-colors"
+          title="Refresh"
+        >
+          <RefreshCw size={18} className={loading ? 'animate-spin' : ''} />
+        </button>
+      </div>
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 text-red-700 text-sm rounded-lg p-4">{error}</div>
+      )}
+
+      {summary.length > 0 && (
+        <div className="bg-white rounded-xl p-6 border border-gray-100 shadow-sm">
+          <h3 className="font-semibold text-gray-800 mb-4">People with access</h3>
+          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-3">
+            {summary.map((item) => (
+              <div
+                key={item.viewer._id}
+                className={`flex items-center gap-3 p-3 rounded-lg border ${item.emergency ? 'border-red-200 bg-red-50' : 'border-gray-100 bg-gray-50'}`}
+              >
+                <div className={`p-2 rounded-full ${item.emergency ? 'bg-red-100 text-red-600' : 'bg-blue-100 text-blue-600'}`}>
+                  {item.emergency ? <ShieldAlert size={16} /> : <User size={16} />}
+                </div>
+                <div className="min-w-0">
+                  <p className="text-sm font-semibold text-gray-800 truncate">{viewerName(item.viewer)}</p>
+                  <p className="text-xs text-gray-500">
+                    {item.count} access{item.count === 1 ? '' : 'es'} · last {new Date(item.lastAccessAt).toLocaleDateString()}
+                  </p>
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      <div className="bg-white rounded-xl border border-gray-100 shadow-sm overflow-hidden">
+        {loading ? (
+          <div className="text-center py-16">
+            <RefreshCw className="animate-spin text-blue-600 mx-auto mb-2" size={24} />
+            <p className="text-sm text-gray-500">Loading access history...</p>
+          </div>
+        ) : entries.length === 0 ? (
+          <div className="text-center py-16 text-gray-500 text-sm">
+            <Eye className="mx-auto mb-3 text-gray-300" size={36} />
+            No one else has accessed your record yet.
+          </div>
+        ) : (
+          <ul className="divide-y divide-gray-100">
+            {entries.map((entry) => (
+              <li key={entry._id} className={`px-6 py-4 flex justify-between items-center gap-4 ${entry.emergency ? 'bg-red-50/50' : ''}`}>
+                <div>
+                  <p className="text-sm font-semibold text-gray-800">
+                    {viewerName(entry.viewer)}
+                    <span className="ml-2 text-xs font-normal text-gray-500 capitalize">{entry.viewer?.role}</span>
+                  </p>
+                  <p className={`text-sm ${entry.emergency ? 'text-red-700 font-medium' : 'text-gray-600'}`}>
+                    {describe(entry)}
+                    {entry.status === 'FAILED' && <span className="ml-2 text-xs text-gray-400">(denied)</span>}
+                  </p>
+                </div>
+                <span className="text-xs text-gray-500 whitespace-nowrap">{new Date(entry.timestamp).toLocaleString()}</span>
+              </li>
+            ))}
+          </ul>
+        )}
+
+        {pagination.totalPages > 1 && (
+          <div className="flex justify-between items-center px-6 py-3 border-t border-gray-100 text-sm text-gray-600">
+            <span>{pagination.total} entries</span>
+            <div className="flex items-center gap-2">
+              <button
+                onClick={() => setPage(p => Math.max(1, p - 1))}
+                disabled={page <= 1}
+                className="p-1 rounded hover:bg-gray-100 disabled:opacity-40"
+              >
+                <ChevronLeft size={16} />
+              </button>
+              <span>Page {pagination.page} of {pagination.totalPages}</span>
+              <button
+                onClick={() => setPage(p => Math.min(pagination.totalPages, p + 1))}
+                disabled={page >= pagination.totalPages}
+                className="p-1 rounded hover:bg-gray-100 disabled:opacity-40"
+              >
+                <ChevronRight size={16} />
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default RecordAccessLog;
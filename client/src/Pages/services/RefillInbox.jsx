@@ -0,0 +1,284 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { toast } from 'react-toastify';
+import {
+  Inbox,
+  Check,
+  Edit,
+  XCircle,
+  CalendarClock,
+  RefreshCw,
+  ShoppingCart,
+  Loader2
+} from 'lucide-react';
+import { doctorService } from './DoctorApi';
+
+const STATUS_FILTERS = [
+  { id: 'pending', label: 'Waiting' },
+  { id: 'all', label: 'All' }
+];
+
+const STATUS_STYLES = {
+  pending: 'bg-yellow-100 text-yellow-800',
+  approved: 'bg-green-100 text-green-800',
+  modified: 'bg-blue-100 text-blue-800',
+  denied: 'bg-red-100 text-red-800',
+  'follow-up-required': 'bg-purple-100 text-purple-800',
+  cancelled: 'bg-gray-100 text-gray-600'
+};
+
+const EDITABLE_FIELDS = ['strength', 'dosage', 'frequency', 'quantity'];
+
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString() : '—');
+
+const patientName = (request) => {
+  const user = request.patientId?.user;
+  return user ? `${user.firstName} ${user.lastName}` : 'Patient';
+};
+
+// Copy of the prescribed medicines the doctor can edit before approving
+const toRows = (medications = []) =>
+  medications.map((medication) => ({ ...medication, _id: undefined, duration: { ...medication.duration } }));
+
+const RefillRequestCard = ({ request, onDecided }) => {
+  const prescription = request.prescriptionId;
+  // approve | modify | deny | follow-up while the doctor is filling in a decision
+  const [mode, setMode] = useState(null);
+  const [rows, setRows] = useState([]);
+  const [reason, setReason] = useState('');
+  const [refillsAllowed, setRefillsAllowed] = useState(0);
+  const [createOrderDraft, setCreateOrderDraft] = useState(request.wantsOrderDraft);
+  const [overrideReason, setOverrideReason] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  const open = (nextMode) => {
+    setMode(nextMode);
+    setReason('');
+    if (nextMode === 'modify') setRows(toRows(prescription?.medications));
+  };
+
+  const updateRow = (index, field, value) => {
+    setRows((current) => current.map((row, i) => {
+      if (i !== index) return row;
+      return { ...row, [field]: field === 'quantity' ? Number(value) : value };
+    }));
+  };
+
+  const submit = async () => {
+    const issuing = mode === 'approve' || mode === 'modify';
+    if (!issuing && !reason.trim()) {
+      toast.error('Give the patient a reason');
+      return;
+    }
+
+    setSubmitting(true);
+    try {
+      const res = await doctorService.decideRefillRequest(request._id, {
+        decision: mode,
+        reason: reason.trim() || undefined,
+        medications: mode === 'modify' ? rows : undefined,
+        refillsAllowed: issuing ? refillsAllowed : undefined,
+        createOrderDraft: issuing ? createOrderDraft : undefined,
+        safetyOverride: overrideReason.trim() ? { reason: overrideReason.trim() } : undefined
+      });
+      toast.success(res.data.message);
+      setMode(null);
+      onDecided();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Could not update the refill request');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow p-4 space-y-3">
+      <div className="flex flex-wrap items-start justify-between gap-2">
+        <div>
+          <p className="font-semibold text-gray-900">{patientName(request)}</p>
+          <p className="text-xs text-gray-500">
+            Requested {formatDate(request.createdAt)} · prescribed {formatDate(prescription?.prescriptionDate)}
+          </p>
+        </div>
+        <span className={`px-2 py-1 rounded-full text-xs font-medium ${STATUS_STYLES[request.status]}`}>
+          {request.status.replace(/-/g, ' ')}
+        </span>
+      </div>
+
+      <ul className="text-sm divide-y divide-gray-100">
+        {(prescription?.medications || []).map((medication, index) => {
+          const supply = request.supply?.[index];
+          return (
+            <li key={medication._id || index} className="flex flex-wrap justify-between gap-2 py-2">
+              <span className="text-gray-800">
+                {medication.medicationName} {medication.strength} — {medication.dosage}, {medication.frequency}
+              </span>
+              <span className="text-xs text-gray-500">
+                {supply?.runsOutOn ? `Supply runs out ${formatDate(supply.runsOutOn)}` : 'As needed'}
+              </span>
+            </li>
+          );
+        })}
+      </ul>
+
+      {request.notes && <p className="text-sm text-gray-600 italic">“{request.notes}”</p>}
+      {request.wantsOrderDraft && (
+        <p className="text-xs text-blue-700 flex items-center gap-1">
+          <ShoppingCart className="w-3 h-3" /> Patient wants a pharmacy order prepared
+        </p>
+      )}
+      {request.decision?.reason && (
+        <p className="text-sm text-gray-600">Reason: {request.decision.reason}</p>
+      )}
+      {request.orderDraft?.unmatched?.length > 0 && (
+        <p className="text-xs text-orange-700">Not in the pharmacy catalogue: {request.orderDraft.unmatched.join(', ')}</p>
+      )}
+
+      {request.status === 'pending' && !mode && (
+        <div className="flex flex-wrap gap-2">
+          <button onClick={() => open('approve')} className="flex items-center gap-1 px-3 py-1.5 text-sm bg-green-600 text-white rounded-md hover:bg-green-700">
+            <Check className="w-4 h-4" /> Approve
+          </button>
+          <button onClick={() => open('modify')} className="flex items-center gap-1 px-3 py-1.5 text-sm bg-blue-600 text-white rounded-md hover:bg-blue-700">
+            <Edit className="w-4 h-4" /> Modify
+          </button>
+          <button onClick={() => open('follow-up')} className="flex items-center gap-1 px-3 py-1.5 text-sm border border-purple-300 text-purple-700 rounded-md hover:bg-purple-50">
+            <CalendarClock className="w-4 h-4" /> Needs follow-up
+          </button>
+          <button onClick={() => open('deny')} className="flex items-center gap-1 px-3 py-1.5 text-sm border border-red-300 text-red-700 rounded-md hover:bg-red-50">
+            <XCircle className="w-4 h-4" /> Deny
+          </button>
+        </div>
+      )}
+
+      {mode && (
+        <div className="border-t pt-3 space-y-3">
+          {mode === 'modify' && rows.map((row, index) => (
+            <div key={index} className="grid grid-cols-2 md:grid-cols-6 gap-2 text-sm">
+              <span className="col-span-2 self-center font-medium text-gray-800">{row.medicationName}</span>
+              {EDITABLE_FIELDS.map((field) => (
+                <input
+                  key={field}
+                  type={field === 'quantity' ? 'number' : 'text'}
+                  min={field === 'quantity' ? 1 : undefined}
+                  value={row[field] ?? ''}
+                  placeholder={field}
+                  onChange={(e) => updateRow(index, field, e.target.value)}
+                  className="px-2 py-1 border rounded-md"
+                />
+              ))}
+            </div>
+          ))}
+
+          {(mode === 'approve' || mode === 'modify') ? (
+            <div className="flex flex-wrap items-center gap-4 text-sm">
+              <label className="flex items-center gap-2">
+                Refills
+                <input
+                  type="number"
+                  min={0}
+                  max={12}
+                  value={refillsAllowed}
+                  onChange={(e) => setRefillsAllowed(Number(e.target.value))}
+                  className="w-16 px-2 py-1 border rounded-md"
+                />
+              </label>
+              <label className="flex items-center gap-2">
+                <input type="checkbox" checked={createOrderDraft} onChange={(e) => setCreateOrderDraft(e.target.checked)} />
+                Prepare pharmacy order
+              </label>
+              <input
+                value={overrideReason}
+                onChange={(e) => setOverrideReason(e.target.value)}
+                placeholder="Safety override reason (only if a major warning blocks it)"
+                className="flex-1 min-w-[220px] px-2 py-1 border rounded-md"
+              />
+            </div>
+          ) : (
+            <textarea
+              value={reason}
+              onChange={(e) => setReason(e.target.value)}
+              rows={2}
+              placeholder={mode === 'deny' ? 'Why the refill is declined' : 'What you want to review at the visit'}
+              className="w-full px-3 py-2 text-sm border rounded-md"
+            />
+          )}
+
+          <div className="flex gap-2">
+            <button
+              onClick={submit}
+              disabled={submitting}
+              className="flex items-center gap-1 px-3 py-1.5 text-sm bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50"
+            >
+              {submitting && <Loader2 className="w-4 h-4 animate-spin" />}
+              Confirm
+            </button>
+            <button onClick={() => setMode(null)} className="px-3 py-1.5 text-sm border rounded-md hover:bg-gray-50">
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+const RefillInbox = () => {
+  const [status, setStatus] = useState('pending');
+  const [requests, setRequests] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  const loadRequests = useCallback(async () => {
+    setLoading(true);
+    try {
+      const res = await doctorService.getRefillRequests({ status });
+      setRequests(res.data.data?.requests || []);
+    } catch (error) {
+      console.error('Failed to load refill requests:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [status]);
+
+  useEffect(() => {
+    loadRequests();
+  }, [loadRequests]);
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <h2 className="text-lg font-semibold text-gray-900 flex items-center gap-2">
+          <Inbox className="w-5 h-5 text-blue-600" />
+          Refill requests
+        </h2>
+        <div className="flex items-center gap-2">
+          {STATUS_FILTERS.map((filter) => (
+            <button
+              key={filter.id}
+              onClick={() => setStatus(filter.id)}
+              className={`px-3 py-1.5 text-sm rounded-md ${status === filter.id ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'}`}
+            >
+              {filter.label}
+            </button>
+          ))}
+          <button onClick={loadRequests} className="p-2 hover:bg-gray-100 rounded-md" title="Refresh">
+            <RefreshCw className="w-4 h-4" />
+          </button>
+        </div>
+      </div>
+
+      {loading ? (
+        <div className="flex justify-center py-8">
+          <Loader2 className="w-6 h-6 animate-spin text-blue-600" />
+        </div>
+      ) : requests.length === 0 ? (
+        <p className="text-sm text-gray-500 text-center py-8 bg-white rounded-lg shadow">No refill requests</p>
+      ) : (
+        requests.map((request) => (
+          <RefillRequestCard key={request._id} request={request} onDecided={loadRequests} />
+        ))
+      )}
+    </div>
+  );
+};
+
+export default RefillInbox;
@@ -0,0 +1,159 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Monitor, Smartphone, Tablet, RefreshCw, LogOut, MapPin } from 'lucide-react';
+import { toast } from 'react-toastify';
+import { useAppContext } from '../../context/AppContext';
+
+const DEVICE_ICONS = {
+  desktop: Monitor,
+  mobile: Smartphone,
+  tablet: Tablet
+};
+
+const timeAgo = (date) => {
+  const minutes = Math.floor((Date.now() - new Date(date).getTime()) / 60000);
+  if (minutes < 1) return 'just now';
+  if (minutes < 60) return `${minutes} min ago`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `${hours} hr ago`;
+  return new Date(date).toLocaleDateString();
+};
+
+/**
+ * Devices the user is signed in on, with per-device and "everywhere else"
+ * sign-out.
+ */
+const SessionsPanel = () => {
+  const { apiCall, logoutUser } = useAppContext();
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [busyId, setBusyId] = useState(null);
+
+  const fetchSessions = useCallback(async () => {
+    setLoading(true);
+    try {
+      const res = await apiCall('/users/me/sessions');
+      setSessions(res?.data?.sessions || []);
+    } catch (err) {
+      console.error('Failed to load sessions:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [apiCall]);
+
+  useEffect(() => {
+    fetchSessions();
+  }, [fetchSessions]);
+
+  const handleRevoke = async (session) => {
+    if (session.current && !window.confirm('This will sign you out on this device. Continue?')) return;
+    setBusyId(session._id);
+    try {
+      await apiCall(`/users/me/sessions/${session._id}`, { method: 'DELETE' });
+      if (session.current) {
+        await logoutUser();
+        return;
+      }
+      toast.success(`Signed out ${session.device?.name || 'device'}`);
+      setSessions(prev => prev.filter(s => s._id !== session._id));
+    } catch (err) {
+      console.error('Failed to revoke session:', err);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleRevokeOthers = async () => {
+    if (!window.confirm('Sign out of every other device?')) return;
+    setBusyId('others');
+    try {
+      const res = await apiCall('/users/me/sessions', { method: 'DELETE' });
+      toast.success(`Signed out of ${res?.data?.revoked || 0} other device(s)`);
+      setSessions(prev => prev.filter(s => s.current));
+    } catch (err) {
+      console.error('Failed to revoke sessions:', err);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const others = sessions.filter(s => !s.current).length;
+
+  return (
+    <div className="bg-gray-50 rounded-lg p-4 md:p-6">
+      <div className="flex justify-between items-center mb-3 md:mb-4">
+        <h3 className="text-lg font-semibold text-gray-800 flex items-center gap-2">
+          <Monitor className="w-4 h-4 md:w-5 md:h-5" />
+          Sessions
+        </h3>
+        <button
+          onClick={fetchSessions}
+          className="p-2 text-gray-500 hover:text-blue-600 hover:bg-blue-50 rounded-lg transition-colors"
+          title="Refresh"
+        >
+          <RefreshCw size={16} className={loading ? 'animate-spin' : ''} />
+        </button>
+      </div>
+      <p className="text-sm text-gray-500 mb-4">
+        Devices currently signed in to your account. Sign out any you don't recognise and change your password.
+      </p>
+
+      {loading && sessions.length === 0 ? (
+        <p className="text-sm text-gray-500 py-4 text-center">Loading sessions...</p>
+      ) : sessions.length === 0 ? (
+        <p className="text-sm text-gray-500 py-4 text-center">No active sessions found.</p>
+      ) : (
+        <ul className="space-y-3">
+          {sessions.map((session) => {
+            const Icon = DEVICE_ICONS[session.device?.type] || Monitor;
+            return (
+              <li
+                key={session._id}
+                className={`flex items-center justify-between gap-3 p-3 rounded-lg border bg-white ${session.current ? 'border-blue-200' : 'border-gray-200'}`}
+              >
+                <div className="flex items-center gap-3 min-w-0">
+                  <div className={`p-2 rounded-full ${session.current ? 'bg-blue-100 text-blue-600' : 'bg-gray-100 text-gray-600'}`}>
+                    <Icon size={18} />
+                  </div>
+                  <div className="min-w-0">
+                    <p className="text-sm font-semibold text-gray-800 truncate">
+                      {session.device?.name || 'Unknown device'}
+                      {session.current && (
+                        <span className="ml-2 text-xs font-medium text-blue-600 bg-blue-50 px-2 py-0.5 rounded-full">This device</span>
+                      )}
+                    </p>
+                    <p className="text-xs text-gray-500 flex items-center gap-1">
+                      <MapPin size={12} />
+                      {session.lastIpAddress || session.ipAddress || 'Unknown IP'}
+                      {' · '}active {timeAgo(session.lastUsedAt)}
+                      {' · '}signed in {new Date(session.createdAt).toLocaleDateString()}
+                    </p>
+                  </div>
+                </div>
+                <button
+                  onClick={() => handleRevoke(session)}
+                  disabled={busyId === session._id}
+                  className="flex items-center gap-1 text-sm text-red-600 hover:bg-red-50 px-3 py-1.5 rounded-lg disabled:opacity-50 whitespace-nowrap"
+                >
+                  <LogOut size={14} />
+                  Sign out
+                </button>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+
+      {others > 0 && (
+        <button
+          onClick={handleRevokeOthers}
+          disabled={busyId === 'others'}
+          className="mt-4 text-sm font-medium text-red-600 hover:text-red-700 disabled:opacity-50"
+        >
+          Sign out of all other devices ({others})
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default SessionsPanel;
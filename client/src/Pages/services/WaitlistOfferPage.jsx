@@ -0,0 +1,134 @@
+import React, { useState, useEffect } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import { toast } from 'react-toastify';
+import { Calendar, Clock, Loader2 } from 'lucide-react';
+import { waitlistAPI } from './api';
+
+const WaitlistOfferPage = () => {
+  const { token } = useParams();
+  const navigate = useNavigate();
+  const [offer, setOffer] = useState(null);
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [responding, setResponding] = useState(false);
+  const [secondsLeft, setSecondsLeft] = useState(0);
+
+  useEffect(() => {
+    waitlistAPI.getOffer(token)
+      .then((res) => setOffer(res.data.data.offer))
+      .catch((err) => setError(err.response?.data?.message || 'Offer not found'))
+      .finally(() => setLoading(false));
+  }, [token]);
+
+  useEffect(() => {
+    if (offer?.status !== 'pending') return undefined;
+    const tick = () => setSecondsLeft(Math.max(0, Math.round((new Date(offer.expiresAt) - Date.now()) / 1000)));
+    tick();
+    const timer = setInterval(tick, 1000);
+    return () => clearInterval(timer);
+  }, [offer]);
+
+  const respond = async (accept) => {
+    setResponding(true);
+    try {
+      if (accept) {
+        await waitlistAPI.acceptOffer(token);
+        toast.success('Appointment booked!');
+        setOffer({ ...offer, status: 'accepted' });
+      } else {
+        await waitlistAPI.declineOffer(token);
+        toast.info("Offer declined. You're still on the waitlist.");
+        setOffer({ ...offer, status: 'declined' });
+      }
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Could not update the offer');
+    } finally {
+      setResponding(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <Loader2 className="w-8 h-8 animate-spin text-blue-600" />
+      </div>
+    );
+  }
+
+  if (error || !offer) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <p className="text-gray-600">{error || 'Offer not found'}</p>
+        <button
+          onClick={() => navigate('/services/consultations')}
+          className="ml-4 px-4 py-2 bg-blue-600 text-white rounded"
+        >
+          Find a Doctor
+        </button>
+      </div>
+    );
+  }
+
+  const isOpen = offer.status === 'pending' && secondsLeft > 0;
+  const doctorName = offer.doctor ? `Dr. ${offer.doctor.firstName} ${offer.doctor.lastName}` : 'your doctor';
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-blue-50 to-cyan-50 flex items-center justify-center py-12 px-4">
+      <div className="bg-white rounded-2xl shadow-lg p-8 max-w-md w-full">
+        <h2 className="text-2xl font-bold mb-2 text-center">A slot has opened up</h2>
+        <p className="text-center text-gray-600 mb-6">
+          {offer.appointmentType} consultation with {doctorName}
+        </p>
+
+        <div className="space-y-3 mb-6">
+          <p className="flex items-center gap-2"><Calendar className="w-5 h-5 text-blue-600" /> {offer.date}</p>
+          <p className="flex items-center gap-2"><Clock className="w-5 h-5 text-blue-600" /> {offer.time} ({offer.duration} min)</p>
+        </div>
+
+        {isOpen && (
+          <>
+            <p className="text-sm text-center text-orange-600 mb-4">
+              Held for you for {Math.floor(secondsLeft / 60)}:{String(secondsLeft % 60).padStart(2, '0')}
+            </p>
+            <div className="flex gap-4">
+              <button
+                onClick={() => respond(false)}
+                disabled={responding}
+                className="flex-1 border border-gray-300 text-gray-700 py-3 rounded-lg hover:bg-gray-50 disabled:opacity-50"
+              >
+                Decline
+              </button>
+              <button
+                onClick={() => respond(true)}
+                disabled={responding}
+                className="flex-1 bg-gradient-to-r from-blue-500 to-cyan-600 text-white py-3 rounded-lg hover:shadow-lg disabled:opacity-50"
+              >
+                Accept & Book
+              </button>
+            </div>
+          </>
+        )}
+
+        {!isOpen && (
+          <div className="text-center">
+            <p className="text-gray-700 mb-4">
+              {offer.status === 'accepted'
+                ? 'This slot is booked for you. You can pay from your appointments.'
+                : offer.status === 'declined'
+                  ? "You declined this slot and remain on the waitlist."
+                  : 'This offer has expired and the slot was passed on.'}
+            </p>
+            <button
+              onClick={() => navigate('/patient-portal')}
+              className="px-4 py-2 bg-blue-600 text-white rounded"
+            >
+              My Appointments
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default WaitlistOfferPage;
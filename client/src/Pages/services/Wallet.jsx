@@ -0,0 +1,326 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { toast } from 'react-toastify';
+import { Wallet as WalletIcon, Package, Plus, RefreshCw, ArrowDownLeft, ArrowUpRight } from 'lucide-react';
+import { walletAPI, paymentAPI } from './api';
+
+const QUICK_AMOUNTS = [500, 1000, 2000, 5000];
+
+const ENTRY_LABELS = {
+  'top-up': 'Top-up',
+  payment: 'Payment',
+  refund: 'Refund',
+  'package-purchase': 'Health package',
+  reversal: 'Reversal'
+};
+
+const PACKAGE_STATUS_STYLES = {
+  active: 'bg-green-100 text-green-800',
+  exhausted: 'bg-gray-100 text-gray-600',
+  expired: 'bg-yellow-100 text-yellow-800',
+  cancelled: 'bg-red-100 text-red-700'
+};
+
+const SERVICE_LABELS = {
+  consultation: 'Consultations',
+  'health-checkup': 'Health checkups'
+};
+
+const formatMoney = (amount, currency = 'INR') =>
+  new Intl.NumberFormat('en-IN', { style: 'currency', currency }).format(amount || 0);
+
+const loadRazorpay = () =>
+  new Promise((resolve) => {
+    if (window.Razorpay) return resolve(true);
+    const s = document.createElement('script');
+    s.src = 'https://checkout.razorpay.com/v1/checkout.js';
+    s.onload = () => resolve(true);
+    s.onerror = () => resolve(false);
+    document.body.appendChild(s);
+  });
+
+/* Pay a server-created Razorpay order and confirm it */
+const payOrder = async (order, description) => {
+  const loaded = await loadRazorpay();
+  if (!loaded) throw new Error('Failed to load Razorpay');
+
+  const response = await new Promise((resolve, reject) => {
+    const rzp = new window.Razorpay({
+      key: import.meta.env.VITE_RAZORPAY_KEY_ID,
+      amount: order.amount,
+      currency: order.currency,
+      name: 'HealthCare Plus',
+      description,
+      order_id: order.orderId,
+      theme: { color: '#0d9488' },
+      modal: { ondismiss: () => reject(new Error('dismissed')) },
+      handler: resolve
+    });
+    rzp.on('payment.failed', (r) => reject(new Error(r.error?.description || 'Payment failed')));
+    rzp.open();
+  });
+
+  await paymentAPI.confirmPayment({
+    razorpay_order_id: response.razorpay_order_id,
+    razorpay_payment_id: response.razorpay_payment_id,
+    razorpay_signature: response.razorpay_signature
+  });
+};
+
+/**
+ * The patient's wallet: balance, top-ups, statement, and the prepaid
+ * health packages they can buy or have bought.
+ */
+const Wallet = () => {
+  const [wallet, setWallet] = useState(null);
+  const [limits, setLimits] = useState({ minTopUp: 100, maxBalance: 100000 });
+  const [statement, setStatement] = useState([]);
+  const [catalogue, setCatalogue] = useState([]);
+  const [myPackages, setMyPackages] = useState([]);
+  const [topUpAmount, setTopUpAmount] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(null);
+
+  const fetchAll = useCallback(async () => {
+    setLoading(true);
+    try {
+      const [walletRes, catalogueRes, mineRes] = await Promise.all([
+        walletAPI.getWallet({ limit: 20 }),
+        walletAPI.getPackages(),
+        walletAPI.getMyPackages()
+      ]);
+      setWallet(walletRes.data.data?.wallet || null);
+      setLimits(walletRes.data.data?.limits || { minTopUp: 100, maxBalance: 100000 });
+      setStatement(walletRes.data.data?.statement || []);
+      setCatalogue(catalogueRes.data.data?.packages || []);
+      setMyPackages(mineRes.data.data?.packages || []);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Could not load your wallet');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchAll();
+  }, [fetchAll]);
+
+  const handleError = (error, fallback) => {
+    if (error.message === 'dismissed') return;
+    toast.error(error.response?.data?.message || error.message || fallback);
+  };
+
+  const topUp = async () => {
+    const amount = parseFloat(topUpAmount);
+    if (!amount || amount < limits.minTopUp) {
+      toast.error(`The smallest top-up is ${formatMoney(limits.minTopUp)}`);
+      return;
+    }
+    setBusy('top-up');
+    try {
+      const res = await walletAPI.topUp(amount);
+      await payOrder(res.data.data, 'Wallet top-up');
+      toast.success(`${formatMoney(amount)} added to your wallet`);
+      setTopUpAmount('');
+      await fetchAll();
+    } catch (error) {
+      handleError(error, 'Top-up failed. Please try again.');
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const buyPackage = async (healthPackage, paymentMethod) => {
+    setBusy(`${healthPackage._id}:${paymentMethod}`);
+    try {
+      const res = await walletAPI.purchasePackage(healthPackage._id, paymentMethod);
+      if (paymentMethod === 'online') {
+        await payOrder(res.data.data, `Health package: ${healthPackage.name}`);
+      }
+      toast.success(`${healthPackage.name} is ready to use`);
+      await fetchAll();
+    } catch (error) {
+      handleError(error, 'Purchase failed. Please try again.');
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const balance = wallet?.balance || 0;
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-wrap justify-between items-center gap-3 bg-white p-6 rounded-xl shadow-sm border border-gray-100">
+        <div>
+          <h2 className="text-xl font-bold text-gray-800">Wallet &amp; Packages</h2>
+          <p className="text-sm text-gray-500 mt-1">Prepaid balance for consultations and pharmacy orders, and your health packages.</p>
+        </div>
+        <button
+          onClick={fetchAll}
+          className="p-2 text-gray-500 hover:text-blue-600 hover:bg-blue-50 rounded-lg transition-colors"
+          title="Refresh"
+        >
+          <RefreshCw size={18} className={loading ? 'animate-spin' : ''} />
+        </button>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        <div className="bg-gradient-to-br from-teal-600 to-emerald-600 text-white rounded-xl p-6 shadow-sm">
+          <div className="flex items-center gap-2 text-teal-100 text-sm">
+            <WalletIcon size={16} /> Wallet balance
+          </div>
+          <p className="text-3xl font-bold mt-2">{formatMoney(balance, wallet?.currency)}</p>
+          {wallet?.lastEntryAt && (
+            <p className="text-xs text-teal-100 mt-1">Last activity {new Date(wallet.lastEntryAt).toLocaleDateString()}</p>
+          )}
+        </div>
+
+        <div className="lg:col-span-2 bg-white rounded-xl p-6 border border-gray-100 shadow-sm">
+          <p className="text-sm font-semibold text-gray-700 mb-3">Add money</p>
+          <div className="flex flex-wrap gap-2 mb-3">
+            {QUICK_AMOUNTS.map((amount) => (
+              <button
+                key={amount}
+                onClick={() => setTopUpAmount(String(amount))}
+                className={`px-3 py-1.5 text-sm rounded-md border ${topUpAmount === String(amount) ? 'border-teal-500 bg-teal-50 text-teal-700' : 'border-gray-200 text-gray-700 hover:bg-gray-50'}`}
+              >
+                {formatMoney(amount)}
+              </button>
+            ))}
+          </div>
+          <div className="flex gap-2">
+            <input
+              type="number"
+              min={limits.minTopUp}
+              value={topUpAmount}
+              onChange={(e) => setTopUpAmount(e.target.value)}
+              placeholder={`Amount (min ${formatMoney(limits.minTopUp)})`}
+              className="flex-1 px-3 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-teal-500"
+            />
+            <button
+              onClick={topUp}
+              disabled={busy === 'top-up'}
+              className="flex items-center gap-1 px-4 py-2 bg-teal-600 text-white text-sm font-medium rounded-lg hover:bg-teal-700 disabled:opacity-60"
+            >
+              <Plus size={16} /> {busy === 'top-up' ? 'Processing...' : 'Top up'}
+            </button>
+          </div>
+          <p className="text-xs text-gray-500 mt-2">A wallet can hold up to {formatMoney(limits.maxBalance)}.</p>
+        </div>
+      </div>
+
+      <div className="bg-white rounded-xl border border-gray-100 shadow-sm">
+        <div className="px-6 py-4 border-b border-gray-100">
+          <h3 className="font-semibold text-gray-800">Health packages</h3>
+          <p className="text-xs text-gray-500">Pay once, then book covered visits without paying each time.</p>
+        </div>
+        {catalogue.length === 0 ? (
+          <p className="text-center py-10 text-sm text-gray-500">No packages on offer right now.</p>
+        ) : (
+          <div className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-3 gap-4 p-6">
+            {catalogue.map((healthPackage) => (
+              <div key={healthPackage._id} className="border border-gray-200 rounded-xl p-4 flex flex-col">
+                <div className="flex items-start justify-between gap-2">
+                  <p className="font-semibold text-gray-800">{healthPackage.name}</p>
+                  <p className="font-bold text-teal-700">{formatMoney(healthPackage.price, healthPackage.currency)}</p>
+                </div>
+                {healthPackage.description && <p className="text-sm text-gray-600 mt-1">{healthPackage.description}</p>}
+                <ul className="text-sm text-gray-700 mt-3 space-y-1 flex-1">
+                  {healthPackage.entitlements.map((entitlement) => (
+                    <li key={entitlement.service}>
+                      {entitlement.quantity} × {entitlement.description || SERVICE_LABELS[entitlement.service]}
+                    </li>
+                  ))}
+                </ul>
+                <p className="text-xs text-gray-500 mt-2">Valid for {healthPackage.validityDays} days</p>
+                <div className="flex gap-2 mt-3">
+                  <button
+                    onClick={() => buyPackage(healthPackage, 'online')}
+                    disabled={Boolean(busy)}
+                    className="flex-1 px-3 py-2 text-sm bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-60"
+                  >
+                    {busy === `${healthPackage._id}:online` ? 'Processing...' : 'Buy'}
+                  </button>
+                  <button
+                    onClick={() => buyPackage(healthPackage, 'wallet')}
+                    disabled={Boolean(busy) || balance < healthPackage.price}
+                    title={balance < healthPackage.price ? 'Not enough wallet balance' : undefined}
+                    className="flex-1 px-3 py-2 text-sm border border-teal-600 text-teal-700 rounded-lg hover:bg-teal-50 disabled:opacity-50"
+                  >
+                    {busy === `${healthPackage._id}:wallet` ? 'Processing...' : 'Pay from wallet'}
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {myPackages.length > 0 && (
+        <div className="bg-white rounded-xl border border-gray-100 shadow-sm">
+          <div className="px-6 py-4 border-b border-gray-100">
+            <h3 className="font-semibold text-gray-800">My packages</h3>
+          </div>
+          <ul className="divide-y divide-gray-100">
+            {myPackages.map((patientPackage) => (
+              <li key={patientPackage._id} className="px-6 py-4 flex flex-wrap justify-between items-center gap-4">
+                <div className="flex items-start gap-3">
+                  <Package className="text-indigo-500 mt-0.5" size={20} />
+                  <div>
+                    <p className="text-sm font-semibold text-gray-800">{patientPackage.name}</p>
+                    <p className="text-sm text-gray-600">
+                      {patientPackage.credits.map((credit) => `${credit.remaining} of ${credit.total} ${SERVICE_LABELS[credit.service]?.toLowerCase() || credit.service}`).join(' • ')}
+                    </p>
+                    <p className="text-xs text-gray-500">Valid until {new Date(patientPackage.expiresAt).toLocaleDateString()}</p>
+                  </div>
+                </div>
+                <span className={`px-2 py-1 rounded-full text-xs font-medium capitalize ${PACKAGE_STATUS_STYLES[patientPackage.status] || PACKAGE_STATUS_STYLES.exhausted}`}>
+                  {patientPackage.status}
+                </span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      <div className="bg-white rounded-xl border border-gray-100 shadow-sm overflow-hidden">
+        <div className="px-6 py-4 border-b border-gray-100">
+          <h3 className="font-semibold text-gray-800">Statement</h3>
+        </div>
+        {statement.length === 0 ? (
+          <p className="text-center py-10 text-sm text-gray-500">No wallet activity yet.</p>
+        ) : (
+          <ul className="divide-y divide-gray-100">
+            {statement.map((entry) => {
+              const credit = entry.direction === 'credit';
+              return (
+                <li key={entry._id} className="px-6 py-3 flex justify-between items-center gap-4">
+                  <div className="flex items-center gap-3 min-w-0">
+                    <div className={`p-2 rounded-lg ${credit ? 'bg-green-50 text-green-600' : 'bg-red-50 text-red-600'}`}>
+                      {credit ? <ArrowDownLeft size={16} /> : <ArrowUpRight size={16} />}
+                    </div>
+                    <div className="min-w-0">
+                      <p className="text-sm font-medium text-gray-800 truncate">{entry.description || ENTRY_LABELS[entry.type] || entry.type}</p>
+                      <p className="text-xs text-gray-500">
+                        {ENTRY_LABELS[entry.type] || entry.type} • {new Date(entry.postedAt).toLocaleString()}
+                      </p>
+                    </div>
+                  </div>
+                  <div className="text-right">
+                    <p className={`text-sm font-semibold ${credit ? 'text-green-700' : 'text-gray-800'}`}>
+                      {credit ? '+' : '−'}{formatMoney(entry.amount)}
+                    </p>
+                    {entry.balanceAfter !== undefined && (
+                      <p className="text-xs text-gray-500">Balance {formatMoney(entry.balanceAfter)}</p>
+                    )}
+                  </div>
+                </li>
+              );
+            })}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Wallet;
@@ -132,6 +132,16 @@ export const paymentAPI = {
   getPaymentMethods: () => api.get('/payments/payment-methods'),
 };
 
+// Wallet and prepaid health packages
+export const walletAPI = {
+  getWallet: (params) => api.get('/patients/wallet', { params }),
+  topUp: (amount) => api.post('/patients/wallet/top-up', { amount }),
+  getPackages: () => api.get('/patients/health-packages'),
+  getMyPackages: (params) => api.get('/patients/health-packages/mine', { params }),
+  purchasePackage: (packageId, paymentMethod) =>
+    api.post(`/patients/health-packages/${packageId}/purchase`, { paymentMethod }),
+};
+
 // Emergency services
 export const emergencyAPI = {
   getHospitals: (params) => api.get('/hospitals/nearby', { params }),
@@ -145,15 +155,55 @@ export const emergencyAPI = {
 export const medicineAPI = {
   getMedicines: (params) => api.get('/medicine', { params }),
   getPharmacies: (params) => api.get('/pharmacy/nearby', { params }),
+  // Same-ingredient generics with nearby pharmacy prices; params: lat, lng, radius, prescriptionId
+  getSubstitutes: (medicineId, params) => api.get(`/medicine/${medicineId}/substitutes`, { params }),
+};
+
+// Pharmacy cart services (prices come from the server; checkout pays a quote)
+export const pharmacyCartAPI = {
+  createQuote: (data) => api.post('/pharmacy/cart/quote', data),
+  getQuote: (quoteId) => api.get(`/pharmacy/cart/quote/${quoteId}`),
+  uploadPrescription: (file) => {
+    const data = new FormData();
+    data.append('prescription', file);
+    return api.post('/pharmacy/prescriptions', data, {
+      headers: { 'Content-Type': 'multipart/form-data' },
+    });
+  },
+  getActivePrescriptions: () => api.get('/patients/prescriptions/active'),
+};
+
+// Signed e-prescription documents
+export const prescriptionAPI = {
+  download: (prescriptionId) =>
+    api.get(`/prescriptions/${prescriptionId}/download`, { responseType: 'blob' }),
+  verify: (prescriptionId, token) =>
+    api.get(`/prescriptions/verify/${prescriptionId}`, { params: { token } }),
+};
+
+// Patient invoices
+export const invoiceAPI = {
+  getInvoices: (params) => api.get('/patients/billing/invoices', { params }),
+  getInvoice: (invoiceId) => api.get(`/patients/billing/invoices/${invoiceId}`),
+  download: (invoiceId) =>
+    api.get(`/patients/billing/invoices/${invoiceId}/download`, { responseType: 'blob' }),
 };
 
 // Pharmacy Order services
 export const pharmacyOrderAPI = {
   getOrder: (orderId) => api.get(`/pharmacy-orders/${orderId}`),
   listOrders: (params) => api.get('/pharmacy-orders', { params }),
-  updateStatus: (orderId, status, note) =>
-    api.patch(`/pharmacy-orders/${orderId}/status`, { status, note }),
+  updateStatus: (orderId, status, note, otp) =>
+    api.patch(`/pharmacy-orders/${orderId}/status`, { status, note, otp }),
+  assignRider: (orderId, riderId) =>
+    api.post(`/pharmacy-orders/${orderId}/rider`, { riderId }),
+  resendDeliveryOtp: (orderId) => api.post(`/pharmacy-orders/${orderId}/delivery-otp`),
+  setRiderAvailability: (status) => api.patch('/pharmacy-orders/riders/me', { status }),
   getStats: () => api.get('/pharmacy-orders/stats'),
+  getPrescriptionReviews: (params) =>
+    api.get('/pharmacy-orders/prescription-reviews', { params }),
+  reviewPrescription: (orderId, decision, note) =>
+    api.post(`/pharmacy-orders/${orderId}/prescription-review`, { decision, note }),
 };
 
 // Health Monitoring services
@@ -192,6 +242,19 @@ export const appointmentAPI = {
   cancel: (id, reason) => api.post(`/patients/appointments/${id}/cancel`, { cancellationReason: reason }),
   reschedule: (id, date, time) => api.post(`/patients/appointments/${id}/reschedule`, { newDate: date, newTime: time }),
   getMessages: (consultationId) => api.get(`/patients/consultations/${consultationId}/messages`),
+  getAvailability: (doctorId, date, appointmentType) => api.get(`/appointments/availability/${doctorId}`, { params: { date, appointmentType } }),
+  createHold: (data) => api.post('/appointments/holds', data),
+  releaseHold: (holdId) => api.delete(`/appointments/holds/${holdId}`),
+};
+
+// Appointment waitlist
+export const waitlistAPI = {
+  join: (data) => api.post('/waitlist', data),
+  getMine: (params) => api.get('/waitlist/me', { params }),
+  leave: (entryId) => api.delete(`/waitlist/${entryId}`),
+  getOffer: (token) => api.get(`/waitlist/offers/${token}`),
+  acceptOffer: (token) => api.post(`/waitlist/offers/${token}/accept`),
+  declineOffer: (token) => api.post(`/waitlist/offers/${token}/decline`),
 };
 
 export default api;
\ No newline at end of file
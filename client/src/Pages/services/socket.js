@@ -31,7 +31,7 @@ class SocketService {
       // Join user's room
       const user = JSON.parse(localStorage.getItem('user'));
       if (user) {
-        this.socket.emit('join', user.id);
+        this.socket.emit('join', user.id || user._id);
       }
     });
 
@@ -1,9 +1,9 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import {
   X, Loader2, Shield, CreditCard, Wallet,
   Smartphone, Building2, CheckCircle, ChevronDown, ChevronUp
 } from 'lucide-react';
-import { paymentAPI } from '../Pages/services/api';
+import { paymentAPI, walletAPI } from '../Pages/services/api';
 
 /* ─── helper: load Razorpay SDK ─── */
 const loadRazorpay = () =>
@@ -32,13 +32,6 @@ const METHODS = [
     icon: <CreditCard className="w-5 h-5" />,
     color: 'blue',
   },
-  {
-    id: 'stripe',
-    label: 'Stripe',
-    sub: 'International Card Payments',
-    icon: <CreditCard className="w-5 h-5" />,
-    color: 'blue',
-  },
   {
     id: 'netbanking',
     label: 'Net Banking',
@@ -62,6 +55,14 @@ const METHODS = [
   },
 ];
 
+/* ─── the patient's own wallet, offered when its balance covers the amount ─── */
+const WALLET_METHOD = {
+  id: 'hc-wallet',
+  label: 'HealthCare Wallet',
+  icon: <Wallet className="w-5 h-5" />,
+  color: 'teal',
+};
+
 /* ─── colour map ─── */
 const COLOR = {
   violet:  { border: 'border-violet-500',  bg: 'bg-violet-50',  dot: 'bg-violet-500',  icon: 'bg-violet-100 text-violet-600'  },
@@ -69,6 +70,7 @@ const COLOR = {
   green:   { border: 'border-green-500',   bg: 'bg-green-50',   dot: 'bg-green-500',   icon: 'bg-green-100 text-green-600'    },
   orange:  { border: 'border-orange-500',  bg: 'bg-orange-50',  dot: 'bg-orange-500',  icon: 'bg-orange-100 text-orange-600'  },
   yellow:  { border: 'border-yellow-500',  bg: 'bg-yellow-50',  dot: 'bg-yellow-500',  icon: 'bg-yellow-100 text-yellow-600'  },
+  teal:    { border: 'border-teal-500',    bg: 'bg-teal-50',    dot: 'bg-teal-500',    icon: 'bg-teal-100 text-teal-600'      },
 };
 
 /* ─── UPI logos ─── */
@@ -113,6 +115,18 @@ const PaymentGateway = ({
   const [selectedBank, setSelectedBank] = useState('');
   /* Wallet */
   const [selectedWallet, setSelectedWallet] = useState('paytm');
+  /* HealthCare Wallet balance */
+  const [walletBalance, setWalletBalance] = useState(null);
+
+  useEffect(() => {
+    walletAPI.getWallet({ limit: 1 })
+      .then((res) => setWalletBalance(res.data.data?.wallet?.balance ?? 0))
+      .catch(() => setWalletBalance(null));
+  }, []);
+
+  const methods = walletBalance !== null && walletBalance >= numericAmount
+    ? [{ ...WALLET_METHOD, sub: `Balance ₹${walletBalance.toFixed(2)}` }, ...METHODS]
+    : METHODS;
 
   /* ── open Razorpay modal pre-filled for the chosen method ── */
   const openRazorpay = async (prefillMethod) => {
@@ -183,27 +197,18 @@ const PaymentGateway = ({
     return { paymentId: orderData.data.paymentId, orderId: orderData.data.orderId, method: 'cod', data: orderData.data };
   };
 
-  /* ── Stripe ── */
-  const handleStripe = async () => {
+  /* ── HealthCare Wallet: settled on the server, nothing to confirm ── */
+  const handleWallet = async () => {
     const { data: orderData } = await paymentAPI.createOrder({
       amount: numericAmount,
       currency: 'INR',
       serviceType: orderDetails.serviceType || 'pharmacy',
-      description: orderDetails.description || 'Stripe Card Payment',
-      paymentMethod: 'stripe',
+      description: orderDetails.description || 'Paid from wallet',
+      appointmentId: orderDetails.appointmentId,
+      paymentMethod: 'wallet',
       metadata: orderDetails.metadata || {},
     });
-    await new Promise((r) => setTimeout(r, 1000)); // Simulated processing delay
-    
-    // Auto-confirm the stripe payment simulation in backend
-    await paymentAPI.confirmPayment({
-      razorpay_order_id: orderData.data.orderId,
-      razorpay_payment_id: `ch_${Date.now()}`,
-      razorpay_signature: "stripe_mock_sig",
-      isStripe: true
-    });
-
-    return { paymentId: `ch_${Date.now()}`, orderId: orderData.data.orderId, method: 'stripe', data: orderData.data };
+    return { paymentId: orderData.data.paymentId, orderId: orderData.data.orderId, method: 'hc-wallet', data: orderData.data };
   };
 
   /* ── main pay handler ── */
@@ -214,10 +219,10 @@ const PaymentGateway = ({
       switch (selectedMethod) {
         case 'upi':        result = await openRazorpay('upi');        break;
         case 'card':       result = await openRazorpay('card');       break;
-        case 'stripe':     result = await handleStripe();             break;
         case 'netbanking': result = await openRazorpay('netbanking'); break;
         case 'wallet':     result = await openRazorpay('wallet');     break;
         case 'cod':        result = await handleCOD();                break;
+        case 'hc-wallet':  result = await handleWallet();             break;
         default:           result = await openRazorpay('upi');
       }
       setSuccess(true);
@@ -231,7 +236,7 @@ const PaymentGateway = ({
   };
 
   /* ── render ── */
-  const c = COLOR[METHODS.find((m) => m.id === selectedMethod)?.color || 'green'];
+  const c = COLOR[methods.find((m) => m.id === selectedMethod)?.color || 'green'];
   if (success) {
     return (
       <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
@@ -264,7 +269,7 @@ const PaymentGateway = ({
 
           <h4 className="font-semibold mb-3 text-gray-700">Select Payment Method</h4>
           <div className="space-y-3 mb-6">
-            {METHODS.map((m) => (
+            {methods.map((m) => (
               <label
                 key={m.id}
                 className={`flex items-center gap-3 p-4 rounded-xl cursor-pointer transition-all border-2 ${
@@ -25,6 +25,8 @@ export const AppContextProvider = ({ children }) => {
   const [userRole, setUserRole] = useState('patient');
   const [loading, setLoading] = useState(false);
   const [initialLoading, setInitialLoading] = useState(true);
+  // Pending second login step: { challengeToken, setupRequired, recoveryCodes?, pendingLogin? }
+  const [twoFactorChallenge, setTwoFactorChallenge] = useState(null);
 
   // ✅ Use ref for stable loading guard (prevents concurrent calls even before state updates)
   const isPendingRef = React.useRef(false);
@@ -52,6 +54,28 @@ export const AppContextProvider = ({ children }) => {
 
   const backendUrl = getBackendUrl();
 
+  // ✅ Refresh tokens are single-use: requests that fail together share one refresh call,
+  //    otherwise the second call replays a spent token and the server signs the device out.
+  const refreshInFlightRef = React.useRef(null);
+
+  const sendRefreshRequest = React.useCallback(() => {
+    if (!refreshInFlightRef.current) {
+      const storedRefreshToken = localStorage.getItem('refreshToken');
+      refreshInFlightRef.current = axios.post(`${backendUrl}/api/v1/auth/refresh-token`, {
+        refreshToken: storedRefreshToken
+      }, {
+        withCredentials: true,
+        headers: {
+          'Content-Type': 'application/json',
+          'x-refresh-token': storedRefreshToken
+        }
+      }).finally(() => {
+        refreshInFlightRef.current = null;
+      });
+    }
+    return refreshInFlightRef.current;
+  }, [backendUrl]);
+
   // ✅ Configure axios instance with useMemo to keep reference stable
   const api = React.useMemo(() => {
     const instance = axios.create({
@@ -113,17 +137,7 @@ export const AppContextProvider = ({ children }) => {
 
           try {
             // Try to refresh the token using a clean axios call (no interceptors)
-            const response = await axios.post(
-              `${backendUrl}/api/v1/auth/refresh-token`,
-              { refreshToken: localStorage.getItem('refreshToken') },
-              {
-                withCredentials: true,
-                headers: {
-                  'Content-Type': 'application/json',
-                  'x-refresh-token': localStorage.getItem('refreshToken')
-                }
-              }
-            );
+            const response = await sendRefreshRequest();
 
             if (response.data?.success && response.data.data?.accessToken) {
               const newToken = response.data.data.accessToken;
@@ -158,7 +172,7 @@ export const AppContextProvider = ({ children }) => {
     );
 
     return instance;
-  }, [backendUrl]);
+  }, [backendUrl, sendRefreshRequest]);
 
   // ✅ API Helper function - Memoized
   const apiCall = React.useCallback(async (endpoint, options = {}) => {
@@ -204,6 +218,10 @@ export const AppContextProvider = ({ children }) => {
     setLoading(true);
     try {
       const response = await api.post('/auth/login', credentials);
+      if (response.success && response.data?.twoFactorRequired) {
+        setTwoFactorChallenge(response.data);
+        return response;
+      }
       if (response.success && response.data) {
         const { user: userData, accessToken, refreshToken: newRefreshToken } = response.data;
         localStorage.setItem('accessToken', accessToken);
@@ -233,6 +251,11 @@ export const AppContextProvider = ({ children }) => {
     try {
       const response = await api.post('/auth/google', { credential });
 
+      if (response.success && response.data?.twoFactorRequired) {
+        setTwoFactorChallenge(response.data);
+        return response;
+      }
+
       if (response.success && response.data) {
         const { user: userData, accessToken, refreshToken: newRefreshToken } = response.data;
 
@@ -260,6 +283,59 @@ export const AppContextProvider = ({ children }) => {
     }
   }, [api]);
 
+  // ✅ Two-factor login step
+  const applyLogin = React.useCallback((data) => {
+    const { user: userData, accessToken, refreshToken: newRefreshToken } = data;
+    localStorage.setItem('accessToken', accessToken);
+    if (newRefreshToken) {
+      localStorage.setItem('refreshToken', newRefreshToken);
+    }
+    setToken(accessToken);
+    setUser(userData);
+    setUserRole(userData.role?.toLowerCase() || 'patient');
+  }, []);
+
+  const startTwoFactorSetup = React.useCallback(async () => {
+    const response = await api.post('/auth/2fa/setup', {
+      challengeToken: twoFactorChallenge?.challengeToken
+    });
+    return response.data;
+  }, [api, twoFactorChallenge]);
+
+  const verifyTwoFactor = React.useCallback(async ({ code, recoveryCode }) => {
+    const response = await api.post('/auth/2fa/verify', {
+      challengeToken: twoFactorChallenge?.challengeToken,
+      code,
+      recoveryCode
+    });
+
+    if (response.success && response.data) {
+      // Just enrolled: hold the login until the recovery codes have been saved
+      if (response.data.recoveryCodes?.length) {
+        setTwoFactorChallenge(prev => ({ ...prev, recoveryCodes: response.data.recoveryCodes, pendingLogin: response.data }));
+        return response;
+      }
+
+      applyLogin(response.data);
+      setTwoFactorChallenge(null);
+      toast.success('Login successful!');
+      if (response.data.recoveryCodesRemaining !== undefined && response.data.recoveryCodesRemaining !== null) {
+        toast.info(`${response.data.recoveryCodesRemaining} recovery codes left`);
+      }
+    }
+    return response;
+  }, [api, twoFactorChallenge, applyLogin]);
+
+  const acknowledgeRecoveryCodes = React.useCallback(() => {
+    if (twoFactorChallenge?.pendingLogin) {
+      applyLogin(twoFactorChallenge.pendingLogin);
+      toast.success('Two-factor authentication enabled');
+    }
+    setTwoFactorChallenge(null);
+  }, [twoFactorChallenge, applyLogin]);
+
+  const cancelTwoFactor = React.useCallback(() => setTwoFactorChallenge(null), []);
+
   const logoutUser = React.useCallback(async () => {
     try {
       // Use basic axios for logout to avoid interceptor complexity
@@ -289,15 +365,7 @@ export const AppContextProvider = ({ children }) => {
 
     try {
       // Use clean axios instance for refresh to avoid loops
-      const response = await axios.post(`${backendUrl}/api/v1/auth/refresh-token`, {
-        refreshToken: storedRefreshToken
-      }, {
-        withCredentials: true,
-        headers: {
-          'Content-Type': 'application/json',
-          'x-refresh-token': storedRefreshToken
-        }
-      });
+      const response = await sendRefreshRequest();
 
       if (response.data?.success && response.data.data) {
         const { accessToken, refreshToken: newRefreshToken } = response.data.data;
@@ -314,7 +382,7 @@ export const AppContextProvider = ({ children }) => {
       console.error('Token refresh failed:', error);
       throw error;
     }
-  }, [backendUrl]);
+  }, [sendRefreshRequest]);
 
   const getCurrentUser = React.useCallback(async () => {
     try {
@@ -630,6 +698,7 @@ export const AppContextProvider = ({ children }) => {
     loading, setLoading,
     initialLoading,
     registerUser, loginUser, googleLogin, logoutUser,
+    twoFactorChallenge, startTwoFactorSetup, verifyTwoFactor, acknowledgeRecoveryCodes, cancelTwoFactor,
     refreshToken, getCurrentUser, changePassword, updateProfile,
     forgotPassword, resetPassword, verifyEmail,
     getAllDoctors, getDashboardStats, getAllUsers,
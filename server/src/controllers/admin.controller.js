@@ -26,6 +26,22 @@ import { Payment } from "../models/payment.model.js";
 import { Notification } from "../models/notification.model.js";
 import { AuditLog } from "../models/auditLog.model.js";
 import mongoose from "mongoose";
+import jobScheduler from "../services/jobScheduler.service.js";
+import careTeamService from "../services/careTeam.service.js";
+import emergencyAccessService from "../services/emergencyAccess.service.js";
+import auditService from "../services/audit.service.js";
+import sessionService from "../services/session.service.js";
+import twoFactorService from "../services/twoFactor.service.js";
+import pharmacyCartService from "../services/pharmacyCart.service.js";
+import pharmacyInventoryService from "../services/pharmacyInventory.service.js";
+import pharmacyOrderService from "../services/pharmacyOrder.service.js";
+import invoiceService from "../services/invoice.service.js";
+import refundService from "../services/refund.service.js";
+import insuranceClaimService from "../services/insuranceClaim.service.js";
+import walletService from "../services/wallet.service.js";
+import healthPackageService from "../services/healthPackage.service.js";
+import paymentWebhookService from "../services/paymentWebhook.service.js";
+import paymentReconciliationService from "../services/paymentReconciliation.service.js";
 
 /**
  * Get role-based query for user activity
@@ -309,9 +325,7 @@ const getDashboardStats = asyncHandler(async (req, res) => {
   // System Health
   const systemUptime = process.uptime();
   const memoryUsage = process.memoryUsage();
-  const activeSessions = await User.countDocuments({
-    refreshToken: { $exists: true, $ne: null }
-  });
+  const activeSessions = await sessionService.countActiveUsers();
 
   const stats = {
     users: {
@@ -600,7 +614,7 @@ const updateUser = asyncHandler(async (req, res) => {
 
   // Handle role update
   if (role) {
-    const validRoles = ['patient', 'provider', 'admin', 'technician', 'staff'];
+    const validRoles = ['patient', 'provider', 'admin', 'technician', 'staff', 'pharmacist', 'rider'];
     if (!validRoles.includes(role)) {
       throw new ApiError(400, `Invalid role. Must be one of: ${validRoles.join(', ')}`);
     }
@@ -625,11 +639,14 @@ const updateUser = asyncHandler(async (req, res) => {
   }
 
   // Create audit log
-  await AuditLog.create({
-    action: auditAction,
-    userId: userId,
-    performedBy: adminId,
+  await AuditLog.append({
+    action: 'UPDATE',
+    resource: 'User',
+    resourceId: userId,
+    userId: adminId,
+    userRole: req.user.role,
     details: {
+      event: auditAction,
       oldData: { status: user.status, role: user.role },
       newData: { status: updatedUser.status, role: updatedUser.role },
       reason,
@@ -701,11 +718,14 @@ const deleteUser = asyncHandler(async (req, res) => {
   }
 
   // Create audit log
-  await AuditLog.create({
-    action: permanent ? 'USER_PERMANENT_DELETE' : 'USER_SOFT_DELETE',
-    userId: userId,
-    performedBy: adminId,
+  await AuditLog.append({
+    action: 'DELETE',
+    resource: 'User',
+    resourceId: userId,
+    userId: adminId,
+    userRole: req.user.role,
     details: {
+      event: permanent ? 'USER_PERMANENT_DELETE' : 'USER_SOFT_DELETE',
       permanent,
       reason,
       userEmail: user.email,
@@ -831,8 +851,8 @@ const getAuditLogs = asyncHandler(async (req, res) => {
   const query = {};
 
   if (action) query.action = action;
-  if (userId) query.userId = userId;
-  if (performedBy) query.performedBy = performedBy;
+  if (userId) query.resourceId = userId;
+  if (performedBy) query.userId = performedBy;
   if (resource) query.resource = resource;
 
   // Date range filter
@@ -848,11 +868,7 @@ const getAuditLogs = asyncHandler(async (req, res) => {
   const auditLogs = await AuditLog.find(query)
     .populate({
       path: 'userId',
-      select: 'name email role'
-    })
-    .populate({
-      path: 'performedBy',
-      select: 'name email role'
+      select: 'firstName lastName email role'
     })
     .sort(sort)
     .skip(skip)
@@ -894,6 +910,30 @@ const getAuditLogs = asyncHandler(async (req, res) => {
     );
 });
 
+/**
+ * VERIFY AUDIT LOG CHAIN
+ * Recompute the hash chain to detect edited or deleted entries
+ * 
+ * GET /api/v1/admin/audit-logs/verify
+ * Requires: verifyJWT middleware, admin role
+ */
+const verifyAuditLogChain = asyncHandler(async (req, res) => {
+  const fromSequence = parseInt(req.query.fromSequence, 10) || 1;
+  const limit = Math.min(100000, parseInt(req.query.limit, 10) || 10000);
+
+  const result = await auditService.verifyAuditChain({ fromSequence, limit });
+
+  if (!result.valid) {
+    console.error(`🚨 Audit log chain broken at entry ${result.brokenAt}: ${result.reason}`);
+  }
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, result, result.valid
+      ? "Audit log chain is intact"
+      : "Audit log chain is broken"));
+});
+
 /**
  * BULK OPERATIONS
  * Perform bulk operations on users
@@ -979,7 +1019,7 @@ const bulkOperations = asyncHandler(async (req, res) => {
           if (!data?.role) {
             throw new ApiError(400, "Role is required for assign_role operation");
           }
-          const validRoles = ['patient', 'provider', 'admin', 'technician', 'staff'];
+          const validRoles = ['patient', 'provider', 'admin', 'technician', 'staff', 'pharmacist', 'rider'];
           if (!validRoles.includes(data.role)) {
             throw new ApiError(400, `Invalid role. Must be one of: ${validRoles.join(', ')}`);
           }
@@ -1007,11 +1047,14 @@ const bulkOperations = asyncHandler(async (req, res) => {
       results.successful++;
 
       // Create audit log for each operation
-      await AuditLog.create({
-        action: `BULK_${operation.toUpperCase()}`,
-        userId: userId,
-        performedBy: adminId,
+      await AuditLog.append({
+        action: 'UPDATE',
+        resource: 'User',
+        resourceId: userId,
+        userId: adminId,
+        userRole: req.user.role,
         details: {
+          event: `BULK_${operation.toUpperCase()}`,
           operation,
           data
         },
@@ -1333,10 +1376,13 @@ const sendBulkNotifications = asyncHandler(async (req, res) => {
   await Notification.insertMany(notifications);
 
   // Log the action
-  await AuditLog.create({
-    action: 'BULK_NOTIFICATION_SENT',
-    performedBy: adminId,
+  await AuditLog.append({
+    action: 'CREATE',
+    resource: 'Notification',
+    userId: adminId,
+    userRole: req.user.role,
     details: {
+      event: 'BULK_NOTIFICATION_SENT',
       count: userIds.length,
       title,
       type
@@ -1356,6 +1402,805 @@ const sendBulkNotifications = asyncHandler(async (req, res) => {
     );
 });
 
+/**
+ * LIST BACKGROUND JOBS
+ * Scheduled, running and finished jobs with per-status counts
+ * 
+ * GET /api/v1/admin/jobs
+ * Requires: verifyJWT middleware, admin role
+ */
+const getJobs = asyncHandler(async (req, res) => {
+  const { status, name, type, page, limit } = req.query;
+
+  const result = await jobScheduler.listJobs({ status, name, type, page, limit });
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, result, "Jobs retrieved successfully"));
+});
+
+/**
+ * GET BACKGROUND JOB
+ * Single job including its recent run history
+ * 
+ * GET /api/v1/admin/jobs/:jobId
+ * Requires: verifyJWT middleware, admin role
+ */
+const getJobById = asyncHandler(async (req, res) => {
+  const job = await jobScheduler.getJob(req.params.jobId);
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, { job }, "Job retrieved successfully"));
+});
+
+/**
+ * RE-RUN BACKGROUND JOB
+ * Queue a job to run now; recurring jobs then resume their schedule
+ * 
+ * POST /api/v1/admin/jobs/:jobId/rerun
+ * Requires: verifyJWT middleware, admin role
+ */
+const rerunJob = asyncHandler(async (req, res) => {
+  const job = await jobScheduler.rerunJob(req.params.jobId);
+
+  console.log(`🔁 Job ${job.name} (${job._id}) re-queued by admin ${req.user._id}`);
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, { job }, "Job queued to run"));
+});
+
+/**
+ * CANCEL BACKGROUND JOB
+ * Stop a job from running again
+ * 
+ * POST /api/v1/admin/jobs/:jobId/cancel
+ * Requires: verifyJWT middleware, admin role
+ */
+const cancelJob = asyncHandler(async (req, res) => {
+  const job = await jobScheduler.cancelJob(req.params.jobId);
+
+  console.log(`⛔ Job ${job.name} (${job._id}) cancelled by admin ${req.user._id}`);
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, { job }, "Job cancelled"));
+});
+
+/**
+ * LIST CARE-TEAM RELATIONSHIPS
+ * Providers with access to a patient, or patients a provider can access
+ * 
+ * GET /api/v1/admin/care-team
+ * Requires: verifyJWT middleware, admin role
+ */
+const getCareTeam = asyncHandler(async (req, res) => {
+  const { patientId, providerId, activeOnly } = req.query;
+
+  if (!patientId && !providerId) {
+    throw new ApiError(400, "patientId or providerId is required");
+  }
+
+  const relationships = await careTeamService.listRelationships({
+    patientId,
+    providerId,
+    activeOnly: activeOnly === "true"
+  });
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, {
+      relationships,
+      accessWindowDays: careTeamService.getAccessWindowDays()
+    }, "Care team retrieved successfully"));
+});
+
+/**
+ * ASSIGN PROVIDER TO CARE TEAM
+ * Grant a provider access to a patient; no expiry unless one is given
+ * 
+ * POST /api/v1/admin/care-team
+ * Requires: verifyJWT middleware, admin role
+ */
+const assignCareTeamMember = asyncHandler(async (req, res) => {
+  const { patientId, providerId, careRole, expiresAt, notes } = req.body;
+
+  if (!patientId || !providerId) {
+    throw new ApiError(400, "patientId and providerId are required");
+  }
+
+  const relationship = await careTeamService.assignProvider({
+    patientId,
+    providerId,
+    careRole,
+    expiresAt,
+    notes,
+    assignedBy: req.user._id
+  });
+
+  console.log(`🩺 Provider ${providerId} assigned to patient ${relationship.patientId} by admin ${req.user._id}`);
+
+  return res
+    .status(201)
+    .json(new ApiResponse(201, { relationship }, "Provider assigned to care team"));
+});
+
+/**
+ * REVOKE CARE-TEAM RELATIONSHIP
+ * Remove a provider's access to a patient
+ * 
+ * POST /api/v1/admin/care-team/:relationshipId/revoke
+ * Requires: verifyJWT middleware, admin role
+ */
+const revokeCareTeamMember = asyncHandler(async (req, res) => {
+  const relationship = await careTeamService.revokeRelationship(req.params.relationshipId, {
+    revokedBy: req.user._id,
+    reason: req.body?.reason
+  });
+
+  console.log(`🚫 Care relationship ${relationship._id} revoked by admin ${req.user._id}`);
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, { relationship }, "Care team access revoked"));
+});
+
+/**
+ * EMERGENCY ACCESS REVIEW QUEUE
+ * Break-the-glass grants awaiting sign-off (or filtered by review status)
+ * 
+ * GET /api/v1/admin/emergency-access
+ * Requires: verifyJWT middleware, admin role
+ */
+const getEmergencyAccessQueue = asyncHandler(async (req, res) => {
+  const { reviewStatus, page, limit } = req.query;
+
+  const result = await emergencyAccessService.listReviewQueue({ reviewStatus, page, limit });
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, result, "Emergency access grants retrieved successfully"));
+});
+
+/**
+ * GET EMERGENCY ACCESS GRANT
+ * A grant with the audit trail of every access made under it
+ * 
+ * GET /api/v1/admin/emergency-access/:grantId
+ * Requires: verifyJWT middleware, admin role
+ */
+const getEmergencyAccessGrant = asyncHandler(async (req, res) => {
+  const result = await emergencyAccessService.getGrantWithAuditTrail(req.params.grantId);
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, result, "Emergency access grant retrieved successfully"));
+});
+
+/**
+ * REVIEW EMERGENCY ACCESS
+ * Sign off a grant as justified or flag it; flagging ends an active grant
+ * 
+ * POST /api/v1/admin/emergency-access/:grantId/review
+ * Requires: verifyJWT middleware, admin role
+ */
+const reviewEmergencyAccess = asyncHandler(async (req, res) => {
+  const { decision, notes } = req.body;
+
+  const grant = await emergencyAccessService.reviewGrant(
+    req.params.grantId,
+    req.user,
+    { decision, notes },
+    { ipAddress: req.ip, userAgent: req.get('User-Agent') }
+  );
+
+  console.log(`🔍 Emergency access ${grant._id} ${decision} by admin ${req.user._id}`);
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, { grant }, `Emergency access ${decision}`));
+});
+
+/**
+ * GET TWO-FACTOR POLICY
+ * Roles that must use two-factor authentication
+ * 
+ * GET /api/v1/admin/security/two-factor
+ * Requires: verifyJWT middleware, admin role
+ */
+const getTwoFactorPolicy = asyncHandler(async (req, res) => {
+  const policy = await twoFactorService.getPolicy();
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, { policy }, "Two-factor policy fetched successfully"));
+});
+
+/**
+ * UPDATE TWO-FACTOR POLICY
+ * Users in newly required roles enrol at their next login
+ * 
+ * PATCH /api/v1/admin/security/two-factor
+ * Requires: verifyJWT middleware, admin role
+ */
+const updateTwoFactorPolicy = asyncHandler(async (req, res) => {
+  const policy = await twoFactorService.updatePolicy(
+    req.user,
+    { requiredRoles: req.body.requiredRoles },
+    { ipAddress: req.ip, userAgent: req.get('User-Agent') }
+  );
+
+  console.log(`🔐 Two-factor policy updated by admin ${req.user._id}:`, policy.requiredRoles);
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, { policy }, "Two-factor policy updated"));
+});
+
+/**
+ * RESET USER TWO-FACTOR
+ * Clear a user's authenticator after they lose their device
+ * 
+ * POST /api/v1/admin/users/:userId/two-factor/reset
+ * Requires: verifyJWT middleware, admin role
+ */
+const resetUserTwoFactor = asyncHandler(async (req, res) => {
+  const user = await twoFactorService.resetTwoFactor(
+    req.user,
+    req.params.userId,
+    { ipAddress: req.ip, userAgent: req.get('User-Agent') }
+  );
+
+  // Whoever holds the lost device is signed out too
+  await sessionService.revokeAllSessions(user._id, { reason: 'revoked-by-admin' });
+
+  console.log(`🔓 Two-factor reset for user ${user._id} by admin ${req.user._id}`);
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, { userId: user._id }, "Two-factor authentication reset"));
+});
+
+/**
+ * GET COUPONS
+ * Pharmacy coupons with their redemption counts
+ * 
+ * GET /api/v1/admin/coupons
+ * Requires: verifyJWT middleware, admin role
+ */
+const getCoupons = asyncHandler(async (req, res) => {
+  const coupons = await pharmacyCartService.listCoupons({ active: req.query.active });
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, { coupons }, "Coupons fetched successfully"));
+});
+
+/**
+ * CREATE COUPON
+ * New discount code for pharmacy checkout
+ * 
+ * POST /api/v1/admin/coupons
+ * Requires: verifyJWT middleware, admin role
+ */
+const createCoupon = asyncHandler(async (req, res) => {
+  const coupon = await pharmacyCartService.createCoupon(req.user, req.body);
+
+  console.log(`🏷️ Coupon ${coupon.code} created by admin ${req.user._id}`);
+
+  return res
+    .status(201)
+    .json(new ApiResponse(201, { coupon }, "Coupon created successfully"));
+});
+
+/**
+ * UPDATE COUPON
+ * Change a coupon's terms or switch it off; the code itself is fixed
+ * 
+ * PATCH /api/v1/admin/coupons/:couponId
+ * Requires: verifyJWT middleware, admin role
+ */
+const updateCoupon = asyncHandler(async (req, res) => {
+  const coupon = await pharmacyCartService.updateCoupon(req.params.couponId, req.body);
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, { coupon }, "Coupon updated successfully"));
+});
+
+/**
+ * GET PHARMACY STOCK
+ * Batches, reservations and low-stock flags for one pharmacy
+ * 
+ * GET /api/v1/admin/pharmacies/:pharmacyId/stock
+ * Requires: verifyJWT middleware, admin role
+ */
+const getPharmacyStock = asyncHandler(async (req, res) => {
+  const stock = await pharmacyInventoryService.listStock(req.params.pharmacyId, {
+    lowOnly: req.query.lowOnly === 'true'
+  });
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, { stock }, "Pharmacy stock fetched successfully"));
+});
+
+/**
+ * RECEIVE PHARMACY STOCK
+ * Book a supplier delivery into a batch
+ * 
+ * POST /api/v1/admin/pharmacies/:pharmacyId/stock/receipts
+ * Requires: verifyJWT middleware, admin role
+ */
+const receivePharmacyStock = asyncHandler(async (req, res) => {
+  const stock = await pharmacyInventoryService.receiveStock(req.params.pharmacyId, req.body, req.user._id);
+
+  console.log(`📦 ${req.body.quantity} x ${req.body.medicineId} (batch ${req.body.batchNumber}) received at pharmacy ${req.params.pharmacyId}`);
+
+  return res
+    .status(201)
+    .json(new ApiResponse(201, { stock }, "Stock received successfully"));
+});
+
+/**
+ * ADJUST PHARMACY STOCK
+ * Correct a batch after a stock count, damage or loss
+ * 
+ * POST /api/v1/admin/pharmacies/:pharmacyId/stock/adjustments
+ * Requires: verifyJWT middleware, admin role
+ */
+const adjustPharmacyStock = asyncHandler(async (req, res) => {
+  const stock = await pharmacyInventoryService.adjustStock(req.params.pharmacyId, req.body, req.user._id);
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, { stock }, "Stock adjusted successfully"));
+});
+
+/**
+ * GET STOCK MOVEMENTS
+ * The append-only stock ledger, newest first
+ * 
+ * GET /api/v1/admin/stock-movements
+ * Requires: verifyJWT middleware, admin role
+ */
+const getStockMovements = asyncHandler(async (req, res) => {
+  const result = await pharmacyInventoryService.listMovements(req.query);
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, result, "Stock movements fetched successfully"));
+});
+
+/**
+ * GET RIDERS
+ * The delivery rider roster
+ * 
+ * GET /api/v1/admin/riders
+ * Requires: verifyJWT middleware, admin role
+ */
+const getRiders = asyncHandler(async (req, res) => {
+  const riders = await pharmacyOrderService.listRiders(req.query);
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, { riders }, "Riders fetched successfully"));
+});
+
+/**
+ * ADD RIDER
+ * Put a user with the rider role on the roster
+ * 
+ * POST /api/v1/admin/riders
+ * Requires: verifyJWT middleware, admin role
+ */
+const addRider = asyncHandler(async (req, res) => {
+  const rider = await pharmacyOrderService.addRider(req.body);
+
+  return res
+    .status(201)
+    .json(new ApiResponse(201, { rider }, "Rider added to the roster"));
+});
+
+/**
+ * UPDATE RIDER
+ * Change a rider's details, duty status or take them off the roster
+ * 
+ * PATCH /api/v1/admin/riders/:riderId
+ * Requires: verifyJWT middleware, admin role
+ */
+const updateRider = asyncHandler(async (req, res) => {
+  const rider = await pharmacyOrderService.updateRider(req.params.riderId, req.body);
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, { rider }, "Rider updated successfully"));
+});
+
+/**
+ * GET INVOICES
+ * Invoices across all patients, with paid and outstanding totals
+ * 
+ * GET /api/v1/admin/invoices
+ * Requires: verifyJWT middleware, admin role
+ */
+const getInvoices = asyncHandler(async (req, res) => {
+  const result = await invoiceService.listInvoices(req.query);
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, result, "Invoices fetched successfully"));
+});
+
+/**
+ * GET INVOICE BY ID
+ * 
+ * GET /api/v1/admin/invoices/:invoiceId
+ * Requires: verifyJWT middleware, admin role
+ */
+const getInvoiceById = asyncHandler(async (req, res) => {
+  const invoice = await invoiceService.getInvoice(req.params.invoiceId, req.user);
+  const creditNotes = await invoiceService.creditNotesForInvoice(invoice._id);
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, { invoice, creditNotes }, "Invoice fetched successfully"));
+});
+
+/**
+ * DOWNLOAD INVOICE
+ * Printable PDF of any invoice
+ * 
+ * GET /api/v1/admin/invoices/:invoiceId/download
+ * Requires: verifyJWT middleware, admin role
+ */
+const downloadInvoice = asyncHandler(async (req, res) => {
+  const { buffer, filename } = await invoiceService.buildInvoiceDocument(req.params.invoiceId, req.user);
+
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  res.setHeader('Cache-Control', 'private, no-store');
+  return res.status(200).send(buffer);
+});
+
+/**
+ * DOWNLOAD CREDIT NOTE
+ * Printable PDF of a credit note raised against an invoice
+ * 
+ * GET /api/v1/admin/credit-notes/:creditNoteId/download
+ * Requires: verifyJWT middleware, admin role
+ */
+const downloadCreditNote = asyncHandler(async (req, res) => {
+  const { buffer, filename } = await invoiceService.buildCreditNoteDocument(req.params.creditNoteId, req.user);
+
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  res.setHeader('Cache-Control', 'private, no-store');
+  return res.status(200).send(buffer);
+});
+
+/**
+ * GET REFUNDS
+ * Refund ledger across all payments, including refunds waiting for approval
+ * 
+ * GET /api/v1/admin/refunds
+ * Requires: verifyJWT middleware, admin role
+ */
+const getRefunds = asyncHandler(async (req, res) => {
+  const result = await refundService.listRefunds(req.query);
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, result, "Refunds fetched successfully"));
+});
+
+/**
+ * REVIEW REFUND
+ * Approve a refund over the approval threshold, paying it out, or reject it
+ * 
+ * POST /api/v1/admin/refunds/:refundId/review
+ * Requires: verifyJWT middleware, admin role
+ */
+const reviewRefund = asyncHandler(async (req, res) => {
+  const { decision, note } = req.body;
+  const refund = await refundService.reviewRefund(req.params.refundId, { decision, note }, req.user);
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, { refund }, decision === 'approve' ? "Refund approved and processed" : "Refund rejected"));
+});
+
+/**
+ * GET INSURANCE CLAIMS
+ * Claims and pre-authorisations, filterable by type and status
+ * 
+ * GET /api/v1/admin/claims
+ * Requires: verifyJWT middleware, admin role
+ */
+const getClaims = asyncHandler(async (req, res) => {
+  const result = await insuranceClaimService.listClaims(req.query);
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, result, "Insurance claims fetched successfully"));
+});
+
+/**
+ * GET CLAIMS BOARD
+ * Open claims by age, totals by status and the commonest denial reasons
+ * 
+ * GET /api/v1/admin/claims/board
+ * Requires: verifyJWT middleware, admin role
+ */
+const getClaimsBoard = asyncHandler(async (req, res) => {
+  const board = await insuranceClaimService.getClaimsBoard();
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, board, "Claims board fetched successfully"));
+});
+
+/**
+ * GET CLAIM BY ID
+ * 
+ * GET /api/v1/admin/claims/:claimId
+ * Requires: verifyJWT middleware, admin role
+ */
+const getClaimById = asyncHandler(async (req, res) => {
+  const claim = await insuranceClaimService.getClaim(req.params.claimId, req.user);
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, { claim }, "Insurance claim fetched successfully"));
+});
+
+/**
+ * CREATE CLAIM
+ * Draft a cashless claim for an unpaid invoice under the patient's policy
+ * 
+ * POST /api/v1/admin/claims
+ * Requires: verifyJWT middleware, admin role
+ */
+const createClaim = asyncHandler(async (req, res) => {
+  const claim = await insuranceClaimService.createClaimFromInvoice(req.body, req.user);
+
+  return res
+    .status(201)
+    .json(new ApiResponse(201, { claim }, "Insurance claim drafted"));
+});
+
+/**
+ * CREATE PRE-AUTHORISATION
+ * Ask the insurer to approve a procedure or lab test in advance
+ * 
+ * POST /api/v1/admin/claims/pre-authorisations
+ * Requires: verifyJWT middleware, admin role
+ */
+const createPreAuthorisation = asyncHandler(async (req, res) => {
+  const preAuthorisation = await insuranceClaimService.requestPreAuthorisation(req.body, req.user);
+
+  return res
+    .status(201)
+    .json(new ApiResponse(201, { preAuthorisation }, "Pre-authorisation requested"));
+});
+
+/**
+ * UPDATE CLAIM STATUS
+ * Submit, approve, deny, resubmit or cancel a claim or pre-authorisation
+ * 
+ * PATCH /api/v1/admin/claims/:claimId/status
+ * Requires: verifyJWT middleware, admin role
+ */
+const updateClaimStatus = asyncHandler(async (req, res) => {
+  const claim = await insuranceClaimService.updateClaimStatus(req.params.claimId, req.body, req.user);
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, { claim }, `Claim ${claim.status}`));
+});
+
+/**
+ * IMPORT EOB
+ * Reconcile an insurer's explanation-of-benefit file against open claims
+ * 
+ * POST /api/v1/admin/claims/eob
+ * Requires: verifyJWT middleware, admin role
+ */
+const importEob = asyncHandler(async (req, res) => {
+  const result = await insuranceClaimService.importEob({ file: req.file, rows: req.body.rows }, req.user);
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, result, `${result.applied} of ${result.total} remittance rows applied`));
+});
+
+/**
+ * GET LEDGER ENTRIES
+ * Wallet and health package journal entries, filterable by account, type, user and date
+ * 
+ * GET /api/v1/admin/ledger/entries
+ * Requires: verifyJWT middleware, admin role
+ */
+const getLedgerEntries = asyncHandler(async (req, res) => {
+  const result = await walletService.listEntries(req.query);
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, result, "Ledger entries fetched successfully"));
+});
+
+/**
+ * GET TRIAL BALANCE
+ * Debits, credits and balance of every ledger account
+ * 
+ * GET /api/v1/admin/ledger/trial-balance
+ * Requires: verifyJWT middleware, admin role
+ */
+const getTrialBalance = asyncHandler(async (req, res) => {
+  const trialBalance = await walletService.getTrialBalance({ to: req.query.to });
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, trialBalance, "Trial balance fetched successfully"));
+});
+
+/**
+ * GET LEDGER AUDIT
+ * Wallets and packages whose recorded balance disagrees with the ledger
+ * 
+ * GET /api/v1/admin/ledger/audit
+ * Requires: verifyJWT middleware, admin role
+ */
+const getLedgerAudit = asyncHandler(async (req, res) => {
+  const audit = await walletService.auditBalances();
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, audit, audit.clean ? "Ledger reconciles" : "Ledger has discrepancies"));
+});
+
+/**
+ * GET HEALTH PACKAGES
+ * The package catalogue, including packages no longer on sale
+ * 
+ * GET /api/v1/admin/health-packages
+ * Requires: verifyJWT middleware, admin role
+ */
+const getHealthPackages = asyncHandler(async (req, res) => {
+  const packages = await healthPackageService.listPackages({ includeInactive: true });
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, { packages }, "Health packages fetched successfully"));
+});
+
+/**
+ * CREATE HEALTH PACKAGE
+ * 
+ * POST /api/v1/admin/health-packages
+ * Requires: verifyJWT middleware, admin role
+ */
+const createHealthPackage = asyncHandler(async (req, res) => {
+  const healthPackage = await healthPackageService.createPackage(req.body, req.user);
+
+  return res
+    .status(201)
+    .json(new ApiResponse(201, { package: healthPackage }, "Health package created"));
+});
+
+/**
+ * UPDATE HEALTH PACKAGE
+ * Reprice, change or withdraw a package; packages already sold are unaffected
+ * 
+ * PATCH /api/v1/admin/health-packages/:packageId
+ * Requires: verifyJWT middleware, admin role
+ */
+const updateHealthPackage = asyncHandler(async (req, res) => {
+  const healthPackage = await healthPackageService.updatePackage(req.params.packageId, req.body);
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, { package: healthPackage }, "Health package updated"));
+});
+
+/**
+ * GET PAYMENT DISCREPANCIES
+ * Differences between our payments and the Razorpay settlement report
+ * 
+ * GET /api/v1/admin/payments/discrepancies
+ * Requires: verifyJWT middleware, admin role
+ */
+const getPaymentDiscrepancies = asyncHandler(async (req, res) => {
+  const result = await paymentReconciliationService.listDiscrepancies(req.query);
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, result, "Payment discrepancies fetched successfully"));
+});
+
+/**
+ * RESOLVE PAYMENT DISCREPANCY
+ * Close a discrepancy with a note on how it was settled
+ * 
+ * PATCH /api/v1/admin/payments/discrepancies/:discrepancyId/resolve
+ * Requires: verifyJWT middleware, admin role
+ */
+const resolvePaymentDiscrepancy = asyncHandler(async (req, res) => {
+  const discrepancy = await paymentReconciliationService.resolveDiscrepancy(
+    req.params.discrepancyId,
+    { note: req.body.note },
+    req.user
+  );
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, { discrepancy }, "Discrepancy resolved"));
+});
+
+/**
+ * IMPORT SETTLEMENT REPORT
+ * Import a Razorpay settlement report (CSV upload or JSON rows) and reconcile against it
+ * 
+ * POST /api/v1/admin/payments/settlements
+ * Requires: verifyJWT middleware, admin role
+ */
+const importSettlementReport = asyncHandler(async (req, res) => {
+  const result = await paymentReconciliationService.importSettlementReport(
+    { file: req.file, rows: req.body.rows },
+    req.user
+  );
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, result, `${result.inserted} of ${result.total} settlement rows imported`));
+});
+
+/**
+ * RUN PAYMENT RECONCILIATION
+ * Reconcile now instead of waiting for the daily job
+ * 
+ * POST /api/v1/admin/payments/reconcile
+ * Requires: verifyJWT middleware, admin role
+ */
+const runPaymentReconciliation = asyncHandler(async (req, res) => {
+  const result = await paymentReconciliationService.reconcilePayments();
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, result, "Payment reconciliation complete"));
+});
+
+/**
+ * GET WEBHOOK EVENTS
+ * Stored gateway webhook events and how each was handled
+ * 
+ * GET /api/v1/admin/payments/webhook-events
+ * Requires: verifyJWT middleware, admin role
+ */
+const getWebhookEvents = asyncHandler(async (req, res) => {
+  const result = await paymentWebhookService.listEvents(req.query);
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, result, "Webhook events fetched successfully"));
+});
+
+/**
+ * RETRY WEBHOOK EVENT
+ * Handle a failed webhook event again, past the automatic retries if need be
+ * 
+ * POST /api/v1/admin/payments/webhook-events/:eventId/retry
+ * Requires: verifyJWT middleware, admin role
+ */
+const retryWebhookEvent = asyncHandler(async (req, res) => {
+  const event = await paymentWebhookService.retryEvent(req.params.eventId);
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, { event }, event.status === 'processed' ? "Webhook event processed" : "Webhook event failed again"));
+});
+
 // Export all admin controller functions
 export {
   getDashboardStats,
@@ -1365,11 +2210,60 @@ export {
   deleteUser,
   getSystemAnalytics,
   getAuditLogs,
+  verifyAuditLogChain,
   bulkOperations,
   getSystemHealth,
   getUserAnalytics,
   getRevenueAnalytics,
   getProviderAnalytics,
   getSystemMetrics,
-  sendBulkNotifications
+  sendBulkNotifications,
+  getJobs,
+  getJobById,
+  rerunJob,
+  cancelJob,
+  getCareTeam,
+  assignCareTeamMember,
+  revokeCareTeamMember,
+  getEmergencyAccessQueue,
+  getEmergencyAccessGrant,
+  reviewEmergencyAccess,
+  getTwoFactorPolicy,
+  updateTwoFactorPolicy,
+  resetUserTwoFactor,
+  getCoupons,
+  createCoupon,
+  updateCoupon,
+  getPharmacyStock,
+  receivePharmacyStock,
+  adjustPharmacyStock,
+  getStockMovements,
+  getRiders,
+  addRider,
+  updateRider,
+  getInvoices,
+  getInvoiceById,
+  downloadInvoice,
+  downloadCreditNote,
+  getRefunds,
+  reviewRefund,
+  getClaims,
+  getClaimsBoard,
+  getClaimById,
+  createClaim,
+  createPreAuthorisation,
+  updateClaimStatus,
+  importEob,
+  getLedgerEntries,
+  getTrialBalance,
+  getLedgerAudit,
+  getHealthPackages,
+  createHealthPackage,
+  updateHealthPackage,
+  getPaymentDiscrepancies,
+  resolvePaymentDiscrepancy,
+  importSettlementReport,
+  runPaymentReconciliation,
+  getWebhookEvents,
+  retryWebhookEvent
 };
\ No newline at end of file
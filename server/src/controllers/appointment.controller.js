@@ -12,10 +12,11 @@
  * - Multi-role access (patients, doctors, admins)
  */
 
+import mongoose from "mongoose";
 import { asyncHandler } from "../utils/asyncHandler.js";
 import { ApiError } from "../utils/ApiError.js";
 import { ApiResponse } from "../utils/ApiResponse.js";
-import { Appointment } from "../models/appointment.model.js";
+import { Appointment, APPOINTMENT_STATUS_TRANSITIONS } from "../models/appointment.model.js";
 import { User } from "../models/User.model.js";
 import { Patient } from "../models/Patient.model.js";
 import { Doctor } from "../models/Doctor.model.js";
@@ -30,6 +31,35 @@ import {
     sendPushNotification 
 } from "../utils/notificationUtils.js";
 import { generateGoogleMeetLink } from "../utils/googleMeetUtils.js";
+import scheduleService from "../services/schedule.service.js";
+import slotReservationService from "../services/slotReservation.service.js";
+import invoiceService from "../services/invoice.service.js";
+import refundService from "../services/refund.service.js";
+import waitlistService from "../services/waitlist.service.js";
+
+/**
+ * The appointments a user may see: a patient their own, a doctor theirs,
+ * an admin all of them
+ *
+ * @returns {Object} - Filter to merge into an Appointment query
+ */
+const appointmentScope = async (user) => {
+    if (user.role === 'patient') {
+        const patientUser = await User.findById(user._id).populate('patientId');
+        if (!patientUser?.patientId) {
+            throw new ApiError(404, "Patient profile not found");
+        }
+        return { patientId: patientUser.patientId._id };
+    }
+    if (user.role === 'doctor') return { doctorId: user._id };
+    if (user.role === 'admin') return {};
+    throw new ApiError(403, "Access denied");
+};
+
+// Whether an appointment (with patientId and doctorId populated) is within a scope
+const withinScope = (appointment, scope) =>
+    (!scope.patientId || String(appointment.patientId._id) === String(scope.patientId)) &&
+    (!scope.doctorId || String(appointment.doctorId._id) === String(scope.doctorId));
 
 /**
  * CREATE APPOINTMENT
@@ -90,27 +120,7 @@ const createAppointment = asyncHandler(async (req, res) => {
         throw new ApiError(404, "Patient profile not found");
     }
 
-    // 5. Check doctor availability for the requested time slot
-    const requestedApptType = req.body.appointmentType || 'in-person';
-    const existingAppointments = await Appointment.find({
-        doctorId,
-        appointmentDate: new Date(appointmentDate),
-        appointmentTime,
-        status: { $in: ['scheduled', 'confirmed'] }
-    });
-
-    if (existingAppointments.length > 0) {
-        const hasNonVideo = existingAppointments.some(apt => apt.appointmentType !== 'video');
-        if (hasNonVideo || requestedApptType !== 'video') {
-            throw new ApiError(409, "Doctor is not available at the requested time slot");
-        }
-        const maxVideoSlots = 10;
-        if (existingAppointments.length >= maxVideoSlots) {
-            throw new ApiError(409, `Doctor has reached the maximum capacity of ${maxVideoSlots} video consultations for this time slot`);
-        }
-    }
-
-    // 6. Check if patient has conflicting appointment
+    // 5. Check if patient has conflicting appointment
     const patientConflict = await Appointment.findOne({
         patientId: patientUser.patientId._id,
         appointmentDate: new Date(appointmentDate),
@@ -122,12 +132,24 @@ const createAppointment = asyncHandler(async (req, res) => {
         throw new ApiError(409, "You already have an appointment at this time");
     }
 
-    // 7. Validate appointment type and doctor specialization compatibility
+    // 6. Validate appointment type and doctor specialization compatibility
     const validTypes = ['consultation', 'follow-up', 'checkup', 'emergency', 'surgery', 'test'];
     if (!validTypes.includes(type)) {
         throw new ApiError(400, `Invalid appointment type. Must be one of: ${validTypes.join(', ')}`);
     }
 
+    // 7. Claim the slot against the doctor's schedule and bookings
+    const requestedApptType = req.body.appointmentType || 'in-person';
+    const { seatId, slot } = await slotReservationService.reserveBooking({
+        doctorId,
+        date: appointmentDate,
+        time: appointmentTime,
+        appointmentType: requestedApptType,
+        userId: patientId,
+        patientId: patientUser.patientId._id,
+        holdId: req.body.holdId
+    });
+
     // 8. Generate appointment number
     const appointmentCount = await Appointment.countDocuments();
     const appointmentNumber = `APT-${String(appointmentCount + 1).padStart(6, '0')}`;
@@ -146,6 +168,9 @@ const createAppointment = asyncHandler(async (req, res) => {
         appointmentDate: new Date(appointmentDate),
         appointmentTime,
         appointmentType,
+        duration: slot.duration,
+        location: appointmentType === 'in-person' ? slot.location : undefined,
+        consultationFee: doctor.consultationFee || 0,
         type,
         reason,
         symptoms: symptoms || [],
@@ -160,7 +185,14 @@ const createAppointment = asyncHandler(async (req, res) => {
         } : undefined
     };
 
-    const appointment = await Appointment.create(appointmentData);
+    let appointment;
+    try {
+        appointment = await Appointment.create(appointmentData);
+    } catch (error) {
+        await slotReservationService.releaseSeat(seatId);
+        throw error;
+    }
+    await slotReservationService.attachAppointment(seatId, appointment._id);
 
     // 10. Populate appointment details for response
     const createdAppointment = await Appointment.findById(appointment._id)
@@ -269,8 +301,6 @@ const createAppointment = asyncHandler(async (req, res) => {
  */
 const getAppointmentById = asyncHandler(async (req, res) => {
     const { appointmentId } = req.params;
-    const userId = req.user._id;
-    const userRole = req.user.role;
 
     console.log("🔍 Fetching appointment:", appointmentId);
 
@@ -278,19 +308,8 @@ const getAppointmentById = asyncHandler(async (req, res) => {
         throw new ApiError(400, "Appointment ID is required");
     }
 
-    // Build query based on user role
-    let query = { _id: appointmentId };
-
-    if (userRole === 'patient') {
-        const patientUser = await User.findById(userId).populate('patientId');
-        if (!patientUser?.patientId) {
-            throw new ApiError(404, "Patient profile not found");
-        }
-        query.patientId = patientUser.patientId._id;
-    } else if (userRole === 'doctor') {
-        query.doctorId = userId;
-    }
-    // Admin can access all appointments without additional filters
+    // Build query based on user role; admin can access all appointments
+    const query = { _id: appointmentId, ...await appointmentScope(req.user) };
 
     const appointment = await Appointment.findOne(query)
         .populate({
@@ -351,19 +370,15 @@ const getAppointments = asyncHandler(async (req, res) => {
 
     console.log("📋 Fetching appointments for:", userRole, userId);
 
-    // Build query based on user role and filters
-    const query = {};
-
-    // Role-based access control
-    if (userRole === 'patient') {
-        const patientUser = await User.findById(userId).populate('patientId');
-        if (!patientUser?.patientId) {
-            throw new ApiError(404, "Patient profile not found");
-        }
-        query.patientId = patientUser.patientId._id;
-    } else if (userRole === 'doctor') {
-        query.doctorId = userId;
+    // Role-based access control: the filters can narrow the list, never widen it
+    const scope = await appointmentScope(req.user);
+    if (patientId && scope.patientId && String(patientId) !== String(scope.patientId)) {
+        throw new ApiError(403, "Access denied. You can only view your own appointments.");
+    }
+    if (doctorId && scope.doctorId && String(doctorId) !== String(scope.doctorId)) {
+        throw new ApiError(403, "Access denied. You can only view your own appointments.");
     }
+    const query = {};
 
     // Apply filters
     if (status) query.status = status;
@@ -371,6 +386,7 @@ const getAppointments = asyncHandler(async (req, res) => {
     if (priority) query.priority = priority;
     if (doctorId) query.doctorId = doctorId;
     if (patientId) query.patientId = patientId;
+    Object.assign(query, scope);
 
     // Date range filter
     if (dateFrom || dateTo) {
@@ -466,26 +482,13 @@ const updateAppointmentStatus = asyncHandler(async (req, res) => {
     }
 
     // Check permissions
-    if (userRole === 'patient' && appointment.patientId.userId._id.toString() !== userId.toString()) {
-        throw new ApiError(403, "Access denied. You can only update your own appointments.");
-    }
-
-    if (userRole === 'doctor' && appointment.doctorId._id.toString() !== userId.toString()) {
+    if (!withinScope(appointment, await appointmentScope(req.user))) {
         throw new ApiError(403, "Access denied. You can only update your own appointments.");
     }
 
     // Status transition validation
     const currentStatus = appointment.status;
-    const allowedTransitions = {
-        'scheduled': ['confirmed', 'cancelled'],
-        'confirmed': ['completed', 'cancelled', 'no-show'],
-        'completed': [], // No transitions from completed
-        'cancelled': [], // No transitions from cancelled
-        'no-show': ['rescheduled'],
-        'rescheduled': ['scheduled', 'confirmed']
-    };
-
-    if (!allowedTransitions[currentStatus]?.includes(status)) {
+    if (!APPOINTMENT_STATUS_TRANSITIONS[currentStatus]?.includes(status)) {
         throw new ApiError(400, `Cannot change status from ${currentStatus} to ${status}`);
     }
 
@@ -502,7 +505,7 @@ const updateAppointmentStatus = asyncHandler(async (req, res) => {
 
     if (cancellationReason) {
         updateData.cancellationReason = cancellationReason;
-        updateData.cancelledBy = userId;
+        updateData.cancelledBy = ['patient', 'doctor', 'admin'].includes(userRole) ? userRole : 'system';
         updateData.cancelledAt = new Date();
     }
 
@@ -542,6 +545,23 @@ const updateAppointmentStatus = asyncHandler(async (req, res) => {
         select: 'firstName lastName email phoneNumber specialization'
     });
 
+    // Cancelled and missed appointments no longer hold their slot
+    if (['cancelled', 'no-show'].includes(status)) {
+        await slotReservationService.releaseAppointment(appointmentId);
+    }
+    if (status === 'cancelled') {
+        await waitlistService.offerCancelledAppointment(updatedAppointment);
+        await refundService.refundForCancellation(updatedAppointment, { cancelledBy: updatedAppointment.cancelledBy }).catch((error) => {
+            console.error(`Cancellation refund for appointment ${appointmentId} failed:`, error);
+        });
+    }
+    // A completed visit is billed now; the invoice backfill job retries a failure
+    if (status === 'completed') {
+        await invoiceService.invoiceForAppointment(appointmentId).catch((error) => {
+            console.error(`Invoicing appointment ${appointmentId} failed:`, error);
+        });
+    }
+
     // Send notifications based on status change
     try {
         if (status === 'cancelled') {
@@ -712,10 +732,7 @@ const rescheduleAppointment = asyncHandler(async (req, res) => {
     }
 
     // Check permissions
-    const isPatient = appointment.patientId.userId._id.toString() === userId.toString();
-    const isDoctor = appointment.doctorId._id.toString() === userId.toString();
-    
-    if (!isPatient && !isDoctor) {
+    if (req.user.role === 'admin' || !withinScope(appointment, await appointmentScope(req.user))) {
         throw new ApiError(403, "Access denied. You can only reschedule your own appointments.");
     }
 
@@ -732,27 +749,6 @@ const rescheduleAppointment = asyncHandler(async (req, res) => {
         throw new ApiError(400, "New appointment date and time must be in the future");
     }
 
-    // Check doctor availability for new time slot (up to 10 video slots)
-    const requestedApptType = appointment.appointmentType || 'in-person';
-    const existingAppointments = await Appointment.find({
-        doctorId: appointment.doctorId._id,
-        appointmentDate: new Date(newAppointmentDate),
-        appointmentTime: newAppointmentTime,
-        status: { $in: ['scheduled', 'confirmed'] },
-        _id: { $ne: appointmentId }
-    });
-
-    if (existingAppointments.length > 0) {
-        const hasNonVideo = existingAppointments.some(apt => apt.appointmentType !== 'video');
-        if (hasNonVideo || requestedApptType !== 'video') {
-            throw new ApiError(409, "Doctor is not available at the requested time slot");
-        }
-        const maxVideoSlots = 10;
-        if (existingAppointments.length >= maxVideoSlots) {
-            throw new ApiError(409, `Doctor has reached the maximum capacity of ${maxVideoSlots} video consultations for this time slot`);
-        }
-    }
-
     // Check patient availability for new time slot
     const patientConflict = await Appointment.findOne({
         patientId: appointment.patientId._id,
@@ -766,6 +762,18 @@ const rescheduleAppointment = asyncHandler(async (req, res) => {
         throw new ApiError(409, "You already have an appointment at this time");
     }
 
+    // Claim the new slot before letting go of the old one
+    const requestedApptType = appointment.appointmentType || 'in-person';
+    const { seatId, slot } = await slotReservationService.reserveBooking({
+        doctorId: appointment.doctorId._id,
+        date: newAppointmentDate,
+        time: newAppointmentTime,
+        appointmentType: requestedApptType,
+        userId: appointment.patientId.user,
+        patientId: appointment.patientId._id,
+        excludeAppointmentId: appointmentId
+    });
+
     // Store old appointment details for notification
     const oldAppointmentDate = appointment.appointmentDate;
     const oldAppointmentTime = appointment.appointmentTime;
@@ -777,6 +785,7 @@ const rescheduleAppointment = asyncHandler(async (req, res) => {
             $set: {
                 appointmentDate: new Date(newAppointmentDate),
                 appointmentTime: newAppointmentTime,
+                duration: slot.duration,
                 status: 'rescheduled',
                 previousAppointment: {
                     appointmentDate: oldAppointmentDate,
@@ -802,6 +811,10 @@ const rescheduleAppointment = asyncHandler(async (req, res) => {
         select: 'firstName lastName email phoneNumber specialization'
     });
 
+    // Move the appointment's reservation to the new slot
+    await slotReservationService.releaseAppointment(appointmentId);
+    await slotReservationService.attachAppointment(seatId, appointmentId);
+
     // Send reschedule notifications
     try {
         await sendAppointmentReschedule(
@@ -875,14 +888,15 @@ const rescheduleAppointment = asyncHandler(async (req, res) => {
 
 /**
  * GET DOCTOR AVAILABILITY
- * Check available time slots for a doctor on specific date
+ * Check available time slots for a doctor on specific date, generated from
+ * the doctor's weekly schedule, exceptions and buffer settings
  * 
- * GET /api/v1/appointments/availability/:doctorId
+ * GET /api/v1/appointments/availability/:doctorId?date=YYYY-MM-DD&appointmentType=video
  * Requires: verifyJWT middleware (optional)
  */
 const getDoctorAvailability = asyncHandler(async (req, res) => {
     const { doctorId } = req.params;
-    const { date } = req.query;
+    const { date, appointmentType = 'in-person' } = req.query;
 
     console.log("📅 Checking availability for doctor:", doctorId, "on:", date);
 
@@ -896,76 +910,32 @@ const getDoctorAvailability = asyncHandler(async (req, res) => {
         throw new ApiError(400, "Invalid date format");
     }
 
-    // Check if doctor exists and is active
-    const doctor = await User.findOne({ 
-        _id: doctorId, 
-        role: 'doctor', 
-        isActive: true 
-    });
+    // Accept either the doctor's user id or their public profile id
+    const doctor = await scheduleService.resolveDoctorUser(doctorId);
 
-    if (!doctor) {
+    if (!doctor || !doctor.isActive) {
         throw new ApiError(404, "Doctor not found or inactive");
     }
 
-    // Get doctor's working hours (in real system, this would come from doctor profile)
-    const workingHours = {
-        start: '09:00',
-        end: '17:00',
-        breakStart: '13:00',
-        breakEnd: '14:00'
-    };
-
-    // Get existing appointments for the doctor on requested date
-    const existingAppointments = await Appointment.find({
-        doctorId,
-        appointmentDate: requestedDate,
-        status: { $in: ['scheduled', 'confirmed'] }
-    }).select('appointmentTime appointmentType');
-
-    // Generate available time slots (30-minute intervals)
-    const availableSlots = [];
-    const startTime = new Date(`${date}T${workingHours.start}`);
-    const endTime = new Date(`${date}T${workingHours.end}`);
-    const breakStart = new Date(`${date}T${workingHours.breakStart}`);
-    const breakEnd = new Date(`${date}T${workingHours.breakEnd}`);
-
-
-    let currentTime = new Date(startTime);
-
-    while (currentTime < endTime) {
-        // Skip break time
-        if (currentTime >= breakStart && currentTime < breakEnd) {
-            currentTime.setMinutes(currentTime.getMinutes() + 30);
-            continue;
-        }
-
-        const timeString = currentTime.toTimeString().slice(0, 5);
-        
-        // Find existing appointments in this slot
-        const slotAppts = existingAppointments.filter(apt => apt.appointmentTime === timeString);
-        let isAvailable = true;
-        let isBooked = false;
-        let videoCount = 0;
-
-        if (slotAppts.length > 0) {
-            const hasNonVideo = slotAppts.some(apt => apt.appointmentType !== 'video');
-            videoCount = slotAppts.filter(apt => apt.appointmentType === 'video').length;
-
-            if (hasNonVideo || videoCount >= 10) {
-                isAvailable = false;
-                isBooked = true;
-            }
-        }
-        
-        availableSlots.push({
-            time: timeString,
-            available: isAvailable,
-            booked: isBooked,
-            videoCount: videoCount
-        });
-
-        currentTime.setMinutes(currentTime.getMinutes() + 30);
-    }
+    const { schedule, slots, exceptions } = await scheduleService.getSlotsForDate(doctor._id, date, { appointmentType });
+
+    const availableSlots = slots.map(slot => ({
+        time: slot.time,
+        endTime: slot.end.toTimeString().slice(0, 5),
+        duration: slot.duration,
+        location: slot.location,
+        available: slot.available,
+        booked: slot.booked,
+        videoCount: slot.videoCount,
+        capacity: slot.capacity
+    }));
+
+    const workingHours = schedule.getSessionsForDate(requestedDate, appointmentType).map(session => ({
+        start: session.startTime,
+        end: session.endTime,
+        location: session.location,
+        slotDuration: session.slotDuration
+    }));
 
     console.log(`✅ Found ${availableSlots.filter(slot => slot.available).length} available slots`);
 
@@ -981,7 +951,15 @@ const getDoctorAvailability = asyncHandler(async (req, res) => {
                         specialization: doctor.specialization
                     },
                     date: requestedDate,
+                    appointmentType,
                     workingHours,
+                    bufferMinutes: schedule.bufferMinutes,
+                    exceptions: exceptions.map(exception => ({
+                        type: exception.type,
+                        startTime: exception.startTime,
+                        endTime: exception.endTime,
+                        reason: exception.reason
+                    })),
                     availableSlots,
                     totalAvailable: availableSlots.filter(slot => slot.available).length
                 },
@@ -1005,17 +983,7 @@ const getAppointmentStatistics = asyncHandler(async (req, res) => {
     console.log("📊 Fetching appointment statistics for:", userRole, userId);
 
     // Build query based on user role
-    const query = {};
-    
-    if (userRole === 'doctor') {
-        query.doctorId = userId;
-    } else if (userRole === 'patient') {
-        const patientUser = await User.findById(userId).populate('patientId');
-        if (!patientUser?.patientId) {
-            throw new ApiError(404, "Patient profile not found");
-        }
-        query.patientId = patientUser.patientId._id;
-    }
+    const query = await appointmentScope(req.user);
 
     // Date range based on period
     const dateRange = {};
@@ -1190,6 +1158,77 @@ const addAppointmentNotes = asyncHandler(async (req, res) => {
 });
 
 // Export all appointment controller functions
+/**
+ * CREATE SLOT HOLD
+ * Reserve a slot for a few minutes while the patient completes checkout.
+ * The hold lapses on its own if the booking is not confirmed in time.
+ * 
+ * POST /api/v1/appointments/holds
+ * Requires: verifyJWT middleware
+ */
+const createSlotHold = asyncHandler(async (req, res) => {
+    const { doctorId, date, time, appointmentType = 'in-person' } = req.body;
+
+    if (!doctorId || !date || !time) {
+        throw new ApiError(400, "Doctor ID, date and time are required");
+    }
+
+    const doctor = await scheduleService.resolveDoctorUser(doctorId);
+    if (!doctor || !doctor.isActive) {
+        throw new ApiError(404, "Doctor not found or inactive");
+    }
+
+    const { holdId, expiresAt, slot } = await slotReservationService.createHold({
+        doctorId: doctor._id,
+        date,
+        time,
+        appointmentType,
+        userId: req.user._id,
+        patientId: req.user.patientId
+    });
+
+    return res
+        .status(201)
+        .json(
+            new ApiResponse(
+                201,
+                {
+                    holdId,
+                    expiresAt,
+                    holdMinutes: slotReservationService.getHoldMinutes(),
+                    doctorId: doctor._id,
+                    date,
+                    time: slot.time,
+                    duration: slot.duration,
+                    location: slot.location,
+                    appointmentType
+                },
+                "Time slot held"
+            )
+        );
+});
+
+/**
+ * RELEASE SLOT HOLD
+ * Give a held slot back, e.g. when the patient leaves checkout
+ * 
+ * DELETE /api/v1/appointments/holds/:holdId
+ * Requires: verifyJWT middleware
+ */
+const releaseSlotHold = asyncHandler(async (req, res) => {
+    const { holdId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(holdId)) {
+        throw new ApiError(400, "Invalid hold ID");
+    }
+
+    const released = await slotReservationService.releaseHold(holdId, req.user._id);
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, { released }, released ? "Time slot released" : "Hold already expired or converted"));
+});
+
 export {
     createAppointment,
     getAppointmentById,
@@ -1198,7 +1237,9 @@ export {
     rescheduleAppointment,
     getDoctorAvailability,
     getAppointmentStatistics,
-    addAppointmentNotes
+    addAppointmentNotes,
+    createSlotHold,
+    releaseSlotHold
 };
 
 /**
@@ -4,33 +4,36 @@ import { Patient } from "../models/Patient.model.js";
 import jwt from "jsonwebtoken";
 import bcrypt from "bcryptjs";
 import { OAuth2Client } from "google-auth-library";
+import sessionService from "../services/session.service.js";
+import twoFactorService from "../services/twoFactor.service.js";
 
 // Initialize Google OAuth client
 const googleClient = new OAuth2Client(process.env.GOOGLE_CLIENT_ID);
 
 /**
- * Generate Access and Refresh Tokens
+ * Sign an access token bound to a session
  */
-const generateTokens = (user) => {
-    const accessToken = jwt.sign(
-        {
-            _id: user._id,
-            email: user.email,
-            role: user.role
-        },
-        process.env.ACCESS_TOKEN_SECRET,
-        { expiresIn: process.env.ACCESS_TOKEN_EXPIRY || "15m" }
-    );
-
-    const refreshToken = jwt.sign(
-        {
-            _id: user._id
-        },
-        process.env.REFRESH_TOKEN_SECRET,
-        { expiresIn: process.env.REFRESH_TOKEN_EXPIRY || "7d" }
-    );
-
-    return { accessToken, refreshToken };
+const signAccessToken = (user, sessionId) => jwt.sign(
+    {
+        _id: user._id,
+        email: user.email,
+        role: user.role,
+        sid: sessionId
+    },
+    process.env.ACCESS_TOKEN_SECRET,
+    { expiresIn: process.env.ACCESS_TOKEN_EXPIRY || "15m" }
+);
+
+/**
+ * Start a session for this device and generate its Access and Refresh Tokens
+ */
+const generateTokens = async (user, req, authMethod = 'password') => {
+    const { session, refreshToken } = await sessionService.createSession(user, {
+        ...sessionService.sessionContext(req),
+        authMethod
+    });
+
+    return { accessToken: signAccessToken(user, session._id), refreshToken };
 };
 
 /**
@@ -82,8 +85,29 @@ export const register = async (req, res) => {
             authProvider: 'local'
         });
 
+        // Roles that require 2FA get their tokens only after enrolling at login
+        const challenge = await twoFactorService.startLoginChallenge(user);
+        if (challenge) {
+            return res.status(201).json({
+                success: true,
+                message: "User registered successfully. Set up two-factor authentication to sign in.",
+                data: {
+                    user: {
+                        _id: user._id,
+                        firstName: user.firstName,
+                        lastName: user.lastName,
+                        fullName: user.fullName,
+                        email: user.email,
+                        phoneNumber: user.phoneNumber,
+                        role: user.role
+                    },
+                    ...challenge
+                }
+            });
+        }
+
         // Generate tokens
-        const { accessToken, refreshToken } = generateTokens(user);
+        const { accessToken, refreshToken } = await generateTokens(user, req);
 
         // Set refresh token in cookie
         setTokenCookies(res, refreshToken);
@@ -141,12 +165,24 @@ export const login = async (req, res) => {
             });
         }
 
+        // Second factor: no tokens until the code is verified
+        const challenge = await twoFactorService.startLoginChallenge(user);
+        if (challenge) {
+            return res.status(200).json({
+                success: true,
+                message: challenge.setupRequired
+                    ? "Two-factor authentication setup required"
+                    : "Two-factor authentication required",
+                data: challenge
+            });
+        }
+
         // Update last login
         user.lastLogin = new Date();
         await user.save();
 
         // Generate tokens
-        const { accessToken, refreshToken } = generateTokens(user);
+        const { accessToken, refreshToken } = await generateTokens(user, req);
 
         // Set refresh token in cookie
         setTokenCookies(res, refreshToken);
@@ -271,22 +307,24 @@ export const googleAuth = async (req, res) => {
             }
         }
 
-        // ── Step 4: Generate JWT tokens ──────────────────────────
-        console.log("🔑 [googleAuth] Generating JWT access token for:", user._id);
-        const accessToken = jwt.sign(
-            { _id: user._id, email: user.email, role: user.role },
-            process.env.ACCESS_TOKEN_SECRET,
-            { expiresIn: process.env.ACCESS_TOKEN_EXPIRY || "1d" }
-        );
+        // ── Step 4: Second factor, if the account has or needs one ──
+        const challenge = await twoFactorService.startLoginChallenge(user, { authMethod: "google" });
+        if (challenge) {
+            console.log("🔐 [googleAuth] Two-factor challenge issued for:", email);
+            return res.status(200).json({
+                success: true,
+                message: challenge.setupRequired
+                    ? "Two-factor authentication setup required"
+                    : "Two-factor authentication required",
+                data: challenge
+            });
+        }
 
-        console.log("🔄 [googleAuth] Generating refresh token for:", user._id);
-        const refreshToken = jwt.sign(
-            { _id: user._id },
-            process.env.REFRESH_TOKEN_SECRET,
-            { expiresIn: process.env.REFRESH_TOKEN_EXPIRY || "7d" }
-        );
+        // ── Step 5: Start a session and generate JWT tokens ─────
+        console.log("🔑 [googleAuth] Creating session and tokens for:", user._id);
+        const { accessToken, refreshToken } = await generateTokens(user, req, "google");
 
-        // ── Step 5: Set cookie ────────────────────────────────────
+        // ── Step 6: Set cookie ────────────────────────────────────
         console.log("🍪 [googleAuth] Setting refreshToken cookie — httpOnly, sameSite:lax, secure:", process.env.NODE_ENV === "production");
         setTokenCookies(res, refreshToken);
 
@@ -322,11 +360,99 @@ export const googleAuth = async (req, res) => {
     }
 };
 
+/**
+ * TWO-FACTOR SETUP DURING LOGIN
+ * For roles that require 2FA: QR code for a user who has not enrolled yet
+ */
+export const setupTwoFactor = async (req, res) => {
+    try {
+        const setup = await twoFactorService.beginLoginEnrollment(req.body?.challengeToken);
+
+        return res.status(200).json({
+            success: true,
+            message: "Scan the QR code with your authenticator app",
+            data: setup
+        });
+
+    } catch (error) {
+        console.error("Two-factor setup error:", error);
+        return res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.statusCode ? error.message : "Internal server error"
+        });
+    }
+};
+
+/**
+ * VERIFY TWO-FACTOR CODE
+ * Second login step: exchange the challenge and a code for tokens
+ */
+export const verifyTwoFactor = async (req, res) => {
+    try {
+        const { challengeToken, code, recoveryCode } = req.body || {};
+
+        const { user, authMethod, recoveryCodes, recoveryCodesRemaining } =
+            await twoFactorService.completeLoginChallenge(challengeToken, { code, recoveryCode }, {
+                ipAddress: req.ip,
+                userAgent: req.get('User-Agent')
+            });
+
+        // Update last login
+        user.lastLogin = new Date();
+        user.failedLoginAttempts = 0;
+        await user.save({ validateBeforeSave: false });
+
+        const { accessToken, refreshToken } = await generateTokens(user, req, authMethod);
+        setTokenCookies(res, refreshToken);
+
+        return res.status(200).json({
+            success: true,
+            message: "Login successful",
+            data: {
+                user: {
+                    _id: user._id,
+                    firstName: user.firstName,
+                    lastName: user.lastName,
+                    fullName: user.fullName,
+                    email: user.email,
+                    phoneNumber: user.phoneNumber,
+                    role: user.role,
+                    avatar: user.avatar,
+                    authProvider: user.authProvider
+                },
+                accessToken,
+                refreshToken,
+                // Only present right after enrolment; shown once
+                recoveryCodes,
+                recoveryCodesRemaining
+            }
+        });
+
+    } catch (error) {
+        console.error("Two-factor verification error:", error);
+        return res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.statusCode ? error.message : "Internal server error"
+        });
+    }
+};
+
 /**
  * LOGOUT USER
  */
 export const logout = async (req, res) => {
     try {
+        // End this device's session so its refresh token stops working
+        const sessionId = req.sessionId || sessionService.sessionIdFromRefreshToken(
+            req.cookies?.refreshToken || req.body?.refreshToken || req.headers?.["x-refresh-token"]
+        );
+        if (sessionId) {
+            await sessionService.revokeSession(req.user._id, sessionId, 'logout', {
+                ...sessionService.sessionContext(req),
+                role: req.user.role
+            }).catch(() => null);
+        }
+
         res.clearCookie('refreshToken', {
             httpOnly: true,
             secure: process.env.NODE_ENV === 'production',
@@ -362,35 +488,14 @@ export const refreshToken = async (req, res) => {
             });
         }
 
-        // Verify refresh token
-        const decoded = jwt.verify(refreshToken, process.env.REFRESH_TOKEN_SECRET);
-        
-        // Find user
-        const user = await User.findById(decoded._id);
-        if (!user) {
-            return res.status(401).json({
-                success: false,
-                message: "Invalid refresh token"
-            });
-        }
-
-        // Generate new access token
-        const accessToken = jwt.sign(
-            {
-                _id: user._id,
-                email: user.email,
-                role: user.role
-            },
-            process.env.ACCESS_TOKEN_SECRET,
-            { expiresIn: process.env.ACCESS_TOKEN_EXPIRY || "15m" }
+        // Rotate: the presented token is spent and a replayed one revokes the session
+        const { user, session, refreshToken: newRefreshToken } = await sessionService.rotateSession(
+            refreshToken,
+            sessionService.sessionContext(req)
         );
 
-        // Generate new refresh token (optional - for rotation)
-        const newRefreshToken = jwt.sign(
-            { _id: user._id },
-            process.env.REFRESH_TOKEN_SECRET,
-            { expiresIn: process.env.REFRESH_TOKEN_EXPIRY || "7d" }
-        );
+        // Generate new access token
+        const accessToken = signAccessToken(user, session._id);
 
         // Update cookie with new refresh token
         setTokenCookies(res, newRefreshToken);
@@ -400,24 +505,17 @@ export const refreshToken = async (req, res) => {
             message: "Token refreshed successfully",
             data: {
                 accessToken,
-                refreshToken: newRefreshToken // Return new refresh token
+                refreshToken: newRefreshToken
             }
         });
 
     } catch (error) {
         console.error("Refresh token error:", error);
-        
-        if (error.name === 'JsonWebTokenError') {
-            return res.status(401).json({
-                success: false,
-                message: "Invalid refresh token"
-            });
-        }
 
-        if (error.name === 'TokenExpiredError') {
+        if (error.statusCode === 401) {
             return res.status(401).json({
                 success: false,
-                message: "Refresh token expired"
+                message: error.message
             });
         }
 
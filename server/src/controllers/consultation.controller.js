@@ -27,6 +27,9 @@ import {
     sendConsultationReminder,
     sendConsultationSummary
 } from "../utils/emailUtils.js";
+import drugSafetyService from "../services/drugSafety.service.js";
+import prescriptionSigningService from "../services/prescriptionSigning.service.js";
+import medicationAdherenceService from "../services/medicationAdherence.service.js";
 
 /**
  * INITIATE CONSULTATION
@@ -735,7 +738,9 @@ const createPrescriptionFromConsultation = asyncHandler(async (req, res) => {
         instructions,
         notes,
         allowRefills = false,
-        maxRefills = 0
+        maxRefills = 0,
+        isPregnant,
+        safetyOverride
     } = req.body;
 
     console.log("💊 Creating prescription from consultation:", consultationId);
@@ -776,6 +781,14 @@ const createPrescriptionFromConsultation = asyncHandler(async (req, res) => {
         maxRefills
     };
 
+    // Check the medicines against the patient's other prescriptions, allergies and conditions
+    const safety = await drugSafetyService.checkPrescriptionSafety(
+        consultation.patientId._id,
+        medications || [],
+        { pregnant: isPregnant === true }
+    );
+    const safetyReview = drugSafetyService.assertSafeToPrescribe(safety, safetyOverride, req.user);
+
     // Import prescription controller function (in real implementation)
     // For now, create prescription directly
     const prescriptionCount = await Prescription.countDocuments();
@@ -802,9 +815,13 @@ const createPrescriptionFromConsultation = asyncHandler(async (req, res) => {
         allowRefills: allowRefills || false,
         maxRefills: maxRefills || 0,
         status: 'active',
-        prescribedDate: new Date()
+        prescribedDate: new Date(),
+        safetyReview
     });
 
+    await prescriptionSigningService.signPrescription(prescription._id, req.user);
+    await medicationAdherenceService.syncPrescriptionSchedules(prescription._id);
+
     // Update consultation with prescription reference
     const updatedConsultation = await Consultation.findByIdAndUpdate(
         consultationId,
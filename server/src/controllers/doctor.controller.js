@@ -1,10 +1,26 @@
+import mongoose from "mongoose";
 import { Doctor } from "../models/Doctor.js";
-import { Appointment } from "../models/appointment.model.js";
+import { Appointment, APPOINTMENT_STATUS_TRANSITIONS } from "../models/appointment.model.js";
 import { Patient } from "../models/Patient.model.js";
 import { Prescription } from "../models/prescription.model.js";
 import { MedicalRecord } from "../models/medicalRecord.model.js";
 import { User } from "../models/User.model.js";
 import doctorService from "../services/doctor.service.js";
+import scheduleService from "../services/schedule.service.js";
+import appointmentSeriesService from "../services/appointmentSeries.service.js";
+import slotReservationService from "../services/slotReservation.service.js";
+import waitlistService from "../services/waitlist.service.js";
+import careTeamService from "../services/careTeam.service.js";
+import emergencyAccessService from "../services/emergencyAccess.service.js";
+import drugSafetyService from "../services/drugSafety.service.js";
+import prescriptionSigningService from "../services/prescriptionSigning.service.js";
+import prescriptionTemplateService from "../services/prescriptionTemplate.service.js";
+import medicationAdherenceService from "../services/medicationAdherence.service.js";
+import prescriptionService from "../services/prescription.service.js";
+import refillRequestService from "../services/refillRequest.service.js";
+import invoiceService from "../services/invoice.service.js";
+import refundService from "../services/refund.service.js";
+import insuranceClaimService from "../services/insuranceClaim.service.js";
 import { asyncHandler } from "../utils/asyncHandler.js";
 import { ApiError } from "../utils/ApiError.js";
 import { ApiResponse } from "../utils/ApiResponse.js";
@@ -339,9 +355,45 @@ export const getDoctorAppointments = asyncHandler(async (req, res) => {
 export const updateAppointmentStatus = asyncHandler(async (req, res) => {
     const { id } = req.params;
     const { status } = req.body;
-    
-    const appointment = await Appointment.findByIdAndUpdate(id, { $set: { status } }, { new: true });
-    if (!appointment) throw new ApiError(404, "Appointment not found");
+    if (!mongoose.Types.ObjectId.isValid(id)) throw new ApiError(404, "Appointment not found");
+
+    // A doctor changes only their own appointments
+    const scope = req.user.role === 'admin' ? { _id: id } : { _id: id, doctorId: req.user._id };
+    const fromStatuses = Object.keys(APPOINTMENT_STATUS_TRANSITIONS)
+        .filter(current => APPOINTMENT_STATUS_TRANSITIONS[current].includes(status));
+
+    const update = { status };
+    if (status === 'cancelled') {
+        update.cancelledBy = req.user.role === 'admin' ? 'admin' : 'doctor';
+        update.cancellationDate = new Date();
+    }
+
+    // The transition is checked in the filter, so two requests can't both cancel or complete it
+    const appointment = await Appointment.findOneAndUpdate(
+        { ...scope, status: { $in: fromStatuses } },
+        { $set: update },
+        { new: true, runValidators: true }
+    );
+    if (!appointment) {
+        const current = await Appointment.findOne(scope).select('status').lean();
+        if (!current) throw new ApiError(404, "Appointment not found");
+        throw new ApiError(400, `Cannot change status from ${current.status} to ${status}`);
+    }
+
+    if (['cancelled', 'no-show'].includes(status)) {
+        await slotReservationService.releaseAppointment(appointment._id);
+    }
+    if (status === 'cancelled') {
+        await waitlistService.offerCancelledAppointment(appointment);
+        await refundService.refundForCancellation(appointment, { cancelledBy: appointment.cancelledBy }).catch((error) => {
+            console.error(`Cancellation refund for appointment ${appointment._id} failed:`, error);
+        });
+    }
+    if (status === 'completed') {
+        await invoiceService.invoiceForAppointment(appointment._id).catch((error) => {
+            console.error(`Invoicing appointment ${appointment._id} failed:`, error);
+        });
+    }
     
     return res.status(200).json(new ApiResponse(200, appointment, "Appointment status updated"));
 });
@@ -378,46 +430,251 @@ export const getDoctorsPatients = asyncHandler(async (req, res) => {
 
 export const getPatientDetails = asyncHandler(async (req, res) => {
     const { id } = req.params;
+    await careTeamService.assertAccess(req.user, id, emergencyAccessService.requestContext(req));
     const patient = await Patient.findById(id).populate('user', 'firstName lastName email phoneNumber dateOfBirth gender');
     if (!patient) throw new ApiError(404, "Patient not found");
-    return res.status(200).json(new ApiResponse(200, patient, "Patient details fetched"));
+
+    const details = patient.toJSON();
+    details.adherence = await medicationAdherenceService.getPatientAdherence(patient._id, { days: req.query.adherenceDays });
+    return res.status(200).json(new ApiResponse(200, details, "Patient details fetched"));
 });
 
 export const getPatientMedicalHistory = asyncHandler(async (req, res) => {
     const { id } = req.params;
+    await careTeamService.assertAccess(req.user, id, emergencyAccessService.requestContext(req));
     const history = await MedicalRecord.find({ patientId: id }).populate('doctorId', 'firstName lastName');
     return res.status(200).json(new ApiResponse(200, history, "Patient medical history fetched"));
 });
 
+export const requestEmergencyAccess = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { reason } = req.body;
+
+    const { grant, created } = await emergencyAccessService.requestEmergencyAccess(
+        req.user,
+        id,
+        reason,
+        emergencyAccessService.requestContext(req, 'ACCESS')
+    );
+    return res.status(created ? 201 : 200).json(new ApiResponse(created ? 201 : 200, { grant }, created
+        ? `Emergency access granted until ${grant.expiresAt.toLocaleString()}`
+        : "You already have active emergency access to this patient"));
+});
+
+export const getEmergencyAccessGrants = asyncHandler(async (req, res) => {
+    const grants = await emergencyAccessService.listProviderGrants(req.user._id);
+    return res.status(200).json(new ApiResponse(200, { grants }, "Emergency access grants fetched"));
+});
+
+export const endEmergencyAccess = asyncHandler(async (req, res) => {
+    const grant = await emergencyAccessService.endEmergencyAccess(req.params.grantId, req.user);
+    return res.status(200).json(new ApiResponse(200, { grant }, "Emergency access ended"));
+});
+
 export const getDoctorSchedule = asyncHandler(async (req, res) => {
-    const doctor = await getDoctorOrCreate(req.user);
-    return res.status(200).json(new ApiResponse(200, { availability: doctor.availability || [] }, "Schedule fetched"));
+    // Ensures the Doctor profile is linked before the schedule is seeded from it
+    await getDoctorOrCreate(req.user);
+    const schedule = await scheduleService.getOrCreateSchedule(req.user._id);
+    return res.status(200).json(new ApiResponse(200, {
+        availability: schedule.getWorkingDays(),
+        schedule
+    }, "Schedule fetched"));
 });
 
 export const updateDoctorAvailability = asyncHandler(async (req, res) => {
-    const doctor = await getDoctorOrCreate(req.user);
-    const { availability } = req.body;
-    const updatedDoctor = await Doctor.findByIdAndUpdate(doctor._id, { $set: { availability } }, { new: true });
-    return res.status(200).json(new ApiResponse(200, { availability: updatedDoctor.availability }, "Availability updated"));
+    await getDoctorOrCreate(req.user);
+    const schedule = await scheduleService.updateWeeklyTemplate(req.user._id, req.body, req.user._id);
+    return res.status(200).json(new ApiResponse(200, {
+        availability: schedule.getWorkingDays(),
+        schedule
+    }, "Availability updated"));
+});
+
+export const getScheduleSlots = asyncHandler(async (req, res) => {
+    const { date, appointmentType } = req.query;
+    if (!date) throw new ApiError(400, "Date is required");
+
+    const { slots, exceptions } = await scheduleService.getSlotsForDate(req.user._id, date, {
+        appointmentType: appointmentType || 'in-person',
+        includePast: true
+    });
+    return res.status(200).json(new ApiResponse(200, { date, slots, exceptions }, "Schedule slots fetched"));
+});
+
+export const addScheduleException = asyncHandler(async (req, res) => {
+    const { type } = req.body;
+    if (!type) throw new ApiError(400, "Exception type is required");
+
+    const { exception, affectedAppointments } = await scheduleService.addException(req.user._id, req.body, req.user._id);
+    return res.status(201).json(new ApiResponse(201, { exception, affectedAppointments }, "Schedule exception added"));
+});
+
+export const removeScheduleException = asyncHandler(async (req, res) => {
+    const { exceptionId } = req.params;
+    await scheduleService.removeException(req.user._id, exceptionId);
+    return res.status(200).json(new ApiResponse(200, {}, "Schedule exception removed"));
+});
+
+// Admins may act on any doctor's series; doctors only on their own
+const seriesOwnerFilter = (user) => (user.role === 'admin' ? null : user._id);
+
+export const createAppointmentSeries = asyncHandler(async (req, res) => {
+    const { patientId, recurrence } = req.body;
+    if (!patientId || !recurrence) throw new ApiError(400, "Patient and recurrence are required");
+    await careTeamService.assertAccess(req.user, patientId, emergencyAccessService.requestContext(req, 'CREATE'));
+
+    let doctorId = req.user._id;
+    if (req.user.role === 'admin') {
+        const doctor = await scheduleService.resolveDoctorUser(req.body.doctorId);
+        if (!doctor) throw new ApiError(404, "Doctor not found");
+        doctorId = doctor._id;
+    }
+
+    const { series, appointments, conflicts } = await appointmentSeriesService.createSeries({
+        ...req.body,
+        doctorId,
+        createdBy: req.user._id
+    });
+
+    const message = conflicts.length
+        ? `Series created: ${appointments.length} booked, ${conflicts.length} could not be booked`
+        : `Series created: ${appointments.length} appointments booked`;
+    return res.status(201).json(new ApiResponse(201, { series, appointments, conflicts }, message));
+});
+
+export const getAppointmentSeriesList = asyncHandler(async (req, res) => {
+    const series = await appointmentSeriesService.listDoctorSeries(req.user._id, { status: req.query.status });
+    return res.status(200).json(new ApiResponse(200, { series }, "Appointment series fetched"));
+});
+
+export const getAppointmentSeries = asyncHandler(async (req, res) => {
+    const result = await appointmentSeriesService.getSeries(req.params.seriesId, seriesOwnerFilter(req.user));
+    return res.status(200).json(new ApiResponse(200, result, "Appointment series fetched"));
+});
+
+export const updateSeriesOccurrence = asyncHandler(async (req, res) => {
+    const { seriesId, appointmentId } = req.params;
+    const { scope, date, time } = req.body;
+    if (!date && !time) throw new ApiError(400, "New date or time is required");
+
+    const result = await appointmentSeriesService.updateOccurrence(seriesId, appointmentId, { scope, date, time }, {
+        doctorId: seriesOwnerFilter(req.user),
+        userId: req.user._id
+    });
+    return res.status(200).json(new ApiResponse(200, result, scope === 'following'
+        ? "This and following occurrences rescheduled"
+        : "Occurrence rescheduled"));
+});
+
+export const cancelSeriesOccurrence = asyncHandler(async (req, res) => {
+    const { seriesId, appointmentId } = req.params;
+    const { scope, reason } = req.body;
+
+    const result = await appointmentSeriesService.cancelOccurrence(seriesId, appointmentId, { scope, reason }, {
+        doctorId: seriesOwnerFilter(req.user)
+    });
+    return res.status(200).json(new ApiResponse(200, result, `${result.cancelled} occurrence(s) cancelled`));
+});
+
+export const checkPrescriptionSafety = asyncHandler(async (req, res) => {
+    const { patientId, medications, isPregnant } = req.body;
+    if (!Array.isArray(medications) || medications.length === 0) {
+        throw new ApiError(400, "At least one medication is required");
+    }
+    await careTeamService.assertAccess(req.user, patientId, emergencyAccessService.requestContext(req, 'READ'));
+
+    const result = await drugSafetyService.checkPrescriptionSafety(patientId, medications, { pregnant: isPregnant === true });
+    return res.status(200).json(new ApiResponse(200, result, "Prescription safety check completed"));
 });
 
 export const createPrescription = asyncHandler(async (req, res) => {
-    const { patientId, medications, instructions, diagnosis } = req.body;
-    
-    const prescription = await Prescription.create({
-        doctorId: req.user._id,
+    const { patientId, templateId, instructions } = req.body;
+    await careTeamService.assertAccess(req.user, patientId, emergencyAccessService.requestContext(req, 'CREATE'));
+
+    // A template prefills the prescription; anything the doctor edited for this patient wins
+    const template = templateId ? await prescriptionTemplateService.getTemplate(templateId, req.user) : null;
+
+    const prescription = await prescriptionService.issuePrescription(req.user, {
         patientId,
-        medications,
-        instructions,
-        diagnosis,
-        prescriptionDate: new Date()
+        medications: req.body.medications?.length ? req.body.medications : template?.medications.map(med => med.toObject()),
+        patientInstructions: req.body.patientInstructions ?? instructions ?? template?.patientInstructions,
+        diagnosis: req.body.diagnosis ?? template?.diagnosis,
+        refillsAllowed: req.body.refillsAllowed,
+        expiryDate: req.body.expiryDate,
+        isPregnant: req.body.isPregnant,
+        safetyOverride: req.body.safetyOverride
     });
+    if (template) {
+        await prescriptionTemplateService.recordTemplateUse(template._id, req.user._id);
+    }
     
     return res.status(201).json(new ApiResponse(201, prescription, "Prescription created successfully"));
 });
 
+export const signPrescription = asyncHandler(async (req, res) => {
+    const prescription = await prescriptionSigningService.signPrescription(req.params.prescriptionId, req.user);
+    return res.status(200).json(new ApiResponse(200, prescription, "Prescription signed"));
+});
+
+export const getPrescriptionTemplates = asyncHandler(async (req, res) => {
+    const templates = await prescriptionTemplateService.listTemplates(req.user, req.query);
+    return res.status(200).json(new ApiResponse(200, templates, "Prescription templates fetched successfully"));
+});
+
+export const getPrescriptionTemplate = asyncHandler(async (req, res) => {
+    const template = await prescriptionTemplateService.getTemplate(req.params.templateId, req.user);
+    return res.status(200).json(new ApiResponse(200, template, "Prescription template fetched successfully"));
+});
+
+export const createPrescriptionTemplate = asyncHandler(async (req, res) => {
+    const template = await prescriptionTemplateService.createTemplate(req.user, req.body);
+    return res.status(201).json(new ApiResponse(201, template, "Prescription template created successfully"));
+});
+
+export const updatePrescriptionTemplate = asyncHandler(async (req, res) => {
+    const template = await prescriptionTemplateService.updateTemplate(req.params.templateId, req.user, req.body);
+    return res.status(200).json(new ApiResponse(200, template, "Prescription template updated successfully"));
+});
+
+export const archivePrescriptionTemplate = asyncHandler(async (req, res) => {
+    await prescriptionTemplateService.archiveTemplate(req.params.templateId, req.user);
+    return res.status(200).json(new ApiResponse(200, null, "Prescription template archived"));
+});
+
+export const getFavouriteMedications = asyncHandler(async (req, res) => {
+    const favourites = await prescriptionTemplateService.listFavourites(req.user, req.query);
+    return res.status(200).json(new ApiResponse(200, favourites, "Favourite medications fetched successfully"));
+});
+
+export const pinFavouriteMedication = asyncHandler(async (req, res) => {
+    const favourite = await prescriptionTemplateService.pinFavourite(req.user, req.body);
+    return res.status(200).json(new ApiResponse(200, favourite, "Medication added to favourites"));
+});
+
+export const unpinFavouriteMedication = asyncHandler(async (req, res) => {
+    const favourite = await prescriptionTemplateService.unpinFavourite(req.params.favouriteId, req.user);
+    return res.status(200).json(new ApiResponse(200, favourite, "Medication removed from favourites"));
+});
+
+export const getRefillRequests = asyncHandler(async (req, res) => {
+    const inbox = await refillRequestService.listInbox(req.user, req.query);
+    return res.status(200).json(new ApiResponse(200, inbox, "Refill requests fetched successfully"));
+});
+
+export const decideRefillRequest = asyncHandler(async (req, res) => {
+    const refillRequest = await refillRequestService.decideRequest(req.params.requestId, req.user, req.body);
+    return res.status(200).json(new ApiResponse(200, refillRequest, `Refill request ${refillRequest.status}`));
+});
+
+export const requestPreAuthorisation = asyncHandler(async (req, res) => {
+    await careTeamService.assertAccess(req.user, req.body.patientId, emergencyAccessService.requestContext(req, 'CREATE'));
+    const preAuthorisation = await insuranceClaimService.requestPreAuthorisation(req.body, req.user);
+    return res.status(201).json(new ApiResponse(201, preAuthorisation, "Pre-authorisation requested"));
+});
+
 export const addMedicalRecord = asyncHandler(async (req, res) => {
     const { patientId, recordType, notes, diagnosis, attachments } = req.body;
+    await careTeamService.assertAccess(req.user, patientId, emergencyAccessService.requestContext(req, 'CREATE'));
     
     const record = await MedicalRecord.create({
         doctorId: req.user._id,
@@ -3,6 +3,7 @@ import { ApiError } from "../utils/ApiError.js";
 import { ApiResponse } from "../utils/ApiResponse.js";
 import { Medicine } from "../models/medicine.model.js";
 import { Pharmacy } from "../models/Pharmacy.model.js";
+import medicineSubstitutionService from "../services/medicineSubstitution.service.js";
 
 /**
  * GET ALL MEDICINES
@@ -61,3 +62,27 @@ export const getPharmacies = asyncHandler(async (req, res) => {
         }, "Pharmacies fetched successfully")
     );
 });
+
+/**
+ * GET GENERIC SUBSTITUTES
+ * GET /api/v1/medicine/:medicineId/substitutes
+ */
+export const getMedicineSubstitutes = asyncHandler(async (req, res) => {
+    const { lat, lng, radius, prescriptionId } = req.query;
+
+    if (prescriptionId && !req.user) {
+        throw new ApiError(401, "Log in to check substitution on a prescription");
+    }
+
+    const substitutes = await medicineSubstitutionService.getSubstitutes(req.params.medicineId, {
+        lat,
+        lng,
+        radius,
+        prescriptionId,
+        user: req.user
+    });
+
+    return res.status(200).json(
+        new ApiResponse(200, substitutes, "Substitutes fetched successfully")
+    );
+});
@@ -10,6 +10,8 @@ import {
     HealthGoal,
     HealthSettings
 } from "../models/monitoring.model.js";
+import { DoseEvent } from "../models/doseEvent.model.js";
+import medicationAdherenceService from "../services/medicationAdherence.service.js";
 
 // Helper: Seed default data if collections are empty for a user
 const seedInitialData = async (userId) => {
@@ -34,18 +36,7 @@ const seedInitialData = async (userId) => {
         ]);
     }
 
-    // 3. Check & Seed Medications
-    const medCount = await Medication.countDocuments({ userId });
-    if (medCount === 0) {
-        await Medication.insertMany([
-            { userId, name: "Metformin 500mg", dosage: "1 tablet", time: "08:00 AM", taken: true },
-            { userId, name: "Lisinopril 10mg", dosage: "1 tablet", time: "09:00 AM", taken: true },
-            { userId, name: "Atorvastatin 20mg", dosage: "1 tablet", time: "08:00 PM", taken: false },
-            { userId, name: "Vitamin D3 1000IU", dosage: "1 softgel", time: "10:00 AM", taken: false }
-        ]);
-    }
-
-    // 4. Check & Seed Reminders
+    // 3. Check & Seed Reminders
     const reminderCount = await Reminder.countDocuments({ userId });
     if (reminderCount === 0) {
         await Reminder.insertMany([
@@ -56,7 +47,7 @@ const seedInitialData = async (userId) => {
         ]);
     }
 
-    // 5. Check & Seed Alerts
+    // 4. Check & Seed Alerts
     const alertCount = await HealthAlert.countDocuments({ userId });
     if (alertCount === 0) {
         await HealthAlert.insertMany([
@@ -67,7 +58,7 @@ const seedInitialData = async (userId) => {
         ]);
     }
 
-    // 6. Check & Seed Goals
+    // 5. Check & Seed Goals
     const goalCount = await HealthGoal.countDocuments({ userId });
     if (goalCount === 0) {
         await HealthGoal.insertMany([
@@ -76,7 +67,7 @@ const seedInitialData = async (userId) => {
         ]);
     }
 
-    // 7. Check & Seed Metrics (including historical records for trends)
+    // 6. Check & Seed Metrics (including historical records for trends)
     const metricCount = await HealthMetric.countDocuments({ userId });
     if (metricCount === 0) {
         const now = new Date();
@@ -436,7 +427,25 @@ export const getMedications = asyncHandler(async (req, res) => {
     const userId = req.user.userId || req.user._id;
     await seedInitialData(userId);
 
-    const medications = await Medication.find({ userId }).sort({ time: 1 });
+    // Today's prescription doses, then medicines the patient added themselves
+    const [doses, monitored] = await Promise.all([
+        medicationAdherenceService.getTodaysDoses(userId),
+        medicationAdherenceService.getMonitorMedications(userId)
+    ]);
+    const medications = [
+        ...doses.map(dose => ({
+            _id: dose._id,
+            name: dose.medicationName,
+            dosage: dose.dosage,
+            time: dose.scheduledFor.toTimeString().slice(0, 5),
+            scheduledFor: dose.scheduledFor,
+            status: dose.status,
+            taken: ['taken', 'late'].includes(dose.status),
+            prescriptionId: dose.prescriptionId,
+            source: 'prescription'
+        })),
+        ...monitored.map(medication => ({ ...medication, source: 'monitor' }))
+    ];
     return res.status(200).json(new ApiResponse(200, medications, "Medications fetched successfully"));
 });
 
@@ -459,19 +468,44 @@ export const addMedication = asyncHandler(async (req, res) => {
     return res.status(201).json(new ApiResponse(201, medication, "Medication added successfully"));
 });
 
+// Accepts a prescription dose id or a self-added medication id and flips
+// today's dose between taken and not taken, keeping the history
 export const toggleMedicationTaken = asyncHandler(async (req, res) => {
     const userId = req.user.userId || req.user._id;
     const { medicationId } = req.params;
 
-    const medication = await Medication.findOne({ _id: medicationId, userId });
-    if (!medication) {
-        throw new ApiError(404, "Medication not found");
+    let dose = await DoseEvent.findOne({ _id: medicationId, userId });
+    if (!dose) {
+        const medication = await Medication.findOne({ _id: medicationId, userId });
+        if (!medication) {
+            throw new ApiError(404, "Medication not found");
+        }
+        dose = await medicationAdherenceService.getMonitorDose(medication);
     }
 
-    medication.taken = !medication.taken;
-    await medication.save();
+    const taken = ['taken', 'late'].includes(dose.status);
+    const updated = await medicationAdherenceService.recordDose(dose._id, req.user, { status: taken ? 'pending' : 'taken' });
+
+    return res.status(200).json(new ApiResponse(200, updated, "Medication adherence toggled successfully"));
+});
+
+// ==================== ADHERENCE CONTROLLERS ====================
+
+export const getAdherence = asyncHandler(async (req, res) => {
+    const userId = req.user.userId || req.user._id;
+    const summary = await medicationAdherenceService.getAdherenceSummary(userId, req.query);
+    return res.status(200).json(new ApiResponse(200, summary, "Adherence fetched successfully"));
+});
+
+export const getDoseLog = asyncHandler(async (req, res) => {
+    const userId = req.user.userId || req.user._id;
+    const log = await medicationAdherenceService.getDoseLog(userId, req.query);
+    return res.status(200).json(new ApiResponse(200, log, "Dose log fetched successfully"));
+});
 
-    return res.status(200).json(new ApiResponse(200, medication, "Medication adherence toggled successfully"));
+export const recordDose = asyncHandler(async (req, res) => {
+    const dose = await medicationAdherenceService.recordDose(req.params.doseId, req.user, req.body);
+    return res.status(200).json(new ApiResponse(200, dose, `Dose marked ${dose.status}`));
 });
 
 // ==================== REMINDERS CONTROLLERS ====================
@@ -22,6 +22,7 @@ import {
     sendSMSNotification,
     sendPushNotification 
 } from "../utils/notificationUtils.js";
+import { scheduleNotificationDelivery } from "../services/backgroundJobs.service.js";
 
 /**
  * @desc    Get user notifications
@@ -841,6 +842,12 @@ async function processUserNotification(user, notificationData, results) {
         });
 
         results.notificationsCreated++;
+
+        // Scheduled notifications are delivered later by the job scheduler
+        if (userNotification.scheduledFor && userNotification.scheduledFor > new Date()) {
+            await scheduleNotificationDelivery(userNotification);
+            return;
+        }
         
         // Send notifications through channels
         for (const channel of notificationData.channels) {
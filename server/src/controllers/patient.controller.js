@@ -26,6 +26,19 @@ import mongoose from "mongoose";
 import { sendSMSNotification, sendEmailNotification } from "../utils/notificationUtils.js";
 import { generateGoogleMeetLink } from "../utils/googleMeetUtils.js";
 import { Message } from "../models/message.model.js";
+import { Payment } from "../models/payment.model.js";
+import scheduleService from "../services/schedule.service.js";
+import slotReservationService from "../services/slotReservation.service.js";
+import waitlistService from "../services/waitlist.service.js";
+import auditService from "../services/audit.service.js";
+import refillRequestService from "../services/refillRequest.service.js";
+import invoiceService from "../services/invoice.service.js";
+import refundService from "../services/refund.service.js";
+import insuranceClaimService from "../services/insuranceClaim.service.js";
+import walletService from "../services/wallet.service.js";
+import healthPackageService from "../services/healthPackage.service.js";
+import { REFUND_DESTINATIONS } from "../models/refund.model.js";
+import { combineDateAndTime } from "../utils/dateTimeUtils.js";
 
 /* ============================================================
    📌 CREATE PATIENT PROFILE
@@ -544,7 +557,7 @@ export const getPatientPrescriptions = asyncHandler(async (req, res) => {
 export const scheduleAppointment = asyncHandler(async (req, res) => {
   try {
     const userId = req.user._id;
-    const { doctorId, date, time, appointmentDate, appointmentTime, type, reason, notes, phone, email } = req.body;
+    const { doctorId, date, time, appointmentDate, appointmentTime, type, reason, notes, phone, email, holdId, usePackage, packageService, patientPackageId } = req.body;
     // Prefer the new keys if provided
     const effectiveDate = appointmentDate || date;
     const effectiveTime = appointmentTime || time;
@@ -600,9 +613,11 @@ export const scheduleAppointment = asyncHandler(async (req, res) => {
         targetDoctorId = dummyDocUser._id;
       }
     } else {
-      // Check if the doctor exists
-      const doctorExists = await User.findById(doctorId);
-      if (!doctorExists) {
+      // Check if the doctor exists (accepts a doctor user id or a Doctor profile id)
+      const doctorExists = await scheduleService.resolveDoctorUser(doctorId);
+      if (doctorExists) {
+        targetDoctorId = doctorExists._id;
+      } else {
         const firstDoc = await User.findOne({ role: 'doctor' });
         if (firstDoc) {
           targetDoctorId = firstDoc._id;
@@ -629,34 +644,47 @@ export const scheduleAppointment = asyncHandler(async (req, res) => {
       throw new ApiError(400, "Appointments can only be scheduled between 6 AM and 10 PM");
     }
     
-    // Check if doctor is available (up to 10 video slots, block other slot-hogging types)
+    // Claim the slot, converting the patient's checkout hold when they have one
     const requestedApptType = type || "in-person";
-    const existingAppointments = await Appointment.find({
+    const { seatId, slot, paymentId } = await slotReservationService.reserveBooking({
       doctorId: targetDoctorId,
-      appointmentDate: appointmentDateTime,
-      status: { $in: ["scheduled", "confirmed"] }
+      date: appointmentDateTime,
+      time: effectiveTime,
+      appointmentType: requestedApptType,
+      userId,
+      patientId,
+      holdId
     });
 
-    if (existingAppointments.length > 0) {
-      const hasNonVideo = existingAppointments.some(apt => apt.appointmentType !== 'video');
-      if (hasNonVideo || requestedApptType !== 'video') {
-        throw new ApiError(400, "Doctor is not available at this time");
-      }
-      const maxVideoSlots = 10;
-      if (existingAppointments.length >= maxVideoSlots) {
-        throw new ApiError(400, `Doctor has reached the maximum capacity of ${maxVideoSlots} video consultations for this time slot`);
-      }
-    }
-
     // Dynamic fee calculation based on type
-    let fee = 500;
-    if (type === 'video') fee = 499;
-    else if (type === 'phone') fee = 299;
-    else if (type === 'chat') fee = 199;
+    const fee = scheduleService.getConsultationFee(requestedApptType);
 
     // Admin role gets free bypass
     const isFree = user.role === "admin";
 
+    // The consumed hold was paid for at checkout
+    const paidPayment = paymentId
+      ? await Payment.findOne({ _id: paymentId, userId, status: "completed" })
+      : null;
+
+    // Otherwise a health package credit can cover it
+    const appointmentObjectId = new mongoose.Types.ObjectId();
+    let patientPackage = null;
+    if (usePackage && !isFree && !paidPayment) {
+      try {
+        patientPackage = await healthPackageService.redeemCredit({
+          userId,
+          service: packageService || "consultation",
+          appointmentId: appointmentObjectId,
+          patientPackageId
+        });
+      } catch (redeemErr) {
+        await slotReservationService.releaseSeat(seatId);
+        throw redeemErr;
+      }
+    }
+    const prepaid = Boolean(paidPayment || patientPackage);
+
     let meetLink = null;
     if (requestedApptType === 'video') {
       meetLink = generateGoogleMeetLink();
@@ -665,16 +693,21 @@ export const scheduleAppointment = asyncHandler(async (req, res) => {
     // Log incoming payload for debugging
     console.log('scheduleAppointment payload:', req.body);
     const appointment = new Appointment({
+      _id: appointmentObjectId,
       patientId,
       doctorId: targetDoctorId,
       appointmentDate: appointmentDateTime,
       appointmentTime: effectiveTime,
       appointmentType: requestedApptType,
+      duration: slot.duration,
+      location: requestedApptType === 'in-person' ? slot.location : undefined,
       consultationFee: fee,
       symptoms: reason || "",
       patientNotes: notes || "",
-      status: isFree ? "confirmed" : "scheduled",
-      paymentStatus: isFree ? "free" : "pending",
+      status: isFree || prepaid ? "confirmed" : "scheduled",
+      paymentStatus: isFree ? "free" : prepaid ? "paid" : "pending",
+      paymentId: paidPayment?._id,
+      patientPackageId: patientPackage?._id,
       videoConsultation: requestedApptType === 'video' ? {
         meetingUrl: meetLink,
         joinUrl: meetLink,
@@ -682,7 +715,20 @@ export const scheduleAppointment = asyncHandler(async (req, res) => {
       } : undefined
     });
 
-    await appointment.save();
+    try {
+      await appointment.save();
+    } catch (saveErr) {
+      await slotReservationService.releaseSeat(seatId);
+      if (patientPackage) await healthPackageService.releaseRedemption(appointment._id);
+      throw saveErr;
+    }
+    await slotReservationService.attachAppointment(seatId, appointment._id);
+
+    if (paidPayment) {
+      paidPayment.appointmentId = appointment._id;
+      paidPayment.doctorId = targetDoctorId;
+      await paidPayment.save();
+    }
 
     // Populate doctor details
     await appointment.populate({
@@ -760,6 +806,8 @@ export const scheduleAppointment = asyncHandler(async (req, res) => {
       new ApiResponse(201, { appointment }, "Appointment scheduled successfully")
     );
   } catch (err) {
+    // Schedule and validation errors carry their own status codes
+    if (err instanceof ApiError) throw err;
     console.error("🚨 scheduleAppointment Exception:", err);
     return res.status(500).json({
       success: false,
@@ -775,7 +823,11 @@ export const scheduleAppointment = asyncHandler(async (req, res) => {
 export const cancelAppointment = asyncHandler(async (req, res) => {
   const userId = req.user._id;
   const { appointmentId } = req.params;
-  const { cancellationReason } = req.body;
+  const { cancellationReason, refundTo = "original" } = req.body;
+
+  if (!REFUND_DESTINATIONS.includes(refundTo)) {
+    throw new ApiError(400, `refundTo must be one of: ${REFUND_DESTINATIONS.join(", ")}`);
+  }
 
   const user = await User.findById(userId);
   if (!user || !user.patientId) throw new ApiError(404, "Patient not found");
@@ -793,16 +845,26 @@ export const cancelAppointment = asyncHandler(async (req, res) => {
     throw new ApiError(400, `Appointment is already ${appointment.status}`);
   }
 
-  // Check if appointment is within cancellation window (e.g., 24 hours)
-  const hoursUntilAppointment = (appointment.appointmentDate - new Date()) / (1000 * 60 * 60);
-  if (hoursUntilAppointment < 24) {
-    throw new ApiError(400, "Appointment cannot be cancelled within 24 hours");
+  // Late cancellations are allowed; the refund policy decides how much comes back
+  if (combineDateAndTime(appointment.appointmentDate, appointment.appointmentTime) <= new Date()) {
+    throw new ApiError(400, "Appointment has already started");
   }
 
+  // Refuse a wallet refund the payment can't back before anything is cancelled
+  await refundService.assertCancellationDestination(appointment, refundTo);
+
   appointment.status = "cancelled";
   appointment.cancellationReason = cancellationReason;
+  appointment.cancelledBy = "patient";
   appointment.cancelledAt = new Date();
   await appointment.save();
+  await slotReservationService.releaseAppointment(appointment._id);
+  await waitlistService.offerCancelledAppointment(appointment);
+
+  const refund = await refundService.refundForCancellation(appointment, { cancelledBy: "patient", destination: refundTo }).catch((error) => {
+    console.error(`Cancellation refund for appointment ${appointment._id} failed:`, error);
+    return null;
+  });
 
   // Populate doctor details for notification
   await appointment.populate({
@@ -889,7 +951,7 @@ export const cancelAppointment = asyncHandler(async (req, res) => {
   }
 
   return res.status(200).json(
-    new ApiResponse(200, { appointment }, "Appointment cancelled successfully")
+    new ApiResponse(200, { appointment, refund }, "Appointment cancelled successfully")
   );
 });
 
@@ -919,26 +981,18 @@ export const rescheduleAppointment = asyncHandler(async (req, res) => {
 
   const newAppointmentDateTime = new Date(`${newDate}T${newTime}:00`);
   
-  // Check if new time is available
+  // Claim the new slot before letting go of the old one
   const requestedApptType = appointment.appointmentType || 'in-person';
-  const existingAppointments = await Appointment.find({
+  const { seatId, slot } = await slotReservationService.reserveBooking({
     doctorId: appointment.doctorId,
-    appointmentDate: newAppointmentDateTime,
-    status: { $in: ["scheduled", "confirmed"] },
-    _id: { $ne: appointmentId }
+    date: newAppointmentDateTime,
+    time: newTime,
+    appointmentType: requestedApptType,
+    userId,
+    patientId: user.patientId,
+    excludeAppointmentId: appointmentId
   });
 
-  if (existingAppointments.length > 0) {
-    const hasNonVideo = existingAppointments.some(apt => apt.appointmentType !== 'video');
-    if (hasNonVideo || requestedApptType !== 'video') {
-      throw new ApiError(400, "Doctor is not available at the new time");
-    }
-    const maxVideoSlots = 10;
-    if (existingAppointments.length >= maxVideoSlots) {
-      throw new ApiError(400, `Doctor has reached the maximum capacity of ${maxVideoSlots} video consultations for this time slot`);
-    }
-  }
-
   // Set or preserve Google Meet link if type is video
   let meetLink = appointment.videoConsultation?.meetingUrl;
   if (requestedApptType === 'video' && !meetLink) {
@@ -951,9 +1005,18 @@ export const rescheduleAppointment = asyncHandler(async (req, res) => {
   }
 
   appointment.appointmentDate = newAppointmentDateTime;
+  appointment.appointmentTime = newTime;
+  appointment.duration = slot.duration;
   appointment.status = "rescheduled";
   appointment.rescheduledAt = new Date();
-  await appointment.save();
+  try {
+    await appointment.save();
+  } catch (saveErr) {
+    await slotReservationService.releaseSeat(seatId);
+    throw saveErr;
+  }
+  await slotReservationService.releaseAppointment(appointment._id);
+  await slotReservationService.attachAppointment(seatId, appointment._id);
 
   await appointment.populate({
     path: "doctorId",
@@ -1209,40 +1272,33 @@ export const getEmergencyContacts = asyncHandler(async (req, res) => {
    💊 REQUEST PRESCRIPTION REFILL
 ============================================================ */
 export const requestPrescriptionRefill = asyncHandler(async (req, res) => {
-  const userId = req.user._id;
-  const { prescriptionId } = req.params;
-  const { pharmacyId, notes } = req.body;
+  const { pharmacyId, notes, createOrderDraft } = req.body;
 
-  const user = await User.findById(userId);
-  if (!user || !user.patientId) throw new ApiError(404, "Patient not found");
-
-  const prescription = await Prescription.findOne({
-    _id: prescriptionId,
-    patientId: user.patientId,
+  // Goes to the prescribing doctor's refill inbox for approval
+  const refillRequest = await refillRequestService.requestRefill(req.user, req.params.prescriptionId, {
+    pharmacyId,
+    notes,
+    createOrderDraft,
   });
 
-  if (!prescription) {
-    throw new ApiError(404, "Prescription not found");
-  }
+  return res.status(201).json(
+    new ApiResponse(201, { refillRequest }, "Refill request sent to your doctor")
+  );
+});
 
-  if (prescription.status !== 'active') {
-    throw new ApiError(400, "Only active prescriptions can be refilled");
-  }
+export const getRefillRequests = asyncHandler(async (req, res) => {
+  const refillRequests = await refillRequestService.listPatientRequests(req.user, { status: req.query.status });
 
-  // In a real system, you would create a refill request
-  // This is a placeholder implementation
-  const refillRequest = {
-    prescriptionId: prescription._id,
-    patientId: user.patientId,
-    pharmacyId,
-    notes,
-    status: 'pending',
-    requestedAt: new Date(),
-    estimatedReadyTime: new Date(Date.now() + 2 * 60 * 60 * 1000), // 2 hours from now
-  };
+  return res.status(200).json(
+    new ApiResponse(200, refillRequests, "Refill requests fetched successfully")
+  );
+});
 
-  return res.status(201).json(
-    new ApiResponse(201, { refillRequest }, "Prescription refill requested successfully")
+export const cancelRefillRequest = asyncHandler(async (req, res) => {
+  const refillRequest = await refillRequestService.cancelRequest(req.params.requestId, req.user);
+
+  return res.status(200).json(
+    new ApiResponse(200, refillRequest, "Refill request cancelled")
   );
 });
 
@@ -1473,64 +1529,135 @@ export const deletePatientDocument = asyncHandler(async (req, res) => {
 
 /* ============================================================
    💰 GET PATIENT BILLING
+   Outstanding and paid totals with the latest invoices
 ============================================================ */
 export const getPatientBilling = asyncHandler(async (req, res) => {
-  const userId = req.user._id;
   const { status, page = 1, limit = 10 } = req.query;
 
-  const user = await User.findById(userId);
-  if (!user || !user.patientId) throw new ApiError(404, "Patient not found");
+  const billing = await invoiceService.listInvoices({ patientId: req.user._id, status, page, limit });
 
-  // In a real system, you would query a Billing/Invoice model
-  // This is a placeholder response
-  const invoices = [
-    {
-      id: 'INV-2024-001',
-      date: '2024-02-01',
-      amount: 150.00,
-      status: 'paid',
-      description: 'Consultation Fee - Dr. Sarah Johnson'
-    },
-    {
-      id: 'INV-2024-002',
-      date: '2024-02-15',
-      amount: 75.50,
-      status: 'pending',
-      description: 'Lab Tests'
-    }
-  ];
+  return res.status(200).json(
+    new ApiResponse(200, billing, "Billing information fetched successfully")
+  );
+});
 
-  let filteredInvoices = invoices;
-  if (status) {
-    filteredInvoices = invoices.filter(inv => inv.status === status);
-  }
+/* ============================================================
+   🧾 GET PATIENT INVOICES
+============================================================ */
+export const getPatientInvoices = asyncHandler(async (req, res) => {
+  const { status, kind, financialYear, page, limit } = req.query;
 
-  const total = filteredInvoices.length;
-  const skip = (page - 1) * limit;
-  const paginatedInvoices = filteredInvoices.slice(skip, skip + parseInt(limit));
+  const result = await invoiceService.listInvoices({ patientId: req.user._id, status, kind, financialYear, page, limit });
 
-  // Calculate totals
-  const totalAmount = invoices.reduce((sum, inv) => sum + inv.amount, 0);
-  const paidAmount = invoices.filter(inv => inv.status === 'paid').reduce((sum, inv) => sum + inv.amount, 0);
-  const pendingAmount = invoices.filter(inv => inv.status === 'pending').reduce((sum, inv) => sum + inv.amount, 0);
+  return res.status(200).json(
+    new ApiResponse(200, result, "Invoices fetched successfully")
+  );
+});
+
+/* ============================================================
+   🧾 GET PATIENT INVOICE
+============================================================ */
+export const getPatientInvoice = asyncHandler(async (req, res) => {
+  const invoice = await invoiceService.getInvoice(req.params.invoiceId, req.user);
+  const creditNotes = await invoiceService.creditNotesForInvoice(invoice._id);
 
   return res.status(200).json(
-    new ApiResponse(200, {
-      invoices: paginatedInvoices,
-      summary: {
-        totalAmount,
-        paidAmount,
-        pendingAmount,
-        totalInvoices: total,
-        paidInvoices: invoices.filter(inv => inv.status === 'paid').length,
-        pendingInvoices: invoices.filter(inv => inv.status === 'pending').length,
-      },
-      pagination: {
-        currentPage: parseInt(page),
-        totalPages: Math.ceil(total / limit),
-        totalInvoices: total,
-      },
-    }, "Billing information fetched successfully")
+    new ApiResponse(200, { invoice, creditNotes }, "Invoice fetched successfully")
+  );
+});
+
+/* ============================================================
+   🧾 DOWNLOAD PATIENT INVOICE (PDF)
+============================================================ */
+export const downloadPatientInvoice = asyncHandler(async (req, res) => {
+  const { buffer, filename } = await invoiceService.buildInvoiceDocument(req.params.invoiceId, req.user);
+
+  res.setHeader("Content-Type", "application/pdf");
+  res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+  res.setHeader("Cache-Control", "private, no-store");
+  return res.status(200).send(buffer);
+});
+
+/* ============================================================
+   🧾 DOWNLOAD PATIENT CREDIT NOTE (PDF)
+============================================================ */
+export const downloadPatientCreditNote = asyncHandler(async (req, res) => {
+  const { buffer, filename } = await invoiceService.buildCreditNoteDocument(req.params.creditNoteId, req.user);
+
+  res.setHeader("Content-Type", "application/pdf");
+  res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+  res.setHeader("Cache-Control", "private, no-store");
+  return res.status(200).send(buffer);
+});
+
+/* ============================================================
+   🛡️ PATIENT INSURANCE CLAIMS
+============================================================ */
+export const getPatientClaims = asyncHandler(async (req, res) => {
+  const { type, status, page, limit } = req.query;
+  const result = await insuranceClaimService.listClaims({ type, status, page, limit, patientUserId: req.user._id });
+
+  return res.status(200).json(
+    new ApiResponse(200, result, "Insurance claims fetched successfully")
+  );
+});
+
+export const getPatientClaim = asyncHandler(async (req, res) => {
+  const claim = await insuranceClaimService.getClaim(req.params.claimId, req.user);
+
+  return res.status(200).json(
+    new ApiResponse(200, { claim }, "Insurance claim fetched successfully")
+  );
+});
+
+/* ============================================================
+   👛 PATIENT WALLET
+============================================================ */
+export const getPatientWallet = asyncHandler(async (req, res) => {
+  const { page, limit } = req.query;
+  const result = await walletService.getWalletStatement(req.user._id, { page, limit });
+
+  return res.status(200).json(
+    new ApiResponse(200, result, "Wallet fetched successfully")
+  );
+});
+
+export const topUpPatientWallet = asyncHandler(async (req, res) => {
+  const order = await walletService.createTopUpOrder(req.user, req.body.amount);
+
+  return res.status(201).json(
+    new ApiResponse(201, order, "Top-up order created successfully")
+  );
+});
+
+/* ============================================================
+   🎁 HEALTH PACKAGES
+============================================================ */
+export const getHealthPackages = asyncHandler(async (req, res) => {
+  const packages = await healthPackageService.listPackages();
+
+  return res.status(200).json(
+    new ApiResponse(200, { packages }, "Health packages fetched successfully")
+  );
+});
+
+export const getMyHealthPackages = asyncHandler(async (req, res) => {
+  const packages = await healthPackageService.getUserPackages(req.user._id, { status: req.query.status });
+
+  return res.status(200).json(
+    new ApiResponse(200, { packages }, "Your health packages fetched successfully")
+  );
+});
+
+export const purchaseHealthPackage = asyncHandler(async (req, res) => {
+  const result = await healthPackageService.purchasePackage(
+    req.params.packageId,
+    { paymentMethod: req.body.paymentMethod },
+    req.user
+  );
+
+  return res.status(201).json(
+    new ApiResponse(201, result, result.orderId ? "Package order created successfully" : "Health package purchased successfully")
   );
 });
 
@@ -1710,6 +1837,22 @@ export const getPatientStatistics = asyncHandler(async (req, res) => {
   );
 });
 
+/* ============================================================
+   👁️ GET RECORD ACCESS HISTORY ("who viewed my record")
+============================================================ */
+export const getRecordAccessHistory = asyncHandler(async (req, res) => {
+  if (req.user.role !== 'patient') {
+    throw new ApiError(403, "Only patients can view their record access history");
+  }
+
+  const { page, limit, action } = req.query;
+  const history = await auditService.getPatientAccessHistory(req.user, { page, limit, action });
+
+  return res.status(200).json(
+    new ApiResponse(200, history, "Record access history retrieved successfully")
+  );
+});
+
 /* ============================================================
    ⚙️ UPDATE PATIENT PREFERENCES
 ============================================================ */
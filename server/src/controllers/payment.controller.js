@@ -1,4 +1,5 @@
 // backend/controllers/payment.controller.js
+import mongoose from "mongoose";
 import { asyncHandler } from "../utils/asyncHandler.js";
 import { ApiError } from "../utils/ApiError.js";
 import { ApiResponse } from "../utils/ApiResponse.js";
@@ -7,21 +8,37 @@ import { User } from "../models/User.model.js";
 import { Patient } from "../models/Patient.model.js";
 import { Doctor } from "../models/Doctor.model.js";
 import { Appointment } from "../models/appointment.model.js";
-import Invoice from "../models/invoice.model.js";
 import { PharmacyOrder } from "../models/pharmacyOrder.model.js";
 import {
     createRazorpayOrder,
     verifyRazorpaySignature,
     fetchRazorpayPayment,
-    refundRazorpayPayment,
 } from "../utils/razorpayUtils.js";
 import {
     sendPaymentConfirmation,
     sendPaymentReceipt,
     sendInvoice,
-    sendRefundConfirmation,
 } from "../utils/emailUtils.js";
-import { generateInvoiceNumber } from "../utils/invoiceUtils.js";
+import slotReservationService from "../services/slotReservation.service.js";
+import pharmacyCartService from "../services/pharmacyCart.service.js";
+import pharmacyInventoryService from "../services/pharmacyInventory.service.js";
+import invoiceService from "../services/invoice.service.js";
+import refundService from "../services/refund.service.js";
+import walletService from "../services/wallet.service.js";
+import paymentCompletionService, { SETTLED_PAYMENT_STATUSES } from "../services/paymentCompletion.service.js";
+import paymentReconciliationService from "../services/paymentReconciliation.service.js";
+
+// Methods that go through Razorpay checkout
+const RAZORPAY_METHODS = ['online', 'razorpay', 'upi', 'card', 'netbanking'];
+
+// A priced pharmacy cart is paid online, from the wallet or in cash on delivery
+const QUOTE_PAYMENT_METHODS = [...RAZORPAY_METHODS, 'wallet', 'cod', 'cash'];
+
+// Bought through their own checkouts, which price and limit them on the server
+const DEDICATED_CHECKOUTS = {
+    'wallet-topup': 'POST /api/v1/patients/wallet/top-up',
+    'health-package': 'POST /api/v1/patients/health-packages/:packageId/purchase'
+};
 
 /**
  * CREATE RAZORPAY ORDER
@@ -34,12 +51,14 @@ const createPaymentOrder = asyncHandler(async (req, res) => {
         serviceType,
         description,
         paymentMethod = 'online',
-        metadata = {}
+        metadata = {},
+        holdId = metadata.holdId,
+        quoteId = metadata.quoteId
     } = req.body;
 
     // Sanitize amount: strip any currency symbols/letters and parse to float
     const rawAmount = req.body.amount;
-    const amount = (() => {
+    const requestedAmount = (() => {
         if (typeof rawAmount === 'number') return rawAmount;
         const cleaned = String(rawAmount ?? '').replace(/[^0-9.]/g, '');
         const parsed = parseFloat(cleaned);
@@ -49,12 +68,16 @@ const createPaymentOrder = asyncHandler(async (req, res) => {
     const userId = req.user._id;
     const userRole = req.user.role;
 
-    if (!amount || amount <= 0) {
-        throw new ApiError(400, `Valid payment amount is required. Received: ${JSON.stringify(req.body.amount)}`);
-    }
     if (!serviceType) {
         throw new ApiError(400, "Service type is required");
     }
+    if (DEDICATED_CHECKOUTS[serviceType]) {
+        throw new ApiError(400, `Use ${DEDICATED_CHECKOUTS[serviceType]} for this payment`);
+    }
+    // Nothing verifies a Stripe charge yet, so it can't complete a payment
+    if (paymentMethod === 'stripe') {
+        throw new ApiError(400, "Stripe payments are not available; pay by card through Razorpay");
+    }
 
     // Verify appointment if provided
     let appointment = null;
@@ -77,93 +100,216 @@ const createPaymentOrder = asyncHandler(async (req, res) => {
         }
     }
 
+    // A booked consultation is charged its fee, whatever amount is sent
+    const consultationFee = appointment
+        ? appointment.consultationFee ?? appointment.doctorId?.consultationFee
+        : undefined;
+    if (consultationFee !== undefined && rawAmount !== undefined &&
+        Math.abs(requestedAmount - consultationFee) >= 0.005) {
+        throw new ApiError(400, `Amount does not match the consultation fee of ${consultationFee} ${currency}`);
+    }
+
+    // Pharmacy carts are priced on the server: charge the quote, not the amount sent
+    if (serviceType === 'pharmacy') {
+        if (!quoteId) {
+            throw new ApiError(400, "A cart quote is required for pharmacy checkout");
+        }
+        if (!QUOTE_PAYMENT_METHODS.includes(paymentMethod)) {
+            throw new ApiError(400, "Pharmacy orders are paid online, from the wallet or in cash on delivery");
+        }
+    }
+
+    // A consultation checkout must still own its slot hold before we take payment
+    if (holdId) {
+        const hold = await slotReservationService.getActiveHold(holdId, userId);
+        if (!hold) {
+            throw new ApiError(410, "Your slot hold has expired. Please choose a time slot again");
+        }
+    }
+
+    // Everything else is checked: claim the quote and hold its stock while the shopper pays
+    let quote = null;
+    let stockReservation = null;
+    if (serviceType === 'pharmacy') {
+        quote = await pharmacyCartService.claimQuote(quoteId, userId);
+        try {
+            stockReservation = await pharmacyInventoryService.reserveStock({
+                pharmacyId: quote.pharmacyId,
+                items: quote.items,
+                quoteId: quote._id,
+                userId
+            });
+        } catch (error) {
+            await pharmacyCartService.releaseQuote(quote);
+            throw error;
+        }
+    }
+
+    // Let the shopper retry with the same prices
+    const releaseCheckout = async () => {
+        if (quote) {
+            await pharmacyInventoryService.cancelReservation({ pharmacyId: quote.pharmacyId, items: quote.items, quoteId: quote._id });
+            await pharmacyCartService.releaseQuote(quote);
+        }
+    };
+
+    const amount = quote ? quote.total : consultationFee ?? requestedAmount;
+    if (!amount || amount <= 0) {
+        await releaseCheckout();
+        throw new ApiError(400, `Valid payment amount is required. Received: ${JSON.stringify(req.body.amount)}`);
+    }
+
     let orderIdVal = "";
     let finalAmountVal = amount;
     let finalCurrencyVal = currency;
     let methodVal = "online";
     let gatewayVal = "razorpay";
     let metadataObj = { ...metadata };
+    if (holdId) metadataObj.holdId = String(holdId);
+    if (quote) {
+        delete metadataObj.items;
+        metadataObj.quoteId = String(quote._id);
+    }
 
     const isCod = paymentMethod === 'cod' || paymentMethod === 'cash';
-    const isStripe = paymentMethod === 'stripe';
-
-    if (isCod) {
-        orderIdVal = `cod_${Date.now()}`;
-        methodVal = "cash";
-        gatewayVal = "cod";
-        metadataObj.paymentMethodType = "cod";
-    } else if (isStripe) {
-        orderIdVal = `stripe_${Date.now()}`;
-        methodVal = "card";
-        gatewayVal = "stripe";
-        metadataObj.paymentMethodType = "stripe";
-    } else {
-        // Create Razorpay order
-        const razorpayOrder = await createRazorpayOrder({
+    const isWallet = paymentMethod === 'wallet';
+
+    const paymentObjectId = new mongoose.Types.ObjectId();
+    let walletEntry = null;
+    let payment = null;
+    let pharmacyOrder = null;
+
+    try {
+        if (isCod) {
+            orderIdVal = `cod_${Date.now()}`;
+            methodVal = "cash";
+            gatewayVal = "cod";
+            metadataObj.paymentMethodType = "cod";
+        } else if (isWallet) {
+            // Paid from the wallet up front, so a short balance stops checkout here
+            orderIdVal = `wallet_${Date.now()}`;
+            methodVal = "wallet";
+            gatewayVal = "wallet";
+            walletEntry = await walletService.payFromWallet({
+                userId,
+                amount,
+                paymentId: paymentObjectId,
+                description: description || `Payment for ${serviceType}`,
+                createdBy: userId
+            });
+        } else {
+            // Create Razorpay order
+            const razorpayOrder = await createRazorpayOrder({
+                amount,
+                currency,
+                receipt: `rcp_${userId.toString().slice(-6)}_${Date.now()}`,
+            });
+            orderIdVal = razorpayOrder.id;
+            finalAmountVal = razorpayOrder.amount;
+            finalCurrencyVal = razorpayOrder.currency;
+            metadataObj.razorpayOrderId = razorpayOrder.id;
+            metadataObj.razorpayAmount = razorpayOrder.amount;
+        }
+
+        // Create the payment record: pending until the gateway confirms, complete for wallet payments
+        payment = await Payment.create({
+            _id: paymentObjectId,
+            userId,
+            patientId: userRole === 'patient' ? (await User.findById(userId).populate('patientId')).patientId?._id : appointment?.patientId?._id,
+            doctorId: appointment?.doctorId?._id,
+            appointmentId: appointmentId,
             amount,
             currency,
-            receipt: `rcp_${userId.toString().slice(-6)}_${Date.now()}`,
+            serviceType,
+            serviceDescription: description || `Payment for ${serviceType}`,
+            paymentMethod: methodVal,
+            paymentGateway: gatewayVal,
+            gatewayReference: orderIdVal, // store order_id or local reference here
+            transactionId: walletEntry?.entryNumber,
+            status: isWallet ? 'completed' : 'pending',
+            initiatedAt: new Date(),
+            completedAt: isWallet ? new Date() : undefined,
+            metadata: metadataObj,
         });
-        orderIdVal = razorpayOrder.id;
-        finalAmountVal = razorpayOrder.amount;
-        finalCurrencyVal = razorpayOrder.currency;
-        metadataObj.razorpayOrderId = razorpayOrder.id;
-        metadataObj.razorpayAmount = razorpayOrder.amount;
+
+        if (quote) {
+            // COD is instantly confirmed, unless a pharmacist still has to check the prescription
+            const initialStatus = isCod && quote.prescription?.status !== 'pending-review' ? 'confirmed' : 'pending';
+            pharmacyOrder = await PharmacyOrder.create({
+                orderId: orderIdVal,
+                userId,
+                items: quote.items.map(item => ({
+                    medicineId: item.medicineId,
+                    name: item.name,
+                    brand: item.brand,
+                    quantity: item.quantity,
+                    price: item.unitPrice,
+                    gstRate: item.gstRate,
+                    gstAmount: item.gstAmount,
+                    lineTotal: item.lineTotal
+                })),
+                amount,
+                quoteId: quote._id,
+                pricing: {
+                    subtotal: quote.subtotal,
+                    couponCode: quote.coupon?.code,
+                    couponDiscount: quote.coupon?.discount || 0,
+                    deliveryFee: quote.deliveryFee,
+                    gstTotal: quote.gstTotal
+                },
+                paymentMethod: isCod ? 'cash' : isWallet ? 'wallet' : 'online',
+                paymentStatus: 'pending',
+                status: initialStatus,
+                statusHistory: [{ status: initialStatus, by: userId, role: 'customer', note: 'order placed' }],
+                address: metadataObj.address || "User Delivery Address",
+                pharmacyId: quote.pharmacyId,
+                pharmacyName: quote.pharmacyName || metadataObj.pharmacyName || "MedCare Pharmacy",
+                stockReservation,
+                prescription: quote.prescription?.required ? {
+                    required: true,
+                    prescriptionId: quote.prescription.prescriptionId,
+                    uploadId: quote.prescription.uploadId,
+                    status: quote.prescription.status
+                } : undefined
+            });
+        }
+    } catch (error) {
+        // Undo whatever was taken so nothing stays spoken for by a checkout that never started
+        if (payment) {
+            await Payment.updateOne({ _id: payment._id }, { $set: { status: 'cancelled' } });
+        }
+        if (walletEntry) {
+            await walletService.reverseEntry(walletEntry, { reason: 'Checkout failed', createdBy: userId });
+        }
+        await releaseCheckout();
+        throw error;
     }
 
-    // Create pending payment record in DB
-    const payment = await Payment.create({
-        userId,
-        patientId: userRole === 'patient' ? (await User.findById(userId).populate('patientId')).patientId?._id : appointment?.patientId?._id,
-        doctorId: appointment?.doctorId?._id,
-        appointmentId: appointmentId,
-        amount,
-        currency,
-        serviceType,
-        serviceDescription: description || `Payment for ${serviceType}`,
-        paymentMethod: methodVal,
-        paymentGateway: gatewayVal,
-        gatewayReference: orderIdVal, // store order_id or local reference here
-        status: 'pending',
-        initiatedAt: new Date(),
-        metadata: metadataObj,
-    });
+    if (holdId) {
+        await slotReservationService.attachPaymentToHold(holdId, payment._id, userId);
+    }
 
-    if (serviceType === 'pharmacy') {
-        let items = [];
-        if (metadataObj.items) {
-            try {
-                items = typeof metadataObj.items === 'string' ? JSON.parse(metadataObj.items) : metadataObj.items;
-            } catch (err) {
-                console.error("Failed to parse items in createPaymentOrder:", err);
-            }
+    if (quote) {
+        await pharmacyCartService.attachPayment(quote._id, { paymentId: payment._id, orderId: orderIdVal });
+
+        // Cash on delivery is spoken for straight away, so the goods come off the shelf now
+        if (isCod) {
+            await pharmacyInventoryService.commitOrderStock(pharmacyOrder);
         }
-        await PharmacyOrder.create({
-            orderId: orderIdVal,
-            userId,
-            items: items.map(item => ({
-                medicineId: item.id,
-                name: item.name,
-                brand: item.brand,
-                quantity: item.quantity,
-                price: item.price
-            })),
-            amount,
-            paymentMethod: isCod ? 'cash' : 'online',
-            paymentStatus: 'pending',
-            status: isCod ? 'confirmed' : 'pending', // COD is instantly confirmed
-            address: metadataObj.address || "User Delivery Address",
-            pharmacyName: metadataObj.pharmacyName || "MedCare Pharmacy"
-        });
     }
 
+    // Nothing left to confirm for a wallet payment
+    const completion = isWallet ? await paymentCompletionService.completePayment(payment) : null;
+
     return res.status(201).json(
         new ApiResponse(201, {
             orderId: orderIdVal,
             amount: finalAmountVal,
             currency: finalCurrencyVal,
             paymentId: payment._id,
-        }, "Order created successfully")
+            status: payment.status,
+            invoice: completion?.invoice,
+        }, isWallet ? "Paid from wallet" : "Order created successfully")
     );
 });
 
@@ -180,29 +326,24 @@ const confirmPayment = asyncHandler(async (req, res) => {
 
     const userId = req.user._id;
 
-    const isStripe = req.body.isStripe || (razorpay_order_id && razorpay_order_id.startsWith("stripe_"));
-
-    if (!isStripe) {
-        if (!razorpay_order_id || !razorpay_payment_id || !razorpay_signature) {
-            throw new ApiError(400, "Missing payment verification data");
-        }
+    if (!razorpay_order_id || !razorpay_payment_id || !razorpay_signature) {
+        throw new ApiError(400, "Missing payment verification data");
+    }
 
-        // Verify signature
-        const isValid = verifyRazorpaySignature(
-            razorpay_order_id,
-            razorpay_payment_id,
-            razorpay_signature
-        );
+    // Verify signature
+    const isValid = verifyRazorpaySignature(
+        razorpay_order_id,
+        razorpay_payment_id,
+        razorpay_signature
+    );
 
-        if (!isValid) {
-            throw new ApiError(400, "Invalid payment signature");
-        }
+    if (!isValid) {
+        throw new ApiError(400, "Invalid payment signature");
     }
 
-    // Find the pending payment using the order_id stored in gatewayReference
+    // Find the payment using the order_id stored in gatewayReference
     const payment = await Payment.findOne({
-        gatewayReference: razorpay_order_id,
-        status: 'pending'
+        gatewayReference: razorpay_order_id
     })
         .populate({
             path: 'patientId',
@@ -212,81 +353,61 @@ const confirmPayment = asyncHandler(async (req, res) => {
         .populate('appointmentId');
 
     if (!payment) {
-        throw new ApiError(404, "Pending payment not found");
+        throw new ApiError(404, "Payment not found");
     }
 
-    // Fetch payment details
-    const razorpayPayment = !isStripe 
-        ? await fetchRazorpayPayment(razorpay_payment_id) 
-        : { method: "card", bank: "Stripe", card: { last4: "4242", network: "Visa" } };
-
-    // Generate invoice number
-    const invoiceNumber = await generateInvoiceNumber();
-
-    // Create invoice
-    const invoice = await Invoice.create({
-        invoiceNumber,
-        patientId: payment.patientId._id,
-        doctorId: payment.doctorId?._id,
-        appointmentId: payment.appointmentId?._id,
-        paymentId: payment._id,
-        amount: payment.amount,
-        currency: payment.currency,
-        items: [{
-            description: payment.serviceDescription,
-            amount: payment.amount,
-            quantity: 1,
-        }],
-        totalAmount: payment.amount,
-        status: 'paid',
-        paidDate: new Date(),
-    });
+    // The payment.captured webhook got here first: nothing left to do
+    if (SETTLED_PAYMENT_STATUSES.includes(payment.status)) {
+        return res.status(200).json(
+            new ApiResponse(200, {
+                payment,
+                alreadyConfirmed: true,
+            }, "Payment already confirmed")
+        );
+    }
 
-    // Update payment record
-    const updatedPayment = await Payment.findByIdAndUpdate(
-        payment._id,
-        {
-            $set: {
-                status: 'completed',
-                transactionId: razorpay_payment_id,
-                gatewayTransactionId: razorpay_payment_id,
-                gatewayReference: razorpay_order_id,
-                completedAt: new Date(),
-                invoice: {
-                    invoiceNumber,
-                    invoiceDate: new Date(),
-                    dueDate: invoice.dueDate,
-                },
-                metadata: {
-                    ...payment.metadata,
-                    razorpaySignature: razorpay_signature,
-                    razorpayPaymentMethod: razorpayPayment.method,
-                    razorpayBank: razorpayPayment.bank,
-                    razorpayCardLast4: razorpayPayment.card?.last4,
-                    razorpayCardBrand: razorpayPayment.card?.network,
-                },
+    // Fetch payment details
+    const razorpayPayment = await fetchRazorpayPayment(razorpay_payment_id);
+
+    // Update payment record, unless the webhook completes it in the meantime
+    const capturedAmount = Number.isFinite(razorpayPayment.amount) ? razorpayPayment.amount / 100 : undefined;
+    const { payment: updatedPayment, captured, amountMismatch, slotHold, invoice } = await paymentCompletionService.captureGatewayPayment({
+        orderId: razorpay_order_id,
+        gatewayPaymentId: razorpay_payment_id,
+        capturedAmount,
+        set: {
+            metadata: {
+                ...payment.metadata,
+                razorpaySignature: razorpay_signature,
+                razorpayPaymentMethod: razorpayPayment.method,
+                razorpayBank: razorpayPayment.bank,
+                razorpayCardLast4: razorpayPayment.card?.last4,
+                razorpayCardBrand: razorpayPayment.card?.network,
             },
         },
-        { new: true }
-    );
+    });
 
-    // Update appointment payment status if applicable
-    if (payment.appointmentId) {
-        await Appointment.findByIdAndUpdate(payment.appointmentId, {
-            paymentStatus: 'paid',
-            paidAt: new Date(),
+    if (amountMismatch) {
+        await paymentReconciliationService.flagDiscrepancy({
+            kind: 'amount-mismatch',
+            gatewayEntityId: razorpay_payment_id,
+            paymentId: payment._id,
+            expectedAmount: payment.amount,
+            reportedAmount: capturedAmount,
+            detail: `Razorpay captured ₹${capturedAmount} for a ₹${payment.amount} payment`
         });
+        throw new ApiError(409, "The amount paid does not match this payment; our team will look into it");
     }
 
-    if (payment.serviceType === 'pharmacy') {
-        await PharmacyOrder.findOneAndUpdate(
-            { orderId: razorpay_order_id },
-            {
-                $set: {
-                    paymentStatus: 'paid',
-                    status: 'confirmed'
-                }
-            }
+    if (!captured) {
+        if (!SETTLED_PAYMENT_STATUSES.includes(updatedPayment.status)) {
+            throw new ApiError(409, `Payment is ${updatedPayment.status} and cannot be confirmed`);
+        }
+        return res.status(200).json(
+            new ApiResponse(200, {
+                payment: updatedPayment,
+                alreadyConfirmed: true,
+            }, "Payment already confirmed")
         );
     }
 
@@ -298,7 +419,7 @@ const confirmPayment = asyncHandler(async (req, res) => {
             currency: payment.currency,
             serviceType: payment.serviceType,
             paymentDate: new Date().toDateString(),
-            invoiceNumber,
+            invoiceNumber: invoice?.invoiceNumber,
         });
         // Also send receipt and invoice as needed
     } catch (emailError) {
@@ -309,6 +430,7 @@ const confirmPayment = asyncHandler(async (req, res) => {
         new ApiResponse(200, {
             payment: updatedPayment,
             invoice,
+            slotHold,
         }, "Payment confirmed successfully")
     );
 });
@@ -438,85 +560,33 @@ const getUserPayments = asyncHandler(async (req, res) => {
 });
 
 /**
- * PROCESS REFUND (Razorpay)
+ * PROCESS REFUND
+ * Adds a refund to the payment's ledger; large refunds wait for an admin
  * POST /api/v1/payments/:paymentId/refund
  */
 const processRefund = asyncHandler(async (req, res) => {
     const { paymentId } = req.params;
-    const { refundAmount, reason, notes } = req.body;
-    const userId = req.user._id;
-    const userRole = req.user.role;
-
-    if (!refundAmount || refundAmount <= 0) {
-        throw new ApiError(400, "Valid refund amount required");
-    }
-
-    const payment = await Payment.findById(paymentId)
-        .populate({
-            path: 'patientId',
-            populate: { path: 'user', select: 'firstName lastName email' }
-        });
-
-    if (!payment) throw new ApiError(404, "Payment not found");
-
-    if (payment.status !== 'completed') {
-        throw new ApiError(400, "Only completed payments can be refunded");
-    }
-
-    if (!payment.transactionId) {
-        throw new ApiError(400, "No Razorpay transaction ID found");
-    }
+    const { refundAmount, reason, refundTo } = req.body;
 
-    if (refundAmount > payment.amount) {
-        throw new ApiError(400, "Refund amount exceeds original amount");
-    }
-
-    // Call Razorpay refund API
-    const refund = await refundRazorpayPayment(payment.transactionId, refundAmount, {
-        reason: reason || 'Customer requested refund',
-        refundedBy: userId.toString(),
-        ...notes
-    });
+    const refund = await refundService.requestRefund(paymentId, { amount: refundAmount, reason, destination: refundTo }, req.user);
+    const payment = await Payment.findById(paymentId);
 
-    // Update payment record
-    payment.status = refundAmount === payment.amount ? 'refunded' : 'partially-refunded';
-    payment.refundedAt = new Date();
-    payment.refund = {
-        refundId: refund.id,
-        refundAmount,
-        refundReason: reason,
-        refundDate: new Date(),
-        refundMethod: 'original',
-        gatewayRefundId: refund.id,
-    };
-    await payment.save();
-
-    // Update invoice status if needed
-    if (payment.invoiceId) {
-        await Invoice.findByIdAndUpdate(payment.invoiceId, {
-            status: 'refunded',
-            refundAmount,
-            refundDate: new Date(),
-        });
-    }
+    const pending = refund.status === 'pending-approval';
+    const statusCode = pending ? 202 : 200;
+    return res.status(statusCode).json(
+        new ApiResponse(statusCode, { payment, refund }, pending ? "Refund submitted for admin approval" : "Refund processed successfully")
+    );
+});
 
-    // Send refund email
-    try {
-        await sendRefundConfirmation(payment.patientId.user.email, {
-            patientName: `${payment.patientId.user.firstName} ${payment.patientId.user.lastName}`,
-            originalAmount: payment.amount,
-            refundAmount,
-            currency: payment.currency,
-            reason,
-            refundDate: new Date().toDateString(),
-            serviceType: payment.serviceType,
-        });
-    } catch (emailError) {
-        console.error('Refund email failed:', emailError);
-    }
+/**
+ * GET PAYMENT REFUNDS
+ * GET /api/v1/payments/:paymentId/refunds
+ */
+const getPaymentRefunds = asyncHandler(async (req, res) => {
+    const result = await refundService.getPaymentRefunds(req.params.paymentId, req.user);
 
     return res.status(200).json(
-        new ApiResponse(200, { payment, refund }, "Refund processed successfully")
+        new ApiResponse(200, result, "Refunds fetched successfully")
     );
 });
 
@@ -580,8 +650,6 @@ const createManualPayment = asyncHandler(async (req, res) => {
     if (!amount || amount <= 0) throw new ApiError(400, 'Valid amount required');
     if (!serviceType) throw new ApiError(400, 'Service type required');
 
-    const invoiceNumber = await generateInvoiceNumber();
-
     const payment = await Payment.create({
         userId,
         patientId,
@@ -594,11 +662,15 @@ const createManualPayment = asyncHandler(async (req, res) => {
         paymentMethod,
         paymentGateway: 'manual',
         status: 'completed',
-        completedAt: new Date(),
-        invoice: { invoiceNumber, invoiceDate: new Date() }
+        completedAt: new Date()
+    });
+
+    const invoice = await invoiceService.invoiceForPayment(payment).catch((error) => {
+        console.error(`Invoicing payment ${payment._id} failed:`, error);
+        return null;
     });
 
-    return res.status(201).json(new ApiResponse(201, { payment }, 'Manual payment created'));
+    return res.status(201).json(new ApiResponse(201, { payment, invoice }, 'Manual payment created'));
 });
 
 /**
@@ -617,6 +689,7 @@ export {
     getPaymentById,
     getUserPayments,
     processRefund,
+    getPaymentRefunds,
     getPaymentStatistics,
     createManualPayment,
     getPaymentMethods,
@@ -2,6 +2,7 @@ import { Pharmacy } from "../models/Pharmacy.model.js";
 import { asyncHandler } from "../utils/asyncHandler.js";
 import { ApiResponse } from "../utils/ApiResponse.js";
 import { ApiError } from "../utils/ApiError.js";
+import medicineSubstitutionService from "../services/medicineSubstitution.service.js";
 
 /**
  * GET NEARBY PHARMACIES
@@ -16,17 +17,7 @@ export const getNearbyPharmacies = asyncHandler(async (req, res) => {
         throw new ApiError(400, "Latitude and longitude query parameters are required and must be numbers");
     }
 
-    let pharmacies = await Pharmacy.find({
-        location: {
-            $nearSphere: {
-                $geometry: {
-                    type: "Point",
-                    coordinates: [lng, lat]
-                },
-                $maxDistance: radius * 1000 // Convert km to meters
-            }
-        }
-    }).populate("availableMedicines");
+    let pharmacies = await medicineSubstitutionService.findNearbyPharmacies(lat, lng, radius).populate("availableMedicines");
 
     if (pharmacies.length === 0) {
         // Self-heal: Seed realistic pharmacies around user coordinates
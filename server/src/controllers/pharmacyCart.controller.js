@@ -0,0 +1,50 @@
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import pharmacyCartService from "../services/pharmacyCart.service.js";
+import pharmacyPrescriptionService from "../services/pharmacyPrescription.service.js";
+
+/**
+ * CREATE CART QUOTE
+ * Price the cart on the server; checkout charges this quote
+ * POST /api/v1/pharmacy/cart/quote
+ */
+export const createCartQuote = asyncHandler(async (req, res) => {
+    const { items, couponCode, pharmacyId, prescriptionId, prescriptionUploadId } = req.body;
+
+    const quote = await pharmacyCartService.createQuote(req.user._id, {
+        items,
+        couponCode,
+        pharmacyId,
+        prescriptionId,
+        prescriptionUploadId
+    });
+
+    return res.status(201).json(
+        new ApiResponse(201, { quote }, "Cart priced successfully")
+    );
+});
+
+/**
+ * GET CART QUOTE
+ * GET /api/v1/pharmacy/cart/quote/:quoteId
+ */
+export const getCartQuote = asyncHandler(async (req, res) => {
+    const quote = await pharmacyCartService.getQuote(req.params.quoteId, req.user._id);
+
+    return res.status(200).json(
+        new ApiResponse(200, { quote }, "Quote retrieved successfully")
+    );
+});
+
+/**
+ * UPLOAD PRESCRIPTION
+ * Attach a prescription image for Rx-only medicines; a pharmacist reviews it with the order
+ * POST /api/v1/pharmacy/prescriptions
+ */
+export const uploadCartPrescription = asyncHandler(async (req, res) => {
+    const upload = await pharmacyPrescriptionService.uploadPrescription(req.user, req.file);
+
+    return res.status(201).json(
+        new ApiResponse(201, { upload }, "Prescription uploaded successfully")
+    );
+});
@@ -1,7 +1,18 @@
 import { asyncHandler } from "../utils/asyncHandler.js";
 import { ApiError } from "../utils/ApiError.js";
 import { ApiResponse } from "../utils/ApiResponse.js";
-import { PharmacyOrder } from "../models/pharmacyOrder.model.js";
+import { PharmacyOrder, ORDER_STATUSES } from "../models/pharmacyOrder.model.js";
+import pharmacyOrderService from "../services/pharmacyOrder.service.js";
+import pharmacyPrescriptionService from "../services/pharmacyPrescription.service.js";
+
+// Roles that see every pharmacy order
+const STAFF_ROLES = ["admin", "pharmacist"];
+
+const orderScope = (user) => {
+    if (STAFF_ROLES.includes(user.role)) return {};
+    if (user.role === "rider") return { "deliveryDetails.riderUserId": user._id };
+    return { userId: user._id };
+};
 
 /**
  * GET PHARMACY ORDER DETAILS
@@ -10,19 +21,19 @@ import { PharmacyOrder } from "../models/pharmacyOrder.model.js";
 export const getPharmacyOrder = asyncHandler(async (req, res) => {
     const { orderId } = req.params;
 
-    const order = await PharmacyOrder.findOne({ orderId }).lean();
+    const order = await PharmacyOrder.findOne({ orderId }).select('+deliveryOtp.code').lean();
 
     if (!order) {
         throw new ApiError(404, `Order with ID ${orderId} not found`);
     }
 
-    // Ensure access control - only user who placed the order or an admin can access
-    if (req.user.role !== "admin" && order.userId.toString() !== req.user._id.toString()) {
+    // Ensure access control - the customer, pharmacists, the assigned rider or an admin
+    if (!pharmacyOrderService.canViewOrder(order, req.user)) {
         throw new ApiError(403, "You do not have permission to access this order");
     }
 
     return res.status(200).json(
-        new ApiResponse(200, { order }, "Order details retrieved successfully")
+        new ApiResponse(200, { order: pharmacyOrderService.orderForUser(order, req.user) }, "Order details retrieved successfully")
     );
 });
 
@@ -31,8 +42,10 @@ export const getPharmacyOrder = asyncHandler(async (req, res) => {
  * GET /api/v1/pharmacy-orders
  */
 export const listPharmacyOrders = asyncHandler(async (req, res) => {
-    const userId = req.user._id;
-    const query = req.user.role === "admin" ? {} : { userId };
+    const query = orderScope(req.user);
+    if (req.query.status) {
+        query.status = { $in: String(req.query.status).split(",") };
+    }
 
     const orders = await PharmacyOrder.find(query).sort({ createdAt: -1 }).lean();
 
@@ -43,32 +56,59 @@ export const listPharmacyOrders = asyncHandler(async (req, res) => {
 
 /**
  * UPDATE PHARMACY ORDER STATUS
+ * Moves the order along its lifecycle; who may make each move is checked in pharmacyOrder.service
  * PATCH /api/v1/pharmacy-orders/:orderId/status
  */
 export const updatePharmacyOrderStatus = asyncHandler(async (req, res) => {
     const { orderId } = req.params;
-    const { status, note } = req.body;
+    const { status, note, otp } = req.body;
 
-    const validStatuses = ['pending', 'confirmed', 'out_for_delivery', 'completed', 'cancelled'];
-    if (!validStatuses.includes(status)) {
+    if (!ORDER_STATUSES.includes(status)) {
         throw new ApiError(400, "Invalid order status");
     }
 
-    const order = await PharmacyOrder.findOne({ orderId });
-    if (!order) {
-        throw new ApiError(404, "Order not found");
-    }
+    const order = await pharmacyOrderService.updateOrderStatus(orderId, status, req.user, { note, otp });
 
-    order.status = status;
-    
-    if (status === 'completed') {
-        order.paymentStatus = 'paid';
-    }
+    return res.status(200).json(
+        new ApiResponse(200, { order: pharmacyOrderService.orderForUser(order, req.user) }, `Order status updated to ${status}`)
+    );
+});
 
-    await order.save();
+/**
+ * ASSIGN RIDER
+ * Put a rider from the roster on a confirmed or packed order
+ * POST /api/v1/pharmacy-orders/:orderId/rider
+ */
+export const assignOrderRider = asyncHandler(async (req, res) => {
+    const order = await pharmacyOrderService.assignRider(req.params.orderId, { riderId: req.body.riderId });
 
     return res.status(200).json(
-        new ApiResponse(200, { order }, `Order status updated to ${status}`)
+        new ApiResponse(200, { order: pharmacyOrderService.orderForUser(order, req.user) }, `${order.deliveryDetails.riderName} assigned to the order`)
+    );
+});
+
+/**
+ * RESEND DELIVERY OTP
+ * POST /api/v1/pharmacy-orders/:orderId/delivery-otp
+ */
+export const resendDeliveryOtp = asyncHandler(async (req, res) => {
+    const order = await pharmacyOrderService.resendDeliveryOtp(req.params.orderId, req.user);
+
+    return res.status(200).json(
+        new ApiResponse(200, { order: pharmacyOrderService.orderForUser(order, req.user) }, "A new delivery code has been sent")
+    );
+});
+
+/**
+ * UPDATE RIDER AVAILABILITY
+ * Riders go on or off duty
+ * PATCH /api/v1/pharmacy-orders/riders/me
+ */
+export const updateRiderAvailability = asyncHandler(async (req, res) => {
+    const rider = await pharmacyOrderService.setRiderAvailability(req.user, req.body.status);
+
+    return res.status(200).json(
+        new ApiResponse(200, { rider }, `You are now ${rider.status}`)
     );
 });
 
@@ -77,7 +117,7 @@ export const updatePharmacyOrderStatus = asyncHandler(async (req, res) => {
  * GET /api/v1/pharmacy-orders/stats
  */
 export const getPharmacyOrderStats = asyncHandler(async (req, res) => {
-    const matchQuery = req.user.role === "admin" ? {} : { userId: req.user._id };
+    const matchQuery = orderScope(req.user);
 
     const [totalOrders, statusBreakdown, totalSales] = await Promise.all([
         PharmacyOrder.countDocuments(matchQuery),
@@ -104,3 +144,33 @@ export const getPharmacyOrderStats = asyncHandler(async (req, res) => {
         new ApiResponse(200, { stats }, "Pharmacy order statistics fetched")
     );
 });
+
+/**
+ * LIST PRESCRIPTIONS AWAITING REVIEW
+ * GET /api/v1/pharmacy-orders/prescription-reviews
+ */
+export const listPrescriptionReviews = asyncHandler(async (req, res) => {
+    const { page, limit } = req.query;
+
+    const result = await pharmacyPrescriptionService.listPendingReviews({ page, limit });
+
+    return res.status(200).json(
+        new ApiResponse(200, result, "Prescriptions awaiting review fetched")
+    );
+});
+
+/**
+ * REVIEW ORDER PRESCRIPTION
+ * Approve or reject the prescription uploaded with an order
+ * POST /api/v1/pharmacy-orders/:orderId/prescription-review
+ */
+export const reviewOrderPrescription = asyncHandler(async (req, res) => {
+    const { decision, note } = req.body;
+
+    const reviewed = await pharmacyPrescriptionService.reviewOrderPrescription(req.params.orderId, req.user, { decision, note });
+    const order = await pharmacyOrderService.applyPrescriptionReview(reviewed, req.user);
+
+    return res.status(200).json(
+        new ApiResponse(200, { order }, decision === 'approve' ? "Prescription approved" : "Prescription rejected and order cancelled")
+    );
+});
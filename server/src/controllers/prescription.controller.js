@@ -20,13 +20,9 @@ import { User } from "../models/User.model.js";
 import { Patient } from "../models/Patient.model.js";
 import { Doctor } from "../models/Doctor.model.js";
 import { Appointment } from "../models/appointment.model.js";
-import { Medication } from "../models/medication.model.js";
-import { 
-    sendPrescriptionConfirmation,
-    sendPrescriptionReady,
-    sendRefillReminder
-} from "../utils/emailUtils.js";
+import { sendPrescriptionNotification } from "../utils/emailUtils.js";
 import { sendSMSNotification } from "../utils/notificationUtils.js";
+import drugSafetyService from "../services/drugSafety.service.js";
 
 /**
  * CREATE PRESCRIPTION
@@ -116,13 +112,13 @@ const createPrescription = asyncHandler(async (req, res) => {
         }
     }
 
-    // 5. Check for potential drug interactions
-    const medicationNames = medications.map(med => med.name.toLowerCase());
-    const potentialInteractions = await checkDrugInteractions(medicationNames, patientId);
+    // 5. Check interactions, allergies, conditions, age and doses against the drug knowledge base
+    const safety = await drugSafetyService.checkPrescriptionSafety(patient._id, medications, {
+        pregnant: req.body.isPregnant === true
+    });
 
-    // 6. Check for patient allergies
-    const patientAllergies = patient.allergies || [];
-    const allergyWarnings = checkAllergyInteractions(medicationNames, patientAllergies);
+    // 6. Block contraindications; severe warnings need the doctor's override reason
+    const safetyReview = drugSafetyService.assertSafeToPrescribe(safety, req.body.safetyOverride, req.user);
 
     // 7. Generate prescription number
     const prescriptionCount = await Prescription.countDocuments();
@@ -162,10 +158,7 @@ const createPrescription = asyncHandler(async (req, res) => {
         status: 'active',
         startDate: startDate,
         endDate: endDate,
-        warnings: {
-            drugInteractions: potentialInteractions,
-            allergyWarnings: allergyWarnings
-        },
+        safetyReview,
         prescribedDate: new Date()
     };
 
@@ -199,12 +192,12 @@ const createPrescription = asyncHandler(async (req, res) => {
 
     // 12. Send prescription confirmation (async - don't wait)
     try {
-        await sendPrescriptionConfirmation(patient.userId.email, {
+        await sendPrescriptionNotification(patient.userId.email, {
             patientName: `${patient.userId.firstName} ${patient.userId.lastName}`,
             doctorName: `${req.user.firstName} ${req.user.lastName}`,
             prescriptionNumber: prescriptionNumber,
             prescribedDate: startDate.toDateString(),
-            medications: medications.map(med => med.name),
+            medications,
             diagnosis: diagnosis,
             instructions: instructions
         });
@@ -229,9 +222,10 @@ const createPrescription = asyncHandler(async (req, res) => {
             201, 
             {
                 prescription: createdPrescription,
-                warnings: {
-                    drugInteractions: potentialInteractions.length > 0 ? potentialInteractions : null,
-                    allergyWarnings: allergyWarnings.length > 0 ? allergyWarnings : null
+                safety: {
+                    findings: safety.findings,
+                    highestSeverity: safety.highestSeverity,
+                    unrecognised: safety.unrecognised
                 }
             }, 
             "Prescription created successfully"
@@ -583,12 +577,12 @@ const updatePrescriptionStatus = asyncHandler(async (req, res) => {
     // Send notifications based on status change
     try {
         if (status === 'filled') {
-            await sendPrescriptionReady(
+            await sendPrescriptionNotification(
                 prescription.patientId.userId.email,
                 {
                     patientName: `${prescription.patientId.userId.firstName} ${prescription.patientId.userId.lastName}`,
                     prescriptionNumber: prescription.prescriptionNumber,
-                    medications: prescription.medications.map(med => med.name),
+                    medications: prescription.medications,
                     pharmacyName: pharmacyName,
                     filledDate: new Date().toDateString()
                 }
@@ -953,65 +947,6 @@ const getPrescriptionStatistics = asyncHandler(async (req, res) => {
 
 // Helper functions
 
-/**
- * Check for potential drug interactions
- */
-const checkDrugInteractions = async (medicationNames, patientId) => {
-    // In a real system, this would integrate with a drug interaction API
-    // For now, return mock data or basic checks
-    
-    const interactions = [];
-    
-    // Simple check for common interactions
-    const commonInteractions = {
-        'warfarin': ['aspirin', 'ibuprofen', 'naproxen'],
-        'simvastatin': ['clarithromycin', 'erythromycin', 'cyclosporine'],
-        'lisinopril': ['ibuprofen', 'naproxen', 'indomethacin']
-    };
-
-    medicationNames.forEach(med => {
-        if (commonInteractions[med]) {
-            const interactingMeds = medicationNames.filter(otherMed => 
-                commonInteractions[med].includes(otherMed) && otherMed !== med
-            );
-            
-            if (interactingMeds.length > 0) {
-                interactions.push({
-                    medication: med,
-                    interactingWith: interactingMeds,
-                    severity: 'moderate',
-                    description: `Potential interaction between ${med} and ${interactingMeds.join(', ')}`
-                });
-            }
-        }
-    });
-
-    return interactions;
-};
-
-/**
- * Check for allergy interactions
- */
-const checkAllergyInteractions = (medicationNames, patientAllergies) => {
-    const warnings = [];
-    
-    // Simple check for common allergy interactions
-    medicationNames.forEach(med => {
-        patientAllergies.forEach(allergy => {
-            if (allergy.name && med.toLowerCase().includes(allergy.name.toLowerCase())) {
-                warnings.push({
-                    medication: med,
-                    allergy: allergy.name,
-                    severity: 'high',
-                    description: `Patient has allergy to ${allergy.name} which may interact with ${med}`
-                });
-            }
-        });
-    });
-
-    return warnings;
-};
-
 /**
  * Calculate prescription end date based on medication duration
  */
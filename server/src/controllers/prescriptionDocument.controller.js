@@ -0,0 +1,39 @@
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import prescriptionSigningService from "../services/prescriptionSigning.service.js";
+
+/**
+ * DOWNLOAD PRESCRIPTION
+ * Signed, printable PDF of a prescription with a verification QR code
+ * GET /api/v1/prescriptions/:prescriptionId/download
+ */
+export const downloadPrescription = asyncHandler(async (req, res) => {
+    const { buffer, filename } = await prescriptionSigningService.buildPrescriptionDocument(
+        req.params.prescriptionId,
+        req.user
+    );
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.setHeader('Cache-Control', 'private, no-store');
+    return res.status(200).send(buffer);
+});
+
+/**
+ * VERIFY PRESCRIPTION
+ * Public check a pharmacy runs from the QR code: is the prescription genuine
+ * and unchanged, and how much of it has been dispensed
+ * GET /api/v1/prescriptions/verify/:prescriptionId?token=
+ */
+export const verifyPrescription = asyncHandler(async (req, res) => {
+    const verification = await prescriptionSigningService.getPublicVerification(
+        req.params.prescriptionId,
+        req.query.token
+    );
+
+    return res.status(200).json(
+        new ApiResponse(200, verification, verification.authentic
+            ? "Prescription is authentic"
+            : "Prescription could not be verified")
+    );
+});
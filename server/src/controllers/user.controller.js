@@ -33,15 +33,18 @@ import {
     sendWelcomeEmail
 } from "../utils/emailUtils.js";
 import jwt from "jsonwebtoken";
+import sessionService from "../services/session.service.js";
+import twoFactorService from "../services/twoFactor.service.js";
 
 /**
  * Generate Access and Refresh Tokens
- * Helper function for login and token refresh operations
+ * Helper function for login: starts a new session for the signing-in device
  * 
  * @param {String} userId - User ID
+ * @param {Object} context - Device details from sessionService.sessionContext(req)
  * @returns {Object} - Access and refresh tokens
  */
-const generateAccessAndRefreshTokens = async (userId) => {
+const generateAccessAndRefreshTokens = async (userId, context = {}) => {
     try {
         const user = await User.findById(userId);
 
@@ -49,13 +52,9 @@ const generateAccessAndRefreshTokens = async (userId) => {
             throw new ApiError(404, "User not found while generating tokens");
         }
 
-        // Generate tokens using user model methods
-        const accessToken = user.generateAccessToken();
-        const refreshToken = user.generateRefreshToken();
-
-        // Save refresh token to database
-        user.refreshToken = refreshToken;
-        await user.save({ validateBeforeSave: false });
+        // One session per device; the refresh token rotates within it
+        const { session, refreshToken } = await sessionService.createSession(user, context);
+        const accessToken = user.generateAccessToken(session._id);
 
         console.log('✅ Tokens generated successfully for user:', user.email);
 
@@ -492,18 +491,36 @@ const loginUser = asyncHandler(async (req, res) => {
         throw new ApiError(401, "Invalid password");
     }
 
-    // 5. Generate access and refresh tokens
-    const { accessToken, refreshToken } = await generateAccessAndRefreshTokens(user._id);
+    // 5. Second factor: tokens are issued by /users/login/2fa once the code checks out
+    const challenge = await twoFactorService.startLoginChallenge(user);
+    if (challenge) {
+        console.log('🔐 Two-factor challenge issued for:', user.email);
+        return res.status(200).json(
+            new ApiResponse(
+                200,
+                challenge,
+                challenge.setupRequired
+                    ? "Two-factor authentication setup required"
+                    : "Two-factor authentication required"
+            )
+        );
+    }
+
+    // 6. Generate access and refresh tokens
+    const { accessToken, refreshToken } = await generateAccessAndRefreshTokens(
+        user._id,
+        sessionService.sessionContext(req)
+    );
 
-    // 6. Update login statistics
+    // 7. Update login statistics
     await user.incrementLoginCount();
 
-    // 7. Get user data without sensitive fields
+    // 8. Get user data without sensitive fields
     const loggedInUser = await User.findById(user._id)
         .select("-password -refreshToken")
         .lean();
 
-    // 8. Set cookie options
+    // 9. Set cookie options
     const cookieOptions = {
         httpOnly: true,
         secure: process.env.NODE_ENV === 'production',
@@ -513,7 +530,7 @@ const loginUser = asyncHandler(async (req, res) => {
 
     console.log('✅ User logged in successfully:', user.email);
 
-    // 9. Send response with cookies
+    // 10. Send response with cookies
     return res
         .status(200)
         .cookie("accessToken", accessToken, cookieOptions)
@@ -531,22 +548,92 @@ const loginUser = asyncHandler(async (req, res) => {
         );
 });
 
+/**
+ * TWO-FACTOR SETUP DURING LOGIN
+ * QR code for a user whose role requires 2FA but who has not enrolled
+ * 
+ * POST /api/v1/users/login/2fa/setup
+ */
+const setupLoginTwoFactor = asyncHandler(async (req, res) => {
+    const setup = await twoFactorService.beginLoginEnrollment(req.body?.challengeToken);
+
+    return res.status(200).json(
+        new ApiResponse(200, setup, "Scan the QR code with your authenticator app")
+    );
+});
+
+/**
+ * VERIFY TWO-FACTOR LOGIN
+ * Second login step: exchange the challenge and a TOTP or recovery code for tokens
+ * 
+ * POST /api/v1/users/login/2fa
+ */
+const verifyLoginTwoFactor = asyncHandler(async (req, res) => {
+    const { challengeToken, code, recoveryCode } = req.body || {};
+
+    const { user, authMethod, recoveryCodes, recoveryCodesRemaining } =
+        await twoFactorService.completeLoginChallenge(
+            challengeToken,
+            { code, recoveryCode },
+            { ipAddress: req.ip, userAgent: req.get('User-Agent') }
+        );
+
+    const { accessToken, refreshToken } = await generateAccessAndRefreshTokens(
+        user._id,
+        { ...sessionService.sessionContext(req), authMethod }
+    );
+
+    await user.incrementLoginCount();
+
+    const loggedInUser = await User.findById(user._id)
+        .select("-password -refreshToken")
+        .lean();
+
+    const cookieOptions = {
+        httpOnly: true,
+        secure: process.env.NODE_ENV === 'production',
+        sameSite: 'strict',
+        maxAge: 7 * 24 * 60 * 60 * 1000 // 7 days
+    };
+
+    console.log('✅ User logged in with two-factor:', user.email);
+
+    return res
+        .status(200)
+        .cookie("accessToken", accessToken, cookieOptions)
+        .cookie("refreshToken", refreshToken, cookieOptions)
+        .json(
+            new ApiResponse(
+                200,
+                {
+                    user: loggedInUser,
+                    accessToken,
+                    refreshToken,
+                    recoveryCodes,
+                    recoveryCodesRemaining
+                },
+                "User logged in successfully"
+            )
+        );
+});
+
 /**
  * LOGOUT USER
- * Clear user session and invalidate refresh token
+ * End this device's session so its refresh token stops working
  * 
  * POST /api/v1/users/logout
  * Requires: verifyJWT middleware
  */
 const logoutUser = asyncHandler(async (req, res) => {
-    // Clear refresh token from database
-    await User.findByIdAndUpdate(
-        req.user._id,
-        {
-            $unset: { refreshToken: 1 } // Remove field from document
-        },
-        { new: true }
-    );
+    const sessionId = req.sessionId ||
+        sessionService.sessionIdFromRefreshToken(req.cookies?.refreshToken || req.body?.refreshToken);
+
+    if (sessionId) {
+        await sessionService.revokeSession(req.user._id, sessionId, 'logout', {
+            ...sessionService.sessionContext(req),
+            role: req.user.role
+        }).catch(() => null);
+    }
 
     const cookieOptions = {
         httpOnly: true,
@@ -572,34 +659,20 @@ const logoutUser = asyncHandler(async (req, res) => {
  * POST /api/v1/users/refresh-token
  */
 const refreshAccessToken = asyncHandler(async (req, res) => {
-    const incomingRefreshToken = req.cookies.refreshToken || req.body.refreshToken;
+    const incomingRefreshToken = req.cookies?.refreshToken || req.body?.refreshToken;
 
     if (!incomingRefreshToken) {
         throw new ApiError(401, "Refresh token is required");
     }
 
     try {
-        // Verify refresh token
-        const decodedToken = jwt.verify(
+        // Rotate: the presented token is spent and a replayed one revokes the session
+        const { user, session, refreshToken: newRefreshToken } = await sessionService.rotateSession(
             incomingRefreshToken,
-            process.env.REFRESH_TOKEN_SECRET || process.env.JWT_REFRESH_SECRET
+            sessionService.sessionContext(req)
         );
 
-        // Find user
-        const user = await User.findById(decodedToken.userId || decodedToken._id);
-
-        if (!user) {
-            throw new ApiError(401, "Invalid refresh token");
-        }
-
-        // Check if refresh token matches
-        if (incomingRefreshToken !== user.refreshToken) {
-            throw new ApiError(401, "Refresh token is expired or has been used");
-        }
-
-        // Generate new tokens
-        const { accessToken, refreshToken: newRefreshToken } = 
-            await generateAccessAndRefreshTokens(user._id);
+        const accessToken = user.generateAccessToken(session._id);
 
         const cookieOptions = {
             httpOnly: true,
@@ -680,6 +753,12 @@ const changeCurrentPassword = asyncHandler(async (req, res) => {
     user.password = newPassword;
     await user.save({ validateBeforeSave: false });
 
+    // Sign out every other device; this one stays signed in
+    await sessionService.revokeAllSessions(user._id, {
+        except: req.sessionId,
+        reason: 'password-changed'
+    });
+
     console.log('🔒 Password changed for:', user.email);
 
     return res
@@ -1164,6 +1243,9 @@ const resetPasswordController = asyncHandler(async (req, res) => {
         user.password = newPassword;
         await user.save({ validateBeforeSave: false });
 
+        // Whoever had the old password is signed out everywhere
+        await sessionService.revokeAllSessions(user._id, { reason: 'password-changed' });
+
         console.log('🔒 Password reset successfully for:', user.email);
 
         return res.status(200).json(
@@ -1207,6 +1289,8 @@ const deleteAccountController = asyncHandler(async (req, res) => {
     user.deletionReason = reason;
     await user.save({ validateBeforeSave: false });
 
+    await sessionService.revokeAllSessions(user._id, { reason: 'account-deleted' });
+
     console.log('🗑 Account marked for deletion:', user.email);
 
     // Clear cookies
@@ -1225,6 +1309,154 @@ const deleteAccountController = asyncHandler(async (req, res) => {
         );
 });
 
+/**
+ * GET MY SESSIONS
+ * Devices the user is signed in on, marking the current one
+ * 
+ * GET /api/v1/users/me/sessions
+ * Requires: verifyJWT middleware
+ */
+const getMySessions = asyncHandler(async (req, res) => {
+    const sessions = await sessionService.listSessions(req.user._id, req.sessionId);
+
+    return res.status(200).json(
+        new ApiResponse(200, { sessions }, "Sessions fetched successfully")
+    );
+});
+
+/**
+ * REVOKE SESSION
+ * Sign one device out; its refresh and access tokens stop working
+ * 
+ * DELETE /api/v1/users/me/sessions/:sessionId
+ * Requires: verifyJWT middleware
+ */
+const revokeMySession = asyncHandler(async (req, res) => {
+    const session = await sessionService.revokeSession(
+        req.user._id,
+        req.params.sessionId,
+        'revoked-by-user',
+        { ...sessionService.sessionContext(req), role: req.user.role }
+    );
+
+    console.log('🚪 Session revoked by user:', req.user.email, session._id.toString());
+
+    return res.status(200).json(
+        new ApiResponse(
+            200,
+            { sessionId: session._id, current: session._id.toString() === String(req.sessionId) },
+            "Session signed out successfully"
+        )
+    );
+});
+
+/**
+ * REVOKE OTHER SESSIONS
+ * Sign out every device except the one making the request
+ * 
+ * DELETE /api/v1/users/me/sessions
+ * Requires: verifyJWT middleware
+ */
+const revokeOtherSessions = asyncHandler(async (req, res) => {
+    const revoked = await sessionService.revokeAllSessions(req.user._id, { except: req.sessionId });
+
+    console.log('🚪 Other sessions revoked for:', req.user.email, revoked);
+
+    return res.status(200).json(
+        new ApiResponse(200, { revoked }, "Signed out of all other devices")
+    );
+});
+
+/**
+ * GET TWO-FACTOR STATUS
+ * Whether 2FA is on, required for the user's role, and codes left
+ * 
+ * GET /api/v1/users/me/2fa
+ * Requires: verifyJWT middleware
+ */
+const getTwoFactorStatus = asyncHandler(async (req, res) => {
+    const status = await twoFactorService.getStatus(req.user._id);
+
+    return res.status(200).json(
+        new ApiResponse(200, status, "Two-factor status fetched successfully")
+    );
+});
+
+/**
+ * START TWO-FACTOR SETUP
+ * New secret and QR code; nothing changes until a code confirms it
+ * 
+ * POST /api/v1/users/me/2fa/setup
+ * Requires: verifyJWT middleware
+ */
+const startTwoFactorSetup = asyncHandler(async (req, res) => {
+    const setup = await twoFactorService.beginSelfEnrollment(req.user._id);
+
+    return res.status(200).json(
+        new ApiResponse(200, setup, "Scan the QR code with your authenticator app")
+    );
+});
+
+/**
+ * ENABLE TWO-FACTOR
+ * Confirm setup with a code; returns recovery codes once
+ * 
+ * POST /api/v1/users/me/2fa/enable
+ * Requires: verifyJWT middleware
+ */
+const enableTwoFactor = asyncHandler(async (req, res) => {
+    const recoveryCodes = await twoFactorService.enableTwoFactor(req.user._id, req.body?.code, {
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent')
+    });
+
+    console.log('🔐 Two-factor enabled for:', req.user.email);
+
+    return res.status(200).json(
+        new ApiResponse(200, { enabled: true, recoveryCodes }, "Two-factor authentication enabled")
+    );
+});
+
+/**
+ * DISABLE TWO-FACTOR
+ * Needs the password and a current code; refused where the role requires 2FA
+ * 
+ * POST /api/v1/users/me/2fa/disable
+ * Requires: verifyJWT middleware
+ */
+const disableTwoFactor = asyncHandler(async (req, res) => {
+    const { password, code, recoveryCode } = req.body || {};
+
+    const result = await twoFactorService.disableTwoFactor(req.user._id, { password, code, recoveryCode }, {
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent')
+    });
+
+    console.log('🔓 Two-factor disabled for:', req.user.email);
+
+    return res.status(200).json(
+        new ApiResponse(200, result, "Two-factor authentication disabled")
+    );
+});
+
+/**
+ * REGENERATE RECOVERY CODES
+ * Replace every recovery code; the old ones stop working
+ * 
+ * POST /api/v1/users/me/2fa/recovery-codes
+ * Requires: verifyJWT middleware
+ */
+const regenerateRecoveryCodes = asyncHandler(async (req, res) => {
+    const recoveryCodes = await twoFactorService.regenerateRecoveryCodes(req.user._id, req.body?.code, {
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent')
+    });
+
+    return res.status(200).json(
+        new ApiResponse(200, { recoveryCodes }, "Recovery codes regenerated")
+    );
+});
+
 /**
  * GET USER STATISTICS (Admin only)
  * 
@@ -1342,6 +1574,8 @@ export {
     loginUser,
     logoutUser,
     refreshAccessToken,
+    setupLoginTwoFactor,
+    verifyLoginTwoFactor,
     changeCurrentPassword,
     updateAccountDetails,
     updateUserAvatar,
@@ -1354,6 +1588,14 @@ export {
     forgotPasswordController,
     resetPasswordController,
     deleteAccountController,
+    getMySessions,
+    revokeMySession,
+    revokeOtherSessions,
+    getTwoFactorStatus,
+    startTwoFactorSetup,
+    enableTwoFactor,
+    disableTwoFactor,
+    regenerateRecoveryCodes,
     getUserStatistics,
     getCurrentUser,
     updateUserRole,
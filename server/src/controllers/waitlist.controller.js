@@ -0,0 +1,127 @@
+import mongoose from "mongoose";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { Patient } from "../models/Patient.model.js";
+import waitlistService from "../services/waitlist.service.js";
+
+/**
+ * Resolve the caller's patient profile id
+ */
+const getPatientId = async (user) => {
+    if (user.patientId) return user.patientId;
+    const patient = await Patient.findOne({ user: user._id }).select('_id');
+    return patient?._id;
+};
+
+/**
+ * JOIN WAITLIST
+ * POST /api/v1/waitlist
+ */
+export const joinWaitlist = asyncHandler(async (req, res) => {
+    const { doctorId, appointmentType, dateFrom, dateTo, preferredStartTime, preferredEndTime, priority, reason } = req.body;
+
+    if (!doctorId || !dateFrom) {
+        throw new ApiError(400, "Doctor ID and dateFrom are required");
+    }
+
+    const entry = await waitlistService.joinWaitlist({
+        userId: req.user._id,
+        patientId: await getPatientId(req.user),
+        doctorId,
+        appointmentType,
+        dateFrom,
+        dateTo,
+        preferredStartTime,
+        preferredEndTime,
+        priority,
+        reason
+    });
+
+    return res.status(201).json(
+        new ApiResponse(201, { entry }, "Added to waitlist. We will notify you if a slot opens up")
+    );
+});
+
+/**
+ * LIST MY WAITLIST ENTRIES
+ * GET /api/v1/waitlist/me
+ */
+export const getMyWaitlist = asyncHandler(async (req, res) => {
+    const entries = await waitlistService.getPatientEntries(req.user._id, { status: req.query.status });
+
+    return res.status(200).json(
+        new ApiResponse(200, { entries }, "Waitlist entries retrieved successfully")
+    );
+});
+
+/**
+ * LIST A DOCTOR'S WAITLIST
+ * GET /api/v1/waitlist/doctor
+ */
+export const getDoctorWaitlist = asyncHandler(async (req, res) => {
+    // Admins can look at any doctor's list
+    const doctorId = req.user.role === 'admin' && req.query.doctorId ? req.query.doctorId : req.user._id;
+
+    const entries = await waitlistService.getDoctorEntries(doctorId, { status: req.query.status });
+
+    return res.status(200).json(
+        new ApiResponse(200, { entries }, "Doctor waitlist retrieved successfully")
+    );
+});
+
+/**
+ * LEAVE WAITLIST
+ * DELETE /api/v1/waitlist/:entryId
+ */
+export const leaveWaitlist = asyncHandler(async (req, res) => {
+    const { entryId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(entryId)) {
+        throw new ApiError(400, "Invalid waitlist entry ID");
+    }
+
+    const entry = await waitlistService.leaveWaitlist(entryId, req.user._id);
+
+    return res.status(200).json(
+        new ApiResponse(200, { entry }, "Removed from waitlist")
+    );
+});
+
+/**
+ * VIEW SLOT OFFER
+ * GET /api/v1/waitlist/offers/:token
+ */
+export const getWaitlistOffer = asyncHandler(async (req, res) => {
+    const offer = await waitlistService.getOffer(req.params.token, req.user._id);
+
+    return res.status(200).json(
+        new ApiResponse(200, { offer }, "Offer retrieved successfully")
+    );
+});
+
+/**
+ * ACCEPT SLOT OFFER
+ * POST /api/v1/waitlist/offers/:token/accept
+ */
+export const acceptWaitlistOffer = asyncHandler(async (req, res) => {
+    const { entry, appointment } = await waitlistService.acceptOffer(req.params.token, req.user._id);
+
+    await appointment.populate({ path: "doctorId", select: "firstName lastName specialization" });
+
+    return res.status(201).json(
+        new ApiResponse(201, { entryId: entry._id, appointment }, "Offer accepted. Your appointment is booked")
+    );
+});
+
+/**
+ * DECLINE SLOT OFFER
+ * POST /api/v1/waitlist/offers/:token/decline
+ */
+export const declineWaitlistOffer = asyncHandler(async (req, res) => {
+    const entry = await waitlistService.declineOffer(req.params.token, req.user._id);
+
+    return res.status(200).json(
+        new ApiResponse(200, { entryId: entry._id, status: entry.status }, "Offer declined. You remain on the waitlist")
+    );
+});
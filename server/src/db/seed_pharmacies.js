@@ -4,6 +4,9 @@ import dotenv from "dotenv";
 import mongoose from "mongoose";
 import { Medicine } from "../models/medicine.model.js";
 import { Pharmacy } from "../models/Pharmacy.model.js";
+import { PharmacyStock } from "../models/pharmacyStock.model.js";
+import { StockMovement } from "../models/stockMovement.model.js";
+import { receiveStock } from "../services/pharmacyInventory.service.js";
 
 dotenv.config();
 
@@ -25,7 +28,7 @@ const seedPharmacies = async () => {
     console.log(`📊 Found ${medicineCount} medicines to link`);
 
     // Get all medicine IDs
-    const allMedicines = await Medicine.find({}, '_id name availableIn').lean();
+    const allMedicines = await Medicine.find({}, '_id name availableIn stock').lean();
 
     // Helper: get medicine IDs for a given pharmacy name
     const getMedIdsForPharmacy = (pharmacyName) => {
@@ -120,6 +123,28 @@ const seedPharmacies = async () => {
       console.log(`  📍 ${p.name} - ${p.availableMedicines.length} medicines linked`);
     });
 
+    // Opening stock: one batch per linked medicine, booked through the ledger.
+    // The ledger is append-only, so a re-seed clears it at the collection level.
+    await PharmacyStock.deleteMany({});
+    await StockMovement.collection.deleteMany({});
+    const openingExpiry = new Date();
+    openingExpiry.setFullYear(openingExpiry.getFullYear() + 1);
+    const stockById = new Map(allMedicines.map(m => [m._id.toString(), m.stock]));
+
+    let stockRows = 0;
+    for (const p of inserted) {
+      for (const medicineId of p.availableMedicines) {
+        await receiveStock(p._id, {
+          medicineId,
+          batchNumber: `OPEN-${p._id.toString().slice(-4)}-${medicineId.toString().slice(-4)}`.toUpperCase(),
+          expiryDate: openingExpiry,
+          quantity: stockById.get(medicineId.toString()) || 50
+        });
+        stockRows++;
+      }
+    }
+    console.log(`📦 Opening stock booked for ${stockRows} pharmacy/medicine pairs`);
+
   } catch (error) {
     console.error("❌ Error seeding pharmacies:", error);
     process.exit(1);
@@ -42,6 +42,10 @@ import { errorHandler } from "./middlewares/error.middleware.js";
 import { requestLogger } from "./middlewares/logging.middleware.js";
 import { initializeSocket } from "./socket.js";
 
+// Import services
+import { startBackgroundJobs } from "./services/backgroundJobs.service.js";
+import { stopScheduler } from "./services/jobScheduler.service.js";
+
 // Import database utilities
 import connectDB, { checkDBHealth, disconnectDB } from "./db/index.js";
 
@@ -636,6 +640,14 @@ const startServer = async () => {
         initializeSocket(server);
         console.log('🔌 Socket.io initialized on Express server');
 
+        // Start background jobs (reminders, expiries, retries, waitlist/hold sweeps)
+        startBackgroundJobs().catch((error) => {
+            console.error('⚠️ Failed to start job scheduler:', error.message);
+            if (logger && logger.error) {
+                logger.error('Failed to start job scheduler', { error: error.message });
+            }
+        });
+
         // Step 4: Handle server-level errors
         let portRetryCount = 0;
         const MAX_PORT_RETRIES = 3;
@@ -748,6 +760,8 @@ const startServer = async () => {
             
             logServerShutdown('SIGTERM Signal');
             
+            stopScheduler();
+
             console.log('📊 Closing database connections...');
             await disconnectDB();
             console.log('✅ Database connections closed');
@@ -782,6 +796,8 @@ const startServer = async () => {
             
             logServerShutdown('User Interruption (Ctrl+C)');
             
+            stopScheduler();
+
             console.log('📊 Closing database connections...');
             await disconnectDB();
             console.log('✅ Database connections closed');
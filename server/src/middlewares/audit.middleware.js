@@ -0,0 +1,75 @@
+/**
+ * Healthcare System - PHI Audit Middleware
+ *
+ * Records every authenticated read and write of clinical data to the
+ * append-only AuditLog once the response has been sent: who, role, what
+ * resource, which record, whose record, IP, user agent and which fields a
+ * write touched. Mount after verifyJWT.
+ */
+
+import auditService from "../services/audit.service.js";
+
+/**
+ * Work out whose record the request touched
+ */
+const resolvePatient = async (req, res, resourceId, { model, patientParam, patientField }) => {
+    if (patientParam && req.params?.[patientParam]) return req.params[patientParam];
+    if (res.locals.auditPatientId) return res.locals.auditPatientId;
+
+    // Look the record up to find its patient
+    if (model && resourceId) {
+        const record = await model.findById(resourceId).select(patientField).lean().catch(() => null);
+        const value = patientField.split('.').reduce((acc, key) => acc?.[key], record);
+        if (value) return value;
+    }
+
+    if (req.body?.patientId) return req.body.patientId;
+    if (req.query?.patientId) return req.query.patientId;
+
+    // Patient self-service routes
+    if (req.user.role === 'patient') return req.user.patientId || req.user._id;
+    return null;
+};
+
+/**
+ * Audit requests to a PHI resource
+ *
+ * @param {String} resource - Resource name stored on the entry (e.g. 'Prescription')
+ * @param {Object} options
+ * @param {Model} options.model - Model used to find the patient from the record id
+ * @param {String} options.idParam - Route param holding the record id
+ * @param {String} options.patientParam - Route param holding the patient id, if any
+ * @param {String} options.patientField - Path to the patient on the model
+ */
+export const auditPHI = (resource, { model, idParam = 'id', patientParam, patientField = 'patientId' } = {}) => {
+    return (req, res, next) => {
+        res.on('finish', () => {
+            if (!req.user) return;
+
+            const resourceId = req.params?.[idParam];
+
+            resolvePatient(req, res, resourceId, { model, patientParam, patientField })
+                .then(patientId => auditService.recordAccess({
+                    user: req.user,
+                    patientId,
+                    resource,
+                    resourceId,
+                    action: auditService.actionForRequest(req.method, Boolean(resourceId)),
+                    fieldsChanged: req.method === 'GET' ? undefined : auditService.changedFields(req),
+                    method: req.method,
+                    path: req.originalUrl,
+                    statusCode: res.statusCode,
+                    status: res.statusCode < 400 ? 'SUCCESS' : 'FAILED',
+                    ipAddress: req.ip,
+                    userAgent: req.get('User-Agent')
+                }))
+                .catch(error => console.error("⚠️ PHI audit write failed:", error.message));
+        });
+
+        next();
+    };
+};
+
+export default {
+    auditPHI
+};
@@ -10,6 +10,12 @@ import { ApiError } from "../utils/ApiError.js";
 import { asyncHandler } from "../utils/asyncHandler.js";
 import { verifyToken } from "../utils/jwtUtils.js";
 import { User } from "../models/User.model.js";
+import careTeamService from "../services/careTeam.service.js";
+import emergencyAccessService from "../services/emergencyAccess.service.js";
+import sessionService from "../services/session.service.js";
+
+// Roles whose access to a patient depends on the care team
+const PROVIDER_ROLES = ["doctor", "technician", "staff"];
 
 /**
  * Verify JWT token and authenticate user
@@ -38,12 +44,18 @@ export const verifyJWT = asyncHandler(async (req, res, next) => {
             throw new ApiError(403, "Account is inactive.");
         }
 
+        // Tokens bound to a session die with it (logout, sign-out from another device)
+        if (decodedToken.sid && !(await sessionService.isSessionActive(decodedToken.sid))) {
+            throw new ApiError(401, "Session has been signed out.");
+        }
+
         req.user = {
             ...user,
             userId: user._id.toString(),
             role: user.role,
             permissions: user.permissions || [],
         };
+        req.sessionId = decodedToken.sid;
 
         next();
 
@@ -139,27 +151,30 @@ export const verifyPatientAccess = (paramName = "patientId") => {
 
             const requestedPatientId =
                 req.params[paramName] ||
-                req.body[paramName] ||
-                req.query[paramName];
+                req.body?.[paramName] ||
+                req.query?.[paramName];
 
             if (!requestedPatientId) {
                 throw new ApiError(400, "Patient ID is required");
             }
 
-            const { role, userId, _id } = req.user;
+            const { role, userId, _id, patientId } = req.user;
 
             // Admins always have access
             if (role === "admin") return next();
 
-            // Patients can only access their own data
-            if (role === "patient" && (_id?.toString() || userId) === requestedPatientId) {
+            // Patients can only access their own data (by user or patient id)
+            if (
+                role === "patient" &&
+                [_id?.toString() || userId, patientId?.toString()].includes(requestedPatientId.toString())
+            ) {
                 return next();
             }
 
-            // Providers: check if they have assigned access to this patient
-            if (role === "provider") {
+            // Providers: while on the patient's care team, or under emergency access
+            if (PROVIDER_ROLES.includes(role)) {
                 const hasAccess = await checkProviderPatientAccess(
-                    _id || userId,
+                    req,
                     requestedPatientId
                 );
                 if (hasAccess) return next();
@@ -170,6 +185,7 @@ export const verifyPatientAccess = (paramName = "patientId") => {
                 "Access denied. You don't have permission to access this patient's data."
             );
         } catch (error) {
+            if (error instanceof ApiError) throw error;
             console.error("Patient Access Verification Error:", error);
             throw new ApiError(500, "Error during patient access verification");
         }
@@ -194,10 +210,17 @@ export const checkVerification = asyncHandler(async (req, res, next) => {
 /**
  * Helper function to check provider-patient access
  */
-async function checkProviderPatientAccess(providerId, patientId) {
-    // Future logic: check assigned patients or appointments
-    // For now, allow access (demo mode)
-    return true;
+async function checkProviderPatientAccess(req, patientId) {
+    if (await careTeamService.hasAccess(req.user._id || req.user.userId, patientId)) {
+        return true;
+    }
+
+    const grant = await emergencyAccessService.useActiveGrant(
+        req.user,
+        patientId,
+        emergencyAccessService.requestContext(req, req.method === "GET" ? "READ" : "UPDATE")
+    );
+    return Boolean(grant);
 }
 
 export default {
@@ -145,6 +145,14 @@ export const loginRateLimiter = rateLimiter({
     keyGenerator: (req) => req.body.email || req.ip
 });
 
+// Second login step: the account lockout also counts wrong codes
+export const twoFactorRateLimiter = rateLimiter({
+    windowMs: 15 * 60 * 1000,
+    maxRequests: 10,
+    message: "Too many verification attempts. Please try again after 15 minutes.",
+    keyGenerator: (req) => `2fa:${req.ip}`
+});
+
 export const strictRateLimiter = rateLimiter({
     windowMs: 15 * 60 * 1000, // 15 minutes
     maxRequests: 10,
@@ -154,5 +162,6 @@ export const strictRateLimiter = rateLimiter({
 export default {
     rateLimiter,
     loginRateLimiter,
+    twoFactorRateLimiter,
     strictRateLimiter
 };
\ No newline at end of file
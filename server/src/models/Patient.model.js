@@ -287,6 +287,18 @@ const insuranceSchema = new Schema({
         type: Number,
         min: 0
     },
+    // Deductible already used up this policy year, from adjudicated claims
+    deductibleMet: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    // Share of the bill, after copay and deductible, the insurer pays
+    coveragePercent: {
+        type: Number,
+        min: 0,
+        max: 100
+    },
     insuranceCard: {
         front: String,
         back: String
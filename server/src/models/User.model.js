@@ -21,6 +21,7 @@
 import mongoose, { Schema } from "mongoose";
 import jwt from "jsonwebtoken";
 import bcrypt from "bcryptjs";
+import crypto from "crypto";
 
 const userSchema = new Schema(
     {
@@ -63,7 +64,7 @@ const userSchema = new Schema(
         role: {
             type: String,
             enum: {
-                values: ['patient', 'doctor', 'admin', 'technician', 'staff'],
+                values: ['patient', 'doctor', 'admin', 'technician', 'staff', 'pharmacist', 'rider'],
                 message: '{VALUE} is not a valid role'
             },
             default: 'patient',
@@ -145,6 +146,12 @@ const userSchema = new Schema(
             min: 0,
             default: 0
         },
+
+        // Pharmacy a pharmacist works at; they can only act on its orders
+        pharmacyId: {
+            type: Schema.Types.ObjectId,
+            ref: 'Pharmacy'
+        },
         
         // Permissions and Access Control
         permissions: {
@@ -165,11 +172,7 @@ const userSchema = new Schema(
             }
         },
         
-        // Authentication Tokens
-        refreshToken: {
-            type: String,
-            select: false
-        },
+        // Refresh tokens live in the Session collection, one per signed-in device
         
         // Verification Codes
         emailVerificationToken: {
@@ -214,6 +217,35 @@ const userSchema = new Schema(
             type: Date,
             default: Date.now
         },
+
+        // Two-Factor Authentication (TOTP)
+        twoFactor: {
+            enabled: {
+                type: Boolean,
+                default: false
+            },
+            // Encrypted with totpUtils.encryptSecret
+            secret: {
+                type: String,
+                select: false
+            },
+            // Secret being enrolled, kept until the first code confirms it
+            pendingSecret: {
+                type: String,
+                select: false
+            },
+            // SHA-256 hashes; each code works once
+            recoveryCodes: {
+                type: [String],
+                select: false
+            },
+            // Last time step accepted, so a code cannot be replayed
+            lastUsedStep: {
+                type: Number,
+                select: false
+            },
+            enabledAt: Date
+        },
         
         // OAuth / Social Login
         googleId: {
@@ -326,14 +358,16 @@ userSchema.methods.isPasswordCorrect = async function(candidatePassword) {
 
 /**
  * Instance Method: Generate Access Token
+ * Carries the session id so signing a device out also stops its access token.
  */
-userSchema.methods.generateAccessToken = function() {
+userSchema.methods.generateAccessToken = function(sessionId) {
     return jwt.sign(
         {
             _id: this._id,
             email: this.email,
             role: this.role,
-            permissions: this.permissions
+            permissions: this.permissions,
+            sid: sessionId
         },
         process.env.ACCESS_TOKEN_SECRET || process.env.JWT_SECRET,
         {
@@ -344,15 +378,18 @@ userSchema.methods.generateAccessToken = function() {
 
 /**
  * Instance Method: Generate Refresh Token
+ * A unique jwtid makes every rotated token distinct, even within one second.
  */
-userSchema.methods.generateRefreshToken = function() {
+userSchema.methods.generateRefreshToken = function(sessionId) {
     return jwt.sign(
         {
-            _id: this._id
+            _id: this._id,
+            sid: sessionId
         },
         process.env.REFRESH_TOKEN_SECRET || process.env.JWT_REFRESH_SECRET,
         {
-            expiresIn: process.env.REFRESH_TOKEN_EXPIRY || '7d'
+            expiresIn: process.env.REFRESH_TOKEN_EXPIRY || '7d',
+            jwtid: crypto.randomUUID()
         }
     );
 };
@@ -465,6 +502,12 @@ userSchema.methods.toSafeObject = function() {
     delete userObject.passwordResetToken;
     delete userObject.passwordResetExpires;
     delete userObject.__v;
+    if (userObject.twoFactor) {
+        delete userObject.twoFactor.secret;
+        delete userObject.twoFactor.pendingSecret;
+        delete userObject.twoFactor.recoveryCodes;
+        delete userObject.twoFactor.lastUsedStep;
+    }
     
     // Add virtual fields
     userObject.fullName = this.fullName;
@@ -484,6 +527,12 @@ userSchema.methods.toJSON = function() {
     delete user.emailVerificationToken;
     delete user.phoneVerificationCode;
     delete user.passwordResetToken;
+    if (user.twoFactor) {
+        delete user.twoFactor.secret;
+        delete user.twoFactor.pendingSecret;
+        delete user.twoFactor.recoveryCodes;
+        delete user.twoFactor.lastUsedStep;
+    }
     return user;
 };
 
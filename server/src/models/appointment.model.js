@@ -7,6 +7,19 @@
 
 import mongoose, { Schema } from "mongoose";
 import mongooseAggregatePaginate from "mongoose-aggregate-paginate-v2";
+import { SlotReservation } from "./slotReservation.model.js";
+
+/**
+ * Statuses a staff member may move an appointment to, by its current status
+ */
+export const APPOINTMENT_STATUS_TRANSITIONS = {
+    'scheduled': ['confirmed', 'cancelled'],
+    'confirmed': ['completed', 'cancelled', 'no-show'],
+    'completed': [], // No transitions from completed
+    'cancelled': [], // No transitions from cancelled
+    'no-show': ['rescheduled'],
+    'rescheduled': ['scheduled', 'confirmed']
+};
 
 const appointmentSchema = new Schema(
     {
@@ -135,6 +148,11 @@ const appointmentSchema = new Schema(
             type: Schema.Types.ObjectId,
             ref: 'Payment'
         },
+        // Health package whose credit paid for the visit
+        patientPackageId: {
+            type: Schema.Types.ObjectId,
+            ref: 'PatientPackage'
+        },
         
         // Cancellation Information
         cancellationReason: {
@@ -183,6 +201,13 @@ const appointmentSchema = new Schema(
         },
         followUpDate: Date,
         
+        // Recurring series this appointment was materialised from
+        seriesId: {
+            type: Schema.Types.ObjectId,
+            ref: 'AppointmentSeries'
+        },
+        seriesIndex: Number,
+        
         // Reminders and Notifications
         remindersSent: {
             '24_hours': { type: Boolean, default: false },
@@ -219,6 +244,7 @@ appointmentSchema.index({ appointmentDate: 1, status: 1 });
 appointmentSchema.index({ paymentStatus: 1 });
 appointmentSchema.index({ createdAt: -1 });
 appointmentSchema.index({ 'metadata.bookedBy': 1 });
+appointmentSchema.index({ seriesId: 1, seriesIndex: 1 });
 
 /**
  * Add aggregation pagination plugin
@@ -375,6 +401,36 @@ appointmentSchema.pre('save', function(next) {
     next();
 });
 
+/**
+ * Pre-save middleware: Remember whether the status changed for the post-save hook
+ */
+appointmentSchema.pre('save', function(next) {
+    this.$locals.statusChanged = this.isNew || this.isModified('status');
+    next();
+});
+
+/**
+ * Post-save middleware: Add the doctor to the patient's care team once confirmed
+ */
+appointmentSchema.post('save', async function(doc) {
+    if (!doc.$locals.statusChanged) return;
+    const { syncFromAppointment } = await import('../services/careTeam.service.js');
+    await syncFromAppointment(doc);
+});
+
+/**
+ * Post-update middleware: Same for status changes made with findByIdAndUpdate
+ */
+appointmentSchema.post('findOneAndUpdate', async function(doc) {
+    const update = this.getUpdate() || {};
+    if (!doc || (update.status === undefined && update.$set?.status === undefined)) return;
+
+    // doc may be the pre-update document, so read the current state
+    const current = await this.model.findById(doc._id).select('doctorId patientId status appointmentDate').lean();
+    const { syncFromAppointment } = await import('../services/careTeam.service.js');
+    await syncFromAppointment(current);
+});
+
 /**
  * Instance Method: Check in patient
  */
@@ -454,7 +510,17 @@ appointmentSchema.methods.cancelAppointment = async function(reason, cancelledBy
         this.cancelledBy = cancelledBy;
         this.cancellationDate = new Date();
         
-        return await this.save();
+        const saved = await this.save();
+        
+        // Free the reserved slot and offer it to the waitlist
+        await SlotReservation.updateMany(
+            { 'seats.appointmentId': this._id },
+            { $pull: { seats: { appointmentId: this._id } } }
+        );
+        const { offerCancelledAppointment } = await import('../services/waitlist.service.js');
+        await offerCancelledAppointment(this);
+        
+        return saved;
     } catch (error) {
         throw new Error(`Failed to cancel appointment: ${error.message}`);
     }
@@ -0,0 +1,200 @@
+/**
+ * Healthcare System - Appointment Series Model
+ *
+ * Parent record for a recurring run of follow-up appointments, e.g.
+ * "every 4 weeks for 6 months, Tuesdays 10:00". Each occurrence is a
+ * normal Appointment carrying seriesId/seriesIndex; occurrences that
+ * could not be booked are kept here as conflicts.
+ */
+
+import mongoose, { Schema } from "mongoose";
+
+const TIME_PATTERN = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/;
+
+// Upper bound on occurrences materialised for one series
+export const MAX_SERIES_OCCURRENCES = 52;
+
+const recurrenceSchema = new Schema(
+    {
+        frequency: {
+            type: String,
+            enum: {
+                values: ['weekly', 'monthly'],
+                message: '{VALUE} is not a supported recurrence frequency'
+            },
+            required: [true, 'Recurrence frequency is required']
+        },
+        // Every N weeks / months
+        interval: {
+            type: Number,
+            min: [1, 'Interval must be at least 1'],
+            max: [12, 'Interval cannot exceed 12'],
+            default: 1
+        },
+        // Weekly series: weekday of each occurrence (0 = Sunday)
+        dayOfWeek: {
+            type: Number,
+            min: 0,
+            max: 6
+        },
+        time: {
+            type: String,
+            required: [true, 'Occurrence time is required'],
+            match: [TIME_PATTERN, 'Please enter a valid time format (HH:MM)']
+        },
+        startDate: {
+            type: Date,
+            required: [true, 'Series start date is required']
+        },
+        endDate: Date,
+        count: {
+            type: Number,
+            min: 1,
+            max: MAX_SERIES_OCCURRENCES
+        }
+    },
+    { _id: false }
+);
+
+const seriesConflictSchema = new Schema({
+    seriesIndex: Number,
+    date: Date,
+    time: String,
+    statusCode: Number,
+    reason: String,
+    resolved: {
+        type: Boolean,
+        default: false
+    }
+});
+
+const appointmentSeriesSchema = new Schema(
+    {
+        doctorId: {
+            type: Schema.Types.ObjectId,
+            ref: 'User',
+            required: [true, 'Doctor reference is required']
+        },
+        patientId: {
+            type: Schema.Types.ObjectId,
+            ref: 'Patient',
+            required: [true, 'Patient reference is required']
+        },
+        title: {
+            type: String,
+            trim: true,
+            maxlength: [200, 'Title cannot exceed 200 characters']
+        },
+        reason: {
+            type: String,
+            trim: true,
+            maxlength: [500, 'Reason cannot exceed 500 characters']
+        },
+        appointmentType: {
+            type: String,
+            enum: ['in-person', 'video', 'phone', 'chat'],
+            default: 'in-person'
+        },
+        recurrence: {
+            type: recurrenceSchema,
+            required: true
+        },
+        // Consultation the follow-ups stem from
+        originalConsultationId: {
+            type: Schema.Types.ObjectId,
+            ref: 'Appointment'
+        },
+        status: {
+            type: String,
+            enum: {
+                values: ['active', 'completed', 'cancelled'],
+                message: '{VALUE} is not a valid series status'
+            },
+            default: 'active'
+        },
+        conflicts: [seriesConflictSchema],
+        // Set when "all following" edits split an earlier series at an occurrence
+        splitFromSeriesId: {
+            type: Schema.Types.ObjectId,
+            ref: 'AppointmentSeries'
+        },
+        createdBy: {
+            type: Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        cancelledAt: Date,
+        cancellationReason: String
+    },
+    {
+        timestamps: true
+    }
+);
+
+/**
+ * Indexes for optimized queries
+ */
+appointmentSeriesSchema.index({ doctorId: 1, status: 1 });
+appointmentSeriesSchema.index({ patientId: 1, status: 1 });
+
+/**
+ * Pre-validate middleware: A series needs an end and weekly series need a weekday
+ */
+appointmentSeriesSchema.pre('validate', function(next) {
+    const recurrence = this.recurrence;
+    if (!recurrence) return next();
+
+    if (!recurrence.endDate && !recurrence.count) {
+        return next(new Error('Series needs either an end date or an occurrence count'));
+    }
+    if (recurrence.endDate && recurrence.endDate < recurrence.startDate) {
+        return next(new Error('Series end date cannot be before its start date'));
+    }
+    if (recurrence.frequency === 'weekly' && recurrence.dayOfWeek === undefined) {
+        recurrence.dayOfWeek = new Date(recurrence.startDate).getDay();
+    }
+
+    next();
+});
+
+/**
+ * Instance Method: Dates of occurrences from a given index onwards
+ *
+ * Weekly series land on recurrence.dayOfWeek on or after the start date;
+ * monthly series keep the start date's day of month (clamped to month end).
+ */
+appointmentSeriesSchema.methods.getOccurrenceDates = function(fromIndex = 0) {
+    const { frequency, interval = 1, dayOfWeek, startDate, endDate, count } = this.recurrence;
+
+    const first = new Date(startDate);
+    first.setHours(0, 0, 0, 0);
+    if (frequency === 'weekly') {
+        first.setDate(first.getDate() + ((dayOfWeek - first.getDay() + 7) % 7));
+    }
+
+    const last = endDate ? new Date(endDate) : null;
+    if (last) last.setHours(23, 59, 59, 999);
+    const limit = Math.min(count || MAX_SERIES_OCCURRENCES, MAX_SERIES_OCCURRENCES);
+
+    const dates = [];
+    for (let index = 0; index < limit; index++) {
+        let date;
+        if (frequency === 'weekly') {
+            date = new Date(first);
+            date.setDate(first.getDate() + index * interval * 7);
+        } else {
+            const monthStart = new Date(first.getFullYear(), first.getMonth() + index * interval, 1);
+            const monthEnd = new Date(monthStart.getFullYear(), monthStart.getMonth() + 1, 0).getDate();
+            date = new Date(monthStart.getFullYear(), monthStart.getMonth(), Math.min(first.getDate(), monthEnd));
+        }
+
+        if (last && date > last) break;
+        if (index >= fromIndex) dates.push({ seriesIndex: index, date });
+    }
+
+    return dates;
+};
+
+/**
+ * Export AppointmentSeries model with overwrite protection
+ */
+export const AppointmentSeries = mongoose.models.AppointmentSeries || mongoose.model("AppointmentSeries", appointmentSeriesSchema);
@@ -1,6 +1,21 @@
 // src/models/auditLog.model.js
+//
+// Append-only audit trail. Every entry stores the hash of the entry before
+// it, so editing or deleting a past entry breaks the chain and shows up in
+// AuditLog.verifyChain(). Write entries with AuditLog.append(), never create().
+import crypto from "crypto";
 import mongoose from "mongoose";
 
+// previousHash of the first entry in the chain
+export const GENESIS_HASH = '0'.repeat(64);
+
+// Fields covered by each entry's hash
+const HASHED_FIELDS = [
+  'sequence', 'previousHash', 'action', 'resource', 'resourceId', 'userId', 'userRole',
+  'patientId', 'ipAddress', 'userAgent', 'method', 'path', 'statusCode', 'fieldsChanged',
+  'timestamp', 'details', 'status'
+];
+
 const auditLogSchema = new mongoose.Schema({
   action: {
     type: String,
@@ -24,6 +39,11 @@ const auditLogSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  // Whose record was touched, for the patient-facing access history
+  patientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Patient'
+  },
   ipAddress: {
     type: String,
     required: false
@@ -32,6 +52,13 @@ const auditLogSchema = new mongoose.Schema({
     type: String,
     required: false
   },
+  method: String,
+  path: String,
+  statusCode: Number,
+  fieldsChanged: {
+    type: [String],
+    default: undefined
+  },
   timestamp: {
     type: Date,
     default: Date.now
@@ -44,14 +71,161 @@ const auditLogSchema = new mongoose.Schema({
     type: String,
     enum: ['SUCCESS', 'FAILED'],
     default: 'SUCCESS'
+  },
+
+  // Hash chain
+  sequence: {
+    type: Number,
+    required: [true, 'Audit entries must be written with AuditLog.append()']
+  },
+  previousHash: {
+    type: String,
+    required: true
+  },
+  hash: {
+    type: String,
+    required: true
   }
 }, {
-  timestamps: true
+  timestamps: true,
+  // Keep empty objects in details so stored entries hash the same as written
+  minimize: false
 });
 
 // Index for better query performance
 auditLogSchema.index({ timestamp: -1 });
 //auditLogSchema.index({ userId: 1, timestamp: -1 });
 auditLogSchema.index({ resource: 1, resourceId: 1 });
+auditLogSchema.index({ patientId: 1, timestamp: -1 });
+// Sparse so entries written before chaining existed don't collide
+auditLogSchema.index({ sequence: 1 }, { unique: true, sparse: true });
+
+/**
+ * JSON with sorted keys, so the same entry always hashes the same way
+ */
+const canonicalJson = (value) => {
+  if (value === null || value === undefined) return 'null';
+  if (value instanceof Date) return JSON.stringify(value.toISOString());
+  if (value instanceof mongoose.Types.ObjectId) return JSON.stringify(value.toString());
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (typeof value === 'object') {
+    return `{${Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+/**
+ * Static Method: Hash of an entry (plain object or document)
+ */
+auditLogSchema.statics.computeHash = function(entry) {
+  const source = typeof entry.toObject === 'function' ? entry.toObject() : entry;
+  const hashed = HASHED_FIELDS.reduce((acc, field) => ({ ...acc, [field]: source[field] }), {});
+  return crypto.createHash('sha256').update(canonicalJson(hashed)).digest('hex');
+};
+
+// Serialises appends within this process; the unique sequence index covers several instances
+let appendQueue = Promise.resolve();
+const APPEND_RETRIES = 5;
+
+/**
+ * Static Method: Append an entry to the end of the chain
+ */
+auditLogSchema.statics.append = function(entry) {
+  const run = async () => {
+    // Round-trip through JSON so details hash identically once stored
+    const details = JSON.parse(JSON.stringify(entry.details || {}));
+
+    for (let attempt = 1; ; attempt++) {
+      const last = await this.findOne({ sequence: { $exists: true } })
+        .sort({ sequence: -1 })
+        .select('sequence hash')
+        .lean();
+
+      const doc = new this({
+        ...entry,
+        details,
+        timestamp: entry.timestamp || new Date(),
+        sequence: last ? last.sequence + 1 : 1,
+        previousHash: last ? last.hash : GENESIS_HASH,
+        hash: 'pending'
+      });
+      doc.hash = this.computeHash(doc);
+
+      try {
+        return await doc.save();
+      } catch (error) {
+        // Another instance took this sequence number; re-read the head and retry
+        if (error.code !== 11000 || attempt >= APPEND_RETRIES) throw error;
+      }
+    }
+  };
+
+  const result = appendQueue.then(run);
+  appendQueue = result.catch(() => {});
+  return result;
+};
+
+/**
+ * Static Method: Walk the chain and report the first entry that doesn't match
+ */
+auditLogSchema.statics.verifyChain = async function({ fromSequence = 1, limit = 10000 } = {}) {
+  const cursor = this.find({ sequence: { $gte: fromSequence } })
+    .sort({ sequence: 1 })
+    .limit(limit)
+    .lean()
+    .cursor();
+
+  let previous = null;
+  let checked = 0;
+  for await (const entry of cursor) {
+    const expectedPrevious = previous
+      ? previous.hash
+      : fromSequence === 1 ? GENESIS_HASH : entry.previousHash;
+
+    if (previous && entry.sequence !== previous.sequence + 1) {
+      return { valid: false, checked, brokenAt: previous.sequence + 1, reason: 'Entry missing from the chain' };
+    }
+    if (!previous && fromSequence === 1 && entry.sequence !== 1) {
+      return { valid: false, checked, brokenAt: 1, reason: 'Entry missing from the chain' };
+    }
+    if (entry.previousHash !== expectedPrevious) {
+      return { valid: false, checked, brokenAt: entry.sequence, reason: 'Previous hash does not match' };
+    }
+    if (this.computeHash(entry) !== entry.hash) {
+      return { valid: false, checked, brokenAt: entry.sequence, reason: 'Entry contents were modified' };
+    }
+
+    previous = entry;
+    checked++;
+  }
+
+  return { valid: true, checked, lastSequence: previous?.sequence ?? null };
+};
+
+/**
+ * Append-only: reject edits and deletes
+ */
+const rejectChange = function() {
+  throw new Error('Audit log entries are append-only');
+};
+
+auditLogSchema.pre('save', function(next) {
+  if (!this.isNew) return next(new Error('Audit log entries are append-only'));
+  next();
+});
+auditLogSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+    'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  { document: false, query: true },
+  rejectChange
+);
+auditLogSchema.pre('deleteOne', { document: true, query: false }, rejectChange);
+auditLogSchema.pre('insertMany', function(next) {
+  next(new Error('Use AuditLog.append() to write audit entries'));
+});
 
-export const AuditLog = mongoose.model('AuditLog', auditLogSchema);
\ No newline at end of file
+export const AuditLog = mongoose.models.AuditLog || mongoose.model('AuditLog', auditLogSchema);
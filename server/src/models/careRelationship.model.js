@@ -0,0 +1,108 @@
+/**
+ * Healthcare System - Care Relationship Model
+ *
+ * Links a provider to a patient they are treating. Relationships are
+ * created automatically from confirmed appointments and consultations, or
+ * assigned by an admin. Access is time-bounded: each encounter pushes
+ * expiresAt forward, and the relationship lapses once it passes.
+ */
+
+import mongoose, { Schema } from "mongoose";
+
+const careRelationshipSchema = new Schema(
+    {
+        patientId: {
+            type: Schema.Types.ObjectId,
+            ref: 'Patient',
+            required: [true, 'Patient reference is required']
+        },
+        // Provider's user account (doctor, technician, staff)
+        providerId: {
+            type: Schema.Types.ObjectId,
+            ref: 'User',
+            required: [true, 'Provider reference is required']
+        },
+        careRole: {
+            type: String,
+            enum: {
+                values: ['primary', 'treating', 'consulting', 'care-team'],
+                message: '{VALUE} is not a valid care role'
+            },
+            default: 'treating'
+        },
+        // How the relationship was last established
+        source: {
+            type: String,
+            enum: {
+                values: ['appointment', 'consultation', 'manual'],
+                message: '{VALUE} is not a valid relationship source'
+            },
+            required: true
+        },
+        sourceId: {
+            type: Schema.Types.ObjectId
+        },
+        status: {
+            type: String,
+            enum: {
+                values: ['active', 'revoked'],
+                message: '{VALUE} is not a valid relationship status'
+            },
+            default: 'active'
+        },
+        lastEncounterAt: Date,
+        // Null means no expiry (manual assignments only)
+        expiresAt: Date,
+
+        assignedBy: {
+            type: Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        notes: {
+            type: String,
+            trim: true,
+            maxlength: [500, 'Notes cannot exceed 500 characters']
+        },
+        revokedBy: {
+            type: Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        revokedAt: Date,
+        revocationReason: String
+    },
+    {
+        timestamps: true
+    }
+);
+
+/**
+ * Indexes for optimized queries
+ */
+careRelationshipSchema.index({ patientId: 1, providerId: 1 }, { unique: true });
+careRelationshipSchema.index({ providerId: 1, status: 1, expiresAt: 1 });
+
+/**
+ * Virtual: Whether the relationship currently grants access
+ */
+careRelationshipSchema.virtual('isActive').get(function() {
+    return this.status === 'active' && (!this.expiresAt || this.expiresAt > new Date());
+});
+
+/**
+ * Static Method: Query matching relationships that currently grant access
+ */
+careRelationshipSchema.statics.activeFilter = function(filter = {}) {
+    return {
+        ...filter,
+        status: 'active',
+        $or: [
+            { expiresAt: null },
+            { expiresAt: { $gt: new Date() } }
+        ]
+    };
+};
+
+/**
+ * Export CareRelationship model with overwrite protection
+ */
+export const CareRelationship = mongoose.models.CareRelationship || mongoose.model("CareRelationship", careRelationshipSchema);
@@ -0,0 +1,182 @@
+/**
+ * Healthcare System - Cart Quote Model
+ *
+ * A pharmacy cart priced by the server. Checkout charges the quote's total,
+ * never an amount sent by the browser. Open quotes lapse at expiresAt and
+ * each one can be charged only once.
+ */
+
+import mongoose, { Schema } from "mongoose";
+
+const quoteItemSchema = new Schema({
+    medicineId: {
+        type: Schema.Types.ObjectId,
+        ref: 'Medicine',
+        required: true
+    },
+    name: {
+        type: String,
+        required: true
+    },
+    brand: String,
+    quantity: {
+        type: Number,
+        required: true,
+        min: 1
+    },
+    // Medicine.price at the time of quoting
+    mrp: {
+        type: Number,
+        required: true
+    },
+    // Medicine.discountPrice, or the MRP when there is none
+    unitPrice: {
+        type: Number,
+        required: true
+    },
+    // unitPrice * quantity
+    lineSubtotal: {
+        type: Number,
+        required: true
+    },
+    // This line's share of the coupon discount
+    couponDiscount: {
+        type: Number,
+        default: 0
+    },
+    gstRate: {
+        type: Number,
+        required: true
+    },
+    gstAmount: {
+        type: Number,
+        required: true
+    },
+    // lineSubtotal - couponDiscount + gstAmount
+    lineTotal: {
+        type: Number,
+        required: true
+    },
+    requiresPrescription: {
+        type: Boolean,
+        default: false
+    }
+}, { _id: false });
+
+const cartQuoteSchema = new Schema(
+    {
+        userId: {
+            type: Schema.Types.ObjectId,
+            ref: 'User',
+            required: true,
+            index: true
+        },
+        items: {
+            type: [quoteItemSchema],
+            validate: [items => items.length > 0, 'A quote needs at least one item']
+        },
+        // Pharmacy that has every item in stock
+        pharmacyId: {
+            type: Schema.Types.ObjectId,
+            ref: 'Pharmacy'
+        },
+        pharmacyName: String,
+        // How the Rx-only items are covered, when there are any
+        prescription: {
+            required: {
+                type: Boolean,
+                default: false
+            },
+            prescriptionId: {
+                type: Schema.Types.ObjectId,
+                ref: 'Prescription'
+            },
+            uploadId: {
+                type: Schema.Types.ObjectId,
+                ref: 'PrescriptionUpload'
+            },
+            status: {
+                type: String,
+                enum: ['verified', 'pending-review']
+            }
+        },
+        coupon: {
+            code: String,
+            discount: {
+                type: Number,
+                default: 0
+            }
+        },
+        // Sum of line subtotals, before the coupon
+        subtotal: {
+            type: Number,
+            required: true
+        },
+        // Saving against MRP from medicine discount prices
+        mrpSavings: {
+            type: Number,
+            default: 0
+        },
+        deliveryFee: {
+            type: Number,
+            default: 0
+        },
+        gstTotal: {
+            type: Number,
+            default: 0
+        },
+        total: {
+            type: Number,
+            required: true,
+            min: 0
+        },
+        currency: {
+            type: String,
+            default: 'INR'
+        },
+        status: {
+            type: String,
+            enum: {
+                values: ['open', 'used'],
+                message: '{VALUE} is not a valid quote status'
+            },
+            default: 'open'
+        },
+        expiresAt: {
+            type: Date,
+            required: true
+        },
+        usedAt: Date,
+        paymentId: {
+            type: Schema.Types.ObjectId,
+            ref: 'Payment'
+        },
+        // PharmacyOrder.orderId created from this quote
+        orderId: String
+    },
+    {
+        timestamps: true
+    }
+);
+
+/**
+ * Virtual: Whether the quote can still be charged
+ */
+cartQuoteSchema.virtual('isChargeable').get(function() {
+    return this.status === 'open' && this.expiresAt > new Date();
+});
+
+/**
+ * Indexes for optimized queries
+ */
+cartQuoteSchema.index({ userId: 1, status: 1, 'coupon.code': 1 });
+// Unused quotes are cleaned up a day after they lapse; charged ones stay with their order
+cartQuoteSchema.index(
+    { expiresAt: 1 },
+    { expireAfterSeconds: 24 * 60 * 60, partialFilterExpression: { status: 'open' } }
+);
+
+/**
+ * Export CartQuote model with overwrite protection
+ */
+export const CartQuote = mongoose.models.CartQuote || mongoose.model("CartQuote", cartQuoteSchema);
@@ -398,6 +398,23 @@ consultationSchema.pre('save', function(next) {
     next();
 });
 
+/**
+ * Pre-save middleware: Remember whether this is a new consultation
+ */
+consultationSchema.pre('save', function(next) {
+    this.$locals.wasNew = this.isNew;
+    next();
+});
+
+/**
+ * Post-save middleware: Add the doctor to the patient's care team
+ */
+consultationSchema.post('save', async function(doc) {
+    if (!doc.$locals.wasNew) return;
+    const { syncFromConsultation } = await import('../services/careTeam.service.js');
+    await syncFromConsultation(doc);
+});
+
 /**
  * Instance Method: Add diagnosis
  */
@@ -0,0 +1,123 @@
+/**
+ * Healthcare System - Coupon Model
+ *
+ * Discount codes redeemable on pharmacy checkouts. A coupon is only counted
+ * as used when the quote it was applied to is charged.
+ */
+
+import mongoose, { Schema } from "mongoose";
+
+const couponSchema = new Schema(
+    {
+        code: {
+            type: String,
+            required: [true, "Coupon code is required"],
+            unique: true,
+            uppercase: true,
+            trim: true
+        },
+        description: {
+            type: String,
+            trim: true
+        },
+        discountType: {
+            type: String,
+            enum: {
+                values: ['percent', 'flat'],
+                message: '{VALUE} is not a valid discount type'
+            },
+            required: true,
+            default: 'percent'
+        },
+        // Percentage (0-100) or rupees, depending on discountType
+        value: {
+            type: Number,
+            required: [true, "Discount value is required"],
+            min: [0, "Discount value cannot be negative"]
+        },
+        // Cap on a percentage discount, in rupees
+        maxDiscount: {
+            type: Number,
+            min: 0,
+            default: null
+        },
+        // Cart subtotal (after medicine discounts) needed to apply the coupon
+        minOrderValue: {
+            type: Number,
+            min: 0,
+            default: 0
+        },
+        validFrom: {
+            type: Date,
+            default: Date.now
+        },
+        validUntil: {
+            type: Date,
+            default: null
+        },
+        // Total redemptions allowed across all users; null means unlimited
+        usageLimit: {
+            type: Number,
+            min: 1,
+            default: null
+        },
+        perUserLimit: {
+            type: Number,
+            min: 1,
+            default: null
+        },
+        usedCount: {
+            type: Number,
+            default: 0,
+            min: 0
+        },
+        isActive: {
+            type: Boolean,
+            default: true
+        },
+        createdBy: {
+            type: Schema.Types.ObjectId,
+            ref: 'User'
+        }
+    },
+    {
+        timestamps: true
+    }
+);
+
+/**
+ * Instance Method: Why the coupon can't be applied to a subtotal, or null
+ */
+couponSchema.methods.rejectionReason = function(subtotal, now = new Date()) {
+    if (!this.isActive) return "This coupon is no longer active";
+    if (this.validFrom && this.validFrom > now) return "This coupon is not valid yet";
+    if (this.validUntil && this.validUntil <= now) return "This coupon has expired";
+    if (this.usageLimit !== null && this.usedCount >= this.usageLimit) return "This coupon has been fully redeemed";
+    if (subtotal < (this.minOrderValue || 0)) return `This coupon needs a minimum order of ₹${this.minOrderValue}`;
+    return null;
+};
+
+/**
+ * Instance Method: Discount in rupees on a subtotal
+ */
+couponSchema.methods.discountFor = function(subtotal) {
+    let discount = this.discountType === 'percent'
+        ? subtotal * this.value / 100
+        : this.value;
+    if (this.discountType === 'percent' && this.maxDiscount) {
+        discount = Math.min(discount, this.maxDiscount);
+    }
+    return Math.min(discount, subtotal);
+};
+
+/**
+ * Static Method: Find a coupon by the code a user typed
+ */
+couponSchema.statics.findByCode = function(code) {
+    return this.findOne({ code: String(code || '').trim().toUpperCase() });
+};
+
+/**
+ * Export Coupon model with overwrite protection
+ */
+export const Coupon = mongoose.models.Coupon || mongoose.model("Coupon", couponSchema);
@@ -0,0 +1,118 @@
+/**
+ * Healthcare System - Credit Note Model
+ *
+ * Issued against an invoice when part or all of it is refunded. Its lines
+ * credit back each invoice line, GST included, in proportion to the refund.
+ */
+
+import mongoose, { Schema } from "mongoose";
+
+const creditNoteItemSchema = new Schema({
+    description: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    // HSN/SAC code of the invoice line
+    code: String,
+    quantity: {
+        type: Number,
+        default: 1
+    },
+    // Taxable value credited per unit
+    price: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    taxRate: {
+        type: Number,
+        default: 0
+    },
+    taxAmount: {
+        type: Number,
+        default: 0
+    },
+    amount: {
+        type: Number,
+        required: true,
+        min: 0
+    }
+}, { _id: false });
+
+const creditNoteSchema = new Schema(
+    {
+        creditNoteNumber: {
+            type: String,
+            required: true,
+            unique: true
+        },
+        financialYear: String,
+        sequence: Number,
+        invoiceId: {
+            type: Schema.Types.ObjectId,
+            ref: 'Invoice',
+            required: true
+        },
+        // Printed on the credit note, as GST requires
+        invoiceNumber: {
+            type: String,
+            required: true
+        },
+        refundId: {
+            type: Schema.Types.ObjectId,
+            ref: 'Refund',
+            required: true,
+            unique: true
+        },
+        paymentId: {
+            type: Schema.Types.ObjectId,
+            ref: 'Payment'
+        },
+        // Billed user, as on the invoice
+        patientId: {
+            type: Schema.Types.ObjectId,
+            ref: 'User',
+            required: true
+        },
+        issueDate: {
+            type: Date,
+            default: Date.now
+        },
+        items: [creditNoteItemSchema],
+        subtotal: {
+            type: Number,
+            required: true
+        },
+        taxAmount: {
+            type: Number,
+            default: 0
+        },
+        total: {
+            type: Number,
+            required: true
+        },
+        currency: {
+            type: String,
+            default: 'INR'
+        },
+        reason: {
+            type: String,
+            trim: true
+        }
+    },
+    {
+        timestamps: true
+    }
+);
+
+/**
+ * Indexes for optimized queries
+ */
+creditNoteSchema.index({ invoiceId: 1, issueDate: 1 });
+creditNoteSchema.index({ patientId: 1, issueDate: -1 });
+
+/**
+ * Export CreditNote model with overwrite protection
+ */
+export const CreditNote = mongoose.models.CreditNote || mongoose.model("CreditNote", creditNoteSchema);
@@ -0,0 +1,321 @@
+/**
+ * Healthcare System - Doctor Schedule Model
+ *
+ * Per-doctor recurring weekly session templates, dated exceptions
+ * (leave, holidays, extra clinics) and buffer settings. Appointment
+ * slot generation and booking conflict checks are driven from here.
+ */
+
+import mongoose, { Schema } from "mongoose";
+import { toDateKey, timeToMinutes, minutesToTime } from "../utils/dateTimeUtils.js";
+
+const TIME_PATTERN = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/;
+const APPOINTMENT_TYPES = ['in-person', 'video', 'phone', 'chat'];
+const WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * Slot length overrides per appointment type (minutes)
+ */
+const slotDurationsSchema = new Schema(
+    {
+        'in-person': { type: Number, min: [15, 'Slot duration must be at least 15 minutes'], max: 120 },
+        video: { type: Number, min: [15, 'Slot duration must be at least 15 minutes'], max: 120 },
+        phone: { type: Number, min: [15, 'Slot duration must be at least 15 minutes'], max: 120 },
+        chat: { type: Number, min: [15, 'Slot duration must be at least 15 minutes'], max: 120 }
+    },
+    { _id: false }
+);
+
+/**
+ * A recurring working session on a given weekday
+ */
+const weeklySessionSchema = new Schema({
+    dayOfWeek: {
+        type: Number,
+        required: [true, 'Day of week is required'],
+        min: [0, 'Day of week must be between 0 (Sunday) and 6 (Saturday)'],
+        max: [6, 'Day of week must be between 0 (Sunday) and 6 (Saturday)']
+    },
+    startTime: {
+        type: String,
+        required: [true, 'Session start time is required'],
+        match: [TIME_PATTERN, 'Please enter a valid time format (HH:MM)']
+    },
+    endTime: {
+        type: String,
+        required: [true, 'Session end time is required'],
+        match: [TIME_PATTERN, 'Please enter a valid time format (HH:MM)']
+    },
+    location: {
+        type: String,
+        trim: true,
+        default: 'Main Clinic'
+    },
+    appointmentTypes: {
+        type: [{ type: String, enum: APPOINTMENT_TYPES }],
+        default: APPOINTMENT_TYPES
+    },
+    slotDurations: {
+        type: slotDurationsSchema,
+        default: () => ({})
+    },
+    maxVideoPerSlot: {
+        type: Number,
+        min: [1, 'Video capacity must be at least 1'],
+        default: 10
+    }
+});
+
+/**
+ * A dated deviation from the weekly template
+ */
+const scheduleExceptionSchema = new Schema({
+    type: {
+        type: String,
+        enum: {
+            values: ['leave', 'holiday', 'blocked', 'extra_clinic'],
+            message: '{VALUE} is not a valid schedule exception type'
+        },
+        required: [true, 'Exception type is required']
+    },
+    startDate: {
+        type: Date,
+        required: [true, 'Exception start date is required']
+    },
+    endDate: {
+        type: Date,
+        required: [true, 'Exception end date is required']
+    },
+    // Optional partial-day window; when omitted the exception covers whole days
+    startTime: {
+        type: String,
+        match: [TIME_PATTERN, 'Please enter a valid time format (HH:MM)']
+    },
+    endTime: {
+        type: String,
+        match: [TIME_PATTERN, 'Please enter a valid time format (HH:MM)']
+    },
+    // Extra clinic details
+    location: {
+        type: String,
+        trim: true
+    },
+    appointmentTypes: [{ type: String, enum: APPOINTMENT_TYPES }],
+    slotDurations: {
+        type: slotDurationsSchema,
+        default: () => ({})
+    },
+    reason: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Reason cannot exceed 500 characters']
+    },
+    createdBy: {
+        type: Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, { timestamps: true });
+
+const doctorScheduleSchema = new Schema(
+    {
+        // Doctor's user account (appointments reference doctors by User id)
+        doctorId: {
+            type: Schema.Types.ObjectId,
+            ref: 'User',
+            required: [true, 'Doctor reference is required'],
+            unique: true
+        },
+        doctorProfileId: {
+            type: Schema.Types.ObjectId,
+            ref: 'Doctor'
+        },
+        timezone: {
+            type: String,
+            default: 'Asia/Kolkata'
+        },
+        defaultSlotDuration: {
+            type: Number,
+            default: 30,
+            min: [15, 'Slot duration must be at least 15 minutes'],
+            max: [120, 'Slot duration cannot exceed 120 minutes']
+        },
+        bufferMinutes: {
+            before: { type: Number, default: 0, min: 0, max: 120 },
+            after: { type: Number, default: 0, min: 0, max: 120 }
+        },
+        minAdvanceBookingMinutes: {
+            type: Number,
+            default: 30,
+            min: 0
+        },
+        maxAdvanceBookingDays: {
+            type: Number,
+            default: 90,
+            min: 1
+        },
+        weeklySessions: [weeklySessionSchema],
+        exceptions: [scheduleExceptionSchema],
+        isActive: {
+            type: Boolean,
+            default: true
+        },
+        updatedBy: {
+            type: Schema.Types.ObjectId,
+            ref: 'User'
+        }
+    },
+    {
+        timestamps: true
+    }
+);
+
+/**
+ * Indexes for optimized queries
+ */
+doctorScheduleSchema.index({ doctorProfileId: 1 });
+doctorScheduleSchema.index({ 'exceptions.startDate': 1, 'exceptions.endDate': 1 });
+
+/**
+ * Pre-validate middleware: Validate session and exception windows
+ */
+doctorScheduleSchema.pre('validate', function(next) {
+    for (const session of this.weeklySessions) {
+        if (timeToMinutes(session.startTime) >= timeToMinutes(session.endTime)) {
+            return next(new Error(`Session on ${WEEKDAY_NAMES[session.dayOfWeek]} must end after it starts`));
+        }
+    }
+
+    for (const exception of this.exceptions) {
+        if (exception.endDate < exception.startDate) {
+            return next(new Error('Exception end date cannot be before its start date'));
+        }
+        if (Boolean(exception.startTime) !== Boolean(exception.endTime)) {
+            return next(new Error('Exception start and end times must be provided together'));
+        }
+        if (exception.startTime && timeToMinutes(exception.startTime) >= timeToMinutes(exception.endTime)) {
+            return next(new Error('Exception must end after it starts'));
+        }
+        if (exception.type === 'extra_clinic' && !exception.startTime) {
+            return next(new Error('Extra clinic exceptions require start and end times'));
+        }
+    }
+
+    next();
+});
+
+/**
+ * Remove a [start, end) minute window from a list of sessions, splitting where needed
+ */
+const subtractWindow = (sessions, windowStart, windowEnd) => {
+    const result = [];
+
+    sessions.forEach(session => {
+        const start = timeToMinutes(session.startTime);
+        const end = timeToMinutes(session.endTime);
+
+        if (windowEnd <= start || windowStart >= end) {
+            result.push(session);
+            return;
+        }
+        if (windowStart > start) {
+            result.push({ ...session, endTime: minutesToTime(windowStart) });
+        }
+        if (windowEnd < end) {
+            result.push({ ...session, startTime: minutesToTime(windowEnd) });
+        }
+    });
+
+    return result;
+};
+
+/**
+ * Instance Method: Get exceptions that apply to a calendar date
+ */
+doctorScheduleSchema.methods.getExceptionsForDate = function(date) {
+    const dateKey = toDateKey(date);
+    return this.exceptions.filter(exception =>
+        toDateKey(exception.startDate) <= dateKey && dateKey <= toDateKey(exception.endDate)
+    );
+};
+
+/**
+ * Instance Method: Resolve working sessions for a calendar date
+ *
+ * Applies the weekly template, then extra clinics, then leave/holiday/blocked
+ * windows. Each session carries the slot duration for the requested
+ * appointment type so it can be fed straight into generateAppointmentSlots.
+ */
+doctorScheduleSchema.methods.getSessionsForDate = function(date, appointmentType = null) {
+    if (!this.isActive) return [];
+
+    const day = new Date(date);
+    const exceptions = this.getExceptionsForDate(day);
+
+    const toSession = (source) => ({
+        startTime: source.startTime,
+        endTime: source.endTime,
+        location: source.location || 'Main Clinic',
+        appointmentTypes: source.appointmentTypes?.length ? [...source.appointmentTypes] : [...APPOINTMENT_TYPES],
+        slotDurations: source.slotDurations?.toObject ? source.slotDurations.toObject() : { ...(source.slotDurations || {}) },
+        maxVideoPerSlot: source.maxVideoPerSlot || 10
+    });
+
+    let sessions = this.weeklySessions
+        .filter(session => session.dayOfWeek === day.getDay())
+        .map(toSession);
+
+    exceptions
+        .filter(exception => exception.type === 'extra_clinic')
+        .forEach(exception => sessions.push(toSession(exception)));
+
+    exceptions
+        .filter(exception => exception.type !== 'extra_clinic')
+        .forEach(exception => {
+            sessions = exception.startTime
+                ? subtractWindow(sessions, timeToMinutes(exception.startTime), timeToMinutes(exception.endTime))
+                : [];
+        });
+
+    return sessions
+        .filter(session => !appointmentType || session.appointmentTypes.includes(appointmentType))
+        .map(session => ({
+            ...session,
+            slotDuration: session.slotDurations[appointmentType || 'in-person'] || this.defaultSlotDuration
+        }))
+        .sort((a, b) => timeToMinutes(a.startTime) - timeToMinutes(b.startTime));
+};
+
+/**
+ * Instance Method: Weekday abbreviations with at least one session
+ */
+doctorScheduleSchema.methods.getWorkingDays = function() {
+    const days = new Set(this.weeklySessions.map(session => session.dayOfWeek));
+    // Keep Monday-first ordering used by Doctor.availability
+    return [1, 2, 3, 4, 5, 6, 0].filter(day => days.has(day)).map(day => WEEKDAY_NAMES[day]);
+};
+
+/**
+ * Static Method: Build the default template for a set of weekday names
+ *
+ * Mirrors the previous hardcoded hours: 09:00-13:00 and 14:00-17:00.
+ */
+doctorScheduleSchema.statics.buildDefaultSessions = function(workingDays = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri']) {
+    const sessions = [];
+
+    workingDays.forEach(dayName => {
+        const dayOfWeek = WEEKDAY_NAMES.findIndex(name => name.toLowerCase() === String(dayName).slice(0, 3).toLowerCase());
+        if (dayOfWeek === -1) return;
+
+        sessions.push({ dayOfWeek, startTime: '09:00', endTime: '13:00' });
+        sessions.push({ dayOfWeek, startTime: '14:00', endTime: '17:00' });
+    });
+
+    return sessions;
+};
+
+/**
+ * Export DoctorSchedule model with overwrite protection
+ */
+export const DoctorSchedule = mongoose.models.DoctorSchedule || mongoose.model("DoctorSchedule", doctorScheduleSchema);
+
+export { APPOINTMENT_TYPES, WEEKDAY_NAMES };
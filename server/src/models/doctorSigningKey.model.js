@@ -0,0 +1,61 @@
+/**
+ * Healthcare System - Doctor Signing Key Model
+ *
+ * Ed25519 key pairs doctors sign e-prescriptions with. The private key is
+ * held encrypted and never leaves the server; retired keys are kept so
+ * prescriptions signed with them still verify.
+ */
+
+import mongoose, { Schema } from "mongoose";
+
+const doctorSigningKeySchema = new Schema(
+    {
+        doctorId: {
+            type: Schema.Types.ObjectId,
+            ref: 'User',
+            required: true
+        },
+        algorithm: {
+            type: String,
+            enum: ['ed25519'],
+            default: 'ed25519'
+        },
+        // SPKI PEM
+        publicKey: {
+            type: String,
+            required: true
+        },
+        // PKCS#8 PEM, AES-256-GCM encrypted (iv:tag:ciphertext)
+        privateKey: {
+            type: String,
+            required: true,
+            select: false
+        },
+        // SHA-256 of the public key, shown on printed prescriptions
+        fingerprint: {
+            type: String,
+            required: true
+        },
+        isActive: {
+            type: Boolean,
+            default: true
+        },
+        retiredAt: Date
+    },
+    {
+        timestamps: true
+    }
+);
+
+/**
+ * Indexes for optimized queries
+ */
+doctorSigningKeySchema.index(
+    { doctorId: 1 },
+    { unique: true, partialFilterExpression: { isActive: true } }
+);
+
+/**
+ * Export DoctorSigningKey model with overwrite protection
+ */
+export const DoctorSigningKey = mongoose.models.DoctorSigningKey || mongoose.model("DoctorSigningKey", doctorSigningKeySchema);
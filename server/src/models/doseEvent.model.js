@@ -0,0 +1,113 @@
+/**
+ * Healthcare System - Dose Event Model
+ *
+ * One scheduled dose and what happened to it. Doses come from a prescription
+ * MedicationSchedule or from a medicine the patient added to their health
+ * monitor; every change of status is kept in `history`.
+ */
+
+import mongoose, { Schema } from "mongoose";
+
+export const DOSE_STATUSES = ['pending', 'taken', 'late', 'skipped', 'missed'];
+
+const doseHistorySchema = new Schema({
+    status: {
+        type: String,
+        enum: DOSE_STATUSES,
+        required: true
+    },
+    at: {
+        type: Date,
+        default: Date.now
+    },
+    by: {
+        type: Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    // system: marked missed by the adherence job
+    source: {
+        type: String,
+        enum: ['patient', 'staff', 'system'],
+        default: 'patient'
+    }
+}, { _id: false });
+
+const doseEventSchema = new Schema(
+    {
+        patientId: {
+            type: Schema.Types.ObjectId,
+            ref: 'Patient'
+        },
+        userId: {
+            type: Schema.Types.ObjectId,
+            ref: 'User',
+            required: true
+        },
+        // Prescription doses
+        scheduleId: {
+            type: Schema.Types.ObjectId,
+            ref: 'MedicationSchedule'
+        },
+        prescriptionId: {
+            type: Schema.Types.ObjectId,
+            ref: 'Prescription'
+        },
+        // Self-logged health monitor medicines
+        medicationId: {
+            type: Schema.Types.ObjectId,
+            ref: 'Medication'
+        },
+        medicationName: {
+            type: String,
+            required: true,
+            trim: true
+        },
+        dosage: String,
+        scheduledFor: {
+            type: Date,
+            required: true
+        },
+        status: {
+            type: String,
+            enum: DOSE_STATUSES,
+            default: 'pending'
+        },
+        takenAt: Date,
+        skipReason: {
+            type: String,
+            trim: true,
+            maxlength: 300
+        },
+        note: {
+            type: String,
+            trim: true,
+            maxlength: 500
+        },
+        history: [doseHistorySchema],
+        // Set when this missed dose was reported to the doctor/caregivers
+        escalatedAt: Date
+    },
+    {
+        timestamps: true
+    }
+);
+
+/**
+ * Indexes for optimized queries
+ */
+doseEventSchema.index(
+    { scheduleId: 1, scheduledFor: 1 },
+    { unique: true, partialFilterExpression: { scheduleId: { $exists: true } } }
+);
+doseEventSchema.index(
+    { medicationId: 1, scheduledFor: 1 },
+    { unique: true, partialFilterExpression: { medicationId: { $exists: true } } }
+);
+doseEventSchema.index({ userId: 1, scheduledFor: -1 });
+doseEventSchema.index({ patientId: 1, scheduledFor: -1 });
+doseEventSchema.index({ status: 1, scheduledFor: 1 });
+
+/**
+ * Export DoseEvent model with overwrite protection
+ */
+export const DoseEvent = mongoose.models.DoseEvent || mongoose.model("DoseEvent", doseEventSchema);
@@ -0,0 +1,106 @@
+/**
+ * Healthcare System - Emergency Access Model
+ *
+ * Break-the-glass grants: a clinician outside a patient's care team opens
+ * the record in an emergency by giving a justification. Grants expire after
+ * a short window, every use is audited, and each grant stays in the admin
+ * review queue until it is signed off.
+ */
+
+import mongoose, { Schema } from "mongoose";
+
+// Shortest justification accepted, so "emergency" alone is not enough
+export const MIN_JUSTIFICATION_LENGTH = 20;
+
+const emergencyAccessSchema = new Schema(
+    {
+        providerId: {
+            type: Schema.Types.ObjectId,
+            ref: 'User',
+            required: [true, 'Provider reference is required']
+        },
+        patientId: {
+            type: Schema.Types.ObjectId,
+            ref: 'Patient',
+            required: [true, 'Patient reference is required']
+        },
+        reason: {
+            type: String,
+            required: [true, 'A justification is required for emergency access'],
+            trim: true,
+            minlength: [MIN_JUSTIFICATION_LENGTH, `Justification must be at least ${MIN_JUSTIFICATION_LENGTH} characters`],
+            maxlength: [1000, 'Justification cannot exceed 1000 characters']
+        },
+        status: {
+            type: String,
+            enum: {
+                values: ['active', 'ended'],
+                message: '{VALUE} is not a valid emergency access status'
+            },
+            default: 'active'
+        },
+        grantedAt: {
+            type: Date,
+            default: Date.now
+        },
+        expiresAt: {
+            type: Date,
+            required: true
+        },
+        // Set when the provider or a reviewer closes the grant early
+        endedAt: Date,
+
+        // Usage
+        accessCount: {
+            type: Number,
+            default: 0
+        },
+        lastAccessedAt: Date,
+        ipAddress: String,
+        userAgent: String,
+
+        // Sign-off
+        review: {
+            status: {
+                type: String,
+                enum: {
+                    values: ['pending', 'approved', 'flagged'],
+                    message: '{VALUE} is not a valid review status'
+                },
+                default: 'pending'
+            },
+            reviewedBy: {
+                type: Schema.Types.ObjectId,
+                ref: 'User'
+            },
+            reviewedAt: Date,
+            notes: {
+                type: String,
+                trim: true,
+                maxlength: [1000, 'Review notes cannot exceed 1000 characters']
+            }
+        }
+    },
+    {
+        timestamps: true
+    }
+);
+
+/**
+ * Indexes for optimized queries
+ */
+emergencyAccessSchema.index({ providerId: 1, patientId: 1, status: 1, expiresAt: 1 });
+emergencyAccessSchema.index({ 'review.status': 1, grantedAt: -1 });
+emergencyAccessSchema.index({ patientId: 1, grantedAt: -1 });
+
+/**
+ * Virtual: Whether the grant still allows access
+ */
+emergencyAccessSchema.virtual('isActive').get(function() {
+    return this.status === 'active' && this.expiresAt > new Date();
+});
+
+/**
+ * Export EmergencyAccess model with overwrite protection
+ */
+export const EmergencyAccess = mongoose.models.EmergencyAccess || mongoose.model("EmergencyAccess", emergencyAccessSchema);
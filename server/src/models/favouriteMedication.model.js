@@ -0,0 +1,53 @@
+/**
+ * Healthcare System - Favourite Medication Model
+ *
+ * A doctor's frequently prescribed drugs with the dosing they usually use.
+ * Every prescription a doctor writes counts towards their favourites; drugs
+ * they pin stay at the top of the list.
+ */
+
+import mongoose, { Schema } from "mongoose";
+import { templateMedicationSchema } from "./prescriptionTemplate.model.js";
+
+const favouriteMedicationSchema = new Schema(
+    {
+        doctorId: {
+            type: Schema.Types.ObjectId,
+            ref: 'User',
+            required: true
+        },
+        // Normalised medication name + strength (letters and digits only), one favourite per drug
+        key: {
+            type: String,
+            required: true
+        },
+        // Dosing from the doctor's most recent prescription of this drug
+        medication: {
+            type: templateMedicationSchema,
+            required: true
+        },
+        isPinned: {
+            type: Boolean,
+            default: false
+        },
+        usageCount: {
+            type: Number,
+            default: 0
+        },
+        lastUsedAt: Date
+    },
+    {
+        timestamps: true
+    }
+);
+
+/**
+ * Indexes for optimized queries
+ */
+favouriteMedicationSchema.index({ doctorId: 1, key: 1 }, { unique: true });
+favouriteMedicationSchema.index({ doctorId: 1, isPinned: -1, usageCount: -1 });
+
+/**
+ * Export FavouriteMedication model with overwrite protection
+ */
+export const FavouriteMedication = mongoose.models.FavouriteMedication || mongoose.model("FavouriteMedication", favouriteMedicationSchema);
@@ -0,0 +1,89 @@
+/**
+ * Healthcare System - Health Package Model
+ *
+ * Prepaid bundles of services sold at one price, e.g. four consultations
+ * and an annual health checkup, used up by bookings within a validity
+ * period.
+ */
+
+import mongoose, { Schema } from "mongoose";
+
+// Services a package credit can be used for, each consumed by a booking
+export const PACKAGE_SERVICES = ['consultation', 'health-checkup'];
+
+const entitlementSchema = new Schema({
+    service: {
+        type: String,
+        enum: PACKAGE_SERVICES,
+        required: true
+    },
+    quantity: {
+        type: Number,
+        required: true,
+        min: 1
+    },
+    description: {
+        type: String,
+        trim: true
+    }
+}, { _id: false });
+
+const healthPackageSchema = new Schema(
+    {
+        name: {
+            type: String,
+            required: [true, 'Package name is required'],
+            trim: true,
+            maxlength: 100
+        },
+        description: {
+            type: String,
+            trim: true,
+            maxlength: 1000
+        },
+        price: {
+            type: Number,
+            required: [true, 'Package price is required'],
+            min: 1
+        },
+        currency: {
+            type: String,
+            default: 'INR',
+            uppercase: true
+        },
+        // Days the credits stay usable after purchase
+        validityDays: {
+            type: Number,
+            default: 365,
+            min: 1
+        },
+        entitlements: {
+            type: [entitlementSchema],
+            validate: {
+                validator: (entitlements) => entitlements.length > 0,
+                message: 'A package needs at least one entitlement'
+            }
+        },
+        isActive: {
+            type: Boolean,
+            default: true
+        },
+        createdBy: {
+            type: Schema.Types.ObjectId,
+            ref: 'User'
+        }
+    },
+    {
+        timestamps: true
+    }
+);
+
+/**
+ * Indexes for optimized queries
+ */
+healthPackageSchema.index({ isActive: 1, price: 1 });
+
+/**
+ * Export HealthPackage model with overwrite protection
+ */
+export const HealthPackage = mongoose.models.HealthPackage || mongoose.model("HealthPackage", healthPackageSchema);
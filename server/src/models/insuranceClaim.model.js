@@ -0,0 +1,246 @@
+/**
+ * Healthcare System - Insurance Claim Model
+ *
+ * A cashless claim to the patient's insurer for an invoice, or a
+ * pre-authorisation asked for before a procedure or lab test. Claims carry
+ * the coverage/copay split worked out from the patient's policy, every
+ * status change, and the remittances reconciled from explanation-of-benefit
+ * (EOB) files.
+ */
+
+import mongoose, { Schema } from "mongoose";
+
+export const CLAIM_TYPES = ['claim', 'pre-authorisation'];
+
+export const CLAIM_STATUSES = ['draft', 'submitted', 'approved', 'partially-paid', 'paid', 'denied', 'cancelled'];
+
+// Claim status → statuses it can move to
+export const CLAIM_TRANSITIONS = {
+    claim: {
+        draft: ['submitted', 'cancelled'],
+        submitted: ['approved', 'partially-paid', 'paid', 'denied'],
+        approved: ['partially-paid', 'paid', 'denied'],
+        'partially-paid': ['paid'],
+        denied: ['submitted'],
+        paid: [],
+        cancelled: []
+    },
+    'pre-authorisation': {
+        draft: ['submitted', 'cancelled'],
+        submitted: ['approved', 'denied'],
+        approved: ['cancelled'],
+        denied: ['submitted'],
+        cancelled: []
+    }
+};
+
+const remittanceSchema = new Schema({
+    // EOB check/EFT or remittance number, with the file it came from
+    eobReference: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    fileName: String,
+    billedAmount: Number,
+    allowedAmount: Number,
+    paidAmount: {
+        type: Number,
+        default: 0
+    },
+    patientResponsibility: {
+        type: Number,
+        default: 0
+    },
+    // Contractual write-off: billed less what the insurer allows
+    adjustmentAmount: {
+        type: Number,
+        default: 0
+    },
+    denialCode: String,
+    denialReason: String,
+    paidDate: Date,
+    importedBy: {
+        type: Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    importedAt: {
+        type: Date,
+        default: Date.now
+    }
+}, { _id: true });
+
+const insuranceClaimSchema = new Schema(
+    {
+        claimNumber: {
+            type: String,
+            unique: true
+        },
+        type: {
+            type: String,
+            enum: CLAIM_TYPES,
+            default: 'claim'
+        },
+        status: {
+            type: String,
+            enum: CLAIM_STATUSES,
+            default: 'draft'
+        },
+        patientId: {
+            type: Schema.Types.ObjectId,
+            ref: 'Patient',
+            required: true
+        },
+        // Billed user, as on the invoice
+        patientUserId: {
+            type: Schema.Types.ObjectId,
+            ref: 'User',
+            required: true
+        },
+        invoiceId: {
+            type: Schema.Types.ObjectId,
+            ref: 'Invoice'
+        },
+        preAuthorisationId: {
+            type: Schema.Types.ObjectId,
+            ref: 'InsuranceClaim'
+        },
+        // What a pre-authorisation is for
+        service: {
+            kind: {
+                type: String,
+                enum: ['lab_test', 'procedure']
+            },
+            description: {
+                type: String,
+                trim: true
+            },
+            appointmentId: {
+                type: Schema.Types.ObjectId,
+                ref: 'Appointment'
+            }
+        },
+        // Policy as it stood when the claim was made
+        policy: {
+            provider: String,
+            policyNumber: String,
+            groupNumber: String,
+            policyHolderName: String,
+            policyHolderRelationship: String,
+            coveragePercent: Number,
+            copay: Number,
+            deductible: Number
+        },
+        // Estimated split of the bill
+        billedAmount: {
+            type: Number,
+            required: true,
+            min: 0
+        },
+        claimedAmount: {
+            type: Number,
+            required: true,
+            min: 0
+        },
+        patientResponsibility: {
+            type: Number,
+            default: 0,
+            min: 0
+        },
+        split: {
+            copay: Number,
+            deductible: Number,
+            coinsurance: Number
+        },
+        // Insurer's decision and remittances
+        approvedAmount: Number,
+        paidAmount: {
+            type: Number,
+            default: 0
+        },
+        adjustmentAmount: {
+            type: Number,
+            default: 0
+        },
+        payerReference: {
+            type: String,
+            trim: true
+        },
+        authorisationNumber: {
+            type: String,
+            trim: true
+        },
+        // Pre-authorisations lapse if not used by then
+        validUntil: Date,
+        denial: {
+            code: String,
+            reason: String
+        },
+        remittances: [remittanceSchema],
+        // Balance billed back to the patient once the insurer has paid or denied
+        rebill: {
+            amount: Number,
+            dueDate: Date,
+            rebilledAt: Date
+        },
+        statusHistory: [{
+            status: String,
+            at: {
+                type: Date,
+                default: Date.now
+            },
+            by: {
+                type: Schema.Types.ObjectId,
+                ref: 'User'
+            },
+            note: String
+        }],
+        submittedAt: Date,
+        decidedAt: Date,
+        notes: {
+            type: String,
+            trim: true,
+            maxlength: 1000
+        },
+        createdBy: {
+            type: Schema.Types.ObjectId,
+            ref: 'User'
+        }
+    },
+    {
+        timestamps: true
+    }
+);
+
+/**
+ * Indexes for optimized queries
+ */
+insuranceClaimSchema.index({ status: 1, submittedAt: 1 });
+insuranceClaimSchema.index({ patientId: 1, createdAt: -1 });
+insuranceClaimSchema.index({ patientUserId: 1, createdAt: -1 });
+insuranceClaimSchema.index({ invoiceId: 1 });
+
+/**
+ * Virtual: Days since the claim went to the insurer
+ */
+insuranceClaimSchema.virtual('ageInDays').get(function() {
+    if (!this.submittedAt) return 0;
+    return Math.floor((Date.now() - this.submittedAt) / (24 * 60 * 60 * 1000));
+});
+
+/**
+ * Pre-validate middleware: number new claims
+ */
+insuranceClaimSchema.pre('validate', function(next) {
+    if (!this.claimNumber && this.isNew) {
+        const timestamp = Date.now().toString(36).toUpperCase();
+        const random = Math.floor(Math.random() * 1296).toString(36).toUpperCase().padStart(2, '0');
+        this.claimNumber = `${this.type === 'pre-authorisation' ? 'PA' : 'CLM'}-${timestamp}-${random}`;
+    }
+    next();
+});
+
+/**
+ * Export InsuranceClaim model with overwrite protection
+ */
+export const InsuranceClaim = mongoose.models.InsuranceClaim || mongoose.model("InsuranceClaim", insuranceClaimSchema);
@@ -21,9 +21,33 @@ const invoiceItemSchema = new mongoose.Schema({
   },
   type: {
     type: String,
-    enum: ['consultation', 'service', 'medication', 'lab_test', 'other'],
+    enum: ['consultation', 'service', 'medication', 'lab_test', 'delivery', 'other'],
     default: 'other'
   },
+  // HSN code for goods, SAC code for services
+  code: {
+    type: String,
+    trim: true
+  },
+  // Discount on this line in currency; the invoice discountRate applies when unset
+  discount: {
+    type: Number,
+    min: [0, 'Discount cannot be negative']
+  },
+  // GST rate for this line; the invoice taxRate applies when unset
+  taxRate: {
+    type: Number,
+    min: [0, 'Tax rate cannot be negative'],
+    max: [100, 'Tax rate cannot exceed 100%']
+  },
+  taxAmount: {
+    type: Number,
+    default: 0
+  },
+  amount: {
+    type: Number,
+    default: 0
+  },
   notes: {
     type: String,
     trim: true
@@ -44,7 +68,7 @@ const paymentHistorySchema = new mongoose.Schema({
   },
   paymentMethod: {
     type: String,
-    enum: ['credit_card', 'debit_card', 'paypal', 'bank_transfer', 'cash', 'insurance', 'other'],
+    enum: ['credit_card', 'debit_card', 'card', 'upi', 'net_banking', 'wallet', 'online', 'paypal', 'bank_transfer', 'cash', 'insurance', 'other'],
     required: true
   },
   paymentStatus: {
@@ -74,6 +98,24 @@ const invoiceSchema = new mongoose.Schema({
     trim: true,
     index: true
   },
+  // Financial year the number belongs to and its place in that year's sequence
+  financialYear: {
+    type: String
+  },
+  sequence: {
+    type: Number
+  },
+
+  // Billable event the invoice was raised for; one invoice per event
+  source: {
+    kind: {
+      type: String,
+      enum: ['appointment', 'lab_test', 'pharmacy_order', 'payment']
+    },
+    refId: {
+      type: mongoose.Schema.Types.ObjectId
+    }
+  },
 
   // Related entities
   patientId: {
@@ -85,7 +127,6 @@ const invoiceSchema = new mongoose.Schema({
   doctorId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: [true, 'Doctor ID is required'],
     index: true
   },
   consultationId: {
@@ -100,6 +141,14 @@ const invoiceSchema = new mongoose.Schema({
     index: true,
     sparse: true
   },
+  paymentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment'
+  },
+  pharmacyOrderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PharmacyOrder'
+  },
 
   // Invoice details
   items: [invoiceItemSchema],
@@ -137,6 +186,12 @@ const invoiceSchema = new mongoose.Schema({
     required: true,
     min: [0, 'Total cannot be negative']
   },
+  // Credited back through credit notes
+  refundedAmount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Refunded amount cannot be negative']
+  },
 
   // Payment details
   paymentStatus: {
@@ -147,7 +202,7 @@ const invoiceSchema = new mongoose.Schema({
   },
   paymentMethod: {
     type: String,
-    enum: ['credit_card', 'debit_card', 'paypal', 'bank_transfer', 'cash', 'insurance', 'other'],
+    enum: ['credit_card', 'debit_card', 'card', 'upi', 'net_banking', 'wallet', 'online', 'paypal', 'bank_transfer', 'cash', 'insurance', 'other'],
     default: 'other'
   },
   paymentDate: {
@@ -157,14 +212,20 @@ const invoiceSchema = new mongoose.Schema({
 
   // Insurance details (if applicable)
   insuranceClaim: {
+    claimId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'InsuranceClaim'
+    },
     provider: String,
     policyNumber: String,
     claimNumber: String,
     coverageAmount: Number,
+    // Patient's share: the estimate until the insurer decides, then what is re-billed
     copayAmount: Number,
+    insurerPaidAmount: Number,
     status: {
       type: String,
-      enum: ['pending', 'approved', 'denied', 'paid']
+      enum: ['pending', 'approved', 'denied', 'partially_paid', 'paid']
     }
   },
 
@@ -182,7 +243,7 @@ const invoiceSchema = new mongoose.Schema({
   // Additional information
   currency: {
     type: String,
-    default: 'USD',
+    default: 'INR',
     uppercase: true,
     trim: true
   },
@@ -242,6 +303,11 @@ const invoiceSchema = new mongoose.Schema({
 invoiceSchema.index({ patientId: 1, createdAt: -1 });
 invoiceSchema.index({ doctorId: 1, createdAt: -1 });
 invoiceSchema.index({ paymentStatus: 1, dueDate: 1 });
+invoiceSchema.index(
+  { 'source.kind': 1, 'source.refId': 1 },
+  { unique: true, partialFilterExpression: { 'source.refId': { $exists: true } } }
+);
+invoiceSchema.index({ paymentId: 1 });
 
 // Virtual for days overdue
 invoiceSchema.virtual('daysOverdue').get(function() {
@@ -278,33 +344,35 @@ invoiceSchema.virtual('paymentProgress').get(function() {
   return 0;
 });
 
-// Pre-save middleware to calculate totals
-invoiceSchema.pre('save', function(next) {
+// Pre-validate middleware to calculate totals, so the required totals are set before validation
+invoiceSchema.pre('validate', function(next) {
   try {
     // Recalculate totals if items are modified
     if (this.isModified('items') || this.isNew) {
-      // Calculate subtotal
-      this.subtotal = this.items.reduce((sum, item) => {
-        return sum + (item.price * item.quantity);
-      }, 0);
-
-      // Calculate discount
-      this.discountAmount = (this.subtotal * this.discountRate) / 100;
+      const round = (value) => Number(value.toFixed(2));
+      let subtotal = 0;
+      let discountAmount = 0;
+      let taxAmount = 0;
 
-      // Calculate taxable amount after discount
-      const taxableAmount = this.subtotal - this.discountAmount;
+      // Tax is worked out per line, so lines can carry different GST rates
+      this.items.forEach(item => {
+        const gross = item.price * item.quantity;
+        const discount = item.discount ?? (gross * this.discountRate) / 100;
+        const taxRate = item.taxRate ?? this.taxRate;
 
-      // Calculate tax
-      this.taxAmount = (taxableAmount * this.taxRate) / 100;
+        item.taxAmount = round(((gross - discount) * taxRate) / 100);
+        item.amount = round(gross - discount + item.taxAmount);
 
-      // Calculate total
-      this.total = taxableAmount + this.taxAmount;
+        subtotal += gross;
+        discountAmount += discount;
+        taxAmount += item.taxAmount;
+      });
 
       // Round to 2 decimal places
-      this.subtotal = Number(this.subtotal.toFixed(2));
-      this.discountAmount = Number(this.discountAmount.toFixed(2));
-      this.taxAmount = Number(this.taxAmount.toFixed(2));
-      this.total = Number(this.total.toFixed(2));
+      this.subtotal = round(subtotal);
+      this.discountAmount = round(discountAmount);
+      this.taxAmount = round(taxAmount);
+      this.total = round(this.subtotal - this.discountAmount + this.taxAmount);
     }
 
     // Update payment status based on date
@@ -473,6 +541,6 @@ invoiceSchema.statics.getOutstandingInvoices = async function() {
   }).populate('patientId', 'name email phone');
 };
 
-const Invoice = mongoose.model('Invoice', invoiceSchema);
+export const Invoice = mongoose.models.Invoice || mongoose.model('Invoice', invoiceSchema);
 
 export default Invoice;
\ No newline at end of file
@@ -0,0 +1,48 @@
+/**
+ * Healthcare System - Invoice Sequence Model
+ *
+ * One running counter per number series and financial year, so invoice and
+ * credit note numbers go up by one with no gaps. Numbers taken for a document
+ * that then failed to save are kept in `released` and handed out again before
+ * the counter moves on.
+ */
+
+import mongoose, { Schema } from "mongoose";
+
+const invoiceSequenceSchema = new Schema(
+    {
+        // Number prefix: INV for invoices, CN for credit notes
+        series: {
+            type: String,
+            required: true,
+            default: 'INV'
+        },
+        // Indian financial year, April to March (e.g. "2026-27")
+        financialYear: {
+            type: String,
+            required: true
+        },
+        lastNumber: {
+            type: Number,
+            default: 0,
+            min: 0
+        },
+        released: {
+            type: [Number],
+            default: []
+        }
+    },
+    {
+        timestamps: true
+    }
+);
+
+/**
+ * Indexes for optimized queries
+ */
+invoiceSequenceSchema.index({ series: 1, financialYear: 1 }, { unique: true });
+
+/**
+ * Export InvoiceSequence model with overwrite protection
+ */
+export const InvoiceSequence = mongoose.models.InvoiceSequence || mongoose.model("InvoiceSequence", invoiceSequenceSchema);
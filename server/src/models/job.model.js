@@ -0,0 +1,174 @@
+/**
+ * Healthcare System - Job Model
+ *
+ * Persistent background job queue. Recurring jobs carry a cron expression
+ * and are rescheduled after every run; one-off jobs run once at runAt.
+ * Workers claim a job by atomically taking its lock, so several server
+ * instances can share the queue without running a job twice.
+ */
+
+import mongoose, { Schema } from "mongoose";
+
+// Runs kept per job for the admin view
+export const JOB_HISTORY_LIMIT = 20;
+
+const jobRunSchema = new Schema({
+    startedAt: Date,
+    finishedAt: Date,
+    durationMs: Number,
+    status: {
+        type: String,
+        enum: ['succeeded', 'failed']
+    },
+    attempt: Number,
+    workerId: String,
+    error: String,
+    result: Schema.Types.Mixed
+}, { _id: false });
+
+const jobSchema = new Schema(
+    {
+        // Handler name registered with the scheduler
+        name: {
+            type: String,
+            required: [true, 'Job name is required'],
+            trim: true
+        },
+        type: {
+            type: String,
+            enum: {
+                values: ['recurring', 'once'],
+                message: '{VALUE} is not a valid job type'
+            },
+            default: 'once'
+        },
+        cron: {
+            type: String,
+            trim: true
+        },
+        payload: {
+            type: Schema.Types.Mixed,
+            default: {}
+        },
+        // De-duplicates jobs, e.g. one document per recurring job
+        uniqueKey: {
+            type: String,
+            trim: true
+        },
+        status: {
+            type: String,
+            enum: {
+                values: ['scheduled', 'running', 'completed', 'failed', 'cancelled'],
+                message: '{VALUE} is not a valid job status'
+            },
+            default: 'scheduled'
+        },
+        runAt: {
+            type: Date,
+            required: [true, 'Run time is required'],
+            default: Date.now
+        },
+
+        // Retries
+        attempts: {
+            type: Number,
+            default: 0
+        },
+        maxAttempts: {
+            type: Number,
+            min: [1, 'A job needs at least one attempt'],
+            default: 3
+        },
+        backoff: {
+            strategy: {
+                type: String,
+                enum: ['fixed', 'exponential'],
+                default: 'exponential'
+            },
+            delayMs: {
+                type: Number,
+                default: 30000
+            }
+        },
+
+        // Locking
+        lockedBy: String,
+        lockedUntil: Date,
+
+        // Outcome
+        lastRunAt: Date,
+        lastFinishedAt: Date,
+        lastError: String,
+        runs: [jobRunSchema],
+
+        createdBy: {
+            type: Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        cancelledAt: Date
+    },
+    {
+        timestamps: true
+    }
+);
+
+/**
+ * Indexes for optimized queries
+ */
+jobSchema.index({ status: 1, runAt: 1 });
+jobSchema.index({ status: 1, lockedUntil: 1 });
+jobSchema.index({ uniqueKey: 1 }, { unique: true, sparse: true });
+jobSchema.index({ name: 1, createdAt: -1 });
+
+/**
+ * Pre-validate middleware: Recurring jobs need a cron expression
+ */
+jobSchema.pre('validate', function(next) {
+    if (this.type === 'recurring' && !this.cron) {
+        return next(new Error('Recurring jobs need a cron expression'));
+    }
+    next();
+});
+
+/**
+ * Instance Method: Delay before the next retry
+ */
+jobSchema.methods.getRetryDelay = function() {
+    const { strategy = 'exponential', delayMs = 30000 } = this.backoff || {};
+    if (strategy === 'fixed') return delayMs;
+    return delayMs * 2 ** Math.max(0, this.attempts - 1);
+};
+
+/**
+ * Static Method: Atomically claim the next due job for a worker
+ *
+ * Also picks up jobs whose worker died mid-run (lock expired while running).
+ */
+jobSchema.statics.claimNext = function(workerId, lockMs, names) {
+    const now = new Date();
+
+    return this.findOneAndUpdate(
+        {
+            name: { $in: names },
+            $or: [
+                { status: 'scheduled', runAt: { $lte: now } },
+                { status: 'running', lockedUntil: { $lt: now } }
+            ]
+        },
+        {
+            $set: {
+                status: 'running',
+                lockedBy: workerId,
+                lockedUntil: new Date(now.getTime() + lockMs),
+                lastRunAt: now
+            },
+            $inc: { attempts: 1 }
+        },
+        { new: true, sort: { runAt: 1 } }
+    );
+};
+
+/**
+ * Export Job model with overwrite protection
+ */
+export const Job = mongoose.models.Job || mongoose.model("Job", jobSchema);
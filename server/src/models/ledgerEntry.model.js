@@ -0,0 +1,180 @@
+/**
+ * Healthcare System - Ledger Entry Model
+ *
+ * Double-entry journal for money held on behalf of patients: wallet
+ * balances and prepaid health package credits. Every entry's debits equal
+ * its credits, so the accounts always balance and any wallet can be
+ * recomputed from its entries.
+ */
+
+import mongoose, { Schema } from "mongoose";
+
+/**
+ * Ledger accounts and the side their balance normally sits on
+ *
+ * wallet             - what each user holds in their wallet (per user)
+ * package-liability  - prepaid package credits not yet used (per package)
+ * gateway-clearing   - money collected through the payment gateway
+ * revenue            - services delivered against a wallet or package
+ * refunds            - fees given back to a wallet
+ */
+export const LEDGER_ACCOUNTS = {
+    wallet: 'credit',
+    'package-liability': 'credit',
+    'gateway-clearing': 'debit',
+    revenue: 'credit',
+    refunds: 'debit'
+};
+
+export const LEDGER_ENTRY_TYPES = [
+    'top-up',
+    'payment',
+    'refund',
+    'package-purchase',
+    'package-redemption',
+    'package-reversal',
+    'package-expiry',
+    'reversal'
+];
+
+// Slack for sums of rupee amounts kept as floating point
+const MONEY_EPSILON = 0.005;
+
+const ledgerLineSchema = new Schema({
+    account: {
+        type: String,
+        enum: Object.keys(LEDGER_ACCOUNTS),
+        required: true
+    },
+    direction: {
+        type: String,
+        enum: ['debit', 'credit'],
+        required: true
+    },
+    amount: {
+        type: Number,
+        required: true,
+        min: 0.01
+    },
+    // Sub-ledger: whose wallet, or which purchased package
+    userId: {
+        type: Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    patientPackageId: {
+        type: Schema.Types.ObjectId,
+        ref: 'PatientPackage'
+    },
+    // Wallet balance once this line was applied
+    balanceAfter: Number
+}, { _id: false });
+
+const ledgerEntrySchema = new Schema(
+    {
+        entryNumber: {
+            type: String,
+            unique: true
+        },
+        type: {
+            type: String,
+            enum: LEDGER_ENTRY_TYPES,
+            required: true
+        },
+        // Pending until the wallet balances it moves have been applied
+        status: {
+            type: String,
+            enum: ['pending', 'posted', 'void'],
+            default: 'pending'
+        },
+        lines: {
+            type: [ledgerLineSchema],
+            validate: {
+                validator: (lines) => lines.length >= 2,
+                message: 'A ledger entry needs at least two lines'
+            }
+        },
+        // Total of either side
+        amount: {
+            type: Number,
+            required: true,
+            min: 0
+        },
+        currency: {
+            type: String,
+            default: 'INR',
+            uppercase: true
+        },
+        description: {
+            type: String,
+            trim: true
+        },
+        // Payment, refund, appointment or purchased package the entry is for
+        reference: {
+            kind: {
+                type: String,
+                enum: ['payment', 'refund', 'appointment', 'patient-package', 'ledger-entry']
+            },
+            id: Schema.Types.ObjectId
+        },
+        // One entry per event, however many times the event is reported
+        idempotencyKey: {
+            type: String,
+            unique: true,
+            sparse: true
+        },
+        reversedBy: {
+            type: Schema.Types.ObjectId,
+            ref: 'LedgerEntry'
+        },
+        voidReason: String,
+        postedAt: Date,
+        createdBy: {
+            type: Schema.Types.ObjectId,
+            ref: 'User'
+        }
+    },
+    {
+        timestamps: true
+    }
+);
+
+/**
+ * Indexes for optimized queries
+ */
+ledgerEntrySchema.index({ 'lines.account': 1, 'lines.userId': 1, createdAt: -1 });
+ledgerEntrySchema.index({ 'lines.patientPackageId': 1 });
+ledgerEntrySchema.index({ 'reference.kind': 1, 'reference.id': 1 });
+ledgerEntrySchema.index({ status: 1, createdAt: -1 });
+ledgerEntrySchema.index({ type: 1, createdAt: -1 });
+
+/**
+ * Pre-validate middleware: number the entry and check that it balances
+ */
+ledgerEntrySchema.pre('validate', function(next) {
+    if (!this.entryNumber && this.isNew) {
+        const timestamp = Date.now().toString(36).toUpperCase();
+        const random = Math.floor(Math.random() * 46656).toString(36).toUpperCase().padStart(3, '0');
+        this.entryNumber = `JE-${timestamp}-${random}`;
+    }
+
+    const total = (direction) => this.lines
+        .filter(line => line.direction === direction)
+        .reduce((sum, line) => sum + line.amount, 0);
+    const debits = total('debit');
+    const credits = total('credit');
+    if (Math.abs(debits - credits) > MONEY_EPSILON) {
+        this.invalidate('lines', `Debits (${debits}) do not equal credits (${credits})`);
+    }
+    this.amount = Math.round(debits * 100) / 100;
+
+    const walletWithoutUser = this.lines.some(line => line.account === 'wallet' && !line.userId);
+    if (walletWithoutUser) {
+        this.invalidate('lines', 'Wallet lines must name the wallet holder');
+    }
+    next();
+});
+
+/**
+ * Export LedgerEntry model with overwrite protection
+ */
+export const LedgerEntry = mongoose.models.LedgerEntry || mongoose.model("LedgerEntry", ledgerEntrySchema);
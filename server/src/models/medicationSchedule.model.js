@@ -0,0 +1,86 @@
+/**
+ * Healthcare System - Medication Schedule Model
+ *
+ * When a patient takes each medicine on a prescription. One schedule is
+ * generated per prescribed medication from its frequency, timing and
+ * duration; the doses it produces are logged as DoseEvents.
+ */
+
+import mongoose, { Schema } from "mongoose";
+
+const medicationScheduleSchema = new Schema(
+    {
+        patientId: {
+            type: Schema.Types.ObjectId,
+            ref: 'Patient',
+            required: true
+        },
+        // Patient's user account, who records the doses
+        userId: {
+            type: Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        prescriptionId: {
+            type: Schema.Types.ObjectId,
+            ref: 'Prescription',
+            required: true
+        },
+        // Prescription.medications entry this schedule was generated from
+        prescriptionMedicationId: {
+            type: Schema.Types.ObjectId,
+            required: true
+        },
+        doctorId: {
+            type: Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        medicationName: {
+            type: String,
+            required: true,
+            trim: true
+        },
+        strength: String,
+        dosage: String,
+        frequency: String,
+        timing: String,
+        // Local clock times ("08:00"), empty for as-needed medicines
+        doseTimes: [{
+            type: String,
+            match: [/^\d{2}:\d{2}$/, 'Dose times must be HH:mm']
+        }],
+        asNeeded: {
+            type: Boolean,
+            default: false
+        },
+        startDate: {
+            type: Date,
+            required: true
+        },
+        endDate: {
+            type: Date,
+            required: true
+        },
+        status: {
+            type: String,
+            enum: ['active', 'completed', 'stopped'],
+            default: 'active'
+        },
+        // Last time missed doses were escalated to the doctor and caregivers
+        lastEscalatedAt: Date
+    },
+    {
+        timestamps: true
+    }
+);
+
+/**
+ * Indexes for optimized queries
+ */
+medicationScheduleSchema.index({ prescriptionId: 1, prescriptionMedicationId: 1 }, { unique: true });
+medicationScheduleSchema.index({ status: 1, endDate: 1 });
+medicationScheduleSchema.index({ patientId: 1, status: 1 });
+
+/**
+ * Export MedicationSchedule model with overwrite protection
+ */
+export const MedicationSchedule = mongoose.models.MedicationSchedule || mongoose.model("MedicationSchedule", medicationScheduleSchema);
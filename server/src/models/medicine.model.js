@@ -34,6 +34,13 @@ const medicineSchema = new Schema(
             min: [0, "Discount price cannot be negative"],
             default: null
         },
+        // GST percentage charged on this medicine; the store default applies when unset
+        gstRate: {
+            type: Number,
+            min: [0, "GST rate cannot be negative"],
+            max: [28, "GST rate cannot exceed 28%"],
+            default: null
+        },
         stock: {
             type: Number,
             required: [true, "Stock is required"],
@@ -48,6 +55,21 @@ const medicineSchema = new Schema(
             type: String,
             default: "Tablet"
         },
+        // Active ingredients (drug knowledge base ids) and strength, e.g. ["paracetamol"], "650 mg"
+        activeIngredients: {
+            type: [String],
+            default: []
+        },
+        strength: {
+            type: String,
+            trim: true
+        },
+        // Medicines sharing ingredients, strength and form are interchangeable; derived on validate
+        substitutionGroup: {
+            type: String,
+            default: null,
+            index: true
+        },
         packaging: {
             type: String,
             default: "Standard packaging"
@@ -70,4 +92,42 @@ const medicineSchema = new Schema(
     }
 );
 
+const FORM_ALIASES = {
+    tab: 'tablet', tabs: 'tablet', tablets: 'tablet',
+    cap: 'capsule', caps: 'capsule', capsules: 'capsule',
+    syp: 'syrup', syrups: 'syrup',
+    inj: 'injection', injections: 'injection'
+};
+
+const UNIT_TO_MG = { mg: 1, g: 1000, gm: 1000, mcg: 0.001, µg: 0.001 };
+
+/**
+ * Canonical strength: masses in mg, other units kept, ingredients joined by "+"
+ * ("500mg/125mg" and "0.5 g + 125 mg" both give "500mg+125mg")
+ */
+export const normalizeStrength = (strength) => {
+    const parts = [...String(strength || '').toLowerCase().matchAll(/(\d+(?:\.\d+)?)\s*(mg|gm|g|mcg|µg|ml|iu|%)/g)];
+    return parts.map(([, amount, unit]) => UNIT_TO_MG[unit]
+        ? `${parseFloat((parseFloat(amount) * UNIT_TO_MG[unit]).toFixed(3))}mg`
+        : `${parseFloat(amount)}${unit}`
+    ).join('+');
+};
+
+/**
+ * Substitution group key, or null when ingredients or strength are unknown
+ */
+export const substitutionGroupFor = ({ activeIngredients = [], strength, form }) => {
+    const ingredients = [...new Set(activeIngredients.map(id => String(id).toLowerCase()))].sort();
+    const normalizedStrength = normalizeStrength(strength);
+    if (!ingredients.length || !normalizedStrength) return null;
+
+    const formKey = String(form || 'tablet').toLowerCase().replace(/[^a-z]/g, '');
+    return [ingredients.join('+'), normalizedStrength, FORM_ALIASES[formKey] || formKey].join('|');
+};
+
+medicineSchema.pre('validate', function(next) {
+    this.substitutionGroup = substitutionGroupFor(this);
+    next();
+});
+
 export const Medicine = mongoose.models.Medicine || mongoose.model("Medicine", medicineSchema);
@@ -441,7 +441,7 @@ notificationSchema.statics.findFailedForRetry = async function() {
     
     return await this.find({
         status: 'failed',
-        retryCount: { $lt: '$maxRetries' },
+        $expr: { $lt: ['$retryCount', '$maxRetries'] },
         $or: [
             { lastRetryAt: { $exists: false } },
             { lastRetryAt: { $lt: fiveMinutesAgo } }
@@ -0,0 +1,128 @@
+/**
+ * Healthcare System - Patient Package Model
+ *
+ * A health package a user has bought: the credits left on it, the value of
+ * those credits still held as a liability, and every booking that used one.
+ */
+
+import mongoose, { Schema } from "mongoose";
+import { PACKAGE_SERVICES } from "./healthPackage.model.js";
+
+const creditSchema = new Schema({
+    service: {
+        type: String,
+        enum: PACKAGE_SERVICES,
+        required: true
+    },
+    total: {
+        type: Number,
+        required: true,
+        min: 1
+    },
+    remaining: {
+        type: Number,
+        required: true,
+        min: 0
+    }
+}, { _id: false });
+
+const redemptionSchema = new Schema({
+    service: {
+        type: String,
+        enum: PACKAGE_SERVICES
+    },
+    appointmentId: {
+        type: Schema.Types.ObjectId,
+        ref: 'Appointment'
+    },
+    // Share of the package price recognised for this use
+    value: Number,
+    redeemedAt: {
+        type: Date,
+        default: Date.now
+    },
+    reversedAt: Date,
+    ledgerEntryId: {
+        type: Schema.Types.ObjectId,
+        ref: 'LedgerEntry'
+    }
+});
+
+const patientPackageSchema = new Schema(
+    {
+        userId: {
+            type: Schema.Types.ObjectId,
+            ref: 'User',
+            required: true
+        },
+        packageId: {
+            type: Schema.Types.ObjectId,
+            ref: 'HealthPackage',
+            required: true
+        },
+        // Package as sold
+        name: {
+            type: String,
+            required: true
+        },
+        price: {
+            type: Number,
+            required: true,
+            min: 0
+        },
+        currency: {
+            type: String,
+            default: 'INR'
+        },
+        paymentId: {
+            type: Schema.Types.ObjectId,
+            ref: 'Payment',
+            required: true,
+            unique: true
+        },
+        status: {
+            type: String,
+            enum: ['active', 'exhausted', 'expired', 'cancelled'],
+            default: 'active'
+        },
+        credits: [creditSchema],
+        // Value of the unused credits, still owed to the patient
+        deferredBalance: {
+            type: Number,
+            required: true,
+            min: 0
+        },
+        redemptions: [redemptionSchema],
+        purchasedAt: {
+            type: Date,
+            default: Date.now
+        },
+        expiresAt: {
+            type: Date,
+            required: true
+        },
+        closedAt: Date
+    },
+    {
+        timestamps: true
+    }
+);
+
+/**
+ * Indexes for optimized queries
+ */
+patientPackageSchema.index({ userId: 1, status: 1, expiresAt: 1 });
+patientPackageSchema.index({ status: 1, expiresAt: 1 });
+patientPackageSchema.index({ 'redemptions.appointmentId': 1 });
+
+/**
+ * Virtual: Credits left across all services
+ */
+patientPackageSchema.virtual('creditsRemaining').get(function() {
+    return (this.credits || []).reduce((sum, credit) => sum + credit.remaining, 0);
+});
+
+/**
+ * Export PatientPackage model with overwrite protection
+ */
+export const PatientPackage = mongoose.models.PatientPackage || mongoose.model("PatientPackage", patientPackageSchema);
@@ -31,9 +31,14 @@ const paymentSchema = new Schema(
         },
         serviceType: {
             type: String,
-            enum: ['consultation', 'procedure', 'lab-test', 'pharmacy', 'other'],
+            enum: ['consultation', 'procedure', 'lab-test', 'pharmacy', 'wallet-topup', 'health-package', 'other'],
             required: true
         },
+        // Catalogue package a health-package payment buys
+        healthPackageId: {
+            type: Schema.Types.ObjectId,
+            ref: 'HealthPackage'
+        },
         serviceDescription: {
             type: String,
             required: true,
@@ -203,6 +208,20 @@ const paymentSchema = new Schema(
         },
         
         // Refund Information
+        // Total paid back so far; each refund is an entry in the Refund ledger
+        refundedAmount: {
+            type: Number,
+            default: 0,
+            min: 0
+        },
+        // Refunded plus refunds still awaiting approval or the gateway, so
+        // refunds in flight cannot together exceed the payment
+        refundReserved: {
+            type: Number,
+            default: 0,
+            min: 0
+        },
+        // Most recent refund
         refund: {
             refundId: String,
             refundAmount: Number,
@@ -304,6 +323,7 @@ const paymentSchema = new Schema(
 paymentSchema.index({ userId: 1, createdAt: -1 });
 paymentSchema.index({ appointmentId: 1 });
 paymentSchema.index({ status: 1, createdAt: -1 });
+paymentSchema.index({ gatewayReference: 1 });
 // paymentSchema.index({ transactionId: 1 });
 // paymentSchema.index({ 'invoice.invoiceNumber': 1 });
 paymentSchema.index({ createdAt: 1 });
@@ -325,8 +345,8 @@ paymentSchema.virtual('isSuccessful').get(function() {
  * Virtual: Is Refundable
  */
 paymentSchema.virtual('isRefundable').get(function() {
-    return this.status === 'completed' && 
-           !this.refund?.refundAmount &&
+    return ['completed', 'partially-refunded'].includes(this.status) &&
+           (this.refundReserved || 0) < this.amount &&
            this.completedAt > new Date(Date.now() - 90 * 24 * 60 * 60 * 1000); // 90 days
 });
 
@@ -350,7 +370,7 @@ paymentSchema.virtual('formattedAmount').get(function() {
 });
 
 /**
- * Pre-save middleware: Calculate total amount and generate invoice number
+ * Pre-save middleware: Calculate total amount and invoice due date
  */
 paymentSchema.pre('validate', function(next) {
     // Calculate total amount
@@ -365,12 +385,7 @@ paymentSchema.pre('validate', function(next) {
         }
     }
     
-    // Generate invoice number if not present
-    if (!this.invoice.invoiceNumber && this.isNew) {
-        const timestamp = Date.now().toString().slice(-6);
-        const random = Math.floor(Math.random() * 1000).toString().padStart(3, '0');
-        this.invoice.invoiceNumber = `INV${timestamp}${random}`;
-    }
+    // invoice.invoiceNumber is filled in by the invoicing service once the invoice is issued
     
     // Set due date if not present (30 days from invoice date)
     if (!this.invoice.dueDate) {
@@ -429,10 +444,12 @@ paymentSchema.methods.processRefund = async function(refundAmount, reason, refun
         throw new Error('Payment is not refundable');
     }
     
-    if (refundAmount > this.totalAmount) {
-        throw new Error('Refund amount cannot exceed payment amount');
+    if (refundAmount > this.amount - (this.refundReserved || 0)) {
+        throw new Error('Refund amount exceeds the refundable balance');
     }
     
+    this.refundReserved = (this.refundReserved || 0) + refundAmount;
+    this.refundedAmount = (this.refundedAmount || 0) + refundAmount;
     this.refund = {
         refundAmount: refundAmount,
         refundReason: reason,
@@ -440,7 +457,7 @@ paymentSchema.methods.processRefund = async function(refundAmount, reason, refun
         refundMethod: refundMethod
     };
     
-    this.status = refundAmount === this.totalAmount ? 'refunded' : 'partially-refunded';
+    this.status = this.refundedAmount >= this.amount ? 'refunded' : 'partially-refunded';
     this.refundedAt = new Date();
     
     return await this.save();
@@ -529,7 +546,7 @@ paymentSchema.statics.getStatistics = async function(startDate, endDate) {
                             totalRevenue: { $sum: '$totalAmount' },
                             successfulPayments: { $sum: { $cond: [{ $eq: ['$status', 'completed'] }, 1, 0] } },
                             failedPayments: { $sum: { $cond: [{ $eq: ['$status', 'failed'] }, 1, 0] } },
-                            refundedAmount: { $sum: { $ifNull: ['$refund.refundAmount', 0] } }
+                            refundedAmount: { $sum: { $ifNull: ['$refundedAmount', { $ifNull: ['$refund.refundAmount', 0] }] } }
                         }
                     }
                 ],
@@ -0,0 +1,92 @@
+/**
+ * Healthcare System - Payment Discrepancy Model
+ *
+ * A difference between our payment records and the gateway's settlement
+ * report, raised by reconciliation for an admin to look into. Each kind of
+ * difference is recorded once per gateway payment or refund, however many
+ * reconciliation runs see it.
+ */
+
+import mongoose, { Schema } from "mongoose";
+
+/**
+ * missing-payment        - the gateway settled a payment we have no record of
+ * amount-mismatch        - settled amount differs from our payment
+ * status-mismatch        - settled, but our payment isn't complete
+ * unsettled-payment      - our completed payment never appeared in a settlement
+ * missing-refund         - the gateway settled a refund we have no record of
+ * refund-amount-mismatch - settled refund amount differs from ours
+ */
+export const DISCREPANCY_KINDS = [
+    'missing-payment',
+    'amount-mismatch',
+    'status-mismatch',
+    'unsettled-payment',
+    'missing-refund',
+    'refund-amount-mismatch'
+];
+
+const paymentDiscrepancySchema = new Schema(
+    {
+        kind: {
+            type: String,
+            enum: DISCREPANCY_KINDS,
+            required: true
+        },
+        status: {
+            type: String,
+            enum: ['open', 'resolved'],
+            default: 'open'
+        },
+        // Gateway id of the payment or refund in question
+        gatewayEntityId: {
+            type: String,
+            required: true
+        },
+        paymentId: {
+            type: Schema.Types.ObjectId,
+            ref: 'Payment'
+        },
+        refundId: {
+            type: Schema.Types.ObjectId,
+            ref: 'Refund'
+        },
+        settlementEntryId: {
+            type: Schema.Types.ObjectId,
+            ref: 'SettlementEntry'
+        },
+        // Our amount and the gateway's, in rupees
+        expectedAmount: Number,
+        reportedAmount: Number,
+        detail: String,
+        firstDetectedAt: {
+            type: Date,
+            default: Date.now
+        },
+        lastDetectedAt: {
+            type: Date,
+            default: Date.now
+        },
+        resolvedAt: Date,
+        // Unset when a later run found the difference gone
+        resolvedBy: {
+            type: Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        resolutionNote: String
+    },
+    {
+        timestamps: true
+    }
+);
+
+/**
+ * Indexes for optimized queries
+ */
+paymentDiscrepancySchema.index({ kind: 1, gatewayEntityId: 1 }, { unique: true });
+paymentDiscrepancySchema.index({ status: 1, lastDetectedAt: -1 });
+
+/**
+ * Export PaymentDiscrepancy model with overwrite protection
+ */
+export const PaymentDiscrepancy = mongoose.models.PaymentDiscrepancy || mongoose.model("PaymentDiscrepancy", paymentDiscrepancySchema);
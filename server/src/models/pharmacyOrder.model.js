@@ -1,5 +1,15 @@
 import mongoose, { Schema } from "mongoose";
 
+export const ORDER_STATUSES = [
+    'pending',          // placed, awaiting payment or pharmacist confirmation
+    'confirmed',        // accepted by the pharmacy
+    'packed',           // ready for a rider to collect
+    'out_for_delivery', // with the rider
+    'delivered',        // handed over against the delivery OTP
+    'cancelled',        // stopped before it left the pharmacy
+    'returned'          // came back from the rider or the customer
+];
+
 const pharmacyOrderItemSchema = new Schema({
     medicineId: {
         type: Schema.Types.ObjectId,
@@ -20,7 +30,23 @@ const pharmacyOrderItemSchema = new Schema({
     price: {
         type: Number,
         required: true
-    }
+    },
+    gstRate: {
+        type: Number
+    },
+    gstAmount: {
+        type: Number
+    },
+    lineTotal: {
+        type: Number
+    },
+    // Batches the units were picked from when the sale was committed
+    batches: [{
+        _id: false,
+        batchNumber: String,
+        expiryDate: Date,
+        quantity: Number
+    }]
 });
 
 const pharmacyOrderSchema = new Schema(
@@ -43,9 +69,21 @@ const pharmacyOrderSchema = new Schema(
             required: true,
             min: 0
         },
+        // Server-priced cart this order was charged from
+        quoteId: {
+            type: Schema.Types.ObjectId,
+            ref: "CartQuote"
+        },
+        pricing: {
+            subtotal: Number,
+            couponCode: String,
+            couponDiscount: Number,
+            deliveryFee: Number,
+            gstTotal: Number
+        },
         paymentMethod: {
             type: String,
-            enum: ['online', 'cash'],
+            enum: ['online', 'cash', 'wallet'],
             default: 'online'
         },
         paymentStatus: {
@@ -53,11 +91,30 @@ const pharmacyOrderSchema = new Schema(
             enum: ['pending', 'paid', 'failed', 'refunded'],
             default: 'pending'
         },
+        // Moves only along the transitions in pharmacyOrder.service.js
         status: {
             type: String,
-            enum: ['pending', 'confirmed', 'out_for_delivery', 'completed', 'cancelled'],
+            enum: ORDER_STATUSES,
             default: 'pending'
         },
+        statusHistory: [{
+            status: {
+                type: String,
+                enum: ORDER_STATUSES,
+                required: true
+            },
+            at: {
+                type: Date,
+                default: Date.now
+            },
+            by: {
+                type: Schema.Types.ObjectId,
+                ref: "User"
+            },
+            // pharmacist, rider, admin, customer or system
+            role: String,
+            note: String
+        }],
         address: {
             type: String
         },
@@ -65,6 +122,47 @@ const pharmacyOrderSchema = new Schema(
             type: String,
             default: "MedCare Pharmacy"
         },
+        pharmacyId: {
+            type: Schema.Types.ObjectId,
+            ref: "Pharmacy"
+        },
+        // Stock held for this order at pharmacyId
+        stockReservation: {
+            status: {
+                type: String,
+                enum: ['reserved', 'committed', 'released', 'returned', 'shortfall']
+            },
+            expiresAt: Date,
+            committedAt: Date,
+            releasedAt: Date,
+            note: String
+        },
+        // Rx-only lines are covered by one of our prescriptions or an uploaded one a pharmacist reviews
+        prescription: {
+            required: {
+                type: Boolean,
+                default: false
+            },
+            prescriptionId: {
+                type: Schema.Types.ObjectId,
+                ref: "Prescription"
+            },
+            uploadId: {
+                type: Schema.Types.ObjectId,
+                ref: "PrescriptionUpload"
+            },
+            status: {
+                type: String,
+                enum: ['verified', 'pending-review', 'approved', 'rejected']
+            },
+            reviewedBy: {
+                type: Schema.Types.ObjectId,
+                ref: "User"
+            },
+            reviewedAt: Date,
+            reviewNote: String,
+            dispensedAt: Date
+        },
         deliveryDetails: {
             distance: {
                 type: Number,
@@ -74,18 +172,37 @@ const pharmacyOrderSchema = new Schema(
                 type: Number,
                 default: 25
             },
-            riderName: {
-                type: String,
-                default: "Rahul Sharma"
+            // Assigned from the rider roster
+            riderId: {
+                type: Schema.Types.ObjectId,
+                ref: "Rider"
             },
-            riderPhone: {
-                type: String,
-                default: "+91 98765 43210"
+            riderUserId: {
+                type: Schema.Types.ObjectId,
+                ref: "User"
             },
+            riderName: String,
+            riderPhone: String,
+            assignedAt: Date,
+            pickedUpAt: Date,
+            deliveredAt: Date,
             riderLocation: {
                 lat: { type: Number },
                 lng: { type: Number }
             }
+        },
+        // Code the customer gives the rider at the door
+        deliveryOtp: {
+            code: {
+                type: String,
+                select: false
+            },
+            issuedAt: Date,
+            attempts: {
+                type: Number,
+                default: 0
+            },
+            verifiedAt: Date
         }
     },
     {
@@ -93,4 +210,8 @@ const pharmacyOrderSchema = new Schema(
     }
 );
 
+pharmacyOrderSchema.index({ 'deliveryDetails.riderUserId': 1, status: 1 });
+pharmacyOrderSchema.index({ 'stockReservation.status': 1, 'stockReservation.expiresAt': 1 });
+pharmacyOrderSchema.index({ 'prescription.status': 1, createdAt: 1 });
+
 export const PharmacyOrder = mongoose.models.PharmacyOrder || mongoose.model("PharmacyOrder", pharmacyOrderSchema);
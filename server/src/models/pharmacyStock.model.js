@@ -0,0 +1,121 @@
+/**
+ * Healthcare System - Pharmacy Stock Model
+ *
+ * What one pharmacy holds of one medicine, batch by batch. onHand is always
+ * the sum of the batches; `reserved` counts units promised to checkouts that
+ * have not been paid for yet. Change stock only through
+ * pharmacyInventory.service.js so every change lands in the StockMovement
+ * ledger.
+ */
+
+import mongoose, { Schema } from "mongoose";
+
+const batchSchema = new Schema({
+    batchNumber: {
+        type: String,
+        required: [true, "Batch number is required"],
+        trim: true
+    },
+    expiryDate: {
+        type: Date,
+        required: [true, "Expiry date is required"]
+    },
+    quantity: {
+        type: Number,
+        required: true,
+        min: [0, "Batch quantity cannot be negative"]
+    },
+    receivedAt: {
+        type: Date,
+        default: Date.now
+    }
+}, { _id: false });
+
+const pharmacyStockSchema = new Schema(
+    {
+        pharmacyId: {
+            type: Schema.Types.ObjectId,
+            ref: 'Pharmacy',
+            required: true
+        },
+        medicineId: {
+            type: Schema.Types.ObjectId,
+            ref: 'Medicine',
+            required: true
+        },
+        batches: {
+            type: [batchSchema],
+            default: []
+        },
+        // Derived from batches on every save
+        onHand: {
+            type: Number,
+            default: 0,
+            min: 0
+        },
+        reserved: {
+            type: Number,
+            default: 0,
+            min: [0, "Reserved stock cannot be negative"]
+        },
+        // What this pharmacy charges per unit; the catalogue price applies when unset
+        sellingPrice: {
+            type: Number,
+            min: [0, "Price cannot be negative"],
+            default: null
+        },
+        // Alert when sellable stock drops to this level; the store default applies when unset
+        reorderLevel: {
+            type: Number,
+            min: 0,
+            default: null
+        },
+        // Set when a low-stock alert goes out, cleared once stock recovers
+        lowStockAlertedAt: {
+            type: Date,
+            default: null
+        }
+    },
+    {
+        timestamps: true,
+        // Concurrent checkouts touching the same row retry instead of overwriting each other
+        optimisticConcurrency: true,
+        toJSON: { virtuals: true },
+        toObject: { virtuals: true }
+    }
+);
+
+/**
+ * Virtual: Units in batches that have not expired
+ */
+pharmacyStockSchema.virtual('sellable').get(function() {
+    const now = new Date();
+    return this.batches
+        .filter(batch => batch.expiryDate > now)
+        .reduce((sum, batch) => sum + batch.quantity, 0);
+});
+
+/**
+ * Virtual: Units a new checkout can reserve
+ */
+pharmacyStockSchema.virtual('available').get(function() {
+    return Math.max(this.sellable - this.reserved, 0);
+});
+
+pharmacyStockSchema.pre('validate', function(next) {
+    this.batches = this.batches.filter(batch => batch.quantity > 0);
+    this.onHand = this.batches.reduce((sum, batch) => sum + batch.quantity, 0);
+    next();
+});
+
+/**
+ * Indexes for optimized queries
+ */
+pharmacyStockSchema.index({ pharmacyId: 1, medicineId: 1 }, { unique: true });
+pharmacyStockSchema.index({ medicineId: 1 });
+pharmacyStockSchema.index({ 'batches.expiryDate': 1 });
+
+/**
+ * Export PharmacyStock model with overwrite protection
+ */
+export const PharmacyStock = mongoose.models.PharmacyStock || mongoose.model("PharmacyStock", pharmacyStockSchema);
@@ -124,6 +124,11 @@ const prescriptionSchema = new Schema(
             isControlledSubstance: {
                 type: Boolean,
                 default: false
+            },
+            // Dispense the named brand only; pharmacies may not swap in a generic
+            noSubstitution: {
+                type: Boolean,
+                default: false
             }
         }],
         
@@ -141,7 +146,16 @@ const prescriptionSchema = new Schema(
         },
         lastRefillDate: Date,
         nextRefillDate: Date,
-        
+        // Set on prescriptions a doctor issued by approving a refill request
+        renewalOf: {
+            type: Schema.Types.ObjectId,
+            ref: 'Prescription'
+        },
+        refillRequestId: {
+            type: Schema.Types.ObjectId,
+            ref: 'RefillRequest'
+        },
+
         // Pharmacy Information
         pharmacy: {
             name: String,
@@ -186,12 +200,61 @@ const prescriptionSchema = new Schema(
             maxlength: 1000
         },
         warnings: [String],
-        
+
+        // Drug safety check run when the prescription was written
+        safetyReview: {
+            checkedAt: Date,
+            knowledgeBaseVersion: String,
+            highestSeverity: {
+                type: String,
+                enum: ['contraindicated', 'major', 'moderate', 'minor']
+            },
+            findings: [{
+                _id: false,
+                type: {
+                    type: String,
+                    enum: ['interaction', 'duplicate', 'allergy', 'condition', 'age', 'dose']
+                },
+                severity: {
+                    type: String,
+                    enum: ['contraindicated', 'major', 'moderate', 'minor']
+                },
+                medication: String,
+                interactingWith: String,
+                message: String
+            }],
+            // Prescriber's reason for going ahead despite major findings
+            override: {
+                reason: {
+                    type: String,
+                    trim: true,
+                    maxlength: 1000
+                },
+                by: {
+                    type: Schema.Types.ObjectId,
+                    ref: 'User'
+                },
+                at: Date
+            }
+        },
+
         // Digital Signature
         digitalSignature: {
-            doctorSignature: String,
+            doctorSignature: String, // base64url Ed25519 signature over contentHash
             signedDate: Date,
-            signatureUrl: String // Cloudinary URL for scanned signature
+            signatureUrl: String, // Cloudinary URL for scanned signature
+            algorithm: String,
+            keyId: {
+                type: Schema.Types.ObjectId,
+                ref: 'DoctorSigningKey'
+            },
+            // SHA-256 of the canonical prescription contents that were signed
+            contentHash: String,
+            // Secret in the QR code; lets a pharmacy look the prescription up
+            verificationToken: {
+                type: String,
+                select: false
+            }
         },
         
         // Prescription Format
@@ -375,10 +438,10 @@ prescriptionSchema.statics.findNeedRefill = async function() {
         refillsRemaining: { $gt: 0 },
         expiryDate: { $gt: new Date() }
     })
-    .populate('patientId', 'userId')
     .populate({
         path: 'patientId',
-        populate: { path: 'userId', select: 'firstName lastName phoneNumber' }
+        select: 'user',
+        populate: { path: 'user', select: 'firstName lastName email phoneNumber' }
     })
     .populate('doctorId', 'firstName lastName');
 };
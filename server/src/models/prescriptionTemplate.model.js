@@ -0,0 +1,154 @@
+/**
+ * Healthcare System - Prescription Template Model
+ *
+ * Named medication sets a doctor prescribes for common cases. Templates are
+ * private to their owner unless shared with the owner's department; a doctor
+ * loads one into a new prescription and edits it for the patient before
+ * saving.
+ */
+
+import mongoose, { Schema } from "mongoose";
+
+/**
+ * Medication defaults, in Prescription.medications shape
+ */
+export const templateMedicationSchema = new Schema({
+    medicationName: {
+        type: String,
+        required: [true, 'Medication name is required'],
+        trim: true
+    },
+    genericName: {
+        type: String,
+        trim: true
+    },
+    strength: {
+        type: String,
+        trim: true
+    },
+    form: {
+        type: String,
+        enum: ['tablet', 'capsule', 'syrup', 'injection', 'ointment', 'inhaler', 'other'],
+        default: 'tablet'
+    },
+    dosage: {
+        type: String,
+        trim: true
+    },
+    frequency: {
+        type: String,
+        trim: true
+    },
+    timing: {
+        type: String,
+        enum: ['before-food', 'after-food', 'with-food', 'empty-stomach', 'as-needed'],
+        default: 'after-food'
+    },
+    duration: {
+        value: { type: Number, min: 1 },
+        unit: {
+            type: String,
+            enum: ['days', 'weeks', 'months'],
+            default: 'days'
+        }
+    },
+    quantity: {
+        type: Number,
+        min: 1
+    },
+    route: {
+        type: String,
+        enum: ['oral', 'topical', 'inhalation', 'injection', 'other'],
+        default: 'oral'
+    },
+    instructions: {
+        type: String,
+        trim: true,
+        maxlength: 500
+    },
+    noSubstitution: {
+        type: Boolean,
+        default: false
+    }
+}, { _id: false });
+
+const prescriptionTemplateSchema = new Schema(
+    {
+        doctorId: {
+            type: Schema.Types.ObjectId,
+            ref: 'User',
+            required: true
+        },
+        name: {
+            type: String,
+            required: [true, 'Template name is required'],
+            trim: true,
+            maxlength: 100
+        },
+        description: {
+            type: String,
+            trim: true,
+            maxlength: 500
+        },
+        diagnosis: {
+            type: String,
+            trim: true
+        },
+        medications: {
+            type: [templateMedicationSchema],
+            validate: {
+                validator: (medications) => medications.length > 0,
+                message: 'A template needs at least one medication'
+            }
+        },
+        patientInstructions: {
+            type: String,
+            trim: true,
+            maxlength: 1000
+        },
+        // private: owner only; department: every doctor in `department`
+        visibility: {
+            type: String,
+            enum: {
+                values: ['private', 'department'],
+                message: '{VALUE} is not a valid template visibility'
+            },
+            default: 'private'
+        },
+        // Owner's department when the template was shared
+        department: {
+            type: String,
+            trim: true
+        },
+        usage: {
+            count: {
+                type: Number,
+                default: 0
+            },
+            lastUsedAt: Date,
+            // Doctors who have prescribed from this template
+            doctors: [{
+                type: Schema.Types.ObjectId,
+                ref: 'User'
+            }]
+        },
+        isArchived: {
+            type: Boolean,
+            default: false
+        }
+    },
+    {
+        timestamps: true
+    }
+);
+
+/**
+ * Indexes for optimized queries
+ */
+prescriptionTemplateSchema.index({ doctorId: 1, isArchived: 1, 'usage.count': -1 });
+prescriptionTemplateSchema.index({ visibility: 1, department: 1, isArchived: 1 });
+
+/**
+ * Export PrescriptionTemplate model with overwrite protection
+ */
+export const PrescriptionTemplate = mongoose.models.PrescriptionTemplate || mongoose.model("PrescriptionTemplate", prescriptionTemplateSchema);
@@ -0,0 +1,61 @@
+/**
+ * Healthcare System - Prescription Upload Model
+ *
+ * A photo or scan of a paper prescription a patient attaches to a pharmacy
+ * order for Rx-only medicines. A pharmacist reviews it with the order it was
+ * attached to; the order cannot move past `pending` until they approve.
+ */
+
+import mongoose, { Schema } from "mongoose";
+
+const prescriptionUploadSchema = new Schema(
+    {
+        userId: {
+            type: Schema.Types.ObjectId,
+            ref: 'User',
+            required: true
+        },
+        patientId: {
+            type: Schema.Types.ObjectId,
+            ref: 'Patient'
+        },
+        fileUrl: {
+            type: String,
+            required: [true, 'Prescription file is required']
+        },
+        fileName: String,
+        fileType: String,
+        status: {
+            type: String,
+            enum: {
+                values: ['pending', 'approved', 'rejected'],
+                message: '{VALUE} is not a valid review status'
+            },
+            default: 'pending'
+        },
+        reviewedBy: {
+            type: Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        reviewedAt: Date,
+        reviewNote: {
+            type: String,
+            trim: true,
+            maxlength: 500
+        }
+    },
+    {
+        timestamps: true
+    }
+);
+
+/**
+ * Indexes for optimized queries
+ */
+prescriptionUploadSchema.index({ userId: 1, createdAt: -1 });
+prescriptionUploadSchema.index({ status: 1, createdAt: 1 });
+
+/**
+ * Export PrescriptionUpload model with overwrite protection
+ */
+export const PrescriptionUpload = mongoose.models.PrescriptionUpload || mongoose.model("PrescriptionUpload", prescriptionUploadSchema);
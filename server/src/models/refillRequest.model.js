@@ -0,0 +1,116 @@
+/**
+ * Healthcare System - Refill Request Model
+ *
+ * A patient's request for more of a prescription, waiting in the prescribing
+ * doctor's inbox. The doctor approves it as written or modified (issuing a
+ * new prescription), denies it with a reason, or asks for a follow-up visit.
+ */
+
+import mongoose, { Schema } from "mongoose";
+
+export const REFILL_STATUSES = ['pending', 'approved', 'modified', 'denied', 'follow-up-required', 'cancelled'];
+
+const refillRequestSchema = new Schema(
+    {
+        prescriptionId: {
+            type: Schema.Types.ObjectId,
+            ref: 'Prescription',
+            required: true
+        },
+        patientId: {
+            type: Schema.Types.ObjectId,
+            ref: 'Patient',
+            required: true
+        },
+        requestedBy: {
+            type: Schema.Types.ObjectId,
+            ref: 'User',
+            required: true
+        },
+        // Prescribing doctor, whose inbox the request lands in
+        doctorId: {
+            type: Schema.Types.ObjectId,
+            ref: 'User',
+            required: true
+        },
+        pharmacyId: {
+            type: Schema.Types.ObjectId,
+            ref: 'Pharmacy'
+        },
+        notes: {
+            type: String,
+            trim: true,
+            maxlength: 500
+        },
+        // Patient asked for the approved medicines to be put in a pharmacy cart
+        wantsOrderDraft: {
+            type: Boolean,
+            default: false
+        },
+        status: {
+            type: String,
+            enum: REFILL_STATUSES,
+            default: 'pending'
+        },
+        decision: {
+            by: {
+                type: Schema.Types.ObjectId,
+                ref: 'User'
+            },
+            at: Date,
+            // Required when denying or asking for a follow-up
+            reason: {
+                type: String,
+                trim: true,
+                maxlength: 500
+            },
+            note: {
+                type: String,
+                trim: true,
+                maxlength: 1000
+            }
+        },
+        // Prescription issued on approval
+        newPrescriptionId: {
+            type: Schema.Types.ObjectId,
+            ref: 'Prescription'
+        },
+        // Catalogue medicines the patient can check out against the new prescription
+        orderDraft: {
+            pharmacyId: {
+                type: Schema.Types.ObjectId,
+                ref: 'Pharmacy'
+            },
+            items: [{
+                _id: false,
+                medicineId: {
+                    type: Schema.Types.ObjectId,
+                    ref: 'Medicine'
+                },
+                name: String,
+                quantity: Number
+            }],
+            // Prescribed medicines with no catalogue match
+            unmatched: [String],
+            createdAt: Date
+        }
+    },
+    {
+        timestamps: true
+    }
+);
+
+/**
+ * Indexes for optimized queries
+ */
+refillRequestSchema.index(
+    { prescriptionId: 1 },
+    { unique: true, partialFilterExpression: { status: 'pending' } }
+);
+refillRequestSchema.index({ doctorId: 1, status: 1, createdAt: 1 });
+refillRequestSchema.index({ patientId: 1, createdAt: -1 });
+
+/**
+ * Export RefillRequest model with overwrite protection
+ */
+export const RefillRequest = mongoose.models.RefillRequest || mongoose.model("RefillRequest", refillRequestSchema);
@@ -0,0 +1,134 @@
+/**
+ * Healthcare System - Refund Model
+ *
+ * One entry in a payment's refund ledger. A payment can be refunded in several
+ * parts; each part is requested, approved when it is over the approver's
+ * limit, then paid back through the gateway (or by hand for cash and manual
+ * payments), or to the payer's wallet when they ask, and credited against
+ * the invoice.
+ */
+
+import mongoose, { Schema } from "mongoose";
+
+export const REFUND_STATUSES = ['pending-approval', 'processing', 'processed', 'failed', 'rejected'];
+
+// Where the money goes: back to how it was paid, or into the payer's wallet
+export const REFUND_DESTINATIONS = ['original', 'wallet'];
+
+const refundSchema = new Schema(
+    {
+        paymentId: {
+            type: Schema.Types.ObjectId,
+            ref: 'Payment',
+            required: true
+        },
+        // Payer, so patients can see their own refunds
+        userId: {
+            type: Schema.Types.ObjectId,
+            ref: 'User',
+            required: true
+        },
+        appointmentId: {
+            type: Schema.Types.ObjectId,
+            ref: 'Appointment'
+        },
+        amount: {
+            type: Number,
+            required: true,
+            min: [0.01, 'Refund amount must be positive']
+        },
+        currency: {
+            type: String,
+            default: 'INR',
+            uppercase: true
+        },
+        reason: {
+            type: String,
+            trim: true,
+            maxlength: 500
+        },
+        source: {
+            type: String,
+            enum: ['manual', 'cancellation-policy'],
+            default: 'manual'
+        },
+        // Cancellation policy tier that set the amount
+        policy: {
+            hoursBefore: Number,
+            percent: Number,
+            cancelledBy: String
+        },
+        status: {
+            type: String,
+            enum: REFUND_STATUSES,
+            default: 'processing'
+        },
+        requestedBy: {
+            type: Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        // 'system' for refunds raised by the cancellation policy
+        requestedByRole: {
+            type: String,
+            required: true
+        },
+        approval: {
+            required: {
+                type: Boolean,
+                default: false
+            },
+            by: {
+                type: Schema.Types.ObjectId,
+                ref: 'User'
+            },
+            at: Date,
+            note: {
+                type: String,
+                trim: true,
+                maxlength: 500
+            }
+        },
+        destination: {
+            type: String,
+            enum: REFUND_DESTINATIONS,
+            default: 'original'
+        },
+        // Back through the payment gateway, paid out by hand, or credited to the wallet
+        method: {
+            type: String,
+            enum: ['gateway', 'manual', 'wallet']
+        },
+        gatewayRefundId: String,
+        processedAt: Date,
+        failureReason: String,
+        creditNoteId: {
+            type: Schema.Types.ObjectId,
+            ref: 'CreditNote'
+        },
+        // Wallet or package ledger entry the refund posted, if any
+        ledgerEntryId: {
+            type: Schema.Types.ObjectId,
+            ref: 'LedgerEntry'
+        }
+    },
+    {
+        timestamps: true
+    }
+);
+
+/**
+ * Indexes for optimized queries
+ */
+refundSchema.index({ paymentId: 1, createdAt: -1 });
+refundSchema.index({ status: 1, createdAt: -1 });
+refundSchema.index({ userId: 1, createdAt: -1 });
+// A cancelled appointment gets at most one policy refund
+refundSchema.index(
+    { appointmentId: 1 },
+    { unique: true, partialFilterExpression: { source: 'cancellation-policy' } }
+);
+
+/**
+ * Export Refund model with overwrite protection
+ */
+export const Refund = mongoose.models.Refund || mongoose.model("Refund", refundSchema);
@@ -0,0 +1,76 @@
+/**
+ * Healthcare System - Rider Model
+ *
+ * Delivery riders on the pharmacy roster. Each rider is a user with the
+ * `rider` role; pharmacists assign available riders to packed orders and a
+ * rider carries one order at a time.
+ */
+
+import mongoose, { Schema } from "mongoose";
+
+const riderSchema = new Schema(
+    {
+        userId: {
+            type: Schema.Types.ObjectId,
+            ref: 'User',
+            required: true,
+            unique: true
+        },
+        name: {
+            type: String,
+            required: [true, 'Rider name is required'],
+            trim: true
+        },
+        phone: {
+            type: String,
+            required: [true, 'Rider phone number is required'],
+            trim: true
+        },
+        vehicleNumber: {
+            type: String,
+            trim: true,
+            uppercase: true
+        },
+        // Home pharmacy; riders without one deliver for any pharmacy
+        pharmacyId: {
+            type: Schema.Types.ObjectId,
+            ref: 'Pharmacy',
+            default: null
+        },
+        status: {
+            type: String,
+            enum: {
+                values: ['available', 'on-delivery', 'off-duty'],
+                message: '{VALUE} is not a valid rider status'
+            },
+            default: 'off-duty'
+        },
+        // PharmacyOrder.orderId the rider is carrying
+        currentOrderId: {
+            type: String,
+            default: null
+        },
+        lastAssignedAt: Date,
+        deliveriesCompleted: {
+            type: Number,
+            default: 0
+        },
+        isActive: {
+            type: Boolean,
+            default: true
+        }
+    },
+    {
+        timestamps: true
+    }
+);
+
+/**
+ * Indexes for optimized queries
+ */
+riderSchema.index({ isActive: 1, status: 1, pharmacyId: 1, lastAssignedAt: 1 });
+
+/**
+ * Export Rider model with overwrite protection
+ */
+export const Rider = mongoose.models.Rider || mongoose.model("Rider", riderSchema);
@@ -0,0 +1,59 @@
+/**
+ * Healthcare System - Security Policy Model
+ *
+ * Account security rules admins can change at runtime. There is a single
+ * policy document; read it with SecurityPolicy.getPolicy().
+ */
+
+import mongoose, { Schema } from "mongoose";
+
+export const POLICY_ROLES = ['patient', 'doctor', 'admin', 'technician', 'staff', 'pharmacist', 'rider'];
+
+// Roles that must use two-factor authentication until an admin says otherwise
+export const DEFAULT_TWO_FACTOR_ROLES = ['doctor', 'admin'];
+
+const securityPolicySchema = new Schema(
+    {
+        key: {
+            type: String,
+            default: 'default',
+            unique: true
+        },
+        twoFactor: {
+            // Users in these roles are enrolled at their next login and challenged every login after
+            requiredRoles: {
+                type: [{
+                    type: String,
+                    enum: {
+                        values: POLICY_ROLES,
+                        message: '{VALUE} is not a valid role'
+                    }
+                }],
+                default: DEFAULT_TWO_FACTOR_ROLES
+            }
+        },
+        updatedBy: {
+            type: Schema.Types.ObjectId,
+            ref: 'User'
+        }
+    },
+    {
+        timestamps: true
+    }
+);
+
+/**
+ * Static Method: The policy, created with defaults on first read
+ */
+securityPolicySchema.statics.getPolicy = async function() {
+    return this.findOneAndUpdate(
+        { key: 'default' },
+        { $setOnInsert: { key: 'default' } },
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+};
+
+/**
+ * Export SecurityPolicy model with overwrite protection
+ */
+export const SecurityPolicy = mongoose.models.SecurityPolicy || mongoose.model("SecurityPolicy", securityPolicySchema);
@@ -0,0 +1,108 @@
+/**
+ * Healthcare System - Session Model
+ *
+ * One document per signed-in device. Each session is a refresh-token
+ * family: every refresh swaps the token for a new one and only the hash of
+ * the newest is kept, so presenting an older token from the same family
+ * means it was copied, and the whole session is revoked.
+ */
+
+import mongoose, { Schema } from "mongoose";
+
+// Days a revoked or expired session is kept for the user's security history
+const SESSION_RETENTION_SECONDS = 30 * 24 * 60 * 60;
+
+const sessionSchema = new Schema(
+    {
+        userId: {
+            type: Schema.Types.ObjectId,
+            ref: 'User',
+            required: [true, 'User reference is required']
+        },
+
+        // Refresh-token rotation
+        tokenHash: {
+            type: String,
+            required: true,
+            select: false
+        },
+        // Hash of the token this one replaced, tolerated briefly so two
+        // tabs refreshing at once are not mistaken for token theft
+        previousTokenHash: {
+            type: String,
+            select: false
+        },
+        rotatedAt: Date,
+        rotationCount: {
+            type: Number,
+            default: 0
+        },
+
+        // Device
+        device: {
+            name: { type: String, trim: true, maxlength: 100 },
+            type: {
+                type: String,
+                enum: ['desktop', 'mobile', 'tablet', 'unknown'],
+                default: 'unknown'
+            },
+            browser: String,
+            os: String
+        },
+        ipAddress: String,
+        userAgent: String,
+        authMethod: {
+            type: String,
+            enum: ['password', 'google'],
+            default: 'password'
+        },
+
+        // Lifetime
+        lastUsedAt: {
+            type: Date,
+            default: Date.now
+        },
+        lastIpAddress: String,
+        expiresAt: {
+            type: Date,
+            required: true
+        },
+        revokedAt: Date,
+        revokedReason: {
+            type: String,
+            enum: {
+                values: ['logout', 'revoked-by-user', 'token-reuse', 'password-changed', 'account-deleted', 'revoked-by-admin'],
+                message: '{VALUE} is not a valid revocation reason'
+            }
+        }
+    },
+    {
+        timestamps: true
+    }
+);
+
+/**
+ * Indexes for optimized queries
+ */
+sessionSchema.index({ userId: 1, revokedAt: 1, lastUsedAt: -1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: SESSION_RETENTION_SECONDS });
+
+/**
+ * Virtual: Whether the session can still be refreshed
+ */
+sessionSchema.virtual('isActive').get(function() {
+    return !this.revokedAt && this.expiresAt > new Date();
+});
+
+/**
+ * Static Method: Sessions a user is currently signed in with
+ */
+sessionSchema.statics.findActiveForUser = function(userId) {
+    return this.find({ userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+        .sort({ lastUsedAt: -1 });
+};
+
+/**
+ * Export Session model with overwrite protection
+ */
+export const Session = mongoose.models.Session || mongoose.model("Session", sessionSchema);
@@ -0,0 +1,92 @@
+/**
+ * Healthcare System - Settlement Entry Model
+ *
+ * One line of a payment gateway's settlement report: a payment, refund or
+ * adjustment the gateway says it settled. Imported from the report CSV and
+ * matched against our own payments and refunds.
+ */
+
+import mongoose, { Schema } from "mongoose";
+
+export const SETTLEMENT_ENTITY_TYPES = ['payment', 'refund', 'adjustment', 'other'];
+
+const settlementEntrySchema = new Schema(
+    {
+        gateway: {
+            type: String,
+            enum: ['razorpay'],
+            default: 'razorpay'
+        },
+        // Gateway id of the payment or refund, e.g. pay_… or rfnd_…
+        entityId: {
+            type: String,
+            required: true,
+            trim: true
+        },
+        entityType: {
+            type: String,
+            enum: SETTLEMENT_ENTITY_TYPES,
+            required: true
+        },
+        // Payment a refund belongs to, and the order a payment was for
+        gatewayPaymentId: String,
+        orderId: String,
+        // Gross amount in rupees, before the gateway's fee and tax
+        amount: {
+            type: Number,
+            required: true
+        },
+        fee: Number,
+        tax: Number,
+        currency: {
+            type: String,
+            default: 'INR',
+            uppercase: true
+        },
+        method: String,
+        transactionAt: Date,
+        settlementId: String,
+        settlementUtr: String,
+        settledAt: Date,
+        // Report file the line came from
+        importBatch: {
+            fileName: String,
+            importedAt: Date,
+            importedBy: {
+                type: Schema.Types.ObjectId,
+                ref: 'User'
+            }
+        },
+        reconciliation: {
+            status: {
+                type: String,
+                enum: ['pending', 'matched', 'mismatched'],
+                default: 'pending'
+            },
+            paymentId: {
+                type: Schema.Types.ObjectId,
+                ref: 'Payment'
+            },
+            refundId: {
+                type: Schema.Types.ObjectId,
+                ref: 'Refund'
+            },
+            checkedAt: Date
+        }
+    },
+    {
+        timestamps: true
+    }
+);
+
+/**
+ * Indexes for optimized queries
+ */
+settlementEntrySchema.index({ gateway: 1, entityType: 1, entityId: 1 }, { unique: true });
+settlementEntrySchema.index({ 'reconciliation.status': 1 });
+settlementEntrySchema.index({ settledAt: -1 });
+
+/**
+ * Export SettlementEntry model with overwrite protection
+ */
+export const SettlementEntry = mongoose.models.SettlementEntry || mongoose.model("SettlementEntry", settlementEntrySchema);
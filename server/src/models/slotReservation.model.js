@@ -0,0 +1,100 @@
+/**
+ * Healthcare System - Slot Reservation Model
+ *
+ * One document per doctor per slot start time. The unique index on
+ * (doctorId, slotStart) makes concurrent bookings for the same slot
+ * collide in the database instead of both succeeding. Each seat is a
+ * short-lived checkout hold or a confirmed booking; video slots carry
+ * up to `capacity` seats, every other appointment type takes the slot
+ * exclusively.
+ */
+
+import mongoose, { Schema } from "mongoose";
+
+const seatSchema = new Schema({
+    status: {
+        type: String,
+        enum: {
+            values: ['held', 'booked'],
+            message: '{VALUE} is not a valid seat status'
+        },
+        required: true
+    },
+    userId: {
+        type: Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    patientId: {
+        type: Schema.Types.ObjectId,
+        ref: 'Patient'
+    },
+    appointmentId: {
+        type: Schema.Types.ObjectId,
+        ref: 'Appointment'
+    },
+    paymentId: {
+        type: Schema.Types.ObjectId,
+        ref: 'Payment'
+    },
+    appointmentType: {
+        type: String,
+        enum: ['in-person', 'video', 'phone', 'chat'],
+        default: 'in-person'
+    },
+    duration: {
+        type: Number,
+        default: 30
+    },
+    location: String,
+    // Holds lapse at this time unless converted into a booking
+    expiresAt: Date,
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+const slotReservationSchema = new Schema(
+    {
+        doctorId: {
+            type: Schema.Types.ObjectId,
+            ref: 'User',
+            required: [true, 'Doctor reference is required']
+        },
+        slotStart: {
+            type: Date,
+            required: [true, 'Slot start is required']
+        },
+        slotEnd: Date,
+        mode: {
+            type: String,
+            enum: {
+                values: ['exclusive', 'video'],
+                message: '{VALUE} is not a valid reservation mode'
+            },
+            default: 'exclusive'
+        },
+        capacity: {
+            type: Number,
+            default: 1,
+            min: 1
+        },
+        seats: [seatSchema]
+    },
+    {
+        timestamps: true
+    }
+);
+
+/**
+ * Indexes for optimized queries
+ */
+slotReservationSchema.index({ doctorId: 1, slotStart: 1 }, { unique: true });
+slotReservationSchema.index({ 'seats._id': 1 });
+slotReservationSchema.index({ 'seats.appointmentId': 1 });
+slotReservationSchema.index({ 'seats.status': 1, 'seats.expiresAt': 1 });
+
+/**
+ * Export SlotReservation model with overwrite protection
+ */
+export const SlotReservation = mongoose.models.SlotReservation || mongoose.model("SlotReservation", slotReservationSchema);
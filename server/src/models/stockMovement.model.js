@@ -0,0 +1,111 @@
+/**
+ * Healthcare System - Stock Movement Model
+ *
+ * Append-only ledger of every change to pharmacy stock. Replaying a
+ * pharmacy's movements for a medicine reproduces its PharmacyStock row;
+ * corrections are new `adjustment` entries, never edits.
+ */
+
+import mongoose, { Schema } from "mongoose";
+
+export const MOVEMENT_TYPES = [
+    'receipt',      // goods in from a supplier
+    'adjustment',   // stock count correction, damage, loss
+    'reservation',  // held for a checkout awaiting payment
+    'release',      // hold dropped: payment failed, lapsed or order cancelled
+    'sale',         // paid order leaves the shelf
+    'return',       // cancelled or refunded order put back before dispatch
+    'expiry'        // expired batch written off
+];
+
+const stockMovementSchema = new Schema(
+    {
+        pharmacyId: {
+            type: Schema.Types.ObjectId,
+            ref: 'Pharmacy',
+            required: true
+        },
+        medicineId: {
+            type: Schema.Types.ObjectId,
+            ref: 'Medicine',
+            required: true
+        },
+        type: {
+            type: String,
+            enum: {
+                values: MOVEMENT_TYPES,
+                message: '{VALUE} is not a valid stock movement'
+            },
+            required: true
+        },
+        // Signed changes and the balances they left behind
+        onHandChange: {
+            type: Number,
+            default: 0
+        },
+        reservedChange: {
+            type: Number,
+            default: 0
+        },
+        onHandAfter: {
+            type: Number,
+            required: true
+        },
+        reservedAfter: {
+            type: Number,
+            required: true
+        },
+        batchNumber: String,
+        expiryDate: Date,
+        // Checkout the movement belongs to
+        quoteId: {
+            type: Schema.Types.ObjectId,
+            ref: 'CartQuote'
+        },
+        // PharmacyOrder.orderId, once the order exists
+        orderId: String,
+        reason: {
+            type: String,
+            trim: true
+        },
+        performedBy: {
+            type: Schema.Types.ObjectId,
+            ref: 'User'
+        }
+    },
+    {
+        timestamps: { createdAt: true, updatedAt: false }
+    }
+);
+
+/**
+ * Indexes for optimized queries
+ */
+stockMovementSchema.index({ pharmacyId: 1, medicineId: 1, createdAt: -1 });
+stockMovementSchema.index({ orderId: 1 });
+stockMovementSchema.index({ quoteId: 1 });
+stockMovementSchema.index({ type: 1, createdAt: -1 });
+
+/**
+ * Append-only: reject edits and deletes
+ */
+const rejectChange = function() {
+    throw new Error('Stock movements are append-only');
+};
+
+stockMovementSchema.pre('save', function(next) {
+    if (!this.isNew) return next(new Error('Stock movements are append-only'));
+    next();
+});
+stockMovementSchema.pre(
+    ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+        'deleteOne', 'deleteMany', 'findOneAndDelete'],
+    { document: false, query: true },
+    rejectChange
+);
+stockMovementSchema.pre('deleteOne', { document: true, query: false }, rejectChange);
+
+/**
+ * Export StockMovement model with overwrite protection
+ */
+export const StockMovement = mongoose.models.StockMovement || mongoose.model("StockMovement", stockMovementSchema);
@@ -0,0 +1,200 @@
+/**
+ * Healthcare System - Waitlist Model
+ *
+ * Patients waiting for an earlier slot with a doctor. When a booked slot
+ * is cancelled it is offered to matching entries in priority order; each
+ * offer holds the slot for a limited time behind a one-time accept token.
+ */
+
+import mongoose, { Schema } from "mongoose";
+
+const TIME_PATTERN = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/;
+
+// Higher rank is offered first; ties go to whoever joined earliest
+const PRIORITY_RANK = {
+    normal: 0,
+    high: 1,
+    urgent: 2
+};
+
+const waitlistOfferSchema = new Schema({
+    slotStart: {
+        type: Date,
+        required: true
+    },
+    appointmentTime: {
+        type: String,
+        match: [TIME_PATTERN, 'Please enter a valid time format (HH:MM)']
+    },
+    duration: Number,
+    // Slot reservation hold keeping the slot for this patient
+    holdId: {
+        type: Schema.Types.ObjectId
+    },
+    // SHA-256 of the token sent in the accept link; the raw token is never stored
+    tokenHash: {
+        type: String,
+        required: true
+    },
+    status: {
+        type: String,
+        enum: {
+            values: ['pending', 'accepted', 'declined', 'expired', 'withdrawn'],
+            message: '{VALUE} is not a valid offer status'
+        },
+        default: 'pending'
+    },
+    offeredAt: {
+        type: Date,
+        default: Date.now
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    respondedAt: Date
+});
+
+const waitlistSchema = new Schema(
+    {
+        patientId: {
+            type: Schema.Types.ObjectId,
+            ref: 'Patient',
+            required: [true, 'Patient reference is required']
+        },
+        userId: {
+            type: Schema.Types.ObjectId,
+            ref: 'User',
+            required: [true, 'User reference is required']
+        },
+        // Doctor's user account, matching Appointment.doctorId
+        doctorId: {
+            type: Schema.Types.ObjectId,
+            ref: 'User',
+            required: [true, 'Doctor reference is required']
+        },
+        appointmentType: {
+            type: String,
+            enum: {
+                values: ['in-person', 'video', 'phone', 'chat'],
+                message: '{VALUE} is not a valid appointment type'
+            },
+            default: 'in-person'
+        },
+        dateFrom: {
+            type: Date,
+            required: [true, 'Start of the preferred date range is required']
+        },
+        dateTo: {
+            type: Date,
+            required: [true, 'End of the preferred date range is required']
+        },
+        // Optional time-of-day window, e.g. mornings only
+        preferredStartTime: {
+            type: String,
+            match: [TIME_PATTERN, 'Please enter a valid time format (HH:MM)']
+        },
+        preferredEndTime: {
+            type: String,
+            match: [TIME_PATTERN, 'Please enter a valid time format (HH:MM)']
+        },
+        priority: {
+            type: String,
+            enum: {
+                values: Object.keys(PRIORITY_RANK),
+                message: '{VALUE} is not a valid waitlist priority'
+            },
+            default: 'normal'
+        },
+        priorityRank: {
+            type: Number,
+            default: 0
+        },
+        reason: {
+            type: String,
+            trim: true,
+            maxlength: [500, 'Reason cannot exceed 500 characters']
+        },
+        status: {
+            type: String,
+            enum: {
+                values: ['waiting', 'offered', 'booked', 'expired', 'cancelled'],
+                message: '{VALUE} is not a valid waitlist status'
+            },
+            default: 'waiting'
+        },
+        offers: [waitlistOfferSchema],
+        appointmentId: {
+            type: Schema.Types.ObjectId,
+            ref: 'Appointment'
+        }
+    },
+    {
+        timestamps: true
+    }
+);
+
+/**
+ * Indexes for optimized queries
+ */
+waitlistSchema.index({ doctorId: 1, status: 1, appointmentType: 1, dateFrom: 1, dateTo: 1 });
+waitlistSchema.index({ userId: 1, status: 1 });
+waitlistSchema.index({ 'offers.tokenHash': 1 });
+waitlistSchema.index({ 'offers.status': 1, 'offers.expiresAt': 1 });
+
+/**
+ * Pre-validate middleware: Validate date range and keep the sort rank in step
+ */
+waitlistSchema.pre('validate', function(next) {
+    if (this.dateTo < this.dateFrom) {
+        return next(new Error('Waitlist end date cannot be before its start date'));
+    }
+    if (Boolean(this.preferredStartTime) !== Boolean(this.preferredEndTime)) {
+        return next(new Error('Preferred start and end times must be provided together'));
+    }
+
+    this.priorityRank = PRIORITY_RANK[this.priority] ?? 0;
+    next();
+});
+
+/**
+ * Instance Method: Get the offer currently awaiting a response
+ */
+waitlistSchema.methods.getPendingOffer = function() {
+    return this.offers.find(offer => offer.status === 'pending') || null;
+};
+
+/**
+ * Instance Method: Whether this entry has already been offered a slot
+ */
+waitlistSchema.methods.wasOffered = function(slotStart) {
+    return this.offers.some(offer => offer.slotStart.getTime() === new Date(slotStart).getTime());
+};
+
+/**
+ * Static Method: Find waiting entries that could take a freed slot, best first
+ *
+ * Time-of-day preferences are checked by the caller since they compare
+ * against the slot's local HH:MM.
+ */
+waitlistSchema.statics.findCandidates = function(doctorId, slotStart, appointmentType) {
+    const day = new Date(slotStart);
+    const dayStart = new Date(day);
+    dayStart.setHours(0, 0, 0, 0);
+
+    return this.find({
+        doctorId,
+        appointmentType,
+        status: 'waiting',
+        dateFrom: { $lte: day },
+        dateTo: { $gte: dayStart },
+        'offers.slotStart': { $ne: day }
+    }).sort({ priorityRank: -1, createdAt: 1 });
+};
+
+/**
+ * Export Waitlist model with overwrite protection
+ */
+export const Waitlist = mongoose.models.Waitlist || mongoose.model("Waitlist", waitlistSchema);
+
+export { PRIORITY_RANK };
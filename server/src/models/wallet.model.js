@@ -0,0 +1,44 @@
+/**
+ * Healthcare System - Wallet Model
+ *
+ * A user's prepaid balance. The balance is a running total kept for quick
+ * checks; the ledger entries posted against the user's wallet account are
+ * the record it is audited against.
+ */
+
+import mongoose, { Schema } from "mongoose";
+
+const walletSchema = new Schema(
+    {
+        userId: {
+            type: Schema.Types.ObjectId,
+            ref: 'User',
+            required: true,
+            unique: true
+        },
+        balance: {
+            type: Number,
+            default: 0,
+            min: 0
+        },
+        currency: {
+            type: String,
+            default: 'INR',
+            uppercase: true
+        },
+        lastEntryAt: Date
+    },
+    {
+        timestamps: true
+    }
+);
+
+/**
+ * Indexes for optimized queries
+ */
+walletSchema.index({ balance: -1 });
+
+/**
+ * Export Wallet model with overwrite protection
+ */
+export const Wallet = mongoose.models.Wallet || mongoose.model("Wallet", walletSchema);
@@ -0,0 +1,76 @@
+/**
+ * Healthcare System - Webhook Event Model
+ *
+ * Every payment gateway webhook as it arrived, keyed by the gateway's event
+ * id. A redelivered event finds its earlier record instead of being handled
+ * again, and events whose handling failed stay here to be retried.
+ */
+
+import mongoose, { Schema } from "mongoose";
+
+export const WEBHOOK_EVENT_STATUSES = ['received', 'processing', 'processed', 'ignored', 'failed'];
+
+const webhookEventSchema = new Schema(
+    {
+        gateway: {
+            type: String,
+            enum: ['razorpay'],
+            required: true
+        },
+        eventId: {
+            type: String,
+            required: true,
+            trim: true
+        },
+        eventType: {
+            type: String,
+            required: true
+        },
+        payload: Schema.Types.Mixed,
+        // When the gateway raised the event, which may be long before it arrived
+        gatewayCreatedAt: Date,
+        status: {
+            type: String,
+            enum: WEBHOOK_EVENT_STATUSES,
+            default: 'received'
+        },
+        // What handling the event did, e.g. captured or already-captured
+        outcome: String,
+        paymentId: {
+            type: Schema.Types.ObjectId,
+            ref: 'Payment'
+        },
+        attempts: {
+            type: Number,
+            default: 0
+        },
+        lastError: String,
+        nextAttemptAt: Date,
+        processedAt: Date,
+        // Deliveries of this event, counting redeliveries
+        receivedCount: {
+            type: Number,
+            default: 1
+        },
+        lastReceivedAt: {
+            type: Date,
+            default: Date.now
+        }
+    },
+    {
+        timestamps: true
+    }
+);
+
+/**
+ * Indexes for optimized queries
+ */
+webhookEventSchema.index({ gateway: 1, eventId: 1 }, { unique: true });
+webhookEventSchema.index({ status: 1, nextAttemptAt: 1 });
+webhookEventSchema.index({ paymentId: 1 });
+webhookEventSchema.index({ eventType: 1, createdAt: -1 });
+
+/**
+ * Export WebhookEvent model with overwrite protection
+ */
+export const WebhookEvent = mongoose.models.WebhookEvent || mongoose.model("WebhookEvent", webhookEventSchema);
@@ -10,6 +10,7 @@
 import { Router } from "express";
 import { verifyJWT } from "../middlewares/auth.middleware.js";
 import { isAdmin } from "../middlewares/roleAuth.middleware.js";
+import { upload, uploadInsuranceDoc } from "../middlewares/multer.middleware.js";
 import {
   getDashboardStats,
   getAllUsers,
@@ -18,13 +19,62 @@ import {
   deleteUser,
   getSystemAnalytics,
   getAuditLogs,
+  verifyAuditLogChain,
   bulkOperations,
   getSystemHealth,
   getUserAnalytics,      // Add this
   getRevenueAnalytics,   // Add this
   getProviderAnalytics,  // Add this
   getSystemMetrics,      // Add this
-  sendBulkNotifications  // Add this
+  sendBulkNotifications, // Add this
+  getJobs,
+  getJobById,
+  rerunJob,
+  cancelJob,
+  getCareTeam,
+  assignCareTeamMember,
+  revokeCareTeamMember,
+  getEmergencyAccessQueue,
+  getEmergencyAccessGrant,
+  reviewEmergencyAccess,
+  getTwoFactorPolicy,
+  updateTwoFactorPolicy,
+  resetUserTwoFactor,
+  getCoupons,
+  createCoupon,
+  updateCoupon,
+  getPharmacyStock,
+  receivePharmacyStock,
+  adjustPharmacyStock,
+  getStockMovements,
+  getRiders,
+  addRider,
+  updateRider,
+  getInvoices,
+  getInvoiceById,
+  downloadInvoice,
+  downloadCreditNote,
+  getRefunds,
+  reviewRefund,
+  getClaims,
+  getClaimsBoard,
+  getClaimById,
+  createClaim,
+  createPreAuthorisation,
+  updateClaimStatus,
+  importEob,
+  getLedgerEntries,
+  getTrialBalance,
+  getLedgerAudit,
+  getHealthPackages,
+  createHealthPackage,
+  updateHealthPackage,
+  getPaymentDiscrepancies,
+  resolvePaymentDiscrepancy,
+  importSettlementReport,
+  runPaymentReconciliation,
+  getWebhookEvents,
+  retryWebhookEvent
 } from "../controllers/admin.controller.js";
 
 const router = Router();
@@ -114,7 +164,7 @@ router.post("/reports/generate", (req, res) => {
  * @access  Admin only
  * @query   {Number} page - Page number (default: 1)
  * @query   {Number} limit - Items per page (default: 20)
- * @query   {String} role - Filter by role (patient, provider, admin, technician, staff)
+ * @query   {String} role - Filter by role (patient, provider, admin, technician, staff, pharmacist, rider)
  * @query   {String} isActive - Filter by active status (true, false)
  * @query   {String} isVerified - Filter by verification status (true, false)
  * @query   {String} dateFrom - Filter by creation date start
@@ -135,7 +185,7 @@ router.get("/users/:userId", getUserById);
  * @desc    Update user information, status, or role
  * @access  Admin only
  * @body    {String} [status] - New status (active, inactive, suspended, banned)
- * @body    {String} [role] - New role (patient, provider, admin, technician, staff)
+ * @body    {String} [role] - New role (patient, provider, admin, technician, staff, pharmacist, rider)
  * @body    {String} [reason] - Reason for status/role change
  * @body    {String} [notes] - Additional notes
  * @body    {Object} [otherFields] - Other user fields to update
@@ -169,6 +219,461 @@ router.post("/bulk-operations", bulkOperations);
  */
 router.post("/notifications/bulk", sendBulkNotifications);
 
+/**
+ * ==========================================
+ * BACKGROUND JOBS
+ * ==========================================
+ */
+
+/**
+ * @route   GET /api/v1/admin/jobs
+ * @desc    List background jobs with status counts
+ * @access  Admin only
+ * @query   {String} status - Filter by status (scheduled, running, completed, failed, cancelled)
+ * @query   {String} name - Filter by job name
+ * @query   {String} type - Filter by type (recurring, once)
+ * @query   {Number} page - Page number (default: 1)
+ * @query   {Number} limit - Items per page (default: 20)
+ */
+router.get("/jobs", getJobs);
+
+/**
+ * @route   GET /api/v1/admin/jobs/:jobId
+ * @desc    Get a job with its recent run history
+ * @access  Admin only
+ */
+router.get("/jobs/:jobId", getJobById);
+
+/**
+ * @route   POST /api/v1/admin/jobs/:jobId/rerun
+ * @desc    Run a job again now
+ * @access  Admin only
+ */
+router.post("/jobs/:jobId/rerun", rerunJob);
+
+/**
+ * @route   POST /api/v1/admin/jobs/:jobId/cancel
+ * @desc    Cancel a scheduled job
+ * @access  Admin only
+ */
+router.post("/jobs/:jobId/cancel", cancelJob);
+
+/**
+ * ==========================================
+ * CARE TEAM
+ * ==========================================
+ */
+
+/**
+ * @route   GET /api/v1/admin/care-team
+ * @desc    List care-team relationships for a patient or provider
+ * @access  Admin only
+ * @query   {String} patientId - Patient ID (or the patient's user ID)
+ * @query   {String} providerId - Provider user ID
+ * @query   {Boolean} activeOnly - Only relationships that currently grant access
+ */
+router.get("/care-team", getCareTeam);
+
+/**
+ * @route   POST /api/v1/admin/care-team
+ * @desc    Assign a provider to a patient's care team
+ * @access  Admin only
+ * @body    {String} patientId - Patient ID
+ * @body    {String} providerId - Doctor, technician or staff user ID
+ * @body    {String} careRole - primary, treating, consulting or care-team
+ * @body    {Date} expiresAt - Optional access expiry
+ * @body    {String} notes - Reason for the assignment
+ */
+router.post("/care-team", assignCareTeamMember);
+
+/**
+ * @route   POST /api/v1/admin/care-team/:relationshipId/revoke
+ * @desc    Revoke a provider's access to a patient
+ * @access  Admin only
+ * @body    {String} reason - Reason for revocation
+ */
+router.post("/care-team/:relationshipId/revoke", revokeCareTeamMember);
+
+/**
+ * ==========================================
+ * EMERGENCY ACCESS REVIEW
+ * ==========================================
+ */
+
+/**
+ * @route   GET /api/v1/admin/emergency-access
+ * @desc    List break-the-glass grants for review
+ * @access  Admin only
+ * @query   {String} reviewStatus - pending (default), approved, flagged or all
+ * @query   {Number} page - Page number (default: 1)
+ * @query   {Number} limit - Items per page (default: 20)
+ */
+router.get("/emergency-access", getEmergencyAccessQueue);
+
+/**
+ * @route   GET /api/v1/admin/emergency-access/:grantId
+ * @desc    Get a grant with its audit trail
+ * @access  Admin only
+ */
+router.get("/emergency-access/:grantId", getEmergencyAccessGrant);
+
+/**
+ * @route   POST /api/v1/admin/emergency-access/:grantId/review
+ * @desc    Approve or flag an emergency access grant
+ * @access  Admin only
+ * @body    {String} decision - approved or flagged
+ * @body    {String} notes - Reviewer notes (required when flagging)
+ */
+router.post("/emergency-access/:grantId/review", reviewEmergencyAccess);
+
+/**
+ * ==========================================
+ * ACCOUNT SECURITY
+ * ==========================================
+ */
+
+/**
+ * @route   GET /api/v1/admin/security/two-factor
+ * @desc    Get the two-factor authentication policy
+ * @access  Admin only
+ */
+router.get("/security/two-factor", getTwoFactorPolicy);
+
+/**
+ * @route   PATCH /api/v1/admin/security/two-factor
+ * @desc    Choose which roles must use two-factor authentication
+ * @access  Admin only
+ * @body    {Array} requiredRoles - e.g. ["doctor", "admin"]
+ */
+router.patch("/security/two-factor", updateTwoFactorPolicy);
+
+/**
+ * @route   POST /api/v1/admin/users/:userId/two-factor/reset
+ * @desc    Clear a user's two-factor enrolment and sign them out
+ * @access  Admin only
+ */
+router.post("/users/:userId/two-factor/reset", resetUserTwoFactor);
+
+/**
+ * ==========================================
+ * PHARMACY COUPONS
+ * ==========================================
+ */
+
+/**
+ * @route   GET /api/v1/admin/coupons
+ * @desc    List pharmacy coupons
+ * @access  Admin only
+ * @query   {Boolean} active - Only active or inactive coupons
+ */
+router.get("/coupons", getCoupons);
+
+/**
+ * @route   POST /api/v1/admin/coupons
+ * @desc    Create a pharmacy coupon
+ * @access  Admin only
+ * @body    {String} code, {String} discountType - percent | flat, {Number} value,
+ *          {Number} maxDiscount, {Number} minOrderValue, {Date} validUntil, {Number} usageLimit, {Number} perUserLimit
+ */
+router.post("/coupons", createCoupon);
+
+/**
+ * @route   PATCH /api/v1/admin/coupons/:couponId
+ * @desc    Change or deactivate a pharmacy coupon
+ * @access  Admin only
+ */
+router.patch("/coupons/:couponId", updateCoupon);
+
+/**
+ * ==========================================
+ * PHARMACY INVENTORY
+ * ==========================================
+ */
+
+/**
+ * @route   GET /api/v1/admin/pharmacies/:pharmacyId/stock
+ * @desc    Stock rows for a pharmacy with batches, reservations and low-stock flags
+ * @access  Admin only
+ * @query   {Boolean} lowOnly - Only rows at or below their reorder level
+ */
+router.get("/pharmacies/:pharmacyId/stock", getPharmacyStock);
+
+/**
+ * @route   POST /api/v1/admin/pharmacies/:pharmacyId/stock/receipts
+ * @desc    Book a supplier delivery into a batch
+ * @access  Admin only
+ * @body    {String} medicineId, {String} batchNumber, {Date} expiryDate, {Number} quantity, {Number} reorderLevel, {Number} sellingPrice - this pharmacy's price (null for the catalogue price)
+ */
+router.post("/pharmacies/:pharmacyId/stock/receipts", receivePharmacyStock);
+
+/**
+ * @route   POST /api/v1/admin/pharmacies/:pharmacyId/stock/adjustments
+ * @desc    Correct a batch after a count, damage or loss
+ * @access  Admin only
+ * @body    {String} medicineId, {String} batchNumber, {Number} quantityChange - signed, {String} reason
+ */
+router.post("/pharmacies/:pharmacyId/stock/adjustments", adjustPharmacyStock);
+
+/**
+ * @route   GET /api/v1/admin/stock-movements
+ * @desc    Stock movement ledger
+ * @access  Admin only
+ * @query   {String} pharmacyId, {String} medicineId, {String} type, {String} orderId, {Number} page, {Number} limit
+ */
+router.get("/stock-movements", getStockMovements);
+
+/**
+ * ==========================================
+ * PHARMACY RIDERS
+ * ==========================================
+ */
+
+/**
+ * @route   GET /api/v1/admin/riders
+ * @desc    Delivery rider roster
+ * @access  Admin only
+ * @query   {String} status - available, on-delivery or off-duty, {String} pharmacyId
+ */
+router.get("/riders", getRiders);
+
+/**
+ * @route   POST /api/v1/admin/riders
+ * @desc    Add a user with the rider role to the roster
+ * @access  Admin only
+ * @body    {String} userId, {String} [phone], {String} [vehicleNumber], {String} [pharmacyId] - home pharmacy
+ */
+router.post("/riders", addRider);
+
+/**
+ * @route   PATCH /api/v1/admin/riders/:riderId
+ * @desc    Change a rider's details or duty status, or take them off the roster
+ * @access  Admin only
+ * @body    {String} [name], {String} [phone], {String} [vehicleNumber], {String} [pharmacyId], {String} [status], {Boolean} [isActive]
+ */
+router.patch("/riders/:riderId", updateRider);
+
+/**
+ * ==========================================
+ * BILLING
+ * ==========================================
+ */
+
+/**
+ * @route   GET /api/v1/admin/invoices
+ * @desc    Invoices across all patients with paid and outstanding totals
+ * @access  Admin only
+ * @query   {String} patientId - billed user, {String} status, {String} kind - appointment, lab_test, pharmacy_order or payment,
+ *          {String} financialYear - e.g. 2026-27, {String} search - invoice number, {Date} from, {Date} to, {Number} page, {Number} limit
+ */
+router.get("/invoices", getInvoices);
+
+/**
+ * @route   GET /api/v1/admin/invoices/:invoiceId
+ * @desc    One invoice with its line items and payment history
+ * @access  Admin only
+ */
+router.get("/invoices/:invoiceId", getInvoiceById);
+
+/**
+ * @route   GET /api/v1/admin/invoices/:invoiceId/download
+ * @desc    Invoice as a PDF
+ * @access  Admin only
+ */
+router.get("/invoices/:invoiceId/download", downloadInvoice);
+
+/**
+ * @route   GET /api/v1/admin/credit-notes/:creditNoteId/download
+ * @desc    Credit note as a PDF
+ * @access  Admin only
+ */
+router.get("/credit-notes/:creditNoteId/download", downloadCreditNote);
+
+/**
+ * @route   GET /api/v1/admin/refunds
+ * @desc    Refund ledger across all payments; status=pending-approval is the approval queue
+ * @access  Admin only
+ * @query   {String} status - pending-approval, processing, processed, failed or rejected,
+ *          {String} source - manual or cancellation-policy, {Number} page, {Number} limit
+ */
+router.get("/refunds", getRefunds);
+
+/**
+ * @route   POST /api/v1/admin/refunds/:refundId/review
+ * @desc    Approve (and pay out) or reject a refund over the approval threshold
+ * @access  Admin only
+ * @body    {String} decision - approve or reject, {String} note
+ */
+router.post("/refunds/:refundId/review", reviewRefund);
+
+/**
+ * ==========================================
+ * INSURANCE CLAIMS
+ * ==========================================
+ */
+
+/**
+ * @route   GET /api/v1/admin/claims
+ * @desc    Claims and pre-authorisations, newest first
+ * @access  Admin only
+ * @query   {String} type - claim or pre-authorisation, {String} status, {String} patientId,
+ *          {String} search - claim, payer or policy number, {Number} page, {Number} limit
+ */
+router.get("/claims", getClaims);
+
+/**
+ * @route   GET /api/v1/admin/claims/board
+ * @desc    Claims board: ageing of open claims, totals by status, top denial reasons
+ * @access  Admin only
+ */
+router.get("/claims/board", getClaimsBoard);
+
+/**
+ * @route   POST /api/v1/admin/claims
+ * @desc    Draft a cashless claim for an unpaid invoice
+ * @access  Admin only
+ * @body    {String} invoiceId, {String} preAuthorisationId - optional, {String} notes
+ */
+router.post("/claims", createClaim);
+
+/**
+ * @route   POST /api/v1/admin/claims/pre-authorisations
+ * @desc    Request pre-authorisation for a procedure or lab test
+ * @access  Admin only
+ * @body    {String} patientId, {String} serviceKind - lab_test or procedure, {String} description, {Number} estimatedAmount
+ */
+router.post("/claims/pre-authorisations", createPreAuthorisation);
+
+/**
+ * @route   POST /api/v1/admin/claims/eob
+ * @desc    Import an explanation-of-benefit CSV (field "file") or JSON rows to reconcile payments
+ * @access  Admin only
+ * @body    {File} file - EOB CSV, or {Array} rows
+ */
+router.post("/claims/eob", uploadInsuranceDoc.single("file"), importEob);
+
+/**
+ * @route   GET /api/v1/admin/claims/:claimId
+ * @desc    One claim with its status history and remittances
+ * @access  Admin only
+ */
+router.get("/claims/:claimId", getClaimById);
+
+/**
+ * @route   PATCH /api/v1/admin/claims/:claimId/status
+ * @desc    Move a claim along: submitted, approved, denied, cancelled (payments come from EOB imports)
+ * @access  Admin only
+ * @body    {String} status, {Number} approvedAmount, {String} authorisationNumber, {Date} validUntil,
+ *          {String} payerReference, {String} denialCode, {String} denialReason, {String} note
+ */
+router.patch("/claims/:claimId/status", updateClaimStatus);
+
+/**
+ * ==========================================
+ * WALLETS & LEDGER
+ * ==========================================
+ */
+
+/**
+ * @route   GET /api/v1/admin/ledger/entries
+ * @desc    Journal entries behind wallet balances and health package credits, newest first
+ * @access  Admin only
+ * @query   {String} account - wallet, package-liability, gateway-clearing, revenue or refunds,
+ *          {String} type, {String} status - posted (default), pending, void or all,
+ *          {String} userId - wallet holder, {Date} from, {Date} to, {Number} page, {Number} limit
+ */
+router.get("/ledger/entries", getLedgerEntries);
+
+/**
+ * @route   GET /api/v1/admin/ledger/trial-balance
+ * @desc    Debit and credit totals per ledger account
+ * @access  Admin only
+ * @query   {Date} to - Balances as at this date
+ */
+router.get("/ledger/trial-balance", getTrialBalance);
+
+/**
+ * @route   GET /api/v1/admin/ledger/audit
+ * @desc    Wallets and packages whose balance disagrees with the ledger, and entries stuck pending
+ * @access  Admin only
+ */
+router.get("/ledger/audit", getLedgerAudit);
+
+/**
+ * @route   GET /api/v1/admin/health-packages
+ * @desc    Health package catalogue, including withdrawn packages
+ * @access  Admin only
+ */
+router.get("/health-packages", getHealthPackages);
+
+/**
+ * @route   POST /api/v1/admin/health-packages
+ * @desc    Add a prepaid health package
+ * @access  Admin only
+ * @body    {String} name, {String} description, {Number} price, {Number} validityDays,
+ *          {Array} entitlements - [{ service: consultation | health-checkup, quantity, description }]
+ */
+router.post("/health-packages", createHealthPackage);
+
+/**
+ * @route   PATCH /api/v1/admin/health-packages/:packageId
+ * @desc    Change or withdraw (isActive: false) a health package
+ * @access  Admin only
+ */
+router.patch("/health-packages/:packageId", updateHealthPackage);
+
+/**
+ * ==========================================
+ * PAYMENT RECONCILIATION
+ * ==========================================
+ */
+
+/**
+ * @route   GET /api/v1/admin/payments/discrepancies
+ * @desc    Differences between our payments and the settlement report, with open counts by kind
+ * @access  Admin only
+ * @query   {String} status - open (default), resolved or all, {String} kind, {Number} page, {Number} limit
+ */
+router.get("/payments/discrepancies", getPaymentDiscrepancies);
+
+/**
+ * @route   PATCH /api/v1/admin/payments/discrepancies/:discrepancyId/resolve
+ * @desc    Close a discrepancy
+ * @access  Admin only
+ * @body    {String} note - How it was resolved
+ */
+router.patch("/payments/discrepancies/:discrepancyId/resolve", resolvePaymentDiscrepancy);
+
+/**
+ * @route   POST /api/v1/admin/payments/settlements
+ * @desc    Import a Razorpay settlement report and reconcile against it
+ * @access  Admin only
+ * @body    multipart "file" (CSV export), or JSON {Array} rows with the report's columns
+ */
+router.post("/payments/settlements", upload.single("file"), importSettlementReport);
+
+/**
+ * @route   POST /api/v1/admin/payments/reconcile
+ * @desc    Run payment reconciliation now
+ * @access  Admin only
+ */
+router.post("/payments/reconcile", runPaymentReconciliation);
+
+/**
+ * @route   GET /api/v1/admin/payments/webhook-events
+ * @desc    Stored gateway webhook events, newest first
+ * @access  Admin only
+ * @query   {String} status - received, processing, processed, ignored or failed,
+ *          {String} eventType, {Number} page, {Number} limit
+ */
+router.get("/payments/webhook-events", getWebhookEvents);
+
+/**
+ * @route   POST /api/v1/admin/payments/webhook-events/:eventId/retry
+ * @desc    Handle a failed webhook event again
+ * @access  Admin only
+ */
+router.post("/payments/webhook-events/:eventId/retry", retryWebhookEvent);
+
 /**
  * ==========================================
  * PROVIDER MANAGEMENT
@@ -362,6 +867,15 @@ router.post("/export", (req, res) => {
  */
 router.get("/audit-logs", getAuditLogs);
 
+/**
+ * @route   GET /api/v1/admin/audit-logs/verify
+ * @desc    Verify the audit log hash chain has not been tampered with
+ * @access  Admin only
+ * @query   {Number} fromSequence - First entry to check (default: 1)
+ * @query   {Number} limit - Maximum entries to check (default: 10000)
+ */
+router.get("/audit-logs/verify", verifyAuditLogChain);
+
 /**
  * ==========================================
  * SYSTEM HEALTH
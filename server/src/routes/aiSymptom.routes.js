@@ -12,11 +12,14 @@ import {
     getSessionDetails 
 } from "../controllers/aiSymptom.controller.js";
 import { verifyJWT } from "../middlewares/auth.middleware.js";
+import { auditPHI } from "../middlewares/audit.middleware.js";
+import { SymptomSession } from "../models/SymptomSession.model.js";
 
 const router = Router();
 
 // Secure all endpoints with JWT authentication
 router.use(verifyJWT);
+router.use(auditPHI("SymptomSession", { model: SymptomSession, idParam: "sessionId", patientParam: "patientId" }));
 
 router.post("/start", startSession);
 router.post("/:sessionId/process-input", processInput);
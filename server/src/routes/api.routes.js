@@ -15,11 +15,14 @@ import medicineRoutes from "./medicine.routes.js";
 import pharmacyOrderRoutes from "./pharmacyOrder.routes.js";
 import aiSymptomRoutes from "./aiSymptom.routes.js";
 import emergencyRoutes from "./emergency.routes.js";
+import appointmentRoutes from "./appointment.routes.js";
+import waitlistRoutes from "./waitlist.routes.js";
 
 // New geospatial & specialty routes
 import hospitalRoutes from "./hospital.routes.js";
 import ambulanceRoutes from "./ambulance.routes.js";
 import pharmacyRoutes from "./pharmacy.routes.js";
+import prescriptionRoutes from "./management/prescription.routes.js";
 import { getSpecialties } from "../controllers/doctor.controller.js";
 
 const router = Router();
@@ -40,11 +43,14 @@ router.use("/medicine", medicineRoutes);
 router.use("/pharmacy-orders", pharmacyOrderRoutes);
 router.use("/ai-symptom", aiSymptomRoutes);
 router.use("/emergency", emergencyRoutes);
+router.use("/appointments", appointmentRoutes);
+router.use("/waitlist", waitlistRoutes);
 
 // Register the new dynamic services
 router.get("/specialties", getSpecialties);
 router.use("/hospitals", hospitalRoutes);
 router.use("/ambulance", ambulanceRoutes);
 router.use("/pharmacy", pharmacyRoutes);
+router.use("/prescriptions", prescriptionRoutes);
 
 export default router;
@@ -0,0 +1,39 @@
+import { Router } from "express";
+import {
+    createAppointment,
+    getAppointmentById,
+    getAppointments,
+    updateAppointmentStatus,
+    rescheduleAppointment,
+    getDoctorAvailability,
+    getAppointmentStatistics,
+    addAppointmentNotes,
+    createSlotHold,
+    releaseSlotHold
+} from "../controllers/appointment.controller.js";
+import { verifyJWT, restrictTo } from "../middlewares/auth.middleware.js";
+
+const router = Router();
+
+// Public slot availability generated from the doctor's schedule
+router.get("/availability/:doctorId", getDoctorAvailability);
+
+// Protected endpoints, for the patients and doctors on an appointment and admins
+router.use(verifyJWT, restrictTo('patient', 'doctor', 'admin'));
+
+router.route("/")
+    .get(getAppointments)
+    .post(createAppointment);
+
+router.get("/statistics", getAppointmentStatistics);
+
+// Short-lived checkout holds
+router.post("/holds", createSlotHold);
+router.delete("/holds/:holdId", releaseSlotHold);
+
+router.get("/:appointmentId", getAppointmentById);
+router.patch("/:appointmentId/status", updateAppointmentStatus);
+router.patch("/:appointmentId/reschedule", rescheduleAppointment);
+router.patch("/:appointmentId/notes", restrictTo('doctor'), addAppointmentNotes);
+
+export default router;
@@ -22,9 +22,12 @@ import {
   login,
   logout,
   refreshToken,
-  googleAuth
+  googleAuth,
+  setupTwoFactor,
+  verifyTwoFactor
 } from "../controllers/auth.controller.js";
 import { verifyJWT } from "../middlewares/auth.middleware.js";
+import { twoFactorRateLimiter } from "../middlewares/rateLimit.middleware.js";
 
 const router = Router();
 
@@ -32,6 +35,10 @@ router.post("/register", register);
 router.post("/login", login);
 router.post("/google", googleAuth);
 
+// Second login step for accounts with (or required to have) 2FA
+router.post("/2fa/setup", twoFactorRateLimiter, setupTwoFactor);
+router.post("/2fa/verify", twoFactorRateLimiter, verifyTwoFactor);
+
 router.post("/logout", verifyJWT, logout);
 
 router.post("/refresh-token", refreshToken);
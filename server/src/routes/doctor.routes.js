@@ -8,16 +8,43 @@ import {
     getDoctorDashboard,
     getDoctorSchedule,
     updateDoctorAvailability,
+    getScheduleSlots,
+    addScheduleException,
+    removeScheduleException,
+    createAppointmentSeries,
+    getAppointmentSeriesList,
+    getAppointmentSeries,
+    updateSeriesOccurrence,
+    cancelSeriesOccurrence,
     getDoctorAppointments,
     getTodaysAppointments,
     updateAppointmentStatus,
     getDoctorsPatients,
     getPatientDetails,
     getPatientMedicalHistory,
+    requestEmergencyAccess,
+    getEmergencyAccessGrants,
+    endEmergencyAccess,
+    checkPrescriptionSafety,
     createPrescription,
+    signPrescription,
+    getPrescriptionTemplates,
+    getPrescriptionTemplate,
+    createPrescriptionTemplate,
+    updatePrescriptionTemplate,
+    archivePrescriptionTemplate,
+    getFavouriteMedications,
+    pinFavouriteMedication,
+    unpinFavouriteMedication,
+    getRefillRequests,
+    decideRefillRequest,
+    requestPreAuthorisation,
     addMedicalRecord
 } from "../controllers/doctor.controller.js";
 import { verifyJWT, restrictTo } from "../middlewares/auth.middleware.js";
+import { auditPHI } from "../middlewares/audit.middleware.js";
+import { Prescription } from "../models/prescription.model.js";
+import { RefillRequest } from "../models/refillRequest.model.js";
 
 const router = Router();
 
@@ -41,8 +68,12 @@ router.route("/profile")
     .patch(updateDoctorProfile);
 
 router.get("/patients", getDoctorsPatients);
-router.get("/patients/:id", getPatientDetails);
-router.get("/patients/:id/history", getPatientMedicalHistory);
+router.get("/patients/:id", auditPHI("Patient", { patientParam: "id" }), getPatientDetails);
+router.get("/patients/:id/history", auditPHI("MedicalRecord", { patientParam: "id" }), getPatientMedicalHistory);
+router.post("/patients/:id/emergency-access", requestEmergencyAccess);
+
+router.get("/emergency-access", getEmergencyAccessGrants);
+router.post("/emergency-access/:grantId/end", endEmergencyAccess);
 
 router.get("/appointments", getDoctorAppointments);
 router.get("/appointments/today", getTodaysAppointments);
@@ -51,8 +82,39 @@ router.patch("/appointments/:id", updateAppointmentStatus);
 router.route("/schedule")
     .get(getDoctorSchedule)
     .patch(updateDoctorAvailability);
+router.get("/schedule/slots", getScheduleSlots);
+router.post("/schedule/exceptions", addScheduleException);
+router.delete("/schedule/exceptions/:exceptionId", removeScheduleException);
+
+router.route("/appointment-series")
+    .get(getAppointmentSeriesList)
+    .post(createAppointmentSeries);
+router.get("/appointment-series/:seriesId", getAppointmentSeries);
+router.patch("/appointment-series/:seriesId/occurrences/:appointmentId", updateSeriesOccurrence);
+router.post("/appointment-series/:seriesId/occurrences/:appointmentId/cancel", cancelSeriesOccurrence);
+
+router.post("/prescriptions/safety-check", auditPHI("Prescription"), checkPrescriptionSafety);
+router.post("/prescriptions", auditPHI("Prescription"), createPrescription);
+router.post("/prescriptions/:prescriptionId/sign", auditPHI("Prescription", { model: Prescription, idParam: "prescriptionId" }), signPrescription);
+
+router.route("/prescription-templates")
+    .get(getPrescriptionTemplates)
+    .post(createPrescriptionTemplate);
+router.route("/prescription-templates/:templateId")
+    .get(getPrescriptionTemplate)
+    .patch(updatePrescriptionTemplate)
+    .delete(archivePrescriptionTemplate);
+
+router.route("/prescription-favourites")
+    .get(getFavouriteMedications)
+    .post(pinFavouriteMedication);
+router.delete("/prescription-favourites/:favouriteId", unpinFavouriteMedication);
+
+router.get("/refill-requests", getRefillRequests);
+router.post("/refill-requests/:requestId/decision", auditPHI("Prescription", { model: RefillRequest, idParam: "requestId" }), decideRefillRequest);
+
+router.post("/pre-authorisations", requestPreAuthorisation);
 
-router.post("/prescriptions", createPrescription);
-router.post("/medical-records", addMedicalRecord);
+router.post("/medical-records", auditPHI("MedicalRecord"), addMedicalRecord);
 
 export default router;
@@ -1,30 +1,26 @@
 import { Router } from "express";
-import { verifyJWT, restrictTo, verifyPatientAccess } from "../../middlewares/auth.middleware.js";
+import { verifyJWT } from "../../middlewares/auth.middleware.js";
+import { auditPHI } from "../../middlewares/audit.middleware.js";
+import { Prescription } from "../../models/prescription.model.js";
+import {
+    downloadPrescription,
+    verifyPrescription
+} from "../../controllers/prescriptionDocument.controller.js";
 
 const router = Router();
 
-// POST /api/v1/prescriptions - Create prescription
-router.post("/", verifyJWT, restrictTo('doctor'), createPrescription);
+// Doctors write prescriptions under /doctors/prescriptions and patients read
+// theirs under /patients/prescriptions; this router serves the documents.
 
-// GET /api/v1/prescriptions/patient/:patientId - Get patient prescriptions
-router.get("/patient/:patientId", verifyJWT, verifyPatientAccess('patientId'), getPatientPrescriptions);
+// GET /api/v1/prescriptions/verify/:prescriptionId?token= - Public QR verification for pharmacies
+router.get("/verify/:prescriptionId", verifyPrescription);
 
-// GET /api/v1/prescriptions/:prescriptionId - Get prescription details
-router.get("/:prescriptionId", verifyJWT, getPrescriptionById);
+// GET /api/v1/prescriptions/:prescriptionId/download - Download signed PDF
+router.get(
+    "/:prescriptionId/download",
+    verifyJWT,
+    auditPHI("Prescription", { model: Prescription, idParam: "prescriptionId" }),
+    downloadPrescription
+);
 
-// PATCH /api/v1/prescriptions/:prescriptionId - Update prescription
-router.patch("/:prescriptionId", verifyJWT, restrictTo('doctor'), updatePrescription);
-
-// DELETE /api/v1/prescriptions/:prescriptionId/cancel - Cancel prescription
-router.delete("/:prescriptionId/cancel", verifyJWT, restrictTo('doctor'), cancelPrescription);
-
-// POST /api/v1/prescriptions/:prescriptionId/refill - Request refill
-router.post("/:prescriptionId/refill", verifyJWT, restrictTo('patient'), refillPrescription);
-
-// GET /api/v1/prescriptions/:prescriptionId/download - Download PDF
-router.get("/:prescriptionId/download", verifyJWT, downloadPrescription);
-
-// GET /api/v1/prescriptions/active - Get active prescriptions
-router.get("/active", verifyJWT, restrictTo('patient'), getActivePrescriptions);
-
-export default router;
\ No newline at end of file
+export default router;
@@ -1,9 +1,11 @@
 import { Router } from "express";
-import { getMedicines, getPharmacies } from "../controllers/medicine.controller.js";
+import { getMedicines, getPharmacies, getMedicineSubstitutes } from "../controllers/medicine.controller.js";
+import { optionalVerifyJWT } from "../middlewares/auth.middleware.js";
 
 const router = Router();
 
 router.get("/", getMedicines);
 router.get("/pharmacies", getPharmacies);
+router.get("/:medicineId/substitutes", optionalVerifyJWT, getMedicineSubstitutes);
 
 export default router;
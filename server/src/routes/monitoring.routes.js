@@ -12,6 +12,9 @@ import {
     getMedications,
     addMedication,
     toggleMedicationTaken,
+    getAdherence,
+    getDoseLog,
+    recordDose,
     getReminders,
     addReminder,
     toggleReminder,
@@ -54,6 +57,11 @@ router.route("/medications")
 
 router.put("/medications/:medicationId/toggle", toggleMedicationTaken);
 
+// ==================== ADHERENCE ROUTES ====================
+router.get("/adherence", getAdherence);
+router.get("/adherence/doses", getDoseLog);
+router.post("/adherence/doses/:doseId", recordDose);
+
 // ==================== REMINDERS ROUTES ====================
 router.route("/reminders")
     .get(getReminders)
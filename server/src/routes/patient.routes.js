@@ -24,7 +24,20 @@ import {
   getPatientNotifications,
   markNotificationAsRead,
   requestPrescriptionRefill,
+  getRefillRequests,
+  cancelRefillRequest,
   getPatientBilling,
+  getPatientInvoices,
+  getPatientInvoice,
+  downloadPatientInvoice,
+  downloadPatientCreditNote,
+  getPatientClaims,
+  getPatientClaim,
+  getPatientWallet,
+  topUpPatientWallet,
+  getHealthPackages,
+  getMyHealthPackages,
+  purchaseHealthPackage,
   makePayment,
   getTelemedicineSessions,
   scheduleTelemedicineSession,
@@ -32,12 +45,24 @@ import {
   getHealthTips,
   submitFeedback,
   getPatientStatistics,
-  getConsultationMessages
+  getConsultationMessages,
+  getRecordAccessHistory
 } from "../controllers/patient.controller.js";
 import { upload } from "../middlewares/multer.middleware.js";
+import { auditPHI } from "../middlewares/audit.middleware.js";
+import { Prescription } from "../models/prescription.model.js";
 
 const router = Router();
 
+// ==================== PHI AUDIT ====================
+router.use(
+  ["/profile", "/allergies", "/medications", "/health-metrics", "/insurance", "/emergency-contacts"],
+  auditPHI("Patient")
+);
+router.use("/medical-history", auditPHI("MedicalRecord"));
+router.use("/prescriptions", auditPHI("Prescription", { model: Prescription, idParam: "prescriptionId" }));
+router.use("/documents", auditPHI("PatientDocument", { idParam: "documentId" }));
+
 // ==================== PROFILE MANAGEMENT ====================
 router.post("/create-profile", verifyJWT, createPatientProfile);
 router.get("/profile", verifyJWT, getPatientProfile);
@@ -84,6 +109,8 @@ router.get("/prescriptions/active", verifyJWT, (req, res) => {
   return getPatientPrescriptions(req, res);
 });
 router.post("/prescriptions/:prescriptionId/refill", verifyJWT, requestPrescriptionRefill);
+router.get("/refill-requests", verifyJWT, getRefillRequests);
+router.delete("/refill-requests/:requestId", verifyJWT, cancelRefillRequest);
 router.get("/prescriptions/:prescriptionId", verifyJWT, async (req, res) => {
   // Get single prescription
 });
@@ -113,6 +140,9 @@ router.get("/documents/:documentId/download", verifyJWT, async (req, res) => {
   // Download document logic
 });
 
+// ==================== RECORD ACCESS HISTORY ====================
+router.get("/access-log", verifyJWT, getRecordAccessHistory);
+
 // ==================== EMERGENCY & CONTACTS ====================
 router.get("/emergency-contacts", verifyJWT, getEmergencyContacts);
 router.post("/emergency-contacts", verifyJWT, updateEmergencyContact);
@@ -151,13 +181,20 @@ router.get("/notifications/unread-count", verifyJWT, async (req, res) => {
 
 // ==================== BILLING & PAYMENTS ====================
 router.get("/billing", verifyJWT, getPatientBilling);
-router.get("/billing/invoices", verifyJWT, async (req, res) => {
-  // Get invoices
-});
-router.get("/billing/invoices/:invoiceId", verifyJWT, async (req, res) => {
-  // Get specific invoice
-});
+router.get("/billing/invoices", verifyJWT, getPatientInvoices);
+router.get("/billing/invoices/:invoiceId", verifyJWT, getPatientInvoice);
+router.get("/billing/invoices/:invoiceId/download", verifyJWT, downloadPatientInvoice);
+router.get("/billing/credit-notes/:creditNoteId/download", verifyJWT, downloadPatientCreditNote);
+router.get("/billing/claims", verifyJWT, getPatientClaims);
+router.get("/billing/claims/:claimId", verifyJWT, getPatientClaim);
 router.post("/billing/payment", verifyJWT, makePayment);
+
+// ==================== WALLET & HEALTH PACKAGES ====================
+router.get("/wallet", verifyJWT, getPatientWallet);
+router.post("/wallet/top-up", verifyJWT, topUpPatientWallet);
+router.get("/health-packages", verifyJWT, getHealthPackages);
+router.get("/health-packages/mine", verifyJWT, getMyHealthPackages);
+router.post("/health-packages/:packageId/purchase", verifyJWT, purchaseHealthPackage);
 router.get("/billing/payment-history", verifyJWT, async (req, res) => {
   // Payment history
 });
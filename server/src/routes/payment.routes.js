@@ -1,12 +1,13 @@
 // backend/routes/payment.routes.js
 import { Router } from 'express';
-import { verifyJWT } from '../middlewares/auth.middleware.js'; // adjust path
+import { verifyJWT, restrictTo } from '../middlewares/auth.middleware.js'; // adjust path
 import {
     createPaymentOrder,
     confirmPayment,
     getPaymentById,
     getUserPayments,
     processRefund,
+    getPaymentRefunds,
     getPaymentStatistics,
     createManualPayment,
     getPaymentMethods,
@@ -27,8 +28,9 @@ router.get('/statistics', getPaymentStatistics);
 router.get('/payment-methods', getPaymentMethods);
 router.get('/:paymentId', getPaymentById);
 
-// Refund
-router.post('/:paymentId/refund', processRefund);
+// Refunds – admins, a doctor for their own consultations, pharmacists for pharmacy orders
+router.get('/:paymentId/refunds', getPaymentRefunds);
+router.post('/:paymentId/refund', restrictTo('admin', 'doctor', 'pharmacist'), processRefund);
 
 // Manual payment (admin/doctor only – add role middleware if needed)
 router.post('/manual', createManualPayment);
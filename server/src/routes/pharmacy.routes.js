@@ -1,10 +1,19 @@
 import { Router } from "express";
 import { verifyJWT } from "../middlewares/auth.middleware.js";
 import { getNearbyPharmacies } from "../controllers/pharmacy.controller.js";
+import { uploadPrescription, handleUploadError } from "../middlewares/multer.middleware.js";
+import { createCartQuote, getCartQuote, uploadCartPrescription } from "../controllers/pharmacyCart.controller.js";
 
 const router = Router();
 
 router.use(verifyJWT);
 router.get("/nearby", getNearbyPharmacies);
 
+// Server-priced checkout: POST the cart, pay with the returned quote id
+router.post("/cart/quote", createCartQuote);
+router.get("/cart/quote/:quoteId", getCartQuote);
+
+// Prescription for Rx-only items, quoted as prescriptionUploadId
+router.post("/prescriptions", uploadPrescription.single('prescription'), handleUploadError, uploadCartPrescription);
+
 export default router;
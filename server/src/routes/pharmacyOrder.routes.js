@@ -1,10 +1,16 @@
 import { Router } from "express";
 import { verifyJWT } from "../middlewares/auth.middleware.js";
+import { authorize } from "../middlewares/roleAuth.middleware.js";
 import {
     getPharmacyOrder,
     listPharmacyOrders,
     updatePharmacyOrderStatus,
-    getPharmacyOrderStats
+    getPharmacyOrderStats,
+    listPrescriptionReviews,
+    reviewOrderPrescription,
+    assignOrderRider,
+    resendDeliveryOtp,
+    updateRiderAvailability
 } from "../controllers/pharmacyOrder.controller.js";
 
 const router = Router();
@@ -13,6 +19,16 @@ const router = Router();
 router.use(verifyJWT);
 
 router.get("/stats", getPharmacyOrderStats);
+
+// Pharmacist review of uploaded prescriptions
+router.get("/prescription-reviews", authorize('pharmacist', 'admin'), listPrescriptionReviews);
+router.post("/:orderId/prescription-review", authorize('pharmacist', 'admin'), reviewOrderPrescription);
+
+// Delivery: riders set their availability, pharmacists assign them, customers hold the delivery code
+router.patch("/riders/me", authorize('rider'), updateRiderAvailability);
+router.post("/:orderId/rider", authorize('pharmacist', 'admin'), assignOrderRider);
+router.post("/:orderId/delivery-otp", resendDeliveryOtp);
+
 router.get("/", listPharmacyOrders);
 router.get("/:orderId", getPharmacyOrder);
 router.patch("/:orderId/status", updatePharmacyOrderStatus);
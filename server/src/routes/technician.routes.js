@@ -1,6 +1,8 @@
 import { Router } from 'express';
 import { verifyJWT } from '../middlewares/auth.middleware.js';
 import { restrictTo } from '../middlewares/auth.middleware.js';
+import { auditPHI } from '../middlewares/audit.middleware.js';
+import { LabTest } from '../models/labtest.model.js';
 import {
     getTechnicianDashboard,
     getTechnicianTests,
@@ -16,6 +18,7 @@ const router = Router();
 
 router.use(verifyJWT);
 router.use(restrictTo('technician', 'admin', 'staff'));
+router.use('/tests', auditPHI('LabTest', { model: LabTest, patientField: 'patient.patientId' }));
 
 router.get('/dashboard', getTechnicianDashboard);
 router.get('/tests', getTechnicianTests);
@@ -9,10 +9,13 @@ import {
   getTestStatistics
 } from '../controllers/test.controller.js';
 import { verifyJWT, restrictTo } from '../middlewares/auth.middleware.js';
+import { auditPHI } from '../middlewares/audit.middleware.js';
+import { LabTest } from '../models/labtest.model.js';
 
 const router = Router();
 
 router.use(verifyJWT);
+router.use(auditPHI('LabTest', { model: LabTest, patientField: 'patient.patientId' }));
 
 router.route('/')
   .get(restrictTo('technician', 'admin', 'supervisor'), getTests)
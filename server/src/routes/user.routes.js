@@ -34,6 +34,16 @@ import {
     forgotPasswordController,
     resetPasswordController,
     deleteAccountController,
+    getMySessions,
+    revokeMySession,
+    revokeOtherSessions,
+    setupLoginTwoFactor,
+    verifyLoginTwoFactor,
+    getTwoFactorStatus,
+    startTwoFactorSetup,
+    enableTwoFactor,
+    disableTwoFactor,
+    regenerateRecoveryCodes,
     getUserStatistics,
     updateUserRole,
     deactivateUser,
@@ -69,6 +79,7 @@ import {
 import { 
     rateLimiter, 
     loginRateLimiter,
+    twoFactorRateLimiter,
     strictRateLimiter 
 } from "../middlewares/rateLimit.middleware.js";
 
@@ -113,6 +124,28 @@ router.post(
     loginUser
 );
 
+/**
+ * @route   POST /api/v1/users/login/2fa/setup
+ * @desc    Get the authenticator QR code during login (roles that require 2FA)
+ * @access  Public (challenge token from /login)
+ */
+router.post(
+    "/login/2fa/setup",
+    twoFactorRateLimiter,
+    setupLoginTwoFactor
+);
+
+/**
+ * @route   POST /api/v1/users/login/2fa
+ * @desc    Complete login with a TOTP or recovery code
+ * @access  Public (challenge token from /login)
+ */
+router.post(
+    "/login/2fa",
+    twoFactorRateLimiter,
+    verifyLoginTwoFactor
+);
+
 /**
  * @route   POST /api/v1/users/refresh-token
  * @desc    Refresh access token using refresh token
@@ -201,6 +234,62 @@ router.get("/me", getCurrentUser);
  */
 router.patch("/me", updateProfile);
 
+/**
+ * @route   GET /api/v1/users/me/sessions
+ * @desc    List devices the user is signed in on
+ * @access  Private
+ */
+router.get("/me/sessions", getMySessions);
+
+/**
+ * @route   DELETE /api/v1/users/me/sessions
+ * @desc    Sign out every device except this one
+ * @access  Private
+ */
+router.delete("/me/sessions", revokeOtherSessions);
+
+/**
+ * @route   DELETE /api/v1/users/me/sessions/:sessionId
+ * @desc    Sign out one device
+ * @access  Private
+ */
+router.delete("/me/sessions/:sessionId", revokeMySession);
+
+/**
+ * @route   GET /api/v1/users/me/2fa
+ * @desc    Two-factor authentication status
+ * @access  Private
+ */
+router.get("/me/2fa", getTwoFactorStatus);
+
+/**
+ * @route   POST /api/v1/users/me/2fa/setup
+ * @desc    Start authenticator app enrolment (returns QR code)
+ * @access  Private
+ */
+router.post("/me/2fa/setup", startTwoFactorSetup);
+
+/**
+ * @route   POST /api/v1/users/me/2fa/enable
+ * @desc    Confirm enrolment with a code and get recovery codes
+ * @access  Private
+ */
+router.post("/me/2fa/enable", enableTwoFactor);
+
+/**
+ * @route   POST /api/v1/users/me/2fa/disable
+ * @desc    Turn two-factor authentication off
+ * @access  Private
+ */
+router.post("/me/2fa/disable", disableTwoFactor);
+
+/**
+ * @route   POST /api/v1/users/me/2fa/recovery-codes
+ * @desc    Replace recovery codes
+ * @access  Private
+ */
+router.post("/me/2fa/recovery-codes", regenerateRecoveryCodes);
+
 /**
  * @route   POST /api/v1/users/logout
  * @desc    Logout user and clear tokens
@@ -0,0 +1,28 @@
+import { Router } from "express";
+import { verifyJWT, restrictTo } from "../middlewares/auth.middleware.js";
+import {
+    joinWaitlist,
+    getMyWaitlist,
+    getDoctorWaitlist,
+    leaveWaitlist,
+    getWaitlistOffer,
+    acceptWaitlistOffer,
+    declineWaitlistOffer
+} from "../controllers/waitlist.controller.js";
+
+const router = Router();
+
+router.use(verifyJWT);
+
+router.post("/", joinWaitlist);
+router.get("/me", getMyWaitlist);
+router.get("/doctor", restrictTo('doctor', 'admin'), getDoctorWaitlist);
+
+// Offers are addressed by the one-time token from the notification link
+router.get("/offers/:token", getWaitlistOffer);
+router.post("/offers/:token/accept", acceptWaitlistOffer);
+router.post("/offers/:token/decline", declineWaitlistOffer);
+
+router.delete("/:entryId", leaveWaitlist);
+
+export default router;
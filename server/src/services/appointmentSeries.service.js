@@ -0,0 +1,472 @@
+import { AppointmentSeries } from "../models/appointmentSeries.model.js";
+import { Appointment } from "../models/appointment.model.js";
+import { Patient } from "../models/Patient.model.js";
+import { ApiError } from "../utils/ApiError.js";
+import { createNotification } from "../utils/notificationUtils.js";
+import { generateGoogleMeetLink } from "../utils/googleMeetUtils.js";
+import { combineDateAndTime, toDateKey } from "../utils/dateTimeUtils.js";
+import { BOOKED_STATUSES, getConsultationFee } from "./schedule.service.js";
+import slotReservationService from "./slotReservation.service.js";
+import refundService from "./refund.service.js";
+
+const SERIES_SCOPES = ['this', 'following'];
+
+const assertScope = (scope) => {
+    if (!SERIES_SCOPES.includes(scope)) {
+        throw new ApiError(400, `Scope must be one of: ${SERIES_SCOPES.join(', ')}`);
+    }
+};
+
+/**
+ * Load a series, checking it belongs to the doctor (admins pass doctorId = null)
+ */
+const findSeriesForDoctor = async (seriesId, doctorId) => {
+    const series = await AppointmentSeries.findById(seriesId);
+    if (!series) {
+        throw new ApiError(404, "Appointment series not found");
+    }
+    if (doctorId && !series.doctorId.equals(doctorId)) {
+        throw new ApiError(403, "This series belongs to another doctor");
+    }
+    return series;
+};
+
+const findOccurrence = async (series, appointmentId) => {
+    const appointment = await Appointment.findOne({ _id: appointmentId, seriesId: series._id });
+    if (!appointment) {
+        throw new ApiError(404, "Occurrence not found in this series");
+    }
+    return appointment;
+};
+
+/**
+ * Book one occurrence against the doctor's availability
+ */
+const bookOccurrence = async (series, { seriesIndex, date, bookedBy }) => {
+    const time = series.recurrence.time;
+    const appointmentDate = combineDateAndTime(date, time);
+    const appointmentType = series.appointmentType;
+
+    if (appointmentDate <= new Date()) {
+        throw new ApiError(400, "Occurrence is in the past");
+    }
+
+    const dayStart = new Date(appointmentDate);
+    dayStart.setHours(0, 0, 0, 0);
+    const dayEnd = new Date(appointmentDate);
+    dayEnd.setHours(23, 59, 59, 999);
+
+    const patientConflict = await Appointment.findOne({
+        patientId: series.patientId,
+        appointmentDate: { $gte: dayStart, $lte: dayEnd },
+        appointmentTime: time,
+        status: { $in: BOOKED_STATUSES }
+    });
+    if (patientConflict) {
+        throw new ApiError(409, "Patient already has an appointment at this time");
+    }
+
+    const { seatId, slot } = await slotReservationService.reserveBooking({
+        doctorId: series.doctorId,
+        date: appointmentDate,
+        time,
+        appointmentType,
+        userId: bookedBy,
+        patientId: series.patientId
+    });
+
+    const meetLink = appointmentType === 'video' ? generateGoogleMeetLink() : null;
+
+    let appointment;
+    try {
+        appointment = await Appointment.create({
+            patientId: series.patientId,
+            doctorId: series.doctorId,
+            appointmentDate,
+            appointmentTime: time,
+            appointmentType,
+            duration: slot.duration,
+            location: appointmentType === 'in-person' ? slot.location : undefined,
+            consultationFee: getConsultationFee(appointmentType),
+            symptoms: series.reason || "",
+            status: 'scheduled',
+            paymentStatus: 'pending',
+            isFollowUp: true,
+            originalConsultationId: series.originalConsultationId,
+            seriesId: series._id,
+            seriesIndex,
+            videoConsultation: meetLink ? {
+                meetingUrl: meetLink,
+                joinUrl: meetLink,
+                meetingId: meetLink.split('/').pop()
+            } : undefined,
+            metadata: { bookedBy: 'doctor' }
+        });
+    } catch (error) {
+        await slotReservationService.releaseSeat(seatId);
+        throw error;
+    }
+    await slotReservationService.attachAppointment(seatId, appointment._id);
+
+    return appointment;
+};
+
+/**
+ * Materialise occurrences from an index onwards, recording conflicts instead of failing
+ */
+const materialiseOccurrences = async (series, { fromIndex = 0, bookedBy }) => {
+    const appointments = [];
+    const conflicts = [];
+
+    for (const { seriesIndex, date } of series.getOccurrenceDates(fromIndex)) {
+        try {
+            appointments.push(await bookOccurrence(series, { seriesIndex, date, bookedBy }));
+        } catch (error) {
+            conflicts.push({
+                seriesIndex,
+                date,
+                time: series.recurrence.time,
+                statusCode: error.statusCode || 400,
+                reason: error.message
+            });
+        }
+    }
+
+    series.conflicts = series.conflicts
+        .filter(conflict => conflict.seriesIndex < fromIndex)
+        .concat(conflicts);
+    await series.save();
+
+    return { appointments, conflicts };
+};
+
+/**
+ * Refund a paid occurrence the doctor cancelled; a failed refund is logged
+ * and can be raised by hand from the payment
+ */
+const refundCancelled = (appointment) =>
+    refundService.refundForCancellation(appointment, { cancelledBy: 'doctor' }).catch((error) => {
+        console.error(`Cancellation refund for appointment ${appointment._id} failed:`, error);
+    });
+
+/**
+ * Cancel booked occurrences of a series from an index onwards, refunding
+ * them unless they are being rebooked
+ */
+const cancelOccurrencesFrom = async (series, fromIndex, reason, { refund = true } = {}) => {
+    const occurrences = await Appointment.find({
+        seriesId: series._id,
+        seriesIndex: { $gte: fromIndex },
+        status: { $in: BOOKED_STATUSES }
+    });
+
+    for (const appointment of occurrences) {
+        // Releases the slot and offers it to the waitlist
+        await appointment.cancelAppointment(reason, 'doctor');
+        if (refund) await refundCancelled(appointment);
+    }
+
+    return occurrences.length;
+};
+
+const notifyPatient = async (series, title, message) => {
+    try {
+        const patient = await Patient.findById(series.patientId).select('user');
+        if (!patient?.user) return;
+
+        await createNotification({
+            recipientId: patient.user,
+            recipientType: 'patient',
+            title,
+            message,
+            notificationType: 'appointment',
+            category: 'follow-up-series',
+            priority: 'medium',
+            channels: ['in-app'],
+            metadata: {
+                entityType: 'AppointmentSeries',
+                entityId: series._id
+            }
+        });
+    } catch (error) {
+        console.error("⚠️ Failed to notify patient about appointment series:", error.message);
+    }
+};
+
+const describeRecurrence = ({ frequency, interval, time }) => {
+    const unit = frequency === 'weekly' ? 'week' : 'month';
+    return `every ${interval > 1 ? `${interval} ${unit}s` : unit} at ${time}`;
+};
+
+/**
+ * Create a recurring series and book its occurrences
+ */
+export const createSeries = async ({ doctorId, patientId, appointmentType = 'in-person', title, reason, originalConsultationId, recurrence = {}, createdBy }) => {
+    const patient = await Patient.findById(patientId).select('_id');
+    if (!patient) {
+        throw new ApiError(404, "Patient not found");
+    }
+
+    if (originalConsultationId) {
+        const original = await Appointment.findOne({
+            _id: originalConsultationId,
+            doctorId,
+            patientId
+        }).select('_id');
+        if (!original) {
+            throw new ApiError(404, "Original consultation not found for this doctor and patient");
+        }
+    }
+
+    const series = new AppointmentSeries({
+        doctorId,
+        patientId,
+        appointmentType,
+        title,
+        reason,
+        originalConsultationId,
+        recurrence: {
+            frequency: recurrence.frequency,
+            interval: recurrence.interval,
+            dayOfWeek: recurrence.dayOfWeek,
+            time: recurrence.time,
+            startDate: recurrence.startDate,
+            endDate: recurrence.endDate || undefined,
+            count: recurrence.count || undefined
+        },
+        createdBy
+    });
+
+    try {
+        await series.validate();
+    } catch (error) {
+        throw new ApiError(400, error.message);
+    }
+
+    const { appointments, conflicts } = await materialiseOccurrences(series, { bookedBy: createdBy });
+
+    await notifyPatient(
+        series,
+        'Follow-up appointments scheduled',
+        `${appointments.length} follow-up appointment(s) were booked for you, ${describeRecurrence(series.recurrence)}.`
+    );
+
+    return { series, appointments, conflicts };
+};
+
+/**
+ * A series with its occurrences in order
+ */
+export const getSeries = async (seriesId, doctorId = null) => {
+    const series = await findSeriesForDoctor(seriesId, doctorId);
+    await series.populate({
+        path: 'patientId',
+        select: 'user',
+        populate: { path: 'user', select: 'firstName lastName email phoneNumber' }
+    });
+
+    const occurrences = await Appointment.find({ seriesId: series._id })
+        .select('appointmentDate appointmentTime appointmentType duration status seriesIndex cancellationReason')
+        .sort({ seriesIndex: 1, appointmentDate: 1 });
+
+    return { series, occurrences };
+};
+
+/**
+ * A doctor's series, with the next upcoming occurrence of each
+ */
+export const listDoctorSeries = async (doctorId, { status } = {}) => {
+    const query = { doctorId };
+    if (status) query.status = status;
+
+    const seriesList = await AppointmentSeries.find(query)
+        .populate({
+            path: 'patientId',
+            select: 'user',
+            populate: { path: 'user', select: 'firstName lastName' }
+        })
+        .sort({ createdAt: -1 })
+        .lean();
+
+    const upcoming = await Appointment.aggregate([
+        {
+            $match: {
+                seriesId: { $in: seriesList.map(series => series._id) },
+                status: { $in: BOOKED_STATUSES },
+                appointmentDate: { $gte: new Date() }
+            }
+        },
+        { $sort: { appointmentDate: 1 } },
+        {
+            $group: {
+                _id: '$seriesId',
+                remaining: { $sum: 1 },
+                nextDate: { $first: '$appointmentDate' },
+                nextTime: { $first: '$appointmentTime' }
+            }
+        }
+    ]);
+    const upcomingBySeries = new Map(upcoming.map(entry => [entry._id.toString(), entry]));
+
+    return seriesList.map(series => ({
+        ...series,
+        openConflicts: series.conflicts.filter(conflict => !conflict.resolved).length,
+        upcoming: upcomingBySeries.get(series._id.toString()) || { remaining: 0 }
+    }));
+};
+
+/**
+ * Move one occurrence ("this") or the occurrence and everything after it ("following")
+ *
+ * "following" splits the series: the original ends before this occurrence and a
+ * new series carries on from the new date/time with the remaining occurrences.
+ */
+export const updateOccurrence = async (seriesId, appointmentId, { scope = 'this', date, time }, { doctorId = null, userId }) => {
+    assertScope(scope);
+    const series = await findSeriesForDoctor(seriesId, doctorId);
+    const appointment = await findOccurrence(series, appointmentId);
+
+    if (!BOOKED_STATUSES.includes(appointment.status)) {
+        throw new ApiError(400, `Cannot reschedule a ${appointment.status} appointment`);
+    }
+
+    const newTime = time || appointment.appointmentTime;
+    const newDate = date ? new Date(date) : appointment.appointmentDate;
+    if (isNaN(newDate.getTime())) {
+        throw new ApiError(400, "A valid date is required");
+    }
+
+    if (scope === 'this') {
+        const appointmentDate = combineDateAndTime(newDate, newTime);
+        const { seatId, slot } = await slotReservationService.reserveBooking({
+            doctorId: series.doctorId,
+            date: appointmentDate,
+            time: newTime,
+            appointmentType: appointment.appointmentType,
+            userId,
+            patientId: series.patientId,
+            excludeAppointmentId: appointment._id
+        });
+
+        appointment.appointmentDate = appointmentDate;
+        appointment.appointmentTime = newTime;
+        appointment.duration = slot.duration;
+        appointment.status = 'rescheduled';
+        appointment.rescheduledAt = new Date();
+        try {
+            await appointment.save();
+        } catch (error) {
+            await slotReservationService.releaseSeat(seatId);
+            throw new ApiError(400, error.message);
+        }
+        await slotReservationService.releaseAppointment(appointment._id);
+        await slotReservationService.attachAppointment(seatId, appointment._id);
+
+        await notifyPatient(
+            series,
+            'Follow-up appointment moved',
+            `Your follow-up on ${toDateKey(appointmentDate)} is now at ${newTime}.`
+        );
+
+        return { series, appointments: [appointment], conflicts: [] };
+    }
+
+    const fromIndex = appointment.seriesIndex;
+    const { recurrence } = series;
+
+    const continuation = new AppointmentSeries({
+        doctorId: series.doctorId,
+        patientId: series.patientId,
+        appointmentType: series.appointmentType,
+        title: series.title,
+        reason: series.reason,
+        originalConsultationId: series.originalConsultationId,
+        recurrence: {
+            frequency: recurrence.frequency,
+            interval: recurrence.interval,
+            dayOfWeek: recurrence.frequency === 'weekly' ? newDate.getDay() : undefined,
+            time: newTime,
+            startDate: newDate,
+            endDate: recurrence.endDate,
+            count: recurrence.count ? recurrence.count - fromIndex : undefined
+        },
+        splitFromSeriesId: series._id,
+        createdBy: userId
+    });
+
+    try {
+        await continuation.validate();
+    } catch (error) {
+        throw new ApiError(400, error.message);
+    }
+
+    await cancelOccurrencesFrom(series, fromIndex, 'Follow-up series rescheduled', { refund: false });
+    series.recurrence.count = fromIndex || 1;
+    series.conflicts = series.conflicts.filter(conflict => conflict.seriesIndex < fromIndex);
+    series.status = fromIndex === 0 ? 'cancelled' : series.status;
+    await series.save();
+
+    const { appointments, conflicts } = await materialiseOccurrences(continuation, { bookedBy: userId });
+
+    await notifyPatient(
+        continuation,
+        'Follow-up appointments rescheduled',
+        `Your follow-ups from ${toDateKey(newDate)} onwards are now ${describeRecurrence(continuation.recurrence)}.`
+    );
+
+    return { series: continuation, appointments, conflicts };
+};
+
+/**
+ * Cancel one occurrence ("this") or the occurrence and everything after it ("following")
+ */
+export const cancelOccurrence = async (seriesId, appointmentId, { scope = 'this', reason }, { doctorId = null }) => {
+    assertScope(scope);
+    const series = await findSeriesForDoctor(seriesId, doctorId);
+    const appointment = await findOccurrence(series, appointmentId);
+    const cancellationReason = reason?.trim() || 'Cancelled by doctor';
+
+    if (scope === 'this') {
+        if (!BOOKED_STATUSES.includes(appointment.status)) {
+            throw new ApiError(400, `Cannot cancel a ${appointment.status} appointment`);
+        }
+        await appointment.cancelAppointment(cancellationReason, 'doctor');
+        await refundCancelled(appointment);
+
+        await notifyPatient(
+            series,
+            'Follow-up appointment cancelled',
+            `Your follow-up on ${toDateKey(appointment.appointmentDate)} at ${appointment.appointmentTime} was cancelled.`
+        );
+
+        return { series, cancelled: 1 };
+    }
+
+    const fromIndex = appointment.seriesIndex;
+    const cancelled = await cancelOccurrencesFrom(series, fromIndex, cancellationReason);
+
+    series.recurrence.count = fromIndex || 1;
+    series.conflicts = series.conflicts.filter(conflict => conflict.seriesIndex < fromIndex);
+    if (fromIndex === 0) {
+        series.status = 'cancelled';
+        series.cancelledAt = new Date();
+        series.cancellationReason = cancellationReason;
+    }
+    await series.save();
+
+    await notifyPatient(
+        series,
+        'Follow-up appointments cancelled',
+        `${cancelled} follow-up appointment(s) from ${toDateKey(appointment.appointmentDate)} onwards were cancelled.`
+    );
+
+    return { series, cancelled };
+};
+
+export default {
+    createSeries,
+    getSeries,
+    listDoctorSeries,
+    updateOccurrence,
+    cancelOccurrence
+};
@@ -0,0 +1,139 @@
+import mongoose from "mongoose";
+import { AuditLog } from "../models/auditLog.model.js";
+import { User } from "../models/User.model.js";
+import careTeamService from "./careTeam.service.js";
+
+// Request body keys never copied into fieldsChanged
+const REDACTED_FIELDS = ['password', 'newPassword', 'oldPassword', 'confirmPassword', 'token', 'otp'];
+
+const toObjectId = (value) =>
+    value && mongoose.Types.ObjectId.isValid(value) ? new mongoose.Types.ObjectId(String(value)) : undefined;
+
+/**
+ * Map an HTTP request to an audit action
+ * A POST against an existing resource (e.g. /tests/:id/start) is an update.
+ */
+export const actionForRequest = (method, hasResourceId) => {
+    switch (method) {
+        case 'GET':
+        case 'HEAD':
+            return 'READ';
+        case 'POST':
+            return hasResourceId ? 'UPDATE' : 'CREATE';
+        case 'DELETE':
+            return 'DELETE';
+        default:
+            return 'UPDATE';
+    }
+};
+
+/**
+ * Top-level request fields a write touched (values are never logged)
+ */
+export const changedFields = (req) => {
+    const fields = new Set(Object.keys(req.body || {}));
+    if (req.file) fields.add(req.file.fieldname);
+    if (req.files) {
+        Object.keys(Array.isArray(req.files) ? {} : req.files).forEach(field => fields.add(field));
+    }
+    return [...fields].filter(field => !REDACTED_FIELDS.includes(field));
+};
+
+/**
+ * Append a PHI access entry; patientId may be a Patient or User id
+ */
+export const recordAccess = async ({ user, patientId, resourceId, ...entry }) => {
+    const resolvedPatientId = patientId ? await careTeamService.resolvePatientId(patientId) : null;
+
+    return AuditLog.append({
+        ...entry,
+        userId: user._id,
+        userRole: user.role,
+        resourceId: toObjectId(resourceId),
+        patientId: resolvedPatientId || undefined
+    });
+};
+
+/**
+ * "Who viewed my record": accesses to a patient's data by anyone but themselves
+ */
+export const getPatientAccessHistory = async (user, { page = 1, limit = 20, action } = {}) => {
+    const pageNumber = Math.max(1, parseInt(page, 10) || 1);
+    const pageSize = Math.min(100, Math.max(1, parseInt(limit, 10) || 20));
+
+    const patientId = await careTeamService.resolvePatientId(user.patientId || user._id);
+    if (!patientId) {
+        return { entries: [], summary: [], pagination: { total: 0, page: pageNumber, limit: pageSize, totalPages: 0 } };
+    }
+
+    const query = { patientId, userId: { $ne: user._id } };
+    if (action) query.action = action;
+
+    const [entries, total, byViewer] = await Promise.all([
+        AuditLog.find(query)
+            .select('action resource userId userRole timestamp status details.event details.operation')
+            .populate('userId', 'firstName lastName role specialization')
+            .sort({ timestamp: -1 })
+            .skip((pageNumber - 1) * pageSize)
+            .limit(pageSize)
+            .lean(),
+        AuditLog.countDocuments(query),
+        AuditLog.aggregate([
+            { $match: query },
+            {
+                $group: {
+                    _id: '$userId',
+                    role: { $last: '$userRole' },
+                    count: { $sum: 1 },
+                    lastAccessAt: { $max: '$timestamp' },
+                    emergency: { $max: { $cond: [{ $eq: ['$resource', 'EmergencyAccess'] }, true, false] } }
+                }
+            },
+            { $sort: { lastAccessAt: -1 } },
+            { $limit: 50 }
+        ])
+    ]);
+
+    const viewers = await User.find({ _id: { $in: byViewer.map(viewer => viewer._id) } })
+        .select('firstName lastName role specialization')
+        .lean();
+    const viewerMap = new Map(viewers.map(viewer => [viewer._id.toString(), viewer]));
+
+    return {
+        entries: entries.map(entry => ({
+            _id: entry._id,
+            action: entry.action,
+            resource: entry.resource,
+            emergency: entry.resource === 'EmergencyAccess',
+            event: entry.details?.event,
+            timestamp: entry.timestamp,
+            status: entry.status,
+            viewer: entry.userId || { role: entry.userRole }
+        })),
+        summary: byViewer.map(viewer => ({
+            viewer: viewerMap.get(viewer._id.toString()) || { _id: viewer._id, role: viewer.role },
+            count: viewer.count,
+            lastAccessAt: viewer.lastAccessAt,
+            emergency: viewer.emergency
+        })),
+        pagination: {
+            total,
+            page: pageNumber,
+            limit: pageSize,
+            totalPages: Math.ceil(total / pageSize)
+        }
+    };
+};
+
+/**
+ * Admin: check the hash chain for tampering
+ */
+export const verifyAuditChain = (options) => AuditLog.verifyChain(options);
+
+export default {
+    actionForRequest,
+    changedFields,
+    recordAccess,
+    getPatientAccessHistory,
+    verifyAuditChain
+};
@@ -0,0 +1,268 @@
+import { Appointment } from "../models/appointment.model.js";
+import { Prescription } from "../models/prescription.model.js";
+import { Notification } from "../models/notification.model.js";
+import { Patient } from "../models/Patient.model.js";
+import { Reminder } from "../models/monitoring.model.js";
+import { createNotification, deliverNotification } from "../utils/notificationUtils.js";
+import { calculateAppointmentReminders, toDateKey } from "../utils/dateTimeUtils.js";
+import { BOOKED_STATUSES } from "./schedule.service.js";
+import slotReservationService from "./slotReservation.service.js";
+import waitlistService from "./waitlist.service.js";
+import pharmacyInventoryService from "./pharmacyInventory.service.js";
+import medicationAdherenceService from "./medicationAdherence.service.js";
+import refillRequestService from "./refillRequest.service.js";
+import medicineSubstitutionService from "./medicineSubstitution.service.js";
+import invoiceService from "./invoice.service.js";
+import healthPackageService from "./healthPackage.service.js";
+import paymentWebhookService from "./paymentWebhook.service.js";
+import paymentReconciliationService from "./paymentReconciliation.service.js";
+import jobScheduler from "./jobScheduler.service.js";
+
+// Appointment.remindersSent key for each reminder lead time (hours)
+const APPOINTMENT_REMINDER_TYPES = {
+    24: '24_hours',
+    2: '2_hours'
+};
+
+/**
+ * Map prescription/appointment patient ids to their user accounts
+ */
+const getPatientUserIds = async (patientIds) => {
+    const patients = await Patient.find({ _id: { $in: patientIds } }).select('user').lean();
+    return new Map(patients.map(patient => [patient._id.toString(), patient.user]));
+};
+
+/**
+ * Send the most recent due reminder for upcoming appointments
+ *
+ * If the 2-hour reminder is due before the 24-hour one went out (e.g. a
+ * late booking), only the 2-hour reminder is sent and both are marked.
+ */
+const sendAppointmentReminders = async () => {
+    const now = new Date();
+    const maxLead = Math.max(...Object.keys(APPOINTMENT_REMINDER_TYPES).map(Number));
+
+    const appointments = await Appointment.find({
+        status: { $in: BOOKED_STATUSES },
+        appointmentDate: {
+            $gte: new Date(now.getTime() - 24 * 60 * 60 * 1000),
+            $lte: new Date(now.getTime() + (maxLead + 1) * 60 * 60 * 1000)
+        },
+        $or: Object.values(APPOINTMENT_REMINDER_TYPES).map(type => ({ [`remindersSent.${type}`]: { $ne: true } }))
+    }).populate('doctorId', 'firstName lastName');
+
+    const patientUsers = await getPatientUserIds(appointments.map(appointment => appointment.patientId));
+
+    let sent = 0;
+    let failed = 0;
+    for (const appointment of appointments) {
+        const startsAt = appointment.appointmentDateTime;
+        if (!startsAt || startsAt <= now) continue;
+
+        const due = calculateAppointmentReminders(startsAt, Object.keys(APPOINTMENT_REMINDER_TYPES).map(Number))
+            .filter(reminder => reminder.isPast && !appointment.remindersSent?.[APPOINTMENT_REMINDER_TYPES[reminder.hoursBefore]])
+            .sort((a, b) => a.hoursBefore - b.hoursBefore);
+        if (!due.length) continue;
+
+        try {
+            const userId = patientUsers.get(appointment.patientId.toString());
+            if (userId) {
+                const doctorName = appointment.doctorId
+                    ? `Dr. ${appointment.doctorId.firstName} ${appointment.doctorId.lastName}`
+                    : 'your doctor';
+                const notification = await createNotification({
+                    recipientId: userId,
+                    recipientType: 'patient',
+                    title: 'Appointment reminder',
+                    message: `Reminder: your ${appointment.appointmentType} appointment with ${doctorName} is on ${toDateKey(startsAt)} at ${appointment.appointmentTime}.`,
+                    notificationType: 'appointment',
+                    category: 'appointment-reminder',
+                    priority: due[0].hoursBefore <= 2 ? 'high' : 'medium',
+                    channels: ['in-app', 'email', 'sms'],
+                    metadata: { appointmentId: appointment._id }
+                });
+                await deliverNotification(notification);
+            }
+
+            for (const reminder of due.slice(1)) {
+                appointment.remindersSent[APPOINTMENT_REMINDER_TYPES[reminder.hoursBefore]] = true;
+            }
+            await appointment.sendReminder(APPOINTMENT_REMINDER_TYPES[due[0].hoursBefore]);
+            sent++;
+        } catch (error) {
+            console.error(`⚠️ Reminder for appointment ${appointment._id} failed:`, error.message);
+            failed++;
+        }
+    }
+
+    return { sent, failed };
+};
+
+/**
+ * Mark prescriptions past their expiry date as expired and tell the patient
+ */
+const expirePrescriptions = async () => {
+    const expired = await Prescription.findExpired();
+    if (!expired.length) return { expired: 0 };
+
+    await Prescription.updateMany(
+        { _id: { $in: expired.map(prescription => prescription._id) }, status: 'active' },
+        { $set: { status: 'expired' } }
+    );
+
+    const patientUsers = await getPatientUserIds(expired.map(prescription => prescription.patientId));
+    for (const prescription of expired) {
+        const userId = patientUsers.get(prescription.patientId.toString());
+        if (!userId) continue;
+
+        await createNotification({
+            recipientId: userId,
+            recipientType: 'patient',
+            title: 'Prescription expired',
+            message: `Your prescription from ${toDateKey(prescription.prescriptionDate || prescription.createdAt)} has expired. Contact your doctor if you still need it.`,
+            notificationType: 'prescription',
+            category: 'prescription-expired',
+            channels: ['in-app'],
+            metadata: { prescriptionId: prescription._id }
+        });
+    }
+
+    return { expired: expired.length };
+};
+
+/**
+ * Retry external delivery of failed notifications
+ */
+const retryFailedNotifications = async () => {
+    const failed = await Notification.findFailedForRetry();
+
+    let delivered = 0;
+    for (const notification of failed) {
+        try {
+            await notification.retryDelivery();
+            const result = await deliverNotification(notification);
+            if (result.status === 'delivered') delivered++;
+        } catch (error) {
+            console.error(`⚠️ Retry of notification ${notification._id} failed:`, error.message);
+        }
+    }
+
+    return { retried: failed.length, delivered };
+};
+
+/**
+ * Deliver a single notification that was scheduled for later
+ */
+const deliverScheduledNotification = async ({ notificationId }) => {
+    const notification = await Notification.findById(notificationId);
+    if (!notification || notification.status !== 'pending') {
+        return { skipped: true };
+    }
+
+    const result = await deliverNotification(notification);
+    return { status: result.status };
+};
+
+/**
+ * Fire the health-monitoring reminders set for this minute
+ *
+ * Reminder times are stored as "08:00 AM" or "22:00", so every spelling of
+ * the minute is matched.
+ */
+const sendHealthReminders = async (payload, job) => {
+    const at = job.runAt || new Date();
+    const hours = at.getHours();
+    const minutes = String(at.getMinutes()).padStart(2, '0');
+    const hours12 = hours % 12 || 12;
+    const meridiem = hours < 12 ? 'AM' : 'PM';
+
+    const spellings = [
+        `${String(hours).padStart(2, '0')}:${minutes}`,
+        `${hours}:${minutes}`,
+        `${String(hours12).padStart(2, '0')}:${minutes} ${meridiem}`,
+        `${hours12}:${minutes} ${meridiem}`
+    ];
+
+    const reminders = await Reminder.find({ active: true, time: { $in: [...new Set(spellings)] } }).lean();
+    for (const reminder of reminders) {
+        await createNotification({
+            recipientId: reminder.userId,
+            recipientType: 'patient',
+            title: `${reminder.reminderType.charAt(0).toUpperCase()}${reminder.reminderType.slice(1)} reminder`,
+            message: reminder.action,
+            notificationType: 'reminder',
+            category: 'health-reminder',
+            priority: reminder.priority,
+            channels: ['in-app', 'push'],
+            metadata: { entityType: 'Reminder', entityId: reminder._id }
+        });
+    }
+
+    return { sent: reminders.length };
+};
+
+jobScheduler.defineJob('appointment-reminders', sendAppointmentReminders);
+jobScheduler.defineJob('prescription-expiry', expirePrescriptions);
+jobScheduler.defineJob('prescription-refill-reminders', () => refillRequestService.sendSupplyReminders());
+jobScheduler.defineJob('notification-retry', retryFailedNotifications, { maxAttempts: 1 });
+jobScheduler.defineJob('deliver-notification', deliverScheduledNotification, {
+    maxAttempts: 5,
+    backoff: { strategy: 'exponential', delayMs: 60000 }
+});
+jobScheduler.defineJob('health-reminders', sendHealthReminders, { maxAttempts: 1 });
+jobScheduler.defineJob('waitlist-offer-expiry', () => waitlistService.processExpiredOffers());
+jobScheduler.defineJob('slot-hold-cleanup', async () => ({ released: await slotReservationService.releaseExpiredHolds() }));
+jobScheduler.defineJob('pharmacy-reservation-expiry', async () => ({ released: await pharmacyInventoryService.releaseExpiredReservations() }));
+jobScheduler.defineJob('adherence-dose-planning', () => medicationAdherenceService.planUpcomingDoses());
+jobScheduler.defineJob('adherence-missed-doses', () => medicationAdherenceService.processMissedDoses(), { maxAttempts: 1 });
+jobScheduler.defineJob('medicine-substitution-groups', () => medicineSubstitutionService.classifyCatalogue(), { maxAttempts: 1 });
+jobScheduler.defineJob('stock-expiry-writeoff', async () => ({ units: await pharmacyInventoryService.writeOffExpiredBatches() }), { maxAttempts: 1 });
+jobScheduler.defineJob('invoice-backfill', () => invoiceService.backfillInvoices(), { maxAttempts: 1 });
+jobScheduler.defineJob('health-package-expiry', () => healthPackageService.expirePackages(), { maxAttempts: 1 });
+jobScheduler.defineJob('payment-webhook-retry', () => paymentWebhookService.retryFailedEvents(), { maxAttempts: 1 });
+jobScheduler.defineJob('payment-reconciliation', () => paymentReconciliationService.reconcilePayments(), { maxAttempts: 1 });
+
+// Cron schedules (server local time)
+const RECURRING_JOBS = {
+    'appointment-reminders': '*/5 * * * *',
+    'prescription-expiry': '15 0 * * *',
+    'prescription-refill-reminders': '0 9 * * *',
+    'notification-retry': '*/5 * * * *',
+    'health-reminders': '* * * * *',
+    'waitlist-offer-expiry': '* * * * *',
+    'slot-hold-cleanup': '*/5 * * * *',
+    'pharmacy-reservation-expiry': '*/5 * * * *',
+    'stock-expiry-writeoff': '30 0 * * *',
+    'medicine-substitution-groups': '45 0 * * *',
+    'adherence-dose-planning': '5 * * * *',
+    'adherence-missed-doses': '*/15 * * * *',
+    'invoice-backfill': '20 * * * *',
+    'health-package-expiry': '40 0 * * *',
+    'payment-webhook-retry': '*/5 * * * *',
+    'payment-reconciliation': '0 6 * * *'
+};
+
+/**
+ * Register the recurring jobs and start the scheduler
+ */
+export const startBackgroundJobs = async () => {
+    for (const [name, cron] of Object.entries(RECURRING_JOBS)) {
+        await jobScheduler.scheduleRecurring(name, cron);
+    }
+    jobScheduler.startScheduler();
+};
+
+/**
+ * Queue delivery of a notification at its scheduledFor time
+ */
+export const scheduleNotificationDelivery = (notification) =>
+    jobScheduler.scheduleJob('deliver-notification', {
+        runAt: notification.scheduledFor,
+        payload: { notificationId: notification._id },
+        uniqueKey: `deliver-notification:${notification._id}`
+    });
+
+export default {
+    startBackgroundJobs,
+    scheduleNotificationDelivery
+};
@@ -0,0 +1,269 @@
+import mongoose from "mongoose";
+import { CareRelationship } from "../models/careRelationship.model.js";
+import { Appointment } from "../models/appointment.model.js";
+import { Consultation } from "../models/consultation.model.js";
+import { Patient } from "../models/Patient.model.js";
+import { User } from "../models/User.model.js";
+import { ApiError } from "../utils/ApiError.js";
+
+// Days of access after the most recent encounter (read lazily, after dotenv has loaded)
+export const getAccessWindowDays = () => parseInt(process.env.CARE_TEAM_ACCESS_DAYS, 10) || 180;
+
+// Appointment statuses that put a provider on the patient's care team
+export const ENCOUNTER_STATUSES = ['confirmed', 'checked-in', 'in-progress', 'completed'];
+
+const PROVIDER_ROLES = ['doctor', 'technician', 'staff'];
+
+const accessExpiryFrom = (encounterAt) =>
+    new Date(new Date(encounterAt).getTime() + getAccessWindowDays() * 24 * 60 * 60 * 1000);
+
+/**
+ * Resolve a Patient id from either a Patient id or the patient's User id
+ */
+export const resolvePatientId = async (id) => {
+    if (!id || !mongoose.Types.ObjectId.isValid(id)) return null;
+
+    const patient = await Patient.findOne({ $or: [{ _id: id }, { user: id }] }).select('_id').lean();
+    return patient?._id || null;
+};
+
+/**
+ * Record an encounter, creating or extending the provider's relationship
+ *
+ * An encounter booked for later counts from now, so access can't outlast the
+ * window by the booking's lead time. A revoked relationship stays revoked;
+ * only an admin assigning the provider again restores it.
+ */
+export const recordEncounter = async ({ providerId, patientId, encounterAt = new Date(), source, sourceId }) => {
+    encounterAt = new Date(Math.min(Date.now(), new Date(encounterAt).getTime()));
+    const expiresAt = accessExpiryFrom(encounterAt);
+
+    const relationship = await CareRelationship.findOne({ patientId, providerId });
+    if (!relationship) {
+        try {
+            return await CareRelationship.create({
+                patientId,
+                providerId,
+                source,
+                sourceId,
+                lastEncounterAt: encounterAt,
+                expiresAt
+            });
+        } catch (error) {
+            // Created concurrently; fall through and extend it instead
+            if (error.code !== 11000) throw error;
+            return recordEncounter({ providerId, patientId, encounterAt, source, sourceId });
+        }
+    }
+
+    if (relationship.status === 'revoked') return relationship;
+
+    if (!relationship.lastEncounterAt || relationship.lastEncounterAt < encounterAt) {
+        relationship.lastEncounterAt = encounterAt;
+    }
+    // Manual assignments without an expiry keep it that way
+    if (relationship.expiresAt && relationship.expiresAt < expiresAt) {
+        relationship.expiresAt = expiresAt;
+    }
+    if (relationship.source !== 'manual') {
+        relationship.source = source;
+        relationship.sourceId = sourceId;
+    }
+
+    return await relationship.save();
+};
+
+/**
+ * Keep the care team in step with an appointment's status; never throws
+ */
+export const syncFromAppointment = async (appointment) => {
+    try {
+        if (!appointment || !ENCOUNTER_STATUSES.includes(appointment.status)) return null;
+
+        return await recordEncounter({
+            providerId: appointment.doctorId?._id || appointment.doctorId,
+            patientId: appointment.patientId?._id || appointment.patientId,
+            encounterAt: appointment.appointmentDate || new Date(),
+            source: 'appointment',
+            sourceId: appointment._id
+        });
+    } catch (error) {
+        console.error("⚠️ Failed to update care team from appointment:", error.message);
+        return null;
+    }
+};
+
+/**
+ * Record a consultation note as an encounter; never throws
+ */
+export const syncFromConsultation = async (consultation) => {
+    try {
+        return await recordEncounter({
+            providerId: consultation.doctorId?._id || consultation.doctorId,
+            patientId: consultation.patientId?._id || consultation.patientId,
+            encounterAt: consultation.createdAt || new Date(),
+            source: 'consultation',
+            sourceId: consultation._id
+        });
+    } catch (error) {
+        console.error("⚠️ Failed to update care team from consultation:", error.message);
+        return null;
+    }
+};
+
+/**
+ * Create a relationship from encounters recorded before care teams existed
+ */
+const backfillFromHistory = async (providerId, patientId) => {
+    const [appointment, consultation] = await Promise.all([
+        Appointment.findOne({ doctorId: providerId, patientId, status: { $in: ENCOUNTER_STATUSES } })
+            .sort({ appointmentDate: -1 })
+            .select('appointmentDate status doctorId patientId'),
+        Consultation.findOne({ doctorId: providerId, patientId })
+            .sort({ createdAt: -1 })
+            .select('createdAt doctorId patientId')
+    ]);
+
+    const latest = [
+        appointment && { at: appointment.appointmentDate, source: 'appointment', sourceId: appointment._id },
+        consultation && { at: consultation.createdAt, source: 'consultation', sourceId: consultation._id }
+    ].filter(Boolean).sort((a, b) => b.at - a.at)[0];
+
+    if (!latest) return null;
+
+    return recordEncounter({
+        providerId,
+        patientId,
+        encounterAt: latest.at,
+        source: latest.source,
+        sourceId: latest.sourceId
+    });
+};
+
+/**
+ * Whether a provider currently has access to a patient's record
+ */
+export const hasAccess = async (providerId, patientIdOrUserId) => {
+    const patientId = await resolvePatientId(patientIdOrUserId);
+    if (!patientId || !providerId) return false;
+
+    let relationship = await CareRelationship.findOne({ patientId, providerId });
+    if (!relationship) {
+        relationship = await backfillFromHistory(providerId, patientId);
+    }
+
+    return Boolean(relationship?.isActive);
+};
+
+/**
+ * Throw 403 unless the user may read/write this patient's record
+ *
+ * Providers outside the care team get through only with an active
+ * emergency (break-the-glass) grant, and that use is audited.
+ */
+export const assertAccess = async (user, patientIdOrUserId, context = {}) => {
+    if (user.role === 'admin') return;
+    if (await hasAccess(user._id, patientIdOrUserId)) return;
+
+    const { useActiveGrant } = await import('./emergencyAccess.service.js');
+    if (await useActiveGrant(user, patientIdOrUserId, context)) return;
+
+    throw new ApiError(403, "You are not on this patient's care team. Request emergency access if this is an emergency");
+};
+
+/**
+ * Admin: assign a provider to a patient's care team
+ */
+export const assignProvider = async ({ patientId, providerId, careRole, expiresAt, notes, assignedBy }) => {
+    const resolvedPatientId = await resolvePatientId(patientId);
+    if (!resolvedPatientId) {
+        throw new ApiError(404, "Patient not found");
+    }
+
+    const provider = mongoose.Types.ObjectId.isValid(providerId)
+        ? await User.findOne({ _id: providerId, role: { $in: PROVIDER_ROLES } }).select('_id')
+        : null;
+    if (!provider) {
+        throw new ApiError(404, "Provider not found");
+    }
+
+    const expiry = expiresAt ? new Date(expiresAt) : null;
+    if (expiry && (isNaN(expiry.getTime()) || expiry <= new Date())) {
+        throw new ApiError(400, "Expiry must be a future date");
+    }
+
+    return await CareRelationship.findOneAndUpdate(
+        { patientId: resolvedPatientId, providerId: provider._id },
+        {
+            $set: {
+                source: 'manual',
+                sourceId: null,
+                status: 'active',
+                careRole: careRole || 'care-team',
+                expiresAt: expiry,
+                notes,
+                assignedBy
+            },
+            $unset: { revokedBy: 1, revokedAt: 1, revocationReason: 1 }
+        },
+        { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+};
+
+/**
+ * Admin: remove a provider's access
+ */
+export const revokeRelationship = async (relationshipId, { revokedBy, reason }) => {
+    const relationship = await CareRelationship.findById(relationshipId);
+    if (!relationship) {
+        throw new ApiError(404, "Care relationship not found");
+    }
+    if (relationship.status === 'revoked') {
+        throw new ApiError(400, "Care relationship is already revoked");
+    }
+
+    relationship.status = 'revoked';
+    relationship.revokedBy = revokedBy;
+    relationship.revokedAt = new Date();
+    relationship.revocationReason = reason;
+    return await relationship.save();
+};
+
+/**
+ * List relationships for a patient and/or provider
+ */
+export const listRelationships = async ({ patientId, providerId, activeOnly = false } = {}) => {
+    const filter = {};
+    if (patientId) {
+        filter.patientId = await resolvePatientId(patientId);
+        if (!filter.patientId) throw new ApiError(404, "Patient not found");
+    }
+    if (providerId) filter.providerId = providerId;
+
+    const relationships = await CareRelationship.find(activeOnly ? CareRelationship.activeFilter(filter) : filter)
+        .populate('providerId', 'firstName lastName email role specialization')
+        .populate({
+            path: 'patientId',
+            select: 'user',
+            populate: { path: 'user', select: 'firstName lastName email' }
+        })
+        .sort({ lastEncounterAt: -1 });
+
+    return relationships.map(relationship => ({
+        ...relationship.toObject(),
+        isActive: relationship.isActive
+    }));
+};
+
+export default {
+    getAccessWindowDays,
+    resolvePatientId,
+    recordEncounter,
+    syncFromAppointment,
+    syncFromConsultation,
+    hasAccess,
+    assertAccess,
+    assignProvider,
+    revokeRelationship,
+    listRelationships
+};
@@ -0,0 +1,544 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import mongoose from "mongoose";
+import { Patient } from "../models/Patient.model.js";
+import { Prescription } from "../models/prescription.model.js";
+import { User } from "../models/User.model.js";
+import { ApiError } from "../utils/ApiError.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const DEFAULT_KNOWLEDGE_BASE_PATH = path.join(__dirname, '../constants/drugKnowledgeBase.json');
+
+// Most to least serious
+export const SEVERITIES = ['contraindicated', 'major', 'moderate', 'minor'];
+
+// Patient conditions that no longer apply
+const INACTIVE_CONDITION_STATUSES = ['resolved', 'cured'];
+
+let knowledgeBase = null;
+
+const knowledgeBasePath = () => process.env.DRUG_KNOWLEDGE_BASE_PATH || DEFAULT_KNOWLEDGE_BASE_PATH;
+
+const severityRank = (severity) => SEVERITIES.indexOf(severity);
+
+const mostSevere = (severities) =>
+    severities.reduce((worst, severity) =>
+        worst === null || severityRank(severity) < severityRank(worst) ? severity : worst, null);
+
+/**
+ * Lower-case text padded with spaces so aliases match whole words only
+ * ("asa" must not match "vasant")
+ */
+const toPhrase = (value) => ` ${String(value || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim()} `;
+
+const containsAlias = (phrase, aliases = []) =>
+    aliases.some(alias => alias && phrase.includes(toPhrase(alias)));
+
+/**
+ * Check the references in a knowledge base and index it for lookups
+ */
+const buildKnowledgeBase = (raw) => {
+    const ingredients = raw.ingredients || {};
+    const classes = new Map();
+    const problems = [];
+
+    for (const [id, ingredient] of Object.entries(ingredients)) {
+        for (const className of ingredient.classes || []) {
+            if (!classes.has(className)) classes.set(className, new Set());
+            classes.get(className).add(id);
+        }
+        for (const rule of ingredient.contraindications || []) {
+            if (!raw.conditions?.[rule.condition]) problems.push(`${id}: unknown condition ${rule.condition}`);
+            if (!SEVERITIES.includes(rule.severity)) problems.push(`${id}: unknown severity ${rule.severity}`);
+        }
+    }
+
+    const knownReference = (reference) => reference.startsWith('class:')
+        ? classes.has(reference.slice(6))
+        : Boolean(ingredients[reference]);
+
+    for (const product of raw.products || []) {
+        for (const id of product.ingredients || []) {
+            if (!ingredients[id]) problems.push(`${product.name}: unknown ingredient ${id}`);
+        }
+    }
+    for (const rule of raw.interactions || []) {
+        if (!Array.isArray(rule.between) || rule.between.length !== 2) {
+            problems.push(`interaction ${JSON.stringify(rule.between)} must name two drugs`);
+            continue;
+        }
+        rule.between.filter(reference => !knownReference(reference))
+            .forEach(reference => problems.push(`interaction: unknown drug ${reference}`));
+        if (!SEVERITIES.includes(rule.severity)) problems.push(`interaction: unknown severity ${rule.severity}`);
+    }
+    for (const [id, allergyClass] of Object.entries(raw.allergyClasses || {})) {
+        if (!classes.has(id)) problems.push(`allergy class ${id} has no ingredients`);
+        for (const cross of allergyClass.crossReactive || []) {
+            if (!classes.has(cross.class)) problems.push(`allergy class ${id}: unknown class ${cross.class}`);
+        }
+    }
+
+    if (problems.length > 0) {
+        throw new Error(`Invalid drug knowledge base: ${problems.join('; ')}`);
+    }
+
+    return {
+        version: raw.version,
+        conditions: raw.conditions || {},
+        allergyClasses: raw.allergyClasses || {},
+        ingredients,
+        products: raw.products || [],
+        interactions: raw.interactions || [],
+        classes
+    };
+};
+
+/**
+ * Load the drug knowledge base, once per process unless asked to reload
+ *
+ * Reads DRUG_KNOWLEDGE_BASE_PATH when set so deployments can ship a fuller
+ * data set than the one bundled in constants/.
+ *
+ * @param {Object} options
+ * @param {boolean} options.reload - Re-read the file
+ * @returns {Object} - Indexed knowledge base
+ */
+export const loadKnowledgeBase = ({ reload = false } = {}) => {
+    if (knowledgeBase && !reload) return knowledgeBase;
+
+    const raw = JSON.parse(fs.readFileSync(knowledgeBasePath(), 'utf8'));
+    knowledgeBase = buildKnowledgeBase(raw);
+    return knowledgeBase;
+};
+
+/**
+ * Work out the active ingredients of a prescribed medicine
+ *
+ * Brand and combination names come from the product list; generic names
+ * are matched against ingredient aliases.
+ *
+ * @param {Object} medication - { medicationName | name, genericName }
+ * @returns {Object} - { name, ingredients: [ingredientId] }, empty when the drug is unknown
+ */
+export const resolveMedication = (medication) => {
+    const kb = loadKnowledgeBase();
+    const name = medication.medicationName || medication.name || '';
+    const phrase = toPhrase(`${name} ${medication.genericName || ''}`);
+    const found = new Set();
+
+    for (const product of kb.products) {
+        if (containsAlias(phrase, [product.name, ...(product.aliases || [])])) {
+            product.ingredients.forEach(id => found.add(id));
+        }
+    }
+    for (const [id, ingredient] of Object.entries(kb.ingredients)) {
+        if (containsAlias(phrase, [ingredient.name, ...(ingredient.aliases || [])])) {
+            found.add(id);
+        }
+    }
+
+    return { name, ingredients: [...found] };
+};
+
+const matchesReference = (kb, ingredientId, reference) => reference.startsWith('class:')
+    ? Boolean(kb.classes.get(reference.slice(6))?.has(ingredientId))
+    : reference === ingredientId;
+
+const ingredientName = (kb, id) => kb.ingredients[id]?.name || id;
+
+/**
+ * Milligrams in a strength or dose string ("500mg", "1 g", "250 mcg")
+ */
+const parseMilligrams = (value) => {
+    const match = String(value || '').toLowerCase().match(/(\d+(?:\.\d+)?)\s*(mg|g|gm|mcg|µg)\b/);
+    if (!match) return null;
+
+    const amount = parseFloat(match[1]);
+    if (match[2] === 'mcg' || match[2] === 'µg') return amount / 1000;
+    if (match[2] === 'g' || match[2] === 'gm') return amount * 1000;
+    return amount;
+};
+
+/**
+ * Doses a day from a frequency ("BD", "three times a day", "every 6 hours", "1-0-1")
+ *
+ * Returns null for as-needed or unrecognised frequencies.
+ */
+export const parseDosesPerDay = (frequency) => {
+    const text = String(frequency || '').toLowerCase().trim();
+
+    const pattern = text.match(/^(\d+(?:\.\d+)?)(?:\s*-\s*(\d+(?:\.\d+)?)){2,3}$/);
+    if (pattern) {
+        return text.split('-').reduce((sum, part) => sum + parseFloat(part), 0);
+    }
+
+    const hourly = text.match(/every\s+(\d+)\s*(?:hours?|hrs?|h)\b|\bq(\d+)h\b/);
+    if (hourly) {
+        const hours = parseInt(hourly[1] || hourly[2], 10);
+        return hours > 0 ? 24 / hours : null;
+    }
+
+    const times = text.match(/(\d+)\s*times/);
+    if (times) return parseInt(times[1], 10);
+
+    if (/\b(qid|qds|four times)\b/.test(text)) return 4;
+    if (/\b(tid|tds|thrice|three times)\b/.test(text)) return 3;
+    if (/\b(bid|bd|twice)\b/.test(text)) return 2;
+    if (/\b(od|qd|once|daily|hs|at night|every morning|nightly)\b/.test(text)) return 1;
+    return null;
+};
+
+/**
+ * Milligrams a day of a single-ingredient medicine, or null when the
+ * prescription doesn't say enough to tell
+ */
+const dailyMilligrams = (medication) => {
+    const dosesPerDay = parseDosesPerDay(medication.frequency);
+    if (!dosesPerDay) return null;
+
+    // "1-0-1" already counts units, so the dosage is per unit
+    const unitsCounted = /^\d/.test(String(medication.frequency || '').trim())
+        && String(medication.frequency).includes('-');
+
+    const doseMg = parseMilligrams(medication.dosage);
+    if (doseMg !== null) return doseMg * dosesPerDay;
+
+    const strengthMg = parseMilligrams(medication.strength);
+    if (strengthMg === null) return null;
+
+    const units = unitsCounted ? 1 : (parseFloat(String(medication.dosage || '').match(/\d+(?:\.\d+)?/)?.[0]) || 1);
+    return strengthMg * units * dosesPerDay;
+};
+
+const ageInYears = (dateOfBirth, on = new Date()) => {
+    if (!dateOfBirth) return null;
+    const birthDate = new Date(dateOfBirth);
+    if (isNaN(birthDate.getTime())) return null;
+
+    let age = on.getFullYear() - birthDate.getFullYear();
+    const monthDiff = on.getMonth() - birthDate.getMonth();
+    if (monthDiff < 0 || (monthDiff === 0 && on.getDate() < birthDate.getDate())) {
+        age--;
+    }
+    return age;
+};
+
+/**
+ * Knowledge-base conditions the patient currently has
+ */
+const patientConditions = (kb, conditions = [], pregnant = false) => {
+    const found = new Set();
+    for (const condition of conditions) {
+        if (INACTIVE_CONDITION_STATUSES.includes(condition.status)) continue;
+        const phrase = toPhrase(condition.name);
+        for (const [id, definition] of Object.entries(kb.conditions)) {
+            if (containsAlias(phrase, [definition.name, ...(definition.aliases || [])])) found.add(id);
+        }
+    }
+    if (pregnant) found.add('pregnancy');
+    return found;
+};
+
+/**
+ * Drug classes and ingredients an allergy record refers to
+ *
+ * An allergy to one drug ("amoxicillin") extends to its allergy class
+ * (penicillins) and whatever that class cross-reacts with.
+ */
+const resolveAllergy = (kb, allergy) => {
+    const phrase = toPhrase(allergy.name);
+    const { ingredients } = resolveMedication({ name: allergy.name });
+    const classes = Object.entries(kb.allergyClasses)
+        .filter(([id, definition]) =>
+            containsAlias(phrase, [id, definition.name, ...(definition.aliases || [])])
+            || ingredients.some(ingredient => kb.classes.get(id)?.has(ingredient)))
+        .map(([id]) => id);
+    return { classes, ingredients };
+};
+
+const isSevereAllergy = (allergy) => ['severe', 'life-threatening'].includes(allergy.severity);
+
+const checkAllergies = (kb, proposed, allergies) => {
+    const findings = [];
+
+    for (const allergy of allergies) {
+        const allergen = resolveAllergy(kb, allergy);
+        if (allergen.classes.length === 0 && allergen.ingredients.length === 0) continue;
+
+        for (const medication of proposed) {
+            const reaction = allergy.reaction ? ` (${allergy.reaction})` : '';
+            const direct = medication.ingredients.find(id => allergen.ingredients.includes(id));
+            const sameClass = direct ? null : allergen.classes.find(className =>
+                medication.ingredients.some(id => kb.classes.get(className)?.has(id)));
+            if (direct || sameClass) {
+                findings.push({
+                    type: 'allergy',
+                    severity: isSevereAllergy(allergy) ? 'contraindicated' : 'major',
+                    medication: medication.name,
+                    interactingWith: allergy.name,
+                    message: direct
+                        ? `${medication.name} contains ${ingredientName(kb, direct)}; patient is allergic to ${allergy.name}${reaction}`
+                        : `${medication.name} is one of the ${kb.allergyClasses[sameClass].name.toLowerCase()}; patient is allergic to ${allergy.name}${reaction}`
+                });
+                continue;
+            }
+
+            for (const className of allergen.classes) {
+                for (const cross of kb.allergyClasses[className].crossReactive || []) {
+                    const crossIngredient = medication.ingredients.find(id => kb.classes.get(cross.class)?.has(id));
+                    if (!crossIngredient) continue;
+
+                    findings.push({
+                        type: 'allergy',
+                        severity: isSevereAllergy(allergy) ? 'major' : cross.severity,
+                        medication: medication.name,
+                        interactingWith: allergy.name,
+                        message: `${ingredientName(kb, crossIngredient)} may cross-react with the patient's ${allergy.name} allergy. ${cross.note}`
+                    });
+                }
+            }
+        }
+    }
+    return findings;
+};
+
+const checkInteractions = (kb, proposed, current) => {
+    const findings = [];
+    const seen = new Set();
+
+    const pairs = [];
+    proposed.forEach((medication, index) => {
+        proposed.slice(index + 1).forEach(other => pairs.push([medication, other, 'prescribed together']));
+        current.forEach(other => pairs.push([medication, other, 'currently taking']));
+    });
+
+    for (const [medication, other, relation] of pairs) {
+        for (const a of medication.ingredients) {
+            for (const b of other.ingredients) {
+                if (a === b) {
+                    const key = `duplicate:${medication.name}:${other.name}:${a}`;
+                    if (seen.has(key)) continue;
+                    seen.add(key);
+                    findings.push({
+                        type: 'duplicate',
+                        severity: 'moderate',
+                        medication: medication.name,
+                        interactingWith: other.name,
+                        message: `${medication.name} and ${other.name} (${relation}) both contain ${ingredientName(kb, a)}`
+                    });
+                    continue;
+                }
+
+                kb.interactions.forEach((rule, ruleIndex) => {
+                    const [x, y] = rule.between;
+                    const matches = (matchesReference(kb, a, x) && matchesReference(kb, b, y))
+                        || (matchesReference(kb, a, y) && matchesReference(kb, b, x));
+                    const key = `interaction:${ruleIndex}:${medication.name}:${other.name}`;
+                    if (!matches || seen.has(key)) return;
+
+                    seen.add(key);
+                    findings.push({
+                        type: 'interaction',
+                        severity: rule.severity,
+                        medication: medication.name,
+                        interactingWith: other.name,
+                        message: `${ingredientName(kb, a)} with ${ingredientName(kb, b)} (${relation}): ${rule.note}`
+                    });
+                });
+            }
+        }
+    }
+    return findings;
+};
+
+const checkPatientFactors = (kb, proposed, { conditions, age }) => {
+    const findings = [];
+
+    for (const medication of proposed) {
+        for (const id of medication.ingredients) {
+            const ingredient = kb.ingredients[id];
+
+            for (const rule of ingredient.contraindications || []) {
+                if (!conditions.has(rule.condition)) continue;
+                findings.push({
+                    type: 'condition',
+                    severity: rule.severity,
+                    medication: medication.name,
+                    interactingWith: kb.conditions[rule.condition].name,
+                    message: `${ingredient.name} in ${kb.conditions[rule.condition].name.toLowerCase()}: ${rule.note}`
+                });
+            }
+
+            if (age === null) continue;
+            for (const limit of ingredient.ageLimits || []) {
+                const applies = (limit.below !== undefined && age < limit.below)
+                    || (limit.from !== undefined && age >= limit.from);
+                if (!applies) continue;
+                findings.push({
+                    type: 'age',
+                    severity: limit.severity,
+                    medication: medication.name,
+                    message: `${ingredient.name} at age ${age}: ${limit.note}`
+                });
+            }
+        }
+    }
+    return findings;
+};
+
+/**
+ * Flag single-ingredient medicines whose total daily dose, summed across
+ * everything prescribed now, exceeds the ingredient's maximum
+ */
+const checkDailyDoses = (kb, proposed) => {
+    const totals = new Map();
+
+    for (const medication of proposed) {
+        if (medication.ingredients.length !== 1) continue;
+        const [id] = medication.ingredients;
+        if (!kb.ingredients[id].maxDailyDoseMg) continue;
+
+        const milligrams = dailyMilligrams(medication.source);
+        if (milligrams === null) continue;
+
+        const total = totals.get(id) || { milligrams: 0, medications: [] };
+        total.milligrams += milligrams;
+        total.medications.push(medication.name);
+        totals.set(id, total);
+    }
+
+    const findings = [];
+    for (const [id, total] of totals) {
+        const { name, maxDailyDoseMg } = kb.ingredients[id];
+        if (total.milligrams <= maxDailyDoseMg) continue;
+        findings.push({
+            type: 'dose',
+            severity: 'major',
+            medication: total.medications.join(', '),
+            message: `${name} ${+total.milligrams.toFixed(2)} mg a day exceeds the maximum of ${maxDailyDoseMg} mg`
+        });
+    }
+    return findings;
+};
+
+/**
+ * Check a proposed prescription against the drug knowledge base
+ *
+ * Looks at interactions among the new medicines and with the patient's
+ * active prescriptions and self-reported medicines, allergies (including
+ * cross-reacting classes), chronic conditions such as pregnancy and renal
+ * or hepatic impairment, age limits and maximum daily doses.
+ *
+ * @param {ObjectId} patientId - Patient id or the patient's user id
+ * @param {Array} medications - Proposed medicines in Prescription.medications shape
+ * @param {Object} options
+ * @param {boolean} options.pregnant - Pregnancy reported at the consultation
+ * @param {ObjectId} options.excludePrescriptionId - Prescription being replaced
+ * @returns {Object} - { findings, highestSeverity, blocked, requiresOverride, knowledgeBaseVersion, checkedAt }
+ */
+export const checkPrescriptionSafety = async (patientId, medications = [], { pregnant = false, excludePrescriptionId } = {}) => {
+    const kb = loadKnowledgeBase();
+
+    const patient = mongoose.Types.ObjectId.isValid(patientId)
+        ? await Patient.findOne({ $or: [{ _id: patientId }, { user: patientId }] })
+            .select('user allergies medications medicalHistory.conditions')
+            .lean()
+        : null;
+    if (!patient) {
+        throw new ApiError(404, "Patient not found");
+    }
+
+    const activeQuery = {
+        patientId: patient._id,
+        status: 'active',
+        expiryDate: { $gt: new Date() },
+        isDeleted: { $ne: true }
+    };
+    if (excludePrescriptionId) {
+        activeQuery._id = { $ne: excludePrescriptionId };
+    }
+
+    const [user, activePrescriptions] = await Promise.all([
+        User.findById(patient.user).select('dateOfBirth').lean(),
+        Prescription.find(activeQuery).select('medications').lean()
+    ]);
+
+    const proposed = medications.map(medication => ({ ...resolveMedication(medication), source: medication }));
+    const current = [
+        ...activePrescriptions.flatMap(prescription => prescription.medications || []),
+        ...(patient.medications || []).filter(medication => medication.isActive !== false)
+    ].map(resolveMedication).filter(medication => medication.ingredients.length > 0);
+
+    const findings = [
+        ...checkAllergies(kb, proposed, (patient.allergies || []).filter(allergy => allergy.isActive !== false)),
+        ...checkInteractions(kb, proposed, current),
+        ...checkPatientFactors(kb, proposed, {
+            conditions: patientConditions(kb, patient.medicalHistory?.conditions, pregnant),
+            age: ageInYears(user?.dateOfBirth)
+        }),
+        ...checkDailyDoses(kb, proposed)
+    ].sort((a, b) => severityRank(a.severity) - severityRank(b.severity));
+
+    const highestSeverity = mostSevere(findings.map(finding => finding.severity));
+
+    return {
+        findings,
+        highestSeverity,
+        blocked: highestSeverity === 'contraindicated',
+        requiresOverride: highestSeverity === 'major',
+        unrecognised: proposed.filter(medication => medication.ingredients.length === 0).map(medication => medication.name),
+        knowledgeBaseVersion: kb.version,
+        checkedAt: new Date()
+    };
+};
+
+const findingErrors = (findings) => findings.map(finding => ({
+    field: finding.medication,
+    message: finding.message,
+    code: `${finding.type}_${finding.severity}`.toUpperCase()
+}));
+
+/**
+ * Decide whether a checked prescription may be written
+ *
+ * Contraindicated findings block it outright. Major findings need the
+ * prescriber to give a reason for going ahead, which is recorded with the
+ * prescription.
+ *
+ * @param {Object} result - From checkPrescriptionSafety
+ * @param {Object} override - { reason }
+ * @param {Object} prescriber - User writing the prescription
+ * @returns {Object} - Prescription.safetyReview
+ */
+export const assertSafeToPrescribe = (result, override, prescriber) => {
+    if (result.blocked) {
+        const blocking = result.findings.filter(finding => finding.severity === 'contraindicated');
+        throw new ApiError(422, "This prescription is contraindicated for the patient", findingErrors(blocking));
+    }
+
+    const reason = override?.reason?.trim();
+    if (result.requiresOverride && !reason) {
+        const severe = result.findings.filter(finding => finding.severity === 'major');
+        throw new ApiError(409, "Severe safety warnings need an override reason to prescribe", findingErrors(severe));
+    }
+
+    return {
+        checkedAt: result.checkedAt,
+        knowledgeBaseVersion: result.knowledgeBaseVersion,
+        highestSeverity: result.highestSeverity,
+        findings: result.findings,
+        override: result.requiresOverride
+            ? { reason, by: prescriber._id, at: new Date() }
+            : undefined
+    };
+};
+
+export default {
+    loadKnowledgeBase,
+    resolveMedication,
+    parseDosesPerDay,
+    checkPrescriptionSafety,
+    assertSafeToPrescribe
+};
@@ -0,0 +1,336 @@
+import mongoose from "mongoose";
+import { EmergencyAccess, MIN_JUSTIFICATION_LENGTH } from "../models/emergencyAccess.model.js";
+import { AuditLog } from "../models/auditLog.model.js";
+import { Patient } from "../models/Patient.model.js";
+import { User } from "../models/User.model.js";
+import { ApiError } from "../utils/ApiError.js";
+import { createNotification } from "../utils/notificationUtils.js";
+import careTeamService from "./careTeam.service.js";
+
+// Minutes a grant lasts (read lazily, after dotenv has loaded)
+export const getEmergencyAccessMinutes = () => parseInt(process.env.EMERGENCY_ACCESS_MINUTES, 10) || 60;
+
+const CLINICIAN_ROLES = ['doctor', 'technician', 'staff'];
+
+/**
+ * Request metadata kept with each audit entry
+ */
+export const requestContext = (req, action = 'READ') => ({
+    action,
+    ipAddress: req.ip,
+    userAgent: req.get?.('User-Agent'),
+    path: req.originalUrl
+});
+
+const writeAudit = (user, { action, resource, resourceId, patientId, details, ipAddress, userAgent }) =>
+    AuditLog.append({
+        action,
+        resource,
+        resourceId,
+        patientId,
+        userId: user._id,
+        userRole: user.role,
+        ipAddress,
+        userAgent,
+        details
+    });
+
+const providerName = (user) =>
+    `${user.role === 'doctor' ? 'Dr. ' : ''}${user.firstName || ''} ${user.lastName || ''}`.trim();
+
+/**
+ * Tell the patient and every admin that the record was opened
+ */
+const notifyEmergencyAccess = async (grant, provider, patient) => {
+    try {
+        const until = grant.expiresAt.toLocaleString();
+
+        if (patient.user) {
+            await createNotification({
+                recipientId: patient.user,
+                recipientType: 'patient',
+                title: 'Emergency access to your record',
+                message: `${providerName(provider)} opened your medical record under emergency access until ${until}. Reason: ${grant.reason}`,
+                notificationType: 'security',
+                category: 'emergency-access',
+                priority: 'high',
+                channels: ['in-app', 'email'],
+                metadata: { entityType: 'EmergencyAccess', entityId: grant._id }
+            });
+        }
+
+        const admins = await User.find({ role: 'admin', isActive: true }).select('_id').lean();
+        for (const admin of admins) {
+            await createNotification({
+                recipientId: admin._id,
+                recipientType: 'admin',
+                title: 'Emergency access needs review',
+                message: `${providerName(provider)} used break-the-glass access to a patient record. Reason: ${grant.reason}`,
+                notificationType: 'security',
+                category: 'emergency-access-review',
+                priority: 'high',
+                channels: ['in-app'],
+                metadata: { entityType: 'EmergencyAccess', entityId: grant._id }
+            });
+        }
+    } catch (error) {
+        // The grant stands; the review queue still lists it
+        console.error("⚠️ Emergency access notification failed:", error.message);
+    }
+};
+
+/**
+ * Break the glass: grant a clinician time-limited access to a patient
+ *
+ * An active grant for the same patient is returned as-is rather than
+ * extended, so every extra window needs its own justification.
+ */
+export const requestEmergencyAccess = async (user, patientIdOrUserId, reason, context = {}) => {
+    if (!CLINICIAN_ROLES.includes(user.role)) {
+        throw new ApiError(403, "Only clinicians can request emergency access");
+    }
+
+    const justification = reason?.trim() || '';
+    if (justification.length < MIN_JUSTIFICATION_LENGTH) {
+        throw new ApiError(400, `Please give a justification of at least ${MIN_JUSTIFICATION_LENGTH} characters`);
+    }
+
+    const patientId = await careTeamService.resolvePatientId(patientIdOrUserId);
+    const patient = patientId ? await Patient.findById(patientId).select('user preferences.privacy') : null;
+    if (!patient) {
+        throw new ApiError(404, "Patient not found");
+    }
+    if (patient.preferences?.privacy?.emergencyAccess === false) {
+        throw new ApiError(403, "This patient has opted out of emergency access");
+    }
+    if (await careTeamService.hasAccess(user._id, patientId)) {
+        throw new ApiError(409, "You already have access to this patient's record");
+    }
+
+    const existing = await findActiveGrant(user._id, patientId);
+    if (existing) {
+        return { grant: existing, created: false };
+    }
+
+    const grant = await EmergencyAccess.create({
+        providerId: user._id,
+        patientId,
+        reason: justification,
+        expiresAt: new Date(Date.now() + getEmergencyAccessMinutes() * 60 * 1000),
+        ipAddress: context.ipAddress,
+        userAgent: context.userAgent
+    });
+
+    await writeAudit(user, {
+        action: 'ACCESS',
+        resource: 'EmergencyAccess',
+        resourceId: grant._id,
+        patientId,
+        details: { event: 'granted', reason: justification, expiresAt: grant.expiresAt },
+        ipAddress: context.ipAddress,
+        userAgent: context.userAgent
+    });
+
+    await notifyEmergencyAccess(grant, user, patient);
+
+    return { grant, created: true };
+};
+
+/**
+ * The provider's unexpired grant for a patient, if any
+ */
+export const findActiveGrant = (providerId, patientId) =>
+    EmergencyAccess.findOne({
+        providerId,
+        patientId,
+        status: 'active',
+        expiresAt: { $gt: new Date() }
+    });
+
+/**
+ * Use an active grant to open a record, auditing the access
+ * Returns null when the provider has no active grant.
+ */
+export const useActiveGrant = async (user, patientIdOrUserId, context = {}) => {
+    const patientId = await careTeamService.resolvePatientId(patientIdOrUserId);
+    if (!patientId) return null;
+
+    const grant = await findActiveGrant(user._id, patientId);
+    if (!grant) return null;
+
+    await EmergencyAccess.updateOne(
+        { _id: grant._id },
+        { $inc: { accessCount: 1 }, $set: { lastAccessedAt: new Date() } }
+    );
+    await writeAudit(user, {
+        action: 'ACCESS',
+        resource: 'EmergencyAccess',
+        resourceId: grant._id,
+        patientId,
+        details: { event: 'used', operation: context.action || 'READ', path: context.path },
+        ipAddress: context.ipAddress,
+        userAgent: context.userAgent
+    });
+
+    return grant;
+};
+
+/**
+ * Provider: close their own grant before it expires
+ */
+export const endEmergencyAccess = async (grantId, user) => {
+    const grant = mongoose.Types.ObjectId.isValid(grantId)
+        ? await EmergencyAccess.findOne({ _id: grantId, providerId: user._id })
+        : null;
+    if (!grant) {
+        throw new ApiError(404, "Emergency access grant not found");
+    }
+    if (!grant.isActive) {
+        throw new ApiError(400, "Emergency access has already ended");
+    }
+
+    grant.status = 'ended';
+    grant.endedAt = new Date();
+    await grant.save();
+
+    await writeAudit(user, {
+        action: 'UPDATE',
+        resource: 'EmergencyAccess',
+        resourceId: grant._id,
+        patientId: grant.patientId,
+        details: { event: 'ended' }
+    });
+
+    return grant;
+};
+
+/**
+ * Provider: their recent grants
+ */
+export const listProviderGrants = async (providerId) => {
+    const grants = await EmergencyAccess.find({ providerId })
+        .populate({ path: 'patientId', select: 'user', populate: { path: 'user', select: 'firstName lastName' } })
+        .sort({ grantedAt: -1 })
+        .limit(50);
+
+    return grants.map(grant => ({ ...grant.toObject(), isActive: grant.isActive }));
+};
+
+/**
+ * Admin: grants awaiting (or past) sign-off
+ */
+export const listReviewQueue = async ({ reviewStatus = 'pending', page = 1, limit = 20 } = {}) => {
+    const query = reviewStatus === 'all' ? {} : { 'review.status': reviewStatus };
+    const pageNumber = Math.max(1, parseInt(page, 10) || 1);
+    const pageSize = Math.min(100, Math.max(1, parseInt(limit, 10) || 20));
+
+    const [grants, total, pending] = await Promise.all([
+        EmergencyAccess.find(query)
+            .populate('providerId', 'firstName lastName email role specialization')
+            .populate({ path: 'patientId', select: 'user', populate: { path: 'user', select: 'firstName lastName email' } })
+            .populate('review.reviewedBy', 'firstName lastName')
+            .sort({ grantedAt: -1 })
+            .skip((pageNumber - 1) * pageSize)
+            .limit(pageSize),
+        EmergencyAccess.countDocuments(query),
+        EmergencyAccess.countDocuments({ 'review.status': 'pending' })
+    ]);
+
+    return {
+        grants: grants.map(grant => ({ ...grant.toObject(), isActive: grant.isActive })),
+        pending,
+        pagination: {
+            total,
+            page: pageNumber,
+            limit: pageSize,
+            totalPages: Math.ceil(total / pageSize)
+        }
+    };
+};
+
+/**
+ * Admin: a grant with the audit trail of everything done under it
+ */
+export const getGrantWithAuditTrail = async (grantId) => {
+    const grant = mongoose.Types.ObjectId.isValid(grantId)
+        ? await EmergencyAccess.findById(grantId)
+            .populate('providerId', 'firstName lastName email role specialization')
+            .populate({ path: 'patientId', select: 'user', populate: { path: 'user', select: 'firstName lastName email' } })
+            .populate('review.reviewedBy', 'firstName lastName')
+        : null;
+    if (!grant) {
+        throw new ApiError(404, "Emergency access grant not found");
+    }
+
+    // Grant events plus everything the provider did to this patient's record while it was open
+    const auditTrail = await AuditLog.find({
+        $or: [
+            { resource: 'EmergencyAccess', resourceId: grant._id },
+            {
+                userId: grant.providerId?._id,
+                patientId: grant.patientId?._id,
+                timestamp: { $gte: grant.grantedAt, $lte: grant.endedAt || grant.expiresAt }
+            }
+        ]
+    }).sort({ timestamp: 1 }).lean();
+
+    return { grant: { ...grant.toObject(), isActive: grant.isActive }, auditTrail };
+};
+
+/**
+ * Admin: sign off a grant as justified, or flag it for follow-up
+ * Flagging a grant that is still active ends it immediately.
+ */
+export const reviewGrant = async (grantId, reviewer, { decision, notes }, context = {}) => {
+    if (!['approved', 'flagged'].includes(decision)) {
+        throw new ApiError(400, "Decision must be 'approved' or 'flagged'");
+    }
+    if (decision === 'flagged' && !notes?.trim()) {
+        throw new ApiError(400, "Notes are required when flagging emergency access");
+    }
+
+    const grant = mongoose.Types.ObjectId.isValid(grantId) ? await EmergencyAccess.findById(grantId) : null;
+    if (!grant) {
+        throw new ApiError(404, "Emergency access grant not found");
+    }
+    if (grant.review?.status !== 'pending') {
+        throw new ApiError(400, `Emergency access was already ${grant.review.status}`);
+    }
+
+    grant.review = {
+        status: decision,
+        reviewedBy: reviewer._id,
+        reviewedAt: new Date(),
+        notes: notes?.trim()
+    };
+    if (decision === 'flagged' && grant.isActive) {
+        grant.status = 'ended';
+        grant.endedAt = new Date();
+    }
+    await grant.save();
+
+    await writeAudit(reviewer, {
+        action: 'UPDATE',
+        resource: 'EmergencyAccess',
+        resourceId: grant._id,
+        patientId: grant.patientId,
+        details: { event: 'reviewed', decision, notes: grant.review.notes },
+        ipAddress: context.ipAddress,
+        userAgent: context.userAgent
+    });
+
+    return grant;
+};
+
+export default {
+    getEmergencyAccessMinutes,
+    requestContext,
+    requestEmergencyAccess,
+    findActiveGrant,
+    useActiveGrant,
+    endEmergencyAccess,
+    listProviderGrants,
+    listReviewQueue,
+    getGrantWithAuditTrail,
+    reviewGrant
+};
@@ -0,0 +1,444 @@
+import mongoose from "mongoose";
+import { HealthPackage, PACKAGE_SERVICES } from "../models/healthPackage.model.js";
+import { PatientPackage } from "../models/patientPackage.model.js";
+import { Payment } from "../models/payment.model.js";
+import { User } from "../models/User.model.js";
+import { ApiError } from "../utils/ApiError.js";
+import { createRazorpayOrder } from "../utils/razorpayUtils.js";
+import walletService from "./wallet.service.js";
+import invoiceService from "./invoice.service.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Slack for sums of rupee amounts kept as floating point
+const MONEY_EPSILON = 0.005;
+
+const EXPIRY_BATCH = 200;
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+const PACKAGE_FIELDS = ['name', 'description', 'price', 'validityDays', 'entitlements', 'isActive'];
+
+const validateEntitlements = (entitlements) => {
+    if (!Array.isArray(entitlements) || entitlements.length === 0) {
+        throw new ApiError(400, "A package needs at least one entitlement");
+    }
+    const seen = new Set();
+    for (const entitlement of entitlements) {
+        if (!PACKAGE_SERVICES.includes(entitlement?.service)) {
+            throw new ApiError(400, `Entitlement service must be one of: ${PACKAGE_SERVICES.join(', ')}`);
+        }
+        if (seen.has(entitlement.service)) {
+            throw new ApiError(400, `List ${entitlement.service} once, with its quantity`);
+        }
+        seen.add(entitlement.service);
+    }
+};
+
+/**
+ * Add a package to the catalogue
+ */
+export const createPackage = async (data, admin) => {
+    validateEntitlements(data.entitlements);
+    const fields = Object.fromEntries(PACKAGE_FIELDS.filter(key => data[key] !== undefined).map(key => [key, data[key]]));
+    return HealthPackage.create({ ...fields, createdBy: admin._id });
+};
+
+/**
+ * Change a catalogue package; packages already sold keep their terms
+ */
+export const updatePackage = async (packageId, data) => {
+    if (data.entitlements !== undefined) validateEntitlements(data.entitlements);
+
+    const healthPackage = mongoose.Types.ObjectId.isValid(packageId) ? await HealthPackage.findById(packageId) : null;
+    if (!healthPackage) throw new ApiError(404, "Health package not found");
+
+    PACKAGE_FIELDS.forEach(key => {
+        if (data[key] !== undefined) healthPackage[key] = data[key];
+    });
+    await healthPackage.save();
+    return healthPackage;
+};
+
+/**
+ * The catalogue, cheapest first; inactive packages only for admins
+ */
+export const listPackages = ({ includeInactive = false } = {}) =>
+    HealthPackage.find(includeInactive ? {} : { isActive: true })
+        .sort({ isActive: -1, price: 1 })
+        .lean();
+
+/**
+ * Open a bought package with its credits and their value held as a liability
+ */
+const openPackage = (healthPackage, payment, patientPackageId = new mongoose.Types.ObjectId()) => PatientPackage.create({
+    _id: patientPackageId,
+    userId: payment.userId,
+    packageId: healthPackage._id,
+    name: healthPackage.name,
+    price: payment.amount,
+    currency: payment.currency,
+    paymentId: payment._id,
+    credits: healthPackage.entitlements.map(entitlement => ({
+        service: entitlement.service,
+        total: entitlement.quantity,
+        remaining: entitlement.quantity
+    })),
+    deferredBalance: payment.amount,
+    purchasedAt: payment.completedAt || new Date(),
+    expiresAt: new Date((payment.completedAt || new Date()).getTime() + healthPackage.validityDays * DAY_MS)
+});
+
+/**
+ * Buy a package, from the wallet straight away or through Razorpay
+ *
+ * A wallet purchase is paid, opened and invoiced here. An online purchase
+ * returns a Razorpay order; the package opens when the payment is confirmed.
+ *
+ * @param {string} packageId - Catalogue package
+ * @param {Object} options - { paymentMethod: 'wallet' | 'online' }
+ * @param {Object} user - Buyer
+ * @returns {Object} - { patientPackage, payment, invoice } or { orderId, amount, currency, paymentId }
+ */
+export const purchasePackage = async (packageId, { paymentMethod = 'online' } = {}, user) => {
+    if (!['wallet', 'online'].includes(paymentMethod)) {
+        throw new ApiError(400, "Payment method must be wallet or online");
+    }
+    const healthPackage = mongoose.Types.ObjectId.isValid(packageId)
+        ? await HealthPackage.findOne({ _id: packageId, isActive: true })
+        : null;
+    if (!healthPackage) throw new ApiError(404, "Health package not found");
+
+    const buyer = await User.findById(user._id).select('patientId').lean();
+    const paymentFields = {
+        userId: user._id,
+        patientId: buyer?.patientId,
+        amount: healthPackage.price,
+        currency: healthPackage.currency,
+        serviceType: 'health-package',
+        serviceDescription: `Health package: ${healthPackage.name}`,
+        healthPackageId: healthPackage._id,
+        initiatedAt: new Date()
+    };
+
+    if (paymentMethod === 'online') {
+        const razorpayOrder = await createRazorpayOrder({
+            amount: healthPackage.price,
+            currency: healthPackage.currency,
+            receipt: `pkg_${user._id.toString().slice(-6)}_${Date.now()}`
+        });
+        const payment = await Payment.create({
+            ...paymentFields,
+            paymentMethod: 'online',
+            paymentGateway: 'razorpay',
+            gatewayReference: razorpayOrder.id,
+            status: 'pending'
+        });
+        return {
+            orderId: razorpayOrder.id,
+            amount: razorpayOrder.amount,
+            currency: razorpayOrder.currency,
+            paymentId: payment._id
+        };
+    }
+
+    const paymentId = new mongoose.Types.ObjectId();
+    const patientPackageId = new mongoose.Types.ObjectId();
+    const entry = await walletService.postEntry({
+        type: 'package-purchase',
+        lines: [
+            { account: 'wallet', direction: 'debit', amount: healthPackage.price, userId: user._id },
+            { account: 'package-liability', direction: 'credit', amount: healthPackage.price, patientPackageId }
+        ],
+        description: `Health package: ${healthPackage.name}`,
+        reference: { kind: 'payment', id: paymentId },
+        idempotencyKey: `package-purchase:${paymentId}`,
+        createdBy: user._id,
+        currency: healthPackage.currency
+    });
+
+    let payment;
+    let patientPackage;
+    try {
+        payment = await Payment.create({
+            ...paymentFields,
+            _id: paymentId,
+            paymentMethod: 'wallet',
+            paymentGateway: 'wallet',
+            gatewayReference: `wallet_${Date.now()}`,
+            transactionId: entry.entryNumber,
+            status: 'completed',
+            completedAt: new Date()
+        });
+        patientPackage = await openPackage(healthPackage, payment, patientPackageId);
+    } catch (error) {
+        await walletService.reverseEntry(entry, { reason: 'Package purchase failed', createdBy: user._id });
+        if (payment) await Payment.updateOne({ _id: payment._id }, { $set: { status: 'cancelled', cancelledAt: new Date() } });
+        throw error;
+    }
+
+    const invoice = await invoiceService.invoiceForPayment(payment).catch((error) => {
+        console.error(`Invoicing payment ${payment._id} failed:`, error);
+        return null;
+    });
+    return { patientPackage, payment, invoice };
+};
+
+/**
+ * Open the package for a confirmed online purchase; safe to call again
+ *
+ * @param {Document} payment - Completed health-package payment
+ * @returns {Document|null} - The patient's package
+ */
+export const activatePurchase = async (payment) => {
+    const existing = await PatientPackage.findOne({ paymentId: payment._id });
+    if (existing) return existing;
+
+    const healthPackage = await HealthPackage.findById(payment.healthPackageId);
+    if (!healthPackage) {
+        console.error(`Payment ${payment._id} is for a health package that no longer exists`);
+        return null;
+    }
+
+    let patientPackage;
+    try {
+        patientPackage = await openPackage(healthPackage, payment);
+    } catch (error) {
+        if (error.code === 11000) return PatientPackage.findOne({ paymentId: payment._id });
+        throw error;
+    }
+
+    await walletService.postEntry({
+        type: 'package-purchase',
+        lines: [
+            { account: 'gateway-clearing', direction: 'debit', amount: payment.amount },
+            { account: 'package-liability', direction: 'credit', amount: payment.amount, patientPackageId: patientPackage._id }
+        ],
+        description: `Health package: ${healthPackage.name}`,
+        reference: { kind: 'payment', id: payment._id },
+        idempotencyKey: `package-purchase:${payment._id}`,
+        currency: payment.currency
+    });
+    return patientPackage;
+};
+
+/**
+ * Use one credit of a package for a booking
+ *
+ * Takes the credit from the package expiring soonest unless one is named.
+ * The credit's share of the unused value moves from the liability to
+ * revenue; the last credit takes whatever is left so the package closes at
+ * zero.
+ *
+ * @param {Object} data - { userId, service, appointmentId, patientPackageId }
+ * @returns {Document} - The package after redemption
+ */
+export const redeemCredit = async ({ userId, service = 'consultation', appointmentId, patientPackageId }) => {
+    if (!PACKAGE_SERVICES.includes(service)) {
+        throw new ApiError(400, `Package service must be one of: ${PACKAGE_SERVICES.join(', ')}`);
+    }
+    const query = {
+        userId,
+        status: 'active',
+        expiresAt: { $gt: new Date() },
+        credits: { $elemMatch: { service, remaining: { $gt: 0 } } }
+    };
+    if (patientPackageId) {
+        if (!mongoose.Types.ObjectId.isValid(patientPackageId)) throw new ApiError(400, "Invalid package id");
+        query._id = patientPackageId;
+    }
+
+    const patientPackage = await PatientPackage.findOneAndUpdate(
+        query,
+        { $inc: { 'credits.$.remaining': -1 } },
+        { new: true, sort: { expiresAt: 1 } }
+    );
+    if (!patientPackage) {
+        throw new ApiError(400, `No active health package has a ${service} credit left`);
+    }
+
+    const creditsLeft = patientPackage.credits.reduce((sum, credit) => sum + credit.remaining, 0);
+    const value = creditsLeft === 0
+        ? roundMoney(patientPackage.deferredBalance)
+        : roundMoney(patientPackage.deferredBalance / (creditsLeft + 1));
+
+    let entry = null;
+    try {
+        if (value > 0) {
+            entry = await walletService.postEntry({
+                type: 'package-redemption',
+                lines: [
+                    { account: 'package-liability', direction: 'debit', amount: value, patientPackageId: patientPackage._id },
+                    { account: 'revenue', direction: 'credit', amount: value }
+                ],
+                description: `${patientPackage.name}: ${service} used`,
+                reference: { kind: 'appointment', id: appointmentId },
+                idempotencyKey: `package-redemption:${patientPackage._id}:${appointmentId}`,
+                createdBy: userId,
+                currency: patientPackage.currency
+            });
+        }
+    } catch (error) {
+        await PatientPackage.updateOne(
+            { _id: patientPackage._id, 'credits.service': service },
+            { $inc: { 'credits.$.remaining': 1 } }
+        );
+        throw error;
+    }
+
+    const exhausted = creditsLeft === 0;
+    return PatientPackage.findByIdAndUpdate(
+        patientPackage._id,
+        {
+            ...(exhausted
+                ? { $set: { status: 'exhausted', deferredBalance: 0, closedAt: new Date() } }
+                : { $inc: { deferredBalance: -value } }),
+            $push: { redemptions: { service, appointmentId, value, ledgerEntryId: entry?._id } }
+        },
+        { new: true }
+    );
+};
+
+/**
+ * Give back the credit a cancelled booking used
+ *
+ * Credits on packages that have since expired, run past their validity or
+ * been refunded are not restored.
+ *
+ * @param {string} appointmentId - Cancelled appointment
+ * @returns {Document|null} - The package, or null when there was nothing to give back
+ */
+export const releaseRedemption = async (appointmentId) => {
+    const patientPackage = await PatientPackage.findOne({
+        redemptions: { $elemMatch: { appointmentId, reversedAt: null } }
+    });
+    if (!patientPackage || ['expired', 'cancelled'].includes(patientPackage.status)) return null;
+    // Past its validity the credit would only lapse again
+    if (patientPackage.expiresAt <= new Date()) return null;
+
+    const redemption = patientPackage.redemptions.find(item =>
+        String(item.appointmentId) === String(appointmentId) && !item.reversedAt);
+
+    const claimed = await PatientPackage.findOneAndUpdate(
+        { _id: patientPackage._id, redemptions: { $elemMatch: { _id: redemption._id, reversedAt: null } } },
+        {
+            $set: { 'redemptions.$[r].reversedAt': new Date() },
+            $inc: { 'credits.$[c].remaining': 1, deferredBalance: redemption.value || 0 }
+        },
+        { new: true, arrayFilters: [{ 'r._id': redemption._id }, { 'c.service': redemption.service }] }
+    );
+    if (!claimed) return null;
+
+    if (redemption.value > 0) {
+        await walletService.postEntry({
+            type: 'package-reversal',
+            lines: [
+                { account: 'revenue', direction: 'debit', amount: redemption.value },
+                { account: 'package-liability', direction: 'credit', amount: redemption.value, patientPackageId: claimed._id }
+            ],
+            description: `${claimed.name}: ${redemption.service} credit returned`,
+            reference: { kind: 'appointment', id: appointmentId },
+            idempotencyKey: `package-reversal:${claimed._id}:${appointmentId}`,
+            currency: claimed.currency
+        });
+    }
+
+    if (claimed.status === 'exhausted') {
+        claimed.status = 'active';
+        claimed.closedAt = undefined;
+        await claimed.save();
+    }
+    return claimed;
+};
+
+/**
+ * Packages are refunded whole, and only while none of their credits are in use
+ */
+export const assertRefundable = async (payment, amount) => {
+    const patientPackage = await PatientPackage.findOne({ paymentId: payment._id }).lean();
+    if (!patientPackage) return;
+
+    const inUse = patientPackage.redemptions.some(redemption => !redemption.reversedAt);
+    if (patientPackage.status !== 'active' || inUse) {
+        throw new ApiError(400, "Health packages can only be refunded before any credit is used");
+    }
+    if (Math.abs(amount - payment.amount) >= MONEY_EPSILON || (payment.refundReserved || 0) > amount + MONEY_EPSILON) {
+        throw new ApiError(400, "Health packages can only be refunded in full");
+    }
+};
+
+/**
+ * Close a package whose purchase has been refunded
+ */
+export const cancelForRefund = (payment) => PatientPackage.updateOne(
+    { paymentId: payment._id, status: 'active' },
+    { $set: { status: 'cancelled', deferredBalance: 0, closedAt: new Date() } }
+);
+
+/**
+ * Expire packages past their validity, recognising their unused value
+ */
+export const expirePackages = async () => {
+    const due = await PatientPackage.find({ status: 'active', expiresAt: { $lte: new Date() } })
+        .limit(EXPIRY_BATCH);
+
+    let expired = 0;
+    for (const patientPackage of due) {
+        try {
+            // The package as it was, so its unused value can still be read
+            const closed = await PatientPackage.findOneAndUpdate(
+                { _id: patientPackage._id, status: 'active' },
+                { $set: { status: 'expired', deferredBalance: 0, closedAt: new Date() } }
+            );
+            if (!closed) continue;
+            if (closed.deferredBalance > 0) {
+                await walletService.postEntry({
+                    type: 'package-expiry',
+                    lines: [
+                        { account: 'package-liability', direction: 'debit', amount: closed.deferredBalance, patientPackageId: closed._id },
+                        { account: 'revenue', direction: 'credit', amount: closed.deferredBalance }
+                    ],
+                    description: `${closed.name}: unused credits expired`,
+                    reference: { kind: 'patient-package', id: closed._id },
+                    idempotencyKey: `package-expiry:${closed._id}`,
+                    currency: closed.currency
+                });
+            }
+            expired++;
+        } catch (error) {
+            console.error(`Expiring health package ${patientPackage._id} failed:`, error.message);
+        }
+    }
+    return { expired };
+};
+
+/**
+ * A user's packages, those still usable first
+ */
+export const getUserPackages = async (userId, { status } = {}) => {
+    const query = { userId };
+    if (status) query.status = status;
+
+    const packages = await PatientPackage.find(query)
+        .populate('redemptions.appointmentId', 'appointmentDate appointmentTime status')
+        .sort({ status: 1, expiresAt: 1 })
+        .lean();
+    return packages.map(patientPackage => ({
+        ...patientPackage,
+        creditsRemaining: patientPackage.credits.reduce((sum, credit) => sum + credit.remaining, 0)
+    }));
+};
+
+export default {
+    createPackage,
+    updatePackage,
+    listPackages,
+    purchasePackage,
+    activatePurchase,
+    redeemCredit,
+    releaseRedemption,
+    assertRefundable,
+    cancelForRefund,
+    expirePackages,
+    getUserPackages
+};
@@ -0,0 +1,691 @@
+import fs from "fs";
+import mongoose from "mongoose";
+import {
+    InsuranceClaim,
+    CLAIM_STATUSES,
+    CLAIM_TRANSITIONS
+} from "../models/insuranceClaim.model.js";
+import { Invoice } from "../models/invoice.model.js";
+import { Patient } from "../models/Patient.model.js";
+import { ApiError } from "../utils/ApiError.js";
+import { createNotification } from "../utils/notificationUtils.js";
+import { calculateDueDate } from "../utils/invoiceUtils.js";
+import { normalizeEobRow, parseEobCsv } from "../utils/eobUtils.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days a patient has to pay what the insurer left them
+const REBILL_TERMS_DAYS = 15;
+
+// Pre-authorisations lapse this long after approval unless the insurer says otherwise
+const PREAUTH_VALIDITY_DAYS = 30;
+
+// Claims still waiting on the insurer, for ageing
+const OPEN_STATUSES = ['submitted', 'approved', 'partially-paid'];
+
+// Statuses the insurer has ruled on
+const DECIDED_STATUSES = ['approved', 'partially-paid', 'paid', 'denied'];
+
+// Claims an invoice can't have a second of
+const ACTIVE_STATUSES = ['draft', 'submitted', 'approved', 'partially-paid', 'paid', 'denied'];
+
+// Ageing buckets, in days since submission
+const AGEING_BUCKETS = [
+    { label: '0-30', max: 30 },
+    { label: '31-60', max: 60 },
+    { label: '61-90', max: 90 },
+    { label: '90+', max: Infinity }
+];
+
+// InsuranceClaim.status → Invoice.insuranceClaim.status
+const INVOICE_CLAIM_STATUSES = {
+    draft: 'pending',
+    submitted: 'pending',
+    approved: 'approved',
+    'partially-paid': 'partially_paid',
+    paid: 'paid',
+    denied: 'denied'
+};
+
+// Invoice line types that are procedures or lab tests, and so can be pre-authorised
+const PREAUTH_LINE_KINDS = {
+    lab_test: 'lab_test',
+    other: 'procedure'
+};
+
+const MONEY_EPSILON = 0.005;
+
+const numberFromEnv = (name, fallback) => {
+    const value = parseFloat(process.env[name]);
+    return Number.isFinite(value) && value >= 0 ? value : fallback;
+};
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+/**
+ * The patient's policy if it is active on a date
+ */
+const activePolicyOn = (patient, date = new Date()) => {
+    const policy = patient?.insurance;
+    if (!policy?.provider || !policy?.policyNumber || policy.isActive === false) return null;
+    if (policy.effectiveDate && new Date(policy.effectiveDate) > date) return null;
+    if (policy.expirationDate && new Date(policy.expirationDate) < date) return null;
+    return policy;
+};
+
+const policySnapshot = (policy) => ({
+    provider: policy.provider,
+    policyNumber: policy.policyNumber,
+    groupNumber: policy.groupNumber,
+    policyHolderName: policy.policyHolderName,
+    policyHolderRelationship: policy.policyHolderRelationship,
+    coveragePercent: policy.coveragePercent ?? numberFromEnv('INSURANCE_DEFAULT_COVERAGE_PERCENT', 100),
+    copay: policy.copay || 0,
+    deductible: policy.deductible || 0
+});
+
+/**
+ * Split a bill between insurer and patient under a policy
+ *
+ * The patient pays the copay, then whatever deductible is left for the
+ * policy year, then their coinsurance share of the rest.
+ *
+ * @param {number} amount - Billed amount
+ * @param {Object} policy - Patient.insurance
+ * @returns {Object} { claimedAmount, patientResponsibility, split: { copay, deductible, coinsurance } }
+ */
+export const estimateSplit = (amount, policy) => {
+    const coveragePercent = policy.coveragePercent ?? numberFromEnv('INSURANCE_DEFAULT_COVERAGE_PERCENT', 100);
+    const copay = roundMoney(Math.min(policy.copay || 0, amount));
+    const deductibleLeft = Math.max((policy.deductible || 0) - (policy.deductibleMet || 0), 0);
+    const deductible = roundMoney(Math.min(deductibleLeft, amount - copay));
+    const coinsurance = roundMoney((amount - copay - deductible) * (100 - coveragePercent) / 100);
+    const patientResponsibility = roundMoney(copay + deductible + coinsurance);
+
+    return {
+        claimedAmount: roundMoney(amount - patientResponsibility),
+        patientResponsibility,
+        split: { copay, deductible, coinsurance }
+    };
+};
+
+const findPatient = async (patientId) => {
+    const patient = mongoose.Types.ObjectId.isValid(patientId) ? await Patient.findById(patientId) : null;
+    if (!patient) throw new ApiError(404, "Patient not found");
+    return patient;
+};
+
+const findClaim = async (claimId) => {
+    const claim = mongoose.Types.ObjectId.isValid(claimId) ? await InsuranceClaim.findById(claimId) : null;
+    if (!claim) throw new ApiError(404, "Claim not found");
+    return claim;
+};
+
+const assertTransition = (claim, status) => {
+    const allowed = CLAIM_TRANSITIONS[claim.type][claim.status] || [];
+    if (!allowed.includes(status)) {
+        throw new ApiError(400, `Cannot move a ${claim.status} ${claim.type} to ${status}`);
+    }
+};
+
+const recordStatus = (claim, status, userId, note) => {
+    claim.status = status;
+    claim.statusHistory.push({ status, at: new Date(), by: userId, note });
+    if (status === 'submitted') claim.submittedAt = new Date();
+};
+
+const notifyPatient = async (claim, title, message) => {
+    try {
+        await createNotification({
+            recipientId: claim.patientUserId,
+            recipientType: 'patient',
+            title,
+            message,
+            notificationType: 'billing',
+            category: 'insurance-claim',
+            priority: 'medium',
+            channels: ['in-app'],
+            metadata: {
+                entityType: 'InsuranceClaim',
+                entityId: claim._id
+            }
+        });
+    } catch (error) {
+        console.error(`Notifying patient about claim ${claim.claimNumber} failed:`, error.message);
+    }
+};
+
+/**
+ * Mirror a claim onto its invoice
+ */
+const syncInvoice = (claim, fields = {}) => Invoice.updateOne(
+    { _id: claim.invoiceId },
+    {
+        $set: {
+            'insuranceClaim.status': INVOICE_CLAIM_STATUSES[claim.status],
+            'insuranceClaim.coverageAmount': claim.approvedAmount ?? claim.claimedAmount,
+            'insuranceClaim.copayAmount': claim.rebill?.amount ?? claim.patientResponsibility,
+            'insuranceClaim.insurerPaidAmount': claim.paidAmount,
+            ...fields
+        }
+    }
+);
+
+/**
+ * An approved pre-authorisation the claim can use: the one asked for, or
+ * the patient's oldest unused one for the same kind of service
+ */
+const findPreAuthorisation = async (patientId, invoice, preAuthorisationId) => {
+    const kinds = [...new Set(invoice.items.map(item => PREAUTH_LINE_KINDS[item.type]).filter(Boolean))];
+    const query = {
+        type: 'pre-authorisation',
+        patientId,
+        status: 'approved',
+        $or: [{ validUntil: { $exists: false } }, { validUntil: { $gte: new Date() } }]
+    };
+
+    if (preAuthorisationId) {
+        if (!mongoose.Types.ObjectId.isValid(preAuthorisationId)) {
+            throw new ApiError(400, "Invalid pre-authorisation ID");
+        }
+        const preAuth = await InsuranceClaim.findOne({ ...query, _id: preAuthorisationId });
+        if (!preAuth) throw new ApiError(400, "Pre-authorisation is not approved, has expired or belongs to another patient");
+        return preAuth;
+    }
+    if (!kinds.length) return null;
+
+    const used = await InsuranceClaim.find({ type: 'claim', preAuthorisationId: { $ne: null }, status: { $ne: 'cancelled' } })
+        .distinct('preAuthorisationId');
+    return InsuranceClaim.findOne({ ...query, 'service.kind': { $in: kinds }, _id: { $nin: used } })
+        .sort({ createdAt: 1 });
+};
+
+/**
+ * Draft a cashless claim for an unpaid invoice
+ *
+ * The coverage/copay split comes from the patient's policy as it stood on the
+ * invoice date. Coverage is capped at what a linked pre-authorisation allows.
+ *
+ * @param {Object} data - { invoiceId, preAuthorisationId, notes }
+ * @param {Object} user - Admin raising the claim
+ * @returns {Document} - The draft claim
+ */
+export const createClaimFromInvoice = async ({ invoiceId, preAuthorisationId, notes }, user) => {
+    const invoice = mongoose.Types.ObjectId.isValid(invoiceId) ? await Invoice.findById(invoiceId) : null;
+    if (!invoice) throw new ApiError(404, "Invoice not found");
+    if (!['pending', 'overdue'].includes(invoice.paymentStatus)) {
+        throw new ApiError(400, `Only unpaid invoices can be claimed; this one is ${invoice.paymentStatus}`);
+    }
+
+    const existing = await InsuranceClaim.findOne({ invoiceId: invoice._id, type: 'claim', status: { $in: ACTIVE_STATUSES } })
+        .select('claimNumber')
+        .lean();
+    if (existing) {
+        throw new ApiError(409, `Invoice already has claim ${existing.claimNumber}`);
+    }
+
+    const patient = await Patient.findOne({ user: invoice.patientId });
+    if (!patient) throw new ApiError(404, "Patient not found for invoice");
+    const policy = activePolicyOn(patient, invoice.issueDate);
+    if (!policy) {
+        throw new ApiError(400, "Patient has no insurance policy active on the invoice date");
+    }
+
+    const preAuth = await findPreAuthorisation(patient._id, invoice, preAuthorisationId);
+    const estimate = estimateSplit(invoice.total, policy);
+    if (preAuth && preAuth.approvedAmount !== undefined && estimate.claimedAmount > preAuth.approvedAmount) {
+        estimate.patientResponsibility = roundMoney(estimate.patientResponsibility + estimate.claimedAmount - preAuth.approvedAmount);
+        estimate.claimedAmount = preAuth.approvedAmount;
+    }
+
+    const claim = new InsuranceClaim({
+        type: 'claim',
+        patientId: patient._id,
+        patientUserId: invoice.patientId,
+        invoiceId: invoice._id,
+        preAuthorisationId: preAuth?._id,
+        policy: policySnapshot(policy),
+        billedAmount: invoice.total,
+        ...estimate,
+        notes,
+        createdBy: user._id
+    });
+    recordStatus(claim, 'draft', user._id, 'Claim drafted from invoice');
+    await claim.save();
+
+    await syncInvoice(claim, {
+        'insuranceClaim.claimId': claim._id,
+        'insuranceClaim.claimNumber': claim.claimNumber,
+        'insuranceClaim.provider': policy.provider,
+        'insuranceClaim.policyNumber': policy.policyNumber,
+        paymentMethod: 'insurance'
+    });
+    return claim;
+};
+
+/**
+ * Ask the insurer to pre-authorise a procedure or lab test
+ *
+ * @param {Object} data - { patientId, serviceKind, description, estimatedAmount, appointmentId, notes }
+ * @param {Object} user - Doctor or admin asking
+ * @returns {Document} - The pre-authorisation, submitted
+ */
+export const requestPreAuthorisation = async ({ patientId, serviceKind, description, estimatedAmount, appointmentId, notes }, user) => {
+    if (!['lab_test', 'procedure'].includes(serviceKind)) {
+        throw new ApiError(400, "Service kind must be lab_test or procedure");
+    }
+    if (!description?.trim()) {
+        throw new ApiError(400, "Describe the procedure or test to pre-authorise");
+    }
+    const amount = roundMoney(Number(estimatedAmount));
+    if (!(amount > 0)) {
+        throw new ApiError(400, "Valid estimated amount required");
+    }
+
+    const patient = await findPatient(patientId);
+    const policy = activePolicyOn(patient);
+    if (!policy) {
+        throw new ApiError(400, "Patient has no active insurance policy");
+    }
+
+    const claim = new InsuranceClaim({
+        type: 'pre-authorisation',
+        patientId: patient._id,
+        patientUserId: patient.user,
+        service: { kind: serviceKind, description: description.trim(), appointmentId },
+        policy: policySnapshot(policy),
+        billedAmount: amount,
+        ...estimateSplit(amount, policy),
+        notes,
+        createdBy: user._id
+    });
+    recordStatus(claim, 'draft', user._id);
+    recordStatus(claim, 'submitted', user._id, 'Pre-authorisation requested');
+    await claim.save();
+    return claim;
+};
+
+/**
+ * Bill the patient for what the insurer left them once it has paid or denied
+ *
+ * The invoice is settled when nothing is left, otherwise it is due again
+ * from the patient for the remaining share.
+ */
+const rebillPatient = async (claim, amountOwed) => {
+    const amount = roundMoney(Math.max(amountOwed, 0));
+    const dueDate = calculateDueDate(new Date(), REBILL_TERMS_DAYS);
+    claim.rebill = { amount, dueDate, rebilledAt: new Date() };
+
+    const invoiceFields = { dueDate };
+    if (amount < MONEY_EPSILON) {
+        invoiceFields.paymentStatus = 'paid';
+        invoiceFields.paymentDate = new Date();
+    } else {
+        invoiceFields.paymentStatus = claim.paidAmount > 0 ? 'partially_paid' : 'pending';
+    }
+    await syncInvoice(claim, invoiceFields);
+
+    if (amount >= MONEY_EPSILON) {
+        await notifyPatient(
+            claim,
+            'Balance due after insurance',
+            `Your insurer has processed claim ${claim.claimNumber}. ${amount.toFixed(2)} is left for you to pay by ${dueDate.toLocaleDateString('en-IN')}.`
+        );
+    }
+    return claim.rebill;
+};
+
+/**
+ * The insurer's ruling counts the deductible it applied against the policy year
+ */
+const applyDeductible = async (claim) => {
+    if (claim.decidedAt) return;
+    claim.decidedAt = new Date();
+    if (claim.type === 'claim' && claim.status !== 'denied' && claim.split?.deductible > 0) {
+        await Patient.updateOne({ _id: claim.patientId }, { $inc: { 'insurance.deductibleMet': claim.split.deductible } });
+    }
+};
+
+/**
+ * Move a claim or pre-authorisation along its lifecycle
+ *
+ * Submission, approval, denial and cancellation are recorded by hand;
+ * payments arrive through EOB imports. A denied claim can be resubmitted.
+ *
+ * @param {string} claimId - Claim
+ * @param {Object} data - { status, approvedAmount, authorisationNumber, validUntil, payerReference, denialCode, denialReason, note }
+ * @param {Object} user - Admin recording the change
+ */
+export const updateClaimStatus = async (claimId, data, user) => {
+    const { status, note } = data;
+    if (['paid', 'partially-paid'].includes(status)) {
+        throw new ApiError(400, "Payments are recorded by importing the insurer's EOB");
+    }
+    if (!CLAIM_STATUSES.includes(status)) {
+        throw new ApiError(400, `Status must be one of: ${CLAIM_STATUSES.join(', ')}`);
+    }
+
+    const claim = await findClaim(claimId);
+    assertTransition(claim, status);
+
+    if (data.payerReference) claim.payerReference = data.payerReference;
+
+    if (status === 'approved') {
+        const approvedAmount = data.approvedAmount !== undefined ? roundMoney(Number(data.approvedAmount)) : claim.claimedAmount;
+        if (!(approvedAmount >= 0) || approvedAmount > claim.billedAmount) {
+            throw new ApiError(400, "Approved amount must be between 0 and the billed amount");
+        }
+        claim.approvedAmount = approvedAmount;
+        claim.denial = undefined;
+        if (claim.type === 'pre-authorisation') {
+            claim.authorisationNumber = data.authorisationNumber || claim.authorisationNumber;
+            claim.validUntil = data.validUntil
+                ? new Date(data.validUntil)
+                : new Date(Date.now() + PREAUTH_VALIDITY_DAYS * DAY_MS);
+        }
+    }
+    if (status === 'denied') {
+        if (!data.denialReason?.trim()) {
+            throw new ApiError(400, "Denial reason is required");
+        }
+        claim.denial = { code: data.denialCode, reason: data.denialReason.trim() };
+    }
+    if (status === 'submitted' && claim.status === 'denied') {
+        // Resubmission after a denial starts a fresh ruling
+        claim.decidedAt = undefined;
+    }
+
+    recordStatus(claim, status, user._id, note);
+    if (DECIDED_STATUSES.includes(status)) await applyDeductible(claim);
+
+    if (claim.type === 'claim') {
+        if (status === 'denied') {
+            await rebillPatient(claim, claim.billedAmount - claim.paidAmount);
+        } else if (status === 'cancelled') {
+            await Invoice.updateOne({ _id: claim.invoiceId }, { $unset: { insuranceClaim: 1 }, $set: { paymentMethod: 'other' } });
+        } else {
+            await syncInvoice(claim);
+        }
+    } else if (['approved', 'denied'].includes(status)) {
+        await notifyPatient(
+            claim,
+            status === 'approved' ? 'Pre-authorisation approved' : 'Pre-authorisation denied',
+            status === 'approved'
+                ? `Your insurer approved ${claim.service.description} up to ${claim.approvedAmount.toFixed(2)}.`
+                : `Your insurer declined to pre-authorise ${claim.service.description}: ${claim.denial.reason}`
+        );
+    }
+
+    await claim.save();
+    return claim;
+};
+
+/**
+ * Apply one EOB row to its claim
+ *
+ * @returns {Object} - Outcome for the import report
+ */
+const applyRemittance = async (row, { fileName, user }) => {
+    if (!row.claimNumber && !row.payerReference) {
+        return { outcome: 'error', reason: 'Row has no claim number' };
+    }
+    if (!row.eobReference) {
+        return { claimNumber: row.claimNumber, outcome: 'error', reason: 'Row has no EOB/remittance reference' };
+    }
+
+    const claim = await InsuranceClaim.findOne({
+        type: 'claim',
+        $or: [
+            row.claimNumber ? { claimNumber: row.claimNumber } : null,
+            row.payerReference ? { payerReference: row.payerReference } : null
+        ].filter(Boolean)
+    });
+    if (!claim) {
+        return { claimNumber: row.claimNumber, outcome: 'unmatched', reason: 'No claim with this number' };
+    }
+    if (claim.remittances.some(remittance => remittance.eobReference === row.eobReference)) {
+        return { claimNumber: claim.claimNumber, outcome: 'duplicate', reason: `Remittance ${row.eobReference} already applied` };
+    }
+
+    const paidAmount = roundMoney(row.paidAmount || 0);
+    const denied = paidAmount <= 0 && Boolean(row.denialCode || row.denialReason);
+    const patientResponsibility = row.patientResponsibility;
+    // Without an explicit adjustment, the first remittance writes off billed less allowed
+    const adjustmentAmount = row.adjustmentAmount ?? (
+        row.allowedAmount !== undefined && !claim.remittances.length
+            ? roundMoney(Math.max(claim.billedAmount - row.allowedAmount, 0))
+            : 0
+    );
+
+    let status;
+    if (denied) {
+        status = 'denied';
+    } else {
+        // What the insurer owes: its allowed amount less the patient's share, or failing that the approved claim
+        const payable = row.allowedAmount !== undefined && patientResponsibility !== undefined
+            ? row.allowedAmount - patientResponsibility
+            : (claim.approvedAmount ?? claim.claimedAmount);
+        status = claim.paidAmount + paidAmount + MONEY_EPSILON >= payable ? 'paid' : 'partially-paid';
+    }
+
+    const allowed = CLAIM_TRANSITIONS.claim[claim.status] || [];
+    if (!allowed.includes(status)) {
+        return { claimNumber: claim.claimNumber, outcome: 'error', reason: `Claim is ${claim.status}; cannot record it as ${status}` };
+    }
+
+    claim.remittances.push({
+        eobReference: row.eobReference,
+        fileName,
+        billedAmount: row.billedAmount,
+        allowedAmount: row.allowedAmount,
+        paidAmount,
+        patientResponsibility: patientResponsibility ?? 0,
+        adjustmentAmount,
+        denialCode: row.denialCode,
+        denialReason: row.denialReason,
+        paidDate: row.paidDate || new Date(),
+        importedBy: user._id
+    });
+    claim.paidAmount = roundMoney(claim.paidAmount + paidAmount);
+    claim.adjustmentAmount = roundMoney(claim.adjustmentAmount + adjustmentAmount);
+    if (row.payerReference && !claim.payerReference) claim.payerReference = row.payerReference;
+    if (denied) {
+        claim.denial = { code: row.denialCode, reason: row.denialReason || row.denialCode };
+    }
+    recordStatus(claim, status, user._id, `EOB ${row.eobReference}`);
+    await applyDeductible(claim);
+
+    if (paidAmount > 0) {
+        await Invoice.updateOne(
+            { _id: claim.invoiceId },
+            {
+                $push: {
+                    paymentHistory: {
+                        // One remittance can pay several claims
+                        transactionId: `${row.eobReference}/${claim.claimNumber}`,
+                        amount: paidAmount,
+                        paymentMethod: 'insurance',
+                        paymentStatus: 'success',
+                        paymentDate: row.paidDate || new Date(),
+                        metadata: { claimNumber: claim.claimNumber, eobReference: row.eobReference }
+                    }
+                }
+            }
+        );
+    }
+
+    const owed = denied
+        ? claim.billedAmount - claim.paidAmount
+        : patientResponsibility ?? (claim.billedAmount - claim.paidAmount - claim.adjustmentAmount);
+    const rebill = await rebillPatient(claim, owed);
+    await claim.save();
+
+    return { claimNumber: claim.claimNumber, outcome: status, paidAmount, patientBalance: rebill.amount };
+};
+
+/**
+ * Reconcile an explanation-of-benefit file against open claims
+ *
+ * Each row pays, part-pays or denies a claim, records the insurer's payment
+ * on the invoice and re-bills the patient for their share. Rows already
+ * applied are skipped, so a file can be imported again safely.
+ *
+ * @param {Object} source - { file } (multer upload of a CSV) or { rows } (JSON rows)
+ * @param {Object} user - Admin importing
+ * @returns {Object} - { fileName, total, applied, results }
+ */
+export const importEob = async ({ file, rows }, user) => {
+    let entries;
+    if (file) {
+        const text = await fs.promises.readFile(file.path, 'utf8');
+        entries = parseEobCsv(text);
+    } else if (Array.isArray(rows)) {
+        entries = rows.map(normalizeEobRow);
+    } else {
+        throw new ApiError(400, "Upload an EOB CSV file or send its rows");
+    }
+    if (!entries.length) {
+        throw new ApiError(400, "EOB file has no remittance rows");
+    }
+
+    const fileName = file?.originalname;
+    const results = [];
+    for (const [index, row] of entries.entries()) {
+        try {
+            results.push({ row: index + 1, ...(await applyRemittance(row, { fileName, user })) });
+        } catch (error) {
+            results.push({ row: index + 1, claimNumber: row.claimNumber, outcome: 'error', reason: error.message });
+        }
+    }
+
+    return {
+        fileName,
+        total: results.length,
+        applied: results.filter(result => ['paid', 'partially-paid', 'denied'].includes(result.outcome)).length,
+        results
+    };
+};
+
+/**
+ * Claims and pre-authorisations, newest first
+ *
+ * @param {Object} filters - { type, status, patientId, patientUserId, search, page, limit }
+ */
+export const listClaims = async ({ type, status, patientId, patientUserId, search, page = 1, limit = 20 } = {}) => {
+    const query = {};
+    if (type) query.type = type;
+    if (status) query.status = status;
+    if (patientId) query.patientId = patientId;
+    if (patientUserId) query.patientUserId = patientUserId;
+    if (search) {
+        const pattern = { $regex: String(search).replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), $options: 'i' };
+        query.$or = [{ claimNumber: pattern }, { payerReference: pattern }, { 'policy.policyNumber': pattern }];
+    }
+
+    const pageNum = Math.max(parseInt(page, 10) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
+
+    const [claims, total] = await Promise.all([
+        InsuranceClaim.find(query)
+            .select('-statusHistory -remittances')
+            .populate('patientUserId', 'firstName lastName email')
+            .populate('invoiceId', 'invoiceNumber total paymentStatus')
+            .sort({ createdAt: -1 })
+            .skip((pageNum - 1) * limitNum)
+            .limit(limitNum)
+            .lean(),
+        InsuranceClaim.countDocuments(query)
+    ]);
+
+    return {
+        claims,
+        pagination: { page: pageNum, limit: limitNum, total, pages: Math.ceil(total / limitNum) }
+    };
+};
+
+/**
+ * One claim with its history and remittances; patients only see their own
+ */
+export const getClaim = async (claimId, user) => {
+    const claim = mongoose.Types.ObjectId.isValid(claimId)
+        ? await InsuranceClaim.findById(claimId)
+            .populate('patientUserId', 'firstName lastName email phoneNumber')
+            .populate('invoiceId', 'invoiceNumber total paymentStatus issueDate')
+            .populate('preAuthorisationId', 'claimNumber authorisationNumber approvedAmount validUntil service')
+            .populate('statusHistory.by', 'firstName lastName role')
+        : null;
+
+    const isOwner = claim && String(claim.patientUserId?._id || claim.patientUserId) === String(user._id);
+    if (!claim || !(isOwner || user.role === 'admin')) {
+        throw new ApiError(404, "Claim not found");
+    }
+    return claim;
+};
+
+/**
+ * Claims board: open claims by age, status totals and the commonest denials
+ */
+export const getClaimsBoard = async () => {
+    const now = new Date();
+    const [openClaims, byStatus, denials, pendingPreAuthorisations] = await Promise.all([
+        InsuranceClaim.find({ type: 'claim', status: { $in: OPEN_STATUSES } })
+            .select('claimNumber status submittedAt claimedAmount approvedAmount paidAmount policy.provider patientUserId')
+            .populate('patientUserId', 'firstName lastName')
+            .sort({ submittedAt: 1 })
+            .lean(),
+        InsuranceClaim.aggregate([
+            { $match: { type: 'claim' } },
+            { $group: { _id: '$status', count: { $sum: 1 }, billedAmount: { $sum: '$billedAmount' }, paidAmount: { $sum: '$paidAmount' } } }
+        ]),
+        InsuranceClaim.aggregate([
+            { $match: { type: 'claim', status: 'denied' } },
+            {
+                $group: {
+                    _id: { code: '$denial.code', reason: '$denial.reason' },
+                    count: { $sum: 1 },
+                    amount: { $sum: { $subtract: ['$billedAmount', '$paidAmount'] } }
+                }
+            },
+            { $sort: { count: -1 } },
+            { $limit: 10 }
+        ]),
+        InsuranceClaim.countDocuments({ type: 'pre-authorisation', status: 'submitted' })
+    ]);
+
+    const ageing = AGEING_BUCKETS.map(bucket => ({ bucket: bucket.label, count: 0, outstandingAmount: 0 }));
+    const withAge = openClaims.map(claim => {
+        const ageInDays = Math.floor((now - new Date(claim.submittedAt || now)) / DAY_MS);
+        const outstandingAmount = roundMoney(Math.max((claim.approvedAmount ?? claim.claimedAmount) - claim.paidAmount, 0));
+        const bucket = ageing[AGEING_BUCKETS.findIndex(({ max }) => ageInDays <= max)];
+        bucket.count++;
+        bucket.outstandingAmount = roundMoney(bucket.outstandingAmount + outstandingAmount);
+        return { ...claim, ageInDays, outstandingAmount };
+    });
+
+    return {
+        ageing,
+        byStatus: byStatus.reduce((acc, row) => {
+            acc[row._id] = { count: row.count, billedAmount: roundMoney(row.billedAmount), paidAmount: roundMoney(row.paidAmount) };
+            return acc;
+        }, {}),
+        denialReasons: denials.map(row => ({
+            code: row._id.code || null,
+            reason: row._id.reason || 'Not given',
+            count: row.count,
+            amount: roundMoney(row.amount)
+        })),
+        pendingPreAuthorisations,
+        oldestOpenClaims: withAge.slice(0, 10)
+    };
+};
+
+export default {
+    estimateSplit,
+    createClaimFromInvoice,
+    requestPreAuthorisation,
+    updateClaimStatus,
+    importEob,
+    listClaims,
+    getClaim,
+    getClaimsBoard
+};
@@ -0,0 +1,676 @@
+import mongoose from "mongoose";
+import { Invoice } from "../models/invoice.model.js";
+import { CreditNote } from "../models/creditNote.model.js";
+import { InvoiceSequence } from "../models/invoiceSequence.model.js";
+import { Appointment } from "../models/appointment.model.js";
+import { Patient } from "../models/Patient.model.js";
+import { Payment } from "../models/payment.model.js";
+import { PharmacyOrder } from "../models/pharmacyOrder.model.js";
+import { User } from "../models/User.model.js";
+import { ApiError } from "../utils/ApiError.js";
+import { calculateDueDate } from "../utils/invoiceUtils.js";
+import { renderInvoicePdf, renderCreditNotePdf } from "../utils/invoicePdfUtils.js";
+
+const INVOICE_PREFIX = 'INV';
+const CREDIT_NOTE_PREFIX = 'CN';
+
+// Days a patient has to pay an invoice raised before payment
+const PAYMENT_TERMS_DAYS = 15;
+
+// How far back the backfill job looks for billable events without an invoice
+const BACKFILL_DAYS = 7;
+const BACKFILL_BATCH = 200;
+
+const numberFromEnv = (name, fallback) => {
+    const value = parseFloat(process.env[name]);
+    return Number.isFinite(value) && value >= 0 ? value : fallback;
+};
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+/**
+ * GST treatment of each kind of invoice line
+ *
+ * Consultations and diagnostics from a clinical establishment are exempt, so
+ * their rate defaults to 0% and can be set per deployment. Medicines carry
+ * the rate priced into the cart quote; delivery is billed as charged at
+ * checkout.
+ */
+export const GST_RULES = {
+    consultation: { code: '999312', rate: () => numberFromEnv('CONSULTATION_GST_RATE', 0) },
+    lab_test: { code: '999316', rate: () => numberFromEnv('LAB_TEST_GST_RATE', 0) },
+    medication: { code: '3004' },
+    delivery: { code: '996813', rate: () => 0 },
+    other: { code: '999319', rate: () => numberFromEnv('SERVICE_GST_RATE', 0) }
+};
+
+// Payment.paymentMethod → Invoice.paymentMethod
+const PAYMENT_METHODS = {
+    card: 'card',
+    cash: 'cash',
+    online: 'online',
+    insurance: 'insurance',
+    wallet: 'wallet',
+    upi: 'upi',
+    'net-banking': 'net_banking'
+};
+
+// Payment.serviceType → invoice line type
+const SERVICE_LINE_TYPES = {
+    consultation: 'consultation',
+    procedure: 'other',
+    'lab-test': 'lab_test',
+    pharmacy: 'medication',
+    'health-package': 'other',
+    other: 'other'
+};
+
+const sellerDetails = () => ({
+    name: process.env.INVOICE_SELLER_NAME || 'Healthcare Consultation System',
+    address: process.env.INVOICE_SELLER_ADDRESS,
+    gstin: process.env.INVOICE_SELLER_GSTIN,
+    contact: process.env.INVOICE_SELLER_CONTACT
+});
+
+/**
+ * Indian financial year (April to March) a date falls in, e.g. "2026-27"
+ */
+export const financialYearOf = (date = new Date()) => {
+    const [year, month] = new Intl.DateTimeFormat('en-CA', { timeZone: 'Asia/Kolkata', year: 'numeric', month: '2-digit' })
+        .format(date)
+        .split('-')
+        .map(Number);
+    const start = month >= 4 ? year : year - 1;
+    return `${start}-${String(start + 1).slice(-2)}`;
+};
+
+const formatNumber = (series, financialYear, sequence) =>
+    `${series}/${financialYear.slice(2)}/${String(sequence).padStart(6, '0')}`;
+
+/**
+ * INV/26-27/000123 — within the 16 characters GST allows for an invoice number
+ */
+export const formatInvoiceNumber = (financialYear, sequence) =>
+    formatNumber(INVOICE_PREFIX, financialYear, sequence);
+
+/**
+ * CN/26-27/000123 — credit notes run their own series
+ */
+export const formatCreditNoteNumber = (financialYear, sequence) =>
+    formatNumber(CREDIT_NOTE_PREFIX, financialYear, sequence);
+
+/**
+ * Next number in a series' financial year, reusing a released one first
+ */
+const takeNumber = async (series, financialYear) => {
+    const reused = await InvoiceSequence.findOneAndUpdate(
+        { series, financialYear, 'released.0': { $exists: true } },
+        { $pop: { released: -1 } }
+    ).lean();
+    if (reused) return reused.released[0];
+
+    const sequence = await InvoiceSequence.findOneAndUpdate(
+        { series, financialYear },
+        { $inc: { lastNumber: 1 } },
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+    ).lean();
+    return sequence.lastNumber;
+};
+
+const releaseNumber = (series, financialYear, sequence) => InvoiceSequence.updateOne(
+    { series, financialYear },
+    { $push: { released: { $each: [sequence], $sort: 1 } } }
+);
+
+const findBySource = (kind, refId) => Invoice.findOne({ 'source.kind': kind, 'source.refId': refId });
+
+/**
+ * Number and save an invoice
+ *
+ * The invoice is validated before it takes a number, and a number whose
+ * invoice still fails to save goes back to the sequence, so numbering stays
+ * gap-free. A second invoice for the same source returns the first.
+ *
+ * @param {Object} data - Invoice fields; totals are worked out from the items
+ * @returns {Document} - The saved invoice
+ */
+export const issueInvoice = async (data) => {
+    const invoice = new Invoice({ issueDate: new Date(), ...data });
+    if (!invoice.dueDate) {
+        invoice.dueDate = calculateDueDate(invoice.issueDate, PAYMENT_TERMS_DAYS);
+    }
+    await invoice.validate({ pathsToSkip: ['invoiceNumber'] });
+
+    const financialYear = financialYearOf(invoice.issueDate);
+    const sequence = await takeNumber(INVOICE_PREFIX, financialYear);
+    invoice.set({ financialYear, sequence, invoiceNumber: formatInvoiceNumber(financialYear, sequence) });
+
+    try {
+        await invoice.save();
+    } catch (error) {
+        await releaseNumber(INVOICE_PREFIX, financialYear, sequence);
+        if (error.code === 11000 && invoice.source?.refId) {
+            const existing = await findBySource(invoice.source.kind, invoice.source.refId);
+            if (existing) return existing;
+        }
+        throw error;
+    }
+
+    if (invoice.paymentId) {
+        await linkPayment(invoice, invoice.paymentId);
+    }
+    return invoice;
+};
+
+const linkPayment = (invoice, paymentId) => Payment.updateOne(
+    { _id: paymentId },
+    {
+        $set: {
+            'invoice.invoiceNumber': invoice.invoiceNumber,
+            'invoice.invoiceDate': invoice.issueDate,
+            'invoice.dueDate': invoice.dueDate
+        }
+    }
+);
+
+const paymentMethodOf = (payment) => PAYMENT_METHODS[payment?.paymentMethod] || 'other';
+
+/**
+ * Fields that record a completed payment against an invoice
+ */
+const paidFields = (payment, total) => ({
+    paymentId: payment._id,
+    paymentStatus: 'paid',
+    paymentMethod: paymentMethodOf(payment),
+    paymentDate: payment.completedAt || new Date(),
+    paymentHistory: [{
+        transactionId: payment.transactionId || String(payment._id),
+        amount: total,
+        paymentMethod: paymentMethodOf(payment),
+        paymentStatus: 'success',
+        paymentDate: payment.completedAt || new Date()
+    }]
+});
+
+/**
+ * Settle an unpaid invoice with a payment made after it was issued
+ */
+const settleInvoice = async (invoice, payment) => {
+    if (['paid', 'refunded', 'cancelled'].includes(invoice.paymentStatus)) return invoice;
+
+    const { paymentHistory, ...fields } = paidFields(payment, invoice.total);
+    invoice.set(fields);
+    invoice.paymentHistory.push(...paymentHistory);
+    await invoice.save();
+    await linkPayment(invoice, payment._id);
+    return invoice;
+};
+
+/**
+ * One line for a fee the patient pays GST-inclusive
+ */
+const feeLine = (description, gross, type) => {
+    const rule = GST_RULES[type] || GST_RULES.other;
+    const taxRate = rule.rate();
+    return {
+        description,
+        quantity: 1,
+        price: roundMoney(gross * 100 / (100 + taxRate)),
+        type,
+        code: rule.code,
+        taxRate
+    };
+};
+
+const patientUserOf = async (patientId) => {
+    if (!patientId) return null;
+    const patient = await Patient.findById(patientId).select('user').lean();
+    return patient?.user || null;
+};
+
+/**
+ * Invoice a completed consultation
+ *
+ * Bills the fee actually paid when the appointment was paid for, otherwise
+ * the consultation fee, due within the payment terms. Free consultations are
+ * not invoiced. Calling it again returns the same invoice, settling it if a
+ * payment has come in since.
+ *
+ * @param {string} appointmentId - Appointment
+ * @returns {Document|null} - The invoice, or null when there is nothing to bill
+ */
+export const invoiceForAppointment = async (appointmentId) => {
+    const appointment = await Appointment.findById(appointmentId)
+        .populate('doctorId', 'firstName lastName')
+        .lean();
+    if (!appointment || appointment.status !== 'completed') return null;
+
+    const paymentMatch = [{ appointmentId: appointment._id }];
+    if (appointment.paymentId) paymentMatch.push({ _id: appointment.paymentId });
+    const payment = await Payment.findOne({ $or: paymentMatch, status: 'completed' }).sort({ completedAt: -1 });
+
+    const existing = await findBySource('appointment', appointment._id);
+    if (existing) {
+        return payment ? settleInvoice(existing, payment) : existing;
+    }
+
+    // A package credit was invoiced when the package was bought
+    if (!payment && appointment.patientPackageId) return null;
+
+    const amount = payment ? payment.amount : appointment.consultationFee;
+    if (appointment.paymentStatus === 'free' || !(amount > 0)) return null;
+
+    const patientUserId = await patientUserOf(appointment.patientId);
+    if (!patientUserId) {
+        throw new ApiError(404, "Patient not found for appointment");
+    }
+
+    const doctor = appointment.doctorId;
+    const line = feeLine(
+        `Consultation with Dr. ${[doctor?.firstName, doctor?.lastName].filter(Boolean).join(' ')} on ${new Date(appointment.appointmentDate).toLocaleDateString('en-IN')}`,
+        amount,
+        'consultation'
+    );
+
+    return issueInvoice({
+        source: { kind: 'appointment', refId: appointment._id },
+        patientId: patientUserId,
+        doctorId: doctor?._id,
+        appointmentId: appointment._id,
+        items: [line],
+        ...(payment ? paidFields(payment, amount) : {})
+    });
+};
+
+/**
+ * Invoice a paid pharmacy order, line for line as it was priced at checkout
+ *
+ * Cash-on-delivery orders are invoiced once the cash is collected.
+ *
+ * @param {Document|Object} order - PharmacyOrder
+ * @returns {Document|null} - The invoice, or null while the order is unpaid
+ */
+export const invoiceForPharmacyOrder = async (order) => {
+    if (!order || order.paymentStatus !== 'paid') return null;
+
+    const existing = await findBySource('pharmacy_order', order._id);
+    if (existing) return existing;
+
+    const payment = await Payment.findOne({ gatewayReference: order.orderId });
+
+    const items = order.items.map(item => {
+        const gross = roundMoney(item.price * item.quantity);
+        // The coupon's share of the line is whatever the checkout total left off it
+        const discount = item.lineTotal !== undefined && item.gstAmount !== undefined
+            ? Math.max(roundMoney(gross - (item.lineTotal - item.gstAmount)), 0)
+            : 0;
+        return {
+            description: [item.name, item.brand].filter(Boolean).join(' — '),
+            quantity: item.quantity,
+            price: item.price,
+            type: 'medication',
+            code: GST_RULES.medication.code,
+            discount,
+            taxRate: item.gstRate ?? 0
+        };
+    });
+    if (order.pricing?.deliveryFee > 0) {
+        items.push({
+            description: 'Delivery charges',
+            quantity: 1,
+            price: order.pricing.deliveryFee,
+            type: 'delivery',
+            code: GST_RULES.delivery.code,
+            taxRate: GST_RULES.delivery.rate()
+        });
+    }
+
+    const paid = payment
+        ? paidFields({ ...payment.toObject(), paymentMethod: order.paymentMethod === 'cash' ? 'cash' : payment.paymentMethod }, order.amount)
+        : { paymentStatus: 'paid', paymentMethod: order.paymentMethod === 'cash' ? 'cash' : 'online', paymentDate: new Date() };
+
+    return issueInvoice({
+        source: { kind: 'pharmacy_order', refId: order._id },
+        patientId: order.userId,
+        pharmacyOrderId: order._id,
+        items,
+        notes: order.pricing?.couponCode ? `Coupon ${order.pricing.couponCode} applied` : undefined,
+        ...paid
+    });
+};
+
+/**
+ * Invoice a service paid for up front: lab test bookings, procedures and other services
+ */
+const invoiceForServicePayment = async (payment) => {
+    const kind = payment.serviceType === 'lab-test' ? 'lab_test' : 'payment';
+    const existing = await findBySource(kind, payment._id);
+    if (existing) return existing;
+
+    const patientUserId = (await patientUserOf(payment.patientId)) || payment.userId;
+    const type = SERVICE_LINE_TYPES[payment.serviceType] || 'other';
+
+    return issueInvoice({
+        source: { kind, refId: payment._id },
+        patientId: patientUserId,
+        doctorId: payment.doctorId,
+        items: [feeLine(payment.serviceDescription, payment.amount, type)],
+        ...paidFields(payment, payment.amount)
+    });
+};
+
+/**
+ * Raise (or settle) the invoice for a completed payment
+ *
+ * Pharmacy payments invoice their order and consultation payments settle the
+ * appointment's invoice once the visit is complete; anything else is invoiced
+ * on the payment itself. Wallet top-ups are deposits, invoiced when spent.
+ *
+ * @param {Document|string} paymentOrId - Payment or its id
+ * @returns {Document|null} - The invoice, or null when there is nothing to invoice yet
+ */
+export const invoiceForPayment = async (paymentOrId) => {
+    const payment = paymentOrId instanceof mongoose.Document
+        ? paymentOrId
+        : await Payment.findById(paymentOrId);
+    if (!payment || payment.status !== 'completed' || payment.serviceType === 'wallet-topup') return null;
+
+    if (payment.serviceType === 'pharmacy') {
+        const order = await PharmacyOrder.findOne({ orderId: payment.gatewayReference });
+        return invoiceForPharmacyOrder(order);
+    }
+    if (payment.serviceType === 'consultation') {
+        return payment.appointmentId ? invoiceForAppointment(payment.appointmentId) : null;
+    }
+    return invoiceForServicePayment(payment);
+};
+
+/**
+ * Invoice billable events from the last few days that have none yet
+ *
+ * Catches anything missed when invoicing failed alongside a payment or
+ * status change.
+ */
+export const backfillInvoices = async () => {
+    const since = new Date(Date.now() - BACKFILL_DAYS * 24 * 60 * 60 * 1000);
+
+    const missing = async (kind, ids) => {
+        const invoiced = await Invoice.find({ 'source.kind': kind, 'source.refId': { $in: ids } }).distinct('source.refId');
+        const done = new Set(invoiced.map(String));
+        return ids.filter(id => !done.has(String(id)));
+    };
+
+    const [appointments, orders, servicePayments] = await Promise.all([
+        Appointment.find({ status: 'completed', consultationFee: { $gt: 0 }, updatedAt: { $gte: since } })
+            .select('_id').limit(BACKFILL_BATCH).lean(),
+        PharmacyOrder.find({ paymentStatus: 'paid', updatedAt: { $gte: since } })
+            .select('_id').limit(BACKFILL_BATCH).lean(),
+        Payment.find({ status: 'completed', serviceType: { $nin: ['pharmacy', 'consultation', 'wallet-topup'] }, updatedAt: { $gte: since } })
+            .select('_id serviceType').limit(BACKFILL_BATCH).lean()
+    ]);
+
+    const appointmentIds = appointments.map(appointment => appointment._id);
+    const orderIds = orders.map(order => order._id);
+    const labPayments = servicePayments.filter(payment => payment.serviceType === 'lab-test').map(payment => payment._id);
+    const otherPayments = servicePayments.filter(payment => payment.serviceType !== 'lab-test').map(payment => payment._id);
+
+    const jobs = [
+        ...(await missing('appointment', appointmentIds)).map(id => () => invoiceForAppointment(id)),
+        ...(await missing('pharmacy_order', orderIds)).map(id => async () => invoiceForPharmacyOrder(await PharmacyOrder.findById(id))),
+        ...(await missing('lab_test', labPayments)).map(id => () => invoiceForPayment(id)),
+        ...(await missing('payment', otherPayments)).map(id => () => invoiceForPayment(id))
+    ];
+
+    let issued = 0;
+    let failed = 0;
+    for (const job of jobs) {
+        try {
+            if (await job()) issued++;
+        } catch (error) {
+            failed++;
+            console.error('Invoice backfill failed:', error.message);
+        }
+    }
+    return { checked: jobs.length, issued, failed };
+};
+
+/**
+ * Credit a refund back against the invoice it was paid on
+ *
+ * Each invoice line is credited in proportion to the refund, GST included, so
+ * the tax reversed matches the tax charged. The last line takes the rounding
+ * so the credit note adds up to the refund exactly. The invoice is marked
+ * refunded once its credit notes cover the total. One credit note per refund.
+ *
+ * @param {Document|Object} refund - Processed Refund
+ * @returns {Document|null} - The credit note, or null when the payment has no invoice
+ */
+export const issueCreditNote = async (refund) => {
+    const existing = await CreditNote.findOne({ refundId: refund._id });
+    if (existing) return existing;
+
+    const invoice = await Invoice.findOne({ paymentId: refund.paymentId });
+    if (!invoice || !(invoice.total > 0)) return null;
+
+    const amount = roundMoney(Math.min(refund.amount, invoice.total - (invoice.refundedAmount || 0)));
+    if (!(amount > 0)) return null;
+
+    const ratio = amount / invoice.total;
+    let remaining = amount;
+    const items = invoice.items.map((item, index) => {
+        const lineAmount = index === invoice.items.length - 1
+            ? roundMoney(remaining)
+            : roundMoney((item.amount || 0) * ratio);
+        remaining -= lineAmount;
+        const taxAmount = item.amount ? roundMoney(lineAmount * (item.taxAmount || 0) / item.amount) : 0;
+        return {
+            description: item.description,
+            code: item.code,
+            quantity: item.quantity,
+            price: roundMoney((lineAmount - taxAmount) / (item.quantity || 1)),
+            taxRate: item.taxRate,
+            taxAmount,
+            amount: lineAmount
+        };
+    });
+
+    const taxAmount = roundMoney(items.reduce((sum, item) => sum + item.taxAmount, 0));
+    const creditNote = new CreditNote({
+        invoiceId: invoice._id,
+        invoiceNumber: invoice.invoiceNumber,
+        refundId: refund._id,
+        paymentId: refund.paymentId,
+        patientId: invoice.patientId,
+        issueDate: new Date(),
+        items,
+        subtotal: roundMoney(amount - taxAmount),
+        taxAmount,
+        total: amount,
+        currency: invoice.currency,
+        reason: refund.reason
+    });
+    await creditNote.validate({ pathsToSkip: ['creditNoteNumber'] });
+
+    const financialYear = financialYearOf(creditNote.issueDate);
+    const sequence = await takeNumber(CREDIT_NOTE_PREFIX, financialYear);
+    creditNote.set({ financialYear, sequence, creditNoteNumber: formatCreditNoteNumber(financialYear, sequence) });
+
+    try {
+        await creditNote.save();
+    } catch (error) {
+        await releaseNumber(CREDIT_NOTE_PREFIX, financialYear, sequence);
+        if (error.code === 11000) {
+            const saved = await CreditNote.findOne({ refundId: refund._id });
+            if (saved) return saved;
+        }
+        throw error;
+    }
+
+    const credited = await Invoice.findByIdAndUpdate(
+        invoice._id,
+        { $inc: { refundedAmount: amount } },
+        { new: true }
+    );
+    if (credited && credited.total - credited.refundedAmount < 0.01) {
+        await Invoice.updateOne({ _id: invoice._id }, { $set: { paymentStatus: 'refunded' } });
+    }
+    return creditNote;
+};
+
+/**
+ * Credit notes raised against an invoice, oldest first
+ */
+export const creditNotesForInvoice = (invoiceId) =>
+    CreditNote.find({ invoiceId }).select('-items').sort({ issueDate: 1 }).lean();
+
+/**
+ * Invoices, newest first
+ *
+ * @param {Object} filters
+ * @param {string} filters.patientId - Billed user
+ * @param {string} filters.status - Payment status
+ * @param {string} filters.kind - Source kind (appointment, lab_test, pharmacy_order, payment)
+ * @param {string} filters.financialYear - e.g. "2026-27"
+ * @param {string} filters.search - Invoice number
+ */
+export const listInvoices = async ({ patientId, status, kind, financialYear, search, from, to, page = 1, limit = 20 } = {}) => {
+    const query = {};
+    if (patientId) {
+        if (!mongoose.Types.ObjectId.isValid(patientId)) {
+            throw new ApiError(400, "Invalid patient ID");
+        }
+        query.patientId = patientId;
+    }
+    if (status) query.paymentStatus = status;
+    if (kind) query['source.kind'] = kind;
+    if (financialYear) query.financialYear = financialYear;
+    if (search) query.invoiceNumber = { $regex: String(search).replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), $options: 'i' };
+    if (from || to) {
+        query.issueDate = {};
+        if (from) query.issueDate.$gte = new Date(from);
+        if (to) query.issueDate.$lte = new Date(to);
+    }
+
+    const pageNum = Math.max(parseInt(page, 10) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
+
+    const [invoices, total, totals] = await Promise.all([
+        Invoice.find(query)
+            .select('-paymentHistory')
+            .populate('patientId', 'firstName lastName email')
+            .populate('doctorId', 'firstName lastName')
+            .sort({ issueDate: -1, sequence: -1 })
+            .skip((pageNum - 1) * limitNum)
+            .limit(limitNum)
+            .lean(),
+        Invoice.countDocuments(query),
+        Invoice.aggregate([
+            { $match: { ...query, isDeleted: { $ne: true }, ...(query.patientId ? { patientId: new mongoose.Types.ObjectId(patientId) } : {}) } },
+            { $group: { _id: '$paymentStatus', count: { $sum: 1 }, amount: { $sum: '$total' } } }
+        ])
+    ]);
+
+    const byStatus = totals.reduce((acc, row) => {
+        acc[row._id] = { count: row.count, amount: roundMoney(row.amount) };
+        return acc;
+    }, {});
+
+    return {
+        invoices,
+        summary: {
+            totalAmount: roundMoney(totals.reduce((sum, row) => sum + row.amount, 0)),
+            paidAmount: byStatus.paid?.amount || 0,
+            outstandingAmount: roundMoney((byStatus.pending?.amount || 0) + (byStatus.overdue?.amount || 0) + (byStatus.partially_paid?.amount || 0)),
+            byStatus
+        },
+        pagination: { page: pageNum, limit: limitNum, total, pages: Math.ceil(total / limitNum) }
+    };
+};
+
+/**
+ * One invoice; patients only see their own
+ */
+export const getInvoice = async (invoiceId, user) => {
+    const invoice = mongoose.Types.ObjectId.isValid(invoiceId)
+        ? await Invoice.findById(invoiceId)
+            .populate('patientId', 'firstName lastName email phoneNumber')
+            .populate('doctorId', 'firstName lastName specialization')
+        : null;
+
+    const isOwner = invoice && String(invoice.patientId?._id || invoice.patientId) === String(user._id);
+    if (!invoice || !(isOwner || user.role === 'admin')) {
+        throw new ApiError(404, "Invoice not found");
+    }
+    return invoice;
+};
+
+/**
+ * Printable PDF of an invoice
+ *
+ * @returns {Object} { buffer, filename }
+ */
+export const buildInvoiceDocument = async (invoiceId, user) => {
+    const invoice = await getInvoice(invoiceId, user);
+    const patient = invoice.patientId?._id
+        ? invoice.patientId
+        : await User.findById(invoice.patientId).select('firstName lastName email phoneNumber').lean();
+
+    const buffer = await renderInvoicePdf({
+        invoice: invoice.toObject(),
+        patient,
+        doctor: invoice.doctorId,
+        seller: sellerDetails()
+    });
+
+    return {
+        buffer,
+        filename: `invoice-${invoice.invoiceNumber.replace(/\//g, '-')}.pdf`
+    };
+};
+
+/**
+ * Printable PDF of a credit note; patients only get their own
+ *
+ * @returns {Object} { buffer, filename }
+ */
+export const buildCreditNoteDocument = async (creditNoteId, user) => {
+    const creditNote = mongoose.Types.ObjectId.isValid(creditNoteId)
+        ? await CreditNote.findById(creditNoteId)
+            .populate('patientId', 'firstName lastName email phoneNumber')
+            .lean()
+        : null;
+
+    const isOwner = creditNote && String(creditNote.patientId?._id || creditNote.patientId) === String(user._id);
+    if (!creditNote || !(isOwner || user.role === 'admin')) {
+        throw new ApiError(404, "Credit note not found");
+    }
+
+    const buffer = await renderCreditNotePdf({
+        creditNote,
+        patient: creditNote.patientId,
+        seller: sellerDetails()
+    });
+
+    return {
+        buffer,
+        filename: `credit-note-${creditNote.creditNoteNumber.replace(/\//g, '-')}.pdf`
+    };
+};
+
+export default {
+    GST_RULES,
+    financialYearOf,
+    formatInvoiceNumber,
+    formatCreditNoteNumber,
+    issueInvoice,
+    invoiceForAppointment,
+    invoiceForPharmacyOrder,
+    invoiceForPayment,
+    backfillInvoices,
+    issueCreditNote,
+    creditNotesForInvoice,
+    listInvoices,
+    getInvoice,
+    buildInvoiceDocument,
+    buildCreditNoteDocument
+};
@@ -0,0 +1,309 @@
+import os from "os";
+import crypto from "crypto";
+import mongoose from "mongoose";
+import { Job, JOB_HISTORY_LIMIT } from "../models/job.model.js";
+import { ApiError } from "../utils/ApiError.js";
+import { getNextCronRun } from "../utils/dateTimeUtils.js";
+
+// Read lazily, after dotenv has loaded
+const getPollIntervalMs = () => parseInt(process.env.JOB_POLL_INTERVAL_MS, 10) || 15000;
+const getLockMs = () => parseInt(process.env.JOB_LOCK_MS, 10) || 10 * 60 * 1000;
+
+// Jobs claimed per poll, so one busy tick cannot starve the event loop
+const MAX_JOBS_PER_TICK = 10;
+
+const handlers = new Map();
+const workerId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+
+let pollTimer = null;
+let ticking = false;
+
+/**
+ * Register the handler that runs jobs with the given name
+ *
+ * The handler receives (payload, job) and may return a small result object
+ * that is kept in the job's run history.
+ */
+export const defineJob = (name, handler, { maxAttempts = 3, backoff } = {}) => {
+    handlers.set(name, { handler, maxAttempts, backoff });
+};
+
+/**
+ * Create or update the single document backing a recurring job
+ *
+ * A recurring job an admin has cancelled stays cancelled across restarts.
+ */
+export const scheduleRecurring = async (name, cron, { payload = {}, maxAttempts } = {}) => {
+    const definition = handlers.get(name);
+    if (!definition) {
+        throw new Error(`No handler registered for job "${name}"`);
+    }
+
+    const uniqueKey = `recurring:${name}`;
+    const existing = await Job.findOne({ uniqueKey });
+    if (existing) {
+        if (existing.cron !== cron) {
+            existing.cron = cron;
+            if (existing.status === 'scheduled') existing.runAt = getNextCronRun(cron);
+            await existing.save();
+        }
+        return existing;
+    }
+
+    try {
+        return await Job.create({
+            name,
+            type: 'recurring',
+            cron,
+            payload,
+            uniqueKey,
+            runAt: getNextCronRun(cron),
+            maxAttempts: maxAttempts || definition.maxAttempts,
+            backoff: definition.backoff
+        });
+    } catch (error) {
+        // Another instance registered it first
+        if (error.code === 11000) return Job.findOne({ uniqueKey });
+        throw error;
+    }
+};
+
+/**
+ * Queue a one-off job, optionally delayed
+ *
+ * Jobs with a uniqueKey are only queued once; the existing job is returned.
+ */
+export const scheduleJob = async (name, { payload = {}, runAt, delayMs = 0, uniqueKey, maxAttempts, createdBy } = {}) => {
+    const definition = handlers.get(name);
+    if (!definition) {
+        throw new ApiError(400, `Unknown job "${name}"`);
+    }
+
+    const when = runAt ? new Date(runAt) : new Date(Date.now() + delayMs);
+    if (isNaN(when.getTime())) {
+        throw new ApiError(400, "A valid run time is required");
+    }
+
+    try {
+        return await Job.create({
+            name,
+            type: 'once',
+            payload,
+            uniqueKey,
+            runAt: when,
+            maxAttempts: maxAttempts || definition.maxAttempts,
+            backoff: definition.backoff,
+            createdBy
+        });
+    } catch (error) {
+        if (error.code === 11000 && uniqueKey) return Job.findOne({ uniqueKey });
+        throw error;
+    }
+};
+
+/**
+ * Run a claimed job and record the outcome
+ */
+const runJob = async (job) => {
+    const { handler } = handlers.get(job.name);
+    const startedAt = new Date();
+
+    let result;
+    let failure = null;
+    try {
+        result = await handler(job.payload || {}, job);
+    } catch (error) {
+        failure = error;
+    }
+
+    const finishedAt = new Date();
+    const set = {
+        lockedBy: null,
+        lockedUntil: null,
+        lastFinishedAt: finishedAt,
+        lastError: failure ? failure.message : null
+    };
+
+    if (!failure) {
+        if (job.type === 'recurring') {
+            Object.assign(set, { status: 'scheduled', attempts: 0, runAt: getNextCronRun(job.cron, finishedAt) });
+        } else {
+            set.status = 'completed';
+        }
+    } else if (job.attempts < job.maxAttempts) {
+        Object.assign(set, { status: 'scheduled', runAt: new Date(finishedAt.getTime() + job.getRetryDelay()) });
+    } else if (job.type === 'recurring') {
+        // Out of retries: give up on this run and wait for the next one
+        Object.assign(set, { status: 'scheduled', attempts: 0, runAt: getNextCronRun(job.cron, finishedAt) });
+    } else {
+        set.status = 'failed';
+    }
+
+    if (failure) {
+        console.error(`⚠️ Job "${job.name}" failed (attempt ${job.attempts}/${job.maxAttempts}):`, failure.message);
+    }
+
+    // Only write back while we still own the job; an admin may have cancelled it mid-run
+    await Job.updateOne(
+        { _id: job._id, status: 'running', lockedBy: workerId },
+        {
+            $set: set,
+            $push: {
+                runs: {
+                    $each: [{
+                        startedAt,
+                        finishedAt,
+                        durationMs: finishedAt - startedAt,
+                        status: failure ? 'failed' : 'succeeded',
+                        attempt: job.attempts,
+                        workerId,
+                        error: failure?.message,
+                        result
+                    }],
+                    $slice: -JOB_HISTORY_LIMIT
+                }
+            }
+        }
+    );
+};
+
+/**
+ * Claim and run due jobs until none are left (bounded per tick)
+ */
+export const runDueJobs = async () => {
+    if (ticking || mongoose.connection.readyState !== 1) return 0;
+    ticking = true;
+
+    let processed = 0;
+    try {
+        const names = [...handlers.keys()];
+        while (processed < MAX_JOBS_PER_TICK) {
+            const job = await Job.claimNext(workerId, getLockMs(), names);
+            if (!job) break;
+            await runJob(job);
+            processed++;
+        }
+    } catch (error) {
+        console.error('⚠️ Job scheduler tick failed:', error.message);
+    } finally {
+        ticking = false;
+    }
+
+    return processed;
+};
+
+/**
+ * Start polling the queue
+ */
+export const startScheduler = () => {
+    if (pollTimer) return;
+    pollTimer = setInterval(runDueJobs, getPollIntervalMs());
+    runDueJobs();
+    console.log(`⏱️  Job scheduler started (worker ${workerId})`);
+};
+
+/**
+ * Stop polling; a job already running is left to finish
+ */
+export const stopScheduler = () => {
+    if (pollTimer) {
+        clearInterval(pollTimer);
+        pollTimer = null;
+    }
+};
+
+/**
+ * List jobs for the admin view
+ */
+export const listJobs = async ({ status, name, type, page = 1, limit = 20 } = {}) => {
+    const query = {};
+    if (status) query.status = status;
+    if (name) query.name = name;
+    if (type) query.type = type;
+
+    const pageNumber = Math.max(1, parseInt(page, 10) || 1);
+    const pageSize = Math.min(100, Math.max(1, parseInt(limit, 10) || 20));
+
+    const [jobs, total, byStatus] = await Promise.all([
+        Job.find(query)
+            .select('-runs')
+            .sort({ runAt: 1 })
+            .skip((pageNumber - 1) * pageSize)
+            .limit(pageSize)
+            .lean(),
+        Job.countDocuments(query),
+        Job.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }])
+    ]);
+
+    return {
+        jobs,
+        registeredJobs: [...handlers.keys()],
+        statistics: byStatus.reduce((acc, entry) => ({ ...acc, [entry._id]: entry.count }), {}),
+        pagination: {
+            total,
+            page: pageNumber,
+            limit: pageSize,
+            totalPages: Math.ceil(total / pageSize)
+        }
+    };
+};
+
+export const getJob = async (jobId) => {
+    const job = await Job.findById(jobId);
+    if (!job) {
+        throw new ApiError(404, "Job not found");
+    }
+    return job;
+};
+
+/**
+ * Queue a job to run again now; recurring jobs then continue on their schedule
+ */
+export const rerunJob = async (jobId) => {
+    const job = await getJob(jobId);
+    if (job.status === 'running' && job.lockedUntil > new Date()) {
+        throw new ApiError(409, "Job is currently running");
+    }
+    if (!handlers.has(job.name)) {
+        throw new ApiError(400, `No handler registered for job "${job.name}"`);
+    }
+
+    job.status = 'scheduled';
+    job.runAt = new Date();
+    job.attempts = 0;
+    job.lockedBy = null;
+    job.lockedUntil = null;
+    job.cancelledAt = undefined;
+    await job.save();
+
+    return job;
+};
+
+/**
+ * Cancel a job; a run already in progress finishes but is not rescheduled
+ */
+export const cancelJob = async (jobId) => {
+    const job = await getJob(jobId);
+    if (['completed', 'cancelled'].includes(job.status)) {
+        throw new ApiError(400, `Job is already ${job.status}`);
+    }
+
+    job.status = 'cancelled';
+    job.cancelledAt = new Date();
+    await job.save();
+
+    return job;
+};
+
+export default {
+    defineJob,
+    scheduleRecurring,
+    scheduleJob,
+    runDueJobs,
+    startScheduler,
+    stopScheduler,
+    listJobs,
+    getJob,
+    rerunJob,
+    cancelJob
+};
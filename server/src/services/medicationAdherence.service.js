@@ -0,0 +1,602 @@
+import mongoose from "mongoose";
+import { MedicationSchedule } from "../models/medicationSchedule.model.js";
+import { DoseEvent } from "../models/doseEvent.model.js";
+import { Prescription } from "../models/prescription.model.js";
+import { Patient } from "../models/Patient.model.js";
+import { Medication } from "../models/monitoring.model.js";
+import { ApiError } from "../utils/ApiError.js";
+import { createNotification, deliverNotification, sendSMSNotification } from "../utils/notificationUtils.js";
+import { combineDateAndTime, minutesToTime, timeToMinutes, toDateKey } from "../utils/dateTimeUtils.js";
+import { parseDosesPerDay } from "./drugSafety.service.js";
+import careTeamService from "./careTeam.service.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Clock times doses are anchored to (server local time)
+const DOSE_SLOTS = {
+    morning: '08:00',
+    afternoon: '14:00',
+    night: '20:00',
+    bedtime: '21:00'
+};
+// "1-0-1" style frequencies: morning-afternoon-night, or with a fourth bedtime dose
+const PATTERN_SLOTS = {
+    3: ['08:00', '14:00', '20:00'],
+    4: ['08:00', '13:00', '18:00', '22:00']
+};
+const EVENLY_SPACED = {
+    1: [DOSE_SLOTS.morning],
+    2: [DOSE_SLOTS.morning, DOSE_SLOTS.night],
+    3: [DOSE_SLOTS.morning, DOSE_SLOTS.afternoon, DOSE_SLOTS.night],
+    4: ['08:00', '12:00', '16:00', '20:00']
+};
+// Medicines taken before food or on an empty stomach move half an hour earlier
+const BEFORE_FOOD_SHIFT_MINUTES = 30;
+
+const COURSE_UNIT_DAYS = { days: 1, weeks: 7, months: 30 };
+
+// A dose taken this long after it was due counts as late
+const LATE_AFTER_MINUTES = 60;
+// Doses can be recorded this early
+const EARLY_WINDOW_MINUTES = 120;
+// A dose nobody recorded becomes missed this long after it was due
+const MISSED_AFTER_MINUTES = 180;
+// Escalate once a medicine has this many missed doses inside the window…
+const ESCALATE_AFTER_MISSED = 2;
+const ESCALATION_WINDOW_HOURS = 48;
+// …and at most this often per medicine
+const ESCALATION_COOLDOWN_HOURS = 24;
+
+const SETTLED_STATUSES = ['taken', 'late', 'skipped', 'missed'];
+const PRESCRIPTION_STOP_STATUSES = ['cancelled', 'on-hold'];
+
+/**
+ * Local dose times ("08:00") for a prescribed frequency and timing
+ *
+ * As-needed and unrecognised frequencies get no fixed times.
+ */
+export const doseTimesFor = ({ frequency, timing } = {}) => {
+    const text = String(frequency || '').toLowerCase().trim();
+    if (timing === 'as-needed' || /\b(sos|prn|as needed|when required|if needed)\b/.test(text)) {
+        return { asNeeded: true, doseTimes: [] };
+    }
+
+    let times = null;
+    const pattern = text.match(/^\d+(?:\.\d+)?(?:\s*-\s*\d+(?:\.\d+)?){2,3}$/);
+    if (pattern) {
+        const parts = text.split('-').map(part => parseFloat(part));
+        times = PATTERN_SLOTS[parts.length].filter((_, index) => parts[index] > 0);
+    } else if (/\b(hs|at night|bedtime|nightly)\b/.test(text)) {
+        times = [DOSE_SLOTS.bedtime];
+    } else {
+        const hourly = text.match(/every\s+(\d+)\s*(?:hours?|hrs?|h)\b|\bq(\d+)h\b/);
+        const dosesPerDay = parseDosesPerDay(text);
+        if (hourly || (dosesPerDay && !EVENLY_SPACED[dosesPerDay])) {
+            const step = hourly ? parseInt(hourly[1] || hourly[2], 10) * 60 : Math.round(24 * 60 / dosesPerDay);
+            times = [];
+            for (let minutes = 0; minutes < 24 * 60 && step > 0; minutes += step) {
+                times.push(minutesToTime((timeToMinutes(DOSE_SLOTS.morning) + minutes) % (24 * 60)));
+            }
+        } else if (dosesPerDay) {
+            times = EVENLY_SPACED[dosesPerDay];
+        }
+    }
+
+    if (!times?.length) return { asNeeded: true, doseTimes: [] };
+
+    if (['before-food', 'empty-stomach'].includes(timing)) {
+        times = times.map(time => minutesToTime((timeToMinutes(time) - BEFORE_FOOD_SHIFT_MINUTES + 24 * 60) % (24 * 60)));
+    }
+    return { asNeeded: false, doseTimes: [...new Set(times)].sort() };
+};
+
+/**
+ * "08:00 AM" / "8:00 pm" / "20:00" -> "20:00"
+ */
+const to24Hour = (time) => {
+    const match = String(time || '').trim().match(/^(\d{1,2}):(\d{2})\s*(am|pm)?$/i);
+    if (!match) return null;
+
+    let hours = parseInt(match[1], 10) % 24;
+    const meridiem = match[3]?.toLowerCase();
+    if (meridiem === 'pm' && hours < 12) hours += 12;
+    if (meridiem === 'am' && hours === 12) hours = 0;
+    return `${String(hours).padStart(2, '0')}:${match[2]}`;
+};
+
+const startOfDay = (date) => {
+    const day = new Date(date);
+    day.setHours(0, 0, 0, 0);
+    return day;
+};
+
+const courseEnd = (startDate, duration = {}) => {
+    const days = (Number(duration.value) || 0) * (COURSE_UNIT_DAYS[duration.unit] || 1);
+    return new Date(new Date(startDate).getTime() + Math.max(days, 1) * DAY_MS);
+};
+
+/**
+ * Upsert the DoseEvents a schedule has in [from, to]; existing doses are untouched
+ */
+const planScheduleDoses = async (schedule, from, to) => {
+    if (schedule.asNeeded || !schedule.userId || !schedule.doseTimes.length) return 0;
+
+    const windowStart = new Date(Math.max(from.getTime(), schedule.startDate.getTime()));
+    const windowEnd = new Date(Math.min(to.getTime(), schedule.endDate.getTime()));
+    const operations = [];
+    for (let day = startOfDay(windowStart); day <= windowEnd; day = new Date(day.getTime() + DAY_MS)) {
+        for (const time of schedule.doseTimes) {
+            const scheduledFor = combineDateAndTime(day, time);
+            if (scheduledFor < windowStart || scheduledFor >= windowEnd) continue;
+
+            operations.push({
+                updateOne: {
+                    filter: { scheduleId: schedule._id, scheduledFor },
+                    update: {
+                        $setOnInsert: {
+                            patientId: schedule.patientId,
+                            userId: schedule.userId,
+                            prescriptionId: schedule.prescriptionId,
+                            medicationName: [schedule.medicationName, schedule.strength].filter(Boolean).join(' '),
+                            dosage: schedule.dosage,
+                            status: 'pending'
+                        }
+                    },
+                    upsert: true
+                }
+            });
+        }
+    }
+
+    if (!operations.length) return 0;
+    const result = await DoseEvent.bulkWrite(operations, { ordered: false });
+    return result.upsertedCount || 0;
+};
+
+/**
+ * Create (or refresh) the adherence schedules for a prescription's medicines
+ * and plan their first day of doses
+ */
+export const syncPrescriptionSchedules = async (prescriptionId) => {
+    const prescription = await Prescription.findById(prescriptionId);
+    if (!prescription) {
+        throw new ApiError(404, "Prescription not found");
+    }
+
+    const patient = await Patient.findById(prescription.patientId).select('user').lean();
+    const startDate = prescription.prescriptionDate || prescription.createdAt || new Date();
+    const stopped = PRESCRIPTION_STOP_STATUSES.includes(prescription.status);
+
+    const schedules = [];
+    for (const medication of prescription.medications) {
+        const { asNeeded, doseTimes } = doseTimesFor(medication);
+        const schedule = await MedicationSchedule.findOneAndUpdate(
+            { prescriptionId: prescription._id, prescriptionMedicationId: medication._id },
+            {
+                $set: {
+                    patientId: prescription.patientId,
+                    userId: patient?.user,
+                    doctorId: prescription.doctorId,
+                    medicationName: medication.medicationName,
+                    strength: medication.strength,
+                    dosage: medication.dosage,
+                    frequency: medication.frequency,
+                    timing: medication.timing,
+                    doseTimes,
+                    asNeeded,
+                    startDate,
+                    endDate: courseEnd(startDate, medication.duration),
+                    ...(stopped && { status: 'stopped' })
+                }
+            },
+            { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+        );
+        schedules.push(schedule);
+    }
+
+    const now = new Date();
+    for (const schedule of schedules.filter(schedule => schedule.status === 'active')) {
+        await planScheduleDoses(schedule, now, new Date(now.getTime() + DAY_MS));
+    }
+    return schedules;
+};
+
+/**
+ * Close schedules whose course ended or whose prescription was stopped, and
+ * plan doses due in the next `horizonHours` for the rest
+ */
+export const planUpcomingDoses = async ({ horizonHours = 24, userId } = {}) => {
+    const now = new Date();
+    const scope = userId ? { userId } : {};
+
+    const completed = await MedicationSchedule.updateMany(
+        { ...scope, status: 'active', endDate: { $lte: now } },
+        { $set: { status: 'completed' } }
+    );
+
+    const active = await MedicationSchedule.find({ ...scope, status: 'active', asNeeded: false });
+    const prescriptions = await Prescription.find({ _id: { $in: active.map(schedule => schedule.prescriptionId) } })
+        .select('status isDeleted')
+        .lean();
+    const prescriptionStatus = new Map(prescriptions
+        .filter(prescription => !prescription.isDeleted)
+        .map(prescription => [prescription._id.toString(), prescription.status]));
+
+    let stopped = 0;
+    let planned = 0;
+    const to = new Date(now.getTime() + horizonHours * 60 * 60 * 1000);
+    for (const schedule of active) {
+        const status = prescriptionStatus.get(schedule.prescriptionId.toString());
+        if (!status || PRESCRIPTION_STOP_STATUSES.includes(status) || status === 'completed') {
+            schedule.status = status === 'completed' ? 'completed' : 'stopped';
+            await schedule.save();
+            await DoseEvent.updateMany(
+                { scheduleId: schedule._id, status: 'pending', scheduledFor: { $gt: now } },
+                { $set: { status: 'skipped', skipReason: `Prescription ${status || 'removed'}` } }
+            );
+            stopped++;
+            continue;
+        }
+        planned += await planScheduleDoses(schedule, startOfDay(now), to);
+    }
+
+    return { planned, completed: completed.modifiedCount || 0, stopped };
+};
+
+/**
+ * Whether this user may record doses for the patient who owns `dose`
+ */
+const recorderSource = async (user, dose) => {
+    if (dose.userId.toString() === user._id.toString()) return 'patient';
+    if (user.role === 'admin') return 'staff';
+    if (['doctor', 'staff'].includes(user.role) && dose.patientId
+        && await careTeamService.hasAccess(user._id, dose.patientId)) {
+        return 'staff';
+    }
+    throw new ApiError(403, "You cannot record doses for this patient");
+};
+
+/**
+ * Record a dose as taken or skipped
+ *
+ * A dose taken more than LATE_AFTER_MINUTES after it was due is logged as
+ * late; a missed dose the patient later reports taking becomes late too.
+ *
+ * @param {string} doseId - DoseEvent id
+ * @param {Object} user - Patient (or care-team member recording for them)
+ * @param {Object} data
+ * @param {string} data.status - taken | skipped | pending (undo)
+ * @param {Date} data.takenAt - When it was taken, defaults to now
+ */
+export const recordDose = async (doseId, user, { status, takenAt, skipReason, note } = {}) => {
+    if (!['taken', 'skipped', 'pending'].includes(status)) {
+        throw new ApiError(400, "Status must be taken, skipped or pending");
+    }
+
+    const dose = mongoose.Types.ObjectId.isValid(doseId) ? await DoseEvent.findById(doseId) : null;
+    if (!dose) {
+        throw new ApiError(404, "Dose not found");
+    }
+    const source = await recorderSource(user, dose);
+
+    const now = new Date();
+    if (dose.scheduledFor.getTime() - now.getTime() > EARLY_WINDOW_MINUTES * 60 * 1000) {
+        throw new ApiError(400, "This dose isn't due yet");
+    }
+
+    if (status === 'taken') {
+        const at = takenAt ? new Date(takenAt) : now;
+        if (Number.isNaN(at.getTime()) || at > now) {
+            throw new ApiError(400, "takenAt must be a time in the past");
+        }
+        const lateBy = at.getTime() - dose.scheduledFor.getTime();
+        dose.status = lateBy > LATE_AFTER_MINUTES * 60 * 1000 ? 'late' : 'taken';
+        dose.takenAt = at;
+        dose.skipReason = undefined;
+    } else if (status === 'skipped') {
+        dose.status = 'skipped';
+        dose.takenAt = undefined;
+        dose.skipReason = skipReason;
+    } else {
+        // Undo: back to pending while it's still in time, otherwise it was missed
+        const overdue = now.getTime() - dose.scheduledFor.getTime() > MISSED_AFTER_MINUTES * 60 * 1000;
+        dose.status = overdue ? 'missed' : 'pending';
+        dose.takenAt = undefined;
+        dose.skipReason = undefined;
+    }
+    if (note !== undefined) dose.note = note;
+    dose.history.push({ status: dose.status, at: now, by: user._id, source });
+
+    await dose.save();
+    return dose;
+};
+
+/**
+ * Today's dose for a self-logged health monitor medicine, created on first use
+ */
+export const getMonitorDose = async (medication, day = new Date()) => {
+    const scheduledFor = combineDateAndTime(day, to24Hour(medication.time) || DOSE_SLOTS.morning);
+    return DoseEvent.findOneAndUpdate(
+        { medicationId: medication._id, scheduledFor },
+        {
+            $setOnInsert: {
+                userId: medication.userId,
+                medicationName: medication.name,
+                dosage: medication.dosage,
+                status: 'pending'
+            }
+        },
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+};
+
+/**
+ * Today's doses for a patient: prescription doses plus self-logged medicines
+ */
+export const getTodaysDoses = async (userId) => {
+    await planUpcomingDoses({ userId, horizonHours: 24 });
+
+    const dayStart = startOfDay(new Date());
+    const dayEnd = new Date(dayStart.getTime() + DAY_MS);
+    return DoseEvent.find({ userId, scheduleId: { $exists: true }, scheduledFor: { $gte: dayStart, $lt: dayEnd } })
+        .sort({ scheduledFor: 1 })
+        .lean();
+};
+
+/**
+ * Dose log for a patient, newest first
+ */
+export const getDoseLog = async (userId, { from, to, status, page = 1, limit = 50 } = {}) => {
+    const query = { userId };
+    if (from || to) {
+        query.scheduledFor = {};
+        if (from) query.scheduledFor.$gte = new Date(from);
+        if (to) query.scheduledFor.$lte = new Date(to);
+    }
+    if (status) query.status = status;
+
+    const pageNum = Math.max(parseInt(page, 10) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 200);
+    const [doses, total] = await Promise.all([
+        DoseEvent.find(query).sort({ scheduledFor: -1 }).skip((pageNum - 1) * pageSize).limit(pageSize).lean(),
+        DoseEvent.countDocuments(query)
+    ]);
+
+    return {
+        doses,
+        pagination: { page: pageNum, limit: pageSize, total, pages: Math.ceil(total / pageSize) }
+    };
+};
+
+const emptyTally = () => ({ expected: 0, taken: 0, late: 0, skipped: 0, missed: 0, adherence: null });
+
+const addToTally = (tally, status) => {
+    tally.expected++;
+    tally[status]++;
+};
+
+const finishTally = (tally) => ({
+    ...tally,
+    adherence: tally.expected ? Math.round(((tally.taken + tally.late) / tally.expected) * 100) : null
+});
+
+// Monday of the week `date` falls in, as a date key
+const weekKey = (date) => {
+    const day = startOfDay(date);
+    day.setDate(day.getDate() - ((day.getDay() + 6) % 7));
+    return toDateKey(day);
+};
+
+/**
+ * Adherence over the last `days`: overall, per medicine and per week
+ *
+ * Only settled doses count; adherence is the share taken (on time or late).
+ *
+ * @param {string} userId - Patient's user account
+ * @param {Object} options
+ * @param {number} options.days - Look-back window, 7 to 180 days
+ */
+export const getAdherenceSummary = async (userId, { days = 28 } = {}) => {
+    const windowDays = Math.min(Math.max(parseInt(days, 10) || 28, 7), 180);
+    const to = new Date();
+    const from = startOfDay(new Date(to.getTime() - (windowDays - 1) * DAY_MS));
+
+    const doses = await DoseEvent.find({
+        userId,
+        scheduledFor: { $gte: from, $lte: to },
+        status: { $in: SETTLED_STATUSES }
+    }).select('scheduleId medicationId prescriptionId medicationName scheduledFor status').lean();
+
+    const overall = emptyTally();
+    const medications = new Map();
+    const weeks = new Map();
+    for (const dose of doses) {
+        addToTally(overall, dose.status);
+
+        const key = (dose.scheduleId || dose.medicationId).toString();
+        if (!medications.has(key)) {
+            medications.set(key, {
+                scheduleId: dose.scheduleId,
+                medicationId: dose.medicationId,
+                prescriptionId: dose.prescriptionId,
+                medicationName: dose.medicationName,
+                ...emptyTally()
+            });
+        }
+        addToTally(medications.get(key), dose.status);
+
+        const week = weekKey(dose.scheduledFor);
+        if (!weeks.has(week)) weeks.set(week, { weekStart: week, ...emptyTally() });
+        addToTally(weeks.get(week), dose.status);
+    }
+
+    return {
+        from,
+        to,
+        overall: finishTally(overall),
+        medications: [...medications.values()].map(finishTally).sort((a, b) => (a.adherence ?? 101) - (b.adherence ?? 101)),
+        weeks: [...weeks.values()].map(finishTally).sort((a, b) => a.weekStart.localeCompare(b.weekStart))
+    };
+};
+
+/**
+ * Adherence for a Patient (id or user id), as shown to their doctors
+ */
+export const getPatientAdherence = async (patientIdOrUserId, options) => {
+    const patient = await Patient.findOne({ $or: [{ _id: patientIdOrUserId }, { user: patientIdOrUserId }] })
+        .select('user')
+        .lean();
+    if (!patient?.user) return null;
+
+    const [summary, activeSchedules] = await Promise.all([
+        getAdherenceSummary(patient.user, options),
+        MedicationSchedule.find({ patientId: patient._id, status: 'active' })
+            .select('prescriptionId medicationName strength dosage frequency doseTimes asNeeded endDate lastEscalatedAt')
+            .lean()
+    ]);
+    return { ...summary, activeSchedules };
+};
+
+/**
+ * Tell the prescribing doctor and the patient's primary emergency contact
+ * that doses are being missed
+ */
+const escalate = async (schedule, missedCount) => {
+    const patient = await Patient.findById(schedule.patientId)
+        .select('user emergencyContacts')
+        .populate('user', 'firstName lastName')
+        .lean();
+    const patientName = patient?.user ? `${patient.user.firstName} ${patient.user.lastName}` : 'Your patient';
+    const medicine = [schedule.medicationName, schedule.strength].filter(Boolean).join(' ');
+    const message = `${patientName} has missed ${missedCount} dose(s) of ${medicine} in the last ${ESCALATION_WINDOW_HOURS} hours.`;
+
+    if (schedule.doctorId) {
+        const notification = await createNotification({
+            recipientId: schedule.doctorId,
+            recipientType: 'doctor',
+            title: 'Missed doses',
+            message,
+            notificationType: 'alert',
+            category: 'missed-doses',
+            priority: 'high',
+            channels: ['in-app', 'email'],
+            metadata: { prescriptionId: schedule.prescriptionId, entityType: 'Patient', entityId: schedule.patientId }
+        });
+        await deliverNotification(notification);
+    }
+
+    if (patient?.user) {
+        await createNotification({
+            recipientId: patient.user._id,
+            recipientType: 'patient',
+            title: 'Missed doses',
+            message: `You have missed ${missedCount} dose(s) of ${medicine}. Your doctor has been informed.`,
+            notificationType: 'reminder',
+            category: 'missed-doses',
+            priority: 'high',
+            channels: ['in-app'],
+            metadata: { prescriptionId: schedule.prescriptionId }
+        });
+    }
+
+    const caregiver = patient?.emergencyContacts?.find(contact => contact.isPrimary) || patient?.emergencyContacts?.[0];
+    if (caregiver?.phone) {
+        try {
+            await sendSMSNotification(caregiver.phone, {
+                message: `${message} Please check in with them.`,
+                type: 'alert'
+            });
+        } catch (error) {
+            console.error(`⚠️ Missed-dose SMS to caregiver of patient ${schedule.patientId} failed:`, error.message);
+        }
+    }
+};
+
+/**
+ * Mark overdue doses as missed and escalate medicines with repeated misses
+ */
+export const processMissedDoses = async () => {
+    const now = new Date();
+    const cutoff = new Date(now.getTime() - MISSED_AFTER_MINUTES * 60 * 1000);
+
+    const overdue = await DoseEvent.find({ status: 'pending', scheduledFor: { $lte: cutoff } }).select('_id');
+    if (overdue.length) {
+        await DoseEvent.updateMany(
+            { _id: { $in: overdue.map(dose => dose._id) }, status: 'pending' },
+            {
+                $set: { status: 'missed' },
+                $push: { history: { status: 'missed', at: now, source: 'system' } }
+            }
+        );
+    }
+
+    const windowStart = new Date(now.getTime() - ESCALATION_WINDOW_HOURS * 60 * 60 * 1000);
+    const repeated = await DoseEvent.aggregate([
+        {
+            $match: {
+                status: 'missed',
+                scheduleId: { $exists: true },
+                escalatedAt: { $exists: false },
+                scheduledFor: { $gte: windowStart }
+            }
+        },
+        { $group: { _id: '$scheduleId', missed: { $sum: 1 } } },
+        { $match: { missed: { $gte: ESCALATE_AFTER_MISSED } } }
+    ]);
+
+    const cooldownStart = new Date(now.getTime() - ESCALATION_COOLDOWN_HOURS * 60 * 60 * 1000);
+    let escalated = 0;
+    for (const { _id: scheduleId, missed } of repeated) {
+        // Claim the schedule so overlapping runs escalate once
+        const schedule = await MedicationSchedule.findOneAndUpdate(
+            {
+                _id: scheduleId,
+                $or: [{ lastEscalatedAt: { $exists: false } }, { lastEscalatedAt: { $lte: cooldownStart } }]
+            },
+            { $set: { lastEscalatedAt: now } },
+            { new: true }
+        );
+        if (!schedule) continue;
+
+        try {
+            await escalate(schedule, missed);
+            await DoseEvent.updateMany(
+                { scheduleId, status: 'missed', escalatedAt: { $exists: false }, scheduledFor: { $gte: windowStart } },
+                { $set: { escalatedAt: now } }
+            );
+            escalated++;
+        } catch (error) {
+            console.error(`⚠️ Missed-dose escalation for schedule ${scheduleId} failed:`, error.message);
+        }
+    }
+
+    return { missed: overdue.length, escalated };
+};
+
+/**
+ * Health monitor medicines with today's dose status, for the monitoring page
+ */
+export const getMonitorMedications = async (userId) => {
+    const medications = await Medication.find({ userId }).sort({ time: 1 });
+    const doses = await Promise.all(medications.map(medication => getMonitorDose(medication)));
+    return medications.map((medication, index) => ({
+        ...medication.toObject(),
+        doseId: doses[index]._id,
+        status: doses[index].status,
+        taken: ['taken', 'late'].includes(doses[index].status)
+    }));
+};
+
+export default {
+    doseTimesFor,
+    syncPrescriptionSchedules,
+    planUpcomingDoses,
+    recordDose,
+    getMonitorDose,
+    getTodaysDoses,
+    getDoseLog,
+    getAdherenceSummary,
+    getPatientAdherence,
+    processMissedDoses,
+    getMonitorMedications
+};
@@ -0,0 +1,234 @@
+import mongoose from "mongoose";
+import { Medicine, substitutionGroupFor } from "../models/medicine.model.js";
+import { Pharmacy } from "../models/Pharmacy.model.js";
+import { PharmacyStock } from "../models/pharmacyStock.model.js";
+import { Prescription } from "../models/prescription.model.js";
+import { ApiError } from "../utils/ApiError.js";
+import { calculateDistance } from "../utils/doctor.utils.js";
+import { resolveMedication } from "./drugSafety.service.js";
+
+// Roles that may check substitution on any patient's prescription
+const PRESCRIPTION_REVIEWER_ROLES = ['admin', 'doctor', 'pharmacist'];
+
+const DEFAULT_RADIUS_KM = 10;
+const MAX_ALTERNATIVES = 20;
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+const normalizeName = (value) => String(value || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const catalogPrice = (medicine) => medicine.discountPrice ?? medicine.price;
+
+/**
+ * Strength written into a catalogue name ("Amoxicillin 500mg", "Augmentin 500 mg/125 mg")
+ */
+const strengthFromName = (name) =>
+    (String(name || '').match(/\d+(?:\.\d+)?\s*(?:mg|gm|g|mcg|µg|ml|iu|%)(?:\s*[/+]\s*\d+(?:\.\d+)?\s*(?:mg|gm|g|mcg|µg|ml|iu|%))*/i) || [])[0] || null;
+
+/**
+ * Pharmacies within radiusKm of a point, nearest first
+ *
+ * @returns {Query} - Pharmacy query, so callers can populate or select
+ */
+export const findNearbyPharmacies = (lat, lng, radiusKm = DEFAULT_RADIUS_KM) => Pharmacy.find({
+    location: {
+        $nearSphere: {
+            $geometry: {
+                type: "Point",
+                coordinates: [lng, lat]
+            },
+            $maxDistance: radiusKm * 1000 // Convert km to meters
+        }
+    }
+});
+
+/**
+ * Fill in a catalogue medicine's ingredients and strength from the drug
+ * knowledge base and its name, so it lands in a substitution group
+ *
+ * @returns {boolean} - Whether the medicine now has a substitution group
+ */
+export const classifyMedicine = async (medicine) => {
+    if (!medicine.activeIngredients?.length) {
+        medicine.activeIngredients = resolveMedication({ name: medicine.name }).ingredients;
+    }
+    if (!medicine.strength) {
+        medicine.strength = strengthFromName(medicine.name) || undefined;
+    }
+
+    if (medicine.isModified()) {
+        await medicine.save();
+    }
+    return Boolean(medicine.substitutionGroup);
+};
+
+/**
+ * Classify catalogue medicines that have no substitution group yet
+ */
+export const classifyCatalogue = async ({ limit = 500 } = {}) => {
+    const medicines = await Medicine.find({ substitutionGroup: null }).limit(limit);
+
+    let grouped = 0;
+    for (const medicine of medicines) {
+        if (await classifyMedicine(medicine)) grouped++;
+    }
+    return { checked: medicines.length, grouped };
+};
+
+/**
+ * Substitution group of a prescribed medicine, or null when it can't be told
+ */
+export const prescribedSubstitutionGroup = (medication) => substitutionGroupFor({
+    activeIngredients: resolveMedication(medication).ingredients,
+    strength: medication.strength,
+    form: medication.form
+});
+
+/**
+ * Whether a prescription lets this medicine be swapped for a generic
+ *
+ * Patients can only ask about their own prescriptions.
+ */
+const substitutionAllowedOn = async (prescriptionId, medicine, user) => {
+    const prescription = mongoose.Types.ObjectId.isValid(prescriptionId)
+        ? await Prescription.findById(prescriptionId).select('patientId medications').lean()
+        : null;
+    const ownsPrescription = prescription && user?.patientId
+        && prescription.patientId.toString() === user.patientId.toString();
+    if (!prescription || !(ownsPrescription || PRESCRIPTION_REVIEWER_ROLES.includes(user?.role))) {
+        throw new ApiError(404, "Prescription not found");
+    }
+
+    const name = normalizeName(medicine.name);
+    const item = prescription.medications.find(medication =>
+        medication.noSubstitution && [medication.medicationName, medication.genericName]
+            .map(normalizeName)
+            .some(candidate => candidate && (name.includes(candidate) || candidate.includes(name)))
+    );
+    return !item;
+};
+
+/**
+ * Therapeutically equivalent medicines and where to buy them nearby
+ *
+ * Alternatives share the medicine's active ingredients, strength and form,
+ * cheapest first. Pharmacies are those near lat/lng (or every pharmacy when
+ * no location is given) with any of the group in stock, each at its own
+ * price when it sets one.
+ *
+ * @param {string} medicineId - Catalogue medicine
+ * @param {Object} options
+ * @param {number} options.lat - Shopper latitude
+ * @param {number} options.lng - Shopper longitude
+ * @param {number} options.radius - Search radius in km
+ * @param {string} options.prescriptionId - Prescription the medicine is for; a "no substitution" item leaves only the medicine itself
+ * @param {Object} options.user - Requesting user
+ */
+export const getSubstitutes = async (medicineId, { lat, lng, radius, prescriptionId, user } = {}) => {
+    const medicine = mongoose.Types.ObjectId.isValid(medicineId) ? await Medicine.findById(medicineId) : null;
+    if (!medicine) {
+        throw new ApiError(404, "Medicine not found");
+    }
+    if (!medicine.substitutionGroup) {
+        await classifyMedicine(medicine);
+    }
+
+    const substitutionAllowed = prescriptionId
+        ? await substitutionAllowedOn(prescriptionId, medicine, user)
+        : true;
+
+    const group = substitutionAllowed && medicine.substitutionGroup
+        ? await Medicine.find({ substitutionGroup: medicine.substitutionGroup })
+            .select('name brand category price discountPrice strength form packaging requiresPrescription activeIngredients image')
+            .lean()
+        : [medicine.toObject()];
+
+    const basePrice = catalogPrice(medicine);
+    const withSavings = (candidate, price = catalogPrice(candidate)) => ({
+        ...candidate,
+        mrp: candidate.price,
+        price,
+        savings: roundMoney(basePrice - price),
+        savingsPercent: basePrice > 0 ? Math.round((basePrice - price) / basePrice * 100) : 0
+    });
+
+    const alternatives = group
+        .filter(candidate => candidate._id.toString() !== medicine._id.toString())
+        .map(candidate => withSavings(candidate))
+        .sort((a, b) => a.price - b.price)
+        .slice(0, MAX_ALTERNATIVES);
+
+    const latitude = parseFloat(lat);
+    const longitude = parseFloat(lng);
+    const hasLocation = !isNaN(latitude) && !isNaN(longitude);
+    const pharmacies = hasLocation
+        ? await findNearbyPharmacies(latitude, longitude, parseFloat(radius) || DEFAULT_RADIUS_KM)
+            .select('pharmacyName address latitude longitude openNow deliveryAvailable rating')
+            .lean()
+        : null;
+
+    const stockQuery = { medicineId: { $in: group.map(candidate => candidate._id) } };
+    if (pharmacies) stockQuery.pharmacyId = { $in: pharmacies.map(pharmacy => pharmacy._id) };
+    const rows = (await PharmacyStock.find(stockQuery).select('pharmacyId medicineId batches reserved sellingPrice'))
+        .filter(row => row.available > 0);
+
+    const pharmacyInfo = new Map((pharmacies || await Pharmacy.find({ _id: { $in: rows.map(row => row.pharmacyId) } })
+        .select('pharmacyName address latitude longitude openNow deliveryAvailable rating')
+        .lean()
+    ).map(pharmacy => [pharmacy._id.toString(), pharmacy]));
+    const byId = new Map(group.map(candidate => [candidate._id.toString(), candidate]));
+
+    const offers = new Map();
+    for (const row of rows) {
+        const pharmacy = pharmacyInfo.get(row.pharmacyId.toString());
+        const candidate = byId.get(row.medicineId.toString());
+        if (!pharmacy || !candidate) continue;
+
+        if (!offers.has(row.pharmacyId.toString())) {
+            offers.set(row.pharmacyId.toString(), {
+                pharmacyId: pharmacy._id,
+                pharmacyName: pharmacy.pharmacyName,
+                address: pharmacy.address,
+                openNow: pharmacy.openNow,
+                deliveryAvailable: pharmacy.deliveryAvailable,
+                rating: pharmacy.rating,
+                distanceKm: hasLocation
+                    ? roundMoney(calculateDistance(latitude, longitude, pharmacy.latitude, pharmacy.longitude))
+                    : null,
+                options: []
+            });
+        }
+        // Same MRP cap as checkout (see pharmacyCart.service.js)
+        const price = row.sellingPrice !== null && row.sellingPrice !== undefined
+            ? Math.min(row.sellingPrice, candidate.price)
+            : catalogPrice(candidate);
+        offers.get(row.pharmacyId.toString()).options.push({
+            ...withSavings(candidate, price),
+            medicineId: candidate._id,
+            available: row.available
+        });
+    }
+
+    const pharmacyOffers = [...offers.values()]
+        .map(offer => {
+            offer.options.sort((a, b) => a.price - b.price);
+            return { ...offer, lowestPrice: offer.options[0].price };
+        })
+        .sort((a, b) => a.lowestPrice - b.lowestPrice || (a.distanceKm ?? 0) - (b.distanceKm ?? 0));
+
+    return {
+        medicine: withSavings(medicine.toObject()),
+        substitutionGroup: medicine.substitutionGroup,
+        substitutionAllowed,
+        alternatives: substitutionAllowed ? alternatives : [],
+        pharmacies: pharmacyOffers
+    };
+};
+
+export default {
+    findNearbyPharmacies,
+    classifyMedicine,
+    classifyCatalogue,
+    prescribedSubstitutionGroup,
+    getSubstitutes
+};
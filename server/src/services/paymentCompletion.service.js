@@ -0,0 +1,164 @@
+import { Payment } from "../models/payment.model.js";
+import { Appointment } from "../models/appointment.model.js";
+import slotReservationService from "./slotReservation.service.js";
+import pharmacyOrderService from "./pharmacyOrder.service.js";
+import invoiceService from "./invoice.service.js";
+import walletService from "./wallet.service.js";
+import healthPackageService from "./healthPackage.service.js";
+
+// Statuses a payment has once the gateway has its money
+export const SETTLED_PAYMENT_STATUSES = ['completed', 'partially-refunded', 'refunded'];
+
+// Slack for sums of rupee amounts kept as floating point
+const MONEY_EPSILON = 0.005;
+
+// A capture arriving for a payment in one of these completes it; a failed
+// attempt can be followed by a successful one on the same order
+const CAPTURABLE_STATUSES = ['pending', 'processing', 'failed', 'on-hold'];
+
+/**
+ * Whether we know the money for a payment was actually taken: captured by
+ * Razorpay (its payment id is only stored once the signature or webhook has
+ * been verified) or debited from the wallet
+ */
+export const hasGatewayEvidence = (payment) =>
+    payment.paymentGateway === 'wallet' ||
+    (payment.paymentGateway === 'razorpay' && Boolean(payment.transactionId));
+
+/**
+ * Everything a completed payment sets off: the appointment or pharmacy order
+ * it paid for, the slot hold it secured, the wallet top-up or health package
+ * it bought, and its invoice
+ *
+ * @param {Document} payment - Payment just marked completed
+ * @returns {Object} - { slotHold, invoice }
+ */
+export const completePayment = async (payment) => {
+    if (payment.appointmentId) {
+        await Appointment.findByIdAndUpdate(payment.appointmentId, {
+            paymentStatus: 'paid',
+            paidAt: new Date(),
+        });
+    }
+
+    // Paid consultation checkout: keep the slot hold alive until the booking is made
+    let slotHold = null;
+    if (payment.metadata?.holdId) {
+        const active = await slotReservationService.extendHold(payment.metadata.holdId);
+        slotHold = { holdId: payment.metadata.holdId, active };
+        if (!active) {
+            console.warn(`⚠️ Slot hold ${payment.metadata.holdId} lapsed before payment ${payment._id} was confirmed`);
+        }
+    }
+
+    // Stock is committed to a pharmacy order only for money actually received
+    if (payment.serviceType === 'pharmacy') {
+        if (hasGatewayEvidence(payment)) {
+            await pharmacyOrderService.markOrderPaid(payment.gatewayReference);
+        } else {
+            console.warn(`⚠️ Pharmacy payment ${payment._id} has no gateway record; order left unpaid`);
+        }
+    }
+    // Wallet money is only ever created from a verified Razorpay capture
+    if (payment.serviceType === 'wallet-topup') {
+        if (payment.paymentGateway === 'razorpay' && payment.transactionId) {
+            await walletService.creditTopUp(payment);
+        } else {
+            console.warn(`⚠️ Top-up ${payment._id} was not captured by Razorpay; wallet not credited`);
+        }
+    }
+    if (payment.serviceType === 'health-package') {
+        if (hasGatewayEvidence(payment)) {
+            await healthPackageService.activatePurchase(payment);
+        } else {
+            console.warn(`⚠️ Package payment ${payment._id} has no gateway record; package not activated`);
+        }
+    }
+
+    // The payment stands even if invoicing fails; the invoice backfill job raises it later
+    const invoice = await invoiceService.invoiceForPayment(payment).catch((error) => {
+        console.error(`Invoicing payment ${payment._id} failed:`, error);
+        return null;
+    });
+
+    return { slotHold, invoice };
+};
+
+/**
+ * Record that the gateway captured the money for an order
+ *
+ * The customer's browser (confirmPayment) and the gateway (payment.captured
+ * webhook) both report a capture, in either order and possibly more than
+ * once. Whichever report moves the payment to completed runs its follow-up;
+ * later reports find it completed and change nothing.
+ *
+ * A capture for a different amount than the payment is for completes
+ * nothing; the caller reports it as amountMismatch.
+ *
+ * @param {Object} capture - { orderId, gatewayPaymentId, capturedAmount, set } - capturedAmount in
+ *        rupees as the gateway reports it; set: extra payment fields to store
+ * @returns {Object} - { payment, captured, amountMismatch, slotHold, invoice }; payment is null for an unknown order
+ */
+export const captureGatewayPayment = async ({ orderId, gatewayPaymentId, capturedAmount, set = {} }) => {
+    const existing = await Payment.findOne({ gatewayReference: orderId });
+    if (!existing) return { payment: null, captured: false };
+    if (!CAPTURABLE_STATUSES.includes(existing.status)) {
+        return { payment: existing, captured: false };
+    }
+    if (capturedAmount !== undefined && Math.abs(capturedAmount - existing.amount) >= MONEY_EPSILON) {
+        return { payment: existing, captured: false, amountMismatch: true };
+    }
+
+    const payment = await Payment.findOneAndUpdate(
+        { _id: existing._id, status: { $in: CAPTURABLE_STATUSES } },
+        {
+            $set: {
+                ...set,
+                status: 'completed',
+                transactionId: gatewayPaymentId,
+                gatewayTransactionId: gatewayPaymentId,
+                completedAt: new Date()
+            },
+            $unset: { failure: 1 }
+        },
+        { new: true }
+    );
+    if (!payment) {
+        return { payment: await Payment.findById(existing._id), captured: false };
+    }
+
+    const { slotHold, invoice } = await completePayment(payment);
+    return { payment, captured: true, slotHold, invoice };
+};
+
+/**
+ * Record a failed payment attempt on an order
+ *
+ * Only a payment still waiting is marked failed: a failure reported after
+ * the order was paid (an earlier attempt, or a late event) is stale.
+ *
+ * @param {Object} failure - { orderId, gatewayPaymentId, reason, code }
+ * @returns {Object} - { payment, failed }
+ */
+export const failGatewayPayment = async ({ orderId, gatewayPaymentId, reason, code }) => {
+    const payment = await Payment.findOneAndUpdate(
+        { gatewayReference: orderId, status: { $in: ['pending', 'processing'] } },
+        {
+            $set: {
+                status: 'failed',
+                failedAt: new Date(),
+                failure: { reason, code, message: `Gateway payment ${gatewayPaymentId} failed` }
+            }
+        },
+        { new: true }
+    );
+    if (payment) return { payment, failed: true };
+    return { payment: await Payment.findOne({ gatewayReference: orderId }), failed: false };
+};
+
+export default {
+    hasGatewayEvidence,
+    completePayment,
+    captureGatewayPayment,
+    failGatewayPayment
+};
@@ -0,0 +1,396 @@
+import fs from "fs";
+import { Payment } from "../models/payment.model.js";
+import { Refund } from "../models/refund.model.js";
+import { User } from "../models/User.model.js";
+import { SettlementEntry } from "../models/settlementEntry.model.js";
+import { PaymentDiscrepancy, DISCREPANCY_KINDS } from "../models/paymentDiscrepancy.model.js";
+import { ApiError } from "../utils/ApiError.js";
+import { createNotification } from "../utils/notificationUtils.js";
+import { normalizeSettlementRow, parseSettlementCsv } from "../utils/settlementUtils.js";
+import { SETTLED_PAYMENT_STATUSES } from "./paymentCompletion.service.js";
+
+// Slack for sums of rupee amounts kept as floating point
+const MONEY_EPSILON = 0.005;
+
+const RECONCILE_BATCH = 1000;
+
+// Differences a settlement report line can show, as opposed to our own missing settlements
+const ENTRY_KINDS = DISCREPANCY_KINDS.filter(kind => kind !== 'unsettled-payment');
+
+const numberFromEnv = (name, fallback) => {
+    const value = parseFloat(process.env[name]);
+    return Number.isFinite(value) && value >= 0 ? value : fallback;
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Days Razorpay takes to settle a captured payment (T+2, with slack), and
+ * how far back our payments are checked for a settlement
+ */
+const reconciliationWindow = () => ({
+    lagDays: numberFromEnv('PAYMENT_SETTLEMENT_LAG_DAYS', 4),
+    lookbackDays: numberFromEnv('PAYMENT_RECONCILIATION_LOOKBACK_DAYS', 30)
+});
+
+const differs = (a, b) => Math.abs((a || 0) - (b || 0)) >= MONEY_EPSILON;
+
+const definedFields = (fields) => Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== undefined));
+
+/**
+ * Compare one settled payment line with our payment for it
+ *
+ * @returns {Object} - { paymentId, issues: [{ kind, expectedAmount, reportedAmount, detail }] }
+ */
+const checkPaymentEntry = async (entry) => {
+    const payment = await Payment.findOne({
+        $or: [
+            { transactionId: entry.entityId },
+            { gatewayTransactionId: entry.entityId },
+            ...(entry.orderId ? [{ gatewayReference: entry.orderId }] : [])
+        ]
+    }).select('amount status').lean();
+
+    if (!payment) {
+        return {
+            issues: [{ kind: 'missing-payment', reportedAmount: entry.amount, detail: `Razorpay settled ${entry.entityId} but no payment records it` }]
+        };
+    }
+
+    const issues = [];
+    if (differs(payment.amount, entry.amount)) {
+        issues.push({
+            kind: 'amount-mismatch',
+            expectedAmount: payment.amount,
+            reportedAmount: entry.amount,
+            detail: `Settled ₹${entry.amount}, payment is for ₹${payment.amount}`
+        });
+    }
+    if (!SETTLED_PAYMENT_STATUSES.includes(payment.status)) {
+        issues.push({
+            kind: 'status-mismatch',
+            expectedAmount: payment.amount,
+            reportedAmount: entry.amount,
+            detail: `Settled by Razorpay, but the payment is ${payment.status} here`
+        });
+    }
+    return { paymentId: payment._id, issues };
+};
+
+/**
+ * Compare one settled refund line with our refund for it
+ */
+const checkRefundEntry = async (entry) => {
+    const refund = await Refund.findOne({ gatewayRefundId: entry.entityId }).select('amount paymentId').lean();
+    if (!refund) {
+        return {
+            issues: [{ kind: 'missing-refund', reportedAmount: entry.amount, detail: `Razorpay settled refund ${entry.entityId} but no refund records it` }]
+        };
+    }
+
+    const issues = [];
+    if (differs(refund.amount, entry.amount)) {
+        issues.push({
+            kind: 'refund-amount-mismatch',
+            expectedAmount: refund.amount,
+            reportedAmount: entry.amount,
+            detail: `Refunded ₹${entry.amount} by Razorpay, ₹${refund.amount} here`
+        });
+    }
+    return { paymentId: refund.paymentId, refundId: refund._id, issues };
+};
+
+/**
+ * Record a difference; one record per kind and gateway id across runs
+ *
+ * @returns {boolean} - Whether this is the first time it was seen
+ */
+const raiseDiscrepancy = async ({ kind, gatewayEntityId, ...fields }, detectedAt) => {
+    const result = await PaymentDiscrepancy.updateOne(
+        { kind, gatewayEntityId },
+        {
+            $setOnInsert: { status: 'open', firstDetectedAt: detectedAt },
+            $set: { ...definedFields(fields), lastDetectedAt: detectedAt }
+        },
+        { upsert: true }
+    );
+    return result.upsertedCount > 0;
+};
+
+// Differences a later run no longer finds close themselves
+const clearDiscrepancies = (gatewayEntityId, kinds, clearedAt) => {
+    if (!kinds.length) return null;
+    return PaymentDiscrepancy.updateMany(
+        { gatewayEntityId, kind: { $in: kinds }, status: 'open' },
+        { $set: { status: 'resolved', resolvedAt: clearedAt, resolutionNote: 'No longer found by reconciliation' } }
+    );
+};
+
+const notifyAdmins = async (newCount) => {
+    try {
+        const admins = await User.find({ role: 'admin', isActive: true }).select('_id').lean();
+        for (const admin of admins) {
+            await createNotification({
+                recipientId: admin._id,
+                recipientType: 'admin',
+                title: 'Payment discrepancies need review',
+                message: `${newCount} new difference${newCount === 1 ? '' : 's'} between our payments and what Razorpay reports need review.`,
+                notificationType: 'billing',
+                category: 'payment-reconciliation',
+                priority: 'high',
+                channels: ['in-app'],
+                metadata: { entityType: 'PaymentDiscrepancy' }
+            });
+        }
+    } catch (error) {
+        // The discrepancies stand; the admin list still shows them
+        console.error("⚠️ Reconciliation notification failed:", error.message);
+    }
+};
+
+/**
+ * Record a difference found outside a reconciliation run, such as a capture
+ * for the wrong amount, and tell admins the first time it is seen
+ *
+ * @param {Object} discrepancy - { kind, gatewayEntityId, paymentId, expectedAmount, reportedAmount, detail }
+ * @returns {boolean} - Whether it is new
+ */
+export const flagDiscrepancy = async (discrepancy) => {
+    const isNew = await raiseDiscrepancy(discrepancy, new Date());
+    if (isNew) await notifyAdmins(1);
+    return isNew;
+};
+
+/**
+ * Compare our payment records with the imported settlement report
+ *
+ * Settlement lines not yet matched are checked against our payments and
+ * refunds, and our completed Razorpay payments old enough to have been
+ * settled are checked for a settlement line. Differences are recorded as
+ * discrepancies for admins; ones that have since gone away are closed.
+ *
+ * @param {Object} options - { notify } - Tell admins about new discrepancies (default true)
+ * @returns {Object} - { checkedEntries, matched, mismatched, checkedPayments, unsettled, newDiscrepancies, openDiscrepancies }
+ */
+export const reconcilePayments = async ({ notify = true } = {}) => {
+    const now = new Date();
+    let matched = 0;
+    let mismatched = 0;
+    let newDiscrepancies = 0;
+
+    const entries = await SettlementEntry.find({
+        entityType: { $in: ['payment', 'refund'] },
+        'reconciliation.status': { $ne: 'matched' }
+    }).limit(RECONCILE_BATCH);
+
+    for (const entry of entries) {
+        const { paymentId, refundId, issues } = entry.entityType === 'payment'
+            ? await checkPaymentEntry(entry)
+            : await checkRefundEntry(entry);
+
+        for (const issue of issues) {
+            const isNew = await raiseDiscrepancy({
+                ...issue,
+                gatewayEntityId: entry.entityId,
+                paymentId,
+                refundId,
+                settlementEntryId: entry._id
+            }, now);
+            if (isNew) newDiscrepancies++;
+        }
+        const found = issues.map(issue => issue.kind);
+        await clearDiscrepancies(entry.entityId, ENTRY_KINDS.filter(kind => !found.includes(kind)), now);
+
+        entry.reconciliation = { status: issues.length ? 'mismatched' : 'matched', paymentId, refundId, checkedAt: now };
+        await entry.save();
+        if (issues.length) mismatched++;
+        else matched++;
+    }
+
+    // Our side: captured payments the report should already include. Only
+    // payments from before the latest reported transaction count, so an
+    // out-of-date import doesn't flag everything since.
+    let checkedPayments = 0;
+    let unsettled = 0;
+    const latest = await SettlementEntry.findOne({ entityType: 'payment', transactionAt: { $ne: null } })
+        .sort({ transactionAt: -1 })
+        .select('transactionAt')
+        .lean();
+    if (latest) {
+        const { lagDays, lookbackDays } = reconciliationWindow();
+        const cutoff = new Date(Math.min(now.getTime() - lagDays * DAY_MS, latest.transactionAt.getTime()));
+        const payments = await Payment.find({
+            paymentGateway: 'razorpay',
+            status: { $in: SETTLED_PAYMENT_STATUSES },
+            transactionId: { $exists: true },
+            completedAt: { $gte: new Date(now.getTime() - lookbackDays * DAY_MS), $lte: cutoff }
+        })
+            .select('amount transactionId completedAt')
+            .limit(RECONCILE_BATCH)
+            .lean();
+
+        const settledIds = new Set((await SettlementEntry.find({
+            entityType: 'payment',
+            entityId: { $in: payments.map(payment => payment.transactionId) }
+        }).select('entityId').lean()).map(entry => entry.entityId));
+
+        for (const payment of payments) {
+            checkedPayments++;
+            if (settledIds.has(payment.transactionId)) {
+                await clearDiscrepancies(payment.transactionId, ['unsettled-payment'], now);
+                continue;
+            }
+            unsettled++;
+            const isNew = await raiseDiscrepancy({
+                kind: 'unsettled-payment',
+                gatewayEntityId: payment.transactionId,
+                paymentId: payment._id,
+                expectedAmount: payment.amount,
+                detail: `Captured ${payment.completedAt.toDateString()} but missing from the settlement report`
+            }, now);
+            if (isNew) newDiscrepancies++;
+        }
+    }
+
+    if (notify && newDiscrepancies > 0) {
+        await notifyAdmins(newDiscrepancies);
+    }
+
+    return {
+        checkedEntries: entries.length,
+        matched,
+        mismatched,
+        checkedPayments,
+        unsettled,
+        newDiscrepancies,
+        openDiscrepancies: await PaymentDiscrepancy.countDocuments({ status: 'open' })
+    };
+};
+
+/**
+ * Import a Razorpay settlement report and reconcile against it
+ *
+ * Lines already imported are skipped, so overlapping reports can be
+ * imported safely.
+ *
+ * @param {Object} source - { file } (multer upload of a CSV) or { rows } (JSON rows)
+ * @param {Object} user - Admin importing
+ * @returns {Object} - { fileName, total, inserted, duplicates, skipped, reconciliation }
+ */
+export const importSettlementReport = async ({ file, rows }, user) => {
+    let lines;
+    if (file) {
+        // The upload is only needed long enough to read; financial reports don't linger on disk
+        try {
+            lines = parseSettlementCsv(await fs.promises.readFile(file.path, 'utf8'));
+        } finally {
+            await fs.promises.unlink(file.path).catch(() => {});
+        }
+    } else if (Array.isArray(rows)) {
+        lines = rows.map(normalizeSettlementRow);
+    } else {
+        throw new ApiError(400, "Upload a settlement report CSV file or send its rows");
+    }
+    if (!lines.length) {
+        throw new ApiError(400, "Settlement report has no rows");
+    }
+
+    const fileName = file?.originalname;
+    const importBatch = { fileName, importedAt: new Date(), importedBy: user._id };
+    let inserted = 0;
+    let duplicates = 0;
+    const skipped = [];
+
+    for (const [index, line] of lines.entries()) {
+        const { entityId, entityType, ...fields } = line;
+        if (!entityId || fields.amount === undefined) {
+            skipped.push({ row: index + 1, reason: 'Missing entity id or amount' });
+            continue;
+        }
+        const result = await SettlementEntry.updateOne(
+            { gateway: 'razorpay', entityType, entityId },
+            { $setOnInsert: { ...definedFields(fields), importBatch } },
+            { upsert: true }
+        );
+        if (result.upsertedCount) inserted++;
+        else duplicates++;
+    }
+
+    const reconciliation = await reconcilePayments();
+    return { fileName, total: lines.length, inserted, duplicates, skipped, reconciliation };
+};
+
+/**
+ * Discrepancies for the admin view, newest first, with a summary of what
+ * is open and of the imported settlement lines
+ *
+ * @param {Object} filters - { status, kind, page, limit }
+ */
+export const listDiscrepancies = async ({ status = 'open', kind, page = 1, limit = 20 } = {}) => {
+    const query = {};
+    if (status && status !== 'all') query.status = status;
+    if (kind) {
+        if (!DISCREPANCY_KINDS.includes(kind)) {
+            throw new ApiError(400, `Kind must be one of: ${DISCREPANCY_KINDS.join(', ')}`);
+        }
+        query.kind = kind;
+    }
+
+    const pageNum = Math.max(parseInt(page, 10) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
+    const [discrepancies, total, openByKind, entriesByStatus, lastImport] = await Promise.all([
+        PaymentDiscrepancy.find(query)
+            .populate('paymentId', 'amount status serviceType transactionId gatewayReference completedAt')
+            .populate('settlementEntryId', 'settlementId settlementUtr settledAt')
+            .populate('resolvedBy', 'firstName lastName')
+            .sort({ lastDetectedAt: -1 })
+            .skip((pageNum - 1) * limitNum)
+            .limit(limitNum)
+            .lean(),
+        PaymentDiscrepancy.countDocuments(query),
+        PaymentDiscrepancy.aggregate([
+            { $match: { status: 'open' } },
+            { $group: { _id: '$kind', count: { $sum: 1 } } }
+        ]),
+        SettlementEntry.aggregate([
+            { $group: { _id: '$reconciliation.status', count: { $sum: 1 } } }
+        ]),
+        SettlementEntry.findOne().sort({ 'importBatch.importedAt': -1 }).select('importBatch').lean()
+    ]);
+
+    return {
+        discrepancies,
+        summary: {
+            openByKind: Object.fromEntries(openByKind.map(row => [row._id, row.count])),
+            settlementEntries: Object.fromEntries(entriesByStatus.map(row => [row._id, row.count])),
+            lastImport: lastImport?.importBatch || null
+        },
+        pagination: { page: pageNum, limit: limitNum, total, pages: Math.ceil(total / limitNum) }
+    };
+};
+
+/**
+ * Close a discrepancy once an admin has dealt with it
+ */
+export const resolveDiscrepancy = async (discrepancyId, { note }, user) => {
+    if (!note?.trim()) throw new ApiError(400, "Say how the discrepancy was resolved");
+
+    const discrepancy = await PaymentDiscrepancy.findOneAndUpdate(
+        { _id: discrepancyId, status: 'open' },
+        { $set: { status: 'resolved', resolvedAt: new Date(), resolvedBy: user._id, resolutionNote: note.trim() } },
+        { new: true }
+    );
+    if (!discrepancy) {
+        const exists = await PaymentDiscrepancy.exists({ _id: discrepancyId });
+        throw new ApiError(exists ? 400 : 404, exists ? "Discrepancy is already resolved" : "Discrepancy not found");
+    }
+    return discrepancy;
+};
+
+export default {
+    flagDiscrepancy,
+    reconcilePayments,
+    importSettlementReport,
+    listDiscrepancies,
+    resolveDiscrepancy
+};
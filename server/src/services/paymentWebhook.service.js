@@ -0,0 +1,265 @@
+import crypto from "crypto";
+import { WebhookEvent, WEBHOOK_EVENT_STATUSES } from "../models/webhookEvent.model.js";
+import { ApiError } from "../utils/ApiError.js";
+import paymentCompletionService from "./paymentCompletion.service.js";
+import paymentReconciliationService from "./paymentReconciliation.service.js";
+
+// Deliveries we retry ourselves before leaving an event for an admin
+const MAX_ATTEMPTS = 8;
+
+// An event still marked processing after this long was interrupted
+const STALE_PROCESSING_MS = 5 * 60 * 1000;
+
+const RETRY_BATCH = 100;
+
+// Wait 1, 2, 4 … minutes between attempts, at most six hours
+const retryDelayMs = (attempts) => Math.min(2 ** (attempts - 1), 360) * 60 * 1000;
+
+/**
+ * Check a Razorpay webhook signature: an HMAC of the raw body with the
+ * webhook secret set in the Razorpay dashboard
+ */
+const verifyRazorpayWebhookSignature = (rawBody, signature) => {
+    const secret = process.env.RAZORPAY_WEBHOOK_SECRET || process.env.RAZORPAY_KEY_SECRET;
+    if (!secret) {
+        throw new ApiError(500, "Razorpay webhook secret is not configured");
+    }
+    if (!signature) return false;
+
+    const expected = crypto.createHmac('sha256', secret).update(rawBody).digest('hex');
+    const received = Buffer.from(String(signature));
+    return received.length === expected.length && crypto.timingSafeEqual(received, Buffer.from(expected));
+};
+
+const paymentEntity = (payload) => payload?.payment?.entity || {};
+
+/**
+ * Handlers by Razorpay event type; each is safe to run more than once and
+ * in any order relative to the others and to confirmPayment
+ *
+ * A handler returns { outcome, paymentId }, or throws to have the event
+ * retried later.
+ */
+const RAZORPAY_HANDLERS = {
+    'payment.captured': async (payload) => {
+        const entity = paymentEntity(payload);
+        const capturedAmount = Number.isFinite(entity.amount) ? entity.amount / 100 : undefined;
+        const { payment, captured, amountMismatch } = await paymentCompletionService.captureGatewayPayment({
+            orderId: entity.order_id,
+            gatewayPaymentId: entity.id,
+            capturedAmount
+        });
+        // The order may not be recorded yet when the event overtakes checkout
+        if (!payment) throw new Error(`No payment for Razorpay order ${entity.order_id}`);
+        if (amountMismatch) {
+            await paymentReconciliationService.flagDiscrepancy({
+                kind: 'amount-mismatch',
+                gatewayEntityId: entity.id,
+                paymentId: payment._id,
+                expectedAmount: payment.amount,
+                reportedAmount: capturedAmount,
+                detail: `Razorpay captured ₹${capturedAmount} for a ₹${payment.amount} payment`
+            });
+            return { outcome: 'amount-mismatch', paymentId: payment._id };
+        }
+        return { outcome: captured ? 'captured' : `already-${payment.status}`, paymentId: payment._id };
+    },
+
+    'order.paid': async (payload) => RAZORPAY_HANDLERS['payment.captured'](payload),
+
+    'payment.failed': async (payload) => {
+        const entity = paymentEntity(payload);
+        const { payment, failed } = await paymentCompletionService.failGatewayPayment({
+            orderId: entity.order_id,
+            gatewayPaymentId: entity.id,
+            reason: entity.error_description,
+            code: entity.error_code
+        });
+        if (!payment) throw new Error(`No payment for Razorpay order ${entity.order_id}`);
+        // A failure reported after the order was paid is an earlier attempt
+        return { outcome: failed ? 'marked-failed' : `stale-${payment.status}`, paymentId: payment._id };
+    }
+};
+
+/**
+ * Run an event's handler, once at a time
+ *
+ * The event is claimed by moving it to processing, so a redelivery and the
+ * retry job can't handle it side by side. A handler error leaves it failed
+ * with a time for the next attempt.
+ *
+ * @param {Document} event - Stored webhook event
+ * @returns {Document} - The event after handling, or as it was if someone else has it
+ */
+export const processEvent = async (event) => {
+    const claimed = await WebhookEvent.findOneAndUpdate(
+        {
+            _id: event._id,
+            $or: [
+                { status: { $in: ['received', 'failed'] } },
+                { status: 'processing', updatedAt: { $lt: new Date(Date.now() - STALE_PROCESSING_MS) } }
+            ]
+        },
+        { $set: { status: 'processing' }, $inc: { attempts: 1 } },
+        { new: true }
+    );
+    if (!claimed) return event;
+
+    const handler = RAZORPAY_HANDLERS[claimed.eventType];
+    if (!handler) {
+        claimed.status = 'ignored';
+        claimed.processedAt = new Date();
+        await claimed.save();
+        return claimed;
+    }
+
+    try {
+        const { outcome, paymentId } = await handler(claimed.payload);
+        claimed.status = 'processed';
+        claimed.outcome = outcome;
+        claimed.paymentId = paymentId;
+        claimed.processedAt = new Date();
+        claimed.lastError = undefined;
+        claimed.nextAttemptAt = undefined;
+    } catch (error) {
+        console.error(`Webhook event ${claimed.eventId} (${claimed.eventType}) failed:`, error.message);
+        claimed.status = 'failed';
+        claimed.lastError = error.message;
+        claimed.nextAttemptAt = claimed.attempts < MAX_ATTEMPTS
+            ? new Date(Date.now() + retryDelayMs(claimed.attempts))
+            : undefined;
+    }
+    await claimed.save();
+    return claimed;
+};
+
+/**
+ * Take in a Razorpay webhook: verify it, store it once under its event id
+ * and handle it
+ *
+ * A redelivery of an event already handled only bumps its delivery count.
+ * Once stored, the event is ours to retry, so a handler failure doesn't
+ * fail the delivery.
+ *
+ * @param {Object} delivery - { rawBody (Buffer), signature, eventId } - eventId from x-razorpay-event-id
+ * @returns {Object} - { event, duplicate }
+ */
+export const receiveRazorpayEvent = async ({ rawBody, signature, eventId }) => {
+    if (!verifyRazorpayWebhookSignature(rawBody, signature)) {
+        throw new ApiError(400, "Invalid webhook signature");
+    }
+
+    let body;
+    try {
+        body = JSON.parse(rawBody.toString());
+    } catch {
+        throw new ApiError(400, "Webhook body is not valid JSON");
+    }
+    if (!body?.event) throw new ApiError(400, "Webhook has no event type");
+
+    // Older integrations send no event id header; the body identifies the event as well
+    const key = eventId || crypto.createHash('sha256').update(rawBody).digest('hex');
+
+    let event;
+    let duplicate = false;
+    try {
+        event = await WebhookEvent.create({
+            gateway: 'razorpay',
+            eventId: key,
+            eventType: body.event,
+            payload: body.payload,
+            gatewayCreatedAt: body.created_at ? new Date(body.created_at * 1000) : undefined
+        });
+    } catch (error) {
+        if (error.code !== 11000) throw error;
+        duplicate = true;
+        event = await WebhookEvent.findOneAndUpdate(
+            { gateway: 'razorpay', eventId: key },
+            { $inc: { receivedCount: 1 }, $set: { lastReceivedAt: new Date() } },
+            { new: true }
+        );
+    }
+
+    if (['received', 'failed'].includes(event.status)) {
+        event = await processEvent(event);
+    }
+    return { event, duplicate };
+};
+
+/**
+ * Retry events whose handling failed or was interrupted
+ */
+export const retryFailedEvents = async () => {
+    const due = await WebhookEvent.find({
+        $or: [
+            { status: 'failed', nextAttemptAt: { $lte: new Date() } },
+            { status: 'received', createdAt: { $lt: new Date(Date.now() - STALE_PROCESSING_MS) } },
+            { status: 'processing', updatedAt: { $lt: new Date(Date.now() - STALE_PROCESSING_MS) } }
+        ]
+    })
+        .sort({ gatewayCreatedAt: 1 })
+        .limit(RETRY_BATCH);
+
+    let processed = 0;
+    let failed = 0;
+    for (const event of due) {
+        const result = await processEvent(event);
+        if (result.status === 'failed') failed++;
+        else processed++;
+    }
+    return { processed, failed };
+};
+
+/**
+ * Retry one event now, whatever its attempt count, at an admin's request
+ */
+export const retryEvent = async (eventId) => {
+    const event = await WebhookEvent.findById(eventId);
+    if (!event) throw new ApiError(404, "Webhook event not found");
+    if (event.status !== 'failed') {
+        throw new ApiError(400, `Only failed events can be retried; this one is ${event.status}`);
+    }
+    return processEvent(event);
+};
+
+/**
+ * Stored webhook events for the admin view, newest first
+ *
+ * @param {Object} filters - { status, eventType, page, limit }
+ */
+export const listEvents = async ({ status, eventType, page = 1, limit = 20 } = {}) => {
+    const query = {};
+    if (status) {
+        if (!WEBHOOK_EVENT_STATUSES.includes(status)) {
+            throw new ApiError(400, `Status must be one of: ${WEBHOOK_EVENT_STATUSES.join(', ')}`);
+        }
+        query.status = status;
+    }
+    if (eventType) query.eventType = eventType;
+
+    const pageNum = Math.max(parseInt(page, 10) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
+    const [events, total] = await Promise.all([
+        WebhookEvent.find(query)
+            .select('-payload')
+            .populate('paymentId', 'amount status serviceType gatewayReference')
+            .sort({ createdAt: -1 })
+            .skip((pageNum - 1) * limitNum)
+            .limit(limitNum)
+            .lean(),
+        WebhookEvent.countDocuments(query)
+    ]);
+
+    return {
+        events,
+        pagination: { page: pageNum, limit: limitNum, total, pages: Math.ceil(total / limitNum) }
+    };
+};
+
+export default {
+    processEvent,
+    receiveRazorpayEvent,
+    retryFailedEvents,
+    retryEvent,
+    listEvents
+};
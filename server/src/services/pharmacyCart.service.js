@@ -0,0 +1,336 @@
+import mongoose from "mongoose";
+import { Medicine } from "../models/medicine.model.js";
+import { Coupon } from "../models/coupon.model.js";
+import { CartQuote } from "../models/cartQuote.model.js";
+import { ApiError } from "../utils/ApiError.js";
+import { findFulfillingPharmacy } from "./pharmacyInventory.service.js";
+import { checkPrescriptionCoverage } from "./pharmacyPrescription.service.js";
+
+// Checkout settings (read lazily, after dotenv has loaded)
+const numberFromEnv = (name, fallback) => {
+    const value = parseFloat(process.env[name]);
+    return Number.isFinite(value) && value >= 0 ? value : fallback;
+};
+
+export const getQuoteMinutes = () => parseInt(process.env.PHARMACY_QUOTE_MINUTES, 10) || 15;
+export const getDeliveryFee = () => numberFromEnv('PHARMACY_DELIVERY_FEE', 40);
+export const getFreeDeliveryThreshold = () => numberFromEnv('PHARMACY_FREE_DELIVERY_THRESHOLD', 499);
+export const getDefaultGstRate = () => numberFromEnv('PHARMACY_GST_RATE', 12);
+
+const MAX_LINES = 50;
+const MAX_QUANTITY_PER_LINE = 20;
+
+const COUPON_FIELDS = [
+    'code', 'description', 'discountType', 'value', 'maxDiscount', 'minOrderValue',
+    'validFrom', 'validUntil', 'usageLimit', 'perUserLimit', 'isActive'
+];
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Validate cart lines and merge repeats of the same medicine
+ */
+const normalizeItems = (items) => {
+    if (!Array.isArray(items) || items.length === 0) {
+        throw new ApiError(400, "Your cart is empty");
+    }
+
+    const quantities = new Map();
+    for (const item of items) {
+        const medicineId = String(item?.medicineId ?? item?.id ?? '');
+        const quantity = Number(item?.quantity);
+
+        if (!mongoose.Types.ObjectId.isValid(medicineId)) {
+            throw new ApiError(400, `Invalid medicine ID: ${medicineId || 'missing'}`);
+        }
+        if (!Number.isInteger(quantity) || quantity < 1) {
+            throw new ApiError(400, "Each item needs a whole-number quantity of at least 1");
+        }
+        quantities.set(medicineId, (quantities.get(medicineId) || 0) + quantity);
+    }
+
+    if (quantities.size > MAX_LINES) {
+        throw new ApiError(400, `A cart can hold at most ${MAX_LINES} different medicines`);
+    }
+    for (const quantity of quantities.values()) {
+        if (quantity > MAX_QUANTITY_PER_LINE) {
+            throw new ApiError(400, `You can order at most ${MAX_QUANTITY_PER_LINE} of each medicine`);
+        }
+    }
+
+    return [...quantities].map(([medicineId, quantity]) => ({ medicineId, quantity }));
+};
+
+/**
+ * Check a coupon can be used by this user on this subtotal
+ */
+const resolveCoupon = async (userId, couponCode, subtotal) => {
+    const coupon = await Coupon.findByCode(couponCode);
+    if (!coupon) {
+        throw new ApiError(404, `Coupon ${String(couponCode).trim().toUpperCase()} does not exist`);
+    }
+
+    const reason = coupon.rejectionReason(subtotal);
+    if (reason) {
+        throw new ApiError(400, reason);
+    }
+
+    if (coupon.perUserLimit) {
+        const redeemed = await CartQuote.countDocuments({ userId, status: 'used', 'coupon.code': coupon.code });
+        if (redeemed >= coupon.perUserLimit) {
+            throw new ApiError(400, "You have already used this coupon");
+        }
+    }
+
+    return coupon;
+};
+
+/**
+ * Price a cart from the medicine catalogue
+ *
+ * Each line is charged at Medicine.discountPrice (or price when there is no
+ * discount) unless the fulfilling pharmacy sets its own price. The cart is
+ * fulfilled from one pharmacy that has every line in stock. The coupon discount is split across lines in proportion to their
+ * value, GST is charged per line on what is left, and delivery is free once the
+ * discounted subtotal passes the free-delivery threshold. Rx-only lines need
+ * a prescription (see checkPrescriptionCoverage).
+ *
+ * @param {ObjectId} userId - Shopper
+ * @param {Object} cart
+ * @param {Array} cart.items - [{ medicineId, quantity }]
+ * @param {string} cart.couponCode - Optional coupon
+ * @param {ObjectId} cart.pharmacyId - Pharmacy the shopper picked, if it can fulfil the cart
+ * @param {ObjectId} cart.prescriptionId - Prescription covering Rx-only lines
+ * @param {ObjectId} cart.prescriptionUploadId - Uploaded prescription covering Rx-only lines
+ * @returns {Object} - Quote fields, not yet saved
+ */
+export const priceCart = async (userId, { items, couponCode, pharmacyId, prescriptionId, prescriptionUploadId } = {}) => {
+    const lines = normalizeItems(items);
+
+    const medicines = await Medicine.find({ _id: { $in: lines.map(line => line.medicineId) } })
+        .select('name brand price discountPrice gstRate requiresPrescription')
+        .lean();
+    const byId = new Map(medicines.map(medicine => [medicine._id.toString(), medicine]));
+
+    const priced = lines.map(({ medicineId, quantity }) => {
+        const medicine = byId.get(medicineId);
+        if (!medicine) {
+            throw new ApiError(404, `Medicine ${medicineId} is no longer available`);
+        }
+
+        const unitPrice = medicine.discountPrice ?? medicine.price;
+        return {
+            medicineId: medicine._id,
+            name: medicine.name,
+            brand: medicine.brand,
+            quantity,
+            mrp: medicine.price,
+            unitPrice,
+            lineSubtotal: roundMoney(unitPrice * quantity),
+            gstRate: medicine.gstRate ?? getDefaultGstRate(),
+            requiresPrescription: Boolean(medicine.requiresPrescription)
+        };
+    });
+
+    const prescription = await checkPrescriptionCoverage(userId, priced, { prescriptionId, prescriptionUploadId });
+
+    const pharmacy = await findFulfillingPharmacy(priced, pharmacyId);
+    for (const line of priced) {
+        const pharmacyPrice = pharmacy.prices?.get(line.medicineId.toString());
+        if (pharmacyPrice === undefined) continue;
+        // Never above MRP
+        line.unitPrice = Math.min(pharmacyPrice, line.mrp);
+        line.lineSubtotal = roundMoney(line.unitPrice * line.quantity);
+    }
+
+    const subtotal = roundMoney(priced.reduce((sum, line) => sum + line.lineSubtotal, 0));
+    const mrpSavings = roundMoney(priced.reduce((sum, line) => sum + (line.mrp - line.unitPrice) * line.quantity, 0));
+
+    let coupon = null;
+    let couponDiscount = 0;
+    if (couponCode && String(couponCode).trim()) {
+        coupon = await resolveCoupon(userId, couponCode, subtotal);
+        couponDiscount = roundMoney(coupon.discountFor(subtotal));
+    }
+
+    // The last line takes whatever rounding leaves over so the shares add up exactly
+    let allocated = 0;
+    priced.forEach((line, index) => {
+        const share = index === priced.length - 1
+            ? roundMoney(couponDiscount - allocated)
+            : subtotal > 0 ? roundMoney(couponDiscount * line.lineSubtotal / subtotal) : 0;
+        allocated = roundMoney(allocated + share);
+
+        const taxable = line.lineSubtotal - share;
+        line.couponDiscount = share;
+        line.gstAmount = roundMoney(taxable * line.gstRate / 100);
+        line.lineTotal = roundMoney(taxable + line.gstAmount);
+    });
+
+    const discountedSubtotal = roundMoney(subtotal - couponDiscount);
+    const deliveryFee = discountedSubtotal > getFreeDeliveryThreshold() ? 0 : getDeliveryFee();
+    const gstTotal = roundMoney(priced.reduce((sum, line) => sum + line.gstAmount, 0));
+
+    return {
+        userId,
+        pharmacyId: pharmacy.pharmacyId,
+        pharmacyName: pharmacy.pharmacyName,
+        prescription,
+        items: priced,
+        coupon: coupon ? { code: coupon.code, discount: couponDiscount } : undefined,
+        subtotal,
+        mrpSavings,
+        deliveryFee,
+        gstTotal,
+        total: roundMoney(discountedSubtotal + gstTotal + deliveryFee),
+        currency: 'INR'
+    };
+};
+
+/**
+ * Price a cart and save it as a quote the shopper can check out
+ */
+export const createQuote = async (userId, cart) => {
+    const pricing = await priceCart(userId, cart);
+    return CartQuote.create({
+        ...pricing,
+        expiresAt: new Date(Date.now() + getQuoteMinutes() * 60000)
+    });
+};
+
+/**
+ * One of the user's quotes
+ */
+export const getQuote = async (quoteId, userId) => {
+    const quote = mongoose.Types.ObjectId.isValid(quoteId)
+        ? await CartQuote.findOne({ _id: quoteId, userId })
+        : null;
+    if (!quote) {
+        throw new ApiError(404, "Quote not found");
+    }
+    return quote;
+};
+
+/**
+ * Take a quote for payment
+ *
+ * Flips the quote from open to used in one update so it can't be charged
+ * twice, then redeems its coupon. A coupon that ran out in the meantime
+ * reopens the quote and fails the checkout.
+ *
+ * @returns {Document} - The claimed quote
+ */
+export const claimQuote = async (quoteId, userId) => {
+    const now = new Date();
+    const quote = mongoose.Types.ObjectId.isValid(quoteId)
+        ? await CartQuote.findOneAndUpdate(
+            { _id: quoteId, userId, status: 'open', expiresAt: { $gt: now } },
+            { $set: { status: 'used', usedAt: now } },
+            { new: true }
+        )
+        : null;
+
+    if (!quote) {
+        const existing = await getQuote(quoteId, userId);
+        if (existing.status === 'used') {
+            throw new ApiError(409, "This cart has already been checked out");
+        }
+        throw new ApiError(410, "Your prices have expired. Please review your cart again");
+    }
+
+    if (quote.coupon?.code) {
+        const redeemed = await Coupon.findOneAndUpdate(
+            {
+                code: quote.coupon.code,
+                isActive: true,
+                $or: [{ usageLimit: null }, { $expr: { $lt: ['$usedCount', '$usageLimit'] } }]
+            },
+            { $inc: { usedCount: 1 } }
+        );
+        if (!redeemed) {
+            await CartQuote.updateOne({ _id: quote._id }, { $set: { status: 'open' }, $unset: { usedAt: 1 } });
+            throw new ApiError(409, `Coupon ${quote.coupon.code} is no longer available. Please review your cart again`);
+        }
+    }
+
+    return quote;
+};
+
+/**
+ * Hand a claimed quote back when its payment could not be started
+ */
+export const releaseQuote = async (quote) => {
+    const result = await CartQuote.updateOne(
+        { _id: quote._id, status: 'used', paymentId: null },
+        { $set: { status: 'open' }, $unset: { usedAt: 1 } }
+    );
+    if (result.modifiedCount && quote.coupon?.code) {
+        await Coupon.updateOne({ code: quote.coupon.code, usedCount: { $gt: 0 } }, { $inc: { usedCount: -1 } });
+    }
+};
+
+/**
+ * Link a claimed quote to the payment and order it became
+ */
+export const attachPayment = async (quoteId, { paymentId, orderId }) => {
+    await CartQuote.updateOne({ _id: quoteId }, { $set: { paymentId, orderId } });
+};
+
+/**
+ * All coupons, newest first (admin)
+ */
+export const listCoupons = async ({ active } = {}) => {
+    const query = {};
+    if (active !== undefined) query.isActive = active === true || active === 'true';
+    return Coupon.find(query).sort({ createdAt: -1 }).lean();
+};
+
+/**
+ * Create a coupon (admin)
+ */
+export const createCoupon = async (admin, data = {}) => {
+    const fields = Object.fromEntries(COUPON_FIELDS.filter(key => data[key] !== undefined).map(key => [key, data[key]]));
+    if (fields.discountType === 'percent' && fields.value > 100) {
+        throw new ApiError(400, "A percentage discount cannot exceed 100");
+    }
+    if (await Coupon.findByCode(fields.code)) {
+        throw new ApiError(409, `Coupon ${String(fields.code).trim().toUpperCase()} already exists`);
+    }
+    return Coupon.create({ ...fields, createdBy: admin._id });
+};
+
+/**
+ * Change or deactivate a coupon (admin)
+ */
+export const updateCoupon = async (couponId, data = {}) => {
+    const coupon = mongoose.Types.ObjectId.isValid(couponId) ? await Coupon.findById(couponId) : null;
+    if (!coupon) {
+        throw new ApiError(404, "Coupon not found");
+    }
+
+    COUPON_FIELDS
+        .filter(key => key !== 'code' && data[key] !== undefined)
+        .forEach(key => { coupon[key] = data[key]; });
+
+    if (coupon.discountType === 'percent' && coupon.value > 100) {
+        throw new ApiError(400, "A percentage discount cannot exceed 100");
+    }
+    await coupon.save();
+    return coupon;
+};
+
+export default {
+    getQuoteMinutes,
+    getDeliveryFee,
+    getFreeDeliveryThreshold,
+    getDefaultGstRate,
+    priceCart,
+    createQuote,
+    getQuote,
+    claimQuote,
+    releaseQuote,
+    attachPayment,
+    listCoupons,
+    createCoupon,
+    updateCoupon
+};
@@ -0,0 +1,638 @@
+import mongoose from "mongoose";
+import { PharmacyStock } from "../models/pharmacyStock.model.js";
+import { StockMovement } from "../models/stockMovement.model.js";
+import { PharmacyOrder } from "../models/pharmacyOrder.model.js";
+import { Pharmacy } from "../models/Pharmacy.model.js";
+import { Medicine } from "../models/medicine.model.js";
+import { User } from "../models/User.model.js";
+import { ApiError } from "../utils/ApiError.js";
+import { createNotification } from "../utils/notificationUtils.js";
+
+// How long checkout stock is held waiting for payment (read lazily, after dotenv has loaded)
+export const getReservationMinutes = () => parseInt(process.env.PHARMACY_RESERVATION_MINUTES, 10) || 30;
+
+// Sellable units at or below which admins are alerted, unless a row sets its own level
+export const getDefaultReorderLevel = () => {
+    const value = parseInt(process.env.PHARMACY_REORDER_LEVEL, 10);
+    return Number.isInteger(value) && value >= 0 ? value : 10;
+};
+
+const MAX_SAVE_ATTEMPTS = 5;
+
+// Order statuses at which goods are still in the pharmacy
+const UNDISPATCHED_STATUSES = ['pending', 'confirmed', 'packed'];
+
+const assertObjectId = (id, label) => {
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        throw new ApiError(400, `Invalid ${label}`);
+    }
+};
+
+/**
+ * Keep Medicine.stock equal to what can still be sold across all pharmacies
+ */
+const syncMedicineStock = async (medicineId) => {
+    const rows = await PharmacyStock.find({ medicineId }).select('batches reserved');
+    const total = rows.reduce((sum, row) => sum + row.available, 0);
+    await Medicine.updateOne({ _id: medicineId }, { $set: { stock: total } });
+};
+
+/**
+ * Alert admins once when a row drops to its reorder level, and re-arm when it recovers
+ */
+const checkLowStock = async (stock) => {
+    const level = stock.reorderLevel ?? getDefaultReorderLevel();
+    const available = stock.available;
+
+    if (available > level) {
+        if (stock.lowStockAlertedAt) {
+            await PharmacyStock.updateOne({ _id: stock._id }, { $set: { lowStockAlertedAt: null } });
+        }
+        return;
+    }
+
+    const claimed = await PharmacyStock.updateOne(
+        { _id: stock._id, lowStockAlertedAt: null },
+        { $set: { lowStockAlertedAt: new Date() } }
+    );
+    if (!claimed.modifiedCount) return;
+
+    try {
+        const [medicine, pharmacy, admins] = await Promise.all([
+            Medicine.findById(stock.medicineId).select('name').lean(),
+            Pharmacy.findById(stock.pharmacyId).select('pharmacyName').lean(),
+            User.find({ role: 'admin', isActive: true }).select('_id').lean()
+        ]);
+        const what = medicine?.name || 'A medicine';
+        const where = pharmacy?.pharmacyName || 'a pharmacy';
+
+        for (const admin of admins) {
+            await createNotification({
+                recipientId: admin._id,
+                recipientType: 'admin',
+                title: available === 0 ? `Out of stock: ${what}` : `Low stock: ${what}`,
+                message: `${what} at ${where} is down to ${available} sellable unit(s) (reorder level ${level}).`,
+                notificationType: 'alert',
+                category: 'low-stock',
+                priority: available === 0 ? 'high' : 'medium',
+                channels: ['in-app', 'email'],
+                metadata: { entityType: 'PharmacyStock', entityId: stock._id }
+            });
+        }
+    } catch (error) {
+        console.error("⚠️ Low-stock alert failed:", error.message);
+    }
+};
+
+/**
+ * Apply a change to one stock row and write it to the ledger
+ *
+ * `mutate` edits the loaded row and returns the movements it made, each with
+ * onHandChange/reservedChange. Saves use optimistic concurrency, so a row
+ * changed underneath us is reloaded and the change re-applied.
+ *
+ * @returns {Document} - The saved row
+ */
+const updateStock = async (pharmacyId, medicineId, mutate, { create = false } = {}) => {
+    for (let attempt = 1; ; attempt++) {
+        let stock = await PharmacyStock.findOne({ pharmacyId, medicineId });
+        if (!stock && create) {
+            stock = new PharmacyStock({ pharmacyId, medicineId });
+        }
+
+        const onHandBefore = stock?.onHand ?? 0;
+        const reservedBefore = stock?.reserved ?? 0;
+        const movements = mutate(stock);
+        if (!stock) {
+            throw new ApiError(404, "This medicine is not stocked at this pharmacy");
+        }
+
+        try {
+            await stock.save();
+        } catch (error) {
+            const conflict = error.name === 'VersionError' || error.code === 11000;
+            if (!conflict || attempt >= MAX_SAVE_ATTEMPTS) throw error;
+            continue;
+        }
+
+        let onHandAfter = onHandBefore;
+        let reservedAfter = reservedBefore;
+        await StockMovement.create(movements.map(movement => {
+            onHandAfter += movement.onHandChange || 0;
+            reservedAfter += movement.reservedChange || 0;
+            return { pharmacyId, medicineId, ...movement, onHandAfter, reservedAfter };
+        }));
+
+        await syncMedicineStock(medicineId);
+        await checkLowStock(stock);
+        return stock;
+    }
+};
+
+/**
+ * Take units from unexpired batches, earliest expiry first
+ *
+ * @returns {Array} - [{ batchNumber, expiryDate, quantity }] taken
+ */
+const pickBatches = (stock, quantity) => {
+    const now = new Date();
+    const taken = [];
+    let remaining = quantity;
+
+    const batches = stock.batches
+        .filter(batch => batch.expiryDate > now && batch.quantity > 0)
+        .sort((a, b) => a.expiryDate - b.expiryDate);
+
+    for (const batch of batches) {
+        if (remaining === 0) break;
+        const take = Math.min(batch.quantity, remaining);
+        batch.quantity -= take;
+        remaining -= take;
+        taken.push({ batchNumber: batch.batchNumber, expiryDate: batch.expiryDate, quantity: take });
+    }
+
+    if (remaining > 0) {
+        throw new ApiError(409, "Not enough unexpired stock to fulfil this order");
+    }
+    return taken;
+};
+
+const outOfStockMessage = (item, stock) => {
+    const available = stock?.available ?? 0;
+    return available > 0
+        ? `Only ${available} of ${item.name || 'this medicine'} left in stock`
+        : `${item.name || 'This medicine'} is out of stock`;
+};
+
+/**
+ * Pick the pharmacy to fulfil a cart from
+ *
+ * The preferred pharmacy wins when it has every line in stock; otherwise the
+ * first pharmacy that does. Lines are [{ medicineId, quantity, name }].
+ *
+ * @returns {Object} - { pharmacyId, pharmacyName, prices }, prices mapping medicine id to the pharmacy's own price
+ */
+export const findFulfillingPharmacy = async (lines, preferredPharmacyId = null) => {
+    const rows = await PharmacyStock.find({ medicineId: { $in: lines.map(line => line.medicineId) } })
+        .select('pharmacyId medicineId batches reserved sellingPrice');
+
+    const byPharmacy = new Map();
+    for (const row of rows) {
+        const key = row.pharmacyId.toString();
+        if (!byPharmacy.has(key)) byPharmacy.set(key, new Map());
+        byPharmacy.get(key).set(row.medicineId.toString(), row);
+    }
+
+    const canFulfil = (pharmacyKey) => {
+        const stocked = byPharmacy.get(pharmacyKey);
+        return Boolean(stocked) && lines.every(line =>
+            (stocked.get(String(line.medicineId))?.available ?? 0) >= line.quantity);
+    };
+
+    const preferred = preferredPharmacyId && mongoose.Types.ObjectId.isValid(preferredPharmacyId)
+        ? String(preferredPharmacyId)
+        : null;
+    const chosen = preferred && canFulfil(preferred)
+        ? preferred
+        : [...byPharmacy.keys()].find(canFulfil);
+
+    if (!chosen) {
+        // Explain the shortfall against the best-stocked pharmacy for the first short line
+        for (const line of lines) {
+            const best = rows
+                .filter(row => row.medicineId.toString() === String(line.medicineId))
+                .sort((a, b) => b.available - a.available)[0];
+            if (!best || best.available < line.quantity) {
+                throw new ApiError(409, outOfStockMessage(line, best));
+            }
+        }
+        throw new ApiError(409, "No single pharmacy has everything in your cart. Please split your order");
+    }
+
+    const pharmacy = await Pharmacy.findById(chosen).select('pharmacyName').lean();
+    const prices = new Map([...byPharmacy.get(chosen)]
+        .filter(([, row]) => row.sellingPrice !== null && row.sellingPrice !== undefined)
+        .map(([medicineId, row]) => [medicineId, row.sellingPrice]));
+    return { pharmacyId: new mongoose.Types.ObjectId(chosen), pharmacyName: pharmacy?.pharmacyName, prices };
+};
+
+/**
+ * Hold stock for a checkout
+ *
+ * Lines are reserved one at a time; if any is short, the lines already held
+ * are released and the checkout fails with 409.
+ *
+ * @param {Object} params
+ * @param {ObjectId} params.pharmacyId
+ * @param {Array} params.items - [{ medicineId, quantity, name }]
+ * @param {ObjectId} params.quoteId - Checkout the hold belongs to
+ * @param {ObjectId} params.userId - Shopper
+ * @returns {Object} - stockReservation fields for the order
+ */
+export const reserveStock = async ({ pharmacyId, items, quoteId, userId, orderId }) => {
+    const held = [];
+    try {
+        for (const item of items) {
+            await updateStock(pharmacyId, item.medicineId, (stock) => {
+                if (!stock || stock.available < item.quantity) {
+                    throw new ApiError(409, outOfStockMessage(item, stock));
+                }
+                stock.reserved += item.quantity;
+                return [{ type: 'reservation', reservedChange: item.quantity, quoteId, orderId, performedBy: userId }];
+            });
+            held.push(item);
+        }
+    } catch (error) {
+        await releaseItems({ pharmacyId, items: held, quoteId, orderId, reason: 'checkout failed' });
+        throw error;
+    }
+
+    return {
+        status: 'reserved',
+        expiresAt: new Date(Date.now() + getReservationMinutes() * 60000)
+    };
+};
+
+/**
+ * Drop holds on some lines
+ */
+const releaseItems = async ({ pharmacyId, items, quoteId, orderId, reason, performedBy }) => {
+    for (const item of items) {
+        try {
+            await updateStock(pharmacyId, item.medicineId, (stock) => {
+                const quantity = Math.min(item.quantity, stock?.reserved ?? 0);
+                if (stock) stock.reserved -= quantity;
+                return [{ type: 'release', reservedChange: -quantity, quoteId, orderId, reason, performedBy }];
+            });
+        } catch (error) {
+            console.error(`⚠️ Failed to release ${item.quantity} x ${item.medicineId} at pharmacy ${pharmacyId}:`, error.message);
+        }
+    }
+};
+
+/**
+ * Release a checkout hold that never became an order (gateway error)
+ */
+export const cancelReservation = ({ pharmacyId, items, quoteId }) =>
+    releaseItems({ pharmacyId, items, quoteId, reason: 'payment could not be started' });
+
+/**
+ * Move a status on an order's reservation, only from the expected state
+ */
+const claimReservation = async (order, from, to, extra = {}) => {
+    const result = await PharmacyOrder.updateOne(
+        { _id: order._id, 'stockReservation.status': { $in: [].concat(from) } },
+        { $set: { 'stockReservation.status': to, ...extra } }
+    );
+    return result.modifiedCount > 0;
+};
+
+/**
+ * Turn a paid order's hold into a sale
+ *
+ * Safe to call more than once (checkout confirmation and the payment webhook
+ * both do). A hold that lapsed before the payment arrived is re-reserved if
+ * the stock is still there; if not, the order is flagged as a shortfall for
+ * the pharmacy to sort out.
+ */
+export const commitOrderStock = async (order) => {
+    if (!order?.pharmacyId || !order.stockReservation?.status) return order;
+
+    if (order.stockReservation.status === 'released') {
+        try {
+            await reserveStock({
+                pharmacyId: order.pharmacyId,
+                items: order.items,
+                quoteId: order.quoteId,
+                orderId: order.orderId,
+                userId: order.userId
+            });
+            await claimReservation(order, 'released', 'reserved');
+        } catch (error) {
+            await claimReservation(order, 'released', 'shortfall', { 'stockReservation.note': error.message });
+            console.error(`🚨 Paid pharmacy order ${order.orderId} could not be re-reserved:`, error.message);
+            return order;
+        }
+    }
+
+    const claimed = await claimReservation(order, 'reserved', 'committed', { 'stockReservation.committedAt': new Date() });
+    if (!claimed) return order;
+
+    const batchUpdates = {};
+    for (const [index, item] of order.items.entries()) {
+        try {
+            let taken = [];
+            await updateStock(order.pharmacyId, item.medicineId, (stock) => {
+                taken = pickBatches(stock, item.quantity);
+                stock.reserved = Math.max(stock.reserved - item.quantity, 0);
+                return taken.map((batch, i) => ({
+                    type: 'sale',
+                    onHandChange: -batch.quantity,
+                    reservedChange: i === 0 ? -item.quantity : 0,
+                    batchNumber: batch.batchNumber,
+                    expiryDate: batch.expiryDate,
+                    quoteId: order.quoteId,
+                    orderId: order.orderId
+                }));
+            });
+            batchUpdates[`items.${index}.batches`] = taken;
+        } catch (error) {
+            await PharmacyOrder.updateOne(
+                { _id: order._id },
+                { $set: { 'stockReservation.status': 'shortfall', 'stockReservation.note': `${item.name}: ${error.message}` } }
+            );
+            console.error(`🚨 Could not pick ${item.name} for pharmacy order ${order.orderId}:`, error.message);
+        }
+    }
+
+    if (Object.keys(batchUpdates).length) {
+        await PharmacyOrder.updateOne({ _id: order._id }, { $set: batchUpdates });
+    }
+    return PharmacyOrder.findById(order._id);
+};
+
+/**
+ * Give back an order's stock when it is cancelled or refunded
+ *
+ * A hold is simply released. Sold units go back into their batches only while
+ * the order is still at the pharmacy; once it is out for delivery the goods
+ * are with the customer and the ledger is left alone.
+ *
+ * @param {Document} order - The order, with the status it had before cancelling
+ * @param {Object} options
+ * @param {string} options.reason - Why, for the ledger
+ * @param {ObjectId} options.performedBy - Who cancelled or refunded it
+ */
+export const restoreOrderStock = async (order, { reason, performedBy } = {}) => {
+    if (!order?.pharmacyId || !order.stockReservation?.status) return;
+
+    const common = { pharmacyId: order.pharmacyId, quoteId: order.quoteId, orderId: order.orderId, reason, performedBy };
+
+    if (order.stockReservation.status === 'reserved') {
+        const claimed = await claimReservation(order, 'reserved', 'released', { 'stockReservation.releasedAt': new Date() });
+        if (claimed) await releaseItems({ ...common, items: order.items });
+        return;
+    }
+
+    if (order.stockReservation.status !== 'committed' || !UNDISPATCHED_STATUSES.includes(order.status)) return;
+
+    const claimed = await claimReservation(order, 'committed', 'returned', { 'stockReservation.releasedAt': new Date() });
+    if (!claimed) return;
+
+    for (const item of order.items) {
+        const batches = item.batches || [];
+        if (!batches.length) continue;
+        try {
+            await updateStock(order.pharmacyId, item.medicineId, (stock) => {
+                for (const returned of batches) {
+                    const batch = stock.batches.find(b => b.batchNumber === returned.batchNumber);
+                    if (batch) batch.quantity += returned.quantity;
+                    else stock.batches.push({ ...returned, receivedAt: new Date() });
+                }
+                return batches.map(batch => ({
+                    type: 'return',
+                    onHandChange: batch.quantity,
+                    batchNumber: batch.batchNumber,
+                    expiryDate: batch.expiryDate,
+                    quoteId: order.quoteId,
+                    orderId: order.orderId,
+                    reason,
+                    performedBy
+                }));
+            }, { create: true });
+        } catch (error) {
+            console.error(`⚠️ Failed to return ${item.name} for pharmacy order ${order.orderId}:`, error.message);
+        }
+    }
+};
+
+/**
+ * Commit stock for the pharmacy order behind a gateway order id
+ */
+export const commitStockForGatewayOrder = async (gatewayOrderId) => {
+    const order = await PharmacyOrder.findOne({ orderId: gatewayOrderId });
+    return order ? commitOrderStock(order) : null;
+};
+
+/**
+ * Restore stock for the pharmacy order behind a gateway order id
+ */
+export const restoreStockForGatewayOrder = async (gatewayOrderId, options) => {
+    const order = await PharmacyOrder.findOne({ orderId: gatewayOrderId });
+    if (order) await restoreOrderStock(order, options);
+    return order;
+};
+
+/**
+ * Release holds whose payment never arrived (background job)
+ *
+ * @returns {Number} - Orders released
+ */
+export const releaseExpiredReservations = async () => {
+    const orders = await PharmacyOrder.find({
+        'stockReservation.status': 'reserved',
+        'stockReservation.expiresAt': { $lte: new Date() },
+        paymentStatus: { $ne: 'paid' },
+        paymentMethod: 'online'
+    }).limit(200);
+
+    let released = 0;
+    for (const order of orders) {
+        await restoreOrderStock(order, { reason: 'payment not received in time' });
+        released++;
+    }
+    return released;
+};
+
+/**
+ * Write off expired batches (background job)
+ *
+ * @returns {Number} - Units written off
+ */
+export const writeOffExpiredBatches = async () => {
+    const now = new Date();
+    const rows = await PharmacyStock.find({ batches: { $elemMatch: { expiryDate: { $lte: now }, quantity: { $gt: 0 } } } })
+        .select('pharmacyId medicineId')
+        .lean();
+
+    let units = 0;
+    for (const row of rows) {
+        await updateStock(row.pharmacyId, row.medicineId, (stock) => {
+            const expired = stock.batches.filter(batch => batch.expiryDate <= now && batch.quantity > 0);
+            const movements = expired.map(batch => ({
+                type: 'expiry',
+                onHandChange: -batch.quantity,
+                batchNumber: batch.batchNumber,
+                expiryDate: batch.expiryDate,
+                reason: 'batch expired'
+            }));
+            expired.forEach(batch => {
+                units += batch.quantity;
+                batch.quantity = 0;
+            });
+            return movements;
+        });
+    }
+    return units;
+};
+
+/**
+ * Book a delivery from a supplier into a batch
+ */
+export const receiveStock = async (pharmacyId, { medicineId, batchNumber, expiryDate, quantity, reorderLevel, sellingPrice }, performedBy) => {
+    assertObjectId(pharmacyId, "pharmacy ID");
+    assertObjectId(medicineId, "medicine ID");
+
+    const units = Number(quantity);
+    const expiry = new Date(expiryDate);
+    if (!Number.isInteger(units) || units < 1) {
+        throw new ApiError(400, "Quantity must be a whole number of at least 1");
+    }
+    if (!batchNumber || !String(batchNumber).trim()) {
+        throw new ApiError(400, "Batch number is required");
+    }
+    if (isNaN(expiry.getTime()) || expiry <= new Date()) {
+        throw new ApiError(400, "A future expiry date is required");
+    }
+    if (sellingPrice !== undefined && sellingPrice !== null && !(Number(sellingPrice) >= 0)) {
+        throw new ApiError(400, "Selling price cannot be negative");
+    }
+
+    const [pharmacy, medicine] = await Promise.all([
+        Pharmacy.exists({ _id: pharmacyId }),
+        Medicine.exists({ _id: medicineId })
+    ]);
+    if (!pharmacy) throw new ApiError(404, "Pharmacy not found");
+    if (!medicine) throw new ApiError(404, "Medicine not found");
+
+    const batchKey = String(batchNumber).trim();
+    const stock = await updateStock(pharmacyId, medicineId, (row) => {
+        const batch = row.batches.find(b => b.batchNumber === batchKey);
+        if (batch) {
+            if (batch.expiryDate.getTime() !== expiry.getTime()) {
+                throw new ApiError(409, `Batch ${batchKey} is already stocked with a different expiry date`);
+            }
+            batch.quantity += units;
+        } else {
+            row.batches.push({ batchNumber: batchKey, expiryDate: expiry, quantity: units });
+        }
+        if (reorderLevel !== undefined) row.reorderLevel = reorderLevel;
+        if (sellingPrice !== undefined) row.sellingPrice = sellingPrice === null ? null : Number(sellingPrice);
+
+        return [{ type: 'receipt', onHandChange: units, batchNumber: batchKey, expiryDate: expiry, performedBy }];
+    }, { create: true });
+
+    await Pharmacy.updateOne({ _id: pharmacyId }, { $addToSet: { availableMedicines: medicineId } });
+    return stock;
+};
+
+/**
+ * Correct a batch after a stock count, damage or loss
+ */
+export const adjustStock = async (pharmacyId, { medicineId, batchNumber, quantityChange, reason }, performedBy) => {
+    assertObjectId(pharmacyId, "pharmacy ID");
+    assertObjectId(medicineId, "medicine ID");
+
+    const change = Number(quantityChange);
+    if (!Number.isInteger(change) || change === 0) {
+        throw new ApiError(400, "quantityChange must be a non-zero whole number");
+    }
+    if (!reason || !String(reason).trim()) {
+        throw new ApiError(400, "A reason is required for stock adjustments");
+    }
+
+    return updateStock(pharmacyId, medicineId, (stock) => {
+        const batch = stock?.batches.find(b => b.batchNumber === String(batchNumber || '').trim());
+        if (!batch) {
+            throw new ApiError(404, `Batch ${batchNumber} not found`);
+        }
+        if (batch.quantity + change < 0) {
+            throw new ApiError(400, `Batch ${batch.batchNumber} only has ${batch.quantity} unit(s)`);
+        }
+        if (change < 0 && stock.sellable + change < stock.reserved) {
+            throw new ApiError(409, "That would leave less stock than is reserved for open orders");
+        }
+        batch.quantity += change;
+
+        return [{
+            type: 'adjustment',
+            onHandChange: change,
+            batchNumber: batch.batchNumber,
+            expiryDate: batch.expiryDate,
+            reason: String(reason).trim(),
+            performedBy
+        }];
+    });
+};
+
+/**
+ * A pharmacy's stock rows (admin)
+ */
+export const listStock = async (pharmacyId, { lowOnly = false } = {}) => {
+    assertObjectId(pharmacyId, "pharmacy ID");
+
+    const rows = await PharmacyStock.find({ pharmacyId })
+        .populate('medicineId', 'name brand form packaging')
+        .sort({ updatedAt: -1 });
+
+    const stock = rows.map(row => ({
+        ...row.toJSON(),
+        reorderLevel: row.reorderLevel ?? getDefaultReorderLevel(),
+        isLow: row.available <= (row.reorderLevel ?? getDefaultReorderLevel())
+    }));
+    return lowOnly ? stock.filter(row => row.isLow) : stock;
+};
+
+/**
+ * Ledger entries, newest first (admin)
+ */
+export const listMovements = async ({ pharmacyId, medicineId, type, orderId, page = 1, limit = 50 } = {}) => {
+    const query = {};
+    if (pharmacyId) {
+        assertObjectId(pharmacyId, "pharmacy ID");
+        query.pharmacyId = pharmacyId;
+    }
+    if (medicineId) {
+        assertObjectId(medicineId, "medicine ID");
+        query.medicineId = medicineId;
+    }
+    if (type) query.type = type;
+    if (orderId) query.orderId = orderId;
+
+    const pageNum = Math.max(parseInt(page, 10) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 200);
+
+    const [movements, total] = await Promise.all([
+        StockMovement.find(query)
+            .populate('medicineId', 'name brand')
+            .populate('performedBy', 'firstName lastName role')
+            .sort({ createdAt: -1 })
+            .skip((pageNum - 1) * limitNum)
+            .limit(limitNum)
+            .lean(),
+        StockMovement.countDocuments(query)
+    ]);
+
+    return {
+        movements,
+        pagination: { page: pageNum, limit: limitNum, total, pages: Math.ceil(total / limitNum) }
+    };
+};
+
+export default {
+    getReservationMinutes,
+    getDefaultReorderLevel,
+    findFulfillingPharmacy,
+    reserveStock,
+    cancelReservation,
+    commitOrderStock,
+    restoreOrderStock,
+    commitStockForGatewayOrder,
+    restoreStockForGatewayOrder,
+    releaseExpiredReservations,
+    writeOffExpiredBatches,
+    receiveStock,
+    adjustStock,
+    listStock,
+    listMovements
+};
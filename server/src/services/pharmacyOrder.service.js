@@ -0,0 +1,544 @@
+import crypto from "crypto";
+import mongoose from "mongoose";
+import { PharmacyOrder } from "../models/pharmacyOrder.model.js";
+import { Rider } from "../models/rider.model.js";
+import { User } from "../models/User.model.js";
+import { ApiError } from "../utils/ApiError.js";
+import { createNotification } from "../utils/notificationUtils.js";
+import { getIO } from "../socket.js";
+import pharmacyInventoryService from "./pharmacyInventory.service.js";
+import pharmacyPrescriptionService from "./pharmacyPrescription.service.js";
+import invoiceService from "./invoice.service.js";
+
+/**
+ * Allowed status changes and who may make them
+ *
+ * `customer` is the user who placed the order and `rider` is the rider
+ * assigned to it. System changes (payments, prescription reviews) follow
+ * the same transitions without a role check.
+ */
+export const ORDER_TRANSITIONS = {
+    pending: {
+        confirmed: ['pharmacist', 'admin'],
+        cancelled: ['pharmacist', 'admin', 'customer']
+    },
+    confirmed: {
+        packed: ['pharmacist', 'admin'],
+        cancelled: ['pharmacist', 'admin', 'customer']
+    },
+    packed: {
+        out_for_delivery: ['rider', 'admin'],
+        cancelled: ['pharmacist', 'admin']
+    },
+    out_for_delivery: {
+        delivered: ['rider', 'admin'],
+        returned: ['rider', 'pharmacist', 'admin']
+    },
+    delivered: {
+        returned: ['pharmacist', 'admin']
+    },
+    cancelled: {},
+    returned: {}
+};
+
+// Statuses at which a rider can be (re)assigned
+const ASSIGNABLE_STATUSES = ['confirmed', 'packed'];
+
+// Statuses that end the rider's run
+const RUN_ENDING_STATUSES = ['delivered', 'returned', 'cancelled'];
+
+const MAX_OTP_ATTEMPTS = 5;
+
+const RIDER_FIELDS = ['name', 'phone', 'vehicleNumber', 'pharmacyId', 'status', 'isActive'];
+
+const statusLabel = (status) => status.replace(/_/g, ' ');
+
+const sameId = (a, b) => Boolean(a && b) && String(a._id || a) === String(b._id || b);
+
+const generateOtp = () => crypto.randomInt(0, 10000).toString().padStart(4, '0');
+
+/**
+ * Roles a user holds on one order
+ */
+const rolesOnOrder = (order, user) => {
+    const roles = [];
+    if (user.role === 'admin') roles.push('admin');
+    if (user.role === 'pharmacist') roles.push('pharmacist');
+    if (user.role === 'rider' && sameId(order.deliveryDetails?.riderUserId, user._id)) roles.push('rider');
+    if (sameId(order.userId, user._id)) roles.push('customer');
+    return roles;
+};
+
+/**
+ * Whether a user may see an order
+ */
+export const canViewOrder = (order, user) => rolesOnOrder(order, user).length > 0;
+
+/**
+ * Order as sent to a user: the delivery OTP is only ever shown to the customer
+ */
+export const orderForUser = (order, user) => {
+    const data = typeof order.toObject === 'function' ? order.toObject() : { ...order };
+    const otp = data.deliveryOtp || {};
+    const showOtp = sameId(data.userId, user._id) && data.status === 'out_for_delivery' && !otp.verifiedAt;
+
+    data.deliveryOtp = {
+        issuedAt: otp.issuedAt,
+        verifiedAt: otp.verifiedAt,
+        ...(showOtp && otp.code ? { code: otp.code } : {})
+    };
+    return data;
+};
+
+/**
+ * Push an order change to the customer and the assigned rider over Socket.IO
+ */
+const pushOrderUpdate = (order, { otp } = {}) => {
+    let io;
+    try {
+        io = getIO();
+    } catch (error) {
+        return; // No socket server (seed scripts, background workers)
+    }
+
+    const latest = order.statusHistory?.[order.statusHistory.length - 1];
+    const payload = {
+        orderId: order.orderId,
+        status: order.status,
+        statusHistory: order.statusHistory,
+        latest,
+        deliveryDetails: {
+            riderName: order.deliveryDetails?.riderName,
+            riderPhone: order.deliveryDetails?.riderPhone,
+            assignedAt: order.deliveryDetails?.assignedAt,
+            pickedUpAt: order.deliveryDetails?.pickedUpAt,
+            deliveredAt: order.deliveryDetails?.deliveredAt,
+            riderLocation: order.deliveryDetails?.riderLocation
+        }
+    };
+
+    io.to(String(order.userId)).emit('pharmacy-order-update', otp ? { ...payload, deliveryOtp: otp } : payload);
+    if (order.deliveryDetails?.riderUserId) {
+        io.to(String(order.deliveryDetails.riderUserId)).emit('pharmacy-order-update', payload);
+    }
+};
+
+/**
+ * Send the customer the code the rider will ask for
+ */
+const sendDeliveryOtp = async (order, otp) => {
+    try {
+        await createNotification({
+            recipientId: order.userId,
+            recipientType: 'patient',
+            title: 'Your medicines are on the way',
+            message: `${order.deliveryDetails?.riderName || 'Your rider'} is bringing order ${order.orderId}. Share delivery code ${otp} only when you receive it.`,
+            notificationType: 'alert',
+            category: 'pharmacy-delivery',
+            priority: 'high',
+            channels: ['in-app', 'sms'],
+            metadata: {
+                entityType: 'PharmacyOrder',
+                entityId: order._id
+            }
+        });
+    } catch (error) {
+        console.error("Failed to send delivery OTP:", error.message);
+    }
+};
+
+/**
+ * Check the code the rider entered, counting wrong guesses
+ */
+const verifyDeliveryOtp = async (order, otp) => {
+    if (!otp) {
+        throw new ApiError(400, "The customer's delivery code is required to complete delivery");
+    }
+
+    const current = await PharmacyOrder.findById(order._id).select('+deliveryOtp.code').lean();
+    const stored = current?.deliveryOtp;
+    if (!stored?.code) {
+        throw new ApiError(409, "No delivery code has been issued for this order");
+    }
+    if (stored.attempts >= MAX_OTP_ATTEMPTS) {
+        throw new ApiError(429, "Too many wrong delivery codes. Ask the customer to request a new one");
+    }
+
+    const matches = String(otp).length === stored.code.length &&
+        crypto.timingSafeEqual(Buffer.from(String(otp)), Buffer.from(stored.code));
+    if (!matches) {
+        await PharmacyOrder.updateOne({ _id: order._id }, { $inc: { 'deliveryOtp.attempts': 1 } });
+        const left = MAX_OTP_ATTEMPTS - stored.attempts - 1;
+        throw new ApiError(400, left > 0
+            ? `Incorrect delivery code. ${left} ${left === 1 ? 'attempt' : 'attempts'} left`
+            : "Incorrect delivery code. Ask the customer to request a new one");
+    }
+};
+
+/**
+ * Free the rider once their run is over
+ */
+const releaseRider = async (order, delivered) => {
+    const riderId = order.deliveryDetails?.riderId;
+    if (!riderId) return;
+
+    await Rider.updateOne(
+        { _id: riderId, currentOrderId: order.orderId },
+        {
+            $set: { status: 'available', currentOrderId: null },
+            ...(delivered ? { $inc: { deliveriesCompleted: 1 } } : {})
+        }
+    );
+};
+
+/**
+ * Move an order to a new status
+ *
+ * Checks the transition is allowed and the actor holds one of its roles,
+ * applies the side effects (stock back on cancel, dispensing against the
+ * prescription, the delivery OTP) and records the change in statusHistory.
+ * The status is swapped in one update so two people can't move the same
+ * order at once.
+ *
+ * @param {Document} order - PharmacyOrder as it is now
+ * @param {string} to - New status
+ * @param {Object|null} actor - User making the change; null for system changes
+ * @param {Object} options
+ * @param {string} options.note - Reason, kept in the history
+ * @param {string} options.otp - Delivery code, required to mark delivered
+ * @returns {Document} - The updated order
+ */
+export const transitionOrder = async (order, to, actor = null, { note, otp } = {}) => {
+    const from = order.status;
+    const allowedRoles = ORDER_TRANSITIONS[from]?.[to];
+    if (!allowedRoles) {
+        throw new ApiError(409, `A ${statusLabel(from)} order cannot be marked ${statusLabel(to)}`);
+    }
+
+    let role = 'system';
+    if (actor) {
+        role = rolesOnOrder(order, actor).find(held => allowedRoles.includes(held));
+        if (!role) {
+            throw new ApiError(403, `You are not allowed to mark this order ${statusLabel(to)}`);
+        }
+    }
+
+    pharmacyPrescriptionService.assertStatusAllowed(order, to);
+
+    const now = new Date();
+    const set = { status: to };
+    let issuedOtp = null;
+
+    if (to === 'out_for_delivery') {
+        if (!order.deliveryDetails?.riderId) {
+            throw new ApiError(409, "Assign a rider before the order goes out for delivery");
+        }
+        issuedOtp = generateOtp();
+        set['deliveryDetails.pickedUpAt'] = now;
+        set.deliveryOtp = { code: issuedOtp, issuedAt: now, attempts: 0 };
+    }
+
+    if (to === 'delivered') {
+        await verifyDeliveryOtp(order, otp);
+        set['deliveryDetails.deliveredAt'] = now;
+        set['deliveryOtp.verifiedAt'] = now;
+        if (order.paymentMethod === 'cash') {
+            set.paymentStatus = 'paid';
+        }
+    }
+
+    // Dispensing can fail (no refills left), so it runs before the status moves
+    if (pharmacyPrescriptionService.isDispensingStatus(to)) {
+        await pharmacyPrescriptionService.dispenseOrderPrescription(order);
+    }
+
+    const updated = await PharmacyOrder.findOneAndUpdate(
+        { _id: order._id, status: from },
+        {
+            $set: set,
+            $push: { statusHistory: { status: to, at: now, by: actor?._id, role, note: note?.trim() } }
+        },
+        { new: true }
+    );
+    if (!updated) {
+        throw new ApiError(409, "This order was just updated by someone else. Please refresh and try again");
+    }
+
+    // Stock goes back against the order as it was, while we still know whether it left the pharmacy
+    if (to === 'cancelled') {
+        await pharmacyInventoryService.restoreOrderStock(order, { reason: note || 'order cancelled', performedBy: actor?._id });
+    }
+    if (RUN_ENDING_STATUSES.includes(to)) {
+        await releaseRider(updated, to === 'delivered');
+    }
+    if (issuedOtp) {
+        await sendDeliveryOtp(updated, issuedOtp);
+    }
+    // Cash collected on delivery is when the order is paid, so it is invoiced now
+    if (to === 'delivered' && updated.paymentMethod === 'cash') {
+        await invoiceService.invoiceForPharmacyOrder(updated).catch((error) => {
+            console.error(`Invoicing pharmacy order ${updated.orderId} failed:`, error);
+        });
+    }
+
+    pushOrderUpdate(updated, { otp: issuedOtp });
+    return updated;
+};
+
+/**
+ * Load an order by its id and move it to a new status
+ */
+export const updateOrderStatus = async (orderId, to, actor, options) => {
+    const order = await PharmacyOrder.findOne({ orderId });
+    if (!order) {
+        throw new ApiError(404, "Order not found");
+    }
+    return transitionOrder(order, to, actor, options);
+};
+
+/**
+ * Mark a pharmacy order paid and turn its stock hold into a sale
+ *
+ * The order is confirmed unless its prescription is still waiting for a
+ * pharmacist, in which case approval confirms it.
+ *
+ * @param {string} gatewayOrderId - PharmacyOrder.orderId
+ * @returns {Document|null} - The updated order
+ */
+export const markOrderPaid = async (gatewayOrderId) => {
+    if (!gatewayOrderId) return null;
+
+    let order = await PharmacyOrder.findOneAndUpdate(
+        { orderId: gatewayOrderId },
+        { $set: { paymentStatus: 'paid' } },
+        { new: true }
+    );
+    if (!order) return null;
+
+    if (order.status === 'pending' && !pharmacyPrescriptionService.isAwaitingReview(order)) {
+        try {
+            order = await transitionOrder(order, 'confirmed', null, { note: 'payment received' });
+        } catch (error) {
+            // A retry of the same payment event may have confirmed it already
+            if (error.statusCode !== 409) throw error;
+        }
+    }
+    await pharmacyInventoryService.commitOrderStock(order);
+    return order;
+};
+
+/**
+ * Move an order on after a pharmacist reviewed its prescription
+ *
+ * Approval confirms a paid (or cash on delivery) order. Rejection cancels
+ * it, which gives its stock back.
+ */
+export const applyPrescriptionReview = async (order, reviewer) => {
+    if (order.prescription?.status === 'rejected') {
+        return transitionOrder(order, 'cancelled', reviewer, { note: `prescription rejected: ${order.prescription.reviewNote}` });
+    }
+
+    const payable = order.paymentStatus === 'paid' || order.paymentMethod === 'cash';
+    if (payable && order.status === 'pending') {
+        return transitionOrder(order, 'confirmed', reviewer, { note: 'prescription approved' });
+    }
+    return order;
+};
+
+/**
+ * Put a rider from the roster on an order
+ *
+ * Takes the named rider, or else the available rider who has waited longest
+ * (the order's own pharmacy first). A rider already on the order is swapped
+ * out and freed.
+ *
+ * @param {string} orderId - PharmacyOrder.orderId
+ * @param {Object} options
+ * @param {ObjectId} options.riderId - Rider to assign; picked automatically when missing
+ * @returns {Document} - The updated order
+ */
+export const assignRider = async (orderId, { riderId } = {}) => {
+    const order = await PharmacyOrder.findOne({ orderId });
+    if (!order) {
+        throw new ApiError(404, "Order not found");
+    }
+    if (!ASSIGNABLE_STATUSES.includes(order.status)) {
+        throw new ApiError(409, `A rider can't be assigned to a ${statusLabel(order.status)} order`);
+    }
+    if (riderId && !mongoose.Types.ObjectId.isValid(riderId)) {
+        throw new ApiError(400, "Invalid rider ID");
+    }
+
+    const now = new Date();
+    const claim = { $set: { status: 'on-delivery', currentOrderId: order.orderId, lastAssignedAt: now } };
+    const options = { new: true, sort: { lastAssignedAt: 1 } };
+    const available = { isActive: true, status: 'available' };
+
+    let rider = null;
+    if (riderId) {
+        rider = await Rider.findOneAndUpdate({ ...available, _id: riderId }, claim, options);
+        if (!rider) {
+            throw new ApiError(409, "That rider is not available");
+        }
+    } else {
+        rider = await Rider.findOneAndUpdate({ ...available, pharmacyId: order.pharmacyId }, claim, options)
+            || await Rider.findOneAndUpdate({ ...available, pharmacyId: null }, claim, options);
+        if (!rider) {
+            throw new ApiError(409, "No riders are available right now");
+        }
+    }
+
+    const updated = await PharmacyOrder.findOneAndUpdate(
+        { _id: order._id, status: { $in: ASSIGNABLE_STATUSES } },
+        {
+            $set: {
+                'deliveryDetails.riderId': rider._id,
+                'deliveryDetails.riderUserId': rider.userId,
+                'deliveryDetails.riderName': rider.name,
+                'deliveryDetails.riderPhone': rider.phone,
+                'deliveryDetails.assignedAt': now
+            }
+        },
+        { new: true }
+    );
+    if (!updated) {
+        await Rider.updateOne({ _id: rider._id, currentOrderId: order.orderId }, { $set: { status: 'available', currentOrderId: null } });
+        throw new ApiError(409, "This order was just updated by someone else. Please refresh and try again");
+    }
+
+    if (order.deliveryDetails?.riderId && !sameId(order.deliveryDetails.riderId, rider._id)) {
+        await releaseRider(order, false);
+    }
+
+    pushOrderUpdate(updated);
+    return updated;
+};
+
+/**
+ * Issue a fresh delivery code when the first one was lost or locked out
+ */
+export const resendDeliveryOtp = async (orderId, user) => {
+    const order = await PharmacyOrder.findOne({ orderId });
+    if (!order || !canViewOrder(order, user)) {
+        throw new ApiError(404, "Order not found");
+    }
+    if (!sameId(order.userId, user._id) && user.role !== 'admin') {
+        throw new ApiError(403, "Only the customer can request a new delivery code");
+    }
+    if (order.status !== 'out_for_delivery') {
+        throw new ApiError(409, "Delivery codes are only issued while the order is out for delivery");
+    }
+
+    const otp = generateOtp();
+    const updated = await PharmacyOrder.findOneAndUpdate(
+        { _id: order._id, status: 'out_for_delivery' },
+        { $set: { deliveryOtp: { code: otp, issuedAt: new Date(), attempts: 0 } } },
+        { new: true }
+    );
+    await sendDeliveryOtp(updated, otp);
+    pushOrderUpdate(updated, { otp });
+    return updated;
+};
+
+/**
+ * The rider's own roster entry
+ */
+const getRiderForUser = async (user) => {
+    const rider = await Rider.findOne({ userId: user._id });
+    if (!rider || !rider.isActive) {
+        throw new ApiError(404, "You are not on the rider roster");
+    }
+    return rider;
+};
+
+/**
+ * Riders go on or off duty; they can't leave in the middle of a delivery
+ */
+export const setRiderAvailability = async (user, status) => {
+    if (!['available', 'off-duty'].includes(status)) {
+        throw new ApiError(400, "Status must be available or off-duty");
+    }
+
+    const rider = await getRiderForUser(user);
+    if (rider.status === 'on-delivery') {
+        throw new ApiError(409, `Finish order ${rider.currentOrderId} before changing your status`);
+    }
+
+    rider.status = status;
+    await rider.save();
+    return rider;
+};
+
+/**
+ * The rider roster (admin)
+ */
+export const listRiders = async ({ status, pharmacyId } = {}) => {
+    const query = {};
+    if (status) query.status = status;
+    if (pharmacyId) query.pharmacyId = pharmacyId;
+    return Rider.find(query).sort({ name: 1 }).lean();
+};
+
+/**
+ * Put a user with the rider role on the roster (admin)
+ */
+export const addRider = async ({ userId, phone, vehicleNumber, pharmacyId } = {}) => {
+    const user = mongoose.Types.ObjectId.isValid(userId) ? await User.findById(userId).select('firstName lastName phone role') : null;
+    if (!user) {
+        throw new ApiError(404, "User not found");
+    }
+    if (user.role !== 'rider') {
+        throw new ApiError(400, "Give this user the rider role before adding them to the roster");
+    }
+    if (await Rider.exists({ userId })) {
+        throw new ApiError(409, "This user is already on the rider roster");
+    }
+
+    return Rider.create({
+        userId,
+        name: `${user.firstName} ${user.lastName}`.trim(),
+        phone: phone || user.phone,
+        vehicleNumber,
+        pharmacyId: pharmacyId || null
+    });
+};
+
+/**
+ * Change a rider's details or take them off the roster (admin)
+ */
+export const updateRider = async (riderId, data = {}) => {
+    const rider = mongoose.Types.ObjectId.isValid(riderId) ? await Rider.findById(riderId) : null;
+    if (!rider) {
+        throw new ApiError(404, "Rider not found");
+    }
+
+    const leaving = data.isActive === false || (data.status && data.status !== 'on-delivery');
+    if (rider.status === 'on-delivery' && leaving) {
+        throw new ApiError(409, `This rider is delivering order ${rider.currentOrderId}`);
+    }
+    if (data.status === 'on-delivery') {
+        throw new ApiError(400, "Riders go on delivery by being assigned an order");
+    }
+
+    RIDER_FIELDS
+        .filter(key => data[key] !== undefined)
+        .forEach(key => { rider[key] = data[key]; });
+    await rider.save();
+    return rider;
+};
+
+export default {
+    ORDER_TRANSITIONS,
+    canViewOrder,
+    orderForUser,
+    transitionOrder,
+    updateOrderStatus,
+    markOrderPaid,
+    applyPrescriptionReview,
+    assignRider,
+    resendDeliveryOtp,
+    setRiderAvailability,
+    listRiders,
+    addRider,
+    updateRider
+};
@@ -0,0 +1,346 @@
+import mongoose from "mongoose";
+import { Prescription } from "../models/prescription.model.js";
+import { PrescriptionUpload } from "../models/prescriptionUpload.model.js";
+import { PharmacyOrder } from "../models/pharmacyOrder.model.js";
+import { User } from "../models/User.model.js";
+import { Medicine } from "../models/medicine.model.js";
+import { ApiError } from "../utils/ApiError.js";
+import { uploadOnCloudinary } from "../utils/cloudinary.js";
+import { createNotification } from "../utils/notificationUtils.js";
+import { prescribedSubstitutionGroup } from "./medicineSubstitution.service.js";
+
+// Order statuses a prescription must be cleared for
+const RX_GATED_STATUSES = ['confirmed', 'packed', 'out_for_delivery', 'delivered'];
+
+// Statuses at which the medicines leave the pharmacy
+const DISPENSED_STATUSES = ['out_for_delivery', 'delivered'];
+
+const normalizeName = (value) => String(value || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Find the prescribed medication a catalogue medicine fills
+ *
+ * Catalogue names carry the strength ("Amoxicillin 500mg") while doctors
+ * write the drug and strength separately, so names match when either one
+ * contains the other. A generic in the same substitution group (ingredients,
+ * strength and form) fills it too, unless the doctor marked the item "no
+ * substitution"; then only the prescribed name does.
+ */
+const findMedication = (prescription, medicineName, substitutionGroup = null) => {
+    const name = normalizeName(medicineName);
+    if (!name) return null;
+
+    const nameMatches = (medication) =>
+        (medication.noSubstitution ? [medication.medicationName] : [medication.medicationName, medication.genericName])
+            .map(normalizeName)
+            .some(candidate => candidate && (name.includes(candidate) || candidate.includes(name)));
+
+    return prescription.medications.find(nameMatches)
+        || (substitutionGroup && prescription.medications.find(medication =>
+            !medication.noSubstitution && prescribedSubstitutionGroup(medication) === substitutionGroup))
+        || null;
+};
+
+/**
+ * Why one of our prescriptions cannot cover these lines, or null when it can
+ */
+const prescriptionRejection = (prescription, lines, substitutionGroups = new Map()) => {
+    if (!prescription.isActive) {
+        return "The selected prescription is no longer active";
+    }
+    if (prescription.dispenseStatus !== 'not-dispensed' && !(prescription.refillsRemaining > 0)) {
+        return "The selected prescription has no refills remaining";
+    }
+
+    for (const line of lines) {
+        const medication = findMedication(prescription, line.name, substitutionGroups.get(String(line.medicineId)));
+        if (!medication) {
+            return `${line.name} is not on the selected prescription`;
+        }
+        if (line.quantity > medication.quantity) {
+            return `The prescription covers at most ${medication.quantity} of ${line.name}`;
+        }
+    }
+    return null;
+};
+
+/**
+ * Check the Rx-only lines of a cart are covered by a prescription
+ *
+ * Coverage is either an active prescription written in our system for this
+ * patient (every Rx line on it, within the prescribed quantity, with a fill
+ * left) or a prescription image the shopper uploaded. Uploads are not read
+ * here; the order waits in `pending` until a pharmacist approves it.
+ *
+ * @param {ObjectId} userId - Shopper
+ * @param {Array} lines - Priced cart lines with requiresPrescription set
+ * @param {Object} coverage
+ * @param {ObjectId} coverage.prescriptionId - One of the patient's prescriptions
+ * @param {ObjectId} coverage.prescriptionUploadId - A prescription the shopper uploaded
+ * @returns {Object|undefined} - Quote prescription block, or undefined when nothing needs one
+ */
+export const checkPrescriptionCoverage = async (userId, lines, { prescriptionId, prescriptionUploadId } = {}) => {
+    const rxLines = lines.filter(line => line.requiresPrescription);
+    if (rxLines.length === 0) return undefined;
+
+    const rxNames = rxLines.map(line => line.name).join(', ');
+
+    if (prescriptionId) {
+        const user = await User.findById(userId).select('patientId').lean();
+        const prescription = mongoose.Types.ObjectId.isValid(prescriptionId) && user?.patientId
+            ? await Prescription.findOne({ _id: prescriptionId, patientId: user.patientId })
+            : null;
+        if (!prescription) {
+            throw new ApiError(404, "Prescription not found");
+        }
+
+        const medicines = await Medicine.find({ _id: { $in: rxLines.map(line => line.medicineId) } })
+            .select('substitutionGroup')
+            .lean();
+        const substitutionGroups = new Map(medicines.map(medicine => [medicine._id.toString(), medicine.substitutionGroup]));
+
+        const reason = prescriptionRejection(prescription, rxLines, substitutionGroups);
+        if (reason) {
+            throw new ApiError(400, reason);
+        }
+        return { required: true, prescriptionId: prescription._id, status: 'verified' };
+    }
+
+    if (prescriptionUploadId) {
+        const upload = mongoose.Types.ObjectId.isValid(prescriptionUploadId)
+            ? await PrescriptionUpload.findOne({ _id: prescriptionUploadId, userId }).lean()
+            : null;
+        if (!upload) {
+            throw new ApiError(404, "Uploaded prescription not found");
+        }
+        if (upload.status === 'rejected') {
+            throw new ApiError(400, "This prescription was rejected by our pharmacist. Please upload a valid prescription");
+        }
+        return { required: true, uploadId: upload._id, status: 'pending-review' };
+    }
+
+    throw new ApiError(400, `${rxNames} ${rxLines.length === 1 ? 'requires' : 'require'} a prescription`);
+};
+
+/**
+ * Store a prescription image the shopper attaches to their cart
+ */
+export const uploadPrescription = async (user, file) => {
+    if (!file) {
+        throw new ApiError(400, "Prescription file is required");
+    }
+
+    const uploaded = await uploadOnCloudinary(file.path, {
+        category: 'prescriptions',
+        uploadedBy: user._id.toString(),
+        documentType: 'prescription',
+        patientId: user.patientId?.toString()
+    });
+    if (!uploaded?.secureUrl) {
+        throw new ApiError(500, "Failed to upload prescription");
+    }
+
+    return PrescriptionUpload.create({
+        userId: user._id,
+        patientId: user.patientId,
+        fileUrl: uploaded.secureUrl,
+        fileName: file.originalname,
+        fileType: file.mimetype
+    });
+};
+
+/**
+ * Whether an order's prescription keeps it from moving past pending
+ */
+export const isAwaitingReview = (order) =>
+    ['pending-review', 'rejected'].includes(order?.prescription?.status);
+
+/**
+ * Refuse status changes a prescription has not cleared
+ */
+export const assertStatusAllowed = (order, status) => {
+    if (!RX_GATED_STATUSES.includes(status)) return;
+
+    if (order.prescription?.status === 'pending-review') {
+        throw new ApiError(409, "The prescription for this order has not been reviewed yet");
+    }
+    if (order.prescription?.status === 'rejected') {
+        throw new ApiError(409, "The prescription for this order was rejected");
+    }
+};
+
+/**
+ * Orders whose uploaded prescription is waiting for a pharmacist, oldest first
+ */
+export const listPendingReviews = async ({ page = 1, limit = 20 } = {}) => {
+    const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
+    const query = { 'prescription.status': 'pending-review', status: { $ne: 'cancelled' } };
+
+    const [orders, total] = await Promise.all([
+        PharmacyOrder.find(query)
+            .populate('prescription.uploadId', 'fileUrl fileName fileType createdAt')
+            .populate('userId', 'firstName lastName email phone')
+            .sort({ createdAt: 1 })
+            .skip((pageNumber - 1) * pageSize)
+            .limit(pageSize)
+            .lean(),
+        PharmacyOrder.countDocuments(query)
+    ]);
+
+    return {
+        orders,
+        pagination: {
+            currentPage: pageNumber,
+            totalPages: Math.ceil(total / pageSize),
+            total
+        }
+    };
+};
+
+/**
+ * Approve or reject the uploaded prescription on an order
+ *
+ * Records the pharmacist's decision and tells the patient. Moving the order
+ * on (confirming or cancelling it) is up to the caller.
+ *
+ * @param {string} orderId - PharmacyOrder.orderId
+ * @param {Object} reviewer - Pharmacist or admin
+ * @param {Object} review
+ * @param {string} review.decision - approve | reject
+ * @param {string} review.note - Shown to the patient on rejection
+ * @returns {Document} - The reviewed order
+ */
+export const reviewOrderPrescription = async (orderId, reviewer, { decision, note } = {}) => {
+    if (!['approve', 'reject'].includes(decision)) {
+        throw new ApiError(400, "Decision must be approve or reject");
+    }
+    if (decision === 'reject' && !note?.trim()) {
+        throw new ApiError(400, "A reason is required to reject a prescription");
+    }
+
+    const reviewedAt = new Date();
+    const approved = decision === 'approve';
+
+    // Claim the review so two pharmacists can't decide the same order
+    const order = await PharmacyOrder.findOneAndUpdate(
+        { orderId, 'prescription.status': 'pending-review', status: { $ne: 'cancelled' } },
+        {
+            $set: {
+                'prescription.status': approved ? 'approved' : 'rejected',
+                'prescription.reviewedBy': reviewer._id,
+                'prescription.reviewedAt': reviewedAt,
+                'prescription.reviewNote': note?.trim()
+            }
+        },
+        { new: true }
+    );
+
+    if (!order) {
+        const existing = await PharmacyOrder.findOne({ orderId }).select('prescription status').lean();
+        if (!existing) {
+            throw new ApiError(404, "Order not found");
+        }
+        throw new ApiError(409, "This order has no prescription waiting for review");
+    }
+
+    if (order.prescription.uploadId) {
+        await PrescriptionUpload.updateOne(
+            { _id: order.prescription.uploadId },
+            {
+                $set: {
+                    status: approved ? 'approved' : 'rejected',
+                    reviewedBy: reviewer._id,
+                    reviewedAt,
+                    reviewNote: note?.trim()
+                }
+            }
+        );
+    }
+
+    try {
+        await createNotification({
+            recipientId: order.userId,
+            recipientType: 'patient',
+            title: approved ? 'Prescription approved' : 'Prescription rejected',
+            message: approved
+                ? `Our pharmacist approved the prescription for order ${order.orderId}.`
+                : `Order ${order.orderId} was cancelled because its prescription could not be accepted: ${note.trim()}`,
+            notificationType: 'prescription',
+            category: 'pharmacy-order',
+            priority: approved ? 'medium' : 'high',
+            channels: ['in-app', 'email'],
+            metadata: {
+                entityType: 'PharmacyOrder',
+                entityId: order._id
+            }
+        });
+    } catch (error) {
+        console.error("Failed to send prescription review notification:", error.message);
+    }
+
+    return order;
+};
+
+/**
+ * Record that an order's medicines left the pharmacy against its prescription
+ *
+ * The first fill moves the prescription's dispense status; every later fill
+ * uses up one refill. Runs once per order.
+ *
+ * @param {Document} order - PharmacyOrder
+ * @returns {Document|null} - The prescription, when the order was filled against one
+ */
+export const dispenseOrderPrescription = async (order) => {
+    const prescriptionId = order.prescription?.prescriptionId;
+    if (!prescriptionId || order.prescription.dispensedAt) return null;
+
+    const dispensedAt = new Date();
+    const claimed = await PharmacyOrder.updateOne(
+        { _id: order._id, 'prescription.dispensedAt': null },
+        { $set: { 'prescription.dispensedAt': dispensedAt } }
+    );
+    if (!claimed.modifiedCount) return null;
+
+    const prescription = await Prescription.findById(prescriptionId);
+    if (!prescription) return null;
+
+    try {
+        if (prescription.dispenseStatus !== 'not-dispensed') {
+            await prescription.refill();
+        }
+    } catch (error) {
+        await PharmacyOrder.updateOne({ _id: order._id }, { $unset: { 'prescription.dispensedAt': 1 } });
+        throw new ApiError(409, "The prescription for this order has no refills remaining");
+    }
+
+    const medicines = await Medicine.find({ _id: { $in: order.items.map(item => item.medicineId) } })
+        .select('substitutionGroup')
+        .lean();
+    const substitutionGroups = new Map(medicines.map(medicine => [medicine._id.toString(), medicine.substitutionGroup]));
+    const covered = prescription.medications.every(medication =>
+        order.items.some(item => findMedication({ medications: [medication] }, item.name, substitutionGroups.get(String(item.medicineId))))
+    );
+    if (prescription.dispenseStatus !== 'fully-dispensed') {
+        await prescription.updateDispenseStatus(covered ? 'fully-dispensed' : 'partially-dispensed');
+    }
+
+    order.prescription.dispensedAt = dispensedAt;
+    return prescription;
+};
+
+/**
+ * Whether moving an order to this status hands its medicines over
+ */
+export const isDispensingStatus = (status) => DISPENSED_STATUSES.includes(status);
+
+export default {
+    checkPrescriptionCoverage,
+    uploadPrescription,
+    isAwaitingReview,
+    assertStatusAllowed,
+    listPendingReviews,
+    reviewOrderPrescription,
+    dispenseOrderPrescription,
+    isDispensingStatus
+};
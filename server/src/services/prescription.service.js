@@ -0,0 +1,86 @@
+import { Prescription } from "../models/prescription.model.js";
+import { ApiError } from "../utils/ApiError.js";
+import careTeamService from "./careTeam.service.js";
+import drugSafetyService from "./drugSafety.service.js";
+import prescriptionSigningService from "./prescriptionSigning.service.js";
+import prescriptionTemplateService from "./prescriptionTemplate.service.js";
+import medicationAdherenceService from "./medicationAdherence.service.js";
+
+const COURSE_UNIT_DAYS = { days: 1, weeks: 7, months: 30 };
+
+// Prescriptions stay valid at least this long, or until the longest course ends
+const MIN_VALIDITY_DAYS = 30;
+
+/**
+ * Length of a prescribed course in days (0 when no duration was given)
+ */
+export const courseDays = (medication) =>
+    (Number(medication.duration?.value) || 0) * (COURSE_UNIT_DAYS[medication.duration?.unit] || 1);
+
+const defaultExpiry = (medications, from = new Date()) => {
+    const expiry = new Date(from);
+    expiry.setDate(expiry.getDate() + Math.max(MIN_VALIDITY_DAYS, ...medications.map(courseDays)));
+    return expiry;
+};
+
+/**
+ * Write, safety-check and sign a prescription
+ *
+ * Runs the drug safety check (contraindications block, major findings need
+ * `safetyOverride.reason`), signs the prescription as `prescriber`, generates
+ * the patient's adherence schedules and counts the medicines towards the
+ * prescriber's favourites. Access to the patient is the caller's to check.
+ *
+ * @param {Object} prescriber - Doctor writing the prescription
+ * @param {Object} data
+ * @param {string} data.patientId - Patient id or the patient's user id
+ * @param {Array} data.medications - Prescription.medications entries
+ * @param {Object} data.safetyOverride - { reason } for major safety findings
+ * @returns {Document} - The signed prescription
+ */
+export const issuePrescription = async (prescriber, {
+    patientId,
+    medications,
+    diagnosis,
+    patientInstructions,
+    refillsAllowed,
+    expiryDate,
+    isPregnant,
+    safetyOverride,
+    ...links
+} = {}) => {
+    if (!Array.isArray(medications) || medications.length === 0) {
+        throw new ApiError(400, "At least one medication is required");
+    }
+
+    const safety = await drugSafetyService.checkPrescriptionSafety(patientId, medications, { pregnant: isPregnant === true });
+    const safetyReview = drugSafetyService.assertSafeToPrescribe(safety, safetyOverride, prescriber);
+
+    const prescription = await Prescription.create({
+        doctorId: prescriber._id,
+        patientId: await careTeamService.resolvePatientId(patientId),
+        appointmentId: links.appointmentId,
+        renewalOf: links.renewalOf,
+        refillRequestId: links.refillRequestId,
+        medications,
+        patientInstructions,
+        diagnosis,
+        refillsAllowed,
+        prescriptionDate: new Date(),
+        expiryDate: expiryDate || defaultExpiry(medications),
+        safetyReview,
+        createdBy: prescriber._id
+    });
+    const signed = await prescriptionSigningService.signPrescription(prescription._id, prescriber);
+
+    await Promise.all([
+        medicationAdherenceService.syncPrescriptionSchedules(prescription._id),
+        prescriptionTemplateService.recordMedicationUse(prescriber._id, medications)
+    ]);
+    return signed;
+};
+
+export default {
+    courseDays,
+    issuePrescription
+};
@@ -0,0 +1,392 @@
+import crypto from "crypto";
+import mongoose from "mongoose";
+import QRCode from "qrcode";
+import { Prescription } from "../models/prescription.model.js";
+import { DoctorSigningKey } from "../models/doctorSigningKey.model.js";
+import { Patient } from "../models/Patient.model.js";
+import { User } from "../models/User.model.js";
+import { Doctor } from "../models/Doctor.js";
+import { ApiError } from "../utils/ApiError.js";
+import { renderPrescriptionPdf } from "../utils/prescriptionPdfUtils.js";
+import careTeamService from "./careTeam.service.js";
+
+const SIGNATURE_ALGORITHM = 'ed25519';
+
+// Roles that may open any prescription
+const UNRESTRICTED_ROLES = ['admin', 'pharmacist'];
+
+/**
+ * Public base of the verification endpoint printed in the QR code
+ */
+const verificationBaseUrl = () =>
+    (process.env.PRESCRIPTION_VERIFY_URL
+        || `${process.env.PUBLIC_API_URL || `http://localhost:${process.env.PORT || 8000}`}/api/v1/prescriptions/verify`)
+        .replace(/\/$/, '');
+
+/**
+ * Key private keys are encrypted with at rest
+ */
+const getEncryptionKey = () =>
+    crypto
+        .createHash('sha256')
+        .update(process.env.PRESCRIPTION_SIGNING_SECRET || process.env.ACCESS_TOKEN_SECRET || 'prescription-signing')
+        .digest();
+
+const encryptPrivateKey = (pem) => {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+    const encrypted = Buffer.concat([cipher.update(pem, 'utf8'), cipher.final()]);
+    return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('hex')).join(':');
+};
+
+const decryptPrivateKey = (stored) => {
+    const [iv, tag, encrypted] = stored.split(':').map(part => Buffer.from(part, 'hex'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+const fingerprintOf = (publicKeyPem) =>
+    crypto.createHash('sha256')
+        .update(crypto.createPublicKey(publicKeyPem).export({ type: 'spki', format: 'der' }))
+        .digest('hex');
+
+/**
+ * The doctor's active signing key, created on first use
+ *
+ * @param {ObjectId} doctorId - User id of the doctor
+ * @returns {Document} - DoctorSigningKey with the encrypted private key selected
+ */
+export const getSigningKey = async (doctorId) => {
+    const existing = await DoctorSigningKey.findOne({ doctorId, isActive: true }).select('+privateKey');
+    if (existing) return existing;
+
+    const { publicKey, privateKey } = crypto.generateKeyPairSync(SIGNATURE_ALGORITHM);
+    const publicKeyPem = publicKey.export({ type: 'spki', format: 'pem' });
+
+    try {
+        return await DoctorSigningKey.create({
+            doctorId,
+            algorithm: SIGNATURE_ALGORITHM,
+            publicKey: publicKeyPem,
+            privateKey: encryptPrivateKey(privateKey.export({ type: 'pkcs8', format: 'pem' })),
+            fingerprint: fingerprintOf(publicKeyPem)
+        });
+    } catch (error) {
+        // Another request created the key first
+        if (error.code === 11000) {
+            return DoctorSigningKey.findOne({ doctorId, isActive: true }).select('+privateKey');
+        }
+        throw error;
+    }
+};
+
+/**
+ * JSON with object keys sorted, so the same contents always hash the same
+ */
+const canonicalJson = (value) => {
+    if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort()
+            .filter(key => value[key] !== undefined)
+            .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+            .join(',')}}`;
+    }
+    return JSON.stringify(value ?? null);
+};
+
+const idOf = (value) => (value?._id || value)?.toString() || null;
+const isoOf = (value) => (value ? new Date(value).toISOString() : null);
+
+/**
+ * The parts of a prescription the doctor's signature covers
+ *
+ * Status, refills used and dispensing move after signing and are left out.
+ */
+const signedContent = (prescription) => ({
+    prescriptionId: idOf(prescription._id),
+    doctorId: idOf(prescription.doctorId),
+    patientId: idOf(prescription.patientId),
+    prescriptionDate: isoOf(prescription.prescriptionDate),
+    expiryDate: isoOf(prescription.expiryDate),
+    diagnosis: prescription.diagnosis || null,
+    patientInstructions: prescription.patientInstructions || null,
+    refillsAllowed: prescription.refillsAllowed || 0,
+    medications: (prescription.medications || []).map(medication => ({
+        medicationName: medication.medicationName,
+        genericName: medication.genericName || null,
+        strength: medication.strength,
+        form: medication.form || null,
+        dosage: medication.dosage,
+        frequency: medication.frequency,
+        duration: medication.duration
+            ? { value: medication.duration.value, unit: medication.duration.unit }
+            : null,
+        quantity: medication.quantity,
+        route: medication.route || null,
+        instructions: medication.instructions || null,
+        // Only present when set, so prescriptions signed before the flag existed still verify
+        ...(medication.noSubstitution ? { noSubstitution: true } : {})
+    }))
+});
+
+const contentHashOf = (prescription) =>
+    crypto.createHash('sha256').update(canonicalJson(signedContent(prescription))).digest('hex');
+
+/**
+ * Sign a prescription with its doctor's key
+ *
+ * Only the prescribing doctor can sign, and only once; the signature covers
+ * the SHA-256 of the prescription's canonical contents.
+ *
+ * @param {ObjectId} prescriptionId
+ * @param {Object} doctor - Signing user
+ * @returns {Document} - The signed prescription
+ */
+export const signPrescription = async (prescriptionId, doctor) => {
+    const prescription = mongoose.Types.ObjectId.isValid(prescriptionId)
+        ? await Prescription.findById(prescriptionId)
+        : null;
+    if (!prescription || prescription.isDeleted) {
+        throw new ApiError(404, "Prescription not found");
+    }
+    if (prescription.doctorId.toString() !== doctor._id.toString()) {
+        throw new ApiError(403, "Only the prescribing doctor can sign this prescription");
+    }
+    if (prescription.digitalSignature?.contentHash) {
+        throw new ApiError(409, "This prescription is already signed");
+    }
+
+    const key = await getSigningKey(doctor._id);
+    const contentHash = contentHashOf(prescription);
+    const signature = crypto.sign(null, Buffer.from(contentHash), decryptPrivateKey(key.privateKey));
+
+    const digitalSignature = {
+        ...(prescription.digitalSignature?.toObject?.() || {}),
+        doctorSignature: signature.toString('base64url'),
+        signedDate: new Date(),
+        algorithm: SIGNATURE_ALGORITHM,
+        keyId: key._id,
+        contentHash,
+        verificationToken: crypto.randomBytes(18).toString('base64url')
+    };
+
+    // Claim the signature so two requests can't sign with different tokens
+    const signed = await Prescription.findOneAndUpdate(
+        { _id: prescription._id, 'digitalSignature.contentHash': { $exists: false } },
+        { $set: { digitalSignature } },
+        { new: true }
+    );
+    if (!signed) {
+        throw new ApiError(409, "This prescription is already signed");
+    }
+    return signed;
+};
+
+/**
+ * Check a prescription's signature and that its contents are unchanged
+ *
+ * @returns {Object} - { authentic, reason, key }
+ */
+export const verifySignature = async (prescription) => {
+    const signature = prescription.digitalSignature;
+    if (!signature?.contentHash || !signature.doctorSignature || !signature.keyId) {
+        return { authentic: false, reason: 'not-signed' };
+    }
+
+    const key = await DoctorSigningKey.findById(signature.keyId).lean();
+    if (!key || key.doctorId.toString() !== idOf(prescription.doctorId)) {
+        return { authentic: false, reason: 'unknown-key' };
+    }
+    if (contentHashOf(prescription) !== signature.contentHash) {
+        return { authentic: false, reason: 'contents-changed', key };
+    }
+
+    const valid = crypto.verify(
+        null,
+        Buffer.from(signature.contentHash),
+        key.publicKey,
+        Buffer.from(signature.doctorSignature, 'base64url')
+    );
+    return valid
+        ? { authentic: true, reason: null, key }
+        : { authentic: false, reason: 'bad-signature', key };
+};
+
+/**
+ * Link printed in the prescription's QR code
+ */
+export const verificationUrl = (prescription) =>
+    `${verificationBaseUrl()}/${prescription._id}?token=${encodeURIComponent(prescription.digitalSignature.verificationToken)}`;
+
+const tokensMatch = (expected, given) => {
+    const a = Buffer.from(String(expected || ''));
+    const b = Buffer.from(String(given || ''));
+    return a.length > 0 && a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+const initialsOf = (user) =>
+    [user?.firstName, user?.lastName].filter(Boolean).map(name => `${name[0].toUpperCase()}.`).join(' ');
+
+/**
+ * What a pharmacy sees after scanning a prescription's QR code
+ *
+ * Needs the token from the QR code, and shows the patient only by initials.
+ *
+ * @param {ObjectId} prescriptionId
+ * @param {string} token - digitalSignature.verificationToken
+ * @returns {Object} - Authenticity and dispense status
+ */
+export const getPublicVerification = async (prescriptionId, token) => {
+    const prescription = mongoose.Types.ObjectId.isValid(prescriptionId)
+        ? await Prescription.findOne({ _id: prescriptionId, isDeleted: { $ne: true } })
+            .select('+digitalSignature.verificationToken')
+            .lean()
+        : null;
+    if (!prescription || !tokensMatch(prescription.digitalSignature?.verificationToken, token)) {
+        throw new ApiError(404, "Prescription not found");
+    }
+
+    const [{ authentic, reason, key }, doctor, patient] = await Promise.all([
+        verifySignature(prescription),
+        User.findById(prescription.doctorId).select('firstName lastName medicalLicense specialization').lean(),
+        Patient.findById(prescription.patientId).select('user').populate('user', 'firstName lastName').lean()
+    ]);
+
+    const expired = !prescription.expiryDate || new Date(prescription.expiryDate) <= new Date();
+
+    return {
+        authentic,
+        reason,
+        prescriptionId: prescription._id,
+        prescriptionDate: prescription.prescriptionDate,
+        expiryDate: prescription.expiryDate,
+        status: expired && prescription.status === 'active' ? 'expired' : prescription.status,
+        dispenseStatus: prescription.dispenseStatus,
+        refillsAllowed: prescription.refillsAllowed,
+        refillsRemaining: prescription.refillsRemaining,
+        lastRefillDate: prescription.lastRefillDate,
+        patientInitials: initialsOf(patient?.user),
+        doctor: {
+            name: [doctor?.firstName, doctor?.lastName].filter(Boolean).join(' '),
+            registrationNumber: doctor?.medicalLicense || null,
+            specialization: doctor?.specialization || null
+        },
+        signature: {
+            signedAt: prescription.digitalSignature.signedDate,
+            algorithm: prescription.digitalSignature.algorithm,
+            keyFingerprint: key?.fingerprint || null
+        },
+        medications: prescription.medications.map(medication => ({
+            name: medication.medicationName,
+            genericName: medication.genericName,
+            strength: medication.strength,
+            form: medication.form,
+            dosage: medication.dosage,
+            frequency: medication.frequency,
+            duration: medication.duration,
+            quantity: medication.quantity,
+            noSubstitution: Boolean(medication.noSubstitution)
+        }))
+    };
+};
+
+/**
+ * Whether a user may open a prescription's document
+ */
+export const canAccessPrescription = async (user, prescription) => {
+    if (UNRESTRICTED_ROLES.includes(user.role)) return true;
+
+    if (user.role === 'patient') {
+        const patient = await Patient.findOne({ _id: prescription.patientId, user: user._id }).select('_id').lean();
+        return Boolean(patient);
+    }
+
+    if (user.role === 'doctor') {
+        return prescription.doctorId.toString() === user._id.toString()
+            || careTeamService.hasAccess(user._id, prescription.patientId);
+    }
+    return false;
+};
+
+/**
+ * Build the printable PDF of a prescription
+ *
+ * Unsigned prescriptions are signed when their own doctor downloads them;
+ * anyone else gets the document marked as not digitally signed and without
+ * a QR code.
+ *
+ * @param {ObjectId} prescriptionId
+ * @param {Object} user - Requesting user
+ * @returns {Object} - { buffer, filename }
+ */
+export const buildPrescriptionDocument = async (prescriptionId, user) => {
+    const findPrescription = () => Prescription.findOne({ _id: prescriptionId, isDeleted: { $ne: true } })
+        .select('+digitalSignature.verificationToken');
+
+    let prescription = mongoose.Types.ObjectId.isValid(prescriptionId) ? await findPrescription() : null;
+    if (!prescription) {
+        throw new ApiError(404, "Prescription not found");
+    }
+    if (!(await canAccessPrescription(user, prescription))) {
+        throw new ApiError(403, "You do not have access to this prescription");
+    }
+
+    if (!prescription.digitalSignature?.contentHash && prescription.doctorId.toString() === user._id.toString()) {
+        await signPrescription(prescription._id, user);
+        prescription = await findPrescription();
+    }
+
+    const [doctor, patient, verification] = await Promise.all([
+        User.findById(prescription.doctorId)
+            .select('firstName lastName email phoneNumber specialization qualification medicalLicense department address')
+            .lean(),
+        Patient.findById(prescription.patientId)
+            .select('user medicalRecordNumber bloodType')
+            .populate('user', 'firstName lastName dateOfBirth gender phoneNumber')
+            .lean(),
+        verifySignature(prescription)
+    ]);
+    const profile = doctor?.email
+        ? await Doctor.findOne({ email: doctor.email })
+            .select('clinicName hospitalName address city state phone licenseNumber')
+            .lean()
+        : null;
+
+    const signed = verification.authentic;
+    const qrCode = signed
+        ? await QRCode.toBuffer(verificationUrl(prescription), { type: 'png', margin: 1, width: 160 })
+        : null;
+
+    const buffer = await renderPrescriptionPdf({
+        prescription: prescription.toObject(),
+        doctor,
+        profile,
+        patient,
+        signature: signed
+            ? {
+                signedAt: prescription.digitalSignature.signedDate,
+                algorithm: prescription.digitalSignature.algorithm,
+                fingerprint: verification.key.fingerprint,
+                contentHash: prescription.digitalSignature.contentHash
+            }
+            : null,
+        unsignedReason: verification.reason,
+        qrCode
+    });
+
+    return {
+        buffer,
+        filename: `prescription-${prescription._id}.pdf`
+    };
+};
+
+export default {
+    getSigningKey,
+    signPrescription,
+    verifySignature,
+    verificationUrl,
+    getPublicVerification,
+    canAccessPrescription,
+    buildPrescriptionDocument
+};
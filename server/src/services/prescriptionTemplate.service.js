@@ -0,0 +1,234 @@
+import mongoose from "mongoose";
+import { PrescriptionTemplate } from "../models/prescriptionTemplate.model.js";
+import { FavouriteMedication } from "../models/favouriteMedication.model.js";
+import { ApiError } from "../utils/ApiError.js";
+
+const MEDICATION_FIELDS = [
+    'medicationName', 'genericName', 'strength', 'form', 'dosage', 'frequency',
+    'timing', 'duration', 'quantity', 'route', 'instructions'
+];
+
+const TEMPLATE_FIELDS = ['name', 'description', 'diagnosis', 'medications', 'patientInstructions', 'visibility'];
+
+const normalizeKey = (value) => String(value || '').toLowerCase().replace(/[^a-z0-9]+/g, '');
+
+const favouriteKey = (medication) => normalizeKey(`${medication.medicationName} ${medication.strength || ''}`);
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Keep only the prescription fields a template or favourite stores
+ */
+const pickMedication = (medication = {}) => MEDICATION_FIELDS.reduce((picked, field) => {
+    if (medication[field] !== undefined && medication[field] !== '') picked[field] = medication[field];
+    return picked;
+}, {});
+
+/**
+ * Templates a doctor may use: their own, and ones shared with their department
+ */
+const visibleFilter = (user) => {
+    const visible = [{ doctorId: user._id }];
+    if (user.department) {
+        visible.push({ visibility: 'department', department: user.department });
+    }
+    return { isArchived: false, $or: visible };
+};
+
+const findTemplate = async (templateId, filter = {}) => {
+    const template = mongoose.Types.ObjectId.isValid(templateId)
+        ? await PrescriptionTemplate.findOne({ _id: templateId, isArchived: false, ...filter })
+        : null;
+    if (!template) {
+        throw new ApiError(404, "Prescription template not found");
+    }
+    return template;
+};
+
+const assertOwner = (template, user) => {
+    if (template.doctorId.toString() !== user._id.toString()) {
+        throw new ApiError(403, "Only the doctor who created this template can change it");
+    }
+};
+
+/**
+ * Templates the doctor can prescribe from, most used first
+ *
+ * @param {Object} user - Doctor
+ * @param {Object} options
+ * @param {string} options.scope - mine | department | all
+ * @param {string} options.search - Matches template name or diagnosis
+ */
+export const listTemplates = async (user, { scope = 'all', search } = {}) => {
+    const query = visibleFilter(user);
+    if (scope === 'mine') {
+        query.$or = [{ doctorId: user._id }];
+    } else if (scope === 'department') {
+        query.$or = [{ visibility: 'department', department: user.department || null, doctorId: { $ne: user._id } }];
+    }
+    if (search?.trim()) {
+        const pattern = new RegExp(escapeRegex(search.trim()), 'i');
+        query.$and = [{ $or: [{ name: pattern }, { diagnosis: pattern }] }];
+    }
+
+    return PrescriptionTemplate.find(query)
+        .populate('doctorId', 'firstName lastName department')
+        .sort({ 'usage.count': -1, updatedAt: -1 })
+        .lean();
+};
+
+/**
+ * A template the doctor can see
+ */
+export const getTemplate = (templateId, user) => findTemplate(templateId, visibleFilter(user));
+
+/**
+ * Save a new template; sharing needs the doctor to belong to a department
+ */
+export const createTemplate = async (user, data = {}) => {
+    const visibility = data.visibility || 'private';
+    if (visibility === 'department' && !user.department) {
+        throw new ApiError(400, "Add your department to your profile before sharing templates");
+    }
+
+    return PrescriptionTemplate.create({
+        doctorId: user._id,
+        name: data.name,
+        description: data.description,
+        diagnosis: data.diagnosis,
+        medications: (data.medications || []).map(pickMedication),
+        patientInstructions: data.patientInstructions,
+        visibility,
+        department: visibility === 'department' ? user.department : undefined
+    });
+};
+
+/**
+ * Edit or share/unshare one of the doctor's own templates
+ */
+export const updateTemplate = async (templateId, user, data = {}) => {
+    const template = await findTemplate(templateId);
+    assertOwner(template, user);
+
+    for (const field of TEMPLATE_FIELDS) {
+        if (data[field] === undefined) continue;
+        template[field] = field === 'medications' ? data.medications.map(pickMedication) : data[field];
+    }
+    if (data.visibility === 'department') {
+        if (!user.department) {
+            throw new ApiError(400, "Add your department to your profile before sharing templates");
+        }
+        template.department = user.department;
+    } else if (data.visibility === 'private') {
+        template.department = undefined;
+    }
+
+    await template.save();
+    return template;
+};
+
+/**
+ * Retire a template; prescriptions written from it are unaffected
+ */
+export const archiveTemplate = async (templateId, user) => {
+    const template = await findTemplate(templateId);
+    assertOwner(template, user);
+
+    template.isArchived = true;
+    await template.save();
+    return template;
+};
+
+/**
+ * Count a prescription written from a template
+ */
+export const recordTemplateUse = (templateId, doctorId) =>
+    PrescriptionTemplate.updateOne(
+        { _id: templateId },
+        {
+            $inc: { 'usage.count': 1 },
+            $set: { 'usage.lastUsedAt': new Date() },
+            $addToSet: { 'usage.doctors': doctorId }
+        }
+    );
+
+/**
+ * The doctor's favourite drugs: pinned ones first, then the most prescribed
+ */
+export const listFavourites = async (user, { limit = 20 } = {}) => {
+    const pageSize = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
+    return FavouriteMedication.find({ doctorId: user._id })
+        .sort({ isPinned: -1, usageCount: -1, lastUsedAt: -1 })
+        .limit(pageSize)
+        .lean();
+};
+
+/**
+ * Pin a drug, with the dosing to prefill, to the doctor's favourites
+ */
+export const pinFavourite = async (user, medication = {}) => {
+    if (!medication.medicationName?.trim()) {
+        throw new ApiError(400, "Medication name is required");
+    }
+
+    return FavouriteMedication.findOneAndUpdate(
+        { doctorId: user._id, key: favouriteKey(medication) },
+        { $set: { medication: pickMedication(medication), isPinned: true } },
+        { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+};
+
+/**
+ * Unpin a favourite; drugs the doctor has never prescribed are removed
+ */
+export const unpinFavourite = async (favouriteId, user) => {
+    const favourite = mongoose.Types.ObjectId.isValid(favouriteId)
+        ? await FavouriteMedication.findOne({ _id: favouriteId, doctorId: user._id })
+        : null;
+    if (!favourite) {
+        throw new ApiError(404, "Favourite not found");
+    }
+
+    if (favourite.usageCount > 0) {
+        favourite.isPinned = false;
+        await favourite.save();
+        return favourite;
+    }
+    await favourite.deleteOne();
+    return null;
+};
+
+/**
+ * Count the drugs on a new prescription towards the doctor's favourites,
+ * remembering the latest dosing for each
+ */
+export const recordMedicationUse = (doctorId, medications = []) => {
+    const usedAt = new Date();
+    const operations = medications
+        .filter(medication => medication.medicationName)
+        .map(medication => ({
+            updateOne: {
+                filter: { doctorId, key: favouriteKey(medication) },
+                update: {
+                    $set: { medication: pickMedication(medication), lastUsedAt: usedAt },
+                    $inc: { usageCount: 1 }
+                },
+                upsert: true
+            }
+        }));
+
+    return operations.length > 0 ? FavouriteMedication.bulkWrite(operations, { ordered: false }) : null;
+};
+
+export default {
+    listTemplates,
+    getTemplate,
+    createTemplate,
+    updateTemplate,
+    archiveTemplate,
+    recordTemplateUse,
+    listFavourites,
+    pinFavourite,
+    unpinFavourite,
+    recordMedicationUse
+};
@@ -0,0 +1,429 @@
+import mongoose from "mongoose";
+import { RefillRequest } from "../models/refillRequest.model.js";
+import { Prescription } from "../models/prescription.model.js";
+import { Medicine } from "../models/medicine.model.js";
+import { Notification } from "../models/notification.model.js";
+import { ApiError } from "../utils/ApiError.js";
+import { createNotification, deliverNotification } from "../utils/notificationUtils.js";
+import { toDateKey } from "../utils/dateTimeUtils.js";
+import careTeamService from "./careTeam.service.js";
+import prescriptionService from "./prescription.service.js";
+import { parseDosesPerDay } from "./drugSafety.service.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Prescriptions a patient may ask to have renewed
+const REFILLABLE_STATUSES = ['active', 'expired', 'completed'];
+
+// Doctor decisions and the request status each one leads to
+const DECISIONS = {
+    approve: 'approved',
+    modify: 'modified',
+    deny: 'denied',
+    'follow-up': 'follow-up-required'
+};
+
+// Remind patients this many days before their supply runs out
+const SUPPLY_REMINDER_LEAD_DAYS = 3;
+
+// Most packs of one medicine a pharmacy cart takes (see pharmacyCart.service.js)
+const MAX_PACKS_PER_LINE = 20;
+
+const normalizeName = (value) => String(value || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const medicineLabel = (medication) => [medication.medicationName, medication.strength].filter(Boolean).join(' ');
+
+/**
+ * Units (tablets, capsules, puffs…) taken per dose, or null for liquids and
+ * doses written in a way we can't count
+ */
+const unitsPerDose = (medication) => {
+    const dosage = String(medication.dosage || '').toLowerCase();
+    if (/\b(ml|drops?|mg|g|mcg)\b/.test(dosage)) return null;
+    if (/\b(half|½)\b/.test(dosage)) return 0.5;
+
+    const count = dosage.match(/(\d+(?:\.\d+)?)/);
+    if (count) return parseFloat(count[1]);
+    return ['tablet', 'capsule', 'inhaler'].includes(medication.form || 'tablet') ? 1 : null;
+};
+
+/**
+ * When a prescribed medicine runs out, from its quantity and dosing
+ *
+ * Supply is counted from the last refill (or the prescription date) and
+ * falls back to the course length when the dosing can't be read.
+ *
+ * @returns {Object|null} - { supplyDays, runsOutOn, courseEndsOn }, or null for as-needed medicines
+ */
+export const estimateSupply = (prescription, medication) => {
+    const dosesPerDay = parseDosesPerDay(medication.frequency);
+    if (!dosesPerDay) return null;
+
+    const start = new Date(prescription.lastRefillDate || prescription.prescriptionDate || prescription.createdAt);
+    const perDose = unitsPerDose(medication);
+    const supplyDays = perDose
+        ? Math.floor(medication.quantity / (perDose * dosesPerDay))
+        : prescriptionService.courseDays(medication);
+    if (!supplyDays) return null;
+
+    const course = prescriptionService.courseDays(medication);
+    const issuedOn = new Date(prescription.prescriptionDate || prescription.createdAt);
+    return {
+        supplyDays,
+        runsOutOn: new Date(start.getTime() + supplyDays * DAY_MS),
+        courseEndsOn: course ? new Date(issuedOn.getTime() + course * DAY_MS) : null
+    };
+};
+
+/**
+ * Medicines on a prescription that run out before the patient is done with them
+ */
+const medicinesRunningOut = (prescription, before) => prescription.medications
+    .map(medication => ({ medication, supply: estimateSupply(prescription, medication) }))
+    .filter(({ supply }) => supply && supply.runsOutOn <= before)
+    .filter(({ supply }) => prescription.refillsRemaining > 0
+        || (supply.courseEndsOn && supply.courseEndsOn.getTime() - supply.runsOutOn.getTime() >= DAY_MS));
+
+const findRequest = async (requestId) => {
+    const request = mongoose.Types.ObjectId.isValid(requestId)
+        ? await RefillRequest.findById(requestId)
+        : null;
+    if (!request) {
+        throw new ApiError(404, "Refill request not found");
+    }
+    return request;
+};
+
+const notifyPatient = async (request, { title, message, priority = 'medium' }) => {
+    const prescription = await Prescription.findById(request.prescriptionId)
+        .select('patientId')
+        .populate('patientId', 'user')
+        .lean();
+    const userId = prescription?.patientId?.user || request.requestedBy;
+
+    const notification = await createNotification({
+        recipientId: userId,
+        recipientType: 'patient',
+        title,
+        message,
+        notificationType: 'prescription',
+        category: 'refill-request',
+        priority,
+        channels: ['in-app', 'sms'],
+        metadata: { prescriptionId: request.newPrescriptionId || request.prescriptionId, entityType: 'RefillRequest', entityId: request._id }
+    });
+    await deliverNotification(notification);
+};
+
+/**
+ * Ask the prescribing doctor to renew a prescription
+ *
+ * @param {Object} user - Patient
+ * @param {string} prescriptionId - One of the patient's prescriptions
+ * @param {Object} data
+ * @param {boolean} data.createOrderDraft - Put the approved medicines in a pharmacy cart
+ */
+export const requestRefill = async (user, prescriptionId, { pharmacyId, notes, createOrderDraft } = {}) => {
+    const patientId = await careTeamService.resolvePatientId(user._id);
+    const prescription = patientId && mongoose.Types.ObjectId.isValid(prescriptionId)
+        ? await Prescription.findOne({ _id: prescriptionId, patientId, isDeleted: { $ne: true } })
+        : null;
+    if (!prescription) {
+        throw new ApiError(404, "Prescription not found");
+    }
+    if (!REFILLABLE_STATUSES.includes(prescription.status)) {
+        throw new ApiError(400, `A ${prescription.status} prescription cannot be refilled`);
+    }
+
+    let request;
+    try {
+        request = await RefillRequest.create({
+            prescriptionId: prescription._id,
+            patientId,
+            requestedBy: user._id,
+            doctorId: prescription.doctorId,
+            pharmacyId: mongoose.Types.ObjectId.isValid(pharmacyId) ? pharmacyId : undefined,
+            notes,
+            wantsOrderDraft: createOrderDraft === true
+        });
+    } catch (error) {
+        if (error.code === 11000) {
+            throw new ApiError(409, "A refill request for this prescription is already waiting for your doctor");
+        }
+        throw error;
+    }
+
+    await createNotification({
+        recipientId: prescription.doctorId,
+        recipientType: 'doctor',
+        title: 'Refill request',
+        message: `${user.firstName || 'A patient'} ${user.lastName || ''} asked for a refill of ${prescription.medications.map(medicineLabel).join(', ')}.`.replace(/\s+/g, ' '),
+        notificationType: 'prescription',
+        category: 'refill-request',
+        channels: ['in-app'],
+        metadata: { prescriptionId: prescription._id, entityType: 'RefillRequest', entityId: request._id }
+    });
+
+    return request;
+};
+
+/**
+ * A patient's refill requests, newest first
+ */
+export const listPatientRequests = async (user, { status } = {}) => {
+    const patientId = await careTeamService.resolvePatientId(user._id);
+    if (!patientId) {
+        throw new ApiError(404, "Patient not found");
+    }
+
+    const query = { patientId };
+    if (status) query.status = status;
+    return RefillRequest.find(query)
+        .populate('prescriptionId', 'medications prescriptionDate status')
+        .populate('doctorId', 'firstName lastName')
+        .sort({ createdAt: -1 })
+        .lean();
+};
+
+/**
+ * Withdraw a request the doctor hasn't acted on
+ */
+export const cancelRequest = async (requestId, user) => {
+    const request = await findRequest(requestId);
+    if (request.requestedBy.toString() !== user._id.toString()) {
+        throw new ApiError(403, "You can only cancel your own refill requests");
+    }
+
+    const cancelled = await RefillRequest.findOneAndUpdate(
+        { _id: request._id, status: 'pending' },
+        { $set: { status: 'cancelled' } },
+        { new: true }
+    );
+    if (!cancelled) {
+        throw new ApiError(409, `This request was already ${request.status}`);
+    }
+    return cancelled;
+};
+
+/**
+ * The doctor's refill inbox, oldest first, with how long each patient's
+ * supply lasts
+ *
+ * Admins see every doctor's requests.
+ */
+export const listInbox = async (doctor, { status = 'pending', page = 1, limit = 20 } = {}) => {
+    const query = doctor.role === 'admin' ? {} : { doctorId: doctor._id };
+    if (status !== 'all') query.status = status;
+
+    const pageNum = Math.max(parseInt(page, 10) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
+    const [requests, total] = await Promise.all([
+        RefillRequest.find(query)
+            .populate('prescriptionId')
+            .populate({ path: 'patientId', select: 'user medicalRecordNumber', populate: { path: 'user', select: 'firstName lastName dateOfBirth gender' } })
+            .sort({ createdAt: status === 'pending' ? 1 : -1 })
+            .skip((pageNum - 1) * pageSize)
+            .limit(pageSize)
+            .lean(),
+        RefillRequest.countDocuments(query)
+    ]);
+
+    const withSupply = requests.map(request => ({
+        ...request,
+        supply: request.prescriptionId
+            ? request.prescriptionId.medications.map(medication => ({
+                medicationName: medicineLabel(medication),
+                ...estimateSupply(request.prescriptionId, medication)
+            }))
+            : []
+    }));
+
+    return {
+        requests: withSupply,
+        pagination: { page: pageNum, limit: pageSize, total, pages: Math.ceil(total / pageSize) }
+    };
+};
+
+/**
+ * Catalogue medicines, in packs, for the medicines on a prescription
+ */
+const buildOrderDraft = async (prescription, pharmacyId) => {
+    const items = [];
+    const unmatched = [];
+    for (const medication of prescription.medications) {
+        const firstWord = String(medication.medicationName || '').trim().split(/\s+/)[0];
+        const candidates = firstWord
+            ? await Medicine.find({ name: new RegExp(`^${escapeRegex(firstWord)}`, 'i') }).select('name packaging').lean()
+            : [];
+        const wanted = normalizeName(`${medication.medicationName}${medication.strength || ''}`);
+        const match = candidates.find(medicine => normalizeName(medicine.name) === wanted)
+            || candidates.find(medicine => wanted.includes(normalizeName(medicine.name)) || normalizeName(medicine.name).includes(wanted));
+        if (!match) {
+            unmatched.push(medicineLabel(medication));
+            continue;
+        }
+
+        const packSize = parseInt(String(match.packaging || '').match(/(\d+)/)?.[1], 10) || 1;
+        items.push({
+            medicineId: match._id,
+            name: match.name,
+            quantity: Math.min(Math.max(Math.ceil(medication.quantity / packSize), 1), MAX_PACKS_PER_LINE)
+        });
+    }
+
+    return { pharmacyId, items, unmatched, createdAt: new Date() };
+};
+
+/**
+ * Act on a refill request
+ *
+ * approve re-issues the prescription as written; modify issues the doctor's
+ * edited medicines. Both produce a new signed, dispensable prescription
+ * linked to the original. deny and follow-up need a reason for the patient.
+ *
+ * @param {string} requestId - RefillRequest id
+ * @param {Object} doctor - Prescribing doctor (or an admin)
+ * @param {Object} data
+ * @param {string} data.decision - approve | modify | deny | follow-up
+ * @param {Array} data.medications - Edited medicines, for modify
+ * @param {Object} data.safetyOverride - { reason } for major safety findings
+ * @param {boolean} data.createOrderDraft - Override the patient's draft preference
+ */
+export const decideRequest = async (requestId, doctor, data = {}) => {
+    const { decision, reason, note } = data;
+    const status = DECISIONS[decision];
+    if (!status) {
+        throw new ApiError(400, "Decision must be approve, modify, deny or follow-up");
+    }
+    if (['deny', 'follow-up'].includes(decision) && !reason?.trim()) {
+        throw new ApiError(400, "Give the patient a reason");
+    }
+    if (decision === 'modify' && !(Array.isArray(data.medications) && data.medications.length)) {
+        throw new ApiError(400, "Send the modified medications");
+    }
+
+    const request = await findRequest(requestId);
+    if (doctor.role !== 'admin' && request.doctorId.toString() !== doctor._id.toString()) {
+        throw new ApiError(403, "Only the prescribing doctor can act on this refill request");
+    }
+
+    // Claim the request so two decisions can't both go through
+    const decidedAt = new Date();
+    const claimed = await RefillRequest.findOneAndUpdate(
+        { _id: request._id, status: 'pending' },
+        { $set: { status, decision: { by: doctor._id, at: decidedAt, reason: reason?.trim(), note } } },
+        { new: true }
+    );
+    if (!claimed) {
+        throw new ApiError(409, `This request was already ${request.status}`);
+    }
+
+    if (['deny', 'follow-up'].includes(decision)) {
+        await notifyPatient(claimed, decision === 'deny'
+            ? { title: 'Refill request declined', message: `Your doctor declined your refill request: ${claimed.decision.reason}` }
+            : {
+                title: 'Follow-up visit needed',
+                message: `Your doctor would like to see you before renewing this prescription: ${claimed.decision.reason}. Please book an appointment.`,
+                priority: 'high'
+            });
+        return claimed;
+    }
+
+    const original = await Prescription.findById(claimed.prescriptionId).lean();
+    let prescription;
+    try {
+        prescription = await prescriptionService.issuePrescription(doctor, {
+            patientId: claimed.patientId,
+            medications: decision === 'modify'
+                ? data.medications
+                : original.medications.map(({ _id, ...medication }) => medication),
+            diagnosis: data.diagnosis ?? original.diagnosis,
+            patientInstructions: data.patientInstructions ?? original.patientInstructions,
+            refillsAllowed: data.refillsAllowed ?? 0,
+            isPregnant: data.isPregnant,
+            safetyOverride: data.safetyOverride,
+            renewalOf: original._id,
+            refillRequestId: claimed._id
+        });
+    } catch (error) {
+        // Let the doctor try again, e.g. with a safety override
+        await RefillRequest.updateOne({ _id: claimed._id }, { $set: { status: 'pending' }, $unset: { decision: 1 } });
+        throw error;
+    }
+
+    claimed.newPrescriptionId = prescription._id;
+    if (data.createOrderDraft ?? claimed.wantsOrderDraft) {
+        claimed.orderDraft = await buildOrderDraft(prescription, claimed.pharmacyId);
+    }
+    await claimed.save();
+
+    await notifyPatient(claimed, {
+        title: 'Refill approved',
+        message: decision === 'modify'
+            ? 'Your doctor renewed your prescription with some changes. Check the new prescription before ordering.'
+            : 'Your doctor renewed your prescription. It is ready to be dispensed.'
+    });
+    return claimed;
+};
+
+/**
+ * Remind patients a few days before a medicine runs out (once per fill)
+ *
+ * Only medicines the patient still needs are counted: ones with refills left,
+ * or whose course lasts longer than the supply.
+ */
+export const sendSupplyReminders = async () => {
+    const now = new Date();
+    const horizon = new Date(now.getTime() + SUPPLY_REMINDER_LEAD_DAYS * DAY_MS);
+
+    const prescriptions = await Prescription.find({ status: 'active', isDeleted: { $ne: true } })
+        .populate({ path: 'patientId', select: 'user', populate: { path: 'user', select: 'firstName' } });
+
+    let sent = 0;
+    for (const prescription of prescriptions) {
+        const user = prescription.patientId?.user;
+        if (!user) continue;
+
+        const runningOut = medicinesRunningOut(prescription, horizon)
+            .filter(({ supply }) => supply.runsOutOn.getTime() > now.getTime() - DAY_MS);
+        if (!runningOut.length) continue;
+
+        const alreadyReminded = await Notification.exists({
+            'metadata.prescriptionId': prescription._id,
+            category: 'refill-reminder',
+            createdAt: { $gte: prescription.lastRefillDate || prescription.createdAt }
+        });
+        if (alreadyReminded) continue;
+
+        const firstRunOut = runningOut.reduce((soonest, { supply }) => Math.min(soonest, supply.runsOutOn.getTime()), Infinity);
+        const names = runningOut.map(({ medication }) => medicineLabel(medication)).join(', ');
+        const notification = await createNotification({
+            recipientId: user._id,
+            recipientType: 'patient',
+            title: 'Medicine running low',
+            message: prescription.refillsRemaining > 0
+                ? `Your ${names} will run out around ${toDateKey(firstRunOut)}. You have ${prescription.refillsRemaining} refill(s) left — order now to avoid a gap.`
+                : `Your ${names} will run out around ${toDateKey(firstRunOut)}. Request a refill so your doctor can renew the prescription in time.`,
+            notificationType: 'prescription',
+            category: 'refill-reminder',
+            channels: ['in-app', 'sms'],
+            metadata: { prescriptionId: prescription._id }
+        });
+        await deliverNotification(notification);
+        sent++;
+    }
+
+    return { sent };
+};
+
+export default {
+    estimateSupply,
+    requestRefill,
+    listPatientRequests,
+    cancelRequest,
+    listInbox,
+    decideRequest,
+    sendSupplyReminders
+};
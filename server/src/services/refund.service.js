@@ -0,0 +1,564 @@
+import mongoose from "mongoose";
+import { Refund, REFUND_STATUSES, REFUND_DESTINATIONS } from "../models/refund.model.js";
+import { Payment } from "../models/payment.model.js";
+import { Appointment } from "../models/appointment.model.js";
+import { PharmacyOrder } from "../models/pharmacyOrder.model.js";
+import { User } from "../models/User.model.js";
+import { ApiError } from "../utils/ApiError.js";
+import { refundRazorpayPayment } from "../utils/razorpayUtils.js";
+import { sendRefundConfirmation } from "../utils/emailUtils.js";
+import { combineDateAndTime } from "../utils/dateTimeUtils.js";
+import invoiceService from "./invoice.service.js";
+import pharmacyInventoryService from "./pharmacyInventory.service.js";
+import walletService from "./wallet.service.js";
+import healthPackageService from "./healthPackage.service.js";
+import { hasGatewayEvidence } from "./paymentCompletion.service.js";
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Payments older than this are refunded outside the system
+const REFUND_WINDOW_DAYS = 90;
+
+const REFUNDABLE_STATUSES = ['completed', 'partially-refunded'];
+
+// Slack for sums of rupee amounts kept as floating point
+const MONEY_EPSILON = 0.005;
+
+// Who may ask for a refund besides admins: a doctor for their own consultations,
+// a pharmacist for their pharmacy's orders
+const REQUESTER_ROLES = ['admin', 'doctor', 'pharmacist'];
+
+/**
+ * Share of a consultation fee refunded when the patient cancels, by notice given
+ *
+ * Cancellations by the doctor, an admin or the system are refunded in full.
+ */
+export const CANCELLATION_POLICY = [
+    { minHoursBefore: 24, percent: 100 },
+    { minHoursBefore: 4, percent: 50 }
+];
+
+const numberFromEnv = (name, fallback) => {
+    const value = parseFloat(process.env[name]);
+    return Number.isFinite(value) && value >= 0 ? value : fallback;
+};
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Most a role can refund on one payment, across all its refunds, before an
+ * admin has to approve
+ */
+export const approvalLimit = (role) =>
+    role === 'admin' ? Infinity : numberFromEnv('REFUND_APPROVAL_THRESHOLD', 2000);
+
+/**
+ * Percentage of the fee refunded for a cancellation
+ *
+ * @param {number} hoursBefore - Notice given, in hours before the appointment
+ * @param {string} cancelledBy - patient, doctor, admin or system
+ */
+export const cancellationRefundPercent = (hoursBefore, cancelledBy) => {
+    if (cancelledBy !== 'patient') return 100;
+    return CANCELLATION_POLICY.find(tier => hoursBefore >= tier.minHoursBefore)?.percent ?? 0;
+};
+
+/**
+ * Set aside part of a payment for a refund
+ *
+ * Atomic, so concurrent refunds can never add up to more than was paid.
+ *
+ * @returns {Document|null} - The payment, or null when the amount is more than is left
+ */
+const reserve = (paymentId, amount) => Payment.findOneAndUpdate(
+    {
+        _id: paymentId,
+        status: { $in: REFUNDABLE_STATUSES },
+        $expr: {
+            $lte: [
+                { $add: [{ $ifNull: ['$refundReserved', 0] }, amount] },
+                { $add: ['$amount', MONEY_EPSILON] }
+            ]
+        }
+    },
+    { $inc: { refundReserved: amount } },
+    { new: true }
+);
+
+const release = (paymentId, amount) => Payment.updateOne(
+    { _id: paymentId },
+    { $inc: { refundReserved: -amount } }
+);
+
+const refundableBalance = (payment) => roundMoney(payment.amount - (payment.refundReserved || 0));
+
+const assertCanRequest = async (payment, user) => {
+    if (user.role === 'admin') return;
+    if (user.role === 'pharmacist' && payment.serviceType === 'pharmacy' && user.pharmacyId) {
+        const order = await PharmacyOrder.findOne({ orderId: payment.gatewayReference }).select('pharmacyId').lean();
+        if (order && String(order.pharmacyId) === String(user.pharmacyId)) return;
+    }
+    if (user.role === 'doctor' && payment.serviceType === 'consultation' && payment.appointmentId) {
+        const appointment = await Appointment.findById(payment.appointmentId).select('doctorId').lean();
+        if (appointment && String(appointment.doctorId) === String(user._id)) return;
+    }
+    throw new ApiError(403, "You are not allowed to refund this payment");
+};
+
+const gatewayErrorMessage = (error) => error?.error?.description || error?.message || 'Unknown gateway error';
+
+const assertDestination = (destination, payment) => {
+    if (!REFUND_DESTINATIONS.includes(destination)) {
+        throw new ApiError(400, `Refund destination must be one of: ${REFUND_DESTINATIONS.join(', ')}`);
+    }
+    if (destination === 'wallet' && payment.serviceType === 'wallet-topup') {
+        throw new ApiError(400, "A wallet top-up can't be refunded to the wallet");
+    }
+    if (destination === 'wallet' && !hasGatewayEvidence(payment)) {
+        throw new ApiError(400, "Only payments taken online or from the wallet can be refunded to the wallet");
+    }
+};
+
+const REFUND_METHOD_LABELS = {
+    gateway: 'Original payment method',
+    wallet: 'Wallet',
+    manual: 'Manual'
+};
+
+/**
+ * Tell the payer their refund has gone through
+ */
+const notifyPayer = async (refund, payment) => {
+    try {
+        const payer = await User.findById(payment.userId).select('firstName lastName email').lean();
+        if (!payer?.email) return;
+
+        await sendRefundConfirmation(payer.email, {
+            patientName: [payer.firstName, payer.lastName].filter(Boolean).join(' '),
+            refundId: refund.gatewayRefundId || String(refund._id),
+            originalTransactionId: payment.transactionId || String(payment._id),
+            refundDate: refund.processedAt.toDateString(),
+            refundMethod: REFUND_METHOD_LABELS[refund.method] || 'Manual',
+            amount: refund.amount,
+            reason: refund.reason || 'Refund',
+            status: 'Processed'
+        });
+    } catch (error) {
+        console.error('Refund email failed:', error);
+    }
+};
+
+/**
+ * What a refund changes outside the payment
+ *
+ * A credit note against the invoice for every refund; once a payment is
+ * refunded in full, its pharmacy order gives back its stock, its
+ * appointment is marked refunded and a health package it bought is closed.
+ * The refund stands if any of these fail.
+ */
+const afterRefund = async (refund, payment, fullyRefunded) => {
+    try {
+        const creditNote = await invoiceService.issueCreditNote(refund);
+        if (creditNote) {
+            refund.creditNoteId = creditNote._id;
+            await refund.save();
+        }
+    } catch (error) {
+        console.error(`Credit note for refund ${refund._id} failed:`, error);
+    }
+
+    if (fullyRefunded && payment.serviceType === 'pharmacy') {
+        try {
+            const order = await pharmacyInventoryService.restoreStockForGatewayOrder(payment.gatewayReference, {
+                reason: refund.reason || 'order refunded',
+                performedBy: refund.approval?.by || refund.requestedBy
+            });
+            if (order) {
+                await PharmacyOrder.updateOne({ _id: order._id }, { $set: { paymentStatus: 'refunded' } });
+            }
+        } catch (error) {
+            console.error(`Restoring stock for refund ${refund._id} failed:`, error);
+        }
+    }
+    if (fullyRefunded && payment.appointmentId) {
+        await Appointment.updateOne({ _id: payment.appointmentId }, { $set: { paymentStatus: 'refunded' } });
+    }
+    if (fullyRefunded && payment.serviceType === 'health-package') {
+        await healthPackageService.cancelForRefund(payment);
+    }
+
+    await notifyPayer(refund, payment);
+};
+
+const failRefund = async (refund, payment, reason) => {
+    refund.status = 'failed';
+    refund.failureReason = reason;
+    await refund.save();
+    await release(payment._id, refund.amount);
+};
+
+/**
+ * Pay a refund out, then record it on the payment
+ *
+ * The money goes to the payer's wallet when they asked for that, and always
+ * for payments made from the wallet; otherwise back through Razorpay when
+ * the payment came that way, and by hand for the rest. A top-up paid back to
+ * the card comes off the wallet before the gateway is asked. Any failure
+ * marks the refund failed and frees its reserved amount.
+ */
+const executeRefund = async (refund, payment) => {
+    if (refund.destination === 'wallet' && !hasGatewayEvidence(payment)) {
+        await failRefund(refund, payment, 'No gateway record of this payment to refund to the wallet');
+        throw new ApiError(400, "Only payments taken online or from the wallet can be refunded to the wallet");
+    }
+
+    const toWallet = refund.destination === 'wallet' || payment.paymentGateway === 'wallet';
+    const viaGateway = !toWallet && payment.paymentGateway === 'razorpay' && Boolean(payment.transactionId);
+    refund.method = toWallet ? 'wallet' : viaGateway ? 'gateway' : 'manual';
+
+    const ledgerFirst = payment.serviceType === 'wallet-topup';
+    let entry = null;
+    try {
+        if (payment.serviceType === 'health-package') {
+            await healthPackageService.assertRefundable(payment, refund.amount);
+        }
+        if (ledgerFirst) {
+            entry = await walletService.recordRefund(refund, payment, { toWallet });
+        }
+    } catch (error) {
+        await failRefund(refund, payment, error.message);
+        throw error;
+    }
+
+    if (viaGateway) {
+        try {
+            const gatewayRefund = await refundRazorpayPayment(payment.transactionId, refund.amount, {
+                reason: refund.reason || 'Refund',
+                refundId: String(refund._id)
+            });
+            refund.gatewayRefundId = gatewayRefund.id;
+        } catch (error) {
+            if (entry) {
+                await walletService.reverseEntry(entry, { reason: `Gateway refund ${refund._id} failed` });
+            }
+            await failRefund(refund, payment, gatewayErrorMessage(error));
+            throw new ApiError(502, `Refund failed at the payment gateway: ${refund.failureReason}`);
+        }
+    }
+
+    if (!ledgerFirst) {
+        try {
+            entry = await walletService.recordRefund(refund, payment, { toWallet });
+        } catch (error) {
+            if (toWallet) {
+                await failRefund(refund, payment, error.message);
+                throw error;
+            }
+            // The money has gone back through the gateway; the ledger audit shows what is missing
+            console.error(`Ledger entry for refund ${refund._id} failed:`, error);
+        }
+    }
+    refund.ledgerEntryId = entry?._id;
+
+    refund.status = 'processed';
+    refund.processedAt = new Date();
+    await refund.save();
+
+    const updated = await Payment.findByIdAndUpdate(
+        payment._id,
+        {
+            $inc: { refundedAmount: refund.amount },
+            $set: {
+                refundedAt: refund.processedAt,
+                refund: {
+                    refundId: String(refund._id),
+                    refundAmount: refund.amount,
+                    refundReason: refund.reason,
+                    refundDate: refund.processedAt,
+                    refundMethod: toWallet ? 'wallet' : viaGateway ? 'original' : 'manual',
+                    gatewayRefundId: refund.gatewayRefundId
+                }
+            }
+        },
+        { new: true }
+    );
+    const fullyRefunded = updated.amount - updated.refundedAmount < MONEY_EPSILON;
+    updated.status = fullyRefunded ? 'refunded' : 'partially-refunded';
+    await Payment.updateOne({ _id: updated._id }, { $set: { status: updated.status } });
+
+    await afterRefund(refund, updated, fullyRefunded);
+    return refund;
+};
+
+/**
+ * Refund part or all of a payment
+ *
+ * Refunds add up in the payment's ledger and together can't exceed what was
+ * paid. Once the payment's refunds pass the requester's approval limit the
+ * refund waits for an admin; otherwise it is paid out straight away. The
+ * payer can ask for it to go to their wallet instead of back to the card.
+ *
+ * @param {string} paymentId - Payment
+ * @param {Object} data - { amount, reason, destination: 'original' | 'wallet' }
+ * @param {Object} user - Requesting user (admin, doctor or pharmacist)
+ * @returns {Document} - The Refund
+ */
+export const requestRefund = async (paymentId, { amount, reason, destination = 'original' }, user) => {
+    const value = roundMoney(Number(amount));
+    if (!(value > 0)) {
+        throw new ApiError(400, "Valid refund amount required");
+    }
+
+    const payment = mongoose.Types.ObjectId.isValid(paymentId) ? await Payment.findById(paymentId) : null;
+    if (!payment) throw new ApiError(404, "Payment not found");
+
+    if (!REFUNDABLE_STATUSES.includes(payment.status)) {
+        throw new ApiError(400, "Only completed payments can be refunded");
+    }
+    const windowStart = new Date(Date.now() - REFUND_WINDOW_DAYS * 24 * HOUR_MS);
+    if (payment.completedAt && payment.completedAt < windowStart) {
+        throw new ApiError(400, `Payments can only be refunded within ${REFUND_WINDOW_DAYS} days`);
+    }
+    await assertCanRequest(payment, user);
+    assertDestination(destination, payment);
+    if (payment.serviceType === 'health-package') {
+        await healthPackageService.assertRefundable(payment, value);
+    }
+
+    const reserved = await reserve(payment._id, value);
+    if (!reserved) {
+        throw new ApiError(400, `Refund exceeds the refundable balance of ${refundableBalance(payment)} ${payment.currency}`);
+    }
+
+    const needsApproval = reserved.refundReserved - approvalLimit(user.role) > MONEY_EPSILON;
+    let refund;
+    try {
+        refund = await Refund.create({
+            paymentId: payment._id,
+            userId: payment.userId,
+            appointmentId: payment.appointmentId,
+            amount: value,
+            currency: payment.currency,
+            reason: reason?.trim() || 'Refund requested',
+            source: 'manual',
+            destination,
+            status: needsApproval ? 'pending-approval' : 'processing',
+            requestedBy: user._id,
+            requestedByRole: user.role,
+            approval: { required: needsApproval }
+        });
+    } catch (error) {
+        await release(payment._id, value);
+        throw error;
+    }
+
+    if (needsApproval) return refund;
+    return executeRefund(refund, reserved);
+};
+
+/**
+ * Approve or reject a refund waiting for an admin
+ *
+ * @param {string} refundId - Refund
+ * @param {Object} data - { decision: 'approve' | 'reject', note }
+ * @param {Object} admin - Reviewing admin
+ */
+export const reviewRefund = async (refundId, { decision, note }, admin) => {
+    if (!['approve', 'reject'].includes(decision)) {
+        throw new ApiError(400, "Decision must be approve or reject");
+    }
+    if (!mongoose.Types.ObjectId.isValid(refundId)) {
+        throw new ApiError(404, "Refund not found");
+    }
+
+    const refund = await Refund.findOneAndUpdate(
+        { _id: refundId, status: 'pending-approval' },
+        {
+            $set: {
+                status: decision === 'approve' ? 'processing' : 'rejected',
+                'approval.by': admin._id,
+                'approval.at': new Date(),
+                'approval.note': note?.trim()
+            }
+        },
+        { new: true }
+    );
+    if (!refund) {
+        const existing = await Refund.findById(refundId).select('status').lean();
+        if (!existing) throw new ApiError(404, "Refund not found");
+        throw new ApiError(400, `Refund is already ${existing.status}`);
+    }
+
+    if (decision === 'reject') {
+        await release(refund.paymentId, refund.amount);
+        return refund;
+    }
+
+    const payment = await Payment.findById(refund.paymentId);
+    return executeRefund(refund, payment);
+};
+
+// The payment a cancellation refund would come from
+const findCancellationPayment = (appointment) => {
+    const paymentMatch = [{ appointmentId: appointment._id }];
+    if (appointment.paymentId) paymentMatch.push({ _id: appointment.paymentId });
+    return Payment.findOne({ $or: paymentMatch, status: { $in: REFUNDABLE_STATUSES } })
+        .sort({ completedAt: -1 });
+};
+
+/**
+ * Check a cancellation refund can go where the patient asked, before the
+ * appointment is cancelled
+ *
+ * @param {Document|Object} appointment - Appointment about to be cancelled
+ * @param {string} destination - 'original' or 'wallet'
+ */
+export const assertCancellationDestination = async (appointment, destination) => {
+    const payment = await findCancellationPayment(appointment);
+    if (payment) assertDestination(destination, payment);
+};
+
+/**
+ * Refund the fee for a cancelled appointment under the cancellation policy
+ *
+ * The policy sets the amount, so no approval is needed. Does nothing for
+ * unpaid appointments, payments with no gateway record of the money (an
+ * admin refunds those by hand) or cancellations too late to earn a refund,
+ * and refunds an appointment only once. A visit paid with a package credit gets the
+ * credit back when the policy would refund it in full, and loses it
+ * otherwise.
+ *
+ * @param {Document|Object} appointment - The cancelled Appointment
+ * @param {Object} options
+ * @param {string} options.cancelledBy - patient, doctor, admin or system
+ * @param {string} [options.destination] - 'original' or 'wallet'
+ * @returns {Document|null} - The Refund, or null when nothing is refunded
+ */
+export const refundForCancellation = async (appointment, { cancelledBy, destination = 'original' }) => {
+    const startsAt = combineDateAndTime(appointment.appointmentDate, appointment.appointmentTime);
+    const hoursBefore = (startsAt - Date.now()) / HOUR_MS;
+    const percent = cancellationRefundPercent(hoursBefore, cancelledBy);
+
+    if (appointment.patientPackageId) {
+        if (percent === 100) await healthPackageService.releaseRedemption(appointment._id);
+        return null;
+    }
+
+    const payment = await findCancellationPayment(appointment);
+    if (!payment) return null;
+    assertDestination(destination, payment);
+    if (!hasGatewayEvidence(payment)) return null;
+
+    const amount = roundMoney(Math.min(payment.amount * percent / 100, refundableBalance(payment)));
+    if (!(amount > 0)) return null;
+
+    const reserved = await reserve(payment._id, amount);
+    if (!reserved) return null;
+
+    let refund;
+    try {
+        refund = await Refund.create({
+            paymentId: payment._id,
+            userId: payment.userId,
+            appointmentId: appointment._id,
+            amount,
+            currency: payment.currency,
+            reason: percent === 100
+                ? 'Appointment cancelled'
+                : `Appointment cancelled ${Math.max(Math.floor(hoursBefore), 0)} hours before (${percent}% refund)`,
+            source: 'cancellation-policy',
+            destination,
+            policy: { hoursBefore: Math.round(hoursBefore * 10) / 10, percent, cancelledBy },
+            status: 'processing',
+            requestedByRole: 'system'
+        });
+    } catch (error) {
+        await release(payment._id, amount);
+        if (error.code === 11000) {
+            return Refund.findOne({ appointmentId: appointment._id, source: 'cancellation-policy' });
+        }
+        throw error;
+    }
+
+    return executeRefund(refund, reserved);
+};
+
+/**
+ * A payment's refund ledger; the payer and anyone who may refund it can see it
+ */
+export const getPaymentRefunds = async (paymentId, user) => {
+    const payment = mongoose.Types.ObjectId.isValid(paymentId)
+        ? await Payment.findById(paymentId).select('userId amount currency status serviceType appointmentId refundedAmount refundReserved')
+        : null;
+    if (!payment) throw new ApiError(404, "Payment not found");
+
+    if (String(payment.userId) !== String(user._id)) {
+        if (!REQUESTER_ROLES.includes(user.role)) throw new ApiError(404, "Payment not found");
+        await assertCanRequest(payment, user);
+    }
+
+    const refunds = await Refund.find({ paymentId: payment._id })
+        .populate('requestedBy', 'firstName lastName role')
+        .populate('approval.by', 'firstName lastName')
+        .populate('creditNoteId', 'creditNoteNumber total issueDate')
+        .sort({ createdAt: -1 })
+        .lean();
+
+    return {
+        refunds,
+        amount: payment.amount,
+        currency: payment.currency,
+        refundedAmount: payment.refundedAmount || 0,
+        refundableAmount: refundableBalance(payment)
+    };
+};
+
+/**
+ * Refunds across all payments, newest first, for the admin queue
+ *
+ * @param {Object} filters - { status, source, page, limit }
+ */
+export const listRefunds = async ({ status, source, page = 1, limit = 20 } = {}) => {
+    const query = {};
+    if (status) {
+        if (!REFUND_STATUSES.includes(status)) {
+            throw new ApiError(400, `Status must be one of: ${REFUND_STATUSES.join(', ')}`);
+        }
+        query.status = status;
+    }
+    if (source) query.source = source;
+
+    const pageNum = Math.max(parseInt(page, 10) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
+
+    const [refunds, total] = await Promise.all([
+        Refund.find(query)
+            .populate('paymentId', 'amount currency serviceType serviceDescription transactionId refundedAmount')
+            .populate('userId', 'firstName lastName email')
+            .populate('requestedBy', 'firstName lastName role')
+            .populate('approval.by', 'firstName lastName')
+            .populate('creditNoteId', 'creditNoteNumber')
+            .sort({ createdAt: -1 })
+            .skip((pageNum - 1) * limitNum)
+            .limit(limitNum)
+            .lean(),
+        Refund.countDocuments(query)
+    ]);
+
+    return {
+        refunds,
+        pagination: { page: pageNum, limit: limitNum, total, pages: Math.ceil(total / limitNum) }
+    };
+};
+
+export default {
+    CANCELLATION_POLICY,
+    approvalLimit,
+    cancellationRefundPercent,
+    requestRefund,
+    reviewRefund,
+    assertCancellationDestination,
+    refundForCancellation,
+    getPaymentRefunds,
+    listRefunds
+};
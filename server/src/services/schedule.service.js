@@ -0,0 +1,369 @@
+import mongoose from "mongoose";
+import { DoctorSchedule } from "../models/doctorSchedule.model.js";
+import { Appointment } from "../models/appointment.model.js";
+import { SlotReservation } from "../models/slotReservation.model.js";
+import { User } from "../models/User.model.js";
+import { Doctor } from "../models/Doctor.js";
+import { ApiError } from "../utils/ApiError.js";
+import {
+    generateAppointmentSlots,
+    combineDateAndTime,
+    toDateKey
+} from "../utils/dateTimeUtils.js";
+
+// Appointment statuses that still occupy a doctor's time
+export const BOOKED_STATUSES = ['scheduled', 'confirmed', 'rescheduled', 'checked-in', 'in-progress'];
+
+// Flat consultation rates charged for patient self-booking, by appointment type
+const CONSULTATION_FEES = {
+    'in-person': 500,
+    video: 499,
+    phone: 299,
+    chat: 199
+};
+
+/**
+ * Consultation fee for an appointment type
+ */
+export const getConsultationFee = (appointmentType) => CONSULTATION_FEES[appointmentType] ?? CONSULTATION_FEES['in-person'];
+
+/**
+ * Resolve a doctor's User id from either a User id or a Doctor profile id
+ */
+export const resolveDoctorUser = async (id) => {
+    if (!id || !mongoose.Types.ObjectId.isValid(id)) return null;
+
+    return await User.findOne({ _id: id, role: 'doctor' }) ||
+        await User.findOne({ doctorId: id, role: 'doctor' });
+};
+
+/**
+ * Get a doctor's schedule, creating one from their profile's weekday list if missing
+ */
+export const getOrCreateSchedule = async (doctorUserId) => {
+    let schedule = await DoctorSchedule.findOne({ doctorId: doctorUserId });
+    if (schedule) return schedule;
+
+    const user = await User.findById(doctorUserId).select('doctorId');
+    const profile = user?.doctorId ? await Doctor.findById(user.doctorId).select('availability') : null;
+
+    try {
+        schedule = await DoctorSchedule.create({
+            doctorId: doctorUserId,
+            doctorProfileId: profile?._id,
+            weeklySessions: DoctorSchedule.buildDefaultSessions(profile?.availability?.length ? profile.availability : undefined)
+        });
+    } catch (error) {
+        // Another request created it first
+        if (error.code !== 11000) throw error;
+        schedule = await DoctorSchedule.findOne({ doctorId: doctorUserId });
+    }
+
+    return schedule;
+};
+
+/**
+ * Keep the public Doctor.availability weekday list in step with the template
+ */
+const syncProfileAvailability = async (schedule) => {
+    const profileId = schedule.doctorProfileId ||
+        (await User.findById(schedule.doctorId).select('doctorId'))?.doctorId;
+
+    if (profileId) {
+        await Doctor.findByIdAndUpdate(profileId, { $set: { availability: schedule.getWorkingDays() } });
+    }
+};
+
+/**
+ * Get active appointments for a doctor on a calendar date
+ *
+ * Appointments are stored both as date-only and full date/time values,
+ * so the whole day is matched and the start is rebuilt from appointmentTime.
+ * Unexpired checkout holds are included alongside them.
+ */
+const getBookedAppointments = async (doctorUserId, date, excludeAppointmentId = null) => {
+    const dayStart = new Date(date);
+    dayStart.setHours(0, 0, 0, 0);
+    const dayEnd = new Date(dayStart);
+    dayEnd.setDate(dayEnd.getDate() + 1);
+
+    const query = {
+        doctorId: doctorUserId,
+        appointmentDate: { $gte: dayStart, $lt: dayEnd },
+        status: { $in: BOOKED_STATUSES }
+    };
+    if (excludeAppointmentId) {
+        query._id = { $ne: excludeAppointmentId };
+    }
+
+    const appointments = await Appointment.find(query)
+        .select('appointmentTime appointmentType duration')
+        .lean();
+
+    const bookings = appointments.map(apt => {
+        const start = combineDateAndTime(dayStart, apt.appointmentTime);
+        return {
+            ...apt,
+            start,
+            end: new Date(start.getTime() + (apt.duration || 30) * 60000)
+        };
+    });
+
+    // Slots held by patients at checkout are unavailable to everyone else
+    const reservations = await SlotReservation.find({
+        doctorId: doctorUserId,
+        slotStart: { $gte: dayStart, $lt: dayEnd },
+        seats: { $elemMatch: { status: 'held', expiresAt: { $gt: new Date() } } }
+    }).lean();
+
+    reservations.forEach(reservation => {
+        reservation.seats
+            .filter(seat => seat.status === 'held' && seat.expiresAt > new Date())
+            .forEach(seat => bookings.push({
+                appointmentType: seat.appointmentType,
+                duration: seat.duration,
+                start: reservation.slotStart,
+                end: new Date(reservation.slotStart.getTime() + (seat.duration || 30) * 60000),
+                isHold: true
+            }));
+    });
+
+    return bookings;
+};
+
+/**
+ * Mark slot availability against existing bookings
+ *
+ * Video consultations can share a slot up to the session's capacity;
+ * any other appointment type needs the slot to itself.
+ */
+const applyBookings = (slots, bookings, appointmentType) => {
+    return slots.map(slot => {
+        const overlapping = bookings.filter(apt => apt.start < slot.end && apt.end > slot.start);
+        const videoCount = overlapping.filter(apt => apt.appointmentType === 'video').length;
+        const hasNonVideo = overlapping.some(apt => apt.appointmentType !== 'video');
+        const capacity = appointmentType === 'video' ? slot.maxVideoPerSlot : 1;
+
+        const booked = appointmentType === 'video'
+            ? hasNonVideo || videoCount >= capacity
+            : overlapping.length > 0;
+
+        return {
+            ...slot,
+            available: !booked,
+            booked,
+            videoCount,
+            capacity
+        };
+    });
+};
+
+/**
+ * Generate bookable slots for a doctor on a calendar date
+ */
+export const getSlotsForDate = async (doctorUserId, date, options = {}) => {
+    const { appointmentType = 'in-person', excludeAppointmentId = null, includePast = false } = options;
+
+    const day = new Date(date);
+    if (isNaN(day.getTime())) {
+        throw new ApiError(400, "Invalid date format");
+    }
+
+    const schedule = await getOrCreateSchedule(doctorUserId);
+
+    const slots = generateAppointmentSlots(day, day, {
+        getSessions: (sessionDate) => schedule.getSessionsForDate(sessionDate, appointmentType),
+        bufferMinutes: schedule.bufferMinutes
+    });
+
+    const bookings = await getBookedAppointments(doctorUserId, day, excludeAppointmentId);
+
+    const earliest = new Date(Date.now() + schedule.minAdvanceBookingMinutes * 60000);
+    const latest = new Date();
+    latest.setDate(latest.getDate() + schedule.maxAdvanceBookingDays);
+
+    const resolved = applyBookings(slots, bookings, appointmentType)
+        .map(({ slotDurations, ...slot }) => {
+            const outsideWindow = slot.start < earliest || slot.start > latest;
+            return outsideWindow ? { ...slot, available: false } : slot;
+        })
+        .filter(slot => includePast || slot.start >= new Date());
+
+    return {
+        schedule,
+        date: toDateKey(day),
+        exceptions: schedule.getExceptionsForDate(day),
+        slots: resolved
+    };
+};
+
+/**
+ * Verify a requested date/time is a free slot in the doctor's schedule
+ *
+ * @returns {Object} The matching slot (start, end, duration, location)
+ */
+export const assertSlotBookable = async ({ doctorId, date, time, appointmentType = 'in-person', excludeAppointmentId = null }) => {
+    const { slots } = await getSlotsForDate(doctorId, date, { appointmentType, excludeAppointmentId, includePast: true });
+
+    const slot = slots.find(candidate => candidate.time === time);
+
+    if (!slot) {
+        throw new ApiError(400, `Doctor does not offer ${appointmentType} appointments at ${time} on ${toDateKey(date)}`);
+    }
+
+    if (slot.booked) {
+        if (appointmentType === 'video' && slot.videoCount >= slot.capacity) {
+            throw new ApiError(409, `Doctor has reached the maximum capacity of ${slot.capacity} video consultations for this time slot`);
+        }
+        throw new ApiError(409, "Doctor is not available at the requested time slot");
+    }
+
+    if (!slot.available) {
+        throw new ApiError(400, "Requested time slot is outside the doctor's booking window");
+    }
+
+    return slot;
+};
+
+/**
+ * Replace the weekly template and booking settings
+ */
+export const updateWeeklyTemplate = async (doctorUserId, updates, updatedBy) => {
+    const schedule = await getOrCreateSchedule(doctorUserId);
+
+    const {
+        weeklySessions,
+        availability,
+        defaultSlotDuration,
+        bufferMinutes,
+        minAdvanceBookingMinutes,
+        maxAdvanceBookingDays,
+        timezone,
+        isActive
+    } = updates;
+
+    if (Array.isArray(weeklySessions)) {
+        schedule.weeklySessions = weeklySessions;
+    } else if (Array.isArray(availability)) {
+        // Legacy payload: a list of weekday names
+        schedule.weeklySessions = DoctorSchedule.buildDefaultSessions(availability);
+    }
+
+    if (defaultSlotDuration !== undefined) schedule.defaultSlotDuration = defaultSlotDuration;
+    if (bufferMinutes) {
+        if (bufferMinutes.before !== undefined) schedule.bufferMinutes.before = bufferMinutes.before;
+        if (bufferMinutes.after !== undefined) schedule.bufferMinutes.after = bufferMinutes.after;
+    }
+    if (minAdvanceBookingMinutes !== undefined) schedule.minAdvanceBookingMinutes = minAdvanceBookingMinutes;
+    if (maxAdvanceBookingDays !== undefined) schedule.maxAdvanceBookingDays = maxAdvanceBookingDays;
+    if (timezone) schedule.timezone = timezone;
+    if (isActive !== undefined) schedule.isActive = isActive;
+    schedule.updatedBy = updatedBy;
+
+    try {
+        await schedule.save();
+    } catch (error) {
+        throw new ApiError(400, error.message);
+    }
+
+    await syncProfileAvailability(schedule);
+
+    return schedule;
+};
+
+/**
+ * Add a dated exception (leave, holiday, blocked time or extra clinic)
+ */
+export const addException = async (doctorUserId, data, createdBy) => {
+    const schedule = await getOrCreateSchedule(doctorUserId);
+
+    const startDate = new Date(data.startDate || data.date);
+    const endDate = new Date(data.endDate || data.startDate || data.date);
+
+    if (isNaN(startDate.getTime()) || isNaN(endDate.getTime())) {
+        throw new ApiError(400, "Valid startDate (and optional endDate) is required");
+    }
+
+    schedule.exceptions.push({
+        type: data.type,
+        startDate,
+        endDate,
+        startTime: data.startTime,
+        endTime: data.endTime,
+        location: data.location,
+        appointmentTypes: data.appointmentTypes,
+        slotDurations: data.slotDurations,
+        reason: data.reason,
+        createdBy
+    });
+
+    try {
+        await schedule.save();
+    } catch (error) {
+        throw new ApiError(400, error.message);
+    }
+
+    const exception = schedule.exceptions[schedule.exceptions.length - 1];
+
+    // Report bookings that now fall outside working hours so they can be rescheduled
+    const affectedAppointments = await findAppointmentsOutsideSchedule(schedule, startDate, endDate);
+
+    return { schedule, exception, affectedAppointments };
+};
+
+/**
+ * Remove a dated exception
+ */
+export const removeException = async (doctorUserId, exceptionId) => {
+    const schedule = await getOrCreateSchedule(doctorUserId);
+    const exception = schedule.exceptions.id(exceptionId);
+
+    if (!exception) {
+        throw new ApiError(404, "Schedule exception not found");
+    }
+
+    exception.deleteOne();
+    await schedule.save();
+
+    return schedule;
+};
+
+/**
+ * Find active appointments in a date range that no longer fit the schedule
+ */
+export const findAppointmentsOutsideSchedule = async (schedule, startDate, endDate) => {
+    const rangeStart = new Date(startDate);
+    rangeStart.setHours(0, 0, 0, 0);
+    const rangeEnd = new Date(endDate);
+    rangeEnd.setHours(23, 59, 59, 999);
+
+    const appointments = await Appointment.find({
+        doctorId: schedule.doctorId,
+        appointmentDate: { $gte: rangeStart, $lte: rangeEnd },
+        status: { $in: BOOKED_STATUSES }
+    }).select('appointmentDate appointmentTime appointmentType duration patientId status').lean();
+
+    return appointments.filter(apt => {
+        const start = combineDateAndTime(apt.appointmentDate, apt.appointmentTime);
+        const end = new Date(start.getTime() + (apt.duration || 30) * 60000);
+        const sessions = schedule.getSessionsForDate(apt.appointmentDate, apt.appointmentType);
+
+        return !sessions.some(session =>
+            combineDateAndTime(apt.appointmentDate, session.startTime) <= start &&
+            end <= combineDateAndTime(apt.appointmentDate, session.endTime)
+        );
+    });
+};
+
+export default {
+    BOOKED_STATUSES,
+    getConsultationFee,
+    resolveDoctorUser,
+    getOrCreateSchedule,
+    getSlotsForDate,
+    assertSlotBookable,
+    updateWeeklyTemplate,
+    addException,
+    removeException,
+    findAppointmentsOutsideSchedule
+};
@@ -0,0 +1,313 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import mongoose from "mongoose";
+import { Session } from "../models/session.model.js";
+import { User } from "../models/User.model.js";
+import { AuditLog } from "../models/auditLog.model.js";
+import { ApiError } from "../utils/ApiError.js";
+import { createNotification } from "../utils/notificationUtils.js";
+
+// Seconds a just-replaced refresh token is turned away without revoking the
+// session (read lazily, after dotenv has loaded)
+export const getReuseGraceSeconds = () => parseInt(process.env.REFRESH_TOKEN_REUSE_GRACE_SECONDS, 10) || 30;
+
+const getRefreshSecret = () => process.env.REFRESH_TOKEN_SECRET || process.env.JWT_REFRESH_SECRET;
+
+const NOTIFIABLE_ROLES = ['patient', 'doctor', 'technician', 'admin'];
+
+export const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Rough device description from a user agent, for the sessions list
+ */
+export const describeDevice = (userAgent = '') => {
+    const ua = userAgent || '';
+
+    let type = 'unknown';
+    if (/iPad|Tablet/i.test(ua) || (/Android/i.test(ua) && !/Mobile/i.test(ua))) type = 'tablet';
+    else if (/Mobi|iPhone|Android/i.test(ua)) type = 'mobile';
+    else if (/Windows|Macintosh|Linux|CrOS/i.test(ua)) type = 'desktop';
+
+    const browser =
+        /Edg\//.test(ua) ? 'Edge' :
+        /OPR\/|Opera/.test(ua) ? 'Opera' :
+        /Firefox\//.test(ua) ? 'Firefox' :
+        /Chrome\//.test(ua) ? 'Chrome' :
+        /Safari\//.test(ua) ? 'Safari' :
+        /okhttp|Dart|Expo|ReactNative/i.test(ua) ? 'App' :
+        undefined;
+
+    const os =
+        /iPhone|iPad|iPod/.test(ua) ? 'iOS' :
+        /Android/.test(ua) ? 'Android' :
+        /Windows/.test(ua) ? 'Windows' :
+        /Mac OS X|Macintosh/.test(ua) ? 'macOS' :
+        /CrOS/.test(ua) ? 'ChromeOS' :
+        /Linux/.test(ua) ? 'Linux' :
+        undefined;
+
+    return { type, browser, os };
+};
+
+/**
+ * Request metadata recorded on a session
+ */
+export const sessionContext = (req) => ({
+    ipAddress: req.ip,
+    userAgent: req.get?.('User-Agent'),
+    deviceName: req.body?.deviceName
+});
+
+/**
+ * Sign a refresh token for the session and work out when it expires
+ */
+const issueRefreshToken = (user, sessionId) => {
+    const refreshToken = user.generateRefreshToken(sessionId);
+    const { exp } = jwt.decode(refreshToken);
+    return { refreshToken, expiresAt: new Date(exp * 1000) };
+};
+
+const writeAudit = (session, event, status = 'SUCCESS', context = {}) =>
+    AuditLog.append({
+        action: event === 'created' ? 'LOGIN' : event === 'logout' ? 'LOGOUT' : 'ACCESS',
+        resource: 'Session',
+        resourceId: session._id,
+        userId: session.userId,
+        userRole: context.role || 'unknown',
+        ipAddress: context.ipAddress,
+        userAgent: context.userAgent,
+        status,
+        details: { event, reason: context.reason }
+    }).catch(error => console.error("⚠️ Session audit write failed:", error.message));
+
+/**
+ * Sign a user in on a new device
+ *
+ * @param {Document} user - User document
+ * @param {Object} context - sessionContext(req) plus an optional authMethod
+ * @returns {Object} - The session and its first refresh token
+ */
+export const createSession = async (user, context = {}) => {
+    const device = describeDevice(context.userAgent);
+    const session = new Session({
+        userId: user._id,
+        device: {
+            ...device,
+            name: context.deviceName?.trim() || [device.browser, device.os].filter(Boolean).join(' on ') || 'Unknown device'
+        },
+        ipAddress: context.ipAddress,
+        lastIpAddress: context.ipAddress,
+        userAgent: context.userAgent,
+        authMethod: context.authMethod || 'password',
+        tokenHash: 'pending',
+        expiresAt: new Date()
+    });
+
+    const { refreshToken, expiresAt } = issueRefreshToken(user, session._id);
+    session.tokenHash = hashToken(refreshToken);
+    session.expiresAt = expiresAt;
+    await session.save();
+
+    await writeAudit(session, 'created', 'SUCCESS', { ...context, role: user.role });
+
+    return { session, refreshToken };
+};
+
+/**
+ * Revoke the session a replayed refresh token belongs to and warn the user
+ */
+const handleTokenReuse = async (session, user, context) => {
+    await Session.updateOne(
+        { _id: session._id, revokedAt: null },
+        { $set: { revokedAt: new Date(), revokedReason: 'token-reuse' } }
+    );
+
+    console.warn("🚨 Refresh token reuse detected — session revoked:", session._id.toString());
+    await writeAudit(session, 'token-reuse', 'FAILED', { ...context, role: user?.role });
+
+    if (user && NOTIFIABLE_ROLES.includes(user.role)) {
+        try {
+            await createNotification({
+                recipientId: user._id,
+                recipientType: user.role,
+                title: 'A device was signed out for your safety',
+                message: `An old sign-in token for ${session.device?.name || 'one of your devices'} was used again, so that session has been ended. If this wasn't you, change your password.`,
+                notificationType: 'security',
+                category: 'session-revoked',
+                priority: 'high',
+                channels: ['in-app', 'email'],
+                metadata: { entityType: 'Session', entityId: session._id }
+            });
+        } catch (error) {
+            console.error("⚠️ Session reuse notification failed:", error.message);
+        }
+    }
+};
+
+/**
+ * Swap a refresh token for a new one
+ *
+ * The presented token must be the newest in its session. The token it
+ * replaced is turned away without penalty for a short grace period (two tabs
+ * refreshing at once); anything older is treated as stolen and revokes the
+ * session.
+ *
+ * @returns {Object} - The user, the session and the new refresh token
+ */
+export const rotateSession = async (refreshToken, context = {}) => {
+    let decoded;
+    try {
+        decoded = jwt.verify(refreshToken, getRefreshSecret());
+    } catch (error) {
+        throw new ApiError(401, error.name === 'TokenExpiredError' ? "Refresh token expired" : "Invalid refresh token");
+    }
+
+    // Tokens issued before sessions existed carry no session id
+    if (!decoded.sid || !mongoose.Types.ObjectId.isValid(decoded.sid)) {
+        throw new ApiError(401, "Session expired. Please log in again.");
+    }
+
+    const session = await Session.findById(decoded.sid).select('+tokenHash +previousTokenHash');
+    if (!session || session.userId.toString() !== String(decoded._id)) {
+        throw new ApiError(401, "Invalid refresh token");
+    }
+    if (session.revokedAt) {
+        throw new ApiError(401, "This session has been signed out");
+    }
+
+    const user = await User.findById(session.userId);
+    if (!user || !user.isActive) {
+        throw new ApiError(401, "Invalid refresh token");
+    }
+
+    const presentedHash = hashToken(refreshToken);
+    const withinGrace = session.rotatedAt &&
+        Date.now() - session.rotatedAt.getTime() < getReuseGraceSeconds() * 1000;
+
+    if (presentedHash !== session.tokenHash) {
+        if (presentedHash === session.previousTokenHash && withinGrace) {
+            throw new ApiError(401, "Refresh token was already used");
+        }
+        await handleTokenReuse(session, user, context);
+        throw new ApiError(401, "Refresh token reuse detected. Please log in again.");
+    }
+
+    const { refreshToken: newRefreshToken, expiresAt } = issueRefreshToken(user, session._id);
+    const rotated = await Session.findOneAndUpdate(
+        { _id: session._id, tokenHash: presentedHash, revokedAt: null },
+        {
+            $set: {
+                tokenHash: hashToken(newRefreshToken),
+                previousTokenHash: presentedHash,
+                rotatedAt: new Date(),
+                lastUsedAt: new Date(),
+                lastIpAddress: context.ipAddress,
+                expiresAt
+            },
+            $inc: { rotationCount: 1 }
+        },
+        { new: true }
+    );
+
+    // Another request rotated the same token a moment ago
+    if (!rotated) {
+        throw new ApiError(401, "Refresh token was already used");
+    }
+
+    return { user, session: rotated, refreshToken: newRefreshToken };
+};
+
+/**
+ * Whether an access token's session is still signed in
+ */
+export const isSessionActive = async (sessionId) => {
+    if (!mongoose.Types.ObjectId.isValid(sessionId)) return false;
+    return Boolean(await Session.exists({ _id: sessionId, revokedAt: null }));
+};
+
+/**
+ * The session id inside a refresh token, without checking it is current
+ */
+export const sessionIdFromRefreshToken = (refreshToken) => {
+    if (!refreshToken) return null;
+    try {
+        return jwt.verify(refreshToken, getRefreshSecret()).sid || null;
+    } catch {
+        return null;
+    }
+};
+
+/**
+ * A user's signed-in devices, flagging the one making the request
+ */
+export const listSessions = async (userId, currentSessionId) => {
+    const sessions = await Session.findActiveForUser(userId)
+        .select('device ipAddress lastIpAddress authMethod createdAt lastUsedAt expiresAt')
+        .lean();
+
+    return sessions.map(session => ({
+        ...session,
+        current: Boolean(currentSessionId) && session._id.toString() === String(currentSessionId)
+    }));
+};
+
+/**
+ * Sign one session out
+ */
+export const revokeSession = async (userId, sessionId, reason = 'revoked-by-user', context = {}) => {
+    const session = mongoose.Types.ObjectId.isValid(sessionId)
+        ? await Session.findOne({ _id: sessionId, userId })
+        : null;
+    if (!session) {
+        throw new ApiError(404, "Session not found");
+    }
+    if (session.revokedAt) {
+        return session;
+    }
+
+    session.revokedAt = new Date();
+    session.revokedReason = reason;
+    await session.save();
+
+    await writeAudit(session, reason === 'logout' ? 'logout' : 'revoked', 'SUCCESS', { ...context, reason });
+
+    return session;
+};
+
+/**
+ * Sign a user out everywhere, optionally keeping the current session
+ *
+ * @returns {Number} - Sessions revoked
+ */
+export const revokeAllSessions = async (userId, { except, reason = 'revoked-by-user' } = {}) => {
+    const query = { userId, revokedAt: null };
+    if (except && mongoose.Types.ObjectId.isValid(except)) {
+        query._id = { $ne: except };
+    }
+
+    const result = await Session.updateMany(query, { $set: { revokedAt: new Date(), revokedReason: reason } });
+    return result.modifiedCount;
+};
+
+/**
+ * Users with at least one live session (admin dashboard)
+ */
+export const countActiveUsers = async () => {
+    const userIds = await Session.distinct('userId', { revokedAt: null, expiresAt: { $gt: new Date() } });
+    return userIds.length;
+};
+
+export default {
+    getReuseGraceSeconds,
+    hashToken,
+    describeDevice,
+    sessionContext,
+    createSession,
+    rotateSession,
+    isSessionActive,
+    sessionIdFromRefreshToken,
+    listSessions,
+    revokeSession,
+    revokeAllSessions,
+    countActiveUsers
+};
@@ -0,0 +1,295 @@
+import mongoose from "mongoose";
+import { SlotReservation } from "../models/slotReservation.model.js";
+import { ApiError } from "../utils/ApiError.js";
+import { assertSlotBookable } from "./schedule.service.js";
+import { toDateKey } from "../utils/dateTimeUtils.js";
+
+// How long a checkout hold keeps a slot before it lapses (read lazily, after dotenv has loaded)
+export const getHoldMinutes = () => parseInt(process.env.BOOKING_HOLD_MINUTES, 10) || 10;
+
+const MAX_RESERVE_ATTEMPTS = 3;
+
+/**
+ * Drop lapsed holds on a single slot so their seats can be reused
+ */
+const purgeExpiredSeats = async (doctorId, slotStart) => {
+    await SlotReservation.updateOne(
+        { doctorId, slotStart },
+        { $pull: { seats: { status: 'held', expiresAt: { $lte: new Date() } } } }
+    );
+};
+
+/**
+ * Atomically claim a seat on a doctor's slot
+ *
+ * The filter only matches a reservation that still has room, and the upsert
+ * creates the document when the slot has never been reserved. Two requests
+ * racing for the last seat either both miss the filter or collide on the
+ * unique (doctorId, slotStart) index; the loser retries once the winner's
+ * document exists and then fails the capacity check.
+ *
+ * Overlaps between slots with different start times (e.g. a 60 minute
+ * booking spanning two 30 minute slots) are still caught by the schedule
+ * check that runs before this.
+ */
+const reserveSeat = async ({ doctorId, slot, appointmentType, seat }) => {
+    const isVideo = appointmentType === 'video';
+    const capacity = isVideo ? slot.capacity : 1;
+    const seatId = new mongoose.Types.ObjectId();
+
+    const filter = isVideo
+        ? {
+            doctorId,
+            slotStart: slot.start,
+            $or: [
+                { 'seats.0': { $exists: false } },
+                { mode: 'video', [`seats.${capacity - 1}`]: { $exists: false } }
+            ]
+        }
+        : { doctorId, slotStart: slot.start, 'seats.0': { $exists: false } };
+
+    await purgeExpiredSeats(doctorId, slot.start);
+
+    for (let attempt = 1; attempt <= MAX_RESERVE_ATTEMPTS; attempt++) {
+        try {
+            const reservation = await SlotReservation.findOneAndUpdate(
+                filter,
+                {
+                    $set: {
+                        slotEnd: slot.end,
+                        mode: isVideo ? 'video' : 'exclusive',
+                        capacity
+                    },
+                    $push: {
+                        seats: {
+                            _id: seatId,
+                            appointmentType,
+                            duration: slot.duration,
+                            location: slot.location,
+                            ...seat
+                        }
+                    }
+                },
+                { new: true, upsert: true, runValidators: true }
+            );
+
+            return { reservation, seat: reservation.seats.id(seatId) };
+        } catch (error) {
+            // The slot document exists but has no room for this seat
+            if (error.code !== 11000) throw error;
+        }
+    }
+
+    if (isVideo) {
+        throw new ApiError(409, `Doctor has reached the maximum capacity of ${capacity} video consultations for this time slot`);
+    }
+    throw new ApiError(409, "This time slot has just been booked by someone else");
+};
+
+/**
+ * Hold a slot while the patient completes checkout
+ *
+ * @returns {Object} { holdId, expiresAt, slot }
+ */
+export const createHold = async ({ doctorId, date, time, appointmentType = 'in-person', userId, patientId, holdMinutes = getHoldMinutes() }) => {
+    const slot = await assertSlotBookable({ doctorId, date, time, appointmentType });
+
+    if (slot.start < new Date()) {
+        throw new ApiError(400, "Cannot hold a time slot in the past");
+    }
+
+    const expiresAt = new Date(Date.now() + holdMinutes * 60000);
+
+    const { seat } = await reserveSeat({
+        doctorId,
+        slot,
+        appointmentType,
+        seat: { status: 'held', userId, patientId, expiresAt }
+    });
+
+    return { holdId: seat._id, expiresAt, slot };
+};
+
+/**
+ * Get an active hold, optionally checking who owns it
+ */
+export const getActiveHold = async (holdId, userId = null) => {
+    if (!mongoose.Types.ObjectId.isValid(holdId)) return null;
+
+    const seatMatch = { _id: holdId, status: 'held', expiresAt: { $gt: new Date() } };
+    if (userId) seatMatch.userId = userId;
+
+    const reservation = await SlotReservation.findOne({ seats: { $elemMatch: seatMatch } });
+    if (!reservation) return null;
+
+    return { reservation, seat: reservation.seats.id(holdId) };
+};
+
+/**
+ * Link a hold to the payment order paying for it
+ */
+export const attachPaymentToHold = async (holdId, paymentId, userId) => {
+    const result = await SlotReservation.updateOne(
+        { seats: { $elemMatch: { _id: holdId, userId, status: 'held', expiresAt: { $gt: new Date() } } } },
+        { $set: { 'seats.$.paymentId': paymentId } }
+    );
+
+    if (result.matchedCount === 0) {
+        throw new ApiError(410, "Your slot hold has expired. Please choose a time slot again");
+    }
+};
+
+/**
+ * Keep a paid-for hold alive long enough for the booking to be completed
+ *
+ * @returns {boolean} false if the hold had already lapsed
+ */
+export const extendHold = async (holdId, minutes = getHoldMinutes()) => {
+    const result = await SlotReservation.updateOne(
+        { seats: { $elemMatch: { _id: holdId, status: 'held', expiresAt: { $gt: new Date() } } } },
+        { $set: { 'seats.$.expiresAt': new Date(Date.now() + minutes * 60000) } }
+    );
+
+    return result.matchedCount > 0;
+};
+
+/**
+ * Convert an active hold into a confirmed booking
+ *
+ * @returns {Object|null} The reservation, or null if the hold has lapsed
+ */
+export const confirmHold = async (holdId, { appointmentId = null, userId = null } = {}) => {
+    const seatMatch = { _id: holdId, status: 'held', expiresAt: { $gt: new Date() } };
+    if (userId) seatMatch.userId = userId;
+
+    return await SlotReservation.findOneAndUpdate(
+        { seats: { $elemMatch: seatMatch } },
+        {
+            $set: {
+                'seats.$.status': 'booked',
+                'seats.$.appointmentId': appointmentId
+            },
+            $unset: { 'seats.$.expiresAt': '' }
+        },
+        { new: true }
+    );
+};
+
+/**
+ * Reserve a confirmed booking, consuming the patient's hold when they have one
+ *
+ * @returns {Object} { seatId, slot, paymentId } — pass seatId to attachAppointment
+ * once the appointment exists, or to releaseSeat if creating it fails. paymentId
+ * is set when the consumed hold was paid for at checkout.
+ */
+export const reserveBooking = async ({ doctorId, date, time, appointmentType = 'in-person', userId, patientId, holdId = null, excludeAppointmentId = null }) => {
+    if (holdId) {
+        const hold = await getActiveHold(holdId, userId);
+        const slotMatches = hold &&
+            hold.reservation.doctorId.equals(doctorId) &&
+            hold.seat.appointmentType === appointmentType &&
+            toDateKey(hold.reservation.slotStart) === toDateKey(date) &&
+            hold.reservation.slotStart.toTimeString().slice(0, 5) === time;
+
+        if (slotMatches && await confirmHold(holdId, { userId })) {
+            const { reservation, seat } = hold;
+            return {
+                seatId: seat._id,
+                paymentId: seat.paymentId,
+                slot: {
+                    start: reservation.slotStart,
+                    end: reservation.slotEnd,
+                    duration: seat.duration,
+                    location: seat.location
+                }
+            };
+        }
+        // Lapsed or mismatched hold: fall through and try to book the slot directly
+    }
+
+    const slot = await assertSlotBookable({ doctorId, date, time, appointmentType, excludeAppointmentId });
+
+    const { seat } = await reserveSeat({
+        doctorId,
+        slot,
+        appointmentType,
+        seat: { status: 'booked', userId, patientId }
+    });
+
+    return { seatId: seat._id, slot };
+};
+
+/**
+ * Record which appointment a booked seat belongs to
+ */
+export const attachAppointment = async (seatId, appointmentId) => {
+    await SlotReservation.updateOne(
+        { 'seats._id': seatId },
+        { $set: { 'seats.$.appointmentId': appointmentId } }
+    );
+};
+
+/**
+ * Free a single seat (hold or booking)
+ */
+export const releaseSeat = async (seatId) => {
+    if (!seatId) return;
+
+    await SlotReservation.updateOne(
+        { 'seats._id': seatId },
+        { $pull: { seats: { _id: seatId } } }
+    );
+};
+
+/**
+ * Release a patient's own hold, e.g. when they leave checkout
+ */
+export const releaseHold = async (holdId, userId) => {
+    const result = await SlotReservation.updateOne(
+        { seats: { $elemMatch: { _id: holdId, userId, status: 'held' } } },
+        { $pull: { seats: { _id: holdId } } }
+    );
+
+    return result.modifiedCount > 0;
+};
+
+/**
+ * Free the seat held by an appointment after it is cancelled or rescheduled
+ */
+export const releaseAppointment = async (appointmentId) => {
+    await SlotReservation.updateMany(
+        { 'seats.appointmentId': appointmentId },
+        { $pull: { seats: { appointmentId } } }
+    );
+};
+
+/**
+ * Sweep lapsed holds across all slots
+ *
+ * Reservation calls purge their own slot lazily; this keeps availability
+ * listings accurate when nobody is booking.
+ */
+export const releaseExpiredHolds = async () => {
+    const now = new Date();
+    const result = await SlotReservation.updateMany(
+        { seats: { $elemMatch: { status: 'held', expiresAt: { $lte: now } } } },
+        { $pull: { seats: { status: 'held', expiresAt: { $lte: now } } } }
+    );
+
+    return result.modifiedCount;
+};
+
+export default {
+    getHoldMinutes,
+    createHold,
+    getActiveHold,
+    attachPaymentToHold,
+    extendHold,
+    confirmHold,
+    reserveBooking,
+    attachAppointment,
+    releaseSeat,
+    releaseHold,
+    releaseAppointment,
+    releaseExpiredHolds
+};
@@ -0,0 +1,400 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import QRCode from "qrcode";
+import mongoose from "mongoose";
+import { User } from "../models/User.model.js";
+import { SecurityPolicy, POLICY_ROLES } from "../models/securityPolicy.model.js";
+import { AuditLog } from "../models/auditLog.model.js";
+import { ApiError } from "../utils/ApiError.js";
+import {
+    generateTotpSecret,
+    verifyTotp,
+    buildOtpauthUrl,
+    encryptSecret,
+    decryptSecret
+} from "../utils/totpUtils.js";
+
+// Name shown in authenticator apps (read lazily, after dotenv has loaded)
+export const getTwoFactorIssuer = () => process.env.TWO_FACTOR_ISSUER || 'HealthCare Plus';
+
+// Challenge tokens are signed with their own key so they can never pass as access tokens
+const getChallengeSecret = () =>
+    process.env.TWO_FACTOR_CHALLENGE_SECRET || `${process.env.ACCESS_TOKEN_SECRET}:2fa-challenge`;
+
+const CHALLENGE_TTL_SECONDS = 5 * 60;
+const RECOVERY_CODE_COUNT = 10;
+
+const SECRET_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep';
+
+const normalizeRecoveryCode = (code) => String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const hashRecoveryCode = (code) =>
+    crypto.createHash('sha256').update(normalizeRecoveryCode(code)).digest('hex');
+
+/**
+ * Fresh one-time recovery codes, e.g. "3f9a1-c07be"
+ */
+const generateRecoveryCodes = () =>
+    Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+        const hex = crypto.randomBytes(5).toString('hex');
+        return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+    });
+
+const writeAudit = (user, event, status = 'SUCCESS', context = {}, extra = {}) =>
+    AuditLog.append({
+        action: event === 'verified' ? 'LOGIN' : 'UPDATE',
+        resource: 'TwoFactor',
+        resourceId: user._id,
+        userId: context.actor?._id || user._id,
+        userRole: context.actor?.role || user.role,
+        ipAddress: context.ipAddress,
+        userAgent: context.userAgent,
+        status,
+        details: { event, subject: user._id.toString(), ...extra }
+    }).catch(error => console.error("⚠️ Two-factor audit write failed:", error.message));
+
+const loadUser = async (userId) => {
+    const user = mongoose.Types.ObjectId.isValid(userId)
+        ? await User.findById(userId).select(SECRET_FIELDS)
+        : null;
+    if (!user) {
+        throw new ApiError(404, "User not found");
+    }
+    return user;
+};
+
+/**
+ * The two-factor policy, created with defaults on first read
+ */
+export const getPolicy = async () => {
+    const policy = await SecurityPolicy.getPolicy();
+    return { requiredRoles: policy.twoFactor.requiredRoles, updatedAt: policy.updatedAt, updatedBy: policy.updatedBy };
+};
+
+/**
+ * Admin: choose which roles must use two-factor authentication
+ */
+export const updatePolicy = async (admin, { requiredRoles }, context = {}) => {
+    if (!Array.isArray(requiredRoles)) {
+        throw new ApiError(400, "requiredRoles must be an array of roles");
+    }
+    const invalid = requiredRoles.filter(role => !POLICY_ROLES.includes(role));
+    if (invalid.length > 0) {
+        throw new ApiError(400, `Invalid role(s): ${invalid.join(', ')}`);
+    }
+
+    const policy = await SecurityPolicy.getPolicy();
+    const previous = [...policy.twoFactor.requiredRoles];
+    policy.twoFactor.requiredRoles = [...new Set(requiredRoles)];
+    policy.updatedBy = admin._id;
+    await policy.save();
+
+    await AuditLog.append({
+        action: 'UPDATE',
+        resource: 'SecurityPolicy',
+        resourceId: policy._id,
+        userId: admin._id,
+        userRole: admin.role,
+        ipAddress: context.ipAddress,
+        userAgent: context.userAgent,
+        details: { event: 'two-factor-policy-updated', previous, requiredRoles: policy.twoFactor.requiredRoles }
+    });
+
+    return getPolicy();
+};
+
+/**
+ * Whether the policy makes two-factor mandatory for a role
+ */
+export const isRequiredForRole = async (role) => {
+    const { requiredRoles } = await getPolicy();
+    return requiredRoles.includes(role);
+};
+
+/**
+ * After the password (or Google) check: decide whether a second step is needed
+ *
+ * Enrolled users are always challenged. Users whose role requires 2FA but who
+ * have not enrolled yet are sent through enrolment before they get tokens.
+ *
+ * @returns {Object|null} - Challenge for the client, or null to sign in now
+ */
+export const startLoginChallenge = async (user, { authMethod = 'password' } = {}) => {
+    const enrolled = Boolean(user.twoFactor?.enabled);
+    if (!enrolled && !(await isRequiredForRole(user.role))) {
+        return null;
+    }
+
+    const challengeToken = jwt.sign(
+        { _id: user._id, purpose: '2fa-challenge', authMethod },
+        getChallengeSecret(),
+        { expiresIn: CHALLENGE_TTL_SECONDS }
+    );
+
+    return {
+        twoFactorRequired: true,
+        setupRequired: !enrolled,
+        challengeToken,
+        expiresIn: CHALLENGE_TTL_SECONDS
+    };
+};
+
+/**
+ * Resolve a challenge token to the user who passed the first factor
+ */
+const readChallenge = async (challengeToken) => {
+    let decoded;
+    try {
+        decoded = jwt.verify(challengeToken || '', getChallengeSecret());
+    } catch (error) {
+        throw new ApiError(401, error.name === 'TokenExpiredError'
+            ? "Verification timed out. Please sign in again."
+            : "Invalid verification request. Please sign in again.");
+    }
+    if (decoded.purpose !== '2fa-challenge') {
+        throw new ApiError(401, "Invalid verification request. Please sign in again.");
+    }
+
+    const user = await User.findById(decoded._id).select(SECRET_FIELDS);
+    if (!user || !user.isActive) {
+        throw new ApiError(401, "Invalid verification request. Please sign in again.");
+    }
+    if (user.isLocked) {
+        const lockTime = Math.ceil((user.accountLockedUntil - Date.now()) / 60000);
+        throw new ApiError(423, `Account is locked due to multiple failed login attempts. Try again in ${lockTime} minutes.`);
+    }
+
+    return { user, authMethod: decoded.authMethod || 'password' };
+};
+
+/**
+ * Start enrolment: a new secret and the QR code to scan
+ */
+const beginEnrollment = async (user) => {
+    if (user.twoFactor?.enabled) {
+        throw new ApiError(400, "Two-factor authentication is already enabled");
+    }
+
+    const secret = generateTotpSecret();
+    user.set('twoFactor.pendingSecret', encryptSecret(secret));
+    await user.save({ validateBeforeSave: false });
+
+    const otpauthUrl = buildOtpauthUrl(secret, user.email, getTwoFactorIssuer());
+    const qrCode = await QRCode.toDataURL(otpauthUrl);
+
+    return { secret, otpauthUrl, qrCode };
+};
+
+/**
+ * Finish enrolment with the first code from the app
+ * @returns {Array} - Plain recovery codes, shown to the user once
+ */
+const confirmEnrollment = async (user, code, context = {}) => {
+    if (user.twoFactor?.enabled) {
+        throw new ApiError(400, "Two-factor authentication is already enabled");
+    }
+    if (!user.twoFactor?.pendingSecret) {
+        throw new ApiError(400, "Start two-factor setup before confirming a code");
+    }
+
+    const secret = decryptSecret(user.twoFactor.pendingSecret);
+    const step = verifyTotp(secret, code);
+    if (step === null) {
+        throw new ApiError(400, "Invalid authentication code");
+    }
+
+    const recoveryCodes = generateRecoveryCodes();
+    user.twoFactor = {
+        enabled: true,
+        secret: user.twoFactor.pendingSecret,
+        pendingSecret: undefined,
+        recoveryCodes: recoveryCodes.map(hashRecoveryCode),
+        lastUsedStep: step,
+        enabledAt: new Date()
+    };
+    await user.save({ validateBeforeSave: false });
+
+    await writeAudit(user, 'enabled', 'SUCCESS', context);
+
+    return recoveryCodes;
+};
+
+/**
+ * Check a TOTP code or consume a recovery code; caller saves the user
+ * @returns {String|null} - 'totp' or 'recovery-code' on success
+ */
+const checkSecondFactor = (user, { code, recoveryCode }) => {
+    if (recoveryCode) {
+        const hashes = user.twoFactor.recoveryCodes || [];
+        const index = hashes.indexOf(hashRecoveryCode(recoveryCode));
+        if (index === -1) return null;
+        user.twoFactor.recoveryCodes = hashes.filter((_, i) => i !== index);
+        return 'recovery-code';
+    }
+
+    if (code) {
+        const step = verifyTotp(decryptSecret(user.twoFactor.secret), code, {
+            afterStep: user.twoFactor.lastUsedStep ?? -1
+        });
+        if (step === null) return null;
+        user.twoFactor.lastUsedStep = step;
+        return 'totp';
+    }
+
+    return null;
+};
+
+/**
+ * Login enrolment: QR code for a user whose role requires 2FA
+ */
+export const beginLoginEnrollment = async (challengeToken) => {
+    const { user } = await readChallenge(challengeToken);
+    return beginEnrollment(user);
+};
+
+/**
+ * Second login step: verify the code (or finish enrolment) for a challenge
+ *
+ * Wrong codes count towards the same lockout as wrong passwords.
+ *
+ * @returns {Object} - The user, how they first signed in, and recovery codes if they just enrolled
+ */
+export const completeLoginChallenge = async (challengeToken, { code, recoveryCode } = {}, context = {}) => {
+    const { user, authMethod } = await readChallenge(challengeToken);
+
+    if (!code && !recoveryCode) {
+        throw new ApiError(400, "Authentication code is required");
+    }
+
+    if (!user.twoFactor?.enabled) {
+        if (!user.twoFactor?.pendingSecret) {
+            throw new ApiError(400, "Set up your authenticator app before entering a code");
+        }
+        try {
+            const recoveryCodes = await confirmEnrollment(user, code, context);
+            return { user, authMethod, recoveryCodes };
+        } catch (error) {
+            // Only a wrong code can fail here
+            if (error.statusCode === 400) await user.recordFailedLogin();
+            throw error;
+        }
+    }
+
+    const method = checkSecondFactor(user, { code, recoveryCode });
+    if (!method) {
+        await user.recordFailedLogin();
+        await writeAudit(user, 'verified', 'FAILED', context);
+        throw new ApiError(401, recoveryCode ? "Invalid recovery code" : "Invalid authentication code");
+    }
+
+    await user.save({ validateBeforeSave: false });
+    await writeAudit(user, 'verified', 'SUCCESS', context, { method });
+
+    return {
+        user,
+        authMethod,
+        recoveryCodesRemaining: method === 'recovery-code' ? user.twoFactor.recoveryCodes.length : undefined
+    };
+};
+
+/**
+ * Signed-in user's two-factor status
+ */
+export const getStatus = async (userId) => {
+    const user = await loadUser(userId);
+    return {
+        enabled: Boolean(user.twoFactor?.enabled),
+        enabledAt: user.twoFactor?.enabledAt,
+        required: await isRequiredForRole(user.role),
+        recoveryCodesRemaining: user.twoFactor?.enabled ? (user.twoFactor.recoveryCodes || []).length : 0
+    };
+};
+
+/**
+ * Signed-in user: start enrolment from their settings
+ */
+export const beginSelfEnrollment = async (userId) => beginEnrollment(await loadUser(userId));
+
+/**
+ * Signed-in user: confirm enrolment with a code
+ */
+export const enableTwoFactor = async (userId, code, context = {}) =>
+    confirmEnrollment(await loadUser(userId), code, context);
+
+/**
+ * Signed-in user: turn 2FA off (password and a current code required)
+ */
+export const disableTwoFactor = async (userId, { password, code, recoveryCode }, context = {}) => {
+    const user = await User.findById(userId).select(`+password ${SECRET_FIELDS}`);
+    if (!user) {
+        throw new ApiError(404, "User not found");
+    }
+    if (!user.twoFactor?.enabled) {
+        throw new ApiError(400, "Two-factor authentication is not enabled");
+    }
+    if (await isRequiredForRole(user.role)) {
+        throw new ApiError(403, "Two-factor authentication is required for your role");
+    }
+    if (!password || !(await user.isPasswordCorrect(password))) {
+        throw new ApiError(401, "Invalid password");
+    }
+    if (!checkSecondFactor(user, { code, recoveryCode })) {
+        throw new ApiError(401, "Invalid authentication code");
+    }
+
+    user.twoFactor = { enabled: false };
+    await user.save({ validateBeforeSave: false });
+    await writeAudit(user, 'disabled', 'SUCCESS', context);
+
+    return { enabled: false };
+};
+
+/**
+ * Signed-in user: replace all recovery codes (a current code required)
+ */
+export const regenerateRecoveryCodes = async (userId, code, context = {}) => {
+    const user = await loadUser(userId);
+    if (!user.twoFactor?.enabled) {
+        throw new ApiError(400, "Two-factor authentication is not enabled");
+    }
+    if (!checkSecondFactor(user, { code })) {
+        throw new ApiError(401, "Invalid authentication code");
+    }
+
+    const recoveryCodes = generateRecoveryCodes();
+    user.twoFactor.recoveryCodes = recoveryCodes.map(hashRecoveryCode);
+    await user.save({ validateBeforeSave: false });
+    await writeAudit(user, 'recovery-codes-regenerated', 'SUCCESS', context);
+
+    return recoveryCodes;
+};
+
+/**
+ * Admin: clear a user's 2FA after they lose their device
+ * If their role requires 2FA they enrol again at their next login.
+ */
+export const resetTwoFactor = async (admin, userId, context = {}) => {
+    const user = await loadUser(userId);
+
+    user.twoFactor = { enabled: false };
+    await user.save({ validateBeforeSave: false });
+    await writeAudit(user, 'reset-by-admin', 'SUCCESS', { ...context, actor: admin });
+
+    return user;
+};
+
+export default {
+    getTwoFactorIssuer,
+    getPolicy,
+    updatePolicy,
+    isRequiredForRole,
+    startLoginChallenge,
+    beginLoginEnrollment,
+    completeLoginChallenge,
+    getStatus,
+    beginSelfEnrollment,
+    enableTwoFactor,
+    disableTwoFactor,
+    regenerateRecoveryCodes,
+    resetTwoFactor
+};
@@ -0,0 +1,467 @@
+import crypto from "crypto";
+import { Waitlist } from "../models/waitlist.model.js";
+import { Appointment } from "../models/appointment.model.js";
+import { User } from "../models/User.model.js";
+import { ApiError } from "../utils/ApiError.js";
+import {
+    createNotification,
+    sendEmailNotification,
+    sendSMSNotification
+} from "../utils/notificationUtils.js";
+import { generateGoogleMeetLink } from "../utils/googleMeetUtils.js";
+import { combineDateAndTime, timeToMinutes, toDateKey } from "../utils/dateTimeUtils.js";
+import { getConsultationFee, resolveDoctorUser } from "./schedule.service.js";
+import slotReservationService from "./slotReservation.service.js";
+
+// How long a waitlisted patient has to accept an offered slot (read lazily, after dotenv has loaded)
+export const getOfferWindowMinutes = () => parseInt(process.env.WAITLIST_OFFER_MINUTES, 10) || 30;
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+const buildOfferUrl = (token) =>
+    `${process.env.FRONTEND_URL || "http://localhost:5173"}/services/waitlist/offer/${token}`;
+
+/**
+ * Whether a slot falls inside an entry's preferred time-of-day window
+ */
+const fitsPreferredTime = (entry, time) => {
+    if (!entry.preferredStartTime) return true;
+    const minutes = timeToMinutes(time);
+    return timeToMinutes(entry.preferredStartTime) <= minutes && minutes < timeToMinutes(entry.preferredEndTime);
+};
+
+/**
+ * Add a patient to a doctor's waitlist
+ */
+export const joinWaitlist = async ({ userId, patientId, doctorId, appointmentType = 'in-person', dateFrom, dateTo, preferredStartTime, preferredEndTime, priority, reason }) => {
+    if (!patientId) {
+        throw new ApiError(404, "Patient profile not found");
+    }
+
+    const doctor = await resolveDoctorUser(doctorId);
+    if (!doctor || !doctor.isActive) {
+        throw new ApiError(404, "Doctor not found or inactive");
+    }
+
+    const from = new Date(dateFrom);
+    const to = new Date(dateTo || dateFrom);
+    if (isNaN(from.getTime()) || isNaN(to.getTime())) {
+        throw new ApiError(400, "Valid dateFrom (and optional dateTo) is required");
+    }
+    from.setHours(0, 0, 0, 0);
+    to.setHours(23, 59, 59, 999);
+
+    if (to < new Date()) {
+        throw new ApiError(400, "Waitlist date range is already in the past");
+    }
+
+    const existing = await Waitlist.findOne({
+        userId,
+        doctorId: doctor._id,
+        appointmentType,
+        status: { $in: ['waiting', 'offered'] },
+        dateFrom: { $lte: to },
+        dateTo: { $gte: from }
+    });
+    if (existing) {
+        throw new ApiError(409, "You are already on this doctor's waitlist for these dates");
+    }
+
+    try {
+        return await Waitlist.create({
+            userId,
+            patientId,
+            doctorId: doctor._id,
+            appointmentType,
+            dateFrom: from,
+            dateTo: to,
+            preferredStartTime,
+            preferredEndTime,
+            priority,
+            reason
+        });
+    } catch (error) {
+        throw new ApiError(400, error.message);
+    }
+};
+
+/**
+ * List a patient's waitlist entries, newest first
+ */
+export const getPatientEntries = async (userId, { status } = {}) => {
+    const query = { userId };
+    if (status) query.status = status;
+
+    return await Waitlist.find(query)
+        .populate('doctorId', 'firstName lastName specialization')
+        .populate('appointmentId', 'appointmentDate appointmentTime status')
+        .select('-offers.tokenHash')
+        .sort({ createdAt: -1 });
+};
+
+/**
+ * List the waitlist for a doctor in priority order
+ */
+export const getDoctorEntries = async (doctorUserId, { status = 'waiting' } = {}) => {
+    return await Waitlist.find({ doctorId: doctorUserId, status })
+        .populate('userId', 'firstName lastName email phoneNumber')
+        .select('-offers.tokenHash')
+        .sort({ priorityRank: -1, createdAt: 1 });
+};
+
+/**
+ * Remove a patient from a waitlist, giving back any slot they were offered
+ */
+export const leaveWaitlist = async (entryId, userId) => {
+    const entry = await Waitlist.findOne({ _id: entryId, userId });
+    if (!entry) {
+        throw new ApiError(404, "Waitlist entry not found");
+    }
+    if (!['waiting', 'offered'].includes(entry.status)) {
+        throw new ApiError(400, `Cannot leave a waitlist entry that is ${entry.status}`);
+    }
+
+    const offer = entry.getPendingOffer();
+    if (offer) {
+        offer.status = 'withdrawn';
+        offer.respondedAt = new Date();
+    }
+    entry.status = 'cancelled';
+    await entry.save();
+
+    if (offer) {
+        await slotReservationService.releaseSeat(offer.holdId);
+        await offerSlot({ doctorId: entry.doctorId, slotStart: offer.slotStart, appointmentType: entry.appointmentType });
+    }
+
+    return entry;
+};
+
+/**
+ * Tell a patient about an offered slot
+ */
+const notifyOffer = async (entry, offer, token) => {
+    const user = await User.findById(entry.userId).select('firstName lastName email phoneNumber');
+    const doctor = await User.findById(entry.doctorId).select('firstName lastName');
+    const doctorName = doctor ? `Dr. ${doctor.firstName} ${doctor.lastName}` : "your doctor";
+    const date = toDateKey(offer.slotStart);
+    const acceptUrl = buildOfferUrl(token);
+    const message = `A ${entry.appointmentType} slot with ${doctorName} on ${date} at ${offer.appointmentTime} has opened up. ` +
+        `Accept within ${getOfferWindowMinutes()} minutes to book it.`;
+
+    await createNotification({
+        recipientId: entry.userId,
+        recipientType: 'patient',
+        title: 'An appointment slot is available',
+        message,
+        notificationType: 'appointment',
+        category: 'waitlist-offer',
+        priority: 'high',
+        channels: ['in-app', 'email', 'sms'],
+        actionUrl: acceptUrl,
+        actionLabel: 'Accept slot',
+        expiresAt: offer.expiresAt,
+        metadata: {
+            entityType: 'Waitlist',
+            entityId: entry._id
+        }
+    });
+
+    try {
+        if (user?.phoneNumber && process.env.TWILIO_ACCOUNT_SID && process.env.TWILIO_AUTH_TOKEN) {
+            await sendSMSNotification(user.phoneNumber, {
+                message: `${message} ${acceptUrl}`,
+                type: "appointment"
+            });
+        }
+
+        if (user?.email && process.env.SMTP_HOST && process.env.SMTP_USER) {
+            await sendEmailNotification(user.email, {
+                subject: `Appointment slot available - MedCare`,
+                template: 'appointment',
+                data: {
+                    title: "A slot has opened up",
+                    patientName: `${user.firstName} ${user.lastName || ""}`.trim(),
+                    message,
+                    appointmentDate: date,
+                    appointmentTime: offer.appointmentTime,
+                    doctorName,
+                    actionUrl: acceptUrl
+                }
+            });
+        }
+    } catch (error) {
+        // The in-app notification is enough for the offer to stand
+        console.error("⚠️ Failed to send waitlist offer:", error.message);
+    }
+};
+
+/**
+ * Offer a freed slot to the best-placed waiting patient
+ *
+ * Walks candidates in priority order and stops at the first one the slot
+ * can be held for. Candidates who were already offered this slot are skipped,
+ * so calling this again after an offer lapses moves down the list.
+ *
+ * @returns {Object|null} The entry that received the offer
+ */
+export const offerSlot = async ({ doctorId, slotStart, appointmentType }) => {
+    const start = new Date(slotStart);
+    if (start <= new Date()) return null;
+
+    const time = start.toTimeString().slice(0, 5);
+    const candidates = await Waitlist.findCandidates(doctorId, start, appointmentType);
+
+    for (const entry of candidates) {
+        if (!fitsPreferredTime(entry, time)) continue;
+
+        let hold;
+        try {
+            hold = await slotReservationService.createHold({
+                doctorId,
+                date: start,
+                time,
+                appointmentType,
+                userId: entry.userId,
+                patientId: entry.patientId,
+                holdMinutes: getOfferWindowMinutes()
+            });
+        } catch (error) {
+            // Slot no longer offerable (rebooked, outside schedule, in the booking cutoff)
+            if (error instanceof ApiError) return null;
+            throw error;
+        }
+
+        const token = crypto.randomBytes(32).toString('hex');
+        entry.offers.push({
+            slotStart: start,
+            appointmentTime: time,
+            duration: hold.slot.duration,
+            holdId: hold.holdId,
+            tokenHash: hashToken(token),
+            expiresAt: hold.expiresAt
+        });
+        entry.status = 'offered';
+        await entry.save();
+
+        const offer = entry.offers[entry.offers.length - 1];
+        try {
+            await notifyOffer(entry, offer, token);
+        } catch (error) {
+            console.error("⚠️ Failed to record waitlist offer notification:", error.message);
+        }
+
+        return entry;
+    }
+
+    return null;
+};
+
+/**
+ * Offer a cancelled appointment's slot to the waitlist
+ *
+ * Never throws: a failed offer must not fail the cancellation itself.
+ */
+export const offerCancelledAppointment = async (appointment) => {
+    try {
+        const doctorId = appointment.doctorId?._id || appointment.doctorId;
+        const slotStart = appointment.appointmentTime
+            ? combineDateAndTime(appointment.appointmentDate, appointment.appointmentTime)
+            : appointment.appointmentDate;
+
+        return await offerSlot({
+            doctorId,
+            slotStart,
+            appointmentType: appointment.appointmentType || 'in-person'
+        });
+    } catch (error) {
+        console.error("⚠️ Failed to offer cancelled slot to waitlist:", error.message);
+        return null;
+    }
+};
+
+/**
+ * Find the entry and pending offer for an accept-link token
+ */
+const findOfferByToken = async (token) => {
+    const entry = await Waitlist.findOne({ 'offers.tokenHash': hashToken(token) });
+    if (!entry) {
+        throw new ApiError(404, "Offer not found");
+    }
+
+    const offer = entry.offers.find(candidate => candidate.tokenHash === hashToken(token));
+    return { entry, offer };
+};
+
+/**
+ * Mark an offer lapsed, put the patient back in line and pass the slot on
+ */
+const expireOffer = async (entry, offer) => {
+    offer.status = 'expired';
+    offer.respondedAt = new Date();
+    if (entry.status === 'offered') {
+        entry.status = entry.dateTo < new Date() ? 'expired' : 'waiting';
+    }
+    await entry.save();
+
+    await slotReservationService.releaseSeat(offer.holdId);
+    await offerSlot({ doctorId: entry.doctorId, slotStart: offer.slotStart, appointmentType: entry.appointmentType });
+};
+
+/**
+ * Show the slot behind an accept link
+ */
+export const getOffer = async (token, userId) => {
+    const { entry, offer } = await findOfferByToken(token);
+    if (!entry.userId.equals(userId)) {
+        throw new ApiError(403, "This offer belongs to another patient");
+    }
+
+    if (offer.status === 'pending' && offer.expiresAt <= new Date()) {
+        await expireOffer(entry, offer);
+    }
+
+    await entry.populate('doctorId', 'firstName lastName specialization');
+
+    return {
+        entryId: entry._id,
+        doctor: entry.doctorId,
+        appointmentType: entry.appointmentType,
+        date: toDateKey(offer.slotStart),
+        time: offer.appointmentTime,
+        duration: offer.duration,
+        status: offer.status,
+        expiresAt: offer.expiresAt,
+        appointmentId: offer.status === 'accepted' ? entry.appointmentId : undefined
+    };
+};
+
+/**
+ * Accept an offered slot and turn it into an appointment
+ */
+export const acceptOffer = async (token, userId) => {
+    const { entry, offer } = await findOfferByToken(token);
+    if (!entry.userId.equals(userId)) {
+        throw new ApiError(403, "This offer belongs to another patient");
+    }
+    if (offer.status !== 'pending') {
+        throw new ApiError(410, `This offer has already been ${offer.status}`);
+    }
+    if (offer.expiresAt <= new Date()) {
+        await expireOffer(entry, offer);
+        throw new ApiError(410, "This offer has expired and the slot was passed on");
+    }
+
+    const appointmentType = entry.appointmentType;
+    const { seatId, slot } = await slotReservationService.reserveBooking({
+        doctorId: entry.doctorId,
+        date: offer.slotStart,
+        time: offer.appointmentTime,
+        appointmentType,
+        userId,
+        patientId: entry.patientId,
+        holdId: offer.holdId
+    });
+
+    const meetLink = appointmentType === 'video' ? generateGoogleMeetLink() : null;
+
+    let appointment;
+    try {
+        appointment = await Appointment.create({
+            patientId: entry.patientId,
+            doctorId: entry.doctorId,
+            appointmentDate: offer.slotStart,
+            appointmentTime: offer.appointmentTime,
+            appointmentType,
+            duration: slot.duration,
+            location: appointmentType === 'in-person' ? slot.location : undefined,
+            consultationFee: getConsultationFee(appointmentType),
+            symptoms: entry.reason || "",
+            status: 'scheduled',
+            paymentStatus: 'pending',
+            videoConsultation: meetLink ? {
+                meetingUrl: meetLink,
+                joinUrl: meetLink,
+                meetingId: meetLink.split('/').pop()
+            } : undefined
+        });
+    } catch (error) {
+        await slotReservationService.releaseSeat(seatId);
+        throw error;
+    }
+    await slotReservationService.attachAppointment(seatId, appointment._id);
+
+    offer.status = 'accepted';
+    offer.respondedAt = new Date();
+    entry.status = 'booked';
+    entry.appointmentId = appointment._id;
+    await entry.save();
+
+    return { entry, appointment };
+};
+
+/**
+ * Decline an offered slot; the patient stays on the waitlist
+ */
+export const declineOffer = async (token, userId) => {
+    const { entry, offer } = await findOfferByToken(token);
+    if (!entry.userId.equals(userId)) {
+        throw new ApiError(403, "This offer belongs to another patient");
+    }
+    if (offer.status !== 'pending') {
+        throw new ApiError(410, `This offer has already been ${offer.status}`);
+    }
+
+    offer.status = 'declined';
+    offer.respondedAt = new Date();
+    entry.status = 'waiting';
+    await entry.save();
+
+    await slotReservationService.releaseSeat(offer.holdId);
+    await offerSlot({ doctorId: entry.doctorId, slotStart: offer.slotStart, appointmentType: entry.appointmentType });
+
+    return entry;
+};
+
+/**
+ * Sweep lapsed offers and move each slot on to the next patient
+ *
+ * Also closes out entries whose date range has passed.
+ *
+ * @returns {Object} { expiredOffers, closedEntries }
+ */
+export const processExpiredOffers = async () => {
+    const now = new Date();
+    const entries = await Waitlist.find({
+        offers: { $elemMatch: { status: 'pending', expiresAt: { $lte: now } } }
+    });
+
+    let expiredOffers = 0;
+    for (const entry of entries) {
+        const offer = entry.getPendingOffer();
+        if (!offer || offer.expiresAt > now) continue;
+        await expireOffer(entry, offer);
+        expiredOffers++;
+    }
+
+    const closed = await Waitlist.updateMany(
+        { status: 'waiting', dateTo: { $lt: now } },
+        { $set: { status: 'expired' } }
+    );
+
+    return { expiredOffers, closedEntries: closed.modifiedCount };
+};
+
+export default {
+    getOfferWindowMinutes,
+    joinWaitlist,
+    getPatientEntries,
+    getDoctorEntries,
+    leaveWaitlist,
+    offerSlot,
+    offerCancelledAppointment,
+    getOffer,
+    acceptOffer,
+    declineOffer,
+    processExpiredOffers
+};
@@ -0,0 +1,515 @@
+import mongoose from "mongoose";
+import { Wallet } from "../models/wallet.model.js";
+import { LedgerEntry, LEDGER_ACCOUNTS, LEDGER_ENTRY_TYPES } from "../models/ledgerEntry.model.js";
+import { Payment } from "../models/payment.model.js";
+import { PatientPackage } from "../models/patientPackage.model.js";
+import { User } from "../models/User.model.js";
+import { ApiError } from "../utils/ApiError.js";
+import { createRazorpayOrder } from "../utils/razorpayUtils.js";
+import { createNotification } from "../utils/notificationUtils.js";
+
+// Slack for sums of rupee amounts kept as floating point
+const MONEY_EPSILON = 0.005;
+
+// Entries still pending after this long were interrupted part-way through posting
+const STALE_PENDING_MS = 5 * 60 * 1000;
+
+const numberFromEnv = (name, fallback) => {
+    const value = parseFloat(process.env[name]);
+    return Number.isFinite(value) && value >= 0 ? value : fallback;
+};
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Smallest top-up, and the most a wallet may hold
+ */
+export const topUpLimits = () => ({
+    minTopUp: numberFromEnv('WALLET_MIN_TOP_UP', 100),
+    maxBalance: numberFromEnv('WALLET_MAX_BALANCE', 100000)
+});
+
+const line = (account, direction, amount, refs = {}) => ({ account, direction, amount: roundMoney(amount), ...refs });
+
+/**
+ * A user's wallet, opened with a zero balance the first time it is needed
+ */
+export const getOrCreateWallet = (userId) => Wallet.findOneAndUpdate(
+    { userId },
+    { $setOnInsert: { userId, balance: 0 } },
+    { new: true, upsert: true }
+);
+
+/**
+ * Move a wallet balance by one ledger line
+ *
+ * Debits only go through while the balance covers them, so a wallet can
+ * never go below zero however many payments race for it.
+ *
+ * @returns {Document|null} - The wallet, or null when the balance is too low
+ */
+const applyWalletLine = (entryLine) => {
+    const debit = entryLine.direction === 'debit';
+    return Wallet.findOneAndUpdate(
+        debit
+            ? { userId: entryLine.userId, balance: { $gte: entryLine.amount - MONEY_EPSILON } }
+            : { userId: entryLine.userId },
+        {
+            $inc: { balance: debit ? -entryLine.amount : entryLine.amount },
+            $set: { lastEntryAt: new Date() }
+        },
+        { new: true, upsert: !debit }
+    );
+};
+
+/**
+ * Post a balanced journal entry and apply it to the wallets it touches
+ *
+ * The entry is written as pending first, so an idempotency key claims the
+ * event before any money moves: the same top-up or refund reported twice
+ * posts once. If a wallet can't cover its debit, the wallet moves already
+ * made are undone and the entry is voided.
+ *
+ * @param {Object} data - { type, lines, description, reference, idempotencyKey, createdBy }
+ * @returns {Document} - The posted entry, or the earlier one for a repeated key
+ */
+export const postEntry = async ({ type, lines, description, reference, idempotencyKey, createdBy, currency = 'INR' }) => {
+    let entry;
+    try {
+        entry = await LedgerEntry.create({ type, lines, description, reference, idempotencyKey, createdBy, currency });
+    } catch (error) {
+        if (error.code === 11000 && idempotencyKey) {
+            const existing = await LedgerEntry.findOne({ idempotencyKey });
+            if (existing) return existing;
+        }
+        throw error;
+    }
+
+    const applied = [];
+    for (const entryLine of entry.lines) {
+        if (entryLine.account !== 'wallet') continue;
+
+        const wallet = await applyWalletLine(entryLine);
+        if (!wallet) {
+            for (const done of applied) {
+                await applyWalletLine({ ...done, direction: done.direction === 'debit' ? 'credit' : 'debit' });
+            }
+            await LedgerEntry.updateOne(
+                { _id: entry._id },
+                { $set: { status: 'void', voidReason: 'insufficient wallet balance' }, $unset: { idempotencyKey: 1 } }
+            );
+            throw new ApiError(400, "Insufficient wallet balance");
+        }
+        entryLine.balanceAfter = roundMoney(wallet.balance);
+        applied.push({ userId: entryLine.userId, amount: entryLine.amount, direction: entryLine.direction });
+    }
+
+    entry.status = 'posted';
+    entry.postedAt = new Date();
+    await entry.save();
+    return entry;
+};
+
+/**
+ * Undo a posted entry with an equal and opposite one
+ */
+export const reverseEntry = async (entry, { reason, createdBy } = {}) => {
+    const reversal = await postEntry({
+        type: 'reversal',
+        lines: entry.lines.map(entryLine => ({
+            account: entryLine.account,
+            direction: entryLine.direction === 'debit' ? 'credit' : 'debit',
+            amount: entryLine.amount,
+            userId: entryLine.userId,
+            patientPackageId: entryLine.patientPackageId
+        })),
+        description: reason || `Reversal of ${entry.entryNumber}`,
+        reference: { kind: 'ledger-entry', id: entry._id },
+        idempotencyKey: `reversal:${entry._id}`,
+        createdBy,
+        currency: entry.currency
+    });
+    await LedgerEntry.updateOne({ _id: entry._id }, { $set: { reversedBy: reversal._id } });
+    return reversal;
+};
+
+const notifyWalletHolder = async (userId, title, message, entry) => {
+    try {
+        await createNotification({
+            recipientId: userId,
+            recipientType: 'patient',
+            title,
+            message,
+            notificationType: 'billing',
+            category: 'wallet',
+            priority: 'low',
+            channels: ['in-app'],
+            metadata: {
+                entityType: 'LedgerEntry',
+                entityId: entry._id
+            }
+        });
+    } catch (error) {
+        console.error('Wallet notification failed:', error);
+    }
+};
+
+/**
+ * Start a wallet top-up: a Razorpay order and a pending payment that credits
+ * the wallet once confirmed
+ *
+ * @param {Object} user - Wallet holder
+ * @param {number} amount - Rupees to add
+ * @returns {Object} - { orderId, amount (paise), currency, paymentId }, as for any checkout
+ */
+export const createTopUpOrder = async (user, amount) => {
+    const value = roundMoney(Number(amount));
+    const { minTopUp, maxBalance } = topUpLimits();
+    if (!(value >= minTopUp)) {
+        throw new ApiError(400, `Top-ups must be at least ₹${minTopUp}`);
+    }
+
+    const wallet = await getOrCreateWallet(user._id);
+    if (wallet.balance + value > maxBalance + MONEY_EPSILON) {
+        throw new ApiError(400, `A wallet can hold at most ₹${maxBalance}; you can add up to ₹${roundMoney(Math.max(maxBalance - wallet.balance, 0))}`);
+    }
+
+    const razorpayOrder = await createRazorpayOrder({
+        amount: value,
+        currency: wallet.currency,
+        receipt: `wal_${user._id.toString().slice(-6)}_${Date.now()}`
+    });
+
+    const payer = await User.findById(user._id).select('patientId').lean();
+    const payment = await Payment.create({
+        userId: user._id,
+        patientId: payer?.patientId,
+        amount: value,
+        currency: wallet.currency,
+        serviceType: 'wallet-topup',
+        serviceDescription: 'Wallet top-up',
+        paymentMethod: 'online',
+        paymentGateway: 'razorpay',
+        gatewayReference: razorpayOrder.id,
+        status: 'pending',
+        initiatedAt: new Date()
+    });
+
+    return {
+        orderId: razorpayOrder.id,
+        amount: razorpayOrder.amount,
+        currency: razorpayOrder.currency,
+        paymentId: payment._id
+    };
+};
+
+/**
+ * Credit a confirmed top-up to its wallet; safe to call again for the same payment
+ */
+export const creditTopUp = async (payment) => {
+    const entry = await postEntry({
+        type: 'top-up',
+        lines: [
+            line('gateway-clearing', 'debit', payment.amount),
+            line('wallet', 'credit', payment.amount, { userId: payment.userId })
+        ],
+        description: 'Wallet top-up',
+        reference: { kind: 'payment', id: payment._id },
+        idempotencyKey: `top-up:${payment._id}`,
+        currency: payment.currency
+    });
+    await notifyWalletHolder(payment.userId, 'Wallet topped up', `₹${payment.amount} has been added to your wallet.`, entry);
+    return entry;
+};
+
+/**
+ * Pay for a service out of the wallet
+ *
+ * @param {Object} data - { userId, amount, paymentId, description, createdBy }
+ * @returns {Document} - The posted entry
+ */
+export const payFromWallet = ({ userId, amount, paymentId, description, createdBy }) => postEntry({
+    type: 'payment',
+    lines: [
+        line('wallet', 'debit', amount, { userId }),
+        line('revenue', 'credit', amount)
+    ],
+    description,
+    reference: { kind: 'payment', id: paymentId },
+    idempotencyKey: `payment:${paymentId}`,
+    createdBy
+});
+
+/**
+ * Record a refund in the ledger when it touches a wallet or package
+ *
+ * A refund to the wallet is credited to it, taken from refunds or, for a
+ * health package, from the package's unused value. A top-up paid back to
+ * the card comes off the wallet. Other refunds to the original payment
+ * method never pass through the ledger.
+ *
+ * @param {Document} refund - Refund being paid out
+ * @param {Document} payment - The refunded payment
+ * @param {Object} options - { toWallet }
+ * @returns {Document|null} - The posted entry, or null when the ledger isn't involved
+ */
+export const recordRefund = async (refund, payment, { toWallet }) => {
+    const refs = { userId: payment.userId };
+    let debit = null;
+    if (payment.serviceType === 'wallet-topup') {
+        if (toWallet) throw new ApiError(400, "A wallet top-up can't be refunded to the wallet");
+        debit = line('wallet', 'debit', refund.amount, refs);
+    } else if (payment.serviceType === 'health-package') {
+        const patientPackage = await PatientPackage.findOne({ paymentId: payment._id }).select('_id').lean();
+        if (patientPackage) {
+            debit = line('package-liability', 'debit', refund.amount, { patientPackageId: patientPackage._id });
+        }
+    }
+    if (!debit && !toWallet) return null;
+
+    const entry = await postEntry({
+        type: 'refund',
+        lines: [
+            debit || line('refunds', 'debit', refund.amount),
+            toWallet ? line('wallet', 'credit', refund.amount, refs) : line('gateway-clearing', 'credit', refund.amount)
+        ],
+        description: refund.reason || 'Refund',
+        reference: { kind: 'refund', id: refund._id },
+        idempotencyKey: `refund:${refund._id}`,
+        createdBy: refund.approval?.by || refund.requestedBy,
+        currency: payment.currency
+    });
+    if (toWallet) {
+        await notifyWalletHolder(payment.userId, 'Refund credited to wallet', `₹${refund.amount} has been refunded to your wallet.`, entry);
+    }
+    return entry;
+};
+
+const walletLineMatch = (userId) => ({ lines: { $elemMatch: { account: 'wallet', userId: new mongoose.Types.ObjectId(String(userId)) } } });
+
+const paging = (page, limit) => {
+    const pageNum = Math.max(parseInt(page, 10) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
+    return { pageNum, limitNum };
+};
+
+/**
+ * A user's wallet balance and statement, newest first
+ */
+export const getWalletStatement = async (userId, { page = 1, limit = 20 } = {}) => {
+    const { pageNum, limitNum } = paging(page, limit);
+    const query = { ...walletLineMatch(userId), status: 'posted' };
+
+    const [wallet, entries, total] = await Promise.all([
+        getOrCreateWallet(userId),
+        LedgerEntry.find(query)
+            .select('entryNumber type description lines reference postedAt createdAt')
+            .sort({ postedAt: -1 })
+            .skip((pageNum - 1) * limitNum)
+            .limit(limitNum)
+            .lean(),
+        LedgerEntry.countDocuments(query)
+    ]);
+
+    const statement = entries.map(entry => {
+        const own = entry.lines.find(entryLine => entryLine.account === 'wallet' && String(entryLine.userId) === String(userId));
+        return {
+            _id: entry._id,
+            entryNumber: entry.entryNumber,
+            type: entry.type,
+            description: entry.description,
+            direction: own.direction,
+            amount: own.amount,
+            balanceAfter: own.balanceAfter,
+            reference: entry.reference,
+            postedAt: entry.postedAt
+        };
+    });
+
+    return {
+        wallet: { balance: roundMoney(wallet.balance), currency: wallet.currency, lastEntryAt: wallet.lastEntryAt },
+        limits: topUpLimits(),
+        statement,
+        pagination: { page: pageNum, limit: limitNum, total, pages: Math.ceil(total / limitNum) }
+    };
+};
+
+/**
+ * Journal entries for the admin ledger view, newest first
+ *
+ * @param {Object} filters - { account, type, status, userId, from, to, page, limit }
+ */
+export const listEntries = async ({ account, type, status = 'posted', userId, from, to, page = 1, limit = 20 } = {}) => {
+    const query = {};
+    if (status && status !== 'all') query.status = status;
+    if (type) {
+        if (!LEDGER_ENTRY_TYPES.includes(type)) {
+            throw new ApiError(400, `Type must be one of: ${LEDGER_ENTRY_TYPES.join(', ')}`);
+        }
+        query.type = type;
+    }
+    if (account) {
+        if (!LEDGER_ACCOUNTS[account]) {
+            throw new ApiError(400, `Account must be one of: ${Object.keys(LEDGER_ACCOUNTS).join(', ')}`);
+        }
+        query['lines.account'] = account;
+    }
+    if (userId) {
+        if (!mongoose.Types.ObjectId.isValid(userId)) throw new ApiError(400, "Invalid user id");
+        Object.assign(query, walletLineMatch(userId));
+    }
+    if (from || to) {
+        query.createdAt = {};
+        if (from) query.createdAt.$gte = new Date(from);
+        if (to) query.createdAt.$lte = new Date(to);
+    }
+
+    const { pageNum, limitNum } = paging(page, limit);
+    const [entries, total] = await Promise.all([
+        LedgerEntry.find(query)
+            .populate('lines.userId', 'firstName lastName email')
+            .populate('createdBy', 'firstName lastName role')
+            .sort({ createdAt: -1 })
+            .skip((pageNum - 1) * limitNum)
+            .limit(limitNum)
+            .lean(),
+        LedgerEntry.countDocuments(query)
+    ]);
+
+    return {
+        entries,
+        pagination: { page: pageNum, limit: limitNum, total, pages: Math.ceil(total / limitNum) }
+    };
+};
+
+/**
+ * Debit and credit totals per account over posted entries
+ *
+ * Balances are shown on each account's normal side; total debits equal
+ * total credits whenever the books are in order.
+ *
+ * @param {Object} options - { to } - Balances as at this date (default now)
+ */
+export const getTrialBalance = async ({ to } = {}) => {
+    const match = { status: 'posted' };
+    if (to) match.postedAt = { $lte: new Date(to) };
+
+    const rows = await LedgerEntry.aggregate([
+        { $match: match },
+        { $unwind: '$lines' },
+        {
+            $group: {
+                _id: '$lines.account',
+                debit: { $sum: { $cond: [{ $eq: ['$lines.direction', 'debit'] }, '$lines.amount', 0] } },
+                credit: { $sum: { $cond: [{ $eq: ['$lines.direction', 'credit'] }, '$lines.amount', 0] } }
+            }
+        }
+    ]);
+    const byAccount = new Map(rows.map(row => [row._id, row]));
+
+    const accounts = Object.entries(LEDGER_ACCOUNTS).map(([account, normalSide]) => {
+        const { debit = 0, credit = 0 } = byAccount.get(account) || {};
+        return {
+            account,
+            normalSide,
+            debit: roundMoney(debit),
+            credit: roundMoney(credit),
+            balance: roundMoney(normalSide === 'debit' ? debit - credit : credit - debit)
+        };
+    });
+    const totalDebit = roundMoney(accounts.reduce((sum, row) => sum + row.debit, 0));
+    const totalCredit = roundMoney(accounts.reduce((sum, row) => sum + row.credit, 0));
+
+    return {
+        accounts,
+        totalDebit,
+        totalCredit,
+        balanced: Math.abs(totalDebit - totalCredit) < MONEY_EPSILON
+    };
+};
+
+/**
+ * Check every wallet and package against the ledger
+ *
+ * A wallet's balance should equal the credits less the debits posted to its
+ * account, and a package's unused value the same for its liability account.
+ * Entries left pending by an interrupted posting are listed too.
+ */
+export const auditBalances = async () => {
+    const subLedger = (account, key) => LedgerEntry.aggregate([
+        { $match: { status: 'posted' } },
+        { $unwind: '$lines' },
+        { $match: { 'lines.account': account } },
+        {
+            $group: {
+                _id: `$lines.${key}`,
+                net: { $sum: { $cond: [{ $eq: ['$lines.direction', 'credit'] }, '$lines.amount', { $multiply: ['$lines.amount', -1] }] } }
+            }
+        }
+    ]);
+
+    const [walletLedger, packageLedger, wallets, packages, stalePending] = await Promise.all([
+        subLedger('wallet', 'userId'),
+        subLedger('package-liability', 'patientPackageId'),
+        Wallet.find().populate('userId', 'firstName lastName email').lean(),
+        PatientPackage.find().select('userId name status deferredBalance').lean(),
+        LedgerEntry.find({ status: 'pending', createdAt: { $lt: new Date(Date.now() - STALE_PENDING_MS) } })
+            .select('entryNumber type amount createdAt reference')
+            .lean()
+    ]);
+
+    const compare = (records, ledgerRows, idOf, balanceOf) => {
+        const ledger = new Map(ledgerRows.map(row => [String(row._id), row.net]));
+        const mismatches = [];
+        for (const record of records) {
+            const id = String(idOf(record));
+            const expected = roundMoney(ledger.get(id) || 0);
+            const actual = roundMoney(balanceOf(record));
+            ledger.delete(id);
+            if (Math.abs(expected - actual) >= MONEY_EPSILON) {
+                mismatches.push({ record, recorded: actual, ledger: expected, difference: roundMoney(actual - expected) });
+            }
+        }
+        // Ledger activity for a wallet or package that no longer exists
+        for (const [id, net] of ledger) {
+            if (Math.abs(net) >= MONEY_EPSILON) {
+                mismatches.push({ record: { _id: id }, recorded: 0, ledger: roundMoney(net), difference: roundMoney(-net) });
+            }
+        }
+        return mismatches;
+    };
+
+    const walletMismatches = compare(wallets, walletLedger, wallet => wallet.userId?._id || wallet.userId, wallet => wallet.balance);
+    const packageMismatches = compare(packages, packageLedger, patientPackage => patientPackage._id, patientPackage => patientPackage.deferredBalance);
+
+    return {
+        checkedAt: new Date(),
+        wallets: {
+            count: wallets.length,
+            totalBalance: roundMoney(wallets.reduce((sum, wallet) => sum + wallet.balance, 0)),
+            mismatches: walletMismatches.map(({ record, ...rest }) => ({ wallet: record, ...rest }))
+        },
+        packages: {
+            count: packages.length,
+            totalDeferred: roundMoney(packages.reduce((sum, patientPackage) => sum + patientPackage.deferredBalance, 0)),
+            mismatches: packageMismatches.map(({ record, ...rest }) => ({ patientPackage: record, ...rest }))
+        },
+        stalePendingEntries: stalePending,
+        clean: walletMismatches.length === 0 && packageMismatches.length === 0 && stalePending.length === 0
+    };
+};
+
+export default {
+    topUpLimits,
+    getOrCreateWallet,
+    postEntry,
+    reverseEntry,
+    createTopUpOrder,
+    creditTopUp,
+    payFromWallet,
+    recordRefund,
+    getWalletStatement,
+    listEntries,
+    getTrialBalance,
+    auditBalances
+};
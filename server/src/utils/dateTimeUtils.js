@@ -235,8 +235,13 @@ const getFormatOptions = (context) => {
 /**
  * Generate available appointment slots for a given date range
  * 
+ * When `scheduleConfig.getSessions` is supplied it is called once per day and
+ * must return that day's working sessions ({ startTime, endTime, slotDuration,
+ * ...meta }); weekends, excluded dates and business hours are then left to the
+ * caller. Without it, the flat business-hours configuration is used.
+ * 
  * @param {Date} startDate - Start date for slot generation
- * @param {Date} endDate - End date for slot generation
+ * @param {Date} endDate - End date for slot generation (inclusive)
  * @param {Object} scheduleConfig - Schedule configuration
  * @returns {Array} - Array of available appointment slots
  */
@@ -249,7 +254,7 @@ export const generateAppointmentSlots = (startDate, endDate, scheduleConfig = {}
             throw new Error('Invalid date range provided');
         }
         
-        if (start >= end) {
+        if (start > end) {
             throw new Error('Start date must be before end date');
         }
         
@@ -258,27 +263,32 @@ export const generateAppointmentSlots = (startDate, endDate, scheduleConfig = {}
             businessHours: scheduleConfig.businessHours || DATETIME_CONFIG.DEFAULT_BUSINESS_HOURS,
             excludeWeekends: scheduleConfig.excludeWeekends !== false,
             excludedDates: scheduleConfig.excludedDates || [],
-            timezone: scheduleConfig.timezone || 'UTC'
+            timezone: scheduleConfig.timezone || 'UTC',
+            getSessions: typeof scheduleConfig.getSessions === 'function' ? scheduleConfig.getSessions : null,
+            bufferBefore: scheduleConfig.bufferMinutes?.before || 0,
+            bufferAfter: scheduleConfig.bufferMinutes?.after || 0
         };
         
         const slots = [];
         let currentDate = new Date(start);
+        currentDate.setHours(0, 0, 0, 0);
         
         while (currentDate <= end) {
-            // Skip weekends if configured
-            if (config.excludeWeekends && (currentDate.getDay() === 0 || currentDate.getDay() === 6)) {
-                currentDate.setDate(currentDate.getDate() + 1);
-                continue;
+            if (!config.getSessions) {
+                // Skip weekends if configured
+                if (config.excludeWeekends && (currentDate.getDay() === 0 || currentDate.getDay() === 6)) {
+                    currentDate.setDate(currentDate.getDate() + 1);
+                    continue;
+                }
+                
+                // Skip excluded dates
+                if (config.excludedDates.includes(toDateKey(currentDate))) {
+                    currentDate.setDate(currentDate.getDate() + 1);
+                    continue;
+                }
             }
             
-            // Skip excluded dates
-            const dateString = currentDate.toISOString().split('T')[0];
-            if (config.excludedDates.includes(dateString)) {
-                currentDate.setDate(currentDate.getDate() + 1);
-                continue;
-            }
-            
-            // Generate slots for business hours
+            // Generate slots for the day's sessions
             const daySlots = generateSlotsForDay(currentDate, config);
             slots.push(...daySlots);
             
@@ -300,32 +310,96 @@ export const generateAppointmentSlots = (startDate, endDate, scheduleConfig = {}
  * @returns {Array} - Array of slots for the day
  */
 const generateSlotsForDay = (date, config) => {
-    const slots = [];
-    const startTime = new Date(date);
-    startTime.setHours(config.businessHours.start, 0, 0, 0);
+    const sessions = config.getSessions
+        ? config.getSessions(new Date(date)) || []
+        : [{
+            startTime: `${String(config.businessHours.start).padStart(2, '0')}:00`,
+            endTime: `${String(config.businessHours.end).padStart(2, '0')}:00`
+        }];
     
-    const endTime = new Date(date);
-    endTime.setHours(config.businessHours.end, 0, 0, 0);
-    
-    let currentSlot = new Date(startTime);
+    const slots = [];
     
-    while (currentSlot < endTime) {
-        const slotEnd = new Date(currentSlot);
-        slotEnd.setMinutes(slotEnd.getMinutes() + config.slotDuration);
+    sessions.forEach(session => {
+        const { startTime, endTime, slotDuration, ...meta } = session;
+        const duration = slotDuration || config.slotDuration;
+        const sessionStart = combineDateAndTime(date, startTime);
+        const sessionEnd = combineDateAndTime(date, endTime);
         
-        if (slotEnd <= endTime) {
+        let currentSlot = new Date(sessionStart);
+        
+        while (currentSlot < sessionEnd) {
+            const slotStart = new Date(currentSlot);
+            slotStart.setMinutes(slotStart.getMinutes() + config.bufferBefore);
+            
+            const slotEnd = new Date(slotStart);
+            slotEnd.setMinutes(slotEnd.getMinutes() + duration);
+            
+            if (slotEnd > sessionEnd) break;
+            
             slots.push({
-                start: new Date(currentSlot),
-                end: new Date(slotEnd),
-                duration: config.slotDuration,
+                ...meta,
+                date: toDateKey(slotStart),
+                time: slotStart.toTimeString().slice(0, 5),
+                start: slotStart,
+                end: slotEnd,
+                duration,
                 available: true
             });
+            
+            currentSlot = new Date(slotEnd);
+            currentSlot.setMinutes(currentSlot.getMinutes() + config.bufferAfter);
         }
-        
-        currentSlot.setMinutes(currentSlot.getMinutes() + config.slotDuration);
-    }
+    });
     
-    return slots;
+    return slots.sort((a, b) => a.start - b.start);
+};
+
+/**
+ * Format a date as a local YYYY-MM-DD key
+ * 
+ * @param {string|Date} date - Date to format
+ * @returns {string} - Local calendar date key
+ */
+export const toDateKey = (date) => {
+    const d = new Date(date);
+    return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+};
+
+/**
+ * Combine a calendar date with an HH:MM time string (local time)
+ * 
+ * @param {string|Date} date - Calendar date
+ * @param {string} time - Time in HH:MM format
+ * @returns {Date} - Combined date/time
+ */
+export const combineDateAndTime = (date, time) => {
+    const combined = new Date(date);
+    const [hours, minutes] = String(time).split(':').map(Number);
+    combined.setHours(hours, minutes || 0, 0, 0);
+    return combined;
+};
+
+/**
+ * Convert an HH:MM time string to minutes since midnight
+ * 
+ * @param {string} time - Time in HH:MM format
+ * @returns {number} - Minutes since midnight
+ */
+export const timeToMinutes = (time) => {
+    const [hours, minutes] = String(time).split(':').map(Number);
+    return hours * 60 + (minutes || 0);
+};
+
+/**
+ * Convert minutes since midnight to an HH:MM time string
+ * 
+ * @param {number} totalMinutes - Minutes since midnight
+ * @returns {string} - Time in HH:MM format
+ */
+export const minutesToTime = (totalMinutes) => {
+    const hours = Math.floor(totalMinutes / 60);
+    const minutes = totalMinutes % 60;
+    return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
 };
 
 /**
@@ -658,6 +732,97 @@ const getHolidaysForCountry = (country, year) => {
     return [];
 };
 
+/**
+ * Parse a 5-field cron expression (minute hour day-of-month month day-of-week)
+ * 
+ * Supports "*", single values, ranges ("1-5"), steps ("*\/15", "8-18/2") and
+ * comma-separated lists. Day-of-week is 0-6 with Sunday as 0 (7 also accepted).
+ * 
+ * @param {string} expression - Cron expression
+ * @returns {Object} - Sets of allowed values per field
+ */
+export const parseCronExpression = (expression) => {
+    const fields = String(expression || '').trim().split(/\s+/);
+    if (fields.length !== 5) {
+        throw new Error(`Invalid cron expression "${expression}": expected 5 fields`);
+    }
+
+    const ranges = [[0, 59], [0, 23], [1, 31], [1, 12], [0, 7]];
+
+    const [minutes, hours, daysOfMonth, months, daysOfWeek] = fields.map((field, index) => {
+        const [min, max] = ranges[index];
+        const values = new Set();
+
+        for (const part of field.split(',')) {
+            const [range, stepPart] = part.split('/');
+            const step = stepPart === undefined ? 1 : Number(stepPart);
+            let [start, end] = range === '*' ? [min, max] : range.split('-').map(Number);
+            if (end === undefined) end = stepPart === undefined ? start : max;
+
+            if (![start, end, step].every(Number.isInteger) || step < 1 || start < min || end > max || start > end) {
+                throw new Error(`Invalid cron field "${field}" in "${expression}"`);
+            }
+            for (let value = start; value <= end; value += step) {
+                values.add(index === 4 && value === 7 ? 0 : value);
+            }
+        }
+
+        return values;
+    });
+
+    return {
+        minutes,
+        hours,
+        daysOfMonth,
+        months,
+        daysOfWeek,
+        // Standard cron: when both day fields are restricted, either may match
+        restrictDayOfMonth: fields[2] !== '*',
+        restrictDayOfWeek: fields[4] !== '*'
+    };
+};
+
+/**
+ * Get the next time a cron expression fires after a given date (local time)
+ * 
+ * @param {string} expression - Cron expression
+ * @param {Date} from - Date to search from (exclusive)
+ * @returns {Date} - Next matching minute
+ */
+export const getNextCronRun = (expression, from = new Date()) => {
+    const cron = parseCronExpression(expression);
+
+    const dayMatches = (date) => {
+        const domMatch = cron.daysOfMonth.has(date.getDate());
+        const dowMatch = cron.daysOfWeek.has(date.getDay());
+        if (cron.restrictDayOfMonth && cron.restrictDayOfWeek) return domMatch || dowMatch;
+        return domMatch && dowMatch;
+    };
+
+    const next = new Date(from);
+    next.setSeconds(0, 0);
+    next.setMinutes(next.getMinutes() + 1);
+
+    // Skip whole months/days/hours at a time; bounded to a few years of search
+    for (let iterations = 0; iterations < 100000; iterations++) {
+        if (!cron.months.has(next.getMonth() + 1)) {
+            next.setMonth(next.getMonth() + 1, 1);
+            next.setHours(0, 0, 0, 0);
+        } else if (!dayMatches(next)) {
+            next.setDate(next.getDate() + 1);
+            next.setHours(0, 0, 0, 0);
+        } else if (!cron.hours.has(next.getHours())) {
+            next.setHours(next.getHours() + 1, 0, 0, 0);
+        } else if (!cron.minutes.has(next.getMinutes())) {
+            next.setMinutes(next.getMinutes() + 1, 0, 0);
+        } else {
+            return next;
+        }
+    }
+
+    throw new Error(`Cron expression "${expression}" never fires`);
+};
+
 // Export configuration for external use
 export { DATETIME_CONFIG };
 
@@ -678,6 +843,12 @@ export { DATETIME_CONFIG };
  *     { slotDuration: 30, excludeWeekends: true }
  * );
  * 
+ * // Generate slots from a doctor's schedule sessions
+ * const doctorSlots = generateAppointmentSlots(date, date, {
+ *     getSessions: (day) => schedule.getSessionsForDate(day),
+ *     bufferMinutes: { before: 0, after: 5 }
+ * });
+ * 
  * // Calculate prescription expiry
  * const expiry = calculatePrescriptionExpiry(new Date(), 30);
  * console.log(expiry.daysUntilExpiry);
@@ -687,4 +858,7 @@ export { DATETIME_CONFIG };
  * 
  * // Calculate appointment reminders
  * const reminders = calculateAppointmentReminders(new Date('2024-03-15T14:30:00'));
+ * 
+ * // Next run of a cron schedule (every day at 01:30)
+ * const nextRun = getNextCronRun('30 1 * * *');
  */
\ No newline at end of file
@@ -0,0 +1,123 @@
+// server/src/utils/eobUtils.js
+
+// Insurers send explanation-of-benefit (EOB) remittances as CSV exports with
+// loosely named columns; these map them onto one row shape.
+
+const COLUMN_ALIASES = {
+  claimNumber: ['claimnumber', 'claimno', 'claimid', 'providerclaimnumber', 'patientaccountnumber'],
+  payerReference: ['payerclaimnumber', 'payerclaimid', 'payerreference', 'insurerclaimnumber', 'icn'],
+  eobReference: ['eobreference', 'eobnumber', 'remittancenumber', 'checknumber', 'eftnumber', 'utr', 'paymentreference'],
+  billedAmount: ['billedamount', 'chargedamount', 'totalcharge', 'claimamount'],
+  allowedAmount: ['allowedamount', 'approvedamount', 'admissibleamount'],
+  paidAmount: ['paidamount', 'paymentamount', 'amountpaid', 'settledamount'],
+  patientResponsibility: ['patientresponsibility', 'patientshare', 'patientamount', 'memberresponsibility'],
+  adjustmentAmount: ['adjustmentamount', 'contractualadjustment', 'writeoff', 'disallowedamount'],
+  denialCode: ['denialcode', 'reasoncode', 'carc'],
+  denialReason: ['denialreason', 'reasondescription', 'remarks', 'remark'],
+  paidDate: ['paiddate', 'paymentdate', 'settlementdate', 'checkdate']
+};
+
+const AMOUNT_FIELDS = ['billedAmount', 'allowedAmount', 'paidAmount', 'patientResponsibility', 'adjustmentAmount'];
+
+const normalizeHeader = (header) => String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const FIELD_BY_HEADER = Object.entries(COLUMN_ALIASES).reduce((acc, [field, aliases]) => {
+  aliases.forEach(alias => { acc[alias] = field; });
+  acc[normalizeHeader(field)] = field;
+  return acc;
+}, {});
+
+/**
+ * Split CSV text into rows of cells, honouring quoted cells with commas,
+ * doubled quotes and line breaks
+ * @param {string} text - CSV content
+ * @returns {Array<Array<string>>} - Rows of cells
+ */
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (cell || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows.filter(cells => cells.some(value => value.trim()));
+};
+
+const parseAmount = (value) => {
+  if (value === undefined || value === null || String(value).trim() === '') return undefined;
+  const amount = parseFloat(String(value).replace(/[^0-9.-]/g, ''));
+  return Number.isFinite(amount) ? amount : undefined;
+};
+
+/**
+ * Map one EOB row (from CSV or JSON) onto the remittance fields
+ * @param {Object} raw - Row keyed by the insurer's column names
+ * @returns {Object} - { claimNumber, payerReference, eobReference, amounts…, denialCode, denialReason, paidDate }
+ */
+export const normalizeEobRow = (raw) => {
+  const row = {};
+  Object.entries(raw || {}).forEach(([key, value]) => {
+    const field = FIELD_BY_HEADER[normalizeHeader(key)];
+    const cell = typeof value === 'string' ? value.trim() : value;
+    if (field && row[field] === undefined && cell !== '') row[field] = cell;
+  });
+
+  AMOUNT_FIELDS.forEach(field => { row[field] = parseAmount(row[field]); });
+  if (row.paidDate) {
+    const date = new Date(row.paidDate);
+    row.paidDate = Number.isNaN(date.getTime()) ? undefined : date;
+  }
+  return row;
+};
+
+/**
+ * Read an EOB CSV export into normalised rows
+ * @param {string} text - CSV content with a header row
+ * @returns {Array<Object>} - Normalised rows
+ */
+export const parseEobCsv = (text) => {
+  const [header, ...rows] = parseCsv(String(text).replace(/^\uFEFF/, ''));
+  if (!header) return [];
+  return rows.map(cells => normalizeEobRow(
+    header.reduce((acc, column, index) => {
+      acc[column] = cells[index];
+      return acc;
+    }, {})
+  ));
+};
+
+export default {
+  parseCsv,
+  normalizeEobRow,
+  parseEobCsv
+};
@@ -0,0 +1,276 @@
+// server/src/utils/invoicePdfUtils.js
+
+import PDFDocument from "pdfkit";
+
+const PAGE_MARGIN = 50;
+const BRAND_COLOR = '#0f766e';
+const MUTED_COLOR = '#555555';
+
+const STATUS_LABELS = {
+  pending: 'DUE',
+  overdue: 'OVERDUE',
+  paid: 'PAID',
+  partially_paid: 'PARTIALLY PAID',
+  cancelled: 'CANCELLED',
+  refunded: 'REFUNDED'
+};
+
+const fullName = (person) => [person?.firstName, person?.lastName].filter(Boolean).join(' ');
+
+const formatDate = (value) => (value
+  ? new Date(value).toLocaleDateString('en-IN', { day: '2-digit', month: 'short', year: 'numeric' })
+  : '-');
+
+const formatMoney = (amount, currency = 'INR') => new Intl.NumberFormat('en-IN', {
+  style: 'currency',
+  currency,
+  minimumFractionDigits: 2
+}).format(amount || 0);
+
+/**
+ * Seller block, document title and status stamp
+ */
+const drawHeader = (doc, { seller, title, status, statusColor }) => {
+  doc.fillColor(BRAND_COLOR).font('Helvetica-Bold').fontSize(18)
+    .text(seller.name, PAGE_MARGIN, PAGE_MARGIN);
+  doc.fillColor(MUTED_COLOR).font('Helvetica').fontSize(9);
+  if (seller.address) doc.text(seller.address);
+  if (seller.gstin) doc.text(`GSTIN: ${seller.gstin}`);
+  if (seller.contact) doc.text(seller.contact);
+
+  doc.fillColor('black').font('Helvetica-Bold').fontSize(14)
+    .text(title, PAGE_MARGIN, PAGE_MARGIN, { align: 'right' });
+  if (status) {
+    doc.font('Helvetica-Bold').fontSize(10).fillColor(statusColor)
+      .text(status, { align: 'right' });
+  }
+  doc.fillColor('black');
+
+  const y = Math.max(doc.y, PAGE_MARGIN + 60) + 8;
+  doc.moveTo(PAGE_MARGIN, y).lineTo(doc.page.width - PAGE_MARGIN, y)
+    .lineWidth(1.5).strokeColor(BRAND_COLOR).stroke();
+  doc.y = y + 10;
+};
+
+const drawParties = (doc, { patient, doctor, heading, details }) => {
+  const left = PAGE_MARGIN;
+  const right = doc.page.width / 2 + 10;
+  const top = doc.y;
+
+  doc.font('Helvetica-Bold').fontSize(10).text('Billed to', left, top);
+  doc.font('Helvetica').text(fullName(patient) || '-');
+  if (patient?.email) doc.text(patient.email);
+  if (patient?.phoneNumber) doc.text(patient.phoneNumber);
+  if (doctor) doc.text(`Doctor: Dr. ${fullName(doctor)}`);
+  const leftBottom = doc.y;
+
+  doc.font('Helvetica-Bold').text(heading, right, top);
+  doc.font('Helvetica');
+  details.forEach(line => doc.text(line, right));
+
+  doc.y = Math.max(leftBottom, doc.y) + 12;
+  doc.x = PAGE_MARGIN;
+};
+
+/**
+ * Line items with HSN/SAC codes and per-line GST; starts a new page when it runs out of room
+ */
+const drawItemsTable = (doc, { items = [], currency }) => {
+  const width = doc.page.width - PAGE_MARGIN * 2;
+  const columns = [
+    { title: '#', width: 0.04 },
+    { title: 'Description', width: 0.30, align: 'left' },
+    { title: 'HSN/SAC', width: 0.10, align: 'left' },
+    { title: 'Qty', width: 0.06 },
+    { title: 'Rate', width: 0.12 },
+    { title: 'Discount', width: 0.11 },
+    { title: 'GST', width: 0.12 },
+    { title: 'Amount', width: 0.15 }
+  ].map(column => ({ align: 'right', ...column, width: column.width * width }));
+
+  const drawRow = (cells, { bold = false } = {}) => {
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9);
+    const heights = cells.map((cell, index) =>
+      doc.heightOfString(cell, { width: columns[index].width - 6 }));
+    const rowHeight = Math.max(...heights) + 8;
+
+    if (doc.y + rowHeight > doc.page.height - 150) {
+      doc.addPage();
+      doc.y = PAGE_MARGIN;
+    }
+
+    const top = doc.y;
+    let x = PAGE_MARGIN;
+    cells.forEach((cell, index) => {
+      doc.text(cell, x + 3, top + 4, { width: columns[index].width - 6, align: columns[index].align });
+      x += columns[index].width;
+    });
+    doc.moveTo(PAGE_MARGIN, top + rowHeight).lineTo(PAGE_MARGIN + width, top + rowHeight)
+      .lineWidth(0.5).strokeColor('#cccccc').stroke();
+    doc.y = top + rowHeight;
+  };
+
+  drawRow(columns.map(column => column.title), { bold: true });
+
+  items.forEach((item, index) => {
+    drawRow([
+      String(index + 1),
+      [item.description, item.notes].filter(Boolean).join('\n'),
+      item.code || '-',
+      String(item.quantity),
+      formatMoney(item.price, currency),
+      item.discount ? formatMoney(item.discount, currency) : '-',
+      item.taxAmount ? `${formatMoney(item.taxAmount, currency)}\n@ ${item.taxRate}%` : 'Exempt',
+      formatMoney(item.amount, currency)
+    ]);
+  });
+  doc.x = PAGE_MARGIN;
+  doc.moveDown();
+};
+
+const drawTotals = (doc, { invoice }) => {
+  const labelX = doc.page.width / 2 + 10;
+  const valueWidth = doc.page.width - PAGE_MARGIN - labelX;
+  const rows = [
+    ['Subtotal', invoice.subtotal],
+    invoice.discountAmount > 0 ? ['Discount', -invoice.discountAmount] : null,
+    ['GST', invoice.taxAmount]
+  ].filter(Boolean);
+
+  doc.font('Helvetica').fontSize(10);
+  rows.forEach(([label, value]) => {
+    const top = doc.y;
+    doc.text(label, labelX, top);
+    doc.text(formatMoney(value, invoice.currency), labelX, top, { width: valueWidth, align: 'right' });
+  });
+
+  const top = doc.y + 4;
+  doc.moveTo(labelX, top).lineTo(doc.page.width - PAGE_MARGIN, top).lineWidth(1).strokeColor('#999999').stroke();
+  doc.font('Helvetica-Bold').fontSize(11)
+    .text('Total', labelX, top + 6)
+    .text(formatMoney(invoice.total, invoice.currency), labelX, top + 6, { width: valueWidth, align: 'right' });
+  doc.x = PAGE_MARGIN;
+  doc.moveDown();
+};
+
+const drawInvoiceFooter = (doc, { invoice }) => {
+  doc.font('Helvetica').fontSize(9).fillColor(MUTED_COLOR);
+  if (invoice.paymentStatus === 'paid' && invoice.paymentHistory?.length) {
+    const payment = invoice.paymentHistory[invoice.paymentHistory.length - 1];
+    doc.text(`Paid by ${String(payment.paymentMethod).replace(/_/g, ' ')} · Ref: ${payment.transactionId}`, PAGE_MARGIN);
+  }
+  if (invoice.notes) doc.text(invoice.notes, PAGE_MARGIN);
+  if (invoice.paymentStatus !== 'paid' && invoice.termsAndConditions) {
+    doc.text(invoice.termsAndConditions, PAGE_MARGIN);
+  }
+  doc.moveDown(0.5).text('This is a computer generated invoice and does not need a signature.', PAGE_MARGIN);
+  doc.fillColor('black');
+};
+
+const drawCreditNoteFooter = (doc, { creditNote }) => {
+  doc.font('Helvetica').fontSize(9).fillColor(MUTED_COLOR);
+  if (creditNote.reason) doc.text(`Reason: ${creditNote.reason}`, PAGE_MARGIN);
+  doc.text(`Issued against invoice ${creditNote.invoiceNumber} for the amount refunded.`, PAGE_MARGIN);
+  doc.moveDown(0.5).text('This is a computer generated credit note and does not need a signature.', PAGE_MARGIN);
+  doc.fillColor('black');
+};
+
+const renderPdf = ({ title, author, draw }) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({
+    size: 'A4',
+    margin: PAGE_MARGIN,
+    info: { Title: title, Author: author, Subject: title }
+  });
+
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  try {
+    draw(doc);
+    doc.end();
+  } catch (error) {
+    reject(error);
+  }
+});
+
+/**
+ * Render an invoice as a PDF
+ *
+ * Exempt healthcare services are billed on a bill of supply; anything that
+ * carries GST needs a tax invoice.
+ *
+ * @param {Object} data
+ * @param {Object} data.invoice - Invoice (plain object)
+ * @param {Object} data.patient - Billed User
+ * @param {Object} data.doctor - Treating doctor's User, for consultations
+ * @param {Object} data.seller - { name, address, gstin, contact }
+ * @returns {Promise<Buffer>} - PDF bytes
+ */
+export const renderInvoicePdf = (data) => {
+  const { invoice } = data;
+  return renderPdf({
+    title: `Invoice ${invoice.invoiceNumber}`,
+    author: data.seller.name,
+    draw: (doc) => {
+      drawHeader(doc, {
+        seller: data.seller,
+        title: invoice.taxAmount > 0 ? 'TAX INVOICE' : 'BILL OF SUPPLY',
+        status: STATUS_LABELS[invoice.paymentStatus] || invoice.paymentStatus.toUpperCase(),
+        statusColor: invoice.paymentStatus === 'paid' ? BRAND_COLOR : '#b45309'
+      });
+      drawParties(doc, {
+        ...data,
+        heading: 'Invoice',
+        details: [
+          `No.: ${invoice.invoiceNumber}`,
+          `Date: ${formatDate(invoice.issueDate)}`,
+          invoice.paymentStatus === 'paid'
+            ? `Paid: ${formatDate(invoice.paymentDate)}`
+            : `Due: ${formatDate(invoice.dueDate)}`
+        ]
+      });
+      drawItemsTable(doc, invoice);
+      drawTotals(doc, data);
+      drawInvoiceFooter(doc, data);
+    }
+  });
+};
+
+/**
+ * Render a credit note as a PDF
+ *
+ * @param {Object} data
+ * @param {Object} data.creditNote - CreditNote (plain object)
+ * @param {Object} data.patient - Billed User
+ * @param {Object} data.seller - { name, address, gstin, contact }
+ * @returns {Promise<Buffer>} - PDF bytes
+ */
+export const renderCreditNotePdf = (data) => {
+  const { creditNote } = data;
+  return renderPdf({
+    title: `Credit note ${creditNote.creditNoteNumber}`,
+    author: data.seller.name,
+    draw: (doc) => {
+      drawHeader(doc, { seller: data.seller, title: 'CREDIT NOTE' });
+      drawParties(doc, {
+        patient: data.patient,
+        heading: 'Credit note',
+        details: [
+          `No.: ${creditNote.creditNoteNumber}`,
+          `Date: ${formatDate(creditNote.issueDate)}`,
+          `Against invoice: ${creditNote.invoiceNumber}`
+        ]
+      });
+      drawItemsTable(doc, creditNote);
+      drawTotals(doc, { invoice: creditNote });
+      drawCreditNoteFooter(doc, data);
+    }
+  });
+};
+
+export default {
+  renderInvoicePdf,
+  renderCreditNotePdf
+};
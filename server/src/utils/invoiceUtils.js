@@ -1,18 +1,6 @@
 // server/src/utils/invoiceUtils.js
 
-/**
- * Generate a unique invoice number
- * Format: INV-YYYYMMDD-XXXXX (where XXXXX is a random 5-digit number)
- */
-export const generateInvoiceNumber = () => {
-  const date = new Date();
-  const year = date.getFullYear();
-  const month = String(date.getMonth() + 1).padStart(2, '0');
-  const day = String(date.getDate()).padStart(2, '0');
-  const random = Math.floor(Math.random() * 90000 + 10000); // 5-digit random number
-  
-  return `INV-${year}${month}${day}-${random}`;
-};
+// Invoice numbers are sequential per financial year; see services/invoice.service.js
 
 /**
  * Calculate invoice totals including tax and discounts
@@ -311,7 +299,6 @@ export const formatInvoiceEmail = (invoice, patient) => {
 };
 
 export default {
-  generateInvoiceNumber,
   calculateInvoiceTotals,
   formatCurrency,
   createInvoiceItemsFromConsultation,
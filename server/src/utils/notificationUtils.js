@@ -318,6 +318,82 @@ export const createNotification = async (notificationData) => {
     }
 };
 
+// deliveryStatus keys per notification channel
+const DELIVERY_STATUS_KEYS = {
+    email: 'email',
+    sms: 'sms',
+    push: 'push',
+    'in-app': 'inApp'
+};
+
+/**
+ * Deliver a stored notification over its external channels
+ * Channels already delivered are skipped, so this is safe to call on retries.
+ * @param {Object} notification - Notification document
+ * @returns {Promise<Object>} - Updated notification
+ */
+export const deliverNotification = async (notification) => {
+    const User = (await import('../models/User.model.js')).User;
+    const recipient = notification.recipientId
+        ? await User.findById(notification.recipientId).select('firstName lastName email phoneNumber')
+        : null;
+
+    const failures = [];
+    for (const channel of notification.channels || []) {
+        const key = DELIVERY_STATUS_KEYS[channel];
+        if (!key || key === 'inApp' || notification.deliveryStatus?.[key]?.delivered) continue;
+
+        try {
+            if (channel === 'email') {
+                if (!recipient?.email) throw new Error('Recipient has no email address');
+                await sendEmailNotification(recipient.email, {
+                    subject: notification.title,
+                    template: notification.notificationType === 'appointment' ? 'appointment' : 'test',
+                    data: {
+                        title: notification.title,
+                        message: notification.message,
+                        userName: recipient.firstName,
+                        patientName: `${recipient.firstName} ${recipient.lastName || ''}`.trim(),
+                        actionUrl: notification.actionUrl
+                    }
+                });
+            } else if (channel === 'sms') {
+                if (!recipient?.phoneNumber) throw new Error('Recipient has no phone number');
+                await sendSMSNotification(recipient.phoneNumber, {
+                    message: notification.shortMessage || notification.message,
+                    type: notification.notificationType
+                });
+            } else if (channel === 'push') {
+                await sendPushNotification(notification.recipientId, {
+                    title: notification.title,
+                    body: notification.shortMessage || notification.message,
+                    type: notification.notificationType
+                });
+            }
+
+            notification.set(`deliveryStatus.${key}.sent`, true);
+            notification.set(`deliveryStatus.${key}.delivered`, true);
+            notification.set(`deliveryStatus.${key}.error`, undefined);
+        } catch (error) {
+            notification.set(`deliveryStatus.${key}.error`, error.message);
+            failures.push(`${channel}: ${error.message}`);
+        }
+    }
+
+    if (failures.length) {
+        notification.status = 'failed';
+        notification.failureReason = failures.join('; ');
+        notification.retryCount += 1;
+        notification.lastRetryAt = new Date();
+    } else {
+        notification.status = 'delivered';
+        notification.failureReason = undefined;
+    }
+    notification.sentAt = notification.sentAt || new Date();
+
+    return await notification.save();
+};
+
 /**
  * Bulk create notifications
  * @param {Array} notificationsData - Array of notification data
@@ -0,0 +1,245 @@
+// server/src/utils/prescriptionPdfUtils.js
+
+import PDFDocument from "pdfkit";
+
+const PAGE_MARGIN = 50;
+const BRAND_COLOR = '#0f766e';
+const MUTED_COLOR = '#555555';
+
+const UNSIGNED_NOTES = {
+  'not-signed': 'NOT DIGITALLY SIGNED - verify with the prescribing doctor before dispensing',
+  'unknown-key': 'SIGNATURE KEY NOT RECOGNISED - do not dispense',
+  'contents-changed': 'PRESCRIPTION CHANGED AFTER SIGNING - do not dispense',
+  'bad-signature': 'SIGNATURE INVALID - do not dispense'
+};
+
+const fullName = (person) => [person?.firstName, person?.lastName].filter(Boolean).join(' ');
+
+const formatDate = (value) => (value
+  ? new Date(value).toLocaleDateString('en-IN', { day: '2-digit', month: 'short', year: 'numeric' })
+  : '-');
+
+const ageFrom = (dateOfBirth) => {
+  if (!dateOfBirth) return null;
+  const birthDate = new Date(dateOfBirth);
+  const today = new Date();
+  let age = today.getFullYear() - birthDate.getFullYear();
+  const monthDiff = today.getMonth() - birthDate.getMonth();
+  if (monthDiff < 0 || (monthDiff === 0 && today.getDate() < birthDate.getDate())) age--;
+  return age;
+};
+
+const formatAddress = (address) => (address && typeof address === 'object'
+  ? [address.street, address.city, address.state, address.zipCode].filter(Boolean).join(', ')
+  : address || '');
+
+/**
+ * Doctor letterhead: name, qualifications, registration number and clinic
+ */
+const drawLetterhead = (doc, { doctor, profile }) => {
+  const clinic = profile?.clinicName || profile?.hospitalName || doctor?.department;
+  const registration = doctor?.medicalLicense || profile?.licenseNumber;
+  const address = formatAddress(profile?.address
+    ? [profile.address, profile.city, profile.state].filter(Boolean).join(', ')
+    : doctor?.address);
+
+  doc.fillColor(BRAND_COLOR).font('Helvetica-Bold').fontSize(18)
+    .text(`Dr. ${fullName(doctor)}`, PAGE_MARGIN, PAGE_MARGIN);
+  doc.fillColor('black').font('Helvetica').fontSize(10);
+  if (doctor?.qualification || doctor?.specialization) {
+    doc.text([doctor.qualification, doctor.specialization].filter(Boolean).join(' | '));
+  }
+  doc.text(`Reg. No.: ${registration || 'Not on file'}`);
+  if (clinic) doc.text(clinic);
+  if (address) doc.fillColor(MUTED_COLOR).text(address).fillColor('black');
+  const contact = [profile?.phone || doctor?.phoneNumber, doctor?.email].filter(Boolean).join(' | ');
+  if (contact) doc.fillColor(MUTED_COLOR).text(contact).fillColor('black');
+
+  const y = doc.y + 8;
+  doc.moveTo(PAGE_MARGIN, y).lineTo(doc.page.width - PAGE_MARGIN, y)
+    .lineWidth(1.5).strokeColor(BRAND_COLOR).stroke();
+  doc.y = y + 10;
+};
+
+const drawPatientDetails = (doc, { prescription, patient }) => {
+  const user = patient?.user;
+  const age = ageFrom(user?.dateOfBirth);
+  const left = PAGE_MARGIN;
+  const right = doc.page.width / 2 + 10;
+  const top = doc.y;
+
+  doc.font('Helvetica-Bold').fontSize(10).text('Patient', left, top);
+  doc.font('Helvetica')
+    .text(fullName(user) || '-')
+    .text([age !== null ? `${age} yrs` : null, user?.gender].filter(Boolean).join(', ') || '-');
+  if (patient?.medicalRecordNumber) doc.text(`MRN: ${patient.medicalRecordNumber}`);
+  const leftBottom = doc.y;
+
+  doc.font('Helvetica-Bold').text('Prescription', right, top);
+  doc.font('Helvetica')
+    .text(`Date: ${formatDate(prescription.prescriptionDate)}`, right)
+    .text(`Valid until: ${formatDate(prescription.expiryDate)}`, right)
+    .text(`Ref: ${prescription._id}`, right);
+
+  doc.y = Math.max(leftBottom, doc.y) + 8;
+  doc.x = PAGE_MARGIN;
+
+  if (prescription.diagnosis) {
+    doc.font('Helvetica-Bold').text('Diagnosis: ', { continued: true })
+      .font('Helvetica').text(prescription.diagnosis);
+    doc.moveDown(0.5);
+  }
+};
+
+/**
+ * Medicines table with a header row; starts a new page when it runs out of room
+ */
+const drawMedicationsTable = (doc, medications = []) => {
+  const width = doc.page.width - PAGE_MARGIN * 2;
+  const columns = [
+    { title: '#', width: 0.05 },
+    { title: 'Medicine', width: 0.33 },
+    { title: 'Dose', width: 0.14 },
+    { title: 'Frequency', width: 0.18 },
+    { title: 'Duration', width: 0.15 },
+    { title: 'Qty', width: 0.15 }
+  ].map(column => ({ ...column, width: column.width * width }));
+
+  const drawRow = (cells, { bold = false } = {}) => {
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9);
+    const heights = cells.map((cell, index) =>
+      doc.heightOfString(cell, { width: columns[index].width - 6 }));
+    const rowHeight = Math.max(...heights) + 8;
+
+    if (doc.y + rowHeight > doc.page.height - 170) {
+      doc.addPage();
+      doc.y = PAGE_MARGIN;
+    }
+
+    const top = doc.y;
+    let x = PAGE_MARGIN;
+    cells.forEach((cell, index) => {
+      doc.text(cell, x + 3, top + 4, { width: columns[index].width - 6 });
+      x += columns[index].width;
+    });
+    doc.moveTo(PAGE_MARGIN, top + rowHeight).lineTo(PAGE_MARGIN + width, top + rowHeight)
+      .lineWidth(0.5).strokeColor('#cccccc').stroke();
+    doc.y = top + rowHeight;
+  };
+
+  doc.font('Helvetica-Bold').fontSize(16).fillColor(BRAND_COLOR).text('Rx', PAGE_MARGIN);
+  doc.fillColor('black');
+  drawRow(columns.map(column => column.title), { bold: true });
+
+  medications.forEach((medication, index) => {
+    const name = [
+      [medication.medicationName, medication.strength].filter(Boolean).join(' '),
+      medication.genericName ? `(${medication.genericName})` : null,
+      medication.form,
+      medication.instructions,
+      medication.noSubstitution ? 'NO SUBSTITUTION' : null
+    ].filter(Boolean).join('\n');
+    const duration = medication.duration?.value
+      ? `${medication.duration.value} ${medication.duration.unit || 'days'}`
+      : '-';
+
+    drawRow([
+      String(index + 1),
+      name,
+      medication.dosage || '-',
+      [medication.frequency, medication.timing?.replace(/-/g, ' ')].filter(Boolean).join('\n'),
+      duration,
+      String(medication.quantity ?? '-')
+    ]);
+  });
+  doc.x = PAGE_MARGIN;
+  doc.moveDown();
+};
+
+const drawInstructions = (doc, prescription) => {
+  if (prescription.patientInstructions) {
+    doc.font('Helvetica-Bold').fontSize(10).text('Instructions');
+    doc.font('Helvetica').text(prescription.patientInstructions);
+    doc.moveDown(0.5);
+  }
+  if (prescription.refillsAllowed > 0) {
+    doc.font('Helvetica').fontSize(10).text(`Refills allowed: ${prescription.refillsAllowed}`);
+  }
+};
+
+/**
+ * Signature block with the verification QR code, pinned to the foot of the last page
+ */
+const drawSignature = (doc, { doctor, signature, unsignedReason, qrCode }) => {
+  const top = doc.page.height - PAGE_MARGIN - 130;
+  if (doc.y > top) {
+    doc.addPage();
+  }
+  const right = doc.page.width - PAGE_MARGIN;
+
+  if (signature && qrCode) {
+    doc.image(qrCode, PAGE_MARGIN, top, { width: 110 });
+    doc.fontSize(8).fillColor(MUTED_COLOR)
+      .text('Scan to verify this prescription and its dispense status', PAGE_MARGIN, top + 114, { width: 140 });
+
+    doc.fillColor('black').font('Helvetica-Bold').fontSize(10)
+      .text(`Digitally signed by Dr. ${fullName(doctor)}`, PAGE_MARGIN + 150, top + 10, { width: right - PAGE_MARGIN - 150 });
+    doc.font('Helvetica').fontSize(8).fillColor(MUTED_COLOR)
+      .text(`Signed: ${new Date(signature.signedAt).toISOString()}`)
+      .text(`Algorithm: ${String(signature.algorithm).toUpperCase()}`)
+      .text(`Key fingerprint: ${signature.fingerprint.match(/.{1,4}/g).slice(0, 8).join(' ')}`)
+      .text(`Content hash: ${signature.contentHash}`, { width: right - PAGE_MARGIN - 150 });
+  } else {
+    doc.font('Helvetica-Bold').fontSize(10).fillColor('#b91c1c')
+      .text(UNSIGNED_NOTES[unsignedReason] || UNSIGNED_NOTES['not-signed'], PAGE_MARGIN, top + 40, {
+        width: right - PAGE_MARGIN,
+        align: 'center'
+      });
+  }
+  doc.fillColor('black');
+};
+
+/**
+ * Render a prescription as a PDF
+ *
+ * @param {Object} data
+ * @param {Object} data.prescription - Prescription (plain object)
+ * @param {Object} data.doctor - Prescribing User
+ * @param {Object} data.profile - Doctor directory profile (clinic, address), optional
+ * @param {Object} data.patient - Patient with `user` populated
+ * @param {Object} data.signature - { signedAt, algorithm, fingerprint, contentHash }, or null when not verifiable
+ * @param {string} data.unsignedReason - Why there is no valid signature
+ * @param {Buffer} data.qrCode - PNG of the verification QR code
+ * @returns {Promise<Buffer>} - PDF bytes
+ */
+export const renderPrescriptionPdf = (data) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({
+    size: 'A4',
+    margin: PAGE_MARGIN,
+    info: {
+      Title: `Prescription ${data.prescription._id}`,
+      Author: `Dr. ${fullName(data.doctor)}`,
+      Subject: 'Electronic prescription'
+    }
+  });
+
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  try {
+    drawLetterhead(doc, data);
+    drawPatientDetails(doc, data);
+    drawMedicationsTable(doc, data.prescription.medications);
+    drawInstructions(doc, data.prescription);
+    drawSignature(doc, data);
+    doc.end();
+  } catch (error) {
+    reject(error);
+  }
+});
+
+export default {
+  renderPrescriptionPdf
+};
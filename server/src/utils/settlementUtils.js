@@ -0,0 +1,99 @@
+// server/src/utils/settlementUtils.js
+
+// Razorpay's settlement reconciliation report lists each settled payment,
+// refund and adjustment; these map its CSV export (or JSON rows with the same
+// columns) onto one row shape. Amounts are in rupees, as in the report.
+
+import { parseCsv } from './eobUtils.js';
+
+const COLUMN_ALIASES = {
+  entityId: ['entityid', 'id', 'transactionid'],
+  entityType: ['type', 'entitytype', 'transactiontype'],
+  gatewayPaymentId: ['paymentid'],
+  orderId: ['orderid'],
+  amount: ['amount', 'grossamount'],
+  credit: ['credit'],
+  debit: ['debit'],
+  fee: ['fee', 'fees'],
+  tax: ['tax', 'gst'],
+  currency: ['currency'],
+  method: ['method', 'paymentmethod'],
+  transactionAt: ['createdat', 'transactiondate'],
+  settlementId: ['settlementid'],
+  settlementUtr: ['settlementutr', 'utr'],
+  settledAt: ['settledat', 'settlementdate']
+};
+
+const ENTITY_TYPES = ['payment', 'refund', 'adjustment'];
+
+const normalizeHeader = (header) => String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const FIELD_BY_HEADER = Object.entries(COLUMN_ALIASES).reduce((acc, [field, aliases]) => {
+  aliases.forEach(alias => { acc[alias] = field; });
+  acc[normalizeHeader(field)] = field;
+  return acc;
+}, {});
+
+const parseAmount = (value) => {
+  if (value === undefined || value === null || String(value).trim() === '') return undefined;
+  const amount = parseFloat(String(value).replace(/[^0-9.-]/g, ''));
+  return Number.isFinite(amount) ? amount : undefined;
+};
+
+// Report dates are either ISO/dd-mm-yyyy text or Unix seconds
+const parseDate = (value) => {
+  if (value === undefined || value === null || value === '') return undefined;
+  const date = /^\d{9,10}$/.test(String(value)) ? new Date(Number(value) * 1000) : new Date(value);
+  return Number.isNaN(date.getTime()) ? undefined : date;
+};
+
+/**
+ * Map one settlement report row (from CSV or JSON) onto the entry fields
+ * @param {Object} raw - Row keyed by the report's column names
+ * @returns {Object} - { entityId, entityType, gatewayPaymentId, orderId, amount, fee, tax, currency, method, dates… }
+ */
+export const normalizeSettlementRow = (raw) => {
+  const row = {};
+  Object.entries(raw || {}).forEach(([key, value]) => {
+    const field = FIELD_BY_HEADER[normalizeHeader(key)];
+    const cell = typeof value === 'string' ? value.trim() : value;
+    if (field && row[field] === undefined && cell !== '') row[field] = cell;
+  });
+
+  ['amount', 'credit', 'debit', 'fee', 'tax'].forEach(field => { row[field] = parseAmount(row[field]); });
+  // Reports without a gross amount column give the settled credit or debit,
+  // with 0 in the other column
+  ['credit', 'debit'].forEach(field => { if (row[field] === 0) row[field] = undefined; });
+  if (row.amount === undefined) row.amount = row.credit ?? row.debit;
+  if (row.amount !== undefined) row.amount = Math.abs(row.amount);
+  delete row.credit;
+  delete row.debit;
+
+  const type = String(row.entityType || '').toLowerCase();
+  row.entityType = ENTITY_TYPES.includes(type) ? type : 'other';
+  if (row.entityType === 'payment' && !row.gatewayPaymentId) row.gatewayPaymentId = row.entityId;
+  row.transactionAt = parseDate(row.transactionAt);
+  row.settledAt = parseDate(row.settledAt);
+  return row;
+};
+
+/**
+ * Read a settlement report CSV into normalised rows
+ * @param {string} text - CSV content with a header row
+ * @returns {Array<Object>} - Normalised rows
+ */
+export const parseSettlementCsv = (text) => {
+  const [header, ...rows] = parseCsv(String(text).replace(/^\uFEFF/, ''));
+  if (!header) return [];
+  return rows.map(cells => normalizeSettlementRow(
+    header.reduce((acc, column, index) => {
+      acc[column] = cells[index];
+      return acc;
+    }, {})
+  ));
+};
+
+export default {
+  normalizeSettlementRow,
+  parseSettlementCsv
+};
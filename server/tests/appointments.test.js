@@ -0,0 +1,242 @@
+import { jest, describe, it, expect, beforeAll, afterAll, afterEach } from "@jest/globals";
+import request from "supertest";
+import { connectTestDb, clearTestDb, closeTestDb } from "./helpers/db.js";
+import { buildTestApp, bearer } from "./helpers/app.js";
+
+const emailUtils = await import("../src/utils/emailUtils.js");
+
+jest.unstable_mockModule("../src/utils/emailUtils.js", () => ({
+    ...emailUtils,
+    sendAppointmentConfirmation: jest.fn(async () => null),
+    sendAppointmentCancellation: jest.fn(async () => null),
+    sendAppointmentReschedule: jest.fn(async () => null),
+    sendAppointmentReminder: jest.fn(async () => null)
+}));
+
+const { User } = await import("../src/models/User.model.js");
+const { Patient } = await import("../src/models/Patient.model.js");
+const { Appointment } = await import("../src/models/appointment.model.js");
+const { SlotReservation } = await import("../src/models/slotReservation.model.js");
+const { createHold, reserveBooking } = await import("../src/services/slotReservation.service.js");
+const { toDateKey } = await import("../src/utils/dateTimeUtils.js");
+
+const app = await buildTestApp();
+
+let userCount = 0;
+
+const createDoctor = () => User.create({
+    firstName: 'Asha',
+    lastName: 'Rao',
+    email: `doctor${++userCount}@example.com`,
+    role: 'doctor'
+});
+
+const createPatient = async () => {
+    const user = await User.create({
+        firstName: 'Ravi',
+        lastName: 'Kumar',
+        email: `patient${++userCount}@example.com`,
+        role: 'patient'
+    });
+    const patient = await Patient.create({ user: user._id });
+    user.patientId = patient._id;
+    await user.save();
+    return user;
+};
+
+// A weekday far enough ahead to be inside the default booking window
+const nextWorkingDay = (daysAhead = 2) => {
+    const day = new Date();
+    day.setDate(day.getDate() + daysAhead);
+    while ([0, 6].includes(day.getDay())) day.setDate(day.getDate() + 1);
+    return toDateKey(day);
+};
+
+const bookingBody = (doctor, fields = {}) => ({
+    doctorId: doctor._id,
+    appointmentDate: nextWorkingDay(),
+    appointmentTime: '10:00',
+    type: 'consultation',
+    reason: 'Persistent cough',
+    ...fields
+});
+
+beforeAll(connectTestDb);
+afterEach(async () => {
+    await clearTestDb();
+    jest.clearAllMocks();
+});
+afterAll(closeTestDb);
+
+describe("concurrent slot reservation", () => {
+    it("gives a contested in-person slot to exactly one booking", async () => {
+        const doctor = await createDoctor();
+        const patients = await Promise.all(Array.from({ length: 5 }, createPatient));
+
+        const results = await Promise.allSettled(patients.map(patient => reserveBooking({
+            doctorId: doctor._id,
+            date: nextWorkingDay(),
+            time: '10:00',
+            userId: patient._id,
+            patientId: patient.patientId
+        })));
+
+        expect(results.filter(result => result.status === 'fulfilled')).toHaveLength(1);
+        results
+            .filter(result => result.status === 'rejected')
+            .forEach(result => expect(result.reason.statusCode).toBe(409));
+
+        const reservations = await SlotReservation.find({ doctorId: doctor._id });
+        expect(reservations).toHaveLength(1);
+        expect(reservations[0].seats).toHaveLength(1);
+    });
+
+    it("lets only one patient hold a slot at a time", async () => {
+        const doctor = await createDoctor();
+        const patients = await Promise.all(Array.from({ length: 3 }, createPatient));
+
+        const results = await Promise.allSettled(patients.map(patient => createHold({
+            doctorId: doctor._id,
+            date: nextWorkingDay(),
+            time: '10:00',
+            userId: patient._id,
+            patientId: patient.patientId
+        })));
+
+        expect(results.filter(result => result.status === 'fulfilled')).toHaveLength(1);
+    });
+});
+
+describe("appointment booking endpoints", () => {
+    it("holds a slot, keeps it from other patients and releases it", async () => {
+        const doctor = await createDoctor();
+        const [first, second] = await Promise.all([createPatient(), createPatient()]);
+        const slot = { doctorId: doctor._id, date: nextWorkingDay(), time: '10:00' };
+
+        const held = await request(app)
+            .post('/api/v1/appointments/holds')
+            .set('Authorization', bearer(first))
+            .send(slot);
+        expect(held.status).toBe(201);
+        expect(held.body.data.holdId).toBeDefined();
+
+        const blocked = await request(app)
+            .post('/api/v1/appointments/holds')
+            .set('Authorization', bearer(second))
+            .send(slot);
+        expect(blocked.status).toBe(409);
+
+        const released = await request(app)
+            .delete(`/api/v1/appointments/holds/${held.body.data.holdId}`)
+            .set('Authorization', bearer(first));
+        expect(released.status).toBe(200);
+        expect(released.body.data.released).toBe(true);
+
+        const retried = await request(app)
+            .post('/api/v1/appointments/holds')
+            .set('Authorization', bearer(second))
+            .send(slot);
+        expect(retried.status).toBe(201);
+    });
+
+    it("books an appointment through the patient's own hold", async () => {
+        const doctor = await createDoctor();
+        const patient = await createPatient();
+
+        const held = await request(app)
+            .post('/api/v1/appointments/holds')
+            .set('Authorization', bearer(patient))
+            .send({ doctorId: doctor._id, date: nextWorkingDay(), time: '10:00' });
+
+        const booked = await request(app)
+            .post('/api/v1/appointments')
+            .set('Authorization', bearer(patient))
+            .send(bookingBody(doctor, { holdId: held.body.data.holdId }));
+        expect(booked.status).toBe(201);
+
+        const [reservation] = await SlotReservation.find({ doctorId: doctor._id });
+        expect(reservation.seats).toHaveLength(1);
+        expect(reservation.seats[0].status).toBe('booked');
+        expect(String(reservation.seats[0].appointmentId)).toBe(String(booked.body.data.appointment._id));
+    });
+
+    it("books a contested slot for only one of two patients", async () => {
+        const doctor = await createDoctor();
+        const patients = await Promise.all([createPatient(), createPatient()]);
+
+        const responses = await Promise.all(patients.map(patient => request(app)
+            .post('/api/v1/appointments')
+            .set('Authorization', bearer(patient))
+            .send(bookingBody(doctor))));
+
+        expect(responses.map(response => response.status).sort()).toEqual([201, 409]);
+        expect(await Appointment.countDocuments({ doctorId: doctor._id })).toBe(1);
+    });
+
+    it("frees the slot when the patient cancels", async () => {
+        const doctor = await createDoctor();
+        const [first, second] = await Promise.all([createPatient(), createPatient()]);
+
+        const booked = await request(app)
+            .post('/api/v1/appointments')
+            .set('Authorization', bearer(first))
+            .send(bookingBody(doctor));
+
+        const cancelled = await request(app)
+            .patch(`/api/v1/appointments/${booked.body.data.appointment._id}/status`)
+            .set('Authorization', bearer(first))
+            .send({ status: 'cancelled', cancellationReason: 'Feeling better' });
+        expect(cancelled.status).toBe(200);
+
+        const rebooked = await request(app)
+            .post('/api/v1/appointments')
+            .set('Authorization', bearer(second))
+            .send(bookingBody(doctor));
+        expect(rebooked.status).toBe(201);
+    });
+
+    it("rejects a status change the appointment cannot make", async () => {
+        const doctor = await createDoctor();
+        const patient = await createPatient();
+
+        const booked = await request(app)
+            .post('/api/v1/appointments')
+            .set('Authorization', bearer(patient))
+            .send(bookingBody(doctor));
+
+        const skipped = await request(app)
+            .patch(`/api/v1/appointments/${booked.body.data.appointment._id}/status`)
+            .set('Authorization', bearer(patient))
+            .send({ status: 'completed' });
+        expect(skipped.status).toBe(400);
+    });
+
+    it("moves the reservation when an appointment is rescheduled", async () => {
+        const doctor = await createDoctor();
+        const [first, second] = await Promise.all([createPatient(), createPatient()]);
+
+        const booked = await request(app)
+            .post('/api/v1/appointments')
+            .set('Authorization', bearer(first))
+            .send(bookingBody(doctor));
+
+        const moved = await request(app)
+            .patch(`/api/v1/appointments/${booked.body.data.appointment._id}/reschedule`)
+            .set('Authorization', bearer(first))
+            .send({ newAppointmentDate: nextWorkingDay(), newAppointmentTime: '11:00', reason: 'Clash at work' });
+        expect(moved.status).toBe(200);
+        expect(moved.body.data.appointment.appointmentTime).toBe('11:00');
+
+        const oldSlot = await request(app)
+            .post('/api/v1/appointments')
+            .set('Authorization', bearer(second))
+            .send(bookingBody(doctor));
+        expect(oldSlot.status).toBe(201);
+
+        const newSlot = await request(app)
+            .post('/api/v1/appointments')
+            .set('Authorization', bearer(second))
+            .send(bookingBody(doctor, { appointmentTime: '11:00' }));
+        expect(newSlot.status).toBe(409);
+    });
+});
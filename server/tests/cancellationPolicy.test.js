@@ -0,0 +1,25 @@
+import { describe, it, expect } from "@jest/globals";
+import { cancellationRefundPercent } from "../src/services/refund.service.js";
+
+describe("cancellation refund percentages", () => {
+    it("refunds a patient in full with a day's notice", () => {
+        expect(cancellationRefundPercent(24, 'patient')).toBe(100);
+        expect(cancellationRefundPercent(72, 'patient')).toBe(100);
+    });
+
+    it("refunds a patient half with four to twenty-four hours' notice", () => {
+        expect(cancellationRefundPercent(23.9, 'patient')).toBe(50);
+        expect(cancellationRefundPercent(4, 'patient')).toBe(50);
+    });
+
+    it("refunds a patient nothing with under four hours' notice or after the start", () => {
+        expect(cancellationRefundPercent(3.9, 'patient')).toBe(0);
+        expect(cancellationRefundPercent(-2, 'patient')).toBe(0);
+    });
+
+    it("refunds in full whenever the doctor, an admin or the system cancels", () => {
+        for (const cancelledBy of ['doctor', 'admin', 'system']) {
+            expect(cancellationRefundPercent(1, cancelledBy)).toBe(100);
+        }
+    });
+});
@@ -0,0 +1,95 @@
+import { describe, it, expect, beforeAll, afterAll, afterEach } from "@jest/globals";
+import request from "supertest";
+import { connectTestDb, clearTestDb, closeTestDb } from "./helpers/db.js";
+import { buildTestApp, bearer } from "./helpers/app.js";
+
+const { User } = await import("../src/models/User.model.js");
+const { Patient } = await import("../src/models/Patient.model.js");
+const { Appointment } = await import("../src/models/appointment.model.js");
+
+const app = await buildTestApp();
+
+let userCount = 0;
+
+const createUser = (role) => User.create({
+    firstName: 'Test',
+    lastName: role,
+    email: `${role}${++userCount}@example.com`,
+    role
+});
+
+// A scheduled appointment with the doctor tomorrow morning
+const appointmentWith = async (doctor) => {
+    const patientUser = await createUser('patient');
+    const patient = await Patient.create({ user: patientUser._id });
+    const tomorrow = new Date();
+    tomorrow.setDate(tomorrow.getDate() + 1);
+    tomorrow.setHours(0, 0, 0, 0);
+
+    return Appointment.create({
+        patientId: patient._id,
+        doctorId: doctor._id,
+        appointmentDate: tomorrow,
+        appointmentTime: '10:00',
+        consultationFee: 500
+    });
+};
+
+const setStatus = (user, appointment, status) => request(app)
+    .patch(`/api/v1/doctors/appointments/${appointment._id}`)
+    .set('Authorization', bearer(user))
+    .send({ status });
+
+beforeAll(connectTestDb);
+afterEach(clearTestDb);
+afterAll(closeTestDb);
+
+describe("doctor appointment status updates", () => {
+    it("lets a doctor move their own appointment along", async () => {
+        const doctor = await createUser('doctor');
+        const appointment = await appointmentWith(doctor);
+
+        const confirmed = await setStatus(doctor, appointment, 'confirmed');
+        expect(confirmed.status).toBe(200);
+        expect(confirmed.body.data.status).toBe('confirmed');
+    });
+
+    it("hides other doctors' appointments", async () => {
+        const [doctor, otherDoctor] = await Promise.all([createUser('doctor'), createUser('doctor')]);
+        const appointment = await appointmentWith(doctor);
+
+        const response = await setStatus(otherDoctor, appointment, 'cancelled');
+        expect(response.status).toBe(404);
+        expect((await Appointment.findById(appointment._id)).status).toBe('scheduled');
+    });
+
+    it("lets an admin update any appointment", async () => {
+        const [doctor, admin] = await Promise.all([createUser('doctor'), createUser('admin')]);
+        const appointment = await appointmentWith(doctor);
+
+        const response = await setStatus(admin, appointment, 'cancelled');
+        expect(response.status).toBe(200);
+        expect(response.body.data.cancelledBy).toBe('admin');
+    });
+
+    it("rejects transitions the appointment cannot make", async () => {
+        const doctor = await createUser('doctor');
+        const appointment = await appointmentWith(doctor);
+
+        const response = await setStatus(doctor, appointment, 'completed');
+        expect(response.status).toBe(400);
+        expect(response.body.message).toBe("Cannot change status from scheduled to completed");
+    });
+
+    it("cancels an appointment only once when two requests race", async () => {
+        const doctor = await createUser('doctor');
+        const appointment = await appointmentWith(doctor);
+
+        const responses = await Promise.all([
+            setStatus(doctor, appointment, 'cancelled'),
+            setStatus(doctor, appointment, 'cancelled')
+        ]);
+
+        expect(responses.map(response => response.status).sort()).toEqual([200, 400]);
+    });
+});
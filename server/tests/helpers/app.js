@@ -0,0 +1,28 @@
+import express from "express";
+import cookieParser from "cookie-parser";
+
+process.env.ACCESS_TOKEN_SECRET = process.env.ACCESS_TOKEN_SECRET || "test-access-token-secret";
+
+/**
+ * Build the v1 API the way src/index.js mounts it, without the server,
+ * database connection and background jobs
+ *
+ * Routes are imported lazily so a test's jest.unstable_mockModule calls
+ * apply to the controllers and services behind them.
+ */
+export const buildTestApp = async () => {
+    const { default: v1Routes } = await import("../../src/routes/api.routes.js");
+    const { errorHandler } = await import("../../src/middlewares/error.middleware.js");
+
+    const app = express();
+    app.use(express.json({ limit: "16kb" }));
+    app.use(express.urlencoded({ extended: true, limit: "16kb" }));
+    app.use(cookieParser());
+    app.use("/api/v1", v1Routes);
+    app.use(errorHandler);
+
+    return app;
+};
+
+// Authorization header for a user document, without a tracked session
+export const bearer = (user) => `Bearer ${user.generateAccessToken()}`;
@@ -0,0 +1,24 @@
+import mongoose from "mongoose";
+import { MongoMemoryServer } from "mongodb-memory-server";
+
+let mongod;
+
+/**
+ * Connect mongoose to a throwaway in-memory MongoDB, with every registered
+ * model's indexes built so unique keys behave as in production
+ */
+export const connectTestDb = async () => {
+    mongod = await MongoMemoryServer.create();
+    await mongoose.connect(mongod.getUri());
+    await Promise.all(mongoose.modelNames().map(name => mongoose.model(name).init()));
+};
+
+export const clearTestDb = async () => {
+    const collections = await mongoose.connection.db.collections();
+    await Promise.all(collections.map(collection => collection.deleteMany({})));
+};
+
+export const closeTestDb = async () => {
+    await mongoose.disconnect();
+    if (mongod) await mongod.stop();
+};
@@ -0,0 +1,89 @@
+import { describe, it, expect, beforeAll, afterAll, afterEach } from "@jest/globals";
+import mongoose from "mongoose";
+import { connectTestDb, clearTestDb, closeTestDb } from "./helpers/db.js";
+
+const { Invoice } = await import("../src/models/invoice.model.js");
+const { InvoiceSequence } = await import("../src/models/invoiceSequence.model.js");
+const {
+    issueInvoice,
+    issueCreditNote,
+    financialYearOf,
+    formatInvoiceNumber
+} = await import("../src/services/invoice.service.js");
+
+const invoiceData = (fields = {}) => ({
+    patientId: new mongoose.Types.ObjectId(),
+    items: [{ description: 'Consultation', quantity: 1, price: 500 }],
+    source: { kind: 'payment', refId: new mongoose.Types.ObjectId() },
+    ...fields
+});
+
+const sequencesOf = async () =>
+    (await Invoice.find().select('sequence').lean()).map(invoice => invoice.sequence).sort((a, b) => a - b);
+
+const range = (count) => Array.from({ length: count }, (_, index) => index + 1);
+
+beforeAll(connectTestDb);
+afterEach(clearTestDb);
+afterAll(closeTestDb);
+
+describe("financial year", () => {
+    it("rolls over at midnight on 1 April in India", () => {
+        expect(financialYearOf(new Date('2026-03-31T18:29:59Z'))).toBe('2025-26');
+        expect(financialYearOf(new Date('2026-03-31T18:30:00Z'))).toBe('2026-27');
+        expect(formatInvoiceNumber('2026-27', 42)).toBe('INV/26-27/000042');
+    });
+});
+
+describe("gap-free invoice numbering", () => {
+    it("gives invoices issued at the same time consecutive numbers", async () => {
+        const invoices = await Promise.all(range(20).map(() => issueInvoice(invoiceData())));
+
+        expect(await sequencesOf()).toEqual(range(20));
+        expect(new Set(invoices.map(invoice => invoice.invoiceNumber)).size).toBe(20);
+        invoices.forEach(invoice => {
+            expect(invoice.invoiceNumber).toBe(formatInvoiceNumber(invoice.financialYear, invoice.sequence));
+        });
+    });
+
+    it("does not take a number for an invoice that fails validation", async () => {
+        await issueInvoice(invoiceData());
+        await expect(issueInvoice(invoiceData({ patientId: undefined }))).rejects.toThrow("Patient ID is required");
+        await issueInvoice(invoiceData());
+
+        expect(await sequencesOf()).toEqual([1, 2]);
+    });
+
+    it("hands a number back when the invoice turns out to be a duplicate", async () => {
+        const source = { kind: 'appointment', refId: new mongoose.Types.ObjectId() };
+
+        const [first, second] = await Promise.all([
+            issueInvoice(invoiceData({ source })),
+            issueInvoice(invoiceData({ source }))
+        ]);
+        expect(String(first._id)).toBe(String(second._id));
+
+        await issueInvoice(invoiceData());
+        expect(await sequencesOf()).toEqual([1, 2]);
+
+        const sequence = await InvoiceSequence.findOne({ series: 'INV' });
+        expect(sequence.released).toEqual([]);
+    });
+
+    it("numbers credit notes in their own series", async () => {
+        const paymentId = new mongoose.Types.ObjectId();
+        await issueInvoice(invoiceData());
+        const invoice = await issueInvoice(invoiceData({ paymentId }));
+
+        const creditNote = await issueCreditNote({
+            _id: new mongoose.Types.ObjectId(),
+            paymentId,
+            amount: 200,
+            reason: 'Partial refund'
+        });
+
+        expect(invoice.sequence).toBe(2);
+        expect(creditNote.sequence).toBe(1);
+        expect(creditNote.creditNoteNumber).toMatch(/^CN\/\d{2}-\d{2}\/000001$/);
+    });
+});
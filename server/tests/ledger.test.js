@@ -0,0 +1,201 @@
+import { jest, describe, it, expect, beforeAll, afterAll, afterEach } from "@jest/globals";
+import mongoose from "mongoose";
+import { connectTestDb, clearTestDb, closeTestDb } from "./helpers/db.js";
+
+const razorpayUtils = await import("../src/utils/razorpayUtils.js");
+const invoiceService = await import("../src/services/invoice.service.js");
+const notificationUtils = await import("../src/utils/notificationUtils.js");
+
+jest.unstable_mockModule("../src/utils/razorpayUtils.js", () => ({
+    ...razorpayUtils,
+    refundRazorpayPayment: jest.fn(async () => ({ id: `rfnd_${new mongoose.Types.ObjectId()}` }))
+}));
+jest.unstable_mockModule("../src/services/invoice.service.js", () => ({
+    ...invoiceService,
+    default: {
+        ...invoiceService.default,
+        invoiceForPayment: jest.fn(async () => null),
+        issueCreditNote: jest.fn(async () => null)
+    }
+}));
+jest.unstable_mockModule("../src/utils/notificationUtils.js", () => ({
+    ...notificationUtils,
+    createNotification: jest.fn(async () => null)
+}));
+
+const { Payment } = await import("../src/models/payment.model.js");
+const { Wallet } = await import("../src/models/wallet.model.js");
+const { LedgerEntry } = await import("../src/models/ledgerEntry.model.js");
+const walletService = (await import("../src/services/wallet.service.js")).default;
+const { requestRefund } = await import("../src/services/refund.service.js");
+const { captureGatewayPayment, completePayment } = await import("../src/services/paymentCompletion.service.js");
+
+const admin = { _id: new mongoose.Types.ObjectId(), role: 'admin' };
+
+const balanceOf = async (userId) => (await Wallet.findOne({ userId }))?.balance ?? 0;
+
+const accountBalance = (trialBalance, account) =>
+    trialBalance.accounts.find(row => row.account === account).balance;
+
+// A top-up order as createTopUpOrder leaves it, waiting for the gateway
+const pendingTopUp = (userId, amount) => Payment.create({
+    userId,
+    serviceType: 'wallet-topup',
+    serviceDescription: 'Wallet top-up',
+    amount,
+    paymentMethod: 'online',
+    paymentGateway: 'razorpay',
+    gatewayReference: `order_${new mongoose.Types.ObjectId()}`,
+    status: 'pending'
+});
+
+const topUp = async (userId, amount) => {
+    const payment = await pendingTopUp(userId, amount);
+    await captureGatewayPayment({
+        orderId: payment.gatewayReference,
+        gatewayPaymentId: `pay_${new mongoose.Types.ObjectId()}`,
+        capturedAmount: amount
+    });
+    return Payment.findById(payment._id);
+};
+
+// A consultation paid out of the wallet, as the wallet checkout records it
+const payFromWallet = async (userId, amount) => {
+    const payment = await Payment.create({
+        userId,
+        serviceType: 'consultation',
+        serviceDescription: 'Consultation',
+        amount,
+        paymentMethod: 'wallet',
+        paymentGateway: 'wallet',
+        status: 'pending'
+    });
+    await walletService.payFromWallet({ userId, amount, paymentId: payment._id, description: 'Consultation' });
+    return Payment.findByIdAndUpdate(payment._id, { status: 'completed', completedAt: new Date() }, { new: true });
+};
+
+const expectBooksBalanced = async () => {
+    const trialBalance = await walletService.getTrialBalance();
+    expect(trialBalance.balanced).toBe(true);
+    expect(trialBalance.totalDebit).toBe(trialBalance.totalCredit);
+
+    const audit = await walletService.auditBalances();
+    expect(audit.wallets.mismatches).toEqual([]);
+    expect(audit.clean).toBe(true);
+    return trialBalance;
+};
+
+beforeAll(connectTestDb);
+afterEach(async () => {
+    await clearTestDb();
+    jest.clearAllMocks();
+});
+afterAll(closeTestDb);
+
+describe("wallet top-ups", () => {
+    it("credits a captured top-up to the wallet once", async () => {
+        const userId = new mongoose.Types.ObjectId();
+        const payment = await topUp(userId, 500);
+
+        await walletService.creditTopUp(payment);
+
+        expect(await balanceOf(userId)).toBe(500);
+        expect(await LedgerEntry.countDocuments({ type: 'top-up' })).toBe(1);
+        const trialBalance = await expectBooksBalanced();
+        expect(accountBalance(trialBalance, 'wallet')).toBe(500);
+    });
+
+    it("doesn't credit a top-up the gateway never captured", async () => {
+        const userId = new mongoose.Types.ObjectId();
+        const payment = await pendingTopUp(userId, 500);
+        payment.status = 'completed';
+
+        await completePayment(payment);
+
+        expect(await balanceOf(userId)).toBe(0);
+        expect(await LedgerEntry.countDocuments()).toBe(0);
+    });
+});
+
+describe("wallet payments", () => {
+    it("debits the wallet and books the revenue", async () => {
+        const userId = new mongoose.Types.ObjectId();
+        await topUp(userId, 1000);
+
+        await payFromWallet(userId, 300);
+
+        expect(await balanceOf(userId)).toBe(700);
+        const trialBalance = await expectBooksBalanced();
+        expect(accountBalance(trialBalance, 'wallet')).toBe(700);
+        expect(accountBalance(trialBalance, 'revenue')).toBe(300);
+    });
+
+    it("refuses a payment the balance can't cover and leaves the wallet as it was", async () => {
+        const userId = new mongoose.Types.ObjectId();
+        await topUp(userId, 200);
+
+        await expect(payFromWallet(userId, 300)).rejects.toThrow("Insufficient wallet balance");
+
+        expect(await balanceOf(userId)).toBe(200);
+        expect(await LedgerEntry.countDocuments({ type: 'payment', status: 'posted' })).toBe(0);
+        await expectBooksBalanced();
+    });
+
+    it("never lets racing payments overdraw the wallet", async () => {
+        const userId = new mongoose.Types.ObjectId();
+        await topUp(userId, 500);
+
+        const results = await Promise.allSettled(Array.from({ length: 4 }, () => payFromWallet(userId, 200)));
+
+        expect(results.filter(result => result.status === 'fulfilled')).toHaveLength(2);
+        expect(await balanceOf(userId)).toBe(100);
+        await expectBooksBalanced();
+    });
+});
+
+describe("refunds through the ledger", () => {
+    it("returns a wallet payment to the wallet", async () => {
+        const userId = new mongoose.Types.ObjectId();
+        await topUp(userId, 1000);
+        const payment = await payFromWallet(userId, 400);
+
+        await requestRefund(payment._id, { amount: 150 }, admin);
+
+        expect(await balanceOf(userId)).toBe(750);
+        const trialBalance = await expectBooksBalanced();
+        expect(accountBalance(trialBalance, 'wallet')).toBe(750);
+        expect(accountBalance(trialBalance, 'refunds')).toBe(150);
+    });
+
+    it("credits a card payment to the wallet when the payer asks", async () => {
+        const userId = new mongoose.Types.ObjectId();
+        const payment = await Payment.create({
+            userId,
+            serviceType: 'consultation',
+            serviceDescription: 'Consultation',
+            amount: 600,
+            paymentMethod: 'online',
+            paymentGateway: 'razorpay',
+            gatewayReference: `order_${new mongoose.Types.ObjectId()}`,
+            transactionId: `pay_${new mongoose.Types.ObjectId()}`,
+            status: 'completed',
+            completedAt: new Date()
+        });
+
+        await requestRefund(payment._id, { amount: 600, destination: 'wallet' }, admin);
+
+        expect(await balanceOf(userId)).toBe(600);
+        await expectBooksBalanced();
+    });
+
+    it("takes a top-up paid back to the card off the wallet", async () => {
+        const userId = new mongoose.Types.ObjectId();
+        const payment = await topUp(userId, 800);
+
+        await requestRefund(payment._id, { amount: 300 }, admin);
+
+        expect(await balanceOf(userId)).toBe(500);
+        const trialBalance = await expectBooksBalanced();
+        expect(accountBalance(trialBalance, 'wallet')).toBe(500);
+    });
+});
@@ -0,0 +1,201 @@
+import { jest, describe, it, expect, beforeAll, afterAll, afterEach } from "@jest/globals";
+import mongoose from "mongoose";
+import { connectTestDb, clearTestDb, closeTestDb } from "./helpers/db.js";
+
+const razorpayUtils = await import("../src/utils/razorpayUtils.js");
+const invoiceService = await import("../src/services/invoice.service.js");
+const notificationUtils = await import("../src/utils/notificationUtils.js");
+
+jest.unstable_mockModule("../src/utils/razorpayUtils.js", () => ({
+    ...razorpayUtils,
+    refundRazorpayPayment: jest.fn(async () => ({ id: `rfnd_${new mongoose.Types.ObjectId()}` }))
+}));
+jest.unstable_mockModule("../src/services/invoice.service.js", () => ({
+    ...invoiceService,
+    default: {
+        ...invoiceService.default,
+        invoiceForPayment: jest.fn(async () => null),
+        issueCreditNote: jest.fn(async () => null)
+    }
+}));
+jest.unstable_mockModule("../src/utils/notificationUtils.js", () => ({
+    ...notificationUtils,
+    createNotification: jest.fn(async () => null)
+}));
+
+const { Payment } = await import("../src/models/payment.model.js");
+const { Refund } = await import("../src/models/refund.model.js");
+const { PharmacyOrder } = await import("../src/models/pharmacyOrder.model.js");
+const { refundRazorpayPayment } = await import("../src/utils/razorpayUtils.js");
+const {
+    requestRefund,
+    reviewRefund,
+    refundForCancellation
+} = await import("../src/services/refund.service.js");
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const admin = { _id: new mongoose.Types.ObjectId(), role: 'admin' };
+const pharmacist = { _id: new mongoose.Types.ObjectId(), role: 'pharmacist', pharmacyId: new mongoose.Types.ObjectId() };
+
+const completedPayment = (fields = {}) => Payment.create({
+    userId: new mongoose.Types.ObjectId(),
+    serviceType: 'consultation',
+    serviceDescription: 'Consultation',
+    amount: 1000,
+    paymentMethod: 'online',
+    paymentGateway: 'razorpay',
+    gatewayReference: `order_${new mongoose.Types.ObjectId()}`,
+    transactionId: `pay_${new mongoose.Types.ObjectId()}`,
+    status: 'completed',
+    completedAt: new Date(),
+    ...fields
+});
+
+// A pharmacy payment for an order placed with the given pharmacy
+const pharmacyPayment = async (pharmacyId, fields = {}) => {
+    const payment = await completedPayment({ serviceType: 'pharmacy', serviceDescription: 'Pharmacy order', ...fields });
+    await PharmacyOrder.create({
+        orderId: payment.gatewayReference,
+        userId: payment.userId,
+        amount: payment.amount,
+        pharmacyId
+    });
+    return payment;
+};
+
+// An appointment a given number of hours from now, as refundForCancellation reads it
+const appointmentIn = (hours) => {
+    const startsAt = new Date(Date.now() + hours * HOUR_MS);
+    return {
+        _id: new mongoose.Types.ObjectId(),
+        appointmentDate: startsAt,
+        appointmentTime: `${String(startsAt.getHours()).padStart(2, '0')}:${String(startsAt.getMinutes()).padStart(2, '0')}`
+    };
+};
+
+beforeAll(connectTestDb);
+afterEach(async () => {
+    await clearTestDb();
+    jest.clearAllMocks();
+});
+afterAll(closeTestDb);
+
+describe("refund caps", () => {
+    it("lets partial refunds add up to the payment and no further", async () => {
+        const payment = await completedPayment();
+
+        await requestRefund(payment._id, { amount: 600 }, admin);
+        await requestRefund(payment._id, { amount: 400 }, admin);
+        await expect(requestRefund(payment._id, { amount: 1 }, admin)).rejects.toMatchObject({ statusCode: 400 });
+
+        const refunded = await Payment.findById(payment._id);
+        expect(refunded.status).toBe('refunded');
+        expect(refunded.refundedAmount).toBe(1000);
+        expect(refunded.refundReserved).toBe(1000);
+        expect(refundRazorpayPayment).toHaveBeenCalledTimes(2);
+    });
+
+    it("rejects a refund larger than what is left", async () => {
+        const payment = await completedPayment();
+        await requestRefund(payment._id, { amount: 700 }, admin);
+
+        await expect(requestRefund(payment._id, { amount: 301 }, admin))
+            .rejects.toThrow("Refund exceeds the refundable balance of 300 INR");
+
+        const partial = await Payment.findById(payment._id);
+        expect(partial.status).toBe('partially-refunded');
+        expect(partial.refundReserved).toBe(700);
+    });
+
+    it("never reserves more than the payment when refunds race", async () => {
+        const payment = await completedPayment();
+
+        const results = await Promise.allSettled(
+            Array.from({ length: 5 }, () => requestRefund(payment._id, { amount: 300 }, admin))
+        );
+
+        expect(results.filter(result => result.status === 'fulfilled')).toHaveLength(3);
+        expect(results.filter(result => result.status === 'rejected')).toHaveLength(2);
+        const raced = await Payment.findById(payment._id);
+        expect(raced.refundReserved).toBe(900);
+        expect(raced.refundedAmount).toBe(900);
+        expect(await Refund.countDocuments({ paymentId: payment._id, status: 'processed' })).toBe(3);
+    });
+
+    it("holds a refund awaiting approval against the balance and frees it on rejection", async () => {
+        const payment = await pharmacyPayment(pharmacist.pharmacyId, { amount: 3000 });
+
+        const pending = await requestRefund(payment._id, { amount: 2500 }, pharmacist);
+        expect(pending.status).toBe('pending-approval');
+        await expect(requestRefund(payment._id, { amount: 600 }, admin)).rejects.toMatchObject({ statusCode: 400 });
+
+        await reviewRefund(pending._id, { decision: 'reject' }, admin);
+        expect((await Payment.findById(payment._id)).refundReserved).toBe(0);
+        await requestRefund(payment._id, { amount: 600 }, admin);
+        expect((await Payment.findById(payment._id)).refundedAmount).toBe(600);
+    });
+
+    it("only lets a pharmacist refund their own pharmacy's orders", async () => {
+        const payment = await pharmacyPayment(new mongoose.Types.ObjectId());
+
+        await expect(requestRefund(payment._id, { amount: 100 }, pharmacist)).rejects.toMatchObject({ statusCode: 403 });
+        await expect(requestRefund(payment._id, { amount: 100 }, { ...pharmacist, pharmacyId: undefined }))
+            .rejects.toMatchObject({ statusCode: 403 });
+        expect(await Refund.countDocuments({ paymentId: payment._id })).toBe(0);
+    });
+
+    it("releases the reservation when the gateway refuses the refund", async () => {
+        const payment = await completedPayment();
+        refundRazorpayPayment.mockRejectedValueOnce({ error: { description: 'Refund amount exceeds captured amount' } });
+
+        await expect(requestRefund(payment._id, { amount: 500 }, admin)).rejects.toMatchObject({ statusCode: 502 });
+
+        const unchanged = await Payment.findById(payment._id);
+        expect(unchanged.refundReserved).toBe(0);
+        expect(unchanged.status).toBe('completed');
+        expect(await Refund.findOne({ paymentId: payment._id })).toMatchObject({ status: 'failed' });
+    });
+});
+
+describe("cancellation refunds", () => {
+    it("refunds the share of the fee the notice earns", async () => {
+        const appointment = appointmentIn(10);
+        const payment = await completedPayment({ appointmentId: appointment._id, amount: 800 });
+
+        const refund = await refundForCancellation(appointment, { cancelledBy: 'patient' });
+
+        expect(refund.amount).toBe(400);
+        expect(refund.policy.percent).toBe(50);
+        expect((await Payment.findById(payment._id)).status).toBe('partially-refunded');
+    });
+
+    it("refunds nothing for a late patient cancellation", async () => {
+        const appointment = appointmentIn(2);
+        await completedPayment({ appointmentId: appointment._id });
+
+        expect(await refundForCancellation(appointment, { cancelledBy: 'patient' })).toBeNull();
+        expect(await Refund.countDocuments()).toBe(0);
+    });
+
+    it("refunds in full when the doctor cancels, and only once", async () => {
+        const appointment = appointmentIn(2);
+        const payment = await completedPayment({ appointmentId: appointment._id, amount: 800 });
+
+        const refund = await refundForCancellation(appointment, { cancelledBy: 'doctor' });
+        expect(refund.amount).toBe(800);
+        expect(await refundForCancellation(appointment, { cancelledBy: 'doctor' })).toBeNull();
+
+        expect((await Payment.findById(payment._id)).status).toBe('refunded');
+        expect(await Refund.countDocuments({ appointmentId: appointment._id })).toBe(1);
+    });
+
+    it("leaves payments with no gateway record for an admin", async () => {
+        const appointment = appointmentIn(48);
+        await completedPayment({ appointmentId: appointment._id, paymentMethod: 'cash', paymentGateway: undefined, transactionId: undefined });
+
+        expect(await refundForCancellation(appointment, { cancelledBy: 'patient' })).toBeNull();
+        await expect(refundForCancellation(appointment, { cancelledBy: 'patient', destination: 'wallet' }))
+            .rejects.toMatchObject({ statusCode: 400 });
+    });
+});
@@ -0,0 +1,132 @@
+import { jest, describe, it, expect, beforeAll, afterAll, afterEach } from "@jest/globals";
+import request from "supertest";
+import { connectTestDb, clearTestDb, closeTestDb } from "./helpers/db.js";
+import { buildTestApp } from "./helpers/app.js";
+
+process.env.REFRESH_TOKEN_SECRET = process.env.REFRESH_TOKEN_SECRET || "test-refresh-token-secret";
+
+const notificationUtils = await import("../src/utils/notificationUtils.js");
+
+jest.unstable_mockModule("../src/utils/notificationUtils.js", () => ({
+    ...notificationUtils,
+    createNotification: jest.fn(async () => null)
+}));
+
+const { User } = await import("../src/models/User.model.js");
+const { Session } = await import("../src/models/session.model.js");
+const { AuditLog } = await import("../src/models/auditLog.model.js");
+const { createNotification } = await import("../src/utils/notificationUtils.js");
+const { createSession, rotateSession, getReuseGraceSeconds } = await import("../src/services/session.service.js");
+
+const app = await buildTestApp();
+
+const signIn = async () => {
+    const user = await User.create({
+        firstName: 'Meera',
+        lastName: 'Shah',
+        email: `user${Date.now()}${Math.random()}@example.com`,
+        role: 'patient'
+    });
+    const { session, refreshToken } = await createSession(user, { ipAddress: '127.0.0.1', userAgent: 'jest' });
+    return { user, session, refreshToken };
+};
+
+const refresh = (refreshToken) => request(app)
+    .post('/api/v1/users/refresh-token')
+    .send({ refreshToken });
+
+// Move a session's last rotation out of the reuse grace period
+const expireGrace = (sessionId) => Session.updateOne(
+    { _id: sessionId },
+    { $set: { rotatedAt: new Date(Date.now() - (getReuseGraceSeconds() + 1) * 1000) } }
+);
+
+beforeAll(connectTestDb);
+afterEach(async () => {
+    await clearTestDb();
+    jest.clearAllMocks();
+});
+afterAll(closeTestDb);
+
+describe("refresh token rotation", () => {
+    it("swaps the refresh token for a new one on every refresh", async () => {
+        const { session, refreshToken } = await signIn();
+
+        const first = await refresh(refreshToken);
+        expect(first.status).toBe(200);
+        expect(first.body.data.refreshToken).not.toBe(refreshToken);
+
+        const second = await refresh(first.body.data.refreshToken);
+        expect(second.status).toBe(200);
+
+        const rotated = await Session.findById(session._id);
+        expect(rotated.rotationCount).toBe(2);
+        expect(rotated.revokedAt).toBeFalsy();
+    });
+
+    it("turns away the token it just replaced without signing the device out", async () => {
+        const { session, refreshToken } = await signIn();
+        const rotated = await refresh(refreshToken);
+
+        const replayed = await refresh(refreshToken);
+        expect(replayed.status).toBe(401);
+        expect(replayed.body.message).toBe("Refresh token was already used");
+
+        expect((await Session.findById(session._id)).revokedAt).toBeFalsy();
+        expect((await refresh(rotated.body.data.refreshToken)).status).toBe(200);
+    });
+
+    it("lets only one of two simultaneous refreshes rotate the token", async () => {
+        const { refreshToken } = await signIn();
+
+        const results = await Promise.allSettled([rotateSession(refreshToken), rotateSession(refreshToken)]);
+
+        expect(results.filter(result => result.status === 'fulfilled')).toHaveLength(1);
+        expect(results.find(result => result.status === 'rejected').reason.statusCode).toBe(401);
+    });
+});
+
+describe("refresh token reuse detection", () => {
+    it("revokes the session when a spent token is replayed after the grace period", async () => {
+        const { user, session, refreshToken } = await signIn();
+        const rotated = await refresh(refreshToken);
+        await expireGrace(session._id);
+
+        const replayed = await refresh(refreshToken);
+        expect(replayed.status).toBe(401);
+        expect(replayed.body.message).toBe("Refresh token reuse detected. Please log in again.");
+
+        const revoked = await Session.findById(session._id);
+        expect(revoked.revokedAt).toBeTruthy();
+        expect(revoked.revokedReason).toBe('token-reuse');
+        expect(createNotification).toHaveBeenCalledWith(expect.objectContaining({
+            recipientId: user._id,
+            category: 'session-revoked'
+        }));
+        expect(await AuditLog.countDocuments({ resourceId: session._id, status: 'FAILED' })).toBe(1);
+
+        // The legitimate holder's newer token dies with the session
+        const current = await refresh(rotated.body.data.refreshToken);
+        expect(current.status).toBe(401);
+        expect(current.body.message).toBe("This session has been signed out");
+    });
+
+    it("rejects access tokens from a revoked session", async () => {
+        const { session, refreshToken } = await signIn();
+        const rotated = await refresh(refreshToken);
+        const { accessToken } = rotated.body.data;
+
+        const before = await request(app)
+            .get('/api/v1/users/me/sessions')
+            .set('Authorization', `Bearer ${accessToken}`);
+        expect(before.status).toBe(200);
+
+        await expireGrace(session._id);
+        await refresh(refreshToken);
+
+        const after = await request(app)
+            .get('/api/v1/users/me/sessions')
+            .set('Authorization', `Bearer ${accessToken}`);
+        expect(after.status).toBe(401);
+    });
+});
@@ -0,0 +1,80 @@
+import { describe, it, expect } from "@jest/globals";
+import {
+    base32Encode,
+    base32Decode,
+    generateTotpSecret,
+    currentStep,
+    generateTotp,
+    verifyTotp,
+    encryptSecret,
+    decryptSecret
+} from "../src/utils/totpUtils.js";
+
+// RFC 6238 appendix B seed ("12345678901234567890"), base32-encoded
+const RFC_SECRET = base32Encode(Buffer.from("12345678901234567890"));
+
+describe("base32", () => {
+    it("round-trips random secrets", () => {
+        const secret = generateTotpSecret();
+        expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+        expect(base32Encode(base32Decode(secret))).toBe(secret);
+    });
+
+    it("ignores spacing and case the way users type secrets", () => {
+        expect(base32Decode(RFC_SECRET.toLowerCase().match(/.{1,4}/g).join(' ')))
+            .toEqual(Buffer.from("12345678901234567890"));
+    });
+});
+
+describe("generateTotp", () => {
+    it.each([
+        [59, '287082'],
+        [1111111109, '081804'],
+        [1234567890, '005924'],
+        [2000000000, '279037']
+    ])("matches the RFC 6238 SHA-1 vector at %i seconds", (seconds, code) => {
+        expect(generateTotp(RFC_SECRET, currentStep(seconds * 1000))).toBe(code);
+    });
+});
+
+describe("verifyTotp", () => {
+    const secret = generateTotpSecret();
+    const now = currentStep();
+
+    it("accepts the current code and one step of drift each way", () => {
+        expect(verifyTotp(secret, generateTotp(secret, now))).toBe(now);
+        expect(verifyTotp(secret, generateTotp(secret, now - 1))).toBe(now - 1);
+        expect(verifyTotp(secret, generateTotp(secret, now + 1))).toBe(now + 1);
+    });
+
+    it("rejects codes outside the window and malformed input", () => {
+        expect(verifyTotp(secret, generateTotp(secret, now - 3))).toBeNull();
+        expect(verifyTotp(secret, '12345')).toBeNull();
+        expect(verifyTotp(secret, 'abcdef')).toBeNull();
+        expect(verifyTotp(secret, undefined)).toBeNull();
+    });
+
+    it("refuses to accept a step that was already used", () => {
+        const code = generateTotp(secret, now);
+        expect(verifyTotp(secret, code, { afterStep: now })).toBeNull();
+        expect(verifyTotp(secret, generateTotp(secret, now + 1), { afterStep: now })).toBe(now + 1);
+    });
+});
+
+describe("secret encryption", () => {
+    it("decrypts what it encrypted and uses a fresh iv each time", () => {
+        const secret = generateTotpSecret();
+        const first = encryptSecret(secret);
+
+        expect(first).not.toContain(secret);
+        expect(encryptSecret(secret)).not.toBe(first);
+        expect(decryptSecret(first)).toBe(secret);
+    });
+
+    it("refuses a tampered ciphertext", () => {
+        const [iv, tag, encrypted] = encryptSecret(generateTotpSecret()).split(':');
+        const flipped = (parseInt(encrypted.slice(0, 2), 16) ^ 1).toString(16).padStart(2, '0') + encrypted.slice(2);
+
+        expect(() => decryptSecret([iv, tag, flipped].join(':'))).toThrow();
+    });
+});
@@ -0,0 +1,106 @@
+import { describe, it, expect, beforeAll, afterAll, afterEach } from "@jest/globals";
+import { connectTestDb, clearTestDb, closeTestDb } from "./helpers/db.js";
+
+process.env.ACCESS_TOKEN_SECRET = process.env.ACCESS_TOKEN_SECRET || "test-access-token-secret";
+
+const { User } = await import("../src/models/User.model.js");
+const { currentStep, generateTotp } = await import("../src/utils/totpUtils.js");
+const {
+    beginSelfEnrollment,
+    enableTwoFactor,
+    startLoginChallenge,
+    completeLoginChallenge,
+    regenerateRecoveryCodes,
+    getStatus
+} = await import("../src/services/twoFactor.service.js");
+
+// Enrol a new user with the code for the current step, as an authenticator app would
+const enrolledUser = async () => {
+    const user = await User.create({
+        firstName: 'Kiran',
+        lastName: 'Desai',
+        email: `user${Date.now()}${Math.random()}@example.com`,
+        role: 'patient'
+    });
+    const { secret } = await beginSelfEnrollment(user._id);
+    const recoveryCodes = await enableTwoFactor(user._id, generateTotp(secret));
+    return { user, secret, recoveryCodes };
+};
+
+const challengeFor = async (user) => (await startLoginChallenge(await User.findById(user._id))).challengeToken;
+
+beforeAll(connectTestDb);
+afterEach(clearTestDb);
+afterAll(closeTestDb);
+
+describe("TOTP enrolment and login", () => {
+    it("enables two-factor only with a valid code from the new secret", async () => {
+        const user = await User.create({ firstName: 'Kiran', lastName: 'Desai', email: 'kiran@example.com', role: 'patient' });
+        const { secret, otpauthUrl } = await beginSelfEnrollment(user._id);
+        expect(otpauthUrl).toContain(`secret=${secret}`);
+
+        await expect(enableTwoFactor(user._id, '000000')).rejects.toMatchObject({ statusCode: 400 });
+        const recoveryCodes = await enableTwoFactor(user._id, generateTotp(secret));
+
+        expect(recoveryCodes).toHaveLength(10);
+        expect(await getStatus(user._id)).toMatchObject({ enabled: true, recoveryCodesRemaining: 10 });
+
+        const stored = await User.findById(user._id).select('+twoFactor.secret +twoFactor.recoveryCodes');
+        expect(stored.twoFactor.secret).not.toContain(secret);
+        expect(stored.twoFactor.recoveryCodes).not.toContain(recoveryCodes[0]);
+    });
+
+    it("challenges an enrolled user at login and accepts the next code", async () => {
+        const { user, secret } = await enrolledUser();
+
+        const challenge = await startLoginChallenge(await User.findById(user._id));
+        expect(challenge).toMatchObject({ twoFactorRequired: true, setupRequired: false });
+
+        const result = await completeLoginChallenge(challenge.challengeToken, { code: generateTotp(secret, currentStep() + 1) });
+        expect(String(result.user._id)).toBe(String(user._id));
+    });
+
+    it("rejects a code that was already used, and counts it as a failed login", async () => {
+        const { user, secret } = await enrolledUser();
+
+        // Replay the code the enrolment was confirmed with
+        const { twoFactor } = await User.findById(user._id).select('+twoFactor.lastUsedStep');
+        await expect(completeLoginChallenge(await challengeFor(user), { code: generateTotp(secret, twoFactor.lastUsedStep) }))
+            .rejects.toMatchObject({ statusCode: 401 });
+
+        expect((await User.findById(user._id)).failedLoginAttempts).toBe(1);
+    });
+
+    it("refuses a challenge token used as something else", async () => {
+        await expect(completeLoginChallenge('not-a-token', { code: '123456' }))
+            .rejects.toMatchObject({ statusCode: 401 });
+    });
+});
+
+describe("recovery codes", () => {
+    it("signs in once per recovery code, however it is typed", async () => {
+        const { user, recoveryCodes } = await enrolledUser();
+        const [code] = recoveryCodes;
+
+        const result = await completeLoginChallenge(await challengeFor(user), {
+            recoveryCode: ` ${code.replace('-', '').toUpperCase()} `
+        });
+        expect(result.recoveryCodesRemaining).toBe(9);
+
+        await expect(completeLoginChallenge(await challengeFor(user), { recoveryCode: code }))
+            .rejects.toThrow("Invalid recovery code");
+    });
+
+    it("replaces every recovery code when they are regenerated", async () => {
+        const { user, secret, recoveryCodes } = await enrolledUser();
+
+        const fresh = await regenerateRecoveryCodes(user._id, generateTotp(secret, currentStep() + 1));
+        expect(fresh).toHaveLength(10);
+        expect(fresh).not.toContain(recoveryCodes[0]);
+
+        await expect(completeLoginChallenge(await challengeFor(user), { recoveryCode: recoveryCodes[0] }))
+            .rejects.toMatchObject({ statusCode: 401 });
+        await expect(completeLoginChallenge(await challengeFor(user), { recoveryCode: fresh[0] }))
+            .resolves.toMatchObject({ recoveryCodesRemaining: 9 });
+    });
+});
@@ -0,0 +1,184 @@
+import crypto from "crypto";
+import { jest, describe, it, expect, beforeAll, afterAll, afterEach } from "@jest/globals";
+import mongoose from "mongoose";
+import { connectTestDb, clearTestDb, closeTestDb } from "./helpers/db.js";
+
+const invoiceService = await import("../src/services/invoice.service.js");
+const notificationUtils = await import("../src/utils/notificationUtils.js");
+
+jest.unstable_mockModule("../src/services/invoice.service.js", () => ({
+    ...invoiceService,
+    default: {
+        ...invoiceService.default,
+        invoiceForPayment: jest.fn(async () => null),
+        issueCreditNote: jest.fn(async () => null)
+    }
+}));
+jest.unstable_mockModule("../src/utils/notificationUtils.js", () => ({
+    ...notificationUtils,
+    createNotification: jest.fn(async () => null)
+}));
+
+const { Payment } = await import("../src/models/payment.model.js");
+const { WebhookEvent } = await import("../src/models/webhookEvent.model.js");
+const { PaymentDiscrepancy } = await import("../src/models/paymentDiscrepancy.model.js");
+const { LedgerEntry } = await import("../src/models/ledgerEntry.model.js");
+const { Wallet } = await import("../src/models/wallet.model.js");
+const { receiveRazorpayEvent, retryEvent } = await import("../src/services/paymentWebhook.service.js");
+const { captureGatewayPayment } = await import("../src/services/paymentCompletion.service.js");
+
+const WEBHOOK_SECRET = 'test-webhook-secret';
+
+// A signed delivery of a Razorpay payment event
+const delivery = (event, entity, eventId = `evt_${new mongoose.Types.ObjectId()}`) => {
+    const rawBody = Buffer.from(JSON.stringify({
+        event,
+        created_at: Math.floor(Date.now() / 1000),
+        payload: { payment: { entity } }
+    }));
+    const signature = crypto.createHmac('sha256', WEBHOOK_SECRET).update(rawBody).digest('hex');
+    return { rawBody, signature, eventId };
+};
+
+const pendingTopUp = (fields = {}) => Payment.create({
+    userId: new mongoose.Types.ObjectId(),
+    serviceType: 'wallet-topup',
+    serviceDescription: 'Wallet top-up',
+    amount: 500,
+    paymentMethod: 'online',
+    paymentGateway: 'razorpay',
+    gatewayReference: `order_${new mongoose.Types.ObjectId()}`,
+    status: 'pending',
+    ...fields
+});
+
+const capturedEntity = (payment, fields = {}) => ({
+    id: `pay_${new mongoose.Types.ObjectId()}`,
+    order_id: payment.gatewayReference,
+    amount: Math.round(payment.amount * 100),
+    status: 'captured',
+    ...fields
+});
+
+const topUpsPosted = () => LedgerEntry.countDocuments({ type: 'top-up', status: 'posted' });
+
+beforeAll(async () => {
+    process.env.RAZORPAY_WEBHOOK_SECRET = WEBHOOK_SECRET;
+    await connectTestDb();
+});
+afterEach(async () => {
+    await clearTestDb();
+    jest.clearAllMocks();
+});
+afterAll(closeTestDb);
+
+describe("webhook deliveries", () => {
+    it("rejects a delivery with a bad signature", async () => {
+        const payment = await pendingTopUp();
+        const signed = delivery('payment.captured', capturedEntity(payment));
+
+        await expect(receiveRazorpayEvent({ ...signed, signature: 'forged' })).rejects.toMatchObject({ statusCode: 400 });
+        expect(await WebhookEvent.countDocuments()).toBe(0);
+        expect((await Payment.findById(payment._id)).status).toBe('pending');
+    });
+
+    it("handles a redelivered event once", async () => {
+        const payment = await pendingTopUp();
+        const signed = delivery('payment.captured', capturedEntity(payment));
+
+        const first = await receiveRazorpayEvent(signed);
+        const second = await receiveRazorpayEvent(signed);
+
+        expect(first.duplicate).toBe(false);
+        expect(first.event.outcome).toBe('captured');
+        expect(second.duplicate).toBe(true);
+        expect(second.event.receivedCount).toBe(2);
+        expect(second.event.attempts).toBe(1);
+        expect(await WebhookEvent.countDocuments()).toBe(1);
+        expect(await topUpsPosted()).toBe(1);
+        expect((await Wallet.findOne({ userId: payment.userId })).balance).toBe(500);
+    });
+
+    it("completes a payment once whether the webhook or the browser reports it first", async () => {
+        const payment = await pendingTopUp();
+        const entity = capturedEntity(payment);
+
+        const { event } = await receiveRazorpayEvent(delivery('payment.captured', entity));
+        const confirm = await captureGatewayPayment({
+            orderId: payment.gatewayReference,
+            gatewayPaymentId: entity.id,
+            capturedAmount: payment.amount
+        });
+        const orderPaid = await receiveRazorpayEvent(delivery('order.paid', entity));
+
+        expect(event.outcome).toBe('captured');
+        expect(confirm.captured).toBe(false);
+        expect(orderPaid.event.outcome).toBe('already-completed');
+        expect(await topUpsPosted()).toBe(1);
+    });
+
+    it("ignores a failure reported after the payment was captured", async () => {
+        const payment = await pendingTopUp();
+        const entity = capturedEntity(payment);
+
+        await receiveRazorpayEvent(delivery('payment.captured', entity));
+        const { event } = await receiveRazorpayEvent(delivery('payment.failed', {
+            ...entity,
+            id: `pay_${new mongoose.Types.ObjectId()}`,
+            status: 'failed',
+            error_code: 'BAD_REQUEST_ERROR',
+            error_description: 'Payment was declined'
+        }));
+
+        expect(event.outcome).toBe('stale-completed');
+        const completed = await Payment.findById(payment._id);
+        expect(completed.status).toBe('completed');
+        expect(completed.transactionId).toBe(entity.id);
+    });
+
+    it("completes a payment captured after an earlier attempt failed", async () => {
+        const payment = await pendingTopUp();
+
+        const failed = await receiveRazorpayEvent(delivery('payment.failed', {
+            ...capturedEntity(payment),
+            status: 'failed',
+            error_description: 'Payment was declined'
+        }));
+        const captured = await receiveRazorpayEvent(delivery('payment.captured', capturedEntity(payment)));
+
+        expect(failed.event.outcome).toBe('marked-failed');
+        expect(captured.event.outcome).toBe('captured');
+        expect((await Payment.findById(payment._id)).status).toBe('completed');
+        expect(await topUpsPosted()).toBe(1);
+    });
+
+    it("keeps a capture that arrives before its payment is recorded and handles it on retry", async () => {
+        const gatewayReference = `order_${new mongoose.Types.ObjectId()}`;
+        const entity = { id: `pay_${new mongoose.Types.ObjectId()}`, order_id: gatewayReference, amount: 50000, status: 'captured' };
+
+        const early = await receiveRazorpayEvent(delivery('payment.captured', entity));
+        expect(early.event.status).toBe('failed');
+        expect(early.event.nextAttemptAt).toBeInstanceOf(Date);
+
+        const payment = await pendingTopUp({ gatewayReference });
+        const retried = await retryEvent(early.event._id);
+
+        expect(retried.status).toBe('processed');
+        expect(retried.outcome).toBe('captured');
+        expect(String(retried.paymentId)).toBe(String(payment._id));
+        expect(await topUpsPosted()).toBe(1);
+    });
+
+    it("flags a capture for the wrong amount instead of completing the payment", async () => {
+        const payment = await pendingTopUp();
+        const entity = capturedEntity(payment, { amount: 100 });
+
+        const { event } = await receiveRazorpayEvent(delivery('payment.captured', entity));
+
+        expect(event.outcome).toBe('amount-mismatch');
+        expect((await Payment.findById(payment._id)).status).toBe('pending');
+        expect(await topUpsPosted()).toBe(0);
+        const discrepancy = await PaymentDiscrepancy.findOne({ kind: 'amount-mismatch', gatewayEntityId: entity.id });
+        expect(discrepancy).toMatchObject({ status: 'open', expectedAmount: 500, reportedAmount: 1 });
+    });
+});